@@ -3,9 +3,14 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { AllProviders } from './contexts'; 
 import { useAuth } from './contexts/AuthContext'; // Import useAuth
 import MagneticCursor from './components/ui/MagneticCursor'; 
+import SessionTimeoutModal from './components/ui/SessionTimeoutModal';
 import LandingPage from './pages/LandingPage';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import TwoFactorChallenge from './pages/TwoFactorChallenge';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import HomePage from './pages/HomePage'; 
 import DashboardLayout from './components/dashboard/DashboardLayout';
 import './styles/globals.css';
@@ -66,6 +71,9 @@ function App() {
       <Router>
         {/* Add MagneticCursor here to cover all routes */}
         <MagneticCursor />
+
+        {/* Countdown before an idle or absolute session timeout, on every route */}
+        <SessionTimeoutModal />
         
         {/* Show auth debugger in development mode only */}
         {/* {process.env.NODE_ENV === 'development' && <AuthDebugger />} */}
@@ -73,7 +81,11 @@ function App() {
         <Routes>
           <Route path="/" element={<LandingPage />} />
           <Route path="/login" element={<Login />} />
+          <Route path="/login/verify" element={<TwoFactorChallenge />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password/:token" element={<ResetPassword />} />
+          <Route path="/verify-email/:token" element={<VerifyEmail />} />
           
           {/* Keep DashboardLayout for nested routes if needed */}
           <Route path="/dashboard/*" element={<DashboardLayout />} />
@@ -0,0 +1,653 @@
+// src/components/dashboard/AccountSettingsPage.jsx
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import QRCode from 'qrcode';
+import { User, ShieldCheck, ShieldOff, KeyRound, Copy, Download, Smartphone, MonitorSmartphone, Clock, Lock } from 'lucide-react';
+import { useAuth, useI18n } from '../../contexts';
+import { authAPI } from '../../services/api';
+import { formatTotpSecret, saveTrustedDevice, TOTP_DIGITS } from '../../utils/twoFactor';
+import { ABSOLUTE_TIMEOUT_OPTIONS, formatTimeoutLength, IDLE_TIMEOUT_OPTIONS } from '../../utils/sessionTimeout';
+import { validateNewPassword } from '../../utils/passwordStrength';
+import PasswordStrengthMeter from '../ui/PasswordStrengthMeter';
+
+/**
+ * Message of a failed request; the API answers with `message`, the mock backend with `error`
+ * @private
+ */
+const getErrorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+/**
+ * Options for a timeout select, keeping a saved value that is not in the list
+ * @private
+ */
+const withCurrent = (options, current) => (options.includes(current) ? options : [...options, current].sort((a, b) => a - b));
+
+/**
+ * Recovery codes shown once after they are generated, with copy and download
+ * @private
+ */
+function RecoveryCodesPanel({ codes, email, onDone }) {
+  const { t } = useI18n();
+  const [copied, setCopied] = useState(false);
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([`${t('twoFactor.codesFileTitle', { email })}\n\n${text}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'evercrest-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="border border-yellow-300 bg-yellow-50 rounded-lg p-4 space-y-3">
+      <p className="text-sm text-yellow-800">{t('twoFactor.saveCodes')}</p>
+      <ul className="grid grid-cols-2 gap-2 font-mono text-sm">
+        {codes.map(code => <li key={code} className="bg-white border rounded px-2 py-1 text-center">{code}</li>)}
+      </ul>
+      <div className="flex flex-wrap gap-2">
+        <button onClick={handleCopy} className="flex items-center space-x-1 px-3 py-2 text-sm border rounded-lg hover:bg-white">
+          <Copy size={14} />
+          <span>{copied ? t('twoFactor.copied') : t('twoFactor.copy')}</span>
+        </button>
+        <button onClick={handleDownload} className="flex items-center space-x-1 px-3 py-2 text-sm border rounded-lg hover:bg-white">
+          <Download size={14} />
+          <span>{t('twoFactor.download')}</span>
+        </button>
+        <button onClick={onDone} className="px-3 py-2 text-sm bg-black text-white rounded-lg hover:bg-gray-800">
+          {t('twoFactor.codesSaved')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Account settings
+ *
+ * Features:
+ * - Profile summary with email verification status, resending the verification link and changing the
+ *   email (confirmed with the password, applied once the new address is verified)
+ * - Changing the password, confirmed with the current one; other sessions are signed out
+ * - Idle and absolute session timeouts
+ * - Link to the active sessions list
+ * - Two-factor authentication: enrollment with a QR code, recovery codes, remembered devices
+ *   and turning it off (which asks for the password and a code)
+ */
+export default function AccountSettingsPage() {
+  const { user, sessionSettings, updateSessionSettings, updateUser } = useAuth();
+  const { t, formatDate } = useI18n();
+
+  // undefined while loading, null when the server has no two-factor support
+  const [twoFactor, setTwoFactor] = useState(undefined);
+  const [setup, setSetup] = useState(null);
+  const [setupCode, setSetupCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [confirmAction, setConfirmAction] = useState(null);
+  const [confirmForm, setConfirmForm] = useState({ password: '', code: '' });
+  const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+  const [emailForm, setEmailForm] = useState(null);
+  // Link the mock backend returns instead of sending an email
+  const [devLink, setDevLink] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadTwoFactor = useCallback(async () => {
+    try {
+      setTwoFactor(await authAPI.getTwoFactorStatus());
+    } catch (err) {
+      setTwoFactor(null);
+      setError(getErrorMessage(err, t('twoFactor.loadError')));
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadTwoFactor();
+  }, [loadTwoFactor]);
+
+  /**
+   * Runs a two-factor request with shared busy, error and notice handling
+   * @param {Function} request - Async request returning the new two-factor settings
+   * @param {string} [successMessage] - Notice shown afterwards
+   */
+  const run = async (request, successMessage) => {
+    setBusy(true);
+    setError('');
+    setNotice('');
+    try {
+      const result = await request();
+      if (successMessage) setNotice(successMessage);
+      return result;
+    } catch (err) {
+      setError(getErrorMessage(err, t('settings.requestFailed')));
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTimeoutChange = (changes) => {
+    const result = updateSessionSettings(changes);
+    if (result.success) {
+      setError('');
+      setNotice(t('sessionTimeout.saved'));
+    } else {
+      setNotice('');
+      setError(result.error);
+    }
+  };
+
+  const handleResendVerification = async () => {
+    const result = await run(() => authAPI.resendVerificationEmail());
+    if (!result) return;
+    setNotice(result.message || t('email.linkSent'));
+    setDevLink(result.devLink || null);
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    const result = await run(() => authAPI.changeEmail(emailForm.email.trim(), emailForm.password));
+    if (!result) return;
+    setNotice(result.message || t('email.confirmChange', { email: emailForm.email.trim() }));
+    setDevLink(result.devLink || null);
+    updateUser(result.user);
+    setEmailForm(null);
+  };
+
+  const newPasswordError = passwordForm.newPassword
+    ? validateNewPassword(passwordForm.newPassword, [user?.name, user?.email])
+    : null;
+  const passwordMismatch = passwordForm.confirmPassword !== '' && passwordForm.newPassword !== passwordForm.confirmPassword;
+
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    const result = await run(() => authAPI.changePassword(passwordForm.currentPassword, passwordForm.newPassword));
+    if (!result) return;
+    setNotice(t('password.changed', { count: result.revoked?.length || 0 }));
+    setPasswordForm(EMPTY_PASSWORD_FORM);
+  };
+
+  const handleStartSetup = async () => {
+    const result = await run(() => authAPI.startTwoFactorSetup());
+    if (!result) return;
+    try {
+      const qrDataUrl = await QRCode.toDataURL(result.otpauthUri, { margin: 1, width: 200 });
+      setSetup({ ...result, qrDataUrl });
+    } catch {
+      // The key can still be typed in by hand
+      setSetup({ ...result, qrDataUrl: null });
+    }
+    setSetupCode('');
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const result = await run(() => authAPI.enableTwoFactor(setupCode), t('twoFactor.turnedOnNotice'));
+    if (!result) return;
+    const { recoveryCodes: codes, ...status } = result;
+    setTwoFactor(status);
+    setRecoveryCodes(codes);
+    setSetup(null);
+  };
+
+  const openConfirm = (action) => {
+    setConfirmAction(action);
+    setConfirmForm({ password: '', code: '' });
+    setError('');
+    setNotice('');
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    if (confirmAction === 'disable') {
+      const result = await run(
+        () => authAPI.disableTwoFactor(confirmForm.password, confirmForm.code.trim()),
+        t('twoFactor.turnedOffNotice')
+      );
+      if (!result) return;
+      saveTrustedDevice(user?.email, null);
+      setTwoFactor(result);
+      setRecoveryCodes(null);
+    } else {
+      const result = await run(() => authAPI.regenerateRecoveryCodes(confirmForm.password), t('twoFactor.newCodesNotice'));
+      if (!result) return;
+      const { recoveryCodes: codes, ...status } = result;
+      setTwoFactor(status);
+      setRecoveryCodes(codes);
+    }
+    setConfirmAction(null);
+  };
+
+  const handleForgetDevices = async () => {
+    const result = await run(() => authAPI.forgetTrustedDevices(), t('twoFactor.devicesForgotten'));
+    if (!result) return;
+    saveTrustedDevice(user?.email, null);
+    loadTwoFactor();
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div>
+        <h2 className="text-2xl font-bold">{t('settings.title')}</h2>
+        <p className="text-gray-600">{t('settings.subtitle')}</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+      {notice && !error && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">{notice}</div>
+      )}
+
+      {/* Profile */}
+      <div className="bg-white p-6 rounded-lg border shadow-sm space-y-4">
+        <div className="flex items-center space-x-3">
+          <User size={20} />
+          <h3 className="text-lg font-semibold">{t('settings.profile')}</h3>
+        </div>
+        <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+          <div>
+            <dt className="text-gray-500">{t('settings.name')}</dt>
+            <dd className="font-medium">{user?.name || '—'}</dd>
+          </div>
+          <div>
+            <dt className="text-gray-500">{t('settings.email')}</dt>
+            <dd className="font-medium flex flex-wrap items-center gap-2">
+              <span>{user?.email || '—'}</span>
+              {user?.emailVerified === false && (
+                <span className="text-xs px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800">{t('email.notVerified')}</span>
+              )}
+              {user?.emailVerified === true && (
+                <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-700">{t('email.verified')}</span>
+              )}
+            </dd>
+            {user?.pendingEmail && (
+              <dd className="text-gray-600 mt-1">{t('email.pendingChange', { email: user.pendingEmail })}</dd>
+            )}
+          </div>
+        </dl>
+
+        <div className="flex flex-wrap gap-2">
+          {(user?.emailVerified === false || user?.pendingEmail) && (
+            <button
+              onClick={handleResendVerification}
+              disabled={busy}
+              className="px-4 py-2 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              {t('email.resend')}
+            </button>
+          )}
+          {!emailForm && (
+            <button
+              onClick={() => setEmailForm({ email: '', password: '' })}
+              disabled={busy}
+              className="px-4 py-2 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              {t('email.change')}
+            </button>
+          )}
+        </div>
+
+        {devLink && (
+          <p className="text-xs text-gray-600 bg-gray-50 border rounded-lg p-3">
+            {t('email.mockNoEmail')}{' '}
+            <Link to={devLink} className="text-black font-semibold hover:underline">{t('email.openVerificationLink')}</Link>
+          </p>
+        )}
+
+        {emailForm && (
+          <form onSubmit={handleChangeEmail} className="border rounded-lg p-4 space-y-3">
+            <p className="text-sm text-gray-700">{t('email.changeHint')}</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+              <input
+                type="email"
+                value={emailForm.email}
+                onChange={(e) => setEmailForm(prev => ({ ...prev, email: e.target.value }))}
+                className="p-2 border rounded-lg"
+                placeholder={t('email.newAddress')}
+                aria-label={t('email.newAddress')}
+                autoComplete="email"
+                required
+              />
+              <input
+                type="password"
+                value={emailForm.password}
+                onChange={(e) => setEmailForm(prev => ({ ...prev, password: e.target.value }))}
+                className="p-2 border rounded-lg"
+                placeholder={t('password.current')}
+                aria-label={t('password.current')}
+                autoComplete="current-password"
+                required
+              />
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={busy || !emailForm.email.includes('@') || !emailForm.password}
+                className="px-4 py-2 bg-black text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+              >
+                {t('email.sendLink')}
+              </button>
+              <button type="button" onClick={() => setEmailForm(null)} className="px-4 py-2 border rounded-lg hover:bg-gray-50">
+                {t('common.cancel')}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+
+      {/* Password */}
+      <form onSubmit={handleChangePassword} className="bg-white p-6 rounded-lg border shadow-sm space-y-4">
+        <div className="flex items-center space-x-3">
+          <Lock size={20} />
+          <h3 className="text-lg font-semibold">{t('password.title')}</h3>
+        </div>
+        <p className="text-sm text-gray-600">
+          {t('password.changeHint')}{' '}
+          <Link to="/forgot-password" state={{ email: user?.email }} className="text-blue-600 hover:underline">{t('password.resetByEmail')}</Link>
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <label className="text-sm">
+            <span className="block text-gray-500 mb-1">{t('password.current')}</span>
+            <input
+              type="password"
+              value={passwordForm.currentPassword}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, currentPassword: e.target.value }))}
+              className="w-full p-2 border rounded-lg"
+              autoComplete="current-password"
+              required
+            />
+          </label>
+          <div className="text-sm">
+            <label htmlFor="new-password" className="block text-gray-500 mb-1">{t('password.new')}</label>
+            <input
+              id="new-password"
+              type="password"
+              value={passwordForm.newPassword}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, newPassword: e.target.value }))}
+              className={`w-full p-2 border rounded-lg ${newPasswordError ? 'border-red-300' : ''}`}
+              autoComplete="new-password"
+              required
+            />
+            <PasswordStrengthMeter password={passwordForm.newPassword} userInputs={[user?.name, user?.email]} />
+          </div>
+          <label className="text-sm">
+            <span className="block text-gray-500 mb-1">{t('password.confirm')}</span>
+            <input
+              type="password"
+              value={passwordForm.confirmPassword}
+              onChange={(e) => setPasswordForm(prev => ({ ...prev, confirmPassword: e.target.value }))}
+              className={`w-full p-2 border rounded-lg ${passwordMismatch ? 'border-red-300' : ''}`}
+              autoComplete="new-password"
+              required
+            />
+            {passwordMismatch && <span className="block mt-1 text-red-600">{t('password.mismatch')}</span>}
+          </label>
+        </div>
+        {newPasswordError && <p className="text-sm text-red-600">{newPasswordError}</p>}
+        <button
+          type="submit"
+          disabled={
+            busy ||
+            !passwordForm.currentPassword ||
+            !passwordForm.newPassword ||
+            Boolean(newPasswordError) ||
+            passwordForm.newPassword !== passwordForm.confirmPassword
+          }
+          className="px-4 py-2 bg-black text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+        >
+          {t('password.change')}
+        </button>
+      </form>
+
+      {/* Session timeout */}
+      <div className="bg-white p-6 rounded-lg border shadow-sm">
+        <div className="flex items-center space-x-3 mb-3">
+          <Clock size={20} />
+          <h3 className="text-lg font-semibold">{t('sessionTimeout.title')}</h3>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">{t('sessionTimeout.description')}</p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <label className="text-sm">
+            <span className="block text-gray-500 mb-1">{t('sessionTimeout.idle')}</span>
+            <select
+              value={sessionSettings.idleMinutes}
+              onChange={(e) => handleTimeoutChange({ idleMinutes: Number(e.target.value) })}
+              className="w-full p-2 border rounded-lg"
+            >
+              {withCurrent(IDLE_TIMEOUT_OPTIONS, sessionSettings.idleMinutes).map(minutes => (
+                <option key={minutes} value={minutes}>{formatTimeoutLength(minutes)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm">
+            <span className="block text-gray-500 mb-1">{t('sessionTimeout.absolute')}</span>
+            <select
+              value={sessionSettings.absoluteHours}
+              onChange={(e) => handleTimeoutChange({ absoluteHours: Number(e.target.value) })}
+              className="w-full p-2 border rounded-lg"
+            >
+              {withCurrent(ABSOLUTE_TIMEOUT_OPTIONS, sessionSettings.absoluteHours).map(hours => (
+                <option key={hours} value={hours}>{formatTimeoutLength(hours * 60)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {/* Sessions */}
+      <div className="bg-white p-6 rounded-lg border shadow-sm flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center space-x-3">
+          <MonitorSmartphone size={20} />
+          <div>
+            <h3 className="text-lg font-semibold">{t('sessions.title')}</h3>
+            <p className="text-sm text-gray-600">{t('sessions.settingsHint')}</p>
+          </div>
+        </div>
+        <Link to="/dashboard/security/sessions" className="px-4 py-2 border rounded-lg hover:bg-gray-50">
+          {t('sessions.manage')}
+        </Link>
+      </div>
+
+      {/* Two-factor authentication */}
+      <div className="bg-white p-6 rounded-lg border shadow-sm space-y-4">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            {twoFactor?.enabled ? <ShieldCheck size={20} className="text-green-600" /> : <ShieldOff size={20} />}
+            <h3 className="text-lg font-semibold">{t('twoFactor.title')}</h3>
+          </div>
+          {twoFactor && (
+            <span className={`text-xs px-2 py-1 rounded-full ${twoFactor.enabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+              {twoFactor.enabled ? t('twoFactor.on') : t('twoFactor.off')}
+            </span>
+          )}
+        </div>
+
+        <p className="text-sm text-gray-600">{t('twoFactor.description', { digits: TOTP_DIGITS })}</p>
+
+        {twoFactor === undefined && <p className="text-sm text-gray-500">{t('common.loading')}</p>}
+        {twoFactor === null && !error && (
+          <p className="text-sm text-gray-500">{t('twoFactor.unsupported')}</p>
+        )}
+
+        {recoveryCodes && (
+          <RecoveryCodesPanel codes={recoveryCodes} email={user?.email} onDone={() => setRecoveryCodes(null)} />
+        )}
+
+        {/* Enrollment */}
+        {twoFactor && !twoFactor.enabled && !setup && (
+          <button
+            onClick={handleStartSetup}
+            disabled={busy}
+            className="px-4 py-2 bg-black text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+          >
+            {t('twoFactor.setUp')}
+          </button>
+        )}
+
+        {setup && (
+          <form onSubmit={handleEnable} className="border rounded-lg p-4 space-y-4">
+            <ol className="list-decimal list-inside text-sm text-gray-700 space-y-1">
+              <li>{t('twoFactor.scanStep')}</li>
+              <li>{t('twoFactor.codeStep', { digits: TOTP_DIGITS })}</li>
+            </ol>
+            <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+              {setup.qrDataUrl && (
+                <img src={setup.qrDataUrl} alt={t('twoFactor.qrAlt')} width={200} height={200} className="border rounded" />
+              )}
+              <div className="text-sm space-y-1">
+                <p className="text-gray-500">{t('twoFactor.manualKey')}</p>
+                <code className="block font-mono bg-gray-50 border rounded px-2 py-1 break-all">{formatTotpSecret(setup.secret)}</code>
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              <div className="relative">
+                <Smartphone size={16} className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" />
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={setupCode}
+                  onChange={(e) => setSetupCode(e.target.value.replace(/\D/g, '').slice(0, TOTP_DIGITS))}
+                  className="pl-9 p-2 border rounded-lg tracking-widest w-40"
+                  placeholder="123456"
+                  aria-label={t('twoFactor.code')}
+                  required
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={busy || setupCode.length !== TOTP_DIGITS}
+                className="px-4 py-2 bg-black text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+              >
+                {t('twoFactor.turnOn')}
+              </button>
+              <button type="button" onClick={() => setSetup(null)} className="px-4 py-2 border rounded-lg hover:bg-gray-50">
+                {t('common.cancel')}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Management once enabled */}
+        {twoFactor?.enabled && (
+          <div className="space-y-4">
+            <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+              <div>
+                <dt className="text-gray-500">{t('twoFactor.turnedOn')}</dt>
+                <dd className="font-medium">{twoFactor.enabledAt ? formatDate(twoFactor.enabledAt) : '—'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">{t('twoFactor.codesLeft')}</dt>
+                <dd className={`font-medium ${twoFactor.recoveryCodesRemaining <= 2 ? 'text-red-600' : ''}`}>
+                  {twoFactor.recoveryCodesRemaining}
+                </dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">{t('twoFactor.rememberedDevices')}</dt>
+                <dd className="font-medium">{twoFactor.trustedDevices?.length || 0}</dd>
+              </div>
+            </dl>
+
+            {twoFactor.trustedDevices?.length > 0 && (
+              <ul className="text-sm divide-y border rounded-lg">
+                {twoFactor.trustedDevices.map(device => (
+                  <li key={device.createdAt} className="flex justify-between px-3 py-2">
+                    <span>{device.label}</span>
+                    <span className="text-gray-500">{t('twoFactor.rememberedUntil', { date: formatDate(device.expiresAt) })}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={() => openConfirm('regenerate')}
+                disabled={busy}
+                className="flex items-center space-x-1 px-4 py-2 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                <KeyRound size={16} />
+                <span>{t('twoFactor.newCodes')}</span>
+              </button>
+              {twoFactor.trustedDevices?.length > 0 && (
+                <button
+                  onClick={handleForgetDevices}
+                  disabled={busy}
+                  className="px-4 py-2 border rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {t('twoFactor.forgetDevices')}
+                </button>
+              )}
+              <button
+                onClick={() => openConfirm('disable')}
+                disabled={busy}
+                className="px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50"
+              >
+                {t('twoFactor.turnOff')}
+              </button>
+            </div>
+
+            {/* Password (and for turning off, a code) confirm it is really the user */}
+            {confirmAction && (
+              <form onSubmit={handleConfirm} className="border rounded-lg p-4 space-y-3">
+                <p className="text-sm text-gray-700">
+                  {confirmAction === 'disable' ? t('twoFactor.confirmDisable') : t('twoFactor.confirmRegenerate')}
+                </p>
+                <input
+                  type="password"
+                  autoComplete="current-password"
+                  value={confirmForm.password}
+                  onChange={(e) => setConfirmForm(prev => ({ ...prev, password: e.target.value }))}
+                  className="w-full p-2 border rounded-lg"
+                  placeholder={t('twoFactor.password')}
+                  aria-label={t('twoFactor.password')}
+                  required
+                />
+                {confirmAction === 'disable' && (
+                  <input
+                    type="text"
+                    autoComplete="one-time-code"
+                    value={confirmForm.code}
+                    onChange={(e) => setConfirmForm(prev => ({ ...prev, code: e.target.value }))}
+                    className="w-full p-2 border rounded-lg"
+                    placeholder={t('twoFactor.anyCode')}
+                    aria-label={t('twoFactor.anyCode')}
+                    required
+                  />
+                )}
+                <div className="flex gap-2">
+                  <button
+                    type="submit"
+                    disabled={busy}
+                    className={`px-4 py-2 text-white rounded-lg disabled:opacity-50 ${confirmAction === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-black hover:bg-gray-800'}`}
+                  >
+                    {confirmAction === 'disable' ? t('twoFactor.turnOff') : t('twoFactor.generateCodes')}
+                  </button>
+                  <button type="button" onClick={() => setConfirmAction(null)} className="px-4 py-2 border rounded-lg hover:bg-gray-50">
+                    {t('common.cancel')}
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,590 @@
+// src/components/dashboard/AccountsPage.jsx
+import { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import {
+  Plus, Wallet, Pencil, Trash2, BookOpen, ListChecks, CheckCircle2, AlertTriangle, ArrowLeftRight, X
+} from 'lucide-react';
+import { useAccounts, useCurrency, useDashboard, useDebt, useI18n, useTransactions } from '../../contexts';
+import { SUPPORTED_CURRENCIES } from '../../utils/currencyUtils';
+import { isTransfer } from '../../utils/transfers';
+import {
+  ACCOUNT_TYPES,
+  buildAccountLedger,
+  calculateReconciliation,
+  getAccountType,
+  isLiabilityAccount,
+  summarizeNetWorth,
+  validateAccount
+} from '../../utils/accountLedger';
+
+/** Fields of the add/edit form for a new account */
+const EMPTY_ACCOUNT_FORM = { name: '', type: 'checking', currency: '', openingBalance: '' };
+
+/**
+ * Add or edit form for an account
+ * @private
+ */
+function AccountForm({ account, baseCurrency, saving, onSave, onCancel }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => (account
+    ? {
+        name: account.name || '',
+        type: getAccountType(account).value,
+        currency: account.currency || '',
+        openingBalance: String(account.openingBalance ?? '')
+      }
+    : EMPTY_ACCOUNT_FORM));
+  const [error, setError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const invalid = validateAccount(form);
+    if (invalid) {
+      setError(invalid);
+      return;
+    }
+    onSave({
+      name: form.name.trim(),
+      type: form.type,
+      ...(form.currency && { currency: form.currency }),
+      ...(form.openingBalance !== '' && { openingBalance: Number(form.openingBalance) })
+    });
+  };
+
+  return (
+    <motion.form
+      initial={{ opacity: 0, y: -10 }}
+      animate={{ opacity: 1, y: 0 }}
+      onSubmit={handleSubmit}
+      className="bg-white rounded-xl shadow-sm p-6 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">{account ? t('accounts.editNamed', { name: account.name }) : t('accounts.newAccount')}</h3>
+        <button type="button" onClick={onCancel} className="text-gray-400 hover:text-gray-600" aria-label={t('accounts.closeForm')}>
+          <X size={18} />
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium mb-1">{t('accounts.name')}</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            className="w-full p-2 border rounded-lg"
+            maxLength={60}
+            required
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">{t('accounts.type')}</label>
+          <select
+            value={form.type}
+            onChange={(e) => setForm({ ...form, type: e.target.value })}
+            className="w-full p-2 border rounded-lg"
+          >
+            {ACCOUNT_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{t(`accounts.types.${type.value}`, { defaultValue: type.label })}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">{t('accounts.currency')}</label>
+          <select
+            value={form.currency}
+            onChange={(e) => setForm({ ...form, currency: e.target.value })}
+            className="w-full p-2 border rounded-lg"
+          >
+            <option value="">{t('accounts.baseCurrency', { currency: baseCurrency })}</option>
+            {SUPPORTED_CURRENCIES.filter(({ code }) => code !== baseCurrency).map(({ code, name }) => (
+              <option key={code} value={code}>{code} - {name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">{t('accounts.openingBalance')}</label>
+          <input
+            type="number"
+            step="0.01"
+            value={form.openingBalance}
+            onChange={(e) => setForm({ ...form, openingBalance: e.target.value })}
+            className="w-full p-2 border rounded-lg"
+            placeholder="0.00"
+          />
+        </div>
+        <p className="md:col-span-3 text-xs text-gray-500 self-end">
+          {t('accounts.openingBalanceHint')}
+        </p>
+      </div>
+      <div className="flex space-x-3">
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50"
+        >
+          {saving ? t('accounts.saving') : account ? t('accounts.saveChanges') : t('accounts.add')}
+        </button>
+        <button type="button" onClick={onCancel} className="bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </motion.form>
+  );
+}
+
+/**
+ * Accounts and net worth
+ *
+ * Features:
+ * - Net worth from every account plus the debts in debt management
+ * - Account types (checking, savings, credit card, cash, investment, loan) with opening balances
+ * - Per-account summary and running-balance ledger, transfers included
+ * - Reconciliation against a statement's ending balance, marking the matched transactions as cleared
+ *
+ * Without server support for reconciliation, cleared transactions are remembered in this browser.
+ */
+export default function AccountsPage() {
+  const {
+    accounts,
+    createAccount,
+    updateAccount,
+    deleteAccount,
+    reconcileAccount,
+    isTransactionCleared,
+    getReconciliationHistory
+  } = useAccounts();
+  const { transactions } = useTransactions();
+  const { debts } = useDebt();
+  const { getAccountSummary } = useDashboard();
+  const { baseCurrency, convert, formatAmount } = useCurrency();
+  const { t, categoryLabel, formatDate } = useI18n();
+
+  const [formAccount, setFormAccount] = useState(null); // null: closed, {}: new, account: editing
+  const [saving, setSaving] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [mode, setMode] = useState('ledger');
+  const [statement, setStatement] = useState({ date: new Date().toISOString().split('T')[0], balance: '' });
+  const [ticked, setTicked] = useState([]);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const safeAccounts = useMemo(() => (Array.isArray(accounts) ? accounts : []), [accounts]);
+  const selected = safeAccounts.find(account => String(account.id) === String(selectedId)) || null;
+
+  const netWorth = useMemo(
+    () => summarizeNetWorth(safeAccounts, Array.isArray(debts) ? debts : [], (amount, currency) => convert(amount, currency)),
+    [safeAccounts, debts, convert]
+  );
+
+  const ledger = useMemo(() => (selected
+    ? buildAccountLedger(selected, Array.isArray(transactions) ? transactions : [], {
+        accounts: safeAccounts,
+        convert,
+        isCleared: isTransactionCleared
+      })
+    : null), [selected, transactions, safeAccounts, convert, isTransactionCleared]);
+
+  // Uncleared entries up to the end of the statement day
+  const reconcilable = useMemo(() => {
+    if (!ledger) return [];
+    const statementEnd = new Date(`${statement.date}T23:59:59.999`);
+    return ledger.entries.filter(entry => !entry.cleared && new Date(entry.transaction.date) <= statementEnd);
+  }, [ledger, statement.date]);
+
+  const reconciliation = useMemo(
+    () => (ledger ? calculateReconciliation(ledger, ticked, statement.balance) : null),
+    [ledger, ticked, statement.balance]
+  );
+
+  const accountName = (id) => safeAccounts.find(account => String(account.id) === String(id))?.name || t('accounts.anotherAccount');
+  const debtName = (id) => (Array.isArray(debts) ? debts : []).find(debt => String(debt.id) === String(id))?.name || t('accounts.aDebt');
+  const money = (amount, account) => formatAmount(amount, account?.currency || baseCurrency);
+
+  /**
+   * Where a ledger entry's money came from or went to, for transfers
+   */
+  const describeCounterpart = (transaction) => {
+    if (!isTransfer(transaction) || !selected) return null;
+    if (String(transaction.accountId) === String(selected.id)) {
+      return transaction.toAccountId
+        ? t('accounts.toAccount', { name: accountName(transaction.toAccountId) })
+        : t('accounts.paymentTo', { name: debtName(transaction.debtId) });
+    }
+    return t('accounts.fromAccount', { name: accountName(transaction.accountId) });
+  };
+
+  const selectAccount = (account, nextMode) => {
+    setSelectedId(account.id);
+    setMode(nextMode);
+    setTicked([]);
+    setStatement({ date: new Date().toISOString().split('T')[0], balance: '' });
+    setError('');
+    setNotice('');
+  };
+
+  const handleSave = async (fields) => {
+    setSaving(true);
+    setError('');
+    const editing = formAccount?.id;
+    const result = editing ? await updateAccount(formAccount.id, fields) : await createAccount(fields);
+    setSaving(false);
+    if (result?.success === false) {
+      setError(result.error || t('accounts.saveError'));
+      return;
+    }
+    setNotice(t(editing ? 'accounts.updated' : 'accounts.added', { name: fields.name }));
+    setFormAccount(null);
+  };
+
+  const handleDelete = async (account) => {
+    if (!window.confirm(t('accounts.deleteConfirm', { name: account.name }))) return;
+    setError('');
+    const result = await deleteAccount(account.id);
+    if (result?.success === false) {
+      setError(result.error || t('accounts.deleteError'));
+      return;
+    }
+    if (String(selectedId) === String(account.id)) setSelectedId(null);
+    setNotice(t('accounts.deleted', { name: account.name }));
+  };
+
+  const toggleTicked = (id) => {
+    setTicked(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  const handleFinishReconciliation = async () => {
+    if (!reconciliation?.balanced) return;
+    setError('');
+    const result = await reconcileAccount(selected.id, {
+      statementDate: statement.date,
+      statementBalance: Number(statement.balance),
+      transactionIds: ticked
+    });
+    if (result?.success === false) {
+      setError(result.error || t('accounts.reconcileError'));
+      return;
+    }
+    setNotice(t('accounts.reconciledNotice', { name: selected.name, count: ticked.length }));
+    setTicked([]);
+    setMode('ledger');
+  };
+
+  const history = selected ? getReconciliationHistory(selected.id) : [];
+  const lastReconciliation = history[history.length - 1];
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold">{t('accounts.title')}</h2>
+          <p className="text-gray-600">{t('accounts.subtitle')}</p>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => setFormAccount({})}
+          className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg"
+        >
+          <Plus size={20} />
+          <span>{t('accounts.add')}</span>
+        </motion.button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">{notice}</div>
+      )}
+
+      {/* Net worth */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-white rounded-xl shadow-sm p-5">
+          <p className="text-sm text-gray-500">{t('accounts.assets')}</p>
+          <p className="text-2xl font-bold text-green-700">{formatAmount(netWorth.assets)}</p>
+        </div>
+        <div className="bg-white rounded-xl shadow-sm p-5">
+          <p className="text-sm text-gray-500">{t('accounts.liabilities')}</p>
+          <p className="text-2xl font-bold text-red-600">{formatAmount(netWorth.liabilities)}</p>
+          <p className="text-xs text-gray-500 mt-1">{t('accounts.liabilitiesHint')}</p>
+        </div>
+        <div className="bg-white rounded-xl shadow-sm p-5">
+          <p className="text-sm text-gray-500">{t('accounts.netWorth')}</p>
+          <p className={`text-2xl font-bold ${netWorth.netWorth >= 0 ? 'text-gray-900' : 'text-red-600'}`}>
+            {formatAmount(netWorth.netWorth)}
+          </p>
+        </div>
+      </div>
+
+      {formAccount && (
+        <AccountForm
+          key={formAccount.id ?? 'new'}
+          account={formAccount.id ? formAccount : null}
+          baseCurrency={baseCurrency}
+          saving={saving}
+          onSave={handleSave}
+          onCancel={() => setFormAccount(null)}
+        />
+      )}
+
+      {/* Account list */}
+      {safeAccounts.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm p-12 text-center">
+          <Wallet className="mx-auto text-gray-400 mb-4" size={48} />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">{t('accounts.emptyTitle')}</h3>
+          <p className="text-gray-600">{t('accounts.emptyText')}</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+          {safeAccounts.map(account => {
+            const summary = getAccountSummary(account.id);
+            const isSelected = String(selectedId) === String(account.id);
+            return (
+              <div
+                key={account.id}
+                className={`bg-white rounded-xl shadow-sm p-5 border-2 ${isSelected ? 'border-black' : 'border-transparent'}`}
+              >
+                <div className="flex items-start justify-between">
+                  <div>
+                    <p className="font-semibold">{account.name}</p>
+                    <p className="text-xs text-gray-500">
+                      {t(`accounts.types.${getAccountType(account).value}`, { defaultValue: getAccountType(account).label })}{account.currency ? ` • ${account.currency}` : ''}
+                    </p>
+                  </div>
+                  <div className="flex space-x-1">
+                    <button
+                      onClick={() => setFormAccount(account)}
+                      className="p-1 text-gray-400 hover:text-gray-700"
+                      title={t('accounts.edit')}
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(account)}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title={t('accounts.delete')}
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+                <p className={`text-2xl font-bold mt-3 ${account.balance < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  {money(account.balance, account)}
+                </p>
+                {isLiabilityAccount(account) && account.balance < 0 && (
+                  <p className="text-xs text-gray-500">{t('accounts.owed')}</p>
+                )}
+                {summary && (
+                  <p className="text-xs text-gray-500 mt-2">
+                    {t('accounts.summary', { income: formatAmount(summary.income), expenses: formatAmount(summary.expenses) })}
+                    {summary.transfers !== 0 && t('accounts.summaryTransfers', {
+                      amount: `${summary.transfers > 0 ? '+' : '−'}${formatAmount(Math.abs(summary.transfers))}`
+                    })}
+                    {' '}• {t('common.transactionCount', { count: summary.transactionCount })}
+                  </p>
+                )}
+                {account.lastReconciledAt && (
+                  <p className="text-xs text-green-700 mt-1">
+                    {t('accounts.reconciledAt', {
+                      date: formatDate(account.lastReconciledAt),
+                      amount: money(account.lastReconciledBalance, account)
+                    })}
+                  </p>
+                )}
+                <div className="flex space-x-2 mt-4">
+                  <button
+                    onClick={() => selectAccount(account, 'ledger')}
+                    className="flex items-center space-x-1 text-sm border px-3 py-1.5 rounded-lg hover:bg-gray-50"
+                  >
+                    <BookOpen size={14} />
+                    <span>{t('accounts.ledger')}</span>
+                  </button>
+                  <button
+                    onClick={() => selectAccount(account, 'reconcile')}
+                    className="flex items-center space-x-1 text-sm border px-3 py-1.5 rounded-lg hover:bg-gray-50"
+                  >
+                    <ListChecks size={14} />
+                    <span>{t('accounts.reconcile')}</span>
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Ledger of the selected account */}
+      {selected && ledger && mode === 'ledger' && (
+        <div className="bg-white rounded-xl shadow-sm p-6 overflow-x-auto">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h3 className="font-semibold">{t('accounts.ledgerTitle', { name: selected.name })}</h3>
+            <p className="text-sm text-gray-500">
+              {t('accounts.openingBalanceAmount', { amount: money(ledger.openingBalance, selected) })}
+              {lastReconciliation && t('accounts.lastStatement', { date: formatDate(lastReconciliation.statementDate) })}
+            </p>
+          </div>
+          {ledger.unexplained !== 0 && (
+            <div className="flex items-start space-x-2 mb-4 p-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg text-sm">
+              <AlertTriangle size={16} className="mt-0.5 flex-shrink-0" />
+              <span>{t('accounts.unexplained', { amount: money(ledger.unexplained, selected) })}</span>
+            </div>
+          )}
+          {ledger.entries.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('accounts.noTransactions')}</p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 pr-4">{t('transactions.date')}</th>
+                  <th className="py-2 pr-4">{t('transactions.description')}</th>
+                  <th className="py-2 pr-4 text-right">{t('transactions.amount')}</th>
+                  <th className="py-2 pr-4 text-right">{t('accounts.balance')}</th>
+                  <th className="py-2 text-center">{t('accounts.cleared')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[...ledger.entries].reverse().map(entry => (
+                  <tr key={entry.transaction.id} className="border-b last:border-0">
+                    <td className="py-2 pr-4 whitespace-nowrap">{formatDate(entry.transaction.date)}</td>
+                    <td className="py-2 pr-4">
+                      <span>{entry.transaction.description || categoryLabel(entry.transaction.category)}</span>
+                      {isTransfer(entry.transaction) && (
+                        <span className="ml-2 inline-flex items-center space-x-1 text-xs text-blue-700">
+                          <ArrowLeftRight size={12} />
+                          <span>{describeCounterpart(entry.transaction)}</span>
+                        </span>
+                      )}
+                    </td>
+                    <td className={`py-2 pr-4 text-right ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {entry.amount > 0 ? '+' : ''}{money(entry.amount, selected)}
+                    </td>
+                    <td className="py-2 pr-4 text-right font-medium">{money(entry.balance, selected)}</td>
+                    <td className="py-2 text-center">
+                      {entry.cleared && <CheckCircle2 size={16} className="inline text-green-600" aria-label={t('accounts.cleared')} />}
+                    </td>
+                  </tr>
+                ))}
+                <tr className="text-gray-500">
+                  <td className="py-2 pr-4" colSpan={3}>{t('accounts.openingBalance')}</td>
+                  <td className="py-2 pr-4 text-right">{money(ledger.openingBalance, selected)}</td>
+                  <td />
+                </tr>
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {/* Reconciliation of the selected account */}
+      {selected && ledger && mode === 'reconcile' && reconciliation && (
+        <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <h3 className="font-semibold">{t('accounts.reconcileTitle', { name: selected.name })}</h3>
+            {lastReconciliation && (
+              <p className="text-sm text-gray-500">
+                {t('accounts.lastReconciled', {
+                  amount: money(lastReconciliation.statementBalance, selected),
+                  date: formatDate(lastReconciliation.statementDate)
+                })}
+              </p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium mb-1">{t('accounts.statementDate')}</label>
+              <input
+                type="date"
+                value={statement.date}
+                max={new Date().toISOString().split('T')[0]}
+                onChange={(e) => { setStatement({ ...statement, date: e.target.value }); setTicked([]); }}
+                className="w-full p-2 border rounded-lg"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium mb-1">{t('accounts.statementBalance')}</label>
+              <input
+                type="number"
+                step="0.01"
+                value={statement.balance}
+                onChange={(e) => setStatement({ ...statement, balance: e.target.value })}
+                className="w-full p-2 border rounded-lg"
+                placeholder={isLiabilityAccount(selected) ? t('accounts.negativeWhenOwed') : '0.00'}
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-3 gap-4 text-sm">
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-gray-500">{t('accounts.statement')}</p>
+              <p className="font-semibold">{statement.balance === '' ? '—' : money(Number(statement.balance), selected)}</p>
+            </div>
+            <div className="p-3 bg-gray-50 rounded-lg">
+              <p className="text-gray-500">{t('accounts.clearedBalance')}</p>
+              <p className="font-semibold">{money(reconciliation.clearedBalance, selected)}</p>
+            </div>
+            <div className={`p-3 rounded-lg ${reconciliation.balanced ? 'bg-green-50 text-green-800' : 'bg-yellow-50 text-yellow-800'}`}>
+              <p>{t('accounts.difference')}</p>
+              <p className="font-semibold">{statement.balance === '' ? '—' : money(reconciliation.difference, selected)}</p>
+            </div>
+          </div>
+
+          {reconcilable.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('accounts.allCleared')}</p>
+          ) : (
+            <div>
+              <div className="flex items-center justify-between mb-2 text-sm">
+                <p className="text-gray-600">{t('accounts.tickHint')}</p>
+                <button
+                  type="button"
+                  onClick={() => setTicked(ticked.length === reconcilable.length ? [] : reconcilable.map(entry => entry.transaction.id))}
+                  className="text-blue-600 hover:underline"
+                >
+                  {ticked.length === reconcilable.length ? t('accounts.clearAll') : t('accounts.selectAll')}
+                </button>
+              </div>
+              <div className="max-h-96 overflow-y-auto border rounded-lg divide-y">
+                {reconcilable.map(entry => (
+                  <label key={entry.transaction.id} className="flex items-center justify-between p-3 text-sm cursor-pointer hover:bg-gray-50">
+                    <span className="flex items-center space-x-3">
+                      <input
+                        type="checkbox"
+                        checked={ticked.includes(entry.transaction.id)}
+                        onChange={() => toggleTicked(entry.transaction.id)}
+                      />
+                      <span className="text-gray-500 w-24">{formatDate(entry.transaction.date)}</span>
+                      <span>{entry.transaction.description || categoryLabel(entry.transaction.category)}</span>
+                    </span>
+                    <span className={entry.amount < 0 ? 'text-red-600' : 'text-green-600'}>
+                      {entry.amount > 0 ? '+' : ''}{money(entry.amount, selected)}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="flex space-x-3">
+            <button
+              type="button"
+              onClick={handleFinishReconciliation}
+              disabled={!reconciliation.balanced}
+              className="bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {t('accounts.finish')}
+            </button>
+            <button
+              type="button"
+              onClick={() => setMode('ledger')}
+              className="bg-gray-300 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-400"
+            >
+              {t('common.cancel')}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -15,7 +15,7 @@ import {
   Filler
 } from 'chart.js';
 import { useState, useEffect } from 'react';
-import { useDashboard, useTransactions, useBudgets, useGoals } from '../../contexts';
+import { useDashboard, useBudgets, useGoals, useCurrency } from '../../contexts';
 import IncomeExpenseChart from './IncomeExpenseChart';
 import CashFlowRadar from './CashFlowRadar';
 import FinanceHealthScore from './FinanceHealthScore';
@@ -44,10 +44,12 @@ export default function AnalyticsPage({ filters }) {
     categoryBreakdown,
     monthlyTrends,
     financialHealthScore,
+    // Transactions converted to the base currency for charting
+    baseTransactions: transactions,
     loading: dashboardLoading 
   } = useDashboard();
   
-  const { transactions } = useTransactions();
+  const { formatAmount } = useCurrency();
   const { budgets } = useBudgets();
   const { goals } = useGoals();
   
@@ -99,14 +101,14 @@ export default function AnalyticsPage({ filters }) {
   const financialStats = [
     { 
       title: 'Total Balance', 
-      value: `$${financialSummary?.balance?.toFixed(2) || '0.00'}`,
+      value: formatAmount(financialSummary?.balance),
       trend: enhancedAnalytics?.cashFlowAnalysis?.trends?.netGrowth || 0,
       isLoading: dashboardLoading
     },
     { 
       title: 'Projected 30-day', 
       value: enhancedAnalytics 
-        ? `$${enhancedAnalytics.spendingForecast?.dailyProjections?.reduce((sum, day) => sum + day.projectedAmount, 0).toFixed(2) || '0.00'}`
+        ? formatAmount(enhancedAnalytics.spendingForecast?.dailyProjections?.reduce((sum, day) => sum + day.projectedAmount, 0))
         : 'Calculating...',
       subtitle: 'Spending Forecast',
       isLoading: analyticsLoading
@@ -252,6 +254,8 @@ export default function AnalyticsPage({ filters }) {
  * Fallback basic analytics view when enhanced analytics fail
  */
 function BasicAnalyticsView({ financialSummary, monthlyTrends, categoryBreakdown }) {
+  const { formatAmount } = useCurrency();
+
   return (
     <div className="space-y-6">
       <div className="grid md:grid-cols-2 gap-6">
@@ -293,7 +297,7 @@ function BasicAnalyticsView({ financialSummary, monthlyTrends, categoryBreakdown
         <div className="bg-white p-6 rounded-lg shadow-sm border">
           <h3 className="text-lg font-semibold mb-4">Current Balance</h3>
           <div className="text-4xl font-bold text-center py-12">
-            ${financialSummary?.balance?.toFixed(2) || '0.00'}
+            {formatAmount(financialSummary?.balance)}
           </div>
         </div>
       </div>
@@ -541,6 +545,8 @@ const CashFlowTab = ({ transactions, enhancedAnalytics, timeframe }) => {
  * Income analysis tab with stream breakdown
  */
 const IncomeTab = ({ enhancedAnalytics }) => {
+  const { formatAmount } = useCurrency();
+
   // Validate income data exists
   if (!enhancedAnalytics?.incomeBreakdown) {
     return (
@@ -584,7 +590,7 @@ const IncomeTab = ({ enhancedAnalytics }) => {
                   callbacks: {
                     label: function(context) {
                       const stream = streamEntries[context.dataIndex][1];
-                      return `${context.label}: ${stream.percentage.toFixed(1)}% ($${stream.total.toFixed(2)})`;
+                      return `${context.label}: ${stream.percentage.toFixed(1)}% (${formatAmount(stream.total)})`;
                     }
                   }
                 }
@@ -600,7 +606,7 @@ const IncomeTab = ({ enhancedAnalytics }) => {
         <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
           <div className="text-center p-4 bg-gray-50 rounded-lg">
             <div className="text-2xl font-bold text-gray-900">
-              ${totalIncome.toFixed(2)}
+              {formatAmount(totalIncome)}
             </div>
             <div className="text-sm text-gray-600">Total Income</div>
           </div>
@@ -632,6 +638,8 @@ const IncomeTab = ({ enhancedAnalytics }) => {
  * Forecast tab with spending predictions and recommendations
  */
 const ForecastTab = ({ enhancedAnalytics }) => {
+  const { baseCurrency } = useCurrency();
+
   // Validate forecast data exists
   if (!enhancedAnalytics?.spendingForecast) {
     return (
@@ -677,7 +685,7 @@ const ForecastTab = ({ enhancedAnalytics }) => {
                 y: { 
                   title: { 
                     display: true, 
-                    text: 'Amount ($)' 
+                    text: `Amount (${baseCurrency})` 
                   }, 
                   beginAtZero: true 
                 }
@@ -0,0 +1,371 @@
+// src/components/dashboard/BackupRestorePage.jsx
+import { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Download, Upload, Database, AlertTriangle, CheckCircle, XCircle, MinusCircle } from 'lucide-react';
+import {
+  useAuth,
+  useTransactions,
+  useAccounts,
+  useBudgets,
+  useGoals,
+  useDebt
+} from '../../contexts';
+import { backupService, CONFLICT_STRATEGIES, BROWSER_ONLY_DATA } from '../../services/backupService';
+import { downloadFile, buildExportFileName } from '../../utils/exportUtils';
+
+/**
+ * Full account backup and restore
+ *
+ * Features:
+ * - Versioned JSON snapshot of every collection (categories, transactions, accounts,
+ *   budgets, goals, debts, recurring transactions, moods and categorization rules)
+ * - Dry-run comparison against the current account before anything is written
+ * - Conflict handling per collection: skip, overwrite or duplicate
+ * - Row-by-row progress and failure report while replaying through the API
+ * - Lists the data kept only in this browser, which backups leave out
+ */
+export default function BackupRestorePage() {
+  const { user } = useAuth();
+  const { loadTransactions } = useTransactions();
+  const { loadAccounts } = useAccounts();
+  const { loadBudgets } = useBudgets();
+  const { loadGoals } = useGoals();
+  const { loadDebts } = useDebt();
+
+  const [step, setStep] = useState('select'); // select, preview, restoring, done
+  const [backing, setBacking] = useState(false);
+  const [warnings, setWarnings] = useState([]);
+  const [error, setError] = useState('');
+  const [backupFile, setBackupFile] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [strategies, setStrategies] = useState({});
+  const [expanded, setExpanded] = useState(null);
+  const [progress, setProgress] = useState({ completed: 0, total: 0 });
+  const [results, setResults] = useState([]);
+  const [report, setReport] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleDownloadBackup = async () => {
+    setBacking(true);
+    setError('');
+    try {
+      const { backup, warnings: loadWarnings } = await backupService.createBackup(user);
+      downloadFile(JSON.stringify(backup, null, 2), buildExportFileName('sultans-backup', 'json'), 'application/json');
+      setWarnings(loadWarnings);
+    } catch (err) {
+      console.error('Backup failed:', err);
+      setError('Could not create the backup. Please try again.');
+    } finally {
+      setBacking(false);
+    }
+  };
+
+  const handleFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError('');
+    setWarnings([]);
+
+    try {
+      const text = await file.text();
+      const backup = backupService.parseBackup(text);
+      const { data: currentData, warnings: loadWarnings } = await backupService.fetchSnapshot();
+      const restorePlan = backupService.buildRestorePlan(backup, currentData);
+
+      setBackupFile({ name: file.name, backup });
+      setPlan(restorePlan);
+      setStrategies(Object.fromEntries(restorePlan.collections.map(c => [c.key, 'skip'])));
+      setWarnings(loadWarnings);
+      setStep('preview');
+    } catch (err) {
+      console.error('Failed to read backup:', err);
+      setError(err.message || 'Could not read the backup file');
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!plan) return;
+
+    setStep('restoring');
+    setResults([]);
+    setProgress({ completed: 0, total: plan.totalRows });
+
+    try {
+      const restoreReport = await backupService.restore(plan, {
+        strategies,
+        onProgress: (result, completed, total) => {
+          setResults(prev => [...prev, result]);
+          setProgress({ completed, total });
+        }
+      });
+      setReport(restoreReport);
+
+      // Refresh every context so the restored data shows up immediately
+      await Promise.all([loadAccounts(), loadTransactions(), loadBudgets(), loadGoals(), loadDebts()]);
+    } catch (err) {
+      console.error('Restore failed:', err);
+      setError('Restore stopped unexpectedly. Rows already processed are listed below.');
+    } finally {
+      setStep('done');
+    }
+  };
+
+  const handleReset = () => {
+    setStep('select');
+    setBackupFile(null);
+    setPlan(null);
+    setResults([]);
+    setReport(null);
+    setExpanded(null);
+    setError('');
+  };
+
+  const resultIcon = (action) => {
+    switch (action) {
+      case 'created':
+      case 'updated':
+        return <CheckCircle size={14} className="text-green-600" />;
+      case 'skipped':
+        return <MinusCircle size={14} className="text-gray-400" />;
+      default:
+        return <XCircle size={14} className="text-red-600" />;
+    }
+  };
+
+  const failedResults = results.filter(r => r.action === 'failed');
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div>
+        <h2 className="text-2xl font-bold">Backup &amp; Restore</h2>
+        <p className="text-gray-600">Download the data stored in your account or restore it from a backup file</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+
+      {warnings.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm space-y-1">
+          {warnings.map(warning => (
+            <div key={warning} className="flex items-center space-x-2">
+              <AlertTriangle size={14} />
+              <span>{warning}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {step === 'select' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="bg-white p-6 rounded-lg border shadow-sm">
+            <div className="flex items-center space-x-3 mb-3">
+              <Download size={20} />
+              <h3 className="text-lg font-semibold">Create backup</h3>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Saves categories, transactions, accounts, budgets, goals, debts, recurring transactions, moods and
+              categorization rules to a single JSON file.
+            </p>
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={handleDownloadBackup}
+              disabled={backing}
+              className="bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors disabled:opacity-50"
+            >
+              {backing ? 'Preparing...' : 'Download backup'}
+            </motion.button>
+          </div>
+
+          <div className="bg-white p-6 rounded-lg border shadow-sm">
+            <div className="flex items-center space-x-3 mb-3">
+              <Upload size={20} />
+              <h3 className="text-lg font-semibold">Restore from backup</h3>
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Nothing is changed until you review the comparison and confirm the restore.
+            </p>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleFileSelected}
+              className="hidden"
+            />
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => fileInputRef.current?.click()}
+              className="border border-black px-4 py-2 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Choose backup file
+            </motion.button>
+          </div>
+
+          <div className="md:col-span-2 bg-gray-50 p-4 rounded-lg border text-sm text-gray-600">
+            <p className="font-medium text-gray-700 mb-1">Not included in backups</p>
+            <p className="mb-2">
+              Some data can be kept only in this browser, so a backup leaves it out and a restore does not bring it back:
+            </p>
+            <ul className="list-disc list-inside space-y-0.5">
+              {BROWSER_ONLY_DATA.map(item => <li key={item}>{item}</li>)}
+            </ul>
+          </div>
+        </div>
+      )}
+
+      {step === 'preview' && plan && (
+        <div className="bg-white p-6 rounded-lg border shadow-sm space-y-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-semibold flex items-center space-x-2">
+                <Database size={18} />
+                <span>Restore preview</span>
+              </h3>
+              <p className="text-sm text-gray-600">
+                {backupFile?.name}
+                {backupFile?.backup.exportedAt && ` · created ${new Date(backupFile.backup.exportedAt).toLocaleString()}`}
+                {backupFile?.backup.sourceVersion < backupFile?.backup.version && ` · upgraded from version ${backupFile.backup.sourceVersion}`}
+              </p>
+            </div>
+            <div className="text-sm text-gray-600">
+              {plan.totalRows} records · {plan.totalConflicts} conflicts
+            </div>
+          </div>
+
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2">Collection</th>
+                <th className="py-2">New</th>
+                <th className="py-2">Conflicts</th>
+                <th className="py-2">On conflict</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {plan.collections.map(collection => (
+                <tr key={collection.key} className="border-b align-top">
+                  <td className="py-2 font-medium">{collection.label}</td>
+                  <td className="py-2 text-green-700">{collection.newCount}</td>
+                  <td className="py-2 text-orange-600">{collection.conflictCount}</td>
+                  <td className="py-2">
+                    <select
+                      value={strategies[collection.key]}
+                      onChange={(e) => setStrategies(prev => ({ ...prev, [collection.key]: e.target.value }))}
+                      className="p-1 border rounded text-sm"
+                      aria-label={`Conflict strategy for ${collection.label}`}
+                    >
+                      {CONFLICT_STRATEGIES
+                        .filter(strategy => strategy !== 'overwrite' || collection.canOverwrite)
+                        .map(strategy => (
+                          <option key={strategy} value={strategy}>
+                            {strategy.charAt(0).toUpperCase() + strategy.slice(1)}
+                          </option>
+                        ))}
+                    </select>
+                  </td>
+                  <td className="py-2 text-right">
+                    {collection.rows.length > 0 && (
+                      <button
+                        onClick={() => setExpanded(expanded === collection.key ? null : collection.key)}
+                        className="text-blue-600 hover:underline"
+                      >
+                        {expanded === collection.key ? 'Hide' : 'Show'} rows
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {expanded && (
+            <div className="max-h-64 overflow-y-auto border rounded-lg divide-y text-sm">
+              {plan.collections.find(c => c.key === expanded).rows.map(row => (
+                <div key={row.index} className="flex justify-between px-3 py-2">
+                  <span className="truncate">{row.label}</span>
+                  <span className={row.status === 'conflict' ? 'text-orange-600' : 'text-green-700'}>
+                    {row.status === 'conflict' ? 'Exists' : 'New'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={handleReset}
+              className="px-4 py-2 border rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleRestore}
+              disabled={plan.totalRows === 0}
+              className="bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors disabled:opacity-50"
+            >
+              Restore {plan.totalRows} records
+            </button>
+          </div>
+        </div>
+      )}
+
+      {(step === 'restoring' || step === 'done') && (
+        <div className="bg-white p-6 rounded-lg border shadow-sm space-y-4">
+          <div>
+            <div className="flex justify-between text-sm mb-2">
+              <span className="font-medium">{step === 'restoring' ? 'Restoring...' : 'Restore finished'}</span>
+              <span className="text-gray-600">{progress.completed} / {progress.total}</span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2">
+              <div
+                className="bg-black h-2 rounded-full transition-all"
+                style={{ width: `${progress.total > 0 ? (progress.completed / progress.total) * 100 : 0}%` }}
+              />
+            </div>
+          </div>
+
+          {report && (
+            <div className="grid grid-cols-4 gap-4 text-center text-sm">
+              <div className="p-3 bg-green-50 rounded-lg"><div className="text-xl font-bold text-green-700">{report.created}</div>Created</div>
+              <div className="p-3 bg-blue-50 rounded-lg"><div className="text-xl font-bold text-blue-700">{report.updated}</div>Updated</div>
+              <div className="p-3 bg-gray-50 rounded-lg"><div className="text-xl font-bold text-gray-700">{report.skipped}</div>Skipped</div>
+              <div className="p-3 bg-red-50 rounded-lg"><div className="text-xl font-bold text-red-700">{report.failed}</div>Failed</div>
+            </div>
+          )}
+
+          <div className="max-h-72 overflow-y-auto border rounded-lg divide-y text-sm">
+            {(step === 'done' ? [...failedResults, ...results.filter(r => r.action !== 'failed')] : results.slice(-50)).map(result => (
+              <div key={`${result.collection}-${result.index}`} className="flex items-center justify-between px-3 py-2">
+                <span className="flex items-center space-x-2 truncate">
+                  {resultIcon(result.action)}
+                  <span className="text-gray-500">{result.collection}</span>
+                  <span className="truncate">{result.label}</span>
+                </span>
+                <span className={result.action === 'failed' ? 'text-red-600' : 'text-gray-500'}>
+                  {result.error || result.reason || result.action}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          {step === 'done' && (
+            <div className="flex justify-end">
+              <button
+                onClick={handleReset}
+                className="bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors"
+              >
+                Done
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
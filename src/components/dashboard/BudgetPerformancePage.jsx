@@ -0,0 +1,304 @@
+// src/components/dashboard/BudgetPerformancePage.jsx
+import { useState, useMemo, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { ArrowLeft, Award, Flame, TrendingDown, TrendingUp, Grid3x3, History } from 'lucide-react';
+import { useBudgets, useCategories, useCurrency, useDashboard, useI18n, useTransactions } from '../../contexts';
+import CategoryIcon from '../ui/CategoryIcon';
+import { buildOverspendHeatmap, snapshotClosedPeriods, summarizeBudgetPerformance } from '../../utils/budgetHistory';
+
+/** Months shown in the heatmap */
+const HEATMAP_MONTHS = 12;
+
+/**
+ * Heatmap cell colour for the share of the limit used
+ * @private
+ */
+const getHeatClass = (utilization) => {
+  if (utilization === null) return 'bg-gray-50 text-gray-300';
+  if (utilization > 1.25) return 'bg-red-500 text-white';
+  if (utilization > 1) return 'bg-red-200 text-red-800';
+  if (utilization > 0.8) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-green-100 text-green-800';
+};
+
+/**
+ * Budget performance over closed periods
+ *
+ * Features:
+ * - Adherence rate and streaks of periods within the limit for each budget
+ * - Average overspend in the periods that went over
+ * - Heatmap of the last twelve months, one row per category
+ * - Limit adjustments suggested from each budget's recent periods, applied in one click
+ *
+ * History comes from snapshots taken as each period closes. Without server support the page
+ * takes those snapshots itself from the transactions loaded in the browser.
+ */
+export default function BudgetPerformancePage() {
+  const {
+    budgets,
+    budgetHistory,
+    isHistoryManaged,
+    addLocalBudgetSnapshots,
+    getLimitSuggestions,
+    updateBudget
+  } = useBudgets();
+  const { baseTransactions } = useDashboard();
+  const { loading: transactionsLoading } = useTransactions();
+  const { getCategory, getCategoryFamily } = useCategories();
+  const { formatAmount } = useCurrency();
+  const { t, categoryLabel, formatDate } = useI18n();
+
+  const [applying, setApplying] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  // Snapshot periods that closed since the last visit when the server does not keep history
+  useEffect(() => {
+    if (isHistoryManaged || transactionsLoading || baseTransactions.length === 0) return;
+    const fresh = budgets.flatMap(budget =>
+      snapshotClosedPeriods(budget, baseTransactions, budgetHistory, { family: getCategoryFamily(budget.category) })
+    );
+    addLocalBudgetSnapshots(fresh);
+  }, [isHistoryManaged, transactionsLoading, baseTransactions, budgets, budgetHistory, getCategoryFamily, addLocalBudgetSnapshots]);
+
+  const performance = useMemo(() => summarizeBudgetPerformance(budgetHistory, budgets)
+    .sort((a, b) => a.adherenceRate - b.adherenceRate || b.averageOverspend - a.averageOverspend),
+  [budgetHistory, budgets]);
+
+  const heatmap = useMemo(() => buildOverspendHeatmap(
+    budgetHistory.filter(snapshot => budgets.some(budget => String(budget.id) === String(snapshot.budgetId))),
+    { months: HEATMAP_MONTHS }
+  ), [budgetHistory, budgets]);
+
+  const suggestions = getLimitSuggestions();
+
+  const totals = useMemo(() => {
+    const periods = performance.reduce((sum, entry) => sum + entry.periods, 0);
+    const over = performance.reduce((sum, entry) => sum + entry.overCount, 0);
+    return {
+      periods,
+      adherenceRate: periods > 0 ? (periods - over) / periods : 0,
+      onStreak: performance.filter(entry => entry.currentStreak >= 3).length
+    };
+  }, [performance]);
+
+  const monthLabel = (key) => {
+    const [year, monthNumber] = key.split('-').map(Number);
+    return formatDate(new Date(year, monthNumber - 1, 1), { month: 'short' });
+  };
+  const percent = (value) => `${Math.round(value * 100)}%`;
+
+  /**
+   * Sets a budget's limit to the suggested amount
+   */
+  const handleApplySuggestion = async (entry) => {
+    setError('');
+    setNotice('');
+    setApplying(entry.budgetId);
+    const result = await updateBudget(entry.budgetId, { limit: entry.suggestion.suggestedLimit });
+    setApplying(null);
+    if (result?.success === false) {
+      setError(result.error || t('budgetPerformance.updateError'));
+      return;
+    }
+    setNotice(t('budgetPerformance.limitSet', { name: entry.name, amount: formatAmount(entry.suggestion.suggestedLimit) }));
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <Link to="/dashboard/budgets" className="flex items-center space-x-1 text-sm text-blue-600 hover:underline mb-1">
+            <ArrowLeft size={14} />
+            <span>{t('budgetPerformance.back')}</span>
+          </Link>
+          <h2 className="text-2xl font-bold">{t('budgetPerformance.title')}</h2>
+          <p className="text-gray-600">{t('budgetPerformance.subtitle')}</p>
+        </div>
+        {!isHistoryManaged && (
+          <p className="text-xs text-gray-500 max-w-xs">
+            {t('budgetPerformance.savedLocally')}
+          </p>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">{notice}</div>
+      )}
+
+      {performance.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm p-12 text-center">
+          <History className="mx-auto text-gray-400 mb-4" size={48} />
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">{t('budgetPerformance.emptyTitle')}</h3>
+          <p className="text-gray-600">{t('budgetPerformance.emptyText')}</p>
+        </div>
+      ) : (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-white rounded-xl shadow-sm p-5">
+              <p className="text-sm text-gray-500">{t('budgetPerformance.periodsTracked')}</p>
+              <p className="text-2xl font-bold">{totals.periods}</p>
+            </div>
+            <div className="bg-white rounded-xl shadow-sm p-5">
+              <p className="text-sm text-gray-500">{t('budgetPerformance.withinBudget')}</p>
+              <p className="text-2xl font-bold">{percent(totals.adherenceRate)}</p>
+            </div>
+            <div className="bg-white rounded-xl shadow-sm p-5">
+              <p className="text-sm text-gray-500">{t('budgetPerformance.onStreak')}</p>
+              <p className="text-2xl font-bold">{totals.onStreak}</p>
+            </div>
+          </div>
+
+          {/* Suggested limit adjustments */}
+          {suggestions.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h3 className="font-semibold mb-4">{t('budgetPerformance.suggestions')}</h3>
+              <div className="space-y-3">
+                {suggestions.map(entry => {
+                  const raise = entry.suggestion.direction === 'raise';
+                  const budget = budgets.find(item => String(item.id) === String(entry.budgetId));
+                  return (
+                    <div key={entry.budgetId} className="flex flex-wrap items-center justify-between gap-3 border rounded-lg p-3">
+                      <div className="flex items-start space-x-3">
+                        {raise
+                          ? <TrendingUp className="text-orange-500 mt-0.5" size={20} />
+                          : <TrendingDown className="text-green-600 mt-0.5" size={20} />}
+                        <div>
+                          <p className="font-medium">
+                            {entry.name}: {formatAmount(budget?.limit ?? 0)} → {formatAmount(entry.suggestion.suggestedLimit)}
+                          </p>
+                          <p className="text-sm text-gray-600">{entry.suggestion.reason}</p>
+                        </div>
+                      </div>
+                      <motion.button
+                        whileHover={{ scale: 1.05 }}
+                        whileTap={{ scale: 0.95 }}
+                        onClick={() => handleApplySuggestion(entry)}
+                        disabled={applying === entry.budgetId}
+                        className="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50"
+                      >
+                        {applying === entry.budgetId ? t('budgetPerformance.applying') : t('budgetPerformance.apply')}
+                      </motion.button>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {/* Adherence per budget */}
+          <div className="bg-white rounded-xl shadow-sm p-6 overflow-x-auto">
+            <h3 className="font-semibold mb-4">{t('budgetPerformance.adherence')}</h3>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-2 font-medium">{t('budgetPerformance.budget')}</th>
+                  <th className="py-2 font-medium text-right">{t('budgetPerformance.periods')}</th>
+                  <th className="py-2 font-medium text-right">{t('budgetPerformance.withinLimit')}</th>
+                  <th className="py-2 font-medium text-right">{t('budgetPerformance.streak')}</th>
+                  <th className="py-2 font-medium text-right">{t('budgetPerformance.bestStreak')}</th>
+                  <th className="py-2 font-medium text-right">{t('budgetPerformance.averageSpent')}</th>
+                  <th className="py-2 font-medium text-right">{t('budgetPerformance.averageOverspend')}</th>
+                  <th className="py-2 font-medium text-right">{t('budgetPerformance.lastPeriod')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {performance.map(entry => {
+                  const category = getCategory(entry.category);
+                  const last = entry.lastSnapshot;
+                  return (
+                    <tr key={entry.budgetId} className="border-b last:border-0">
+                      <td className="py-2">
+                        <div className="flex items-center space-x-2">
+                          <CategoryIcon icon={category?.icon} color={category?.color} size={16} />
+                          <span>{entry.name}</span>
+                        </div>
+                      </td>
+                      <td className="py-2 text-right">{entry.periods}</td>
+                      <td className="py-2 text-right">
+                        <span className={entry.adherenceRate >= 0.8 ? 'text-green-600' : entry.adherenceRate >= 0.5 ? 'text-yellow-600' : 'text-red-600'}>
+                          {percent(entry.adherenceRate)}
+                        </span>
+                      </td>
+                      <td className="py-2 text-right">
+                        <span className="inline-flex items-center space-x-1">
+                          {entry.currentStreak >= 3 && <Flame className="text-orange-500" size={14} />}
+                          <span>{entry.currentStreak}</span>
+                        </span>
+                      </td>
+                      <td className="py-2 text-right">
+                        <span className="inline-flex items-center space-x-1">
+                          {entry.bestStreak > 0 && entry.bestStreak === entry.periods && <Award className="text-blue-500" size={14} />}
+                          <span>{entry.bestStreak}</span>
+                        </span>
+                      </td>
+                      <td className="py-2 text-right">{formatAmount(entry.averageSpent)}</td>
+                      <td className="py-2 text-right text-red-600">
+                        {entry.overCount > 0 ? formatAmount(entry.averageOverspend) : '—'}
+                      </td>
+                      <td className="py-2 text-right">
+                        <span className={last.status === 'over' ? 'text-red-600' : 'text-green-600'} title={last.label}>
+                          {formatAmount(last.spent)} / {formatAmount(last.effectiveLimit)}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Months over budget */}
+          <div className="bg-white rounded-xl shadow-sm p-6 overflow-x-auto">
+            <div className="flex items-center space-x-2 mb-4">
+              <Grid3x3 size={18} className="text-gray-500" />
+              <h3 className="font-semibold">{t('budgetPerformance.heatmap')}</h3>
+            </div>
+            <table className="text-xs">
+              <thead>
+                <tr>
+                  <th className="pr-3" />
+                  {heatmap.months.map(month => (
+                    <th key={month} className="px-1 pb-2 font-medium text-gray-500 w-12">{monthLabel(month)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {heatmap.rows.map(row => (
+                  <tr key={row.category}>
+                    <td className="pr-3 py-1 text-sm whitespace-nowrap">{categoryLabel(row.category)}</td>
+                    {row.cells.map(cell => (
+                      <td key={cell.month} className="p-0.5">
+                        <div
+                          className={`h-8 w-12 rounded flex items-center justify-center ${getHeatClass(cell.utilization)}`}
+                          title={cell.utilization === null
+                            ? t('budgetPerformance.noClosedPeriod')
+                            : t('budgetPerformance.ofLimit', { percentage: percent(cell.utilization) }) +
+                              (cell.periods > 1 ? t('budgetPerformance.periodsOver', { over: cell.overCount, count: cell.periods }) : '')}
+                        >
+                          {cell.utilization === null ? '' : percent(cell.utilization)}
+                        </div>
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex flex-wrap items-center gap-4 mt-4 text-xs text-gray-600">
+              <span className="flex items-center space-x-1"><span className="w-3 h-3 rounded bg-green-100" /><span>{t('budgetPerformance.legendUnder')}</span></span>
+              <span className="flex items-center space-x-1"><span className="w-3 h-3 rounded bg-yellow-100" /><span>{t('budgetPerformance.legendNear')}</span></span>
+              <span className="flex items-center space-x-1"><span className="w-3 h-3 rounded bg-red-200" /><span>{t('budgetPerformance.legendOver')}</span></span>
+              <span className="flex items-center space-x-1"><span className="w-3 h-3 rounded bg-red-500" /><span>{t('budgetPerformance.legendFarOver')}</span></span>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,15 +1,41 @@
 // src/components/dashboard/BudgetsPage.jsx
 import { motion } from 'framer-motion';
-import { Plus, TrendingUp, AlertTriangle, Trash2, Calculator, Settings, Lightbulb, RefreshCw } from 'lucide-react';
+import { Plus, TrendingUp, AlertTriangle, Trash2, Calculator, Settings, Lightbulb, RefreshCw, BarChart3 } from 'lucide-react';
 import { useState, useEffect } from 'react';
-import { useBudgets, useTransactions } from '../../contexts';
+import { Link } from 'react-router-dom';
+import { useBudgets, useTransactions, useCategories, useI18n } from '../../contexts';
 import { budgetsAPI } from '../../services/api';
+import CategoryOptions from '../ui/CategoryOptions';
+import CategoryIcon from '../ui/CategoryIcon';
+import {
+  BUDGET_PERIODS,
+  DEFAULT_CUSTOM_PERIOD_DAYS,
+  describeBudgetPeriod,
+  summarizeBudgetWindow,
+  validateBudgetPeriod
+} from '../../utils/budgetPeriods';
+
+/** Empty add-budget form; the category is filled in with the user's default */
+const EMPTY_BUDGET = {
+  name: '',
+  category: '',
+  limit: '',
+  period: 'monthly',
+  periodAnchor: '',
+  periodLengthDays: DEFAULT_CUSTOM_PERIOD_DAYS,
+  rolloverType: 'none',
+  rolloverAmount: 0,
+  allowExceed: false
+};
+
 /**
  * Smart budget management interface with rollover calculations
  * 
  * Features:
  * - Visual budget tracking with progress indicators
- * - Flexible rollover policies (full, partial, capped)
+ * - Weekly, two-weekly, twice-monthly, monthly, quarterly, yearly and custom cycles,
+ *   optionally lined up with a pay date
+ * - Flexible rollover policies (full, partial, capped) carried from the previous period
  * - Real-time spending calculation using transactions
  * - Budget creation, editing, and deletion
  * - Interactive rollover calculation tool
@@ -17,7 +43,7 @@ import { budgetsAPI } from '../../services/api';
  * Data Flow:
  * - Uses dedicated BudgetsContext for budget operations
  * - Calculates spent amounts from transaction data
- * - Supports multiple budget periods (weekly/monthly/yearly)
+ * - Spending and rollover are counted within each budget's current period
  * 
  * Error Handling:
  * - Context-level error display
@@ -45,6 +71,8 @@ export default function BudgetsPage({ filters }) {
   } = useBudgets();
   
   const { transactions, loadTransactions } = useTransactions();
+  const { categoryOptions, defaultCategory, getCategory, getCategoryFamily } = useCategories();
+  const { formatDate } = useI18n();
   
   // UI state management
   const [showAddForm, setShowAddForm] = useState(false);
@@ -53,15 +81,15 @@ export default function BudgetsPage({ filters }) {
   const [rolloverResult, setRolloverResult] = useState(null);
   const [budgetCheck, setBudgetCheck] = useState(null);
   const [formError, setFormError] = useState('');
-  const [newBudget, setNewBudget] = useState({
-    name: '',
-    category: 'Food',
-    limit: '',
-    period: 'monthly',
-    rolloverType: 'none',
-    rolloverAmount: 0,
-    allowExceed: false
-  });
+  const [newBudget, setNewBudget] = useState({ ...EMPTY_BUDGET, category: defaultCategory });
+
+  // Fall back to the default category when the chosen one has been renamed or archived, or before
+  // the categories have loaded
+  useEffect(() => {
+    if (defaultCategory && !categoryOptions.some(option => option.name === newBudget.category)) {
+      setNewBudget(prev => ({ ...prev, category: defaultCategory }));
+    }
+  }, [categoryOptions, defaultCategory, newBudget.category]);
     
 
   /**
@@ -144,12 +172,20 @@ export default function BudgetsPage({ filters }) {
       setFormError(`Please enter a valid ${newBudget.rolloverType === 'partial' ? 'percentage' : 'amount'} for rollover`);
       return;
     }
+
+    const periodError = validateBudgetPeriod(newBudget);
+    if (periodError) {
+      setFormError(periodError);
+      return;
+    }
     
     try {
       const budgetData = {
         category: newBudget.category,
         limit: parseFloat(newBudget.limit),
         period: newBudget.period,
+        periodAnchor: newBudget.periodAnchor || null,
+        periodLengthDays: Number(newBudget.periodLengthDays) || DEFAULT_CUSTOM_PERIOD_DAYS,
         rolloverType: newBudget.rolloverType,
         rolloverAmount: newBudget.rolloverType !== 'none' ? parseFloat(newBudget.rolloverAmount) : 0,
         allowExceed: newBudget.allowExceed
@@ -163,15 +199,7 @@ export default function BudgetsPage({ filters }) {
       
       if (result) {
         setShowAddForm(false);
-        setNewBudget({
-          name: '',
-          category: 'Food',
-          limit: '',
-          period: 'monthly',
-          rolloverType: 'none',
-          rolloverAmount: 0,
-          allowExceed: false
-        });
+        setNewBudget({ ...EMPTY_BUDGET, category: defaultCategory });
         setBudgetCheck(null);
       }
     } catch (err) {
@@ -331,6 +359,14 @@ export default function BudgetsPage({ filters }) {
             </motion.button>
           )}
 
+          <Link
+            to="/dashboard/budgets/performance"
+            className="flex items-center space-x-2 bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+          >
+            <BarChart3 size={20} />
+            <span>Performance</span>
+          </Link>
+
           <button
               onClick={handleSyncBudgets}
               className="flex items-center space-x-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors"
@@ -498,14 +534,7 @@ export default function BudgetsPage({ filters }) {
                   className="w-full p-2 border rounded-lg"
                   required
                 >
-                  <option value="Food">Food</option>
-                  <option value="Travel">Travel</option>
-                  <option value="Entertainment">Entertainment</option>
-                  <option value="Rent">Rent</option>
-                  <option value="Utilities">Utilities</option>
-                  <option value="Shopping">Shopping</option>
-                  <option value="Healthcare">Healthcare</option>
-                  <option value="Other">Other</option>
+                  <CategoryOptions value={newBudget.category} />
                 </select>
               </div>
 
@@ -517,12 +546,44 @@ export default function BudgetsPage({ filters }) {
                   className="w-full p-2 border rounded-lg"
                   required
                 >
-                  <option value="weekly">Weekly</option>
-                  <option value="monthly">Monthly</option>
-                  <option value="yearly">Yearly</option>
+                  {Object.entries(BUDGET_PERIODS).map(([value, { label }]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium mb-2">
+                  {newBudget.period === 'custom' ? 'Cycle Start Date *' : 'Pay Date (optional)'}
+                </label>
+                <input
+                  type="date"
+                  value={newBudget.periodAnchor}
+                  onChange={(e) => setNewBudget({...newBudget, periodAnchor: e.target.value})}
+                  className="w-full p-2 border rounded-lg"
+                  required={newBudget.period === 'custom'}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Periods start on this date and repeat from it. Leave empty to follow the calendar.
+                </p>
+              </div>
+
+              {newBudget.period === 'custom' && (
+                <div>
+                  <label className="block text-sm font-medium mb-2">Cycle Length (days) *</label>
+                  <input
+                    type="number"
+                    step="1"
+                    min="1"
+                    max="366"
+                    value={newBudget.periodLengthDays}
+                    onChange={(e) => setNewBudget({...newBudget, periodLengthDays: e.target.value})}
+                    className="w-full p-2 border rounded-lg"
+                    required
+                  />
+                </div>
+              )}
+
               <div>
                 <label className="block text-sm font-medium mb-2">Budget Limit ($) *</label>
                 <input
@@ -633,7 +694,7 @@ export default function BudgetsPage({ filters }) {
                   <span className="font-semibold">${rolloverResult.currentLimit?.toFixed(2)}</span>
                 </div>
                 <div className="flex justify-between items-center">
-                  <span className="text-gray-600">Spent This Month:</span>
+                  <span className="text-gray-600">Spent Last Period:</span>
                   <span className="font-semibold">${rolloverResult.spent?.toFixed(2)}</span>
                 </div>
                 <div className="flex justify-between items-center">
@@ -650,7 +711,7 @@ export default function BudgetsPage({ filters }) {
                 </div>
                 <div className="border-t pt-3 mt-3">
                   <div className="flex justify-between items-center">
-                    <span className="text-gray-700 font-medium">Next Month's Limit:</span>
+                    <span className="text-gray-700 font-medium">This Period's Limit:</span>
                     <span className="font-bold text-lg text-green-600">${rolloverResult.newLimit?.toFixed(2)}</span>
                   </div>
                 </div>
@@ -695,24 +756,18 @@ export default function BudgetsPage({ filters }) {
           </div>
         ) : (
           budgets.map((budget, index) => {
-            // Calculate spent from transactions (fallback if budget.spent is 0)
-            const now = new Date();
-            const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-            const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
-            
-            const spentFromTransactions = transactions
-              .filter(tx => 
-                tx.type === 'expense' && 
-                tx.category === budget.category &&
-                new Date(tx.date) >= startOfMonth &&
-                new Date(tx.date) <= endOfMonth
-              )
-              .reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+            // Parent-category budgets include their subcategories
+            const family = getCategoryFamily(budget.category);
+            const category = getCategory(budget.category);
+            const budgetWindow = summarizeBudgetWindow(budget, transactions, { family });
             
-            // Use database spent value if available, otherwise calculate from transactions
-            const spent = budget.spent > 0 ? budget.spent : spentFromTransactions;
-            const percentage = budget.limit > 0 ? (spent / budget.limit) * 100 : 0;
-            const remaining = Math.max(0, budget.limit - spent);
+            // Use the server's figures when they cover the same period, otherwise the local window
+            const serverWindow = budget.periodStart && new Date(budget.periodStart).getTime() === budgetWindow.period.start.getTime();
+            const spent = serverWindow ? budget.spent || 0 : budgetWindow.spent;
+            const limit = serverWindow ? budget.effectiveLimit ?? budget.limit : budgetWindow.effectiveLimit;
+            const rollover = serverWindow ? budget.rollover || 0 : budgetWindow.rollover;
+            const percentage = limit > 0 ? (spent / limit) * 100 : 0;
+            const remaining = Math.max(0, limit - spent);
             
             return (
               <motion.div
@@ -725,6 +780,7 @@ export default function BudgetsPage({ filters }) {
                 <div className="flex justify-between items-start mb-4">
                   <div className="flex-1">
                     <div className="flex items-center space-x-2 mb-1">
+                      <CategoryIcon icon={category?.icon} color={category?.color} size={18} />
                       <h3 className="font-semibold text-lg">{budget.name || budget.category}</h3>
                       {!budget.isActive && (
                         <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded">Inactive</span>
@@ -737,7 +793,11 @@ export default function BudgetsPage({ filters }) {
                       )}
                     </div>
                     <p className="text-gray-600">
-                      ${spent.toFixed(2)} of ${budget.limit.toFixed(2)} • {budget.period}
+                      ${spent.toFixed(2)} of ${limit.toFixed(2)} • {describeBudgetPeriod(budget, date => formatDate(date, { month: 'short', day: 'numeric' }))}
+                    </p>
+                    <p className="text-sm text-gray-500">
+                      {budgetWindow.period.label} • {budgetWindow.daysLeft} {budgetWindow.daysLeft === 1 ? 'day' : 'days'} left
+                      {rollover > 0 && <> • ${rollover.toFixed(2)} rolled over</>}
                     </p>
                     <p className={`text-sm ${remaining > 0 ? 'text-green-600' : 'text-red-600'}`}>
                       ${remaining.toFixed(2)} remaining
@@ -794,9 +854,9 @@ export default function BudgetsPage({ filters }) {
                 {percentage > 100 && (
                   <p className={`text-sm mt-2 ${budget.allowExceed ? 'text-yellow-600' : 'text-red-600'}`}>
                     {budget.allowExceed ? (
-                      <> ⚠ You've exceeded your budget by ${(spent - budget.limit).toFixed(2)}</>
+                      <> ⚠ You've exceeded your budget by ${(spent - limit).toFixed(2)}</>
                     ) : (
-                      <> ⛔ Budget exceeded by ${(spent - budget.limit).toFixed(2)}</>
+                      <> ⛔ Budget exceeded by ${(spent - limit).toFixed(2)}</>
                     )}
                   </p>
                 )}
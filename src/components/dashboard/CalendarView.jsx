@@ -2,9 +2,10 @@
 import { motion } from 'framer-motion';
 import { useState, useMemo } from 'react';
 import { ChevronLeft, ChevronRight, TrendingUp, TrendingDown } from 'lucide-react';
-import { useTransactions } from '../../contexts';
+import { useTransactions, useDashboard, useCurrency, useI18n } from '../../contexts';
 import { ArrowLeft } from 'lucide-react';
 import { useNavigate } from 'react-router-dom'; 
+import { getWeekdayHeaders } from '../../utils/calendarUtils';
 /**
  * Visual calendar interface for tracking daily spending patterns
  * 
@@ -31,7 +32,11 @@ export default function CalendarView() {
   const navigate = useNavigate();
   
   // Centralized transaction context for data consistency
-  const { transactions, loading, error } = useTransactions();
+  const { loading, error } = useTransactions();
+  // Base-currency amounts so daily totals can mix accounts in different currencies
+  const { baseTransactions: transactions } = useDashboard();
+  const { formatAmount } = useCurrency();
+  const { t, categoryLabel, formatDate, getMonthName, firstDayOfWeek } = useI18n();
   
   // UI state for navigation and selection
   const [currentDate, setCurrentDate] = useState(new Date());
@@ -79,7 +84,8 @@ export default function CalendarView() {
     // Calculate month boundaries
     const firstDay = new Date(year, month, 1);
     const lastDay = new Date(year, month + 1, 0);
-    const startDay = firstDay.getDay(); // 0 = Sunday, 6 = Saturday
+    // Offset from the user's first day of week (0 = Sunday, 6 = Saturday)
+    const startDay = (firstDay.getDay() - firstDayOfWeek + 7) % 7;
     const daysInMonth = lastDay.getDate();
     
     const days = [];
@@ -106,7 +112,7 @@ export default function CalendarView() {
     }
     
     return days;
-  }, [currentDate, transactionsByDate, dailyTotals]);
+  }, [currentDate, transactionsByDate, dailyTotals, firstDayOfWeek]);
 
   /**
    * Navigate between months while maintaining date validity
@@ -138,13 +144,9 @@ export default function CalendarView() {
     return 'bg-red-200 border-red-400';
   };
 
-  // Display constants
-  const monthNames = [
-    'January', 'February', 'March', 'April', 'May', 'June',
-    'July', 'August', 'September', 'October', 'November', 'December'
-  ];
-
-  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  // Display labels in the active language, starting from the user's first day of week
+  const monthLabel = formatDate(currentDate, { month: 'long', year: 'numeric' });
+  const dayNames = getWeekdayHeaders('short', firstDayOfWeek);
 
   // Loading state
   if (loading) {
@@ -159,7 +161,7 @@ export default function CalendarView() {
   if (error) {
     return (
       <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
-        Unable to load transaction data. Please try again later.
+        {t('calendar.loadError')}
       </div>
     );
   }
@@ -172,27 +174,27 @@ export default function CalendarView() {
               className="flex items-center gap-2 text-gray-600 hover:text-gray-800 transition-colors"
             >
               <ArrowLeft size={16} />
-              Back to Transactions
+              {t('calendar.back')}
             </button>
       <div className="bg-white rounded-lg shadow-sm border p-6">
         {/* Calendar header with navigation controls */}
         <div className="flex items-center justify-between mb-6">
-          <h2 className="text-xl font-bold">Spending Calendar</h2>
+          <h2 className="text-xl font-bold">{t('calendar.title')}</h2>
           <div className="flex items-center space-x-4">
             <button
               onClick={() => navigateMonth(-1)}
               className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-              aria-label="Previous month"
+              aria-label={t('calendar.previousMonth')}
             >
               <ChevronLeft size={20} />
             </button>
             <span className="text-lg font-semibold min-w-32 text-center">
-              {monthNames[currentDate.getMonth()]} {currentDate.getFullYear()}
+              {monthLabel}
             </span>
             <button
               onClick={() => navigateMonth(1)}
               className="p-2 hover:bg-gray-100 rounded-lg transition-colors"
-              aria-label="Next month"
+              aria-label={t('calendar.nextMonth')}
             >
               <ChevronRight size={20} />
             </button>
@@ -224,7 +226,7 @@ export default function CalendarView() {
               `}
               role="button"
               tabIndex={day ? 0 : -1}
-              aria-label={day ? `${monthNames[currentDate.getMonth()]} ${day.day}` : 'Empty calendar cell'}
+              aria-label={day ? `${getMonthName(currentDate.getMonth())} ${day.day}` : t('calendar.emptyCell')}
               aria-selected={selectedDate?.date.toDateString() === day?.date.toDateString()}
             >
               {day && (
@@ -244,7 +246,7 @@ export default function CalendarView() {
                           day.total > 0 ? 'text-green-600' : 'text-red-600'
                         }`}>
                           {day.total > 0 ? <TrendingUp size={12} /> : <TrendingDown size={12} />}
-                          <span>${Math.abs(day.total).toFixed(0)}</span>
+                          <span>{formatAmount(Math.abs(day.total))}</span>
                         </div>
                         {day.transactions.length > 0 && (
                           <div className="text-xs text-gray-500">
@@ -267,10 +269,10 @@ export default function CalendarView() {
             animate={{ opacity: 1, y: 0 }}
             className="mt-6 p-4 bg-gray-50 rounded-lg"
             role="region"
-            aria-label={`Transactions for ${selectedDate.date.toLocaleDateString()}`}
+            aria-label={t('calendar.transactionsFor', { date: formatDate(selectedDate.date) })}
           >
             <h3 className="font-semibold mb-3">
-              {selectedDate.date.toLocaleDateString('en-US', { 
+              {formatDate(selectedDate.date, { 
                 weekday: 'long', 
                 year: 'numeric', 
                 month: 'long', 
@@ -279,15 +281,15 @@ export default function CalendarView() {
             </h3>
             
             {selectedDate.transactions.length === 0 ? (
-              <p className="text-gray-500">No transactions on this day</p>
+              <p className="text-gray-500">{t('calendar.noTransactions')}</p>
             ) : (
               <div className="space-y-2">
                 <div className="flex justify-between text-sm">
-                  <span>Net Flow:</span>
+                  <span>{t('calendar.netFlow')}</span>
                   <span className={`font-medium ${
                     selectedDate.total >= 0 ? 'text-green-600' : 'text-red-600'
                   }`}>
-                    {selectedDate.total >= 0 ? '+' : ''}${selectedDate.total.toFixed(2)}
+                    {selectedDate.total >= 0 ? '+' : ''}{formatAmount(selectedDate.total)}
                   </span>
                 </div>
                 
@@ -296,13 +298,13 @@ export default function CalendarView() {
                   {selectedDate.transactions.map(tx => (
                     <div key={tx.id} className="flex justify-between items-center text-sm p-2 bg-white rounded">
                       <div>
-                        <span className="font-medium">{tx.category}</span>
+                        <span className="font-medium">{categoryLabel(tx.category)}</span>
                         {tx.description && (
                           <span className="text-gray-500 ml-2">- {tx.description}</span>
                         )}
                       </div>
                       <span className={tx.amount >= 0 ? 'text-green-600' : 'text-red-600'}>
-                        {tx.amount >= 0 ? '+' : ''}${Math.abs(tx.amount).toFixed(2)}
+                        {tx.amount >= 0 ? '+' : ''}{formatAmount(Math.abs(tx.originalAmount ?? tx.amount), tx.originalCurrency)}
                       </span>
                     </div>
                   ))}
@@ -316,15 +318,15 @@ export default function CalendarView() {
         <div className="mt-4 flex items-center justify-center space-x-4 text-xs text-gray-600">
           <div className="flex items-center space-x-1">
             <div className="w-3 h-3 bg-red-50 border border-red-200 rounded"></div>
-            <span>Low Spending</span>
+            <span>{t('calendar.lowSpending')}</span>
           </div>
           <div className="flex items-center space-x-1">
             <div className="w-3 h-3 bg-red-200 border border-red-400 rounded"></div>
-            <span>High Spending</span>
+            <span>{t('calendar.highSpending')}</span>
           </div>
           <div className="flex items-center space-x-1">
             <div className="w-3 h-3 bg-green-100 border border-green-300 rounded"></div>
-            <span>Income</span>
+            <span>{t('calendar.income')}</span>
           </div>
         </div>
       </div>
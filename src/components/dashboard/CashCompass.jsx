@@ -8,6 +8,7 @@ import {
 import { ArrowLeft } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { useTransactions, useBudgets, useTransactionMood } from '../../contexts';
+import { summarizeBudgetWindow } from '../../utils/budgetPeriods';
 
 /**
  * Cash Compass: AI-powered financial behavior analysis tool
@@ -123,18 +124,16 @@ export default function CashCompass() {
     }
     // Budget adherence analysis - warn when approaching or exceeding limits
     budgets.forEach(budget => {
-      // Calculate spent amount for this budget category
-      const spent = transactions
-        .filter(tx => tx.type === 'expense' && tx.category === budget.category)
-        .reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+      // Spent in the budget's current period, against its limit plus rollover
+      const { spent, effectiveLimit } = summarizeBudgetWindow(budget, transactions);
       
       // Alert when reaching 80% of budget (industry standard warning threshold)
-      if (spent > budget.limit * 0.8) {
+      if (spent > effectiveLimit * 0.8) {
         recs.push({
           type: 'budget',
           icon: Target,
           title: `${budget.category} Budget Alert`,
-          message: `You've used ${((spent / budget.limit) * 100).toFixed(1)}% of your ${budget.category} budget.`,
+          message: `You've used ${((spent / effectiveLimit) * 100).toFixed(1)}% of your ${budget.category} budget.`,
           action: `Consider reducing ${budget.category} spending for the rest of the period`
         });
       }
@@ -1,7 +1,7 @@
 // src/components/dashboard/CashFlowRadar.jsx
 import { useMemo } from 'react';
 import { AlertTriangle, TrendingUp, TrendingDown, Calendar, Zap, Target } from 'lucide-react';
-import { useTransactions } from '../../contexts';
+import { useTransactions, useCurrency } from '../../contexts';
 
 /**
  * Predictive cash flow risk analysis and forecasting component
@@ -68,6 +68,7 @@ const generateBalanceHistoryFromCashFlow = (periods) => {
 
 const CashFlowRadar = ({ transactions, timeframe, enhancedData }) => {
   const { loading: transactionsLoading, error: transactionsError } = useTransactions();
+  const { formatAmount } = useCurrency();
 
   /**
    * Main cash flow data calculation with fallback logic
@@ -350,9 +351,9 @@ const CashFlowRadar = ({ transactions, timeframe, enhancedData }) => {
                 }`}
                 title={
                   riskDay 
-                    ? `Day ${day}: $${riskDay.balance?.toFixed(2) || '0.00'} (${riskDay.severity} risk)`
+                    ? `Day ${day}: ${formatAmount(riskDay.balance)} (${riskDay.severity} risk)`
                     : forecastDay
-                    ? `Day ${day}: Projected $${forecastDay.projectedAmount?.toFixed(2) || '0.00'}`
+                    ? `Day ${day}: Projected ${formatAmount(forecastDay.projectedAmount)}`
                     : `Day ${day}: No risk`
                 }
                 role="listitem"
@@ -415,15 +416,15 @@ const CashFlowRadar = ({ transactions, timeframe, enhancedData }) => {
                   <div
                     className={`w-full rounded-t ${barColor}`}
                     style={{ height: '100%' }}
-                    title={`Day ${index}: $${balance?.toFixed(2) || '0.00'}`}
+                    title={`Day ${index}: ${formatAmount(balance)}`}
                     aria-hidden="true"
                   />
                   {/* Enhanced tooltip on hover */}
                   <div className="absolute bottom-full left-1/2 transform -translate-x-1/2 mb-2 bg-gray-900 text-white text-xs rounded py-1 px-2 opacity-0 group-hover:opacity-100 transition-opacity whitespace-nowrap z-10 pointer-events-none">
-                    <div>Day {index}: ${balance?.toFixed(2) || '0.00'}</div>
+                    <div>Day {index}: {formatAmount(balance)}</div>
                     {enhancedData?.cashFlowAnalysis?.periods?.[index] && (
                       <div className="text-gray-300">
-                        Net: ${enhancedData.cashFlowAnalysis.periods[index].net?.toFixed(2) || '0.00'}
+                        Net: {formatAmount(enhancedData.cashFlowAnalysis.periods[index].net)}
                       </div>
                     )}
                   </div>
@@ -455,7 +456,7 @@ const CashFlowRadar = ({ transactions, timeframe, enhancedData }) => {
                       Day {riskDay.day} - {riskDay.type.replace('_', ' ')}
                     </div>
                     <div className="text-xs text-gray-500">
-                      Income: ${riskDay.income?.toFixed(2) || '0.00'} • Expense: ${riskDay.expense?.toFixed(2) || '0.00'}
+                      Income: {formatAmount(riskDay.income)} • Expense: {formatAmount(riskDay.expense)}
                     </div>
                   </div>
                 </div>
@@ -463,7 +464,7 @@ const CashFlowRadar = ({ transactions, timeframe, enhancedData }) => {
                   <div className={`text-sm font-semibold ${
                     riskDay.balance < 0 ? 'text-red-600' : 'text-orange-600'
                   }`}>
-                    ${riskDay.balance?.toFixed(2) || '0.00'}
+                    {formatAmount(riskDay.balance)}
                   </div>
                   <div className={`text-xs px-2 py-1 rounded-full ${
                     riskDay.severity === 'high' ? 'bg-red-100 text-red-700' :
@@ -512,13 +513,13 @@ const CashFlowRadar = ({ transactions, timeframe, enhancedData }) => {
           <div>
             <div className="text-gray-600">Avg Daily Income</div>
             <div className="font-semibold text-green-600">
-              ${cashFlowData.avgDailyIncome?.toFixed(2) || '0.00'}
+              {formatAmount(cashFlowData.avgDailyIncome)}
             </div>
           </div>
           <div>
             <div className="text-gray-600">Avg Daily Expense</div>
             <div className="font-semibold text-red-600">
-              ${cashFlowData.avgDailyExpense?.toFixed(2) || '0.00'}
+              {formatAmount(cashFlowData.avgDailyExpense)}
             </div>
           </div>
         </div>
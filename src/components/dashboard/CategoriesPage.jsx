@@ -0,0 +1,413 @@
+// src/components/dashboard/CategoriesPage.jsx
+import { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Plus, Pencil, Archive, ArchiveRestore, GitMerge, X, Check } from 'lucide-react';
+import { useCategories, useTransactions, useI18n } from '../../contexts';
+import CategoryIcon from '../ui/CategoryIcon';
+import { CATEGORY_COLORS, CATEGORY_ICONS, buildCategoryTree } from '../../utils/categoryUtils';
+
+const EMPTY_FORM = { name: '', parentId: '', color: CATEGORY_COLORS[0], icon: 'tag' };
+
+/**
+ * Colour swatches and icon grid shared by the create and edit forms
+ * @private
+ */
+function AppearancePicker({ color, icon, onChange }) {
+  const { t } = useI18n();
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        {CATEGORY_COLORS.map(swatch => (
+          <button
+            key={swatch}
+            type="button"
+            onClick={() => onChange({ color: swatch })}
+            className={`w-6 h-6 rounded-full border-2 ${color === swatch ? 'border-black' : 'border-transparent'}`}
+            style={{ backgroundColor: swatch }}
+            aria-label={t('categoryManager.colour', { colour: swatch })}
+          />
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {CATEGORY_ICONS.map(key => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => onChange({ icon: key })}
+            className={`p-2 rounded ${icon === key ? 'bg-gray-200' : 'hover:bg-gray-100'}`}
+            aria-label={t('categoryManager.icon', { icon: key })}
+          >
+            <CategoryIcon icon={key} color={color} />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Category management
+ *
+ * Features:
+ * - Custom categories and one level of subcategories
+ * - Colour and icon per category, used by charts, filters and budgets
+ * - Rename (re-tags historical transactions and budgets)
+ * - Merge one category into another
+ * - Archive categories that should no longer be offered for new transactions
+ */
+export default function CategoriesPage() {
+  const {
+    categories,
+    isManaged,
+    createCategory,
+    updateCategory,
+    archiveCategory,
+    mergeCategories
+  } = useCategories();
+  const { transactions = [] } = useTransactions();
+  const { t, categoryLabel } = useI18n();
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [merging, setMerging] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const tree = useMemo(
+    () => buildCategoryTree(categories, { includeArchived: showArchived }),
+    [categories, showArchived]
+  );
+
+  const parentChoices = categories.filter(category => !category.parentId && !category.archived);
+
+  const usage = useMemo(() => transactions.reduce((counts, transaction) => {
+    const name = transaction.category || 'Uncategorized';
+    counts[name] = (counts[name] || 0) + 1;
+    return counts;
+  }, {}), [transactions]);
+
+  const showNotice = (message) => {
+    setError('');
+    setNotice(message);
+  };
+
+  /**
+   * Describes how many records a rename or merge re-tagged
+   * @private
+   */
+  const describeRetagged = (retagged) => {
+    if (!retagged) return '';
+    const parts = [];
+    if (retagged.transactions) parts.push(t('categoryManager.retaggedTransactions', { count: retagged.transactions }));
+    if (retagged.budgets) parts.push(t('categoryManager.retaggedBudgets', { count: retagged.budgets }));
+    if (retagged.recurringTransactions) {
+      parts.push(t('categoryManager.retaggedRecurring', { count: retagged.recurringTransactions }));
+    }
+    if (retagged.rules) parts.push(t('categoryManager.retaggedRules', { count: retagged.rules }));
+    return parts.length ? t('categoryManager.retagged', { items: parts.join(', ') }) : '';
+  };
+
+  const runAction = async (action, successMessage) => {
+    setSaving(true);
+    const result = await action();
+    setSaving(false);
+    if (!result?.success) {
+      setError(result?.error || t('categoryManager.saveError'));
+      return false;
+    }
+    showNotice(successMessage(result.data));
+    return true;
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const payload = { ...form, name: form.name.trim(), parentId: form.parentId || null };
+    const created = await runAction(
+      () => createCategory(payload),
+      () => t('categoryManager.created', { name: payload.name })
+    );
+    if (created) setForm(EMPTY_FORM);
+  };
+
+  const startEdit = (category) => {
+    setMerging(null);
+    setEditing({
+      id: category.id,
+      name: category.name,
+      parentId: category.parentId || '',
+      color: category.color || CATEGORY_COLORS[0],
+      icon: category.icon || 'tag'
+    });
+  };
+
+  const handleSaveEdit = async () => {
+    const { id, ...fields } = editing;
+    const saved = await runAction(
+      () => updateCategory(id, { ...fields, name: fields.name.trim(), parentId: fields.parentId || null }),
+      (data) => t('categoryManager.saved', { name: fields.name.trim(), retagged: describeRetagged(data?.retagged) })
+    );
+    if (saved) setEditing(null);
+  };
+
+  const handleArchive = (category) => runAction(
+    () => archiveCategory(category.id, !category.archived),
+    () => t(category.archived ? 'categoryManager.restored' : 'categoryManager.archived', { name: categoryLabel(category.name) })
+  );
+
+  const handleMerge = async () => {
+    const source = categories.find(category => String(category.id) === String(merging.id));
+    const target = categories.find(category => String(category.id) === String(merging.targetId));
+    if (!source || !target) {
+      setError(t('categoryManager.chooseTarget'));
+      return;
+    }
+    const names = { source: categoryLabel(source.name), target: categoryLabel(target.name) };
+    if (!window.confirm(t('categoryManager.mergeConfirm', names))) {
+      return;
+    }
+    const merged = await runAction(
+      () => mergeCategories(source.id, target.id),
+      (data) => t('categoryManager.merged', { ...names, retagged: describeRetagged(data?.retagged) })
+    );
+    if (merged) setMerging(null);
+  };
+
+  const renderRow = (category, depth) => {
+    const isEditing = editing && String(editing.id) === String(category.id);
+    const isMerging = merging && String(merging.id) === String(category.id);
+    const hasChildren = categories.some(child => String(child.parentId) === String(category.id));
+
+    return (
+      <div key={category.id} className={`py-3 ${depth > 0 ? 'pl-8' : ''}`}>
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3">
+            <span
+              className="w-8 h-8 rounded-full flex items-center justify-center"
+              style={{ backgroundColor: `${category.color || '#6b7280'}20` }}
+            >
+              <CategoryIcon icon={category.icon} color={category.color} />
+            </span>
+            <div>
+              <div className={`font-medium ${category.archived ? 'text-gray-400 line-through' : ''}`}>
+                {categoryLabel(category.name)}
+              </div>
+              <div className="text-xs text-gray-500">
+                {t('common.transactionCount', { count: usage[category.name] || 0 })}
+                {category.archived && t('categoryManager.archivedTag')}
+              </div>
+            </div>
+          </div>
+
+          {isManaged && (
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={() => startEdit(category)}
+                className="p-2 hover:bg-gray-100 rounded"
+                title={t('categoryManager.editNamed', { name: categoryLabel(category.name) })}
+              >
+                <Pencil size={16} />
+              </button>
+              <button
+                onClick={() => {
+                  setEditing(null);
+                  setMerging({ id: category.id, targetId: '' });
+                }}
+                className="p-2 hover:bg-gray-100 rounded"
+                title={t('categoryManager.mergeNamed', { name: categoryLabel(category.name) })}
+              >
+                <GitMerge size={16} />
+              </button>
+              <button
+                onClick={() => handleArchive(category)}
+                disabled={saving}
+                className="p-2 hover:bg-gray-100 rounded disabled:opacity-50"
+                title={t(category.archived ? 'categoryManager.restoreNamed' : 'categoryManager.archiveNamed', { name: categoryLabel(category.name) })}
+              >
+                {category.archived ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {isEditing && (
+          <div className="mt-3 p-4 bg-gray-50 rounded-lg space-y-3">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                className="p-2 border rounded-lg"
+                aria-label={t('categoryManager.name')}
+              />
+              <select
+                value={editing.parentId}
+                onChange={(e) => setEditing(prev => ({ ...prev, parentId: e.target.value }))}
+                disabled={hasChildren}
+                className="p-2 border rounded-lg disabled:opacity-50"
+                aria-label={t('categoryManager.parent')}
+              >
+                <option value="">{t('categoryManager.noParent')}</option>
+                {parentChoices
+                  .filter(parent => String(parent.id) !== String(category.id))
+                  .map(parent => (
+                    <option key={parent.id} value={parent.id}>{categoryLabel(parent.name)}</option>
+                  ))}
+              </select>
+            </div>
+            <AppearancePicker
+              color={editing.color}
+              icon={editing.icon}
+              onChange={(changes) => setEditing(prev => ({ ...prev, ...changes }))}
+            />
+            {editing.name.trim() !== category.name && (
+              <p className="text-xs text-gray-500">
+                {t('categoryManager.renameHint', { name: category.name })}
+              </p>
+            )}
+            <div className="flex space-x-2">
+              <button
+                onClick={handleSaveEdit}
+                disabled={saving}
+                className="flex items-center space-x-1 px-3 py-2 text-sm bg-black text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+              >
+                <Check size={14} />
+                <span>{t('common.save')}</span>
+              </button>
+              <button
+                onClick={() => setEditing(null)}
+                className="flex items-center space-x-1 px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+              >
+                <X size={14} />
+                <span>{t('common.cancel')}</span>
+              </button>
+            </div>
+          </div>
+        )}
+
+        {isMerging && (
+          <div className="mt-3 p-4 bg-gray-50 rounded-lg flex flex-wrap items-center gap-2">
+            <span className="text-sm">{t('categoryManager.mergeInto')}</span>
+            <select
+              value={merging.targetId}
+              onChange={(e) => setMerging(prev => ({ ...prev, targetId: e.target.value }))}
+              className="p-2 border rounded-lg text-sm"
+              aria-label={t('categoryManager.mergeTarget')}
+            >
+              <option value="">{t('categoryManager.chooseCategory')}</option>
+              {categories
+                .filter(target => String(target.id) !== String(category.id) && !target.archived)
+                .map(target => (
+                  <option key={target.id} value={target.id}>{categoryLabel(target.name)}</option>
+                ))}
+            </select>
+            <button
+              onClick={handleMerge}
+              disabled={saving || !merging.targetId}
+              className="px-3 py-2 text-sm bg-black text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+            >
+              {t('categoryManager.merge')}
+            </button>
+            <button
+              onClick={() => setMerging(null)}
+              className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              {t('common.cancel')}
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div>
+        <h2 className="text-2xl font-bold">{t('categoryManager.title')}</h2>
+        <p className="text-gray-600">{t('categoryManager.subtitle')}</p>
+      </div>
+
+      {!isManaged && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg">
+          {t('categoryManager.unmanaged')}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">{notice}</div>
+      )}
+
+      {/* New category */}
+      {isManaged && (
+        <form onSubmit={handleCreate} className="bg-white p-6 rounded-lg border shadow-sm space-y-4">
+          <h3 className="text-lg font-semibold">{t('categoryManager.newCategory')}</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder={t('categoryManager.name')}
+              className="p-2 border rounded-lg"
+              maxLength={40}
+              required
+            />
+            <select
+              value={form.parentId}
+              onChange={(e) => setForm(prev => ({ ...prev, parentId: e.target.value }))}
+              className="p-2 border rounded-lg"
+              aria-label={t('categoryManager.parent')}
+            >
+              <option value="">{t('categoryManager.noParent')}</option>
+              {parentChoices.map(parent => (
+                <option key={parent.id} value={parent.id}>{categoryLabel(parent.name)}</option>
+              ))}
+            </select>
+          </div>
+          <AppearancePicker
+            color={form.color}
+            icon={form.icon}
+            onChange={(changes) => setForm(prev => ({ ...prev, ...changes }))}
+          />
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            type="submit"
+            disabled={saving}
+            className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors disabled:opacity-50"
+          >
+            <Plus size={16} />
+            <span>{t('categoryManager.add')}</span>
+          </motion.button>
+        </form>
+      )}
+
+      {/* Category tree */}
+      <div className="bg-white p-6 rounded-lg border shadow-sm">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">{t('categoryManager.yours')}</h3>
+          <label className="flex items-center space-x-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showArchived}
+              onChange={(e) => setShowArchived(e.target.checked)}
+            />
+            <span>{t('categoryManager.showArchived')}</span>
+          </label>
+        </div>
+        <div className="divide-y">
+          {tree.map(({ children, ...category }) => (
+            <div key={category.id}>
+              {renderRow(category, 0)}
+              {children.map(child => renderRow(child, 1))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,292 @@
+// src/components/dashboard/CurrencySettingsPage.jsx
+import { useState, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { Globe, Upload, RotateCcw, Plus, Trash2, Wallet } from 'lucide-react';
+import { useAccounts, useCurrency } from '../../contexts';
+import { SUPPORTED_CURRENCIES } from '../../utils/currencyUtils';
+
+/**
+ * Currency and exchange-rate settings
+ *
+ * Features:
+ * - Base reporting currency used for every total, chart and budget check
+ * - Editable exchange-rate table, expressed against the base currency
+ * - Rate import from a local JSON or CSV file
+ * - Per-account currency
+ */
+export default function CurrencySettingsPage() {
+  const { accounts = [], updateAccount } = useAccounts();
+  const {
+    baseCurrency,
+    rateTable,
+    setBaseCurrency,
+    updateRate,
+    removeRate,
+    importRates,
+    resetRates,
+    formatAmount
+  } = useCurrency();
+
+  const [drafts, setDrafts] = useState({});
+  const [newRate, setNewRate] = useState({ code: '', rate: '' });
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [savingAccountId, setSavingAccountId] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const rateEntries = Object.entries(rateTable.rates || {})
+    .filter(([code]) => code !== rateTable.base)
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const showNotice = (message) => {
+    setError('');
+    setNotice(message);
+  };
+
+  const handleSaveRate = (code) => {
+    try {
+      updateRate(code, drafts[code]);
+      setDrafts(prev => {
+        const { [code]: _saved, ...rest } = prev;
+        return rest;
+      });
+      showNotice(`Rate for ${code} updated`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddRate = (e) => {
+    e.preventDefault();
+    const code = newRate.code.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) {
+      setError('Enter a three-letter currency code, e.g. EUR');
+      return;
+    }
+    try {
+      updateRate(code, newRate.rate);
+      setNewRate({ code: '', rate: '' });
+      showNotice(`Rate for ${code} added`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = await importRates(file);
+      showNotice(`Imported ${Object.keys(imported.rates).length} rates from ${file.name}`);
+    } catch (err) {
+      setError(err.message || 'Could not read the rate file');
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm('Replace your exchange rates with the built-in defaults?')) {
+      resetRates();
+      setDrafts({});
+      showNotice('Exchange rates reset to defaults');
+    }
+  };
+
+  const handleAccountCurrency = async (account, currency) => {
+    setSavingAccountId(account.id);
+    const result = await updateAccount(account.id, { currency });
+    setSavingAccountId(null);
+    if (result?.success === false) {
+      setError(result.error || `Could not update ${account.name}`);
+    } else {
+      showNotice(`${account.name} now uses ${currency}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div>
+        <h2 className="text-2xl font-bold">Currency</h2>
+        <p className="text-gray-600">Choose the currency your totals are reported in and manage exchange rates</p>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+      {notice && !error && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">{notice}</div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {/* Base currency */}
+        <div className="bg-white p-6 rounded-lg border shadow-sm">
+          <div className="flex items-center space-x-3 mb-3">
+            <Globe size={20} />
+            <h3 className="text-lg font-semibold">Base currency</h3>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Balances, charts and budget checks are converted to this currency. Budget limits are read in it too.
+          </p>
+          <select
+            value={baseCurrency}
+            onChange={(e) => setBaseCurrency(e.target.value)}
+            className="w-full p-2 border rounded-lg"
+          >
+            {SUPPORTED_CURRENCIES.map(({ code, name }) => (
+              <option key={code} value={code}>{code} - {name}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-2">Example: {formatAmount(1234.5)}</p>
+        </div>
+
+        {/* Accounts */}
+        <div className="bg-white p-6 rounded-lg border shadow-sm">
+          <div className="flex items-center space-x-3 mb-3">
+            <Wallet size={20} />
+            <h3 className="text-lg font-semibold">Account currencies</h3>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            Transactions without their own currency use the currency of their account.
+          </p>
+          {accounts.length === 0 ? (
+            <p className="text-sm text-gray-500">No accounts yet.</p>
+          ) : (
+            <div className="space-y-2">
+              {accounts.map(account => (
+                <div key={account.id} className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium">{account.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {formatAmount(account.balance, account.currency || baseCurrency)}
+                    </div>
+                  </div>
+                  <select
+                    value={account.currency || baseCurrency}
+                    onChange={(e) => handleAccountCurrency(account, e.target.value)}
+                    disabled={savingAccountId === account.id}
+                    className="p-2 border rounded-lg text-sm disabled:opacity-50"
+                    aria-label={`Currency for ${account.name}`}
+                  >
+                    {SUPPORTED_CURRENCIES.map(({ code }) => (
+                      <option key={code} value={code}>{code}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Exchange rates */}
+      <div className="bg-white p-6 rounded-lg border shadow-sm">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <div>
+            <h3 className="text-lg font-semibold">Exchange rates</h3>
+            <p className="text-sm text-gray-600">
+              Units of each currency per 1 {rateTable.base}
+              {rateTable.updatedAt && ` • updated ${new Date(rateTable.updatedAt).toLocaleString()}`}
+              {rateTable.source && ` • ${rateTable.source}`}
+            </p>
+          </div>
+          <div className="flex space-x-2">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => fileInputRef.current?.click()}
+              className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors"
+            >
+              <Upload size={16} />
+              <span>Import file</span>
+            </motion.button>
+            <button
+              onClick={handleReset}
+              className="flex items-center space-x-2 bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              <RotateCcw size={16} />
+              <span>Reset</span>
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.csv,.txt,application/json,text/csv"
+              onChange={handleImport}
+              className="hidden"
+            />
+          </div>
+        </div>
+
+        <p className="text-xs text-gray-500 mb-4">
+          Import a JSON file shaped like {'{ "base": "USD", "rates": { "EUR": 0.92 } }'} or a CSV with one
+          &quot;CODE,rate&quot; pair per line (an optional &quot;base,USD&quot; line sets the base).
+        </p>
+
+        <div className="divide-y">
+          {rateEntries.map(([code, rate]) => {
+            const draft = drafts[code];
+            return (
+              <div key={code} className="flex items-center justify-between py-2">
+                <span className="font-medium w-16">{code}</span>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="number"
+                    step="any"
+                    min="0"
+                    value={draft ?? rate}
+                    onChange={(e) => setDrafts(prev => ({ ...prev, [code]: e.target.value }))}
+                    className="w-32 p-2 border rounded-lg text-right"
+                    aria-label={`Rate for ${code}`}
+                  />
+                  {draft !== undefined && (
+                    <button
+                      onClick={() => handleSaveRate(code)}
+                      className="px-3 py-2 text-sm bg-black text-white rounded-lg hover:bg-gray-800"
+                    >
+                      Save
+                    </button>
+                  )}
+                  <button
+                    onClick={() => removeRate(code)}
+                    className="p-2 hover:bg-red-50 rounded"
+                    title={`Remove ${code}`}
+                  >
+                    <Trash2 size={16} className="text-red-500" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <form onSubmit={handleAddRate} className="flex items-center space-x-2 mt-4">
+          <input
+            type="text"
+            value={newRate.code}
+            onChange={(e) => setNewRate({ ...newRate, code: e.target.value })}
+            placeholder="Code"
+            maxLength={3}
+            className="w-24 p-2 border rounded-lg uppercase"
+          />
+          <input
+            type="number"
+            step="any"
+            min="0"
+            value={newRate.rate}
+            onChange={(e) => setNewRate({ ...newRate, rate: e.target.value })}
+            placeholder="Rate"
+            className="w-32 p-2 border rounded-lg"
+          />
+          <button
+            type="submit"
+            className="flex items-center space-x-1 px-3 py-2 bg-gray-100 rounded-lg hover:bg-gray-200"
+          >
+            <Plus size={16} />
+            <span>Add rate</span>
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
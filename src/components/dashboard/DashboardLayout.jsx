@@ -3,9 +3,9 @@ import { useState, useEffect, useRef, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import { Routes, Route, useNavigate, useLocation } from 'react-router-dom';
 import { 
-  Home, BarChart3, Target, Shield, CreditCard, User, LogOut, Clock, DollarSign
+  Home, BarChart3, Target, Shield, CreditCard, User, LogOut, Clock, DollarSign, Database, Server, Globe, Languages, CalendarDays, Tags, Wand2, FlaskConical, Mail, Wallet, Settings
 } from 'lucide-react';
-import { useAuth } from '../../contexts';
+import { useAuth, useI18n } from '../../contexts';
 
 // Dashboard pages
 import HomePage from '../../pages/HomePage';
@@ -15,15 +15,32 @@ import GoalsPage from './GoalsPage';
 import SecurityAnalyticsPage from './SecurityAnalyticsPage';
 import TransactionsMain from './TransactionsMain';
 import DebtList from '../debt/DebtList';
+import BackupRestorePage from './BackupRestorePage';
+import CurrencySettingsPage from './CurrencySettingsPage';
+import CategoriesPage from './CategoriesPage';
+import RulesPage from './RulesPage';
+import ScenarioPlannerPage from './ScenarioPlannerPage';
+import EnvelopesPage from './EnvelopesPage';
+import BudgetPerformancePage from './BudgetPerformancePage';
+import AccountsPage from './AccountsPage';
+import AccountSettingsPage from './AccountSettingsPage';
+import SessionsPage from './SessionsPage';
+import SyncStatusIndicator from '../ui/SyncStatusIndicator';
+import DeveloperSettingsModal from '../ui/DeveloperSettingsModal';
+import { getConfig } from '../../services/config';
 
+// `name` identifies the tab; `labelKey` is the translated label shown in the sidebar
 const navigationItems = [
-  { name: 'Home', icon: Home, path: '/dashboard', component: HomePage },
-  { name: 'Analytics', icon: BarChart3, path: '/dashboard/analytics', component: AnalyticsPage },
-  { name: 'Budgets', icon: Target, path: '/dashboard/budgets', component: BudgetsPage },
-  { name: 'Goals', icon: Target, path: '/dashboard/goals', component: GoalsPage },
-  { name: 'Transactions', icon: CreditCard, path: '/dashboard/transactions', component: TransactionsMain },
-  { name: 'Debt Management', icon: DollarSign, path: '/dashboard/debts', component: DebtList },
-  { name: 'Security', icon: Shield, path: '/dashboard/security', component: SecurityAnalyticsPage },
+  { name: 'Home', labelKey: 'nav.home', icon: Home, path: '/dashboard', component: HomePage },
+  { name: 'Analytics', labelKey: 'nav.analytics', icon: BarChart3, path: '/dashboard/analytics', component: AnalyticsPage },
+  { name: 'Budgets', labelKey: 'nav.budgets', icon: Target, path: '/dashboard/budgets', component: BudgetsPage },
+  { name: 'Envelopes', labelKey: 'nav.envelopes', icon: Mail, path: '/dashboard/envelopes', component: EnvelopesPage },
+  { name: 'Goals', labelKey: 'nav.goals', icon: Target, path: '/dashboard/goals', component: GoalsPage },
+  { name: 'Transactions', labelKey: 'nav.transactions', icon: CreditCard, path: '/dashboard/transactions', component: TransactionsMain },
+  { name: 'Accounts', labelKey: 'nav.accounts', icon: Wallet, path: '/dashboard/accounts', component: AccountsPage },
+  { name: 'Debt Management', labelKey: 'nav.debts', icon: DollarSign, path: '/dashboard/debts', component: DebtList },
+  { name: 'What-if', labelKey: 'nav.scenarios', icon: FlaskConical, path: '/dashboard/scenarios', component: ScenarioPlannerPage },
+  { name: 'Security', labelKey: 'nav.security', icon: Shield, path: '/dashboard/security', component: SecurityAnalyticsPage },
 ];
 
 export default function DashboardLayout() {
@@ -35,6 +52,7 @@ export default function DashboardLayout() {
   });
   
   const [showUserMenu, setShowUserMenu] = useState(false);
+  const [showDeveloperSettings, setShowDeveloperSettings] = useState(false);
   const [sessionTime, setSessionTime] = useState('');
   const dropdownRef = useRef(null);
 
@@ -45,6 +63,18 @@ export default function DashboardLayout() {
     updateLastActivity,
     error: authError 
   } = useAuth();
+
+  const {
+    t,
+    locale,
+    supportedLocales,
+    setLocale,
+    firstDayOfWeek,
+    hasCustomWeekStart,
+    localeFirstDayOfWeek,
+    setFirstDayOfWeek,
+    getWeekdayName
+  } = useI18n();
   
   const navigate = useNavigate();
   const location = useLocation();
@@ -151,6 +181,35 @@ export default function DashboardLayout() {
     setShowUserMenu(false);
   };
 
+  const handleGoToSettings = () => {
+    navigate('/dashboard/settings');
+    setShowUserMenu(false);
+  };
+
+  const handleGoToBackup = () => {
+    navigate('/dashboard/backup');
+    setShowUserMenu(false);
+  };
+
+  const handleGoToCurrency = () => {
+    navigate('/dashboard/currency');
+    setShowUserMenu(false);
+  };
+
+  const handleGoToCategories = () => {
+    navigate('/dashboard/categories');
+    setShowUserMenu(false);
+  };
+
+  const handleGoToRules = () => {
+    navigate('/dashboard/rules');
+    setShowUserMenu(false);
+  };
+
+  const handleWeekStartChange = (value) => {
+    setFirstDayOfWeek(value === 'locale' ? null : Number(value));
+  };
+
   const handleLogout = () => {
     console.log('Logging out');
     try {
@@ -206,12 +265,18 @@ export default function DashboardLayout() {
       <header className="bg-white shadow-sm border-b sticky top-0 z-30">
         <div className="px-6 py-4">
           <div className="flex justify-between items-center">
-            <h1 className="text-2xl font-bold" aria-label="Dashboard title">Dashboard</h1>
+            <h1 className="text-2xl font-bold" aria-label={t('nav.dashboardTitle')}>{t('nav.dashboard')}</h1>
             <div className="flex items-center space-x-4">
+              {/* Offline / pending sync status */}
+              <SyncStatusIndicator />
+
               {/* Session timer display */}
-              <div className="flex items-center space-x-2 text-sm text-gray-600" aria-label={`Current session duration: ${sessionTime}`}>
+              <div
+                className="flex items-center space-x-2 text-sm text-gray-600"
+                aria-label={t('menu.sessionLabel', { time: sessionTime })}
+              >
                 <Clock size={16} aria-hidden="true" />
-                <span>Session: {sessionTime}</span>
+                <span>{t('menu.session', { time: sessionTime })}</span>
               </div>
               
               {/* User dropdown menu */}
@@ -221,10 +286,10 @@ export default function DashboardLayout() {
                   className="flex items-center space-x-2 p-2 hover:bg-gray-100 rounded-lg transition-colors focus:outline-none focus:ring-2 focus:ring-black focus:ring-offset-2"
                   aria-expanded={showUserMenu}
                   aria-haspopup="true"
-                  aria-label="Account menu"
+                  aria-label={t('menu.accountMenu')}
                 >
                   <User size={20} aria-hidden="true" />
-                  <span>Account</span>
+                  <span>{t('menu.account')}</span>
                 </button>
                 
                 {/* Dropdown menu with animated reveal */}
@@ -232,13 +297,13 @@ export default function DashboardLayout() {
                   <motion.div
                     initial={{ opacity: 0, y: -10 }}
                     animate={{ opacity: 1, y: 0 }}
-                    className="absolute right-0 top-full mt-2 w-48 bg-white rounded-lg shadow-lg border py-2 z-50"
+                    className="absolute right-0 top-full mt-2 w-64 bg-white rounded-lg shadow-lg border py-2 z-50"
                     role="menu"
-                    aria-label="User account menu"
+                    aria-label={t('menu.accountMenu')}
                   >
                     {/* Session info section */}
                     <div className="px-4 py-2 text-xs text-gray-500 border-b" role="none">
-                      Session: {sessionTime}
+                      {t('menu.session', { time: sessionTime })}
                     </div>
                     
                     {/* Main page navigation */}
@@ -248,8 +313,109 @@ export default function DashboardLayout() {
                       role="menuitem"
                     >
                       <User size={16} aria-hidden="true" />
-                      <span>Go to Main Page</span>
+                      <span>{t('menu.mainPage')}</span>
+                    </button>
+
+                    {/* Profile and sign-in security */}
+                    <button
+                      onClick={handleGoToSettings}
+                      className="w-full flex items-center space-x-3 px-4 py-2 text-left hover:bg-gray-50 transition-colors focus:outline-none focus:bg-gray-50"
+                      role="menuitem"
+                    >
+                      <Settings size={16} aria-hidden="true" />
+                      <span>{t('menu.settings')}</span>
+                    </button>
+
+                    {/* Backup and restore */}
+                    <button
+                      onClick={handleGoToBackup}
+                      className="w-full flex items-center space-x-3 px-4 py-2 text-left hover:bg-gray-50 transition-colors focus:outline-none focus:bg-gray-50"
+                      role="menuitem"
+                    >
+                      <Database size={16} aria-hidden="true" />
+                      <span>{t('menu.backup')}</span>
+                    </button>
+
+                    {/* Base currency and exchange rates */}
+                    <button
+                      onClick={handleGoToCurrency}
+                      className="w-full flex items-center space-x-3 px-4 py-2 text-left hover:bg-gray-50 transition-colors focus:outline-none focus:bg-gray-50"
+                      role="menuitem"
+                    >
+                      <Globe size={16} aria-hidden="true" />
+                      <span>{t('menu.currency')}</span>
                     </button>
+
+                    {/* Custom categories */}
+                    <button
+                      onClick={handleGoToCategories}
+                      className="w-full flex items-center space-x-3 px-4 py-2 text-left hover:bg-gray-50 transition-colors focus:outline-none focus:bg-gray-50"
+                      role="menuitem"
+                    >
+                      <Tags size={16} aria-hidden="true" />
+                      <span>{t('menu.categories')}</span>
+                    </button>
+
+                    {/* Categorization rules */}
+                    <button
+                      onClick={handleGoToRules}
+                      className="w-full flex items-center space-x-3 px-4 py-2 text-left hover:bg-gray-50 transition-colors focus:outline-none focus:bg-gray-50"
+                      role="menuitem"
+                    >
+                      <Wand2 size={16} aria-hidden="true" />
+                      <span>{t('menu.rules')}</span>
+                    </button>
+
+                    {/* Endpoint override, only in builds that allow it */}
+                    {getConfig().allowDevOverride && (
+                      <button
+                        onClick={() => {
+                          setShowDeveloperSettings(true);
+                          setShowUserMenu(false);
+                        }}
+                        className="w-full flex items-center space-x-3 px-4 py-2 text-left hover:bg-gray-50 transition-colors focus:outline-none focus:bg-gray-50"
+                        role="menuitem"
+                      >
+                        <Server size={16} aria-hidden="true" />
+                        <span>{t('menu.developerSettings')}</span>
+                      </button>
+                    )}
+
+                    {/* Language and week start, applied immediately */}
+                    <div className="px-4 py-2 space-y-2 border-t mt-1" role="none">
+                      <label className="flex items-center space-x-3 text-sm">
+                        <Languages size={16} aria-hidden="true" />
+                        <span className="sr-only">{t('menu.language')}</span>
+                        <select
+                          value={locale}
+                          onChange={(e) => setLocale(e.target.value)}
+                          className="flex-1 border rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-black"
+                          aria-label={t('menu.language')}
+                        >
+                          {supportedLocales.map(option => (
+                            <option key={option.locale} value={option.locale}>{option.label}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="flex items-center space-x-3 text-sm">
+                        <CalendarDays size={16} aria-hidden="true" />
+                        <span className="sr-only">{t('menu.weekStart')}</span>
+                        <select
+                          value={hasCustomWeekStart ? firstDayOfWeek : 'locale'}
+                          onChange={(e) => handleWeekStartChange(e.target.value)}
+                          className="flex-1 border rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-black"
+                          aria-label={t('menu.weekStart')}
+                          title={t('menu.weekStart')}
+                        >
+                          <option value="locale">
+                            {t('menu.weekStartDefault', { day: getWeekdayName(localeFirstDayOfWeek) })}
+                          </option>
+                          {[0, 1, 2, 3, 4, 5, 6].map(day => (
+                            <option key={day} value={day}>{getWeekdayName(day)}</option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
                     
                     {/* Visual separator */}
                     <div className="border-t my-1" role="separator" aria-hidden="true"></div>
@@ -259,10 +425,10 @@ export default function DashboardLayout() {
                       onClick={handleLogout}
                       className="w-full flex items-center space-x-3 px-4 py-2 text-left text-red-600 hover:bg-red-50 transition-colors focus:outline-none focus:bg-red-50"
                       role="menuitem"
-                      aria-label="Log out of your account"
+                      aria-label={t('menu.logoutLabel')}
                     >
                       <LogOut size={16} aria-hidden="true" />
-                      <span>Logout</span>
+                      <span>{t('menu.logout')}</span>
                     </button>
                   </motion.div>
                 )}
@@ -287,10 +453,10 @@ export default function DashboardLayout() {
                     : 'hover:bg-gray-100 focus:bg-gray-100'
                 }`}
                 aria-current={activeTab === item.name ? 'page' : undefined}
-                aria-label={`Navigate to ${item.name}`}
+                aria-label={t('nav.navigateTo', { name: t(item.labelKey) })}
               >
                 <item.icon size={20} aria-hidden="true" />
-                <span>{item.name}</span>
+                <span>{t(item.labelKey)}</span>
               </button>
             ))}
           </div>
@@ -304,13 +470,27 @@ export default function DashboardLayout() {
             <Route path="/" element={<HomePage />} />
             <Route path="/analytics" element={<AnalyticsPage />} />
             <Route path="/budgets" element={<BudgetsPage />} />
+            <Route path="/budgets/performance" element={<BudgetPerformancePage />} />
+            <Route path="/envelopes" element={<EnvelopesPage />} />
             <Route path="/goals" element={<GoalsPage />} />
+            <Route path="/accounts" element={<AccountsPage />} />
             <Route path="/debts" element={<DebtList />} />
+            <Route path="/scenarios" element={<ScenarioPlannerPage />} />
             <Route path="/security" element={<SecurityAnalyticsPage />} />
+            <Route path="/security/sessions" element={<SessionsPage />} />
+            <Route path="/settings" element={<AccountSettingsPage />} />
+            <Route path="/backup" element={<BackupRestorePage />} />
+            <Route path="/currency" element={<CurrencySettingsPage />} />
+            <Route path="/categories" element={<CategoriesPage />} />
+            <Route path="/rules" element={<RulesPage />} />
             <Route path="/transactions/*" element={<TransactionsMain filters={filters} />} />
           </Routes>
         </main>
       </div>
+
+      {showDeveloperSettings && (
+        <DeveloperSettingsModal onClose={() => setShowDeveloperSettings(false)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,516 @@
+// src/components/dashboard/EnvelopesPage.jsx
+import { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { ChevronLeft, ChevronRight, ArrowRightLeft, Sparkles, History, Power, Mail } from 'lucide-react';
+import { useBudgets, useCategories, useCurrency, useDashboard, useI18n } from '../../contexts';
+import CategoryIcon from '../ui/CategoryIcon';
+import {
+  ENVELOPE_TRANSFER_KINDS,
+  buildEnvelopeBudget,
+  checkEnvelopeTransfer,
+  getMonthKey,
+  planBudgetedAssignments,
+  planOverspendingCover,
+  shiftMonth
+} from '../../utils/envelopeBudget';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/** Value of the "To be assigned" option in the source picker, where empty means no envelope */
+const TO_BE_ASSIGNED = '';
+
+/** Value of the "To be assigned" option in the destination picker, which needs a choice */
+const BACK_TO_BE_ASSIGNED = 'to-be-assigned';
+
+const EMPTY_MOVE = { fromCategory: TO_BE_ASSIGNED, toCategory: '', amount: '', note: '' };
+
+/**
+ * Envelope (zero-based) budgeting
+ *
+ * Features:
+ * - Income goes to "To be assigned" and is assigned to category envelopes until nothing is left
+ * - Assigned amounts edited in place, or filled up to each category's budget target in one go
+ * - Money moved between envelopes, and overspent envelopes covered from another envelope
+ * - Audit trail of every assignment and transfer
+ *
+ * Leftover money stays in an envelope from month to month unless the category's budget has a
+ * rollover policy that keeps less; overspending that is not covered comes out of next month's
+ * To be assigned.
+ */
+export default function EnvelopesPage() {
+  const {
+    budgets,
+    envelopeSettings,
+    envelopeTransfers,
+    isEnvelopeManaged,
+    updateEnvelopeSettings,
+    addEnvelopeTransfers
+  } = useBudgets();
+  const { baseTransactions, financialSummary } = useDashboard();
+  const { categories, getCategory } = useCategories();
+  const { formatAmount } = useCurrency();
+  const { t, categoryLabel, formatDate } = useI18n();
+
+  const [month, setMonth] = useState(() => getMonthKey());
+  const [setup, setSetup] = useState({ startMonth: getMonthKey(), startingBalance: '' });
+  const [editing, setEditing] = useState(null);
+  const [move, setMove] = useState(EMPTY_MOVE);
+  const [coverSources, setCoverSources] = useState({});
+  const [showAllHistory, setShowAllHistory] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const envelopeMonth = useMemo(() => buildEnvelopeBudget({
+    transactions: baseTransactions,
+    transfers: envelopeTransfers,
+    settings: envelopeSettings,
+    budgets,
+    categories,
+    month
+  }), [baseTransactions, envelopeTransfers, envelopeSettings, budgets, categories, month]);
+
+  const history = useMemo(() => [...envelopeTransfers]
+    .filter(transfer => showAllHistory || transfer.month === month)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)), [envelopeTransfers, showAllHistory, month]);
+
+  const monthLabel = (key) => {
+    const [year, monthNumber] = key.split('-').map(Number);
+    return formatDate(new Date(year, monthNumber - 1, 1), { month: 'long', year: 'numeric' });
+  };
+  const envelopeLabel = (category) => (category ? categoryLabel(category) : t('envelopes.toBeAssigned'));
+
+  /**
+   * Checks transfers against this month's balances, then records them
+   * @private
+   */
+  const recordTransfers = async (transfers, successMessage) => {
+    setError('');
+    setNotice('');
+    if (transfers.length === 0) return false;
+
+    // Later transfers in a batch see the balances left by earlier ones
+    let pending = [];
+    for (const transfer of transfers) {
+      const state = buildEnvelopeBudget({
+        transactions: baseTransactions,
+        transfers: [...envelopeTransfers, ...pending],
+        settings: envelopeSettings,
+        budgets,
+        categories,
+        month: transfer.month
+      });
+      const problem = checkEnvelopeTransfer(state, transfer, formatAmount);
+      if (problem) {
+        setError(problem);
+        return false;
+      }
+      pending = [...pending, transfer];
+    }
+
+    const result = await addEnvelopeTransfers(transfers);
+    if (!result.success) {
+      setError(result.error);
+      return false;
+    }
+    setNotice(successMessage);
+    return true;
+  };
+
+  const handleEnable = async () => {
+    setError('');
+    const result = await updateEnvelopeSettings({
+      enabled: true,
+      startMonth: setup.startMonth,
+      startingBalance: Number(setup.startingBalance) || 0
+    });
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+    setMonth(getMonthKey() < setup.startMonth ? setup.startMonth : getMonthKey());
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm(t('envelopes.disableConfirm'))) return;
+    const result = await updateEnvelopeSettings({ enabled: false });
+    if (!result.success) setError(result.error);
+  };
+
+  /** Saves an edited assigned amount as a transfer to or from To be assigned */
+  const handleAssignedCommit = async (envelope) => {
+    const value = Number(editing?.value);
+    setEditing(null);
+    if (isNaN(value) || value < 0) return;
+    const difference = Math.round((value - envelope.assigned) * 100) / 100;
+    if (difference === 0) return;
+
+    await recordTransfers([{
+      month,
+      fromCategory: difference > 0 ? null : envelope.category,
+      toCategory: difference > 0 ? envelope.category : null,
+      amount: Math.abs(difference),
+      note: ''
+    }], t('envelopes.nowAssigned', { category: categoryLabel(envelope.category), amount: formatAmount(value) }));
+  };
+
+  const handleAssignTargets = () => {
+    const transfers = planBudgetedAssignments(envelopeMonth);
+    if (transfers.length === 0) {
+      setNotice(envelopeMonth.toBeAssigned > 0 ? t('envelopes.targetsMet') : t('envelopes.nothingToAssign'));
+      return;
+    }
+    recordTransfers(transfers, t('envelopes.targetsAssigned', { count: transfers.length }));
+  };
+
+  const handleCover = (envelope) => {
+    const source = coverSources[envelope.category] ?? TO_BE_ASSIGNED;
+    const transfer = planOverspendingCover(envelopeMonth, envelope.category, source || null);
+    if (!transfer) {
+      setError(t('envelopes.noMoneyToCover', { source: envelopeLabel(source), category: categoryLabel(envelope.category) }));
+      return;
+    }
+    recordTransfers([transfer], t('envelopes.covered', { amount: formatAmount(transfer.amount), category: categoryLabel(envelope.category) }));
+  };
+
+  const handleMove = async (e) => {
+    e.preventDefault();
+    const toCategory = move.toCategory === BACK_TO_BE_ASSIGNED ? null : move.toCategory;
+    const moved = await recordTransfers([{
+      month,
+      fromCategory: move.fromCategory || null,
+      toCategory,
+      amount: Number(move.amount),
+      note: move.note.trim()
+    }], t('envelopes.moved', {
+      amount: formatAmount(Number(move.amount)),
+      from: envelopeLabel(move.fromCategory),
+      to: envelopeLabel(toCategory)
+    }));
+    if (moved) setMove(EMPTY_MOVE);
+  };
+
+  if (!envelopeSettings.enabled) {
+    return (
+      <div className="space-y-6">
+        <div>
+          <h2 className="text-2xl font-bold">{t('envelopes.title')}</h2>
+          <p className="text-gray-600">{t('envelopes.setupSubtitle')}</p>
+        </div>
+        {error && (
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+        )}
+        <div className="bg-white rounded-xl shadow-sm p-6 space-y-4 max-w-2xl">
+          <div className="flex items-start space-x-3">
+            <Mail className="text-blue-500 flex-shrink-0 mt-1" size={24} />
+            <div className="text-sm text-gray-600 space-y-2">
+              <p>
+                {t('envelopes.introIncomeBefore')} <strong>{t('envelopes.toBeAssigned')}</strong>{t('envelopes.introIncomeAfter')}
+              </p>
+              <p>{t('envelopes.introMoving')}</p>
+              <p>{t('envelopes.introTargets')}</p>
+            </div>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">{t('envelopes.startIn')}</span>
+              <input type="month" value={setup.startMonth} onChange={(e) => setSetup({ ...setup, startMonth: e.target.value })}
+                className={`${inputClass} mt-1`} />
+            </label>
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">{t('envelopes.startingBalance')}</span>
+              <input type="number" step="0.01" value={setup.startingBalance}
+                onChange={(e) => setSetup({ ...setup, startingBalance: e.target.value })}
+                className={`${inputClass} mt-1`} placeholder="0.00" />
+              <button
+                type="button"
+                onClick={() => setSetup({ ...setup, startingBalance: (Math.round(financialSummary.totalAccounts * 100) / 100).toString() })}
+                className="text-xs text-blue-600 hover:underline mt-1"
+              >
+                {t('envelopes.useAccountBalances', { amount: formatAmount(financialSummary.totalAccounts) })}
+              </button>
+            </label>
+          </div>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={handleEnable}
+            className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors"
+          >
+            <Power size={16} />
+            <span>{t('envelopes.start')}</span>
+          </motion.button>
+          {!isEnvelopeManaged && (
+            <p className="text-xs text-gray-500">{t('envelopes.savedLocally')}</p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const toBeAssignedClass = envelopeMonth.toBeAssigned < 0
+    ? 'bg-red-50 border-red-200 text-red-700'
+    : envelopeMonth.toBeAssigned > 0 ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-green-50 border-green-200 text-green-700';
+  const sources = envelopeMonth.envelopes.filter(envelope => envelope.available > 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold">{t('envelopes.title')}</h2>
+          <p className="text-gray-600">{t('envelopes.subtitle')}</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setMonth(shiftMonth(month, -1))}
+            disabled={month <= envelopeSettings.startMonth}
+            className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-40"
+            aria-label={t('envelopes.previousMonth')}
+          >
+            <ChevronLeft size={20} />
+          </button>
+          <span className="font-semibold w-40 text-center">{monthLabel(month)}</span>
+          <button onClick={() => setMonth(shiftMonth(month, 1))} className="p-2 rounded-lg hover:bg-gray-100" aria-label={t('envelopes.nextMonth')}>
+            <ChevronRight size={20} />
+          </button>
+          <button
+            onClick={handleDisable}
+            className="flex items-center space-x-2 bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+          >
+            <Power size={16} />
+            <span>{t('envelopes.turnOff')}</span>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">{notice}</div>
+      )}
+
+      {/* To be assigned */}
+      <div className={`border rounded-xl p-6 flex flex-wrap items-center justify-between gap-4 ${toBeAssignedClass}`}>
+        <div>
+          <p className="text-sm font-medium">{t('envelopes.toBeAssigned')}</p>
+          <p className="text-3xl font-bold">{formatAmount(envelopeMonth.toBeAssigned)}</p>
+          <p className="text-sm mt-1">
+            {envelopeMonth.toBeAssigned === 0
+              ? t('envelopes.allAssigned')
+              : envelopeMonth.toBeAssigned > 0
+                ? t('envelopes.assignBelow')
+                : t('envelopes.overAssigned')}
+          </p>
+        </div>
+        <div className="text-sm space-y-1">
+          <p>{t('envelopes.incomeThisMonth')} <span className="font-semibold">{formatAmount(envelopeMonth.income)}</span></p>
+          <p>{t('envelopes.assignedThisMonth')} <span className="font-semibold">{formatAmount(envelopeMonth.totalAssigned)}</span></p>
+          <p>{t('envelopes.spentThisMonth')} <span className="font-semibold">{formatAmount(envelopeMonth.totalActivity)}</span></p>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={handleAssignTargets}
+          className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors"
+        >
+          <Sparkles size={16} />
+          <span>{t('envelopes.assignTargets')}</span>
+        </motion.button>
+      </div>
+
+      {/* Overspent envelopes */}
+      {envelopeMonth.overspent.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm p-6 border border-red-200">
+          <h3 className="text-lg font-semibold text-red-700 mb-3">{t('envelopes.overspent')}</h3>
+          <p className="text-sm text-gray-600 mb-4">{t('envelopes.overspentHint')}</p>
+          <div className="space-y-3">
+            {envelopeMonth.overspent.map(envelope => (
+              <div key={envelope.category} className="flex flex-wrap items-center gap-3">
+                <span className="font-medium w-40">{categoryLabel(envelope.category)}</span>
+                <span className="text-red-600 text-sm w-32">{t('envelopes.over', { amount: formatAmount(-envelope.available) })}</span>
+                <select
+                  value={coverSources[envelope.category] ?? TO_BE_ASSIGNED}
+                  onChange={(e) => setCoverSources({ ...coverSources, [envelope.category]: e.target.value })}
+                  className={`${inputClass} w-auto`}
+                  aria-label={t('envelopes.coverFrom', { category: categoryLabel(envelope.category) })}
+                >
+                  <option value={TO_BE_ASSIGNED}>
+                    {t('envelopes.withBalance', { name: envelopeLabel(null), amount: formatAmount(envelopeMonth.toBeAssigned) })}
+                  </option>
+                  {sources.map(source => (
+                    <option key={source.category} value={source.category}>
+                      {t('envelopes.withBalance', { name: categoryLabel(source.category), amount: formatAmount(source.available) })}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => handleCover(envelope)}
+                  className="bg-red-600 text-white px-3 py-2 rounded-lg text-sm hover:bg-red-700 transition-colors"
+                >
+                  {t('envelopes.cover')}
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Envelopes */}
+        <div className="lg:col-span-2 bg-white rounded-xl shadow-sm p-6 overflow-x-auto">
+          <h3 className="text-lg font-semibold mb-4">{t('envelopes.envelopes')}</h3>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-2 font-medium">{t('envelopes.envelope')}</th>
+                <th className="py-2 font-medium text-right">{t('envelopes.carriedIn')}</th>
+                <th className="py-2 font-medium text-right">{t('envelopes.assigned')}</th>
+                <th className="py-2 font-medium text-right">{t('envelopes.spent')}</th>
+                <th className="py-2 font-medium text-right">{t('envelopes.available')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {envelopeMonth.envelopes.map(envelope => {
+                const category = getCategory(envelope.category);
+                return (
+                  <tr key={envelope.category} className="border-b last:border-0">
+                    <td className="py-2">
+                      <div className="flex items-center space-x-2">
+                        <CategoryIcon icon={category?.icon} color={category?.color} size={16} />
+                        <span>{categoryLabel(envelope.category)}</span>
+                      </div>
+                      {envelope.target !== null && (
+                        <p className="text-xs text-gray-500">
+                          {t('envelopes.target', { amount: formatAmount(envelope.target) })}
+                          {envelope.needed > 0 && t('envelopes.toGo', { amount: formatAmount(envelope.needed) })}
+                        </p>
+                      )}
+                    </td>
+                    <td className="py-2 text-right text-gray-600">{formatAmount(envelope.carriedIn)}</td>
+                    <td className="py-2 text-right">
+                      {editing?.category === envelope.category ? (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          autoFocus
+                          value={editing.value}
+                          onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                          onBlur={() => handleAssignedCommit(envelope)}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') e.target.blur();
+                            if (e.key === 'Escape') setEditing(null);
+                          }}
+                          className="w-28 px-2 py-1 border border-blue-400 rounded text-right"
+                          aria-label={t('envelopes.assignedTo', { category: categoryLabel(envelope.category) })}
+                        />
+                      ) : (
+                        <button
+                          onClick={() => setEditing({ category: envelope.category, value: String(envelope.assigned) })}
+                          className="px-2 py-1 rounded hover:bg-blue-50 text-blue-700"
+                          title={t('envelopes.changeAssigned')}
+                        >
+                          {formatAmount(envelope.assigned)}
+                        </button>
+                      )}
+                    </td>
+                    <td className="py-2 text-right text-gray-600">{formatAmount(envelope.activity)}</td>
+                    <td className="py-2 text-right">
+                      <span className={`px-2 py-1 rounded-full font-semibold ${
+                        envelope.available < 0 ? 'bg-red-100 text-red-700'
+                          : envelope.available > 0 ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'
+                      }`}>
+                        {formatAmount(envelope.available)}
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Move money */}
+        <form onSubmit={handleMove} className="bg-white rounded-xl shadow-sm p-6 space-y-3 h-fit">
+          <h3 className="text-lg font-semibold flex items-center">
+            <ArrowRightLeft size={18} className="mr-2 text-blue-500" /> {t('envelopes.moveMoney')}
+          </h3>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">{t('envelopes.from')}</span>
+            <select value={move.fromCategory} onChange={(e) => setMove({ ...move, fromCategory: e.target.value })} className={`${inputClass} mt-1`}>
+              <option value={TO_BE_ASSIGNED}>
+                {t('envelopes.withBalance', { name: envelopeLabel(null), amount: formatAmount(envelopeMonth.toBeAssigned) })}
+              </option>
+              {envelopeMonth.envelopes.map(envelope => (
+                <option key={envelope.category} value={envelope.category}>
+                  {t('envelopes.withBalance', { name: categoryLabel(envelope.category), amount: formatAmount(envelope.available) })}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">{t('envelopes.to')}</span>
+            <select value={move.toCategory} onChange={(e) => setMove({ ...move, toCategory: e.target.value })} className={`${inputClass} mt-1`} required>
+              <option value="" disabled>{t('envelopes.chooseEnvelope')}</option>
+              <option value={BACK_TO_BE_ASSIGNED}>{envelopeLabel(null)}</option>
+              {envelopeMonth.envelopes.map(envelope => (
+                <option key={envelope.category} value={envelope.category}>{categoryLabel(envelope.category)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">{t('envelopes.amount')}</span>
+            <input type="number" min="0.01" step="0.01" value={move.amount} onChange={(e) => setMove({ ...move, amount: e.target.value })}
+              className={`${inputClass} mt-1`} placeholder="0.00" required />
+          </label>
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">{t('envelopes.note')}</span>
+            <input value={move.note} onChange={(e) => setMove({ ...move, note: e.target.value })}
+              className={`${inputClass} mt-1`} placeholder={t('envelopes.optional')} />
+          </label>
+          <button type="submit" className="w-full bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors">
+            {t('envelopes.move')}
+          </button>
+        </form>
+      </div>
+
+      {/* Audit trail */}
+      <div className="bg-white rounded-xl shadow-sm p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold flex items-center">
+            <History size={18} className="mr-2 text-gray-500" /> {t('envelopes.history')}
+          </h3>
+          <label className="flex items-center space-x-2 text-sm text-gray-600">
+            <input type="checkbox" checked={showAllHistory} onChange={(e) => setShowAllHistory(e.target.checked)} className="rounded" />
+            <span>{t('envelopes.allMonths')}</span>
+          </label>
+        </div>
+        {history.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            {showAllHistory ? t('envelopes.noHistory') : t('envelopes.noHistoryIn', { month: monthLabel(month) })}
+          </p>
+        ) : (
+          <ul className="divide-y text-sm">
+            {history.map(transfer => (
+              <li key={transfer.id} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <span className="font-medium">{t(`envelopes.kinds.${ENVELOPE_TRANSFER_KINDS[transfer.kind] ? transfer.kind : 'move'}`)}</span>
+                  <span className="text-gray-600"> • {envelopeLabel(transfer.fromCategory)} → {envelopeLabel(transfer.toCategory)}</span>
+                  {transfer.note && <span className="text-gray-500"> • {transfer.note}</span>}
+                  <p className="text-xs text-gray-400">
+                    {t('envelopes.recorded', {
+                      month: monthLabel(transfer.month),
+                      date: formatDate(transfer.createdAt, { dateStyle: 'medium', timeStyle: 'short' })
+                    })}
+                  </p>
+                </div>
+                <span className="font-semibold">{formatAmount(transfer.amount)}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
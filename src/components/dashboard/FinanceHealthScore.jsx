@@ -1,6 +1,7 @@
 // src/components/dashboard/FinanceHealthScore.jsx
 import { useMemo } from 'react';
 import { TrendingUp, TrendingDown, AlertTriangle, CheckCircle, Zap, Target } from 'lucide-react';
+import { summarizeBudgetWindow } from '../../utils/budgetPeriods';
 
 /**
  * Comprehensive financial health scoring component with AI-enhanced insights
@@ -136,10 +137,8 @@ const FinanceHealthScore = ({ transactions, budgets, goals, timeframe, enhancedD
     let budgetScore = 25;
     if (budgets.length > 0) {
       const budgetPerformance = budgets.map(budget => {
-        const spent = transactions
-          .filter(tx => tx.type === 'expense' && tx.category === budget.category)
-          .reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
-        return spent <= budget.limit ? 1 : 0; // 1 for within budget, 0 for over
+        const { spent, effectiveLimit } = summarizeBudgetWindow(budget, transactions);
+        return spent <= effectiveLimit ? 1 : 0; // 1 for within budget, 0 for over
       });
       
       const adherenceRate = budgetPerformance.reduce((sum, perf) => sum + perf, 0) / budgets.length;
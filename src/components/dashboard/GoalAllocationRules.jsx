@@ -0,0 +1,466 @@
+// src/components/dashboard/GoalAllocationRules.jsx
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Plus, Pencil, Trash2, X, Check, Repeat } from 'lucide-react';
+import { useGoals, useAccounts, useCurrency, useI18n } from '../../contexts';
+import CategoryOptions from '../ui/CategoryOptions';
+import {
+  ALLOCATION_SPLIT_METHODS,
+  EMPTY_ALLOCATION_RULE,
+  getAllocationRuleStatus,
+  isGoalOpen
+} from '../../utils/goalAllocationRules';
+
+/** Badge colours per rule status */
+const RULE_STATUS_BADGES = {
+  active: 'bg-green-100 text-green-700',
+  paused: 'bg-gray-100 text-gray-600',
+  completed: 'bg-blue-100 text-blue-700',
+  idle: 'bg-yellow-100 text-yellow-800'
+};
+
+/**
+ * Converts a stored rule into editor fields
+ * @private
+ */
+const toForm = (rule) => ({
+  ...EMPTY_ALLOCATION_RULE,
+  ...rule,
+  goalIds: [...(rule.goalIds || [])],
+  goalCaps: { ...rule.goalCaps }
+});
+
+/**
+ * Converts editor fields back into a rule payload
+ * Empty caps are dropped, as are caps for goals the rule no longer feeds.
+ * @private
+ */
+const fromForm = ({ id: _id, createdAt: _createdAt, updatedAt: _updatedAt, userId: _userId, ...rule }) => ({
+  ...rule,
+  name: rule.name.trim(),
+  minAmount: Number(rule.minAmount) || 0,
+  allocationPercentage: Number(rule.allocationPercentage) || 0,
+  goalCaps: Object.fromEntries(
+    Object.entries(rule.goalCaps || {})
+      .filter(([goalId, cap]) => Number(cap) > 0 && (rule.goalIds.length === 0 || rule.goalIds.some(id => String(id) === goalId)))
+      .map(([goalId, cap]) => [goalId, Number(cap)])
+  )
+});
+
+/**
+ * Standing rules that allocate part of qualifying income to goals
+ * Rules run when income is added on the transactions page or created by a recurring schedule.
+ * The editor previews how a sample income would be split with the current goal balances.
+ */
+export default function GoalAllocationRules() {
+  const {
+    goals,
+    allocationRules,
+    isAllocationRulesManaged,
+    lastRuleAllocation,
+    createAllocationRule,
+    updateAllocationRule,
+    deleteAllocationRule,
+    clearLastRuleAllocation,
+    previewRuleAllocation
+  } = useGoals();
+  const { accounts = [] } = useAccounts();
+  const { baseCurrency, formatAmount } = useCurrency();
+  const { t, categoryLabel } = useI18n();
+
+  const [form, setForm] = useState(null);
+  const [sampleAmount, setSampleAmount] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const openGoals = goals.filter(isGoalOpen);
+
+  const showNotice = (message) => {
+    setError('');
+    setNotice(message);
+  };
+
+  const openEditor = (rule) => {
+    setForm(toForm(rule));
+    setSampleAmount(String(Math.max(Number(rule.minAmount) || 0, 1000)));
+    setError('');
+  };
+
+  const methodLabel = (method) =>
+    t(`allocation.methods.${method}`, { defaultValue: ALLOCATION_SPLIT_METHODS[method]?.label || method });
+
+  const toggleGoal = (goalId) => setForm(prev => ({
+    ...prev,
+    goalIds: prev.goalIds.some(id => String(id) === String(goalId))
+      ? prev.goalIds.filter(id => String(id) !== String(goalId))
+      : [...prev.goalIds, goalId]
+  }));
+
+  const setCap = (goalId, value) =>
+    setForm(prev => ({ ...prev, goalCaps: { ...prev.goalCaps, [goalId]: value } }));
+
+  /**
+   * One-line summary of when a rule fires
+   * @private
+   */
+  const describeTrigger = (rule) => {
+    const parts = [t('allocation.triggerAmount', { amount: formatAmount(rule.minAmount || 0) })];
+    if (rule.accountId) {
+      const account = accounts.find(item => String(item.id) === String(rule.accountId));
+      parts.push(t('allocation.triggerAccount', { account: account?.name || t('allocation.removedAccount') }));
+    }
+    if (rule.category) parts.push(t('allocation.triggerCategory', { category: categoryLabel(rule.category) }));
+    return parts.join(' ');
+  };
+
+  /**
+   * One-line summary of where a rule's share goes
+   * @private
+   */
+  const describeTargets = (rule) => {
+    const names = (rule.goalIds || [])
+      .map(id => goals.find(goal => String(goal.id) === String(id))?.name)
+      .filter(Boolean);
+    return t('allocation.targets', {
+      percentage: rule.allocationPercentage,
+      goals: names.length > 0 ? names.join(', ') : t('allocation.allActiveGoals'),
+      method: methodLabel(rule.splitMethod).toLowerCase()
+    });
+  };
+
+  // Preview with the rule as edited, switched on, against the current goal balances
+  const preview = form && Number(sampleAmount) > 0
+    ? previewRuleAllocation(
+      { type: 'income', amount: Number(sampleAmount), currency: baseCurrency, accountId: form.accountId, category: form.category },
+      [{ ...fromForm(form), minAmount: 0, isActive: true }]
+    )[0] || null
+    : null;
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const payload = fromForm(form);
+    const result = form.id ? await updateAllocationRule(form.id, payload) : await createAllocationRule(payload);
+    setSaving(false);
+    if (!result?.success) {
+      setError(result?.error || t('allocation.saveError'));
+      return;
+    }
+    setForm(null);
+    showNotice(t('allocation.saved', { name: payload.name }));
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(t('allocation.deleteConfirm', { name: rule.name }))) return;
+    const result = await deleteAllocationRule(rule.id);
+    if (result?.success) {
+      showNotice(t('allocation.deleted', { name: rule.name }));
+    } else {
+      setError(result?.error || t('allocation.deleteError'));
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    const result = await updateAllocationRule(rule.id, { isActive: !rule.isActive });
+    if (!result?.success) setError(result?.error || t('allocation.updateError'));
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-sm border space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center space-x-3">
+          <Repeat size={20} />
+          <div>
+            <h3 className="text-lg font-semibold">{t('allocation.title')}</h3>
+            <p className="text-sm text-gray-600">{t('allocation.subtitle')}</p>
+          </div>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
+          onClick={() => openEditor(EMPTY_ALLOCATION_RULE)}
+          className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors"
+        >
+          <Plus size={16} />
+          <span>{t('allocation.newRule')}</span>
+        </motion.button>
+      </div>
+
+      {!isAllocationRulesManaged && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg text-sm">
+          {t('allocation.localOnly')}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>
+      )}
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg text-sm">{notice}</div>
+      )}
+
+      {/* Summary of the last automatic allocation */}
+      {lastRuleAllocation && (
+        <div className="bg-blue-50 border border-blue-200 text-blue-800 px-4 py-3 rounded-lg text-sm flex justify-between gap-3">
+          <div>
+            <div className="font-medium">
+              {t('allocation.lastAllocated', { amount: formatAmount(lastRuleAllocation.totalAllocated) })}
+            </div>
+            {lastRuleAllocation.allocations.map((allocation, index) => (
+              <div key={`${allocation.goalId}-${index}`} className="text-xs">
+                {t('allocation.lastAllocation', {
+                  amount: formatAmount(allocation.amount),
+                  goal: allocation.goalName,
+                  rule: allocation.ruleName
+                })}
+                {allocation.reachesTarget && t('allocation.targetReached')}
+              </div>
+            ))}
+            {lastRuleAllocation.failed.length > 0 && (
+              <div className="text-xs text-red-700">
+                {t('allocation.allocationsFailed', {
+                  count: lastRuleAllocation.failed.length,
+                  error: lastRuleAllocation.failed[0].error
+                })}
+              </div>
+            )}
+            {lastRuleAllocation.stoppedRules.length > 0 && (
+              <div className="text-xs">{t('allocation.stoppedRules', { rules: lastRuleAllocation.stoppedRules.join(', ') })}</div>
+            )}
+          </div>
+          <button onClick={clearLastRuleAllocation} className="p-1 hover:bg-blue-100 rounded self-start" aria-label={t('allocation.dismissSummary')}>
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {/* Rule editor */}
+      {form && (
+        <form onSubmit={handleSave} className="border rounded-lg p-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <h4 className="font-semibold">{form.id ? t('allocation.editRule') : t('allocation.newAllocationRule')}</h4>
+            <button type="button" onClick={() => setForm(null)} className="p-1 hover:bg-gray-100 rounded" aria-label={t('allocation.closeEditor')}>
+              <X size={18} />
+            </button>
+          </div>
+
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder={t('allocation.namePlaceholder')}
+            className="w-full p-2 border rounded-lg"
+            required
+          />
+
+          <div>
+            <h5 className="text-sm font-medium mb-2">{t('allocation.whenIncomeArrives')}</h5>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+              <label className="text-sm">
+                <span className="block text-gray-600 mb-1">{t('allocation.ofAtLeast')}</span>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={form.minAmount}
+                  onChange={(e) => setForm(prev => ({ ...prev, minAmount: e.target.value }))}
+                  className="w-full p-2 border rounded-lg"
+                />
+              </label>
+              <label className="text-sm">
+                <span className="block text-gray-600 mb-1">{t('allocation.intoAccount')}</span>
+                <select
+                  value={form.accountId}
+                  onChange={(e) => setForm(prev => ({ ...prev, accountId: e.target.value }))}
+                  className="w-full p-2 border rounded-lg"
+                >
+                  <option value="">{t('allocation.anyAccount')}</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="text-sm">
+                <span className="block text-gray-600 mb-1">{t('allocation.inCategory')}</span>
+                <select
+                  value={form.category}
+                  onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                  className="w-full p-2 border rounded-lg"
+                >
+                  <option value="">{t('allocation.anyCategory')}</option>
+                  <CategoryOptions value={form.category || undefined} />
+                </select>
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <h5 className="text-sm font-medium mb-2">{t('allocation.allocate')}</h5>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <label className="text-sm">
+                <span className="block text-gray-600 mb-1">{t('allocation.share')}</span>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0"
+                  max="100"
+                  value={form.allocationPercentage}
+                  onChange={(e) => setForm(prev => ({ ...prev, allocationPercentage: e.target.value }))}
+                  className="w-full p-2 border rounded-lg"
+                  required
+                />
+              </label>
+              <label className="text-sm">
+                <span className="block text-gray-600 mb-1">{t('allocation.splitBetween')}</span>
+                <select
+                  value={form.splitMethod}
+                  onChange={(e) => setForm(prev => ({ ...prev, splitMethod: e.target.value }))}
+                  className="w-full p-2 border rounded-lg"
+                >
+                  {Object.keys(ALLOCATION_SPLIT_METHODS).map(value => (
+                    <option key={value} value={value}>{methodLabel(value)}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">{t(`allocation.methodHints.${form.splitMethod}`, {
+                defaultValue: ALLOCATION_SPLIT_METHODS[form.splitMethod]?.description || ''
+              })}</p>
+          </div>
+
+          <div>
+            <h5 className="text-sm font-medium mb-1">{t('allocation.goals')}</h5>
+            <p className="text-xs text-gray-500 mb-2">
+              {t('allocation.goalsHint')}
+            </p>
+            {openGoals.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('allocation.noOpenGoals')}</p>
+            ) : (
+              <div className="divide-y border rounded-lg">
+                {openGoals.map(goal => {
+                  const position = form.goalIds.findIndex(id => String(id) === String(goal.id));
+                  return (
+                    <div key={goal.id} className="flex flex-wrap items-center justify-between gap-3 p-2">
+                      <label className="flex items-center space-x-2 text-sm">
+                        <input type="checkbox" checked={position >= 0} onChange={() => toggleGoal(goal.id)} />
+                        <span>
+                          {position >= 0 && form.splitMethod === 'ordered' && <span className="text-gray-400 mr-1">{position + 1}.</span>}
+                          {goal.name}
+                        </span>
+                        <span className="text-xs text-gray-500">
+                          {t('allocation.needs', { amount: formatAmount(goal.targetAmount - goal.currentAmount) })}
+                          {form.splitMethod === 'weighted' && t('allocation.weight', { percentage: goal.allocationPercentage || 0 })}
+                        </span>
+                      </label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={form.goalCaps[goal.id] ?? ''}
+                        onChange={(e) => setCap(goal.id, e.target.value)}
+                        placeholder={t('allocation.noCap')}
+                        className="w-32 p-1 border rounded text-sm"
+                        aria-label={t('allocation.capFor', { name: goal.name })}
+                        disabled={form.goalIds.length > 0 && position < 0}
+                      />
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Split preview */}
+          <div className="bg-gray-50 rounded-lg p-3 space-y-2">
+            <label className="flex items-center gap-2 text-sm">
+              <span className="text-gray-600">{t('allocation.previewIncome')}</span>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                value={sampleAmount}
+                onChange={(e) => setSampleAmount(e.target.value)}
+                className="w-32 p-1 border rounded"
+              />
+            </label>
+            {Number(sampleAmount) < (Number(form.minAmount) || 0) && (
+              <p className="text-xs text-orange-600">{t('allocation.belowMinimum')}</p>
+            )}
+            {!preview ? (
+              <p className="text-sm text-gray-500">{t('allocation.nothingAllocated')}</p>
+            ) : (
+              <div className="text-sm">
+                <div className="font-medium mb-1">
+                  {t('allocation.previewTotal', {
+                    allocated: formatAmount(preview.totalAllocated),
+                    pool: formatAmount(preview.pool)
+                  })}
+                </div>
+                {preview.allocations.map(allocation => (
+                  <div key={allocation.goalId} className="flex justify-between text-xs">
+                    <span>
+                      {allocation.goalName}
+                      {allocation.limitedBy === 'cap' && <span className="text-gray-500">{t('allocation.capped')}</span>}
+                      {allocation.reachesTarget && <span className="text-green-600">{t('allocation.reachesTarget')}</span>}
+                    </span>
+                    <span>{formatAmount(allocation.amount)}</span>
+                  </div>
+                ))}
+                {preview.unallocated > 0 && (
+                  <div className="text-xs text-gray-500 mt-1">
+                    {t('allocation.unallocated', { amount: formatAmount(preview.unallocated) })}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors disabled:opacity-50"
+          >
+            <Check size={16} />
+            <span>{t('allocation.save')}</span>
+          </button>
+        </form>
+      )}
+
+      {/* Rule list */}
+      {allocationRules.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('allocation.empty')}</p>
+      ) : (
+        <div className="divide-y">
+          {allocationRules.map(rule => {
+            const status = getAllocationRuleStatus(rule, goals);
+            return (
+              <div key={rule.id} className="flex flex-wrap items-center justify-between gap-3 py-3">
+                <div className={rule.isActive ? '' : 'opacity-60'}>
+                  <div className="font-medium">
+                    {rule.name}
+                    <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${RULE_STATUS_BADGES[status]}`}>{t(`allocation.statuses.${status}`)}</span>
+                  </div>
+                  <div className="text-xs text-gray-500">{t('allocation.when', { trigger: describeTrigger(rule) })}</div>
+                  <div className="text-xs text-gray-500">{t('allocation.move', { targets: describeTargets(rule) })}</div>
+                </div>
+                <div className="flex items-center space-x-1">
+                  <label className="flex items-center space-x-1 text-xs text-gray-600 mr-2">
+                    <input type="checkbox" checked={Boolean(rule.isActive)} onChange={() => handleToggle(rule)} />
+                    <span>{t('allocation.active')}</span>
+                  </label>
+                  <button onClick={() => openEditor(rule)} className="p-2 hover:bg-gray-100 rounded" title={t('allocation.editNamed', { name: rule.name })}>
+                    <Pencil size={16} />
+                  </button>
+                  <button onClick={() => handleDelete(rule)} className="p-2 hover:bg-red-50 rounded" title={t('allocation.deleteNamed', { name: rule.name })}>
+                    <Trash2 size={16} className="text-red-500" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+// src/components/dashboard/GoalProjectionChart.jsx
+import { useMemo } from 'react';
+import { Line } from 'react-chartjs-2';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend } from 'chart.js';
+import { useCurrency, useI18n } from '../../contexts';
+import { buildGoalTrajectory } from '../../utils/goalProjections';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
+
+/**
+ * Actual savings against the trajectory needed to reach a goal by its deadline
+ * @param {Object} props - Component props
+ * @param {Object} props.goal - Goal
+ * @param {Array} props.contributions - Contribution ledger
+ */
+export default function GoalProjectionChart({ goal, contributions }) {
+  const { formatAmount } = useCurrency();
+  const { t, formatDate } = useI18n();
+
+  const points = useMemo(() => buildGoalTrajectory(goal, contributions), [goal, contributions]);
+
+  const chartData = {
+    labels: points.map(point => formatDate(point.date, { month: 'short', year: '2-digit' })),
+    datasets: [
+      {
+        label: t('goals.actual'),
+        data: points.map(point => point.actual),
+        borderColor: '#3B82F6',
+        backgroundColor: '#3B82F6',
+        pointRadius: 2,
+        tension: 0.2
+      },
+      {
+        label: t('goals.projectedPace'),
+        data: points.map(point => point.projected),
+        borderColor: '#93C5FD',
+        backgroundColor: '#93C5FD',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        tension: 0.2
+      },
+      {
+        label: t('goals.requiredPace'),
+        data: points.map(point => point.required),
+        borderColor: '#9CA3AF',
+        backgroundColor: '#9CA3AF',
+        borderDash: [2, 3],
+        pointRadius: 0
+      }
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    spanGaps: false,
+    plugins: {
+      legend: { position: 'top', labels: { usePointStyle: true, padding: 16, font: { size: 11 } } },
+      tooltip: {
+        callbacks: {
+          label: (context) => context.raw === null ? null : `${context.dataset.label}: ${formatAmount(context.raw)}`
+        }
+      }
+    },
+    scales: {
+      x: { grid: { display: false }, ticks: { maxTicksLimit: 12 } },
+      y: {
+        beginAtZero: true,
+        suggestedMax: goal.targetAmount,
+        ticks: { callback: (value) => formatAmount(value) }
+      }
+    }
+  };
+
+  return (
+    <div className="h-64">
+      <Line data={chartData} options={chartOptions} />
+    </div>
+  );
+}
@@ -1,8 +1,11 @@
 // src/components/dashboard/GoalsPage.jsx
 import { motion } from 'framer-motion';
-import { Plus, Target, Trophy, Trash2, Edit, DollarSign, PieChart, Calendar } from 'lucide-react';
+import { Plus, Target, Trophy, Trash2, Edit, DollarSign, PieChart, Calendar, History } from 'lucide-react';
 import { useState } from 'react';
-import { useGoals } from '../../contexts';
+import { useGoals, useCurrency, useI18n } from '../../contexts';
+import GoalProjectionChart from './GoalProjectionChart';
+import GoalAllocationRules from './GoalAllocationRules';
+import { CONTRIBUTION_SOURCES, GOAL_TRACKING_STATUS } from '../../utils/goalProjections';
 
 /**
  * Financial goals management interface with automated income allocation
@@ -11,8 +14,13 @@ import { useGoals } from '../../contexts';
  * - Goal creation, tracking, and completion management
  * - Visual progress indicators with deadline tracking
  * - Automated income allocation for systematic savings
+ * - Standing allocation rules that run on qualifying income (manual entry or recurring),
+ *   with a split preview, per-goal caps and automatic stopping at each goal's target
  * - Manual contribution capabilities for ad-hoc savings
  * - Goal categorization with visual theming
+ * - Contribution history per goal, including income allocations
+ * - Completion projection from recent contribution pace, the monthly amount needed to meet
+ *   the deadline, and an on-track/behind indicator with an actual-vs-required chart
  * 
  * Goal Lifecycle:
  * 1. Creation: Define target amount, category, deadline, and optional allocation percentage
@@ -41,13 +49,19 @@ export default function GoalsPage({ filters }) {
     deleteGoal, 
     contributeToGoal, 
     autoAllocateIncome,
+    getGoalContributions,
+    getGoalProjection,
+    contributions,
     clearError 
   } = useGoals();
+  const { formatAmount } = useCurrency();
+  const { t, formatDate } = useI18n();
   
   // UI state management for forms and modals
   const [showAddForm, setShowAddForm] = useState(false);
   const [showContributeForm, setShowContributeForm] = useState(null);
   const [showAllocateForm, setShowAllocateForm] = useState(false);
+  const [expandedGoal, setExpandedGoal] = useState(null);
   const [contributionAmount, setContributionAmount] = useState('');
   const [allocationData, setAllocationData] = useState({
     incomeAmount: '',
@@ -602,6 +616,9 @@ export default function GoalsPage({ filters }) {
             const percentage = goal.targetAmount > 0 ? (goal.currentAmount / goal.targetAmount) * 100 : 0;
             const status = getGoalStatus(goal);
             const categoryInfo = getCategoryInfo(goal.category);
+            const projection = getGoalProjection(goal.id);
+            const tracking = projection && GOAL_TRACKING_STATUS[projection.status];
+            const isExpanded = expandedGoal === goal.id;
             
             return (
               <motion.div
@@ -672,6 +689,61 @@ export default function GoalsPage({ filters }) {
                   <span>Target: ${goal.targetAmount.toFixed(2)}</span>
                 </div>
                 
+                {/* Pace and deadline projection */}
+                {projection && !goal.isCompleted && (
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 p-3 bg-gray-50 rounded-lg mb-3 text-sm">
+                    <div>
+                      <span className={`inline-block text-xs px-2 py-0.5 rounded-full mb-1 ${tracking.badge}`}>
+                        {t(`goals.tracking.${projection.status}`, { defaultValue: tracking.label })}
+                      </span>
+                      <p className="text-gray-600">
+                        {projection.projectedCompletionDate
+                          ? t('goals.projected', { date: formatDate(projection.projectedCompletionDate, { month: 'short', year: 'numeric' }) })
+                          : t('goals.noProjection')}
+                      </p>
+                    </div>
+                    <div>
+                      <p className="text-gray-500">{t('goals.currentPace')}</p>
+                      <p className="font-medium text-gray-900">{t('goals.perMonth', { amount: formatAmount(projection.monthlyVelocity) })}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-500">{t('goals.neededForDeadline')}</p>
+                      <p className={`font-medium ${projection.monthlyShortfall > 0 ? 'text-orange-600' : 'text-gray-900'}`}>
+                        {projection.requiredMonthly === null ? '—' : t('goals.perMonth', { amount: formatAmount(projection.requiredMonthly) })}
+                      </p>
+                    </div>
+                  </div>
+                )}
+
+                {/* Contribution history and trajectory */}
+                {isExpanded && (
+                  <div className="border-t pt-4 mb-3 space-y-4">
+                    <GoalProjectionChart goal={goal} contributions={contributions} />
+                    {getGoalContributions(goal.id).length === 0 ? (
+                      <p className="text-sm text-gray-500">{t('goals.noContributions')}</p>
+                    ) : (
+                      <ul className="divide-y text-sm max-h-60 overflow-y-auto" aria-label={t('goals.contributionsTo', { name: goal.name })}>
+                        {[...getGoalContributions(goal.id)].reverse().map(contribution => {
+                          const source = CONTRIBUTION_SOURCES[contribution.source]
+                            ? t(`goals.sources.${contribution.source}`, { defaultValue: CONTRIBUTION_SOURCES[contribution.source] })
+                            : null;
+                          return (
+                            <li key={contribution.id} className="flex justify-between py-2">
+                              <div>
+                                <p className="text-gray-900">{contribution.description || source || t('goals.contribution')}</p>
+                                <p className="text-xs text-gray-500">
+                                  {formatDate(contribution.date)} · {source || contribution.source}
+                                </p>
+                              </div>
+                              <span className="font-medium text-green-600">+{formatAmount(contribution.amount)}</span>
+                            </li>
+                          );
+                        })}
+                      </ul>
+                    )}
+                  </div>
+                )}
+
                 {/* Goal completion celebration */}
                 {goal.isCompleted && (
                   <motion.div
@@ -698,6 +770,15 @@ export default function GoalsPage({ filters }) {
                       <DollarSign size={14} aria-hidden="true" />
                       <span>Contribute</span>
                     </button>
+                    <button
+                      onClick={() => setExpandedGoal(isExpanded ? null : goal.id)}
+                      className="flex items-center space-x-1 bg-gray-200 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-300 transition-colors focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-1"
+                      aria-expanded={isExpanded}
+                      aria-label={t(isExpanded ? 'goals.hideHistoryFor' : 'goals.showHistoryFor', { name: goal.name })}
+                    >
+                      <History size={14} aria-hidden="true" />
+                      <span>{isExpanded ? t('goals.hideHistory') : t('goals.history')}</span>
+                    </button>
                     <button
                       onClick={() => handleToggleActive(goal)}
                       className="flex items-center space-x-1 bg-gray-200 text-gray-700 px-3 py-1 rounded text-sm hover:bg-gray-300 transition-colors focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-1"
@@ -723,6 +804,9 @@ export default function GoalsPage({ filters }) {
           })
         )}
       </div>
+
+      {/* Standing income allocation rules */}
+      <GoalAllocationRules />
     </div>
   );
 }
\ No newline at end of file
@@ -217,8 +217,9 @@ const IncomeExpenseChart = ({ data, transactions, timeframe, enhancedData, loadi
       
       const dayEntry = dailyData.find(d => d.dateKey === txDate);
       if (dayEntry) {
+        // Transfers move money between accounts and count as neither
         if (tx.type === 'income') dayEntry.income += tx.amount;
-        else dayEntry.expenses += Math.abs(tx.amount);
+        else if (tx.type === 'expense') dayEntry.expenses += Math.abs(tx.amount);
         dayEntry.net = dayEntry.income - dayEntry.expenses;
         dayEntry.transactions.push(tx);
         hasData = true;
@@ -247,7 +248,7 @@ const IncomeExpenseChart = ({ data, transactions, timeframe, enhancedData, loadi
       transactions.forEach(tx => {
         if (tx.date?.split('T')[0] === dateKey) {
           if (tx.type === 'income') dayIncome += tx.amount;
-          else dayExpenses += Math.abs(tx.amount);
+          else if (tx.type === 'expense') dayExpenses += Math.abs(tx.amount);
         }
       });
       
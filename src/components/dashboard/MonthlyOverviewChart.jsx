@@ -2,10 +2,14 @@ import { useMemo } from 'react';
 import { Bar } from 'react-chartjs-2';
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
 import { TrendingUp, TrendingDown, DollarSign } from 'lucide-react';
+import { useCurrency } from '../../contexts';
 
 ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
 
 const MonthlyOverviewChart = ({ data = [], timeframe }) => {
+  // Monthly trends are already converted to the base currency
+  const { formatAmount } = useCurrency();
+
   const { chartData, insights } = useMemo(() => {
     try {
       if (!data || !Array.isArray(data) || data.length === 0) {
@@ -85,7 +89,7 @@ const MonthlyOverviewChart = ({ data = [], timeframe }) => {
       tooltip: {
         callbacks: {
           label: function(context) {
-            return `${context.dataset.label}: $${context.raw.toFixed(2)}`;
+            return `${context.dataset.label}: ${formatAmount(context.raw)}`;
           }
         }
       }
@@ -99,7 +103,7 @@ const MonthlyOverviewChart = ({ data = [], timeframe }) => {
         beginAtZero: true,
         ticks: {
           callback: function(value) {
-            return '$' + value.toLocaleString();
+            return formatAmount(value);
           }
         }
       }
@@ -148,19 +152,19 @@ const MonthlyOverviewChart = ({ data = [], timeframe }) => {
           <div className="text-center">
             <div className="text-sm text-gray-600">Total Income</div>
             <div className="text-lg font-bold text-green-600">
-              ${insights.totalIncome.toFixed(0)}
+              {formatAmount(insights.totalIncome)}
             </div>
           </div>
           <div className="text-center">
             <div className="text-sm text-gray-600">Total Expenses</div>
             <div className="text-lg font-bold text-red-600">
-              ${insights.totalExpenses.toFixed(0)}
+              {formatAmount(insights.totalExpenses)}
             </div>
           </div>
           <div className="text-center">
             <div className="text-sm text-gray-600">Net Flow</div>
             <div className={`text-lg font-bold ${insights.netTotal >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-              ${insights.netTotal.toFixed(0)}
+              {formatAmount(insights.netTotal)}
             </div>
           </div>
           <div className="text-center">
@@ -181,7 +185,7 @@ const MonthlyOverviewChart = ({ data = [], timeframe }) => {
               {insights.bestMonth?.month}
             </div>
             <div className="text-xs text-green-600">
-              +${insights.bestMonth?.net?.toFixed(2)}
+              +{formatAmount(insights.bestMonth?.net)}
             </div>
           </div>
           <div className="bg-red-50 rounded-lg p-3">
@@ -190,7 +194,7 @@ const MonthlyOverviewChart = ({ data = [], timeframe }) => {
               {insights.worstMonth?.month}
             </div>
             <div className="text-xs text-red-600">
-              ${insights.worstMonth?.net?.toFixed(2)}
+              {formatAmount(insights.worstMonth?.net)}
             </div>
           </div>
         </div>
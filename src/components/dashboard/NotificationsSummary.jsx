@@ -4,7 +4,8 @@ import {
   Bell, Calendar, Target, TrendingUp, AlertTriangle, 
   CheckCircle, Clock, DollarSign
 } from 'lucide-react';
-import { useTransactions, useBudgets, useGoals } from '../../contexts';
+import { useTransactions, useBudgets, useGoals, useDashboard, useCurrency, useI18n } from '../../contexts';
+import { summarizeBudgetWindow } from '../../utils/budgetPeriods';
 
 /**
  * Consolidated notification center for financial alerts and reminders
@@ -29,6 +30,7 @@ import { useTransactions, useBudgets, useGoals } from '../../contexts';
  * Data Integration:
  * - Accepts direct props for isolated testing
  * - Falls back to context data for real application use
+ * - Transaction amounts are expected in the base currency (DashboardContext.baseTransactions)
  * - Memoized calculations for performance optimization
  */
 const NotificationsSummary = ({ transactions, budgets, goals }) => {
@@ -36,8 +38,11 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
   const transContext = useTransactions();
   const budgetContext = useBudgets();
   const goalContext = useGoals();
+  const { baseTransactions } = useDashboard();
+  const { formatAmount } = useCurrency();
+  const { t, categoryLabel, formatNumber } = useI18n();
   
-  const trans = transactions || transContext.transactions;
+  const trans = transactions || baseTransactions || transContext.transactions;
   const budg = budgets || budgetContext.budgets;
   const gls = goals || goalContext.goals;
 
@@ -62,8 +67,8 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
         const daysUntilDue = Math.ceil((bill.dueDate - today) / (1000 * 60 * 60 * 24));
         notificationsList.push({
           type: 'bill_due',
-          title: 'Bill Due Soon',
-          message: `${bill.name} of $${bill.amount} due in ${daysUntilDue} day${daysUntilDue !== 1 ? 's' : ''}`,
+          title: t('notifications.billDueTitle'),
+          message: t('notifications.billDue', { name: bill.name, amount: formatAmount(bill.amount), count: daysUntilDue }),
           severity: daysUntilDue <= 2 ? 'high' : 'medium',
           icon: Calendar,
           dueDate: bill.dueDate,
@@ -81,8 +86,12 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
         if (progress >= 90 && progress < 100) {
           notificationsList.push({
             type: 'goal_near_completion',
-            title: 'Goal Almost Reached!',
-            message: `${goal.name} is ${progress.toFixed(1)}% complete - only $${(goal.targetAmount - goal.currentAmount).toFixed(2)} to go`,
+            title: t('notifications.goalNearTitle'),
+            message: t('notifications.goalNear', {
+              name: goal.name,
+              progress: formatNumber(progress, { maximumFractionDigits: 1 }),
+              amount: formatAmount(goal.targetAmount - goal.currentAmount)
+            }),
             severity: 'low',
             icon: Target,
             progress: progress,
@@ -94,8 +103,12 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
         if (daysLeft <= 7 && progress < 100) {
           notificationsList.push({
             type: 'goal_deadline',
-            title: 'Goal Deadline Approaching',
-            message: `${goal.name} deadline in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}. ${progress.toFixed(1)}% complete`,
+            title: t('notifications.goalDeadlineTitle'),
+            message: t('notifications.goalDeadline', {
+              name: goal.name,
+              count: daysLeft,
+              progress: formatNumber(progress, { maximumFractionDigits: 1 })
+            }),
             severity: 'medium',
             icon: Clock,
             daysLeft: daysLeft,
@@ -107,8 +120,8 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
         if (progress >= 100 && !goal.isCompleted) {
           notificationsList.push({
             type: 'goal_completed',
-            title: 'Goal Completed! 🎉',
-            message: `Congratulations! You've reached your ${goal.name} goal`,
+            title: t('notifications.goalCompletedTitle'),
+            message: t('notifications.goalCompleted', { name: goal.name }),
             severity: 'info',
             icon: CheckCircle,
             goalId: goal.id
@@ -120,18 +133,21 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
     // 3. BUDGET ALERTS
     budg.forEach(budget => {
       if (budget.isActive) {
-        const spent = trans
-          .filter(tx => tx.type === 'expense' && tx.category === budget.category)
-          .reduce((sum, tx) => sum + Math.abs(tx.amount), 0);
+        // Only spending in the budget's current period counts, against its limit plus rollover
+        const { spent, effectiveLimit } = summarizeBudgetWindow(budget, trans);
         
-        const percentage = (spent / budget.limit) * 100;
+        const percentage = effectiveLimit > 0 ? (spent / effectiveLimit) * 100 : 0;
         
         // Budget warning threshold (90-100% utilization)
         if (percentage >= 90 && percentage < 100) {
           notificationsList.push({
             type: 'budget_warning',
-            title: 'Budget Nearly Exceeded',
-            message: `${budget.category} budget is ${percentage.toFixed(1)}% used. $${(budget.limit - spent).toFixed(2)} remaining`,
+            title: t('notifications.budgetWarningTitle'),
+            message: t('notifications.budgetWarning', {
+              category: categoryLabel(budget.category),
+              percentage: formatNumber(percentage, { maximumFractionDigits: 1 }),
+              amount: formatAmount(effectiveLimit - spent)
+            }),
             severity: 'medium',
             icon: AlertTriangle,
             category: budget.category,
@@ -143,12 +159,15 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
         if (percentage >= 100) {
           notificationsList.push({
             type: 'budget_exceeded',
-            title: 'Budget Exceeded',
-            message: `${budget.category} budget exceeded by $${(spent - budget.limit).toFixed(2)}`,
+            title: t('notifications.budgetExceededTitle'),
+            message: t('notifications.budgetExceeded', {
+              category: categoryLabel(budget.category),
+              amount: formatAmount(spent - effectiveLimit)
+            }),
             severity: 'high',
             icon: AlertTriangle,
             category: budget.category,
-            overspend: spent - budget.limit
+            overspend: spent - effectiveLimit
           });
         }
       }
@@ -159,7 +178,7 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
     return notificationsList
       .sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity])
       .slice(0, 8);
-  }, [trans, budg, gls]);
+  }, [trans, budg, gls, formatAmount, t, categoryLabel, formatNumber]);
 
   /**
    * Maps severity levels to UI color schemes
@@ -182,7 +201,7 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
   if (isLoading) {
     return (
       <div className="bg-white rounded-xl shadow-sm p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">Notifications</h3>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('notifications.title')}</h3>
         <div className="flex items-center justify-center h-48">
           <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-black"></div>
         </div>
@@ -194,9 +213,9 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
   if (hasError) {
     return (
       <div className="bg-white rounded-xl shadow-sm p-6">
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">Notifications</h3>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('notifications.title')}</h3>
         <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
-          Unable to load notification data. Please try again later.
+          {t('notifications.loadError')}
         </div>
       </div>
     );
@@ -208,12 +227,12 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-lg font-semibold text-gray-900 flex items-center">
           <Bell className="mr-2" size={20} aria-hidden="true" />
-          Notifications
+          {t('notifications.title')}
         </h3>
         {/* Unread counter badge */}
         {unreadCount > 0 && (
-          <span className="px-2 py-1 bg-red-100 text-red-700 text-sm rounded-full" aria-label={`${unreadCount} new notifications`}>
-            {unreadCount} new
+          <span className="px-2 py-1 bg-red-100 text-red-700 text-sm rounded-full" >
+            {t('notifications.newCount', { count: unreadCount })}
           </span>
         )}
       </div>
@@ -222,8 +241,8 @@ const NotificationsSummary = ({ transactions, budgets, goals }) => {
       {notifications.length === 0 ? (
         <div className="text-center py-8" role="status" aria-label="No notifications">
           <Bell size={32} className="mx-auto text-gray-300 mb-2" aria-hidden="true" />
-          <p className="text-gray-500">No notifications</p>
-          <p className="text-sm text-gray-400 mt-1">You're all caught up!</p>
+          <p className="text-gray-500">{t('notifications.empty')}</p>
+          <p className="text-sm text-gray-400 mt-1">{t('notifications.allCaughtUp')}</p>
         </div>
       ) : (
         /* Notifications list */
@@ -1,10 +1,11 @@
 // src/components/dashboard/RecurringTransactions.jsx
 import { motion } from 'framer-motion';
 import { useState, useEffect } from 'react';
-import { Plus, Calendar, Repeat, Trash2, Edit, Play, Pause, ArrowLeft } from 'lucide-react';
+import { Plus, Calendar, Repeat, Trash2, Edit, Play, Pause, ArrowLeft, RefreshCw } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 import { recurringService } from '../../services/recurringService';
 import { accountsAPI } from '../../services/api';
+import { useTransactions } from '../../contexts';
 
 /**
  * Recurring transaction management interface for automated financial operations
@@ -20,7 +21,8 @@ import { accountsAPI } from '../../services/api';
  * 1. Creation: Define amount, frequency, category, and account association
  * 2. Scheduling: Automatic execution based on configured frequency
  * 3. Management: Toggle active status, edit parameters, or delete
- * 4. Execution: Automatic creation of actual transactions per schedule
+ * 4. Execution: Automatic creation of actual transactions per schedule, on demand via "Process due";
+ *    created income runs through the goal allocation rules
  * 
  * Data Integration:
  * - Centralized recurring service for transaction lifecycle management
@@ -39,6 +41,9 @@ export default function RecurringTransactions() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [editingTransaction, setEditingTransaction] = useState(null);
+  const [processing, setProcessing] = useState(false);
+  const [notice, setNotice] = useState('');
+  const { processRecurringTransactions } = useTransactions();
   const navigate = useNavigate();
 
   /**
@@ -98,6 +103,29 @@ export default function RecurringTransactions() {
     }
   };
 
+  /**
+   * Creates every transaction that is due now and reports what happened
+   * Schedules without auto-approve are only counted as awaiting approval.
+   */
+  const handleProcessDue = async () => {
+    setProcessing(true);
+    setNotice('');
+    const result = await processRecurringTransactions();
+    setProcessing(false);
+
+    if (!result?.success) {
+      setError(result?.error || 'Failed to process due transactions');
+      return;
+    }
+    const { processed, pendingApproval } = result.data;
+    setError(null);
+    setNotice(
+      `${processed} transaction${processed === 1 ? '' : 's'} created` +
+      (pendingApproval.length > 0 ? `, ${pendingApproval.length} awaiting approval` : '')
+    );
+    await loadRecurringTransactions(); // Next run dates moved forward
+  };
+
   /**
    * Initiates edit mode for an existing transaction
    * @param {Object} transaction - Transaction to edit
@@ -154,21 +182,38 @@ export default function RecurringTransactions() {
       {/* Header with add button */}
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold">Recurring Transactions</h2>
-        <motion.button
-          whileHover={{ scale: 1.05 }}
-          whileTap={{ scale: 0.95 }}
-          onClick={() => {
-            setEditingTransaction(null);
-            setShowForm(true);
-          }}
-          className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg"
-          aria-label="Add new recurring transaction"
-        >
-          <Plus size={20} />
-          <span>Add Recurring</span>
-        </motion.button>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleProcessDue}
+            disabled={processing || recurringTransactions.length === 0}
+            className="flex items-center space-x-2 bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+            aria-label="Create transactions that are due now"
+          >
+            <RefreshCw size={18} className={processing ? 'animate-spin' : ''} />
+            <span>{processing ? 'Processing...' : 'Process due'}</span>
+          </button>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => {
+              setEditingTransaction(null);
+              setShowForm(true);
+            }}
+            className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg"
+            aria-label="Add new recurring transaction"
+          >
+            <Plus size={20} />
+            <span>Add Recurring</span>
+          </motion.button>
+        </div>
       </div>
 
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+          {notice}
+        </div>
+      )}
+
       {/* Error display (non-blocking) */}
       {error && (
         <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
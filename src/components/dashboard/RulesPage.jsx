@@ -0,0 +1,517 @@
+// src/components/dashboard/RulesPage.jsx
+import { useState, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Plus, Pencil, Trash2, Play, Sparkles, X, Check } from 'lucide-react';
+import { useRules, useAccounts, useI18n } from '../../contexts';
+import CategoryOptions from '../ui/CategoryOptions';
+import { EMPTY_RULE, RULE_MOODS } from '../../utils/ruleEngine';
+
+/**
+ * Converts a stored rule into editor fields (tags as comma-separated text)
+ * @private
+ */
+const toForm = (rule) => ({
+  ...EMPTY_RULE,
+  ...rule,
+  conditions: { ...EMPTY_RULE.conditions, ...rule.conditions },
+  actions: { ...EMPTY_RULE.actions, ...rule.actions },
+  tagsText: (rule.actions?.tags || []).join(', ')
+});
+
+/**
+ * Converts editor fields back into a rule payload
+ * @private
+ */
+const fromForm = ({ tagsText, id: _id, createdAt: _createdAt, updatedAt: _updatedAt, userId: _userId, ...rule }) => ({
+  ...rule,
+  name: rule.name.trim(),
+  priority: Number(rule.priority) || 0,
+  actions: {
+    ...rule.actions,
+    tags: tagsText.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean)
+  }
+});
+
+/**
+ * Categorization rules
+ *
+ * Features:
+ * - Conditions on description (contains or regular expression), amount range, account and type
+ * - Actions that set the category, add tags, mark as recurring or attach a mood
+ * - Retroactive run over existing transactions with a preview of every affected row
+ * - Rule suggestions learned from categories the user corrected by hand
+ */
+export default function RulesPage() {
+  const {
+    rules,
+    suggestions,
+    isManaged,
+    createRule,
+    updateRule,
+    deleteRule,
+    previewRetroactive,
+    applyRetroactive,
+    dismissSuggestion
+  } = useRules();
+  const { accounts = [] } = useAccounts();
+  const { t, categoryLabel, formatDate } = useI18n();
+
+  const [form, setForm] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const accountNames = useMemo(
+    () => new Map(accounts.map(account => [String(account.id), account.name])),
+    [accounts]
+  );
+
+  const showNotice = (message) => {
+    setError('');
+    setNotice(message);
+  };
+
+  const setCondition = (field, value) =>
+    setForm(prev => ({ ...prev, conditions: { ...prev.conditions, [field]: value } }));
+
+  const setAction = (field, value) =>
+    setForm(prev => ({ ...prev, actions: { ...prev.actions, [field]: value } }));
+
+  /**
+   * One-line summary of a rule's conditions
+   * @private
+   */
+  const describeConditions = ({ conditions = {} }) => {
+    const parts = [];
+    if (conditions.descriptionContains) parts.push(t('rules.conditionContains', { text: conditions.descriptionContains }));
+    if (conditions.descriptionRegex) parts.push(t('rules.conditionRegex', { pattern: conditions.descriptionRegex }));
+    if (conditions.amountMin !== '' && conditions.amountMin !== undefined) parts.push(t('rules.conditionMin', { amount: conditions.amountMin }));
+    if (conditions.amountMax !== '' && conditions.amountMax !== undefined) parts.push(t('rules.conditionMax', { amount: conditions.amountMax }));
+    if (conditions.accountId) {
+      parts.push(t('rules.conditionAccount', { account: accountNames.get(String(conditions.accountId)) || conditions.accountId }));
+    }
+    if (conditions.type) parts.push(t('rules.conditionType', { type: t(`transactions.${conditions.type}`).toLowerCase() }));
+    return parts.join(t('rules.conditionJoin'));
+  };
+
+  /**
+   * One-line summary of a rule's actions
+   * @private
+   */
+  const describeActions = ({ actions = {} }) => {
+    const parts = [];
+    if (actions.category) parts.push(t('rules.actionCategory', { category: categoryLabel(actions.category) }));
+    if (actions.tags?.length) parts.push(t('rules.actionTags', { tags: `#${actions.tags.join(' #')}` }));
+    if (actions.markRecurring) parts.push(t('rules.actionRecurring'));
+    if (actions.mood) parts.push(t('rules.actionMood', { mood: t(`rules.moods.${actions.mood}`, { defaultValue: actions.mood }) }));
+    return parts.join(', ');
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const payload = fromForm(form);
+    const result = form.id ? await updateRule(form.id, payload) : await createRule(payload);
+    setSaving(false);
+    if (!result?.success) {
+      setError(result?.error || t('rules.saveError'));
+      return;
+    }
+    setForm(null);
+    showNotice(t('rules.saved', { name: payload.name }));
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(t('rules.deleteConfirm', { name: rule.name }))) return;
+    const result = await deleteRule(rule.id);
+    if (result?.success) {
+      showNotice(t('rules.deleted', { name: rule.name }));
+    } else {
+      setError(result?.error || t('rules.deleteError'));
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    const result = await updateRule(rule.id, { enabled: rule.enabled === false });
+    if (!result?.success) setError(result?.error || t('rules.updateError'));
+  };
+
+  const handlePreview = (ruleIds, label) => {
+    const rows = previewRetroactive(ruleIds);
+    setError('');
+    setNotice('');
+    setPreview({ rows, label });
+  };
+
+  const handleApply = async () => {
+    setProgress({ completed: 0, total: preview.rows.length });
+    const outcome = await applyRetroactive(preview.rows, (completed, total) => setProgress({ completed, total }));
+    setProgress(null);
+    setPreview(null);
+    showNotice(t('rules.updated', { count: outcome.updated }));
+    if (outcome.failed.length > 0) {
+      setError(t('rules.updateFailed', { count: outcome.failed.length, error: outcome.failed[0].error }));
+    }
+  };
+
+  const handleAcceptSuggestion = async (suggestion) => {
+    const result = await createRule(suggestion.rule);
+    if (result?.success) {
+      showNotice(t('rules.created', { name: suggestion.rule.name }));
+    } else {
+      setError(result?.error || t('rules.createError'));
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold">{t('rules.title')}</h2>
+          <p className="text-gray-600">{t('rules.subtitle')}</p>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => handlePreview(null, t('rules.allRules'))}
+            disabled={rules.length === 0}
+            className="flex items-center space-x-2 bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors disabled:opacity-50"
+          >
+            <Play size={16} />
+            <span>{t('rules.runOnExisting')}</span>
+          </button>
+          <motion.button
+            whileHover={{ scale: 1.02 }}
+            whileTap={{ scale: 0.98 }}
+            onClick={() => setForm(toForm(EMPTY_RULE))}
+            className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors"
+          >
+            <Plus size={16} />
+            <span>{t('rules.newRule')}</span>
+          </motion.button>
+        </div>
+      </div>
+
+      {!isManaged && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg">
+          {t('rules.localOnly')}
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">{notice}</div>
+      )}
+
+      {/* Rule editor */}
+      {form && (
+        <form onSubmit={handleSave} className="bg-white p-6 rounded-lg border shadow-sm space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-semibold">{form.id ? t('rules.editRule') : t('rules.newRule')}</h3>
+            <button type="button" onClick={() => setForm(null)} className="p-1 hover:bg-gray-100 rounded" aria-label={t('rules.closeEditor')}>
+              <X size={18} />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder={t('rules.name')}
+              className="p-2 border rounded-lg md:col-span-2"
+              required
+            />
+            <input
+              type="number"
+              value={form.priority}
+              onChange={(e) => setForm(prev => ({ ...prev, priority: e.target.value }))}
+              className="p-2 border rounded-lg"
+              title={t('rules.priorityHint')}
+              aria-label={t('rules.priority')}
+            />
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium mb-2">{t('rules.whenMatches')}</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <input
+                type="text"
+                value={form.conditions.descriptionContains}
+                onChange={(e) => setCondition('descriptionContains', e.target.value)}
+                placeholder={t('rules.descriptionContains')}
+                className="p-2 border rounded-lg"
+              />
+              <input
+                type="text"
+                value={form.conditions.descriptionRegex}
+                onChange={(e) => setCondition('descriptionRegex', e.target.value)}
+                placeholder={t('rules.descriptionRegex')}
+                className="p-2 border rounded-lg font-mono text-sm"
+              />
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={form.conditions.amountMin}
+                  onChange={(e) => setCondition('amountMin', e.target.value)}
+                  placeholder={t('rules.minAmount')}
+                  className="w-1/2 p-2 border rounded-lg"
+                />
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={form.conditions.amountMax}
+                  onChange={(e) => setCondition('amountMax', e.target.value)}
+                  placeholder={t('rules.maxAmount')}
+                  className="w-1/2 p-2 border rounded-lg"
+                />
+              </div>
+              <div className="flex space-x-2">
+                <select
+                  value={form.conditions.accountId}
+                  onChange={(e) => setCondition('accountId', e.target.value)}
+                  className="w-1/2 p-2 border rounded-lg"
+                  aria-label={t('transactions.account')}
+                >
+                  <option value="">{t('rules.anyAccount')}</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>{account.name}</option>
+                  ))}
+                </select>
+                <select
+                  value={form.conditions.type}
+                  onChange={(e) => setCondition('type', e.target.value)}
+                  className="w-1/2 p-2 border rounded-lg"
+                  aria-label={t('transactions.type')}
+                >
+                  <option value="">{t('rules.anyType')}</option>
+                  <option value="income">{t('transactions.income')}</option>
+                  <option value="expense">{t('transactions.expense')}</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium mb-2">{t('rules.then')}</h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+              <select
+                value={form.actions.category}
+                onChange={(e) => setAction('category', e.target.value)}
+                className="p-2 border rounded-lg"
+                aria-label={t('rules.setCategory')}
+              >
+                <option value="">{t('rules.keepCategory')}</option>
+                <CategoryOptions value={form.actions.category || undefined} />
+              </select>
+              <input
+                type="text"
+                value={form.tagsText}
+                onChange={(e) => setForm(prev => ({ ...prev, tagsText: e.target.value }))}
+                placeholder={t('rules.tagsPlaceholder')}
+                className="p-2 border rounded-lg"
+              />
+              <select
+                value={form.actions.mood}
+                onChange={(e) => setAction('mood', e.target.value)}
+                className="p-2 border rounded-lg"
+                aria-label={t('rules.attachMood')}
+              >
+                <option value="">{t('rules.noMood')}</option>
+                {RULE_MOODS.map(mood => (
+                  <option key={mood} value={mood}>{t(`rules.moods.${mood}`)}</option>
+                ))}
+              </select>
+              <label className="flex items-center space-x-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={form.actions.markRecurring}
+                  onChange={(e) => setAction('markRecurring', e.target.checked)}
+                />
+                <span>{t('rules.markRecurring')}</span>
+              </label>
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors disabled:opacity-50"
+          >
+            <Check size={16} />
+            <span>{t('rules.save')}</span>
+          </button>
+        </form>
+      )}
+
+      {/* Retroactive preview */}
+      {preview && (
+        <div className="bg-white p-6 rounded-lg border shadow-sm">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold">{t('rules.previewTitle', { label: preview.label })}</h3>
+              <p className="text-sm text-gray-600">{t('rules.wouldChange', { count: preview.rows.length })}</p>
+            </div>
+            <div className="flex space-x-2">
+              {preview.rows.length > 0 && (
+                <button
+                  onClick={handleApply}
+                  disabled={Boolean(progress)}
+                  className="px-4 py-2 bg-black text-white rounded-lg hover:bg-gray-800 disabled:opacity-50"
+                >
+                  {progress
+                    ? t('rules.applying', { completed: progress.completed, total: progress.total })
+                    : t('rules.apply', { count: preview.rows.length })}
+                </button>
+              )}
+              <button
+                onClick={() => setPreview(null)}
+                disabled={Boolean(progress)}
+                className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+              >
+                {t('rules.close')}
+              </button>
+            </div>
+          </div>
+
+          {preview.rows.length > 0 && (
+            <div className="overflow-x-auto max-h-96">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-gray-500">
+                    <th className="p-2">{t('transactions.date')}</th>
+                    <th className="p-2">{t('transactions.description')}</th>
+                    <th className="p-2">{t('transactions.category')}</th>
+                    <th className="p-2">{t('rules.otherChanges')}</th>
+                    <th className="p-2">{t('rules.rulesColumn')}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {preview.rows.map(({ transaction, changes, mood, ruleNames }) => (
+                    <tr key={transaction.id} className="border-b">
+                      <td className="p-2 whitespace-nowrap">{transaction.date ? formatDate(transaction.date) : '—'}</td>
+                      <td className="p-2">{transaction.description || t('transactions.noDescription')}</td>
+                      <td className="p-2">
+                        {changes.category
+                          ? <span>{categoryLabel(transaction.category)} → <strong>{categoryLabel(changes.category)}</strong></span>
+                          : categoryLabel(transaction.category)}
+                      </td>
+                      <td className="p-2 text-xs">
+                        {[
+                          changes.tags && `#${changes.tags.join(' #')}`,
+                          changes.isRecurring && t('rules.recurring'),
+                          mood && t('rules.actionMood', { mood: t(`rules.moods.${mood}`, { defaultValue: mood }) })
+                        ].filter(Boolean).join(', ') || '—'}
+                      </td>
+                      <td className="p-2 text-xs text-gray-500">{ruleNames.join(', ')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Suggestions learned from corrections */}
+      {suggestions.length > 0 && (
+        <div className="bg-white p-6 rounded-lg border shadow-sm">
+          <div className="flex items-center space-x-3 mb-3">
+            <Sparkles size={20} />
+            <h3 className="text-lg font-semibold">{t('rules.suggestedTitle')}</h3>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">{t('rules.suggestedHint')}</p>
+          <div className="divide-y">
+            {suggestions.map(suggestion => (
+              <div key={suggestion.key} className="flex flex-wrap items-center justify-between gap-3 py-3">
+                <div>
+                  <div className="font-medium">
+                    &quot;{suggestion.rule.conditions.descriptionContains}&quot; → {categoryLabel(suggestion.rule.actions.category)}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {t('rules.corrected', { count: suggestion.count, examples: suggestion.examples.join('; ') })}
+                  </div>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleAcceptSuggestion(suggestion)}
+                    className="px-3 py-2 text-sm bg-black text-white rounded-lg hover:bg-gray-800"
+                  >
+                    {t('rules.createRule')}
+                  </button>
+                  <button
+                    onClick={() => dismissSuggestion(suggestion.key)}
+                    className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                  >
+                    {t('rules.dismiss')}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Rule list */}
+      <div className="bg-white p-6 rounded-lg border shadow-sm">
+        <h3 className="text-lg font-semibold mb-2">{t('rules.yourRules')}</h3>
+        {rules.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('rules.empty')}</p>
+        ) : (
+          <div className="divide-y">
+            {rules.map(rule => (
+              <div key={rule.id} className="flex flex-wrap items-center justify-between gap-3 py-3">
+                <div className={rule.enabled === false ? 'opacity-50' : ''}>
+                  <div className="font-medium">
+                    {rule.name}
+                    <span className="ml-2 text-xs text-gray-400">{t('rules.priorityValue', { priority: rule.priority || 0 })}</span>
+                  </div>
+                  <div className="text-xs text-gray-500">{t('rules.ifConditions', { conditions: describeConditions(rule) })}</div>
+                  <div className="text-xs text-gray-500">{t('rules.thenActions', { actions: describeActions(rule) })}</div>
+                </div>
+                <div className="flex items-center space-x-1">
+                  <label className="flex items-center space-x-1 text-xs text-gray-600 mr-2">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled !== false}
+                      onChange={() => handleToggle(rule)}
+                    />
+                    <span>{t('rules.enabled')}</span>
+                  </label>
+                  <button
+                    onClick={() => handlePreview([rule.id], rule.name)}
+                    className="p-2 hover:bg-gray-100 rounded"
+                    title={t('rules.runNamed', { name: rule.name })}
+                  >
+                    <Play size={16} />
+                  </button>
+                  <button
+                    onClick={() => setForm(toForm(rule))}
+                    className="p-2 hover:bg-gray-100 rounded"
+                    title={t('rules.editNamed', { name: rule.name })}
+                  >
+                    <Pencil size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule)}
+                    className="p-2 hover:bg-red-50 rounded"
+                    title={t('rules.deleteNamed', { name: rule.name })}
+                  >
+                    <Trash2 size={16} className="text-red-500" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
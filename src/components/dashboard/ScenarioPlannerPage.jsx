@@ -0,0 +1,495 @@
+// src/components/dashboard/ScenarioPlannerPage.jsx
+import { useState, useEffect, useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { Line } from 'react-chartjs-2';
+import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend } from 'chart.js';
+import { Plus, Save, Trash2, X, FolderOpen, RotateCcw } from 'lucide-react';
+import { useAuth, useCurrency, useDashboard, useI18n } from '../../contexts';
+import CategoryOptions from '../ui/CategoryOptions';
+import { PAYOFF_STRATEGIES, PAYOFF_STRATEGY_INFO } from '../../utils/debtPayoff';
+import { toMonthlyAmount } from '../../utils/budgetPeriods';
+import {
+  PROJECTION_LIMITS,
+  SCENARIO_ADJUSTMENT_TYPES,
+  compareScenario,
+  createAdjustment,
+  deleteSavedScenario,
+  readSavedScenarios,
+  saveScenario
+} from '../../utils/scenarioPlanner';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Title, Tooltip, Legend);
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * Editor fields for one scenario adjustment
+ * @private
+ */
+function AdjustmentFields({ adjustment, baseline, onChange }) {
+  const { t, categoryLabel, formatDate } = useI18n();
+  const { formatAmount } = useCurrency();
+  const set = (field) => (e) => onChange({ ...adjustment, [field]: e.target.value });
+
+  switch (adjustment.type) {
+    case 'income':
+      return (
+        <div className="grid grid-cols-2 gap-2">
+          <select value={adjustment.mode} onChange={set('mode')} className={inputClass} aria-label={t('scenarios.changeBy')}>
+            <option value="percent">{t('scenarios.byPercent')}</option>
+            <option value="amount">{t('scenarios.byAmount')}</option>
+          </select>
+          <input type="number" value={adjustment.value} onChange={set('value')} className={inputClass}
+            aria-label={adjustment.mode === 'percent' ? t('scenarios.percentChange') : t('scenarios.monthlyChange')} />
+          <p className="col-span-2 text-xs text-gray-500">
+            {t('scenarios.incomeHint', { amount: formatAmount(baseline.monthlyIncome) })}
+          </p>
+        </div>
+      );
+    case 'budget': {
+      const current = baseline.budgets.find(budget => budget.category === adjustment.category);
+      return (
+        <div className="grid grid-cols-2 gap-2">
+          <select value={adjustment.category} onChange={set('category')} className={inputClass} aria-label={t('transactions.category')}>
+            <option value="">{t('scenarios.chooseCategory')}</option>
+            <CategoryOptions value={adjustment.category || undefined} />
+          </select>
+          <input type="number" min="0" value={adjustment.limit} onChange={set('limit')} className={inputClass}
+            placeholder={t('scenarios.monthlyLimit')} aria-label={t('scenarios.monthlyLimit')} />
+          {adjustment.category && (
+            <p className="col-span-2 text-xs text-gray-500">
+              {t(current ? 'scenarios.budgetNow' : 'scenarios.noBudgetNow', {
+                category: categoryLabel(adjustment.category),
+                budget: current ? formatAmount(toMonthlyAmount(current)) : '',
+                spending: formatAmount(baseline.categorySpending[adjustment.category] || 0)
+              })}{' '}
+              {t('scenarios.limitAssumption')}
+            </p>
+          )}
+        </div>
+      );
+    }
+    case 'loan':
+      return (
+        <div className="grid grid-cols-2 gap-2">
+          <input value={adjustment.name} onChange={set('name')} className={`${inputClass} col-span-2`} aria-label={t('scenarios.loanName')} />
+          <input type="number" min="0" value={adjustment.amount} onChange={set('amount')} className={inputClass}
+            placeholder={t('transactions.amount')} aria-label={t('transactions.amount')} />
+          <input type="number" min="0" step="0.1" value={adjustment.interestRate} onChange={set('interestRate')} className={inputClass}
+            placeholder={t('scenarios.interestRatePlaceholder')} aria-label={t('scenarios.interestRate')} />
+          <input type="number" min="1" value={adjustment.termMonths} onChange={set('termMonths')} className={inputClass}
+            placeholder={t('scenarios.termPlaceholder')} aria-label={t('scenarios.term')} />
+          <input type="number" min="0" value={adjustment.minimumPayment} onChange={set('minimumPayment')} className={inputClass}
+            placeholder={t('scenarios.paymentPlaceholder')} aria-label={t('scenarios.payment')} />
+          <p className="col-span-2 text-xs text-gray-500">{t('scenarios.paymentHint')}</p>
+        </div>
+      );
+    case 'goalDeadline': {
+      const goal = baseline.goals.find(item => String(item.id) === String(adjustment.goalId));
+      return (
+        <div className="grid grid-cols-2 gap-2">
+          <select value={adjustment.goalId} onChange={set('goalId')} className={inputClass} aria-label={t('scenarios.goal')}>
+            <option value="">{t('scenarios.chooseGoal')}</option>
+            {baseline.goals.map(item => (
+              <option key={item.id} value={String(item.id)}>{item.name}</option>
+            ))}
+          </select>
+          <input type="date" value={adjustment.deadline} onChange={set('deadline')} className={inputClass} aria-label={t('scenarios.newDeadline')} />
+          {goal && (
+            <p className="col-span-2 text-xs text-gray-500">
+              {t('scenarios.currentDeadline', { date: goal.deadline ? formatDate(goal.deadline) : t('scenarios.none') })}
+            </p>
+          )}
+        </div>
+      );
+    }
+    case 'extraDebtPayment':
+      return (
+        <div className="grid grid-cols-2 gap-2">
+          <input type="number" min="0" value={adjustment.amount} onChange={set('amount')} className={inputClass}
+            placeholder={t('scenarios.extraPerMonth')} aria-label={t('scenarios.extraPerMonth')} />
+          <select value={adjustment.strategy} onChange={set('strategy')} className={inputClass} aria-label={t('scenarios.strategy')}>
+            {PAYOFF_STRATEGIES.filter(strategy => strategy !== 'custom').map(strategy => (
+              <option key={strategy} value={strategy}>
+                {t(`payoff.strategies.${strategy}`, { defaultValue: PAYOFF_STRATEGY_INFO[strategy].label })}
+              </option>
+            ))}
+          </select>
+        </div>
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * What-if scenario planner
+ *
+ * Features:
+ * - Works on a copy of the dashboard data, so nothing real is changed
+ * - Adjustments for income, category budgets, new loans, goal deadlines and extra debt payments
+ * - Baseline and scenario projected over 12-60 months with the dashboard's own metrics
+ * - Named scenarios saved in this browser
+ */
+export default function ScenarioPlannerPage() {
+  const { user } = useAuth();
+  const { scenarioBaseline } = useDashboard();
+  const { formatAmount } = useCurrency();
+  const { t, formatDate, formatNumber } = useI18n();
+
+  const [name, setName] = useState('');
+  const [months, setMonths] = useState(PROJECTION_LIMITS.default);
+  const [adjustments, setAdjustments] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [newType, setNewType] = useState('income');
+  const [savedScenarios, setSavedScenarios] = useState(() => readSavedScenarios(user?.id));
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    setSavedScenarios(readSavedScenarios(user?.id));
+  }, [user?.id]);
+
+  const comparison = useMemo(
+    () => compareScenario(scenarioBaseline, adjustments, months),
+    [scenarioBaseline, adjustments, months]
+  );
+  const { baseline, scenario } = comparison;
+
+  const showNotice = (message) => {
+    setError('');
+    setNotice(message);
+  };
+
+  const resetScenario = () => {
+    setName('');
+    setAdjustments([]);
+    setActiveId(null);
+    setMonths(PROJECTION_LIMITS.default);
+    setError('');
+    setNotice('');
+  };
+
+  const handleSave = (asNew = false) => {
+    if (!name.trim()) {
+      setError(t('scenarios.nameRequired'));
+      return;
+    }
+    try {
+      const result = saveScenario(user?.id, { id: asNew ? null : activeId, name, months, adjustments });
+      setSavedScenarios(result.scenarios);
+      setActiveId(result.scenario.id);
+      showNotice(t('scenarios.saved', { name: result.scenario.name }));
+    } catch (err) {
+      setError(t('scenarios.saveError', { error: err.message }));
+    }
+  };
+
+  const handleLoad = (saved) => {
+    setName(saved.name);
+    setMonths(saved.months || PROJECTION_LIMITS.default);
+    setAdjustments(saved.adjustments || []);
+    setActiveId(saved.id);
+    showNotice(t('scenarios.loaded', { name: saved.name }));
+  };
+
+  const handleDelete = (saved) => {
+    if (!window.confirm(t('scenarios.deleteConfirm', { name: saved.name }))) return;
+    setSavedScenarios(deleteSavedScenario(user?.id, saved.id));
+    if (activeId === saved.id) setActiveId(null);
+    showNotice(t('scenarios.deleted', { name: saved.name }));
+  };
+
+  const updateAdjustment = (updated) =>
+    setAdjustments(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+
+  const formatMonth = (date) => (date ? formatDate(date, { month: 'short', year: 'numeric' }) : t('scenarios.never'));
+  const onTrackCount = (projection) => projection.goalProgress.filter(goal => goal.onTrack).length;
+
+  // label, baseline value, scenario value, formatter, and whether a higher value is better
+  const metrics = [
+    [t('scenarios.healthScore'), baseline.financialHealthScore, scenario.financialHealthScore, (v) => formatNumber(v), true],
+    [t('scenarios.monthlyIncome'), baseline.financialSummary.monthlyIncome, scenario.financialSummary.monthlyIncome, formatAmount, true],
+    [t('scenarios.monthlyExpenses'), baseline.financialSummary.monthlyExpenses, scenario.financialSummary.monthlyExpenses, formatAmount, false],
+    [t('scenarios.savingsRate'), baseline.financialSummary.savingsRate, scenario.financialSummary.savingsRate, (v) => `${formatNumber(v, { maximumFractionDigits: 1 })}%`, true],
+    [t('scenarios.cashAtEnd'), baseline.financialSummary.totalAccounts, scenario.financialSummary.totalAccounts, formatAmount, true],
+    [t('scenarios.debtAtEnd'), baseline.debtSummary.totalDebt, scenario.debtSummary.totalDebt, formatAmount, false],
+    [t('scenarios.debtInterest'), baseline.debtSummary.totalInterest, scenario.debtSummary.totalInterest, formatAmount, false],
+    [t('scenarios.goalsOnTrack', { count: scenario.goalProgress.length }), onTrackCount(baseline), onTrackCount(scenario), (v) => formatNumber(v), true]
+  ];
+
+  const chartData = {
+    labels: scenario.rows.map(row => formatDate(row.date, { month: 'short', year: '2-digit' })),
+    datasets: [
+      {
+        label: t('scenarios.baselineNetWorth'),
+        data: baseline.rows.map(row => row.netWorth),
+        borderColor: '#9CA3AF',
+        backgroundColor: 'rgba(156, 163, 175, 0.2)',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        tension: 0.2
+      },
+      {
+        label: t('scenarios.scenarioNetWorth'),
+        data: scenario.rows.map(row => row.netWorth),
+        borderColor: '#3B82F6',
+        backgroundColor: 'rgba(59, 130, 246, 0.2)',
+        pointRadius: 0,
+        tension: 0.2
+      }
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    plugins: {
+      legend: { position: 'top', labels: { usePointStyle: true, padding: 20, font: { size: 12 } } },
+      tooltip: { callbacks: { label: (context) => `${context.dataset.label}: ${formatAmount(context.raw)}` } }
+    },
+    scales: {
+      x: { grid: { display: false }, ticks: { maxTicksLimit: 12 } },
+      y: { ticks: { callback: (value) => formatAmount(value) } }
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-2xl font-bold">{t('scenarios.title')}</h2>
+          <p className="text-gray-600">{t('scenarios.subtitle')}</p>
+        </div>
+        <button
+          onClick={resetScenario}
+          className="flex items-center space-x-2 bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+        >
+          <RotateCcw size={16} />
+          <span>{t('scenarios.newScenario')}</span>
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+      {notice && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">{notice}</div>
+      )}
+      {scenarioBaseline.monthsAveraged === 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg">
+          {t('scenarios.noRecentData')}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Scenario editor */}
+        <div className="space-y-6">
+          <div className="bg-white rounded-xl shadow-sm p-6 space-y-4">
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">{t('scenarios.name')}</span>
+              <input value={name} onChange={(e) => setName(e.target.value)} className={`${inputClass} mt-1`}
+                placeholder={t('scenarios.namePlaceholder')} />
+            </label>
+
+            <label className="block">
+              <span className="text-sm font-medium text-gray-700">{t('scenarios.projection', { count: months })}</span>
+              <input
+                type="range"
+                min={PROJECTION_LIMITS.min}
+                max={PROJECTION_LIMITS.max}
+                step="6"
+                value={months}
+                onChange={(e) => setMonths(Number(e.target.value))}
+                className="w-full mt-1"
+              />
+            </label>
+
+            <div className="space-y-3">
+              {adjustments.length === 0 && (
+                <p className="text-sm text-gray-500">{t('scenarios.noChanges')}</p>
+              )}
+              {adjustments.map(adjustment => (
+                <div key={adjustment.id} className="border border-gray-200 rounded-lg p-3 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-semibold text-gray-900">
+                      {t(`scenarios.types.${adjustment.type}`, { defaultValue: SCENARIO_ADJUSTMENT_TYPES[adjustment.type]?.label })}
+                    </span>
+                    <button
+                      onClick={() => setAdjustments(prev => prev.filter(item => item.id !== adjustment.id))}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      aria-label={t('scenarios.removeChange')}
+                    >
+                      <X size={16} />
+                    </button>
+                  </div>
+                  <AdjustmentFields adjustment={adjustment} baseline={scenarioBaseline} onChange={updateAdjustment} />
+                </div>
+              ))}
+            </div>
+
+            <div className="flex space-x-2">
+              <select value={newType} onChange={(e) => setNewType(e.target.value)} className={inputClass} aria-label={t('scenarios.changeType')}>
+                {Object.entries(SCENARIO_ADJUSTMENT_TYPES).map(([type, info]) => (
+                  <option key={type} value={type}>{t(`scenarios.types.${type}`, { defaultValue: info.label })}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setAdjustments(prev => [...prev, createAdjustment(newType)])}
+                className="flex items-center space-x-1 bg-gray-100 text-gray-700 px-3 py-2 rounded-lg hover:bg-gray-200 transition-colors flex-shrink-0"
+              >
+                <Plus size={16} />
+                <span>{t('scenarios.add')}</span>
+              </button>
+            </div>
+
+            <div className="flex flex-wrap gap-2 pt-2 border-t border-gray-100">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => handleSave(false)}
+                className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors"
+              >
+                <Save size={16} />
+                <span>{activeId ? t('scenarios.saveChanges') : t('scenarios.save')}</span>
+              </motion.button>
+              {activeId && (
+                <button
+                  onClick={() => handleSave(true)}
+                  className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors"
+                >
+                  {t('scenarios.saveAsNew')}
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">{t('scenarios.savedTitle')}</h3>
+            {savedScenarios.length === 0 ? (
+              <p className="text-sm text-gray-500">{t('scenarios.savedEmpty')}</p>
+            ) : (
+              <ul className="space-y-2">
+                {savedScenarios.map(saved => (
+                  <li
+                    key={saved.id}
+                    className={`flex items-center justify-between p-2 rounded-lg ${saved.id === activeId ? 'bg-blue-50' : 'bg-gray-50'}`}
+                  >
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gray-900 truncate">{saved.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {t('scenarios.changeCount', { count: (saved.adjustments || []).length })}
+                        {' · '}{t('scenarios.monthCount', { count: saved.months })} · {formatDate(saved.updatedAt)}
+                      </div>
+                    </div>
+                    <div className="flex flex-shrink-0">
+                      <button onClick={() => handleLoad(saved)} className="p-1 text-gray-500 hover:text-gray-900" aria-label={t('scenarios.open', { name: saved.name })}>
+                        <FolderOpen size={16} />
+                      </button>
+                      <button onClick={() => handleDelete(saved)} className="p-1 text-gray-500 hover:text-red-600" aria-label={t('scenarios.delete', { name: saved.name })}>
+                        <Trash2 size={16} />
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        {/* Comparison */}
+        <div className="lg:col-span-2 space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {metrics.map(([label, before, after, format, higherIsBetter]) => {
+              const delta = (after || 0) - (before || 0);
+              const improved = higherIsBetter ? delta > 0 : delta < 0;
+              return (
+                <div key={label} className="bg-white rounded-xl shadow-sm p-4">
+                  <div className="text-xs text-gray-500">{label}</div>
+                  <div className="text-lg font-bold text-gray-900">{format(after || 0)}</div>
+                  <div className="text-xs text-gray-500">{t('scenarios.baselineValue', { value: format(before || 0) })}</div>
+                  {Math.abs(delta) >= 0.005 && (
+                    <div className={`text-xs font-medium ${improved ? 'text-green-600' : 'text-red-600'}`}>
+                      {delta > 0 ? '+' : '−'}{format(Math.abs(delta))}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="bg-white rounded-xl shadow-sm p-6">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+              <h3 className="text-lg font-semibold text-gray-900">{t('scenarios.netWorthOver', { count: months })}</h3>
+              <div className="text-sm text-gray-500">
+                {t('scenarios.debtFree', {
+                  date: formatMonth(scenario.debtSummary.debtFreeDate),
+                  baseline: formatMonth(baseline.debtSummary.debtFreeDate)
+                })}
+              </div>
+            </div>
+            <div className="h-80">
+              <Line data={chartData} options={chartOptions} />
+            </div>
+            <p className="text-xs text-gray-400 mt-3">
+              {t('scenarios.basis', { count: scenarioBaseline.monthsAveraged || 0 })} {t('scenarios.assumptions')}
+            </p>
+          </div>
+
+          {scenario.goalProgress.length > 0 && (
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('scenarios.goals')}</h3>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 pr-4 font-medium">{t('scenarios.goal')}</th>
+                      <th className="py-2 pr-4 font-medium">{t('scenarios.deadline')}</th>
+                      <th className="py-2 pr-4 font-medium">{t('scenarios.baselineReached')}</th>
+                      <th className="py-2 pr-4 font-medium">{t('scenarios.scenarioReached')}</th>
+                      <th className="py-2 font-medium text-right">{t('scenarios.progressAtEnd')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {scenario.goalProgress.map(goal => {
+                      const before = baseline.goalProgress.find(item => item.id === goal.id);
+                      return (
+                        <tr key={goal.id} className="border-b border-gray-100">
+                          <td className="py-2 pr-4 text-gray-900">{goal.name}</td>
+                          <td className="py-2 pr-4 text-gray-700">{goal.deadline ? formatDate(goal.deadline) : '—'}</td>
+                          <td className="py-2 pr-4 text-gray-700">{before?.projectedCompletion ? formatMonth(before.projectedCompletion) : '—'}</td>
+                          <td className={`py-2 pr-4 ${goal.onTrack === false ? 'text-red-600' : goal.onTrack ? 'text-green-600' : 'text-gray-700'}`}>
+                            {goal.projectedCompletion ? formatMonth(goal.projectedCompletion) : goal.deadline ? t('scenarios.notReached') : t('scenarios.noDeadline')}
+                          </td>
+                          <td className="py-2 text-right text-gray-900">{formatNumber(Math.min(100, goal.progress), { maximumFractionDigits: 0 })}%</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {scenario.budgetProgress.some(budget => budget.status !== 'good') && (
+            <div className="bg-white rounded-xl shadow-sm p-6">
+              <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('scenarios.budgetsUnderPressure')}</h3>
+              <ul className="space-y-2 text-sm">
+                {scenario.budgetProgress.filter(budget => budget.status !== 'good').map(budget => (
+                  <li key={budget.id} className="flex justify-between">
+                    <span className="text-gray-700">{budget.name || budget.category}</span>
+                    <span className={budget.status === 'over' ? 'text-red-600' : 'text-yellow-600'}>
+                      {t('scenarios.spentOfLimit', { spent: formatAmount(budget.spent), limit: formatAmount(budget.monthlyLimit) })}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
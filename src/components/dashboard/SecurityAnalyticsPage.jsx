@@ -1,13 +1,15 @@
 // src/components/dashboard/SecurityAnalyticsPage.jsx
 import { useState, useEffect, useRef } from 'react';
 import { motion } from 'framer-motion';
+import { Link } from 'react-router-dom';
 import { 
   Shield, AlertTriangle, MapPin, Clock, Eye, 
   TrendingUp, Users, Globe, Cpu, Mail, Bell,
-  Wifi, WifiOff, RefreshCw, CheckCircle, XCircle
+  Wifi, WifiOff, RefreshCw, CheckCircle, XCircle, MonitorSmartphone
 } from 'lucide-react';
 import { useSocket } from '../../contexts';
 import { securityAPI } from '../../services/api';
+import { tokenStorage } from '../../services/tokenStorage';
 import AlertNotification from '../ui/AlertNotification';
 
 /**
@@ -279,8 +281,7 @@ export default function SecurityAnalyticsPage() {
       
       // Handle authentication errors
       if (err.response?.status === 403 || err.response?.status === 401) {
-        localStorage.removeItem('token');
-        localStorage.removeItem('refreshToken');
+        tokenStorage.clear();
         window.location.href = '/login';
       }
     } finally {
@@ -414,6 +415,15 @@ export default function SecurityAnalyticsPage() {
         
         {/* Connection and control panel */}
         <div className="flex items-center space-x-4">
+          {/* Active sessions, where they can be signed out */}
+          <Link
+            to="/dashboard/security/sessions"
+            className="flex items-center space-x-2 px-4 py-2 rounded-lg border bg-gray-100 text-gray-700 border-gray-300 hover:bg-gray-200"
+          >
+            <MonitorSmartphone size={16} aria-hidden="true" />
+            <span>Sessions</span>
+          </Link>
+
           {/* Connection status indicator */}
           <div className={`flex items-center space-x-2 px-3 py-2 rounded-lg ${
             isConnected ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
@@ -0,0 +1,191 @@
+// src/components/dashboard/SessionsPage.jsx
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { ArrowLeft, LogOut, MapPin, Monitor, RefreshCw, Smartphone, Tablet } from 'lucide-react';
+import { useAuth, useI18n } from '../../contexts';
+import { authAPI } from '../../services/api';
+
+/** Sessions seen within this many milliseconds count as active now */
+const ACTIVE_NOW_MS = 5 * 60 * 1000;
+
+const DEVICE_ICONS = { desktop: Monitor, mobile: Smartphone, tablet: Tablet };
+
+/**
+ * Message of a failed request; the API answers with `message`, the mock backend with `error`
+ * @private
+ */
+const getErrorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+
+/**
+ * Active sessions and the devices they run on
+ *
+ * Features:
+ * - Every signed-in session with device, browser, IP, location and last activity
+ * - "This device" marker for the browser viewing the page
+ * - Signing out one session, or every session except this one; the server tells the affected
+ *   devices through a `session_revoked` socket event
+ */
+export default function SessionsPage() {
+  const { isCurrentSession, logout } = useAuth();
+  const { t, formatDate } = useI18n();
+
+  // undefined while loading, null when the server does not track sessions
+  const [sessions, setSessions] = useState(undefined);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setError('');
+      setSessions(await authAPI.getSessions());
+    } catch (err) {
+      setSessions(prev => prev ?? []);
+      setError(getErrorMessage(err, t('sessions.loadError')));
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const formatLastSeen = (time) => (Date.now() - new Date(time).getTime() < ACTIVE_NOW_MS
+    ? t('sessions.activeNow')
+    : t('sessions.lastSeen', { time: formatDate(time, { dateStyle: 'medium', timeStyle: 'short' }) }));
+
+  const handleRevoke = async (session) => {
+    if (isCurrentSession(session)) {
+      logout('Signed out from the sessions page');
+      return;
+    }
+    setBusyId(session.id);
+    setError('');
+    setNotice('');
+    try {
+      await authAPI.revokeSession(session.id);
+      setNotice(t('sessions.revoked', { device: session.device }));
+      await loadSessions();
+    } catch (err) {
+      setError(getErrorMessage(err, t('sessions.revokeError')));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    if (!window.confirm(t('sessions.revokeOthersConfirm'))) return;
+    setBusyId('others');
+    setError('');
+    setNotice('');
+    try {
+      const { revoked = [] } = await authAPI.revokeOtherSessions();
+      setNotice(t('sessions.revokedOthers', { count: revoked.length }));
+      await loadSessions();
+    } catch (err) {
+      setError(getErrorMessage(err, t('sessions.revokeOthersError')));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const otherCount = (sessions || []).filter(session => !isCurrentSession(session)).length;
+
+  return (
+    <div className="space-y-6">
+      {/* Page header */}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <Link to="/dashboard/security" className="flex items-center space-x-1 text-sm text-blue-600 hover:underline mb-1">
+            <ArrowLeft size={14} />
+            <span>{t('nav.security')}</span>
+          </Link>
+          <h2 className="text-2xl font-bold">{t('sessions.title')}</h2>
+          <p className="text-gray-600">{t('sessions.subtitle')}</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={loadSessions}
+            className="flex items-center space-x-2 px-4 py-2 border rounded-lg hover:bg-gray-50"
+          >
+            <RefreshCw size={16} />
+            <span>{t('sessions.refresh')}</span>
+          </button>
+          {otherCount > 0 && (
+            <button
+              onClick={handleRevokeOthers}
+              disabled={busyId !== null}
+              className="flex items-center space-x-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 disabled:opacity-50"
+            >
+              <LogOut size={16} />
+              <span>{t('sessions.revokeOthers')}</span>
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg" role="alert">{error}</div>
+      )}
+      {notice && !error && (
+        <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">{notice}</div>
+      )}
+
+      {sessions === undefined && (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-black"></div>
+        </div>
+      )}
+      {sessions === null && (
+        <div className="bg-white p-6 rounded-lg border shadow-sm text-gray-600">
+          {t('sessions.unsupported')}
+        </div>
+      )}
+
+      {sessions?.length > 0 && (
+        <ul className="bg-white rounded-lg border shadow-sm divide-y">
+          {sessions.map(session => {
+            const DeviceIcon = DEVICE_ICONS[session.deviceType] || Monitor;
+            const current = isCurrentSession(session);
+            return (
+              <li key={session.id} className="flex flex-wrap items-center justify-between gap-4 p-4">
+                <div className="flex items-start space-x-4">
+                  <DeviceIcon size={28} className={current ? 'text-green-600' : 'text-gray-500'} aria-hidden="true" />
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <span className="font-semibold">{session.device || t('sessions.deviceFallback', { browser: session.browser, os: session.os })}</span>
+                      {current && (
+                        <span className="text-xs px-2 py-0.5 rounded-full bg-green-100 text-green-700">{t('sessions.thisDevice')}</span>
+                      )}
+                    </div>
+                    <div className="text-sm text-gray-600 flex flex-wrap items-center gap-x-3">
+                      <span className="flex items-center space-x-1">
+                        <MapPin size={12} aria-hidden="true" />
+                        <span>{[session.city, session.country].filter(Boolean).join(', ') || t('sessions.unknownLocation')}</span>
+                      </span>
+                      <span>{session.ip}</span>
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {current ? t('sessions.activeNow') : formatLastSeen(session.lastSeenAt)}
+                      {session.createdAt && ` · ${t('sessions.signedIn', { date: formatDate(session.createdAt, { dateStyle: 'medium' }) })}`}
+                    </div>
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={busyId !== null}
+                  className="px-3 py-2 text-sm border border-red-300 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                >
+                  {busyId === session.id ? t('sessions.signingOut') : current ? t('sessions.signOut') : t('sessions.revoke')}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {sessions?.length === 0 && !error && (
+        <div className="bg-white p-6 rounded-lg border shadow-sm text-gray-600">{t('sessions.empty')}</div>
+      )}
+    </div>
+  );
+}
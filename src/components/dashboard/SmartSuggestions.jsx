@@ -10,6 +10,8 @@ import {
   Target, 
   Calendar 
 } from 'lucide-react';
+import { useCurrency } from '../../contexts';
+import { summarizeBudgetWindow } from '../../utils/budgetPeriods';
 
 /**
  * AI-powered financial suggestion engine with contextual awareness
@@ -159,6 +161,8 @@ const detectBehavioralPatterns = (transactions, enhancedData) => {
 // ==================== MAIN COMPONENT ====================
 
 const SmartSuggestions = ({ transactions, budgets, categoryBreakdown, timeframe, enhancedData, loading, error }) => {
+  const { formatAmount } = useCurrency();
+
   /**
    * Primary suggestion generation engine with multi-stage analysis
    * Processes transactions through multiple analytical filters to generate insights
@@ -210,9 +214,11 @@ const SmartSuggestions = ({ transactions, budgets, categoryBreakdown, timeframe,
       }
 
       // Budget adherence monitoring with progressive severity
+      // Measured over the budget's own period rather than the analysed range
       const categoryBudget = budgets?.find(b => b.category === category);
-      if (categoryBudget && spending.current > categoryBudget.limit * 0.8) {
-        const percentageUsed = (spending.current / categoryBudget.limit) * 100;
+      const budgetWindow = categoryBudget && summarizeBudgetWindow(categoryBudget, transactions);
+      if (budgetWindow && budgetWindow.spent > budgetWindow.effectiveLimit * 0.8) {
+        const percentageUsed = (budgetWindow.spent / budgetWindow.effectiveLimit) * 100;
         
         suggestionsList.push({
           type: 'budget_alert',
@@ -494,7 +500,7 @@ const SmartSuggestions = ({ transactions, budgets, categoryBreakdown, timeframe,
                   <div className="flex flex-wrap gap-2 mt-2">
                     {suggestion.amount && (
                       <span className="text-xs bg-gray-100 text-gray-700 px-2 py-1 rounded">
-                        Amount: ${suggestion.amount.toFixed(2)}
+                        Amount: {formatAmount(suggestion.amount)}
                       </span>
                     )}
                     {suggestion.percentage && (
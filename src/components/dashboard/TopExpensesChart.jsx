@@ -1,9 +1,12 @@
 // src/components/dashboard/TopExpensesChart.jsx
 import { useMemo } from 'react';
 import { PieChart, DollarSign, TrendingUp } from 'lucide-react';
+import { useCurrency } from '../../contexts';
 
 const TopExpensesChart = ({ categoryBreakdown }) => {
-  // Colors for the pie chart segments
+  const { formatAmount } = useCurrency();
+
+  // Fallback colors for breakdown entries without a category colour
   const COLORS = ['#ef4444', '#f97316', '#eab308', '#84cc16', '#06b6d4'];
   const circumference = 2 * Math.PI * 40; // Circle radius: 40, for SVG stroke-dash calculations
 
@@ -38,7 +41,7 @@ const TopExpensesChart = ({ categoryBreakdown }) => {
         return {
           ...item,
           percentage,
-          color: COLORS[index % COLORS.length],
+          color: item.color || COLORS[index % COLORS.length],
           angle
         };
       });
@@ -83,7 +86,7 @@ const TopExpensesChart = ({ categoryBreakdown }) => {
         </h3>
         <div className="text-right">
           <div className="text-2xl font-bold text-gray-900">
-            ${Number(totalExpenses).toFixed(2)}
+            {formatAmount(totalExpenses)}
           </div>
           <div className="text-sm text-gray-500">Total</div>
         </div>
@@ -152,7 +155,7 @@ const TopExpensesChart = ({ categoryBreakdown }) => {
                 </div>
                 <div className="text-right flex-shrink-0">
                   <div className="text-sm font-semibold text-gray-900">
-                    ${Number(item.amount).toFixed(2)}
+                    {formatAmount(item.amount)}
                   </div>
                 </div>
               </div>
@@ -1,15 +1,23 @@
 // src/components/dashboard/TransactionsPage.jsx
 import { motion } from 'framer-motion';
 import { 
-  Plus, Search, Trash2, AlertTriangle, BarChart3  
+  Plus, Search, Trash2, AlertTriangle, BarChart3, Upload, Scissors, ArrowLeftRight
 } from 'lucide-react';
-import { useState, useCallback, useEffect } from 'react';
-import { useTransactions, useBudgets } from '../../contexts';
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { useTransactions, useBudgets, useAccounts, useDebt, useCurrency, useI18n, useCategories, useRules } from '../../contexts';
 import { checkTransactionAgainstBudget, showBudgetWarning, showBudgetError } from '../../utils/budgetCheck';
 
 // Components
 import TransactionMoodTracker from './TransactionMoodTracker';
 import MultiFilter from '../ui/MultiFilter';
+import CategoryOptions from '../ui/CategoryOptions';
+import ImportWizard from '../transactions/ImportWizard';
+import SplitEditor from '../transactions/SplitEditor';
+import ExportMenu from '../ui/ExportMenu';
+import { filterTransactions } from '../../utils/transactionFilters';
+import { SUPPORTED_CURRENCIES, getTransactionCurrency } from '../../utils/currencyUtils';
+import { getPrimarySplitCategory, isSplitTransaction, normalizeSplits, validateSplits } from '../../utils/splitTransactions';
+import { getTransferEndpoints, isTransfer, validateTransfer } from '../../utils/transfers';
 
 /**
  * Main Transactions Page Component
@@ -17,6 +25,11 @@ import MultiFilter from '../ui/MultiFilter';
  * Features:
  * - Transaction list with filtering
  * - Mood tracking integration
+ * - Bank statement import (CSV, OFX, QIF)
+ * - Categorization rules applied as the form is filled in
+ * - Per-transaction account and currency
+ * - Split transactions: one payment across several categories, when adding or afterwards
+ * - Transfers between accounts, kept out of income and expense totals
  * - Real-time updates
  */
 export default function TransactionsPage({ filters = {} }) {
@@ -26,10 +39,11 @@ export default function TransactionsPage({ filters = {} }) {
     error, 
     deleteTransaction, 
     createTransaction, 
+    updateTransaction, 
     defaultTransaction = {
       type: 'expense',
       amount: '',
-      category: 'Food',
+      category: '',
       date: new Date().toISOString().split('T')[0],
       description: ''
     },
@@ -37,9 +51,51 @@ export default function TransactionsPage({ filters = {} }) {
   } = useTransactions();
 
   const { checkBudgetLimit } = useBudgets();
+  const { accounts = [], transferBetweenAccounts } = useAccounts();
+  const { debts = [] } = useDebt();
+  const { baseCurrency, convert, formatAmount } = useCurrency();
+  const { t, categoryLabel, formatDate } = useI18n();
+  const { categoryOptions, defaultCategory } = useCategories();
+  const { runRules, recordCorrection, attachRuleMood } = useRules();
+
+  // Accounts keyed by id, used to resolve the currency of transactions that don't set one
+  const accountsById = useMemo(
+    () => new Map(accounts.map(account => [account.id, account])),
+    [accounts]
+  );
   
   const [showAddForm, setShowAddForm] = useState(false);
-  const [newTransaction, setNewTransaction] = useState(defaultTransaction);
+  const [showImportWizard, setShowImportWizard] = useState(false);
+  // Empty add form, in the user's default category
+  const blankTransaction = useMemo(
+    () => ({ ...defaultTransaction, category: defaultCategory }),
+    [defaultTransaction, defaultCategory]
+  );
+  const [newTransaction, setNewTransaction] = useState(blankTransaction);
+  // Once the user picks a category by hand, rules stop overriding it
+  const [categoryTouched, setCategoryTouched] = useState(false);
+
+  // Rules matching what has been entered so far
+  const ruleOutcome = useMemo(
+    () => runRules({ ...newTransaction, category: null }),
+    [runRules, newTransaction]
+  );
+  const ruleCategory = ruleOutcome.transaction.category;
+
+  useEffect(() => {
+    const offered = categoryOptions.some(option => option.name === ruleCategory);
+    if (!categoryTouched && offered && ruleCategory !== newTransaction.category) {
+      setNewTransaction(prev => ({ ...prev, category: ruleCategory }));
+    }
+  }, [ruleCategory, categoryTouched, categoryOptions, newTransaction.category]);
+
+  // Fall back to the default category when the chosen one has been renamed or archived, or before
+  // the categories have loaded
+  useEffect(() => {
+    if (defaultCategory && !categoryOptions.some(option => option.name === newTransaction.category)) {
+      setNewTransaction(prev => ({ ...prev, category: defaultCategory }));
+    }
+  }, [categoryOptions, defaultCategory, newTransaction.category]);
   const [localFilters, setLocalFilters] = useState({
     dateRange: null,
     amountRange: null,
@@ -50,13 +106,15 @@ export default function TransactionsPage({ filters = {} }) {
   const [submissionError, setSubmissionError] = useState(null);
   const [budgetCheckResult, setBudgetCheckResult] = useState(null);
   const [budgetCheckTimer, setBudgetCheckTimer] = useState(null);
+  // Split lines being edited on a saved transaction: { id, lines, error }
+  const [splitEditing, setSplitEditing] = useState(null);
 
   // Create safe filters with default values
   const safeFilters = useCallback(() => {
     try {
       return {
         categories: Array.isArray(filters?.categories) ? filters.categories : [],
-        type: ['income', 'expense', 'all'].includes(filters?.type) ? filters.type : 'all',
+        type: ['income', 'expense', 'transfer', 'all'].includes(filters?.type) ? filters.type : 'all',
         dateRange: filters?.dateRange || null,
         amountRange: filters?.amountRange || null
       };
@@ -84,7 +142,8 @@ export default function TransactionsPage({ filters = {} }) {
   if (newTransaction.type !== 'expense' || 
       !newTransaction.category || 
       !newTransaction.amount || 
-      parseFloat(newTransaction.amount) <= 0) {
+      parseFloat(newTransaction.amount) <= 0 ||
+      (newTransaction.splits && validateSplits(newTransaction.splits, newTransaction.amount))) {
     setBudgetCheckResult(null);
     return;
   }
@@ -94,7 +153,8 @@ export default function TransactionsPage({ filters = {} }) {
     try {
       const result = await checkTransactionAgainstBudget(
         newTransaction, 
-        checkBudgetLimit
+        checkBudgetLimit,
+        convert
       );
       
       // Ensure result has the expected structure
@@ -123,7 +183,7 @@ export default function TransactionsPage({ filters = {} }) {
       clearTimeout(budgetCheckTimer);
     }
   };
-}, [newTransaction, showAddForm, checkBudgetLimit]);
+}, [newTransaction, showAddForm, checkBudgetLimit, convert]);
 
   // Handle adding new transaction with validation and budget check
   const handleAddTransaction = useCallback(async (e) => {
@@ -141,6 +201,12 @@ export default function TransactionsPage({ filters = {} }) {
       return;
     }
 
+    const splitError = newTransaction.splits && validateSplits(newTransaction.splits, newTransaction.amount);
+    if (splitError) {
+      setSubmissionError(splitError);
+      return;
+    }
+
     // Prevent future dates
     const selectedDate = new Date(newTransaction.date);
     const today = new Date();
@@ -150,15 +216,40 @@ export default function TransactionsPage({ filters = {} }) {
       return;
     }
 
+    // A transfer only moves money between accounts: no budget check and no categorization rules
+    if (isTransfer(newTransaction)) {
+      const transferError = validateTransfer(newTransaction);
+      if (transferError) {
+        setSubmissionError(transferError);
+        return;
+      }
+      const result = await transferBetweenAccounts({
+        fromAccountId: newTransaction.accountId,
+        toAccountId: newTransaction.toAccountId,
+        amount: parseFloat(newTransaction.amount),
+        date: newTransaction.date,
+        description: newTransaction.description
+      });
+      if (result?.success) {
+        setShowAddForm(false);
+        setNewTransaction(blankTransaction);
+        setCategoryTouched(false);
+      } else {
+        setSubmissionError(result?.error || 'Failed to add transfer');
+      }
+      return;
+    }
+
     // Check budget before proceeding
     if (newTransaction.type === 'expense') {
       const budgetCheck = await checkTransactionAgainstBudget(
         newTransaction, 
-        checkBudgetLimit
+        checkBudgetLimit,
+        convert
       );
       
       // Check if budget is exceeded and not allowed
-      const budgetError = showBudgetError(budgetCheck);
+      const budgetError = showBudgetError(budgetCheck, baseCurrency);
       if (budgetError?.blocked) {
         setSubmissionError(budgetError.message);
         return;
@@ -182,12 +273,28 @@ export default function TransactionsPage({ filters = {} }) {
       }
     }
 
+    // Tags and the recurring flag come from the rules; the category shown in the form wins
+    const { transaction: prepared, mood } = runRules(newTransaction);
+    const splits = newTransaction.splits ? normalizeSplits(newTransaction.splits) : null;
+    const payload = splits
+      ? { ...prepared, category: getPrimarySplitCategory(splits), splits }
+      : { ...prepared, category: newTransaction.category };
+
     try {
-      const result = await createTransaction(newTransaction);
+      const result = await createTransaction(payload);
       
       if (result?.success) {
+        if (!splits && ruleCategory && ruleCategory !== newTransaction.category) {
+          recordCorrection({ description: newTransaction.description, from: ruleCategory, to: newTransaction.category });
+        }
+        const created = result.data?.transaction || result.data;
+        if (mood && created?.id && !result.queued) {
+          attachRuleMood(created.id, mood);
+        }
+
         setShowAddForm(false);
-        setNewTransaction(defaultTransaction);
+        setNewTransaction(blankTransaction);
+        setCategoryTouched(false);
         setBudgetCheckResult(null);
         
         if (result.warning) {
@@ -198,7 +305,7 @@ export default function TransactionsPage({ filters = {} }) {
       } else {
         // Handle backend budget exceeded errors (fallback)
         if (result?.error?.includes('exceed budget')) {
-          const budgetError = `\n\nBUDGET LIMIT EXCEEDED\n\nCategory: ${result.budgetCategory}\nCurrent Spent: $${result.currentSpent?.toFixed(2) || '0.00'}\nBudget Limit: $${result.budgetLimit?.toFixed(2) || '0.00'}\nThis Transaction: $${result.transactionAmount?.toFixed(2) || '0.00'}\nWould Be Total: $${result.wouldBeTotal?.toFixed(2) || '0.00'}\n\n${result.suggestion ? `Suggestion: ${result.suggestion}` : 'Please reduce the amount or choose a different category.'}`;
+          const budgetError = `\n\nBUDGET LIMIT EXCEEDED\n\nCategory: ${result.budgetCategory}\nCurrent Spent: ${formatAmount(result.currentSpent)}\nBudget Limit: ${formatAmount(result.budgetLimit)}\nThis Transaction: ${formatAmount(result.transactionAmount)}\nWould Be Total: ${formatAmount(result.wouldBeTotal)}\n\n${result.suggestion ? `Suggestion: ${result.suggestion}` : 'Please reduce the amount or choose a different category.'}`;
           setSubmissionError(budgetError);
         } else {
           setSubmissionError(result?.error || 'Failed to add transaction');
@@ -208,7 +315,8 @@ export default function TransactionsPage({ filters = {} }) {
       console.error('Error adding transaction:', err);
       setSubmissionError('An unexpected error occurred while adding the transaction');
     }
-  }, [newTransaction, createTransaction, defaultTransaction, checkBudgetLimit]);
+  }, [newTransaction, createTransaction, blankTransaction, checkBudgetLimit, convert, baseCurrency, formatAmount,
+    runRules, ruleCategory, recordCorrection, attachRuleMood, transferBetweenAccounts]);
 
   // Handle transaction deletion with confirmation
   const handleDelete = useCallback(async (id) => {
@@ -217,7 +325,7 @@ export default function TransactionsPage({ filters = {} }) {
       return;
     }
 
-    if (window.confirm('Are you sure you want to delete this transaction?')) {
+    if (window.confirm(t('transactions.deleteConfirm'))) {
       try {
         const result = await deleteTransaction(id);
         if (!result?.success) {
@@ -228,66 +336,49 @@ export default function TransactionsPage({ filters = {} }) {
         alert('An unexpected error occurred while deleting the transaction');
       }
     }
-  }, [deleteTransaction]);
+  }, [deleteTransaction, t]);
+
+  /**
+   * Starts splitting a saved transaction, or editing its existing split
+   */
+  const startSplitEdit = useCallback((transaction) => {
+    const lines = isSplitTransaction(transaction)
+      ? transaction.splits.map(line => ({ category: line.category, amount: String(line.amount), note: line.note || '' }))
+      : [
+          { category: transaction.category, amount: String(Math.abs(transaction.amount || 0)), note: '' },
+          { category: '', amount: '', note: '' }
+        ];
+    setSplitEditing({ id: transaction.id, lines, error: null });
+  }, []);
+
+  /**
+   * Saves the edited split lines, or turns the split back into one category when `lines` is null
+   */
+  const handleSaveSplit = useCallback(async (transaction, lines) => {
+    const total = Math.abs(transaction.amount || 0);
+    const validation = lines && validateSplits(lines, total);
+    if (validation) {
+      setSplitEditing(prev => ({ ...prev, error: validation }));
+      return;
+    }
+
+    const splits = lines ? normalizeSplits(lines) : null;
+    const result = await updateTransaction(
+      transaction.id,
+      splits ? { splits } : { splits: null, category: transaction.category },
+      { learn: false }
+    );
+    if (result?.success === false) {
+      setSplitEditing(prev => ({ ...prev, error: result.error || 'Failed to save the split' }));
+      return;
+    }
+    setSplitEditing(null);
+  }, [updateTransaction]);
 
   // Filter transactions based on localFilters and search query
   const filteredTransactions = useCallback(() => {
     try {
-      return transactions.filter(tx => {
-        if (!tx || typeof tx !== 'object') return false;
-
-        // Search filter
-        if (searchQuery) {
-          const query = searchQuery.toLowerCase();
-          const matchesDescription = tx.description?.toLowerCase().includes(query);
-          const matchesCategory = tx.category?.toLowerCase().includes(query);
-          const matchesAmount = tx.amount?.toString().includes(query);
-          if (!matchesDescription && !matchesCategory && !matchesAmount) {
-            return false;
-          }
-        }
-
-        // LocalFilters - Category filter
-        if (localFilters.categories.length > 0 && !localFilters.categories.includes(tx.category)) {
-          return false;
-        }
-        
-        // LocalFilters - Type filter
-        if (localFilters.type !== 'all' && tx.type !== localFilters.type) {
-          return false;
-        }
-        
-        // LocalFilters - Date range filter
-        if (localFilters.dateRange) {
-          const txDate = new Date(tx.date);
-          
-          if (localFilters.dateRange.start) {
-            const startDate = new Date(localFilters.dateRange.start);
-            if (txDate < startDate) return false;
-          }
-          
-          if (localFilters.dateRange.end) {
-            const endDate = new Date(localFilters.dateRange.end);
-            endDate.setHours(23, 59, 59, 999); // End of day
-            if (txDate > endDate) return false;
-          }
-        }
-        
-        // LocalFilters - Amount range filter
-        if (localFilters.amountRange) {
-          const txAmount = Math.abs(tx.amount);
-          
-          if (localFilters.amountRange.min && txAmount < parseFloat(localFilters.amountRange.min)) {
-            return false;
-          }
-          
-          if (localFilters.amountRange.max && txAmount > parseFloat(localFilters.amountRange.max)) {
-            return false;
-          }
-        }
-        
-        return true;
-      });
+      return filterTransactions(transactions, localFilters, searchQuery);
     } catch (err) {
       console.error('Error filtering transactions:', err);
       return []; // Return empty array on error
@@ -297,9 +388,27 @@ export default function TransactionsPage({ filters = {} }) {
   // Reset form when closed
   const resetForm = useCallback(() => {
     setShowAddForm(false);
-    setNewTransaction(defaultTransaction);
+    setNewTransaction(blankTransaction);
+    setCategoryTouched(false);
     setSubmissionError(null);
-  }, [defaultTransaction]);
+  }, [blankTransaction]);
+
+  // Turns the add form's category into split lines, or back into a single category
+  const toggleNewSplit = () => {
+    if (newTransaction.splits) {
+      const { splits, ...rest } = newTransaction;
+      setNewTransaction({ ...rest, category: getPrimarySplitCategory(splits.filter(line => line.category)) || rest.category });
+      return;
+    }
+    setCategoryTouched(true);
+    setNewTransaction({
+      ...newTransaction,
+      splits: [
+        { category: newTransaction.category, amount: newTransaction.amount, note: '' },
+        { category: '', amount: '', note: '' }
+      ]
+    });
+  };
 
   // Clear errors when component unmounts
   useEffect(() => {
@@ -313,7 +422,7 @@ export default function TransactionsPage({ filters = {} }) {
     return (
       <div className="flex justify-center items-center h-64">
         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-black"></div>
-        <span className="ml-3 text-gray-600">Loading transactions...</span>
+        <span className="ml-3 text-gray-600">{t('transactions.loading')}</span>
       </div>
     );
   }
@@ -343,8 +452,19 @@ export default function TransactionsPage({ filters = {} }) {
 
       {/* Header */}
       <div className="flex flex-col md:flex-row justify-between items-start md:items-center gap-4">
-        <h2 className="text-2xl font-bold">Transactions</h2>
+        <h2 className="text-2xl font-bold">{t('transactions.title')}</h2>
         <div className="flex items-center space-x-3">
+          <ExportMenu transactions={filteredTransactions()} />
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => setShowImportWizard(true)}
+            disabled={loading}
+            className="flex items-center space-x-2 bg-white border px-4 py-2 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Upload size={20} />
+            <span>{t('transactions.import')}</span>
+          </motion.button>
           <motion.button
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
@@ -353,11 +473,16 @@ export default function TransactionsPage({ filters = {} }) {
             className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg disabled:opacity-50"
           >
             <Plus size={20} />
-            <span>Add Transaction</span>
+            <span>{t('transactions.add')}</span>
           </motion.button>
         </div>
       </div>
 
+      {/* Statement Import Wizard */}
+      {showImportWizard && (
+        <ImportWizard onClose={() => setShowImportWizard(false)} />
+      )}
+
       {/* MultiFilter Component */}
       <MultiFilter 
         filters={localFilters}
@@ -374,11 +499,11 @@ export default function TransactionsPage({ filters = {} }) {
       className="bg-white p-6 rounded-lg shadow-sm border"
     >
       <div className="flex justify-between items-center mb-4">
-        <h3 className="text-lg font-semibold">Add New Transaction</h3>
+        <h3 className="text-lg font-semibold">{t('transactions.addTitle')}</h3>
         <button
           onClick={resetForm}
           className="text-gray-500 hover:text-gray-700"
-          aria-label="Close form"
+          aria-label={t('transactions.closeForm')}
         >
           ×
         </button>
@@ -394,12 +519,12 @@ export default function TransactionsPage({ filters = {} }) {
         <p className="text-sm">{budgetCheckResult.warning}</p>
         {budgetCheckResult.details?.overspendAmount > 0 && (
           <p className="text-sm mt-1">
-            Overspend: <span className="font-semibold">${budgetCheckResult.details.overspendAmount.toFixed(2)}</span>
+            Overspend: <span className="font-semibold">{formatAmount(budgetCheckResult.details.overspendAmount)}</span>
           </p>
         )}
         {budgetCheckResult.details?.currentSpent > 0 && (
           <p className="text-sm mt-1">
-            Current spent: <span className="font-semibold">${budgetCheckResult.details.currentSpent.toFixed(2)}</span>
+            Current spent: <span className="font-semibold">{formatAmount(budgetCheckResult.details.currentSpent)}</span>
           </p>
         )}
         <p className="text-xs mt-1 italic">
@@ -413,20 +538,27 @@ export default function TransactionsPage({ filters = {} }) {
       <form onSubmit={handleAddTransaction} className="space-y-4">
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               <div>
-                <label className="block text-sm font-medium mb-2">Type *</label>
+                <label className="block text-sm font-medium mb-2">{t('transactions.type')} *</label>
                 <select
                   value={newTransaction.type}
-                  onChange={(e) => setNewTransaction({...newTransaction, type: e.target.value})}
+                  onChange={(e) => {
+                    // Transfers have no category, so drop any split lines
+                    const { splits: _splits, ...rest } = newTransaction;
+                    setNewTransaction(e.target.value === 'transfer'
+                      ? { ...rest, type: e.target.value }
+                      : { ...newTransaction, type: e.target.value });
+                  }}
                   className="w-full p-2 border rounded-lg"
                   required
                 >
-                  <option value="income">Income</option>
-                  <option value="expense">Expense</option>
+                  <option value="income">{t('transactions.income')}</option>
+                  <option value="expense">{t('transactions.expense')}</option>
+                  <option value="transfer" disabled={accounts.length < 2}>{t('transactions.transfer')}</option>
                 </select>
               </div>
               
               <div>
-                <label className="block text-sm font-medium mb-2">Amount *</label>
+                <label className="block text-sm font-medium mb-2">{t('transactions.amount')} *</label>
                 <input
                   type="number"
                   step="0.01"
@@ -439,27 +571,67 @@ export default function TransactionsPage({ filters = {} }) {
                 />
               </div>
 
+              {isTransfer(newTransaction) ? (
               <div>
-                <label className="block text-sm font-medium mb-2">Category *</label>
+                <label className="block text-sm font-medium mb-2">{t('transactions.transferTo')} *</label>
                 <select
-                  value={newTransaction.category}
-                  onChange={(e) => setNewTransaction({...newTransaction, category: e.target.value})}
+                  value={newTransaction.toAccountId || ''}
+                  onChange={(e) => {
+                    const account = accounts.find(acc => String(acc.id) === e.target.value);
+                    setNewTransaction({ ...newTransaction, toAccountId: account?.id });
+                  }}
                   className="w-full p-2 border rounded-lg"
                   required
                 >
-                  <option value="Food">Food</option>
-                  <option value="Travel">Travel</option>
-                  <option value="Entertainment">Entertainment</option>
-                  <option value="Rent">Rent</option>
-                  <option value="Utilities">Utilities</option>
-                  <option value="Shopping">Shopping</option>
-                  <option value="Healthcare">Healthcare</option>
-                  <option value="Other">Other</option>
+                  <option value="">{t('transactions.transferChoose')}</option>
+                  {accounts
+                    .filter(account => String(account.id) !== String(newTransaction.accountId))
+                    .map(account => (
+                      <option key={account.id} value={account.id}>
+                        {account.name} ({account.currency || baseCurrency})
+                      </option>
+                    ))}
                 </select>
               </div>
+              ) : (
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium">{t('transactions.category')} *</label>
+                  <button
+                    type="button"
+                    onClick={toggleNewSplit}
+                    className="flex items-center space-x-1 text-xs text-blue-600 hover:underline"
+                  >
+                    <Scissors size={12} />
+                    <span>{newTransaction.splits ? t('transactions.splitUndo') : t('transactions.split')}</span>
+                  </button>
+                </div>
+                {newTransaction.splits ? (
+                  <p className="p-2 text-sm text-gray-600 border border-dashed rounded-lg">{t('transactions.splitTitle')}</p>
+                ) : (
+                  <select
+                    value={newTransaction.category}
+                    onChange={(e) => {
+                      setCategoryTouched(true);
+                      setNewTransaction({...newTransaction, category: e.target.value});
+                    }}
+                    className="w-full p-2 border rounded-lg"
+                    required
+                  >
+                    <CategoryOptions value={newTransaction.category} />
+                  </select>
+                )}
+                {ruleOutcome.matchedRules.length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {t('transactions.ruleApplied', { rules: ruleOutcome.matchedRules.map(rule => rule.name).join(', ') })}
+                    {(ruleOutcome.transaction.tags || []).length > 0 && ` • #${ruleOutcome.transaction.tags.join(' #')}`}
+                  </p>
+                )}
+              </div>
+              )}
               
               <div>
-                <label className="block text-sm font-medium mb-2">Date *</label>
+                <label className="block text-sm font-medium mb-2">{t('transactions.date')} *</label>
                 <input
                   type="date"
                   value={newTransaction.date}
@@ -469,19 +641,77 @@ export default function TransactionsPage({ filters = {} }) {
                   required
                 />
                 <p className="text-xs text-gray-500 mt-1">
-                  Select today or a past date (future dates not allowed)
+                  {t('transactions.dateHint')}
                 </p>
               </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">
+                  {isTransfer(newTransaction) ? `${t('transactions.transferFrom')} *` : t('transactions.account')}
+                </label>
+                <select
+                  value={newTransaction.accountId || ''}
+                  onChange={(e) => {
+                    const account = accounts.find(acc => String(acc.id) === e.target.value);
+                    setNewTransaction({
+                      ...newTransaction,
+                      accountId: account?.id,
+                      currency: account?.currency || newTransaction.currency,
+                      // The destination can't be the account the money leaves
+                      ...(String(newTransaction.toAccountId) === e.target.value && { toAccountId: undefined })
+                    });
+                  }}
+                  className="w-full p-2 border rounded-lg"
+                  required={isTransfer(newTransaction)}
+                >
+                  <option value="">{isTransfer(newTransaction) ? t('transactions.transferChoose') : t('transactions.noAccount')}</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>
+                      {account.name} ({account.currency || baseCurrency})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium mb-2">{t('transactions.currency')}</label>
+                <select
+                  value={newTransaction.currency || baseCurrency}
+                  onChange={(e) => setNewTransaction({...newTransaction, currency: e.target.value})}
+                  className="w-full p-2 border rounded-lg"
+                >
+                  {SUPPORTED_CURRENCIES.map(({ code, name }) => (
+                    <option key={code} value={code}>{code} - {name}</option>
+                  ))}
+                </select>
+                {newTransaction.currency && newTransaction.currency !== baseCurrency && parseFloat(newTransaction.amount) > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    ≈ {formatAmount(convert(parseFloat(newTransaction.amount), newTransaction.currency))}
+                  </p>
+                )}
+              </div>
             </div>
 
+            {newTransaction.splits && (
+              <div>
+                <label className="block text-sm font-medium mb-2">{t('transactions.splitTitle')}</label>
+                <SplitEditor
+                  lines={newTransaction.splits}
+                  onChange={(splits) => setNewTransaction({ ...newTransaction, splits })}
+                  total={parseFloat(newTransaction.amount) || 0}
+                  formatAmount={(value) => formatAmount(value, newTransaction.currency || baseCurrency)}
+                />
+              </div>
+            )}
+
             <div>
-              <label className="block text-sm font-medium mb-2">Description</label>
+              <label className="block text-sm font-medium mb-2">{t('transactions.description')}</label>
               <input
                 type="text"
                 value={newTransaction.description}
                 onChange={(e) => setNewTransaction({...newTransaction, description: e.target.value})}
                 className="w-full p-2 border rounded-lg"
-                placeholder="Transaction description"
+                placeholder={t('transactions.descriptionPlaceholder')}
                 maxLength={200}
               />
             </div>
@@ -496,11 +726,11 @@ export default function TransactionsPage({ filters = {} }) {
         : 'bg-green-50 text-green-700'
   }`}>
     {!budgetCheckResult.allowed ? (
-      <span>⛔ Blocked: This transaction exceeds your budget limit</span>
+      <span>⛔ {t('transactions.budgetBlocked')}</span>
     ) : budgetCheckResult.warning ? (
-      <span>⚠️ Warning: Will exceed budget but allowed</span>
+      <span>⚠️ {t('transactions.budgetWarning')}</span>
     ) : (
-      <span>✅ Within budget limits</span>
+      <span>✅ {t('transactions.budgetOk')}</span>
     )}
   </div>
 )}
@@ -535,7 +765,7 @@ export default function TransactionsPage({ filters = {} }) {
                 type="text"
                 value={searchQuery}
                 onChange={(e) => setSearchQuery(e.target.value)}
-                placeholder="Search transactions by description, category, or amount..."
+                placeholder={t('transactions.searchPlaceholder')}
                 className="w-full pl-10 pr-4 py-2 border rounded-lg focus:ring-2 focus:ring-black focus:border-transparent"
                 disabled={loading}
               />
@@ -546,10 +776,13 @@ export default function TransactionsPage({ filters = {} }) {
         <div className="divide-y">
           {filteredTransactions().length === 0 ? (
             <div className="p-8 text-center text-gray-500">
-              {searchQuery ? 'No transactions match your search.' : 'No transactions found. Add your first transaction to get started.'}
+              {searchQuery ? t('transactions.emptySearch') : t('transactions.empty')}
             </div>
           ) : (
-            filteredTransactions().map((transaction, index) => (
+            filteredTransactions().map((transaction, index) => {
+              const currency = getTransactionCurrency(transaction, accountsById, baseCurrency);
+              const transfer = isTransfer(transaction) && getTransferEndpoints(transaction, { accounts, debts });
+              return (
               <motion.div
                 key={transaction.id || `transaction-${index}`}
                 initial={{ opacity: 0, y: 20 }}
@@ -562,15 +795,19 @@ export default function TransactionsPage({ filters = {} }) {
                     <div className="flex items-center space-x-3">
                       <div>
                         <div className="flex items-center space-x-2">
-                          <h3 className="font-medium">{transaction.description || 'No description'}</h3>
+                          <h3 className="font-medium">{transaction.description || t('transactions.noDescription')}</h3>
                           {transaction.flagged && (
-                            <AlertTriangle size={16} className="text-red-500" title="Flagged for review" />
+                            <AlertTriangle size={16} className="text-red-500" title={t('transactions.flagged')} />
                           )}
                         </div>
                         <p className="text-sm text-gray-500">
-                          {transaction.category || 'Uncategorized'} • {transaction.date ? new Date(transaction.date).toLocaleDateString() : 'No date'}
+                          {transfer
+                            ? `${transfer.from || t('transactions.transferUnknownAccount')} → ${transfer.to || (transfer.toDebt ? t('transactions.transferToDebt') : t('transactions.transferUnknownAccount'))}`
+                            : isSplitTransaction(transaction)
+                            ? transaction.splits.map(line => `${categoryLabel(line.category)} ${formatAmount(line.amount, currency)}`).join(' + ')
+                            : categoryLabel(transaction.category)} • {transaction.date ? formatDate(transaction.date) : t('transactions.noDate')}
                           {transaction.fraudReason && (
-                            <span className="text-red-500 ml-2">⚠️ Suspicious</span>
+                            <span className="text-red-500 ml-2">⚠️ {t('transactions.suspicious')}</span>
                           )}
                         </p>
                       </div>
@@ -578,15 +815,34 @@ export default function TransactionsPage({ filters = {} }) {
                     
                     <div className="flex items-center space-x-3">
                       <div className={`text-lg font-semibold ${
-                        transaction.amount >= 0 ? 'text-green-600' : 'text-red-600'
+                        transfer ? 'text-blue-600' : transaction.amount >= 0 ? 'text-green-600' : 'text-red-600'
                       }`}>
-                        {transaction.amount >= 0 ? '+' : ''}${Math.abs(transaction.amount || 0).toFixed(2)}
+                        {transfer
+                          ? <ArrowLeftRight size={16} className="inline mr-1" aria-label={t('transactions.transfer')} />
+                          : transaction.amount >= 0 ? '+' : ''}
+                        {formatAmount(Math.abs(transaction.amount || 0), currency)}
+                        {currency !== baseCurrency && (
+                          <span className="block text-xs font-normal text-gray-500 text-right">
+                            ≈ {formatAmount(convert(Math.abs(transaction.amount || 0), currency))}
+                          </span>
+                        )}
                       </div>
                       
+                      {!transfer && (
+                        <button
+                          onClick={() => startSplitEdit(transaction)}
+                          className="opacity-0 group-hover:opacity-100 p-1 hover:bg-blue-50 rounded transition-all disabled:opacity-50"
+                          title={t('transactions.splitTitle')}
+                          disabled={loading}
+                        >
+                          <Scissors size={16} className="text-blue-500" />
+                        </button>
+                      )}
+
                       <button
                         onClick={() => handleDelete(transaction.id)}
                         className="opacity-0 group-hover:opacity-100 p-1 hover:bg-red-50 rounded transition-all disabled:opacity-50"
-                        title="Delete transaction"
+                        title={t('transactions.deleteTitle')}
                         disabled={loading}
                       >
                         <Trash2 size={16} className="text-red-500" />
@@ -594,6 +850,46 @@ export default function TransactionsPage({ filters = {} }) {
                     </div>
                   </div>
                   
+                  {/* Split editor for a saved transaction */}
+                  {splitEditing?.id === transaction.id && (
+                    <div className="mt-2 p-3 border rounded-lg bg-gray-50 space-y-3">
+                      {splitEditing.error && (
+                        <p className="text-sm text-red-600">{splitEditing.error}</p>
+                      )}
+                      <SplitEditor
+                        lines={splitEditing.lines}
+                        onChange={(lines) => setSplitEditing({ ...splitEditing, lines, error: null })}
+                        total={Math.abs(transaction.amount || 0)}
+                        formatAmount={(value) => formatAmount(value, currency)}
+                      />
+                      <div className="flex flex-wrap gap-2">
+                        <button
+                          type="button"
+                          onClick={() => handleSaveSplit(transaction, splitEditing.lines)}
+                          className="bg-black text-white px-3 py-1.5 rounded-lg text-sm hover:bg-gray-800"
+                        >
+                          {t('transactions.splitSave')}
+                        </button>
+                        {isSplitTransaction(transaction) && (
+                          <button
+                            type="button"
+                            onClick={() => handleSaveSplit(transaction, null)}
+                            className="bg-white border px-3 py-1.5 rounded-lg text-sm hover:bg-gray-100"
+                          >
+                            {t('transactions.splitUndo')}
+                          </button>
+                        )}
+                        <button
+                          type="button"
+                          onClick={() => setSplitEditing(null)}
+                          className="bg-gray-300 text-gray-700 px-3 py-1.5 rounded-lg text-sm hover:bg-gray-400"
+                        >
+                          {t('common.cancel')}
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
                   {/* Mood Tracker */}
                   <div className="mt-2">
                     <TransactionMoodTracker 
@@ -605,7 +901,8 @@ export default function TransactionsPage({ filters = {} }) {
                   </div>
                 </div>
               </motion.div>
-            ))
+              );
+            })
           )}
         </div>
       </div>
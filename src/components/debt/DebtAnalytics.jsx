@@ -1,5 +1,6 @@
 import React, { useMemo } from 'react';
 import { useDebt } from '../../contexts/DebtContext.jsx';
+import DebtPayoffSimulator from './DebtPayoffSimulator.jsx';
 
 const DebtAnalytics = () => {
   const { analytics, debts, loading, error } = useDebt();
@@ -305,6 +306,8 @@ const DebtAnalytics = () => {
         </div>
       )}
 
+      <DebtPayoffSimulator debts={debts || []} />
+
       {safeAnalytics.highestInterestDebt && (
         <div className="bg-white rounded-xl border border-gray-200 p-6">
           <h3 className="text-xl font-semibold text-gray-900 mb-4">Highest Interest Debt</h3>
@@ -0,0 +1,346 @@
+// DebtPayoffSimulator.jsx
+import React, { useState, useMemo, useEffect } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
+import { Calculator, ChevronUp, ChevronDown } from 'lucide-react';
+import { useCurrency, useI18n } from '../../contexts';
+import {
+  PAYOFF_STRATEGIES,
+  PAYOFF_STRATEGY_INFO,
+  MAX_SIMULATION_MONTHS,
+  compareStrategies,
+  orderDebtsForStrategy
+} from '../../utils/debtPayoff';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
+
+/** Schedule rows shown before "Show all" is pressed */
+const SCHEDULE_PREVIEW_ROWS = 12;
+
+/**
+ * Payoff simulator for the active debts
+ * Features:
+ * - Extra monthly payment applied under snowball, avalanche, highest-utilization and custom order
+ * - Side-by-side comparison of total interest, payoff date and interest saved
+ * - Month-by-month amortization schedule for the portfolio or a single debt
+ * @param {Object} props - Component props
+ * @param {Array} props.debts - Active debts
+ */
+const DebtPayoffSimulator = ({ debts = [] }) => {
+  const { formatAmount } = useCurrency();
+  const { t, formatDate } = useI18n();
+  const [extraPayment, setExtraPayment] = useState('');
+  const [customOrder, setCustomOrder] = useState([]);
+  const [selectedStrategy, setSelectedStrategy] = useState('avalanche');
+  const [scheduleDebtId, setScheduleDebtId] = useState('all');
+  const [showFullSchedule, setShowFullSchedule] = useState(false);
+
+  const openDebts = useMemo(
+    () => debts.filter(debt => debt.isActive !== false && (Number(debt.balance) || 0) > 0),
+    [debts]
+  );
+
+  // Start the custom order from avalanche and keep it in step with added or removed debts
+  useEffect(() => {
+    setCustomOrder(prev => {
+      const ids = openDebts.map(debt => debt.id);
+      const kept = prev.filter(id => ids.includes(id));
+      const added = orderDebtsForStrategy(openDebts, 'avalanche')
+        .map(debt => debt.id)
+        .filter(id => !kept.includes(id));
+      return [...kept, ...added];
+    });
+  }, [openDebts]);
+
+  const comparison = useMemo(
+    () => compareStrategies(openDebts, { extraPayment: parseFloat(extraPayment) || 0, customOrder }),
+    [openDebts, extraPayment, customOrder]
+  );
+
+  const selected = comparison.strategies[selectedStrategy];
+  const scheduleRows = useMemo(() => {
+    if (!selected) return [];
+    if (scheduleDebtId === 'all') return selected.schedule;
+    return selected.debts.find(debt => String(debt.id) === String(scheduleDebtId))?.schedule || [];
+  }, [selected, scheduleDebtId]);
+  const visibleRows = showFullSchedule ? scheduleRows : scheduleRows.slice(0, SCHEDULE_PREVIEW_ROWS);
+
+  const moveDebt = (index, direction) => {
+    setCustomOrder(prev => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+    setSelectedStrategy('custom');
+  };
+
+  const strategyLabel = (key) => t(`payoff.strategies.${key}`, { defaultValue: PAYOFF_STRATEGY_INFO[key].label });
+  const strategyHint = (key) => t(`payoff.strategyHints.${key}`, { defaultValue: PAYOFF_STRATEGY_INFO[key].description });
+
+  const formatMonths = (months) => {
+    if (months === null || months === undefined) return t('payoff.overMaxMonths', { count: MAX_SIMULATION_MONTHS });
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    if (years === 0) return t('payoff.months', { count: rest });
+    return t('payoff.yearsMonths', { years, months: rest });
+  };
+
+  const chartLabels = ['minimum', ...PAYOFF_STRATEGIES];
+  const chartResults = chartLabels.map(key => (key === 'minimum' ? comparison.baseline : comparison.strategies[key]));
+  const chartData = {
+    labels: chartLabels.map(strategyLabel),
+    datasets: [
+      {
+        label: t('payoff.totalInterest'),
+        data: chartResults.map(result => (result.paidOff ? result.totalInterest : null)),
+        backgroundColor: 'rgba(239, 68, 68, 0.8)',
+        borderColor: '#EF4444',
+        borderWidth: 1,
+        borderRadius: 4,
+        yAxisID: 'y'
+      },
+      {
+        label: t('payoff.monthsToDebtFree'),
+        data: chartResults.map(result => result.months),
+        backgroundColor: 'rgba(59, 130, 246, 0.8)',
+        borderColor: '#3B82F6',
+        borderWidth: 1,
+        borderRadius: 4,
+        yAxisID: 'y1'
+      }
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'top', labels: { usePointStyle: true, padding: 20, font: { size: 12 } } },
+      tooltip: {
+        callbacks: {
+          label: (context) => context.dataset.yAxisID === 'y'
+            ? `${context.dataset.label}: ${formatAmount(context.raw)}`
+            : `${context.dataset.label}: ${context.raw}`
+        }
+      }
+    },
+    scales: {
+      x: { grid: { display: false } },
+      y: { beginAtZero: true, position: 'left', ticks: { callback: (value) => formatAmount(value) } },
+      y1: { beginAtZero: true, position: 'right', grid: { drawOnChartArea: false } }
+    }
+  };
+
+  if (openDebts.length === 0) return null;
+
+  const debtNames = Object.fromEntries(openDebts.map(debt => [String(debt.id), debt.name || t('payoff.unnamedDebt')]));
+
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-6 space-y-6">
+      <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+        <div>
+          <h3 className="text-xl font-semibold text-gray-900 flex items-center">
+            <Calculator className="mr-2" size={20} />
+            {t('payoff.title')}
+          </h3>
+          <p className="text-gray-600 text-sm mt-1">
+            {t('payoff.subtitle')}
+          </p>
+        </div>
+        <label className="block">
+          <span className="text-sm font-medium text-gray-700">{t('payoff.extraPayment')}</span>
+          <input
+            type="number"
+            min="0"
+            step="10"
+            value={extraPayment}
+            onChange={(e) => setExtraPayment(e.target.value)}
+            placeholder="0"
+            className="mt-1 w-40 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </label>
+      </div>
+
+      {!comparison.baseline.paidOff && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-700">
+          {t('payoff.minimumsNeverClear', { years: MAX_SIMULATION_MONTHS / 12 })}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {PAYOFF_STRATEGIES.map(strategy => {
+          const result = comparison.strategies[strategy];
+          const isSelected = strategy === selectedStrategy;
+          return (
+            <button
+              key={strategy}
+              type="button"
+              onClick={() => setSelectedStrategy(strategy)}
+              className={`text-left p-4 rounded-lg border transition-colors ${
+                isSelected ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'
+              }`}
+              aria-pressed={isSelected}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-semibold text-gray-900">{strategyLabel(strategy)}</span>
+                {comparison.best === strategy && (
+                  <span className="text-xs bg-green-100 text-green-700 px-2 py-0.5 rounded-full">{t('payoff.lowestInterest')}</span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">{strategyHint(strategy)}</p>
+              <dl className="mt-3 space-y-1 text-sm">
+                <div className="flex justify-between">
+                  <dt className="text-gray-600">{t('payoff.totalInterest')}</dt>
+                  <dd className="font-medium text-gray-900">{result.paidOff ? formatAmount(result.totalInterest) : '—'}</dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-600">{t('payoff.debtFree')}</dt>
+                  <dd className="font-medium text-gray-900">
+                    {result.payoffDate ? formatDate(result.payoffDate, { month: 'short', year: 'numeric' }) : t('payoff.never')}
+                  </dd>
+                </div>
+                <div className="flex justify-between">
+                  <dt className="text-gray-600">{t('payoff.time')}</dt>
+                  <dd className="font-medium text-gray-900">{formatMonths(result.months)}</dd>
+                </div>
+                {result.interestSaved !== null && (
+                  <div className="flex justify-between">
+                    <dt className="text-gray-600">{t('payoff.savedVsMinimums')}</dt>
+                    <dd className="font-medium text-green-600">{formatAmount(result.interestSaved)}</dd>
+                  </div>
+                )}
+              </dl>
+            </button>
+          );
+        })}
+      </div>
+
+      {comparison.best && comparison.worst && comparison.best !== comparison.worst && (
+        <p className="text-sm text-gray-700">
+          {t('payoff.savesBefore', { strategy: strategyLabel(comparison.best) })}{' '}
+          <span className="font-semibold text-green-600">{formatAmount(comparison.maxInterestSaved)}</span>{' '}
+          {t('payoff.savesAfter', { strategy: strategyLabel(comparison.worst) })}
+        </p>
+      )}
+
+      <div className="h-72">
+        <Bar data={chartData} options={chartOptions} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div>
+          <h4 className="font-semibold text-gray-900 mb-1">{strategyLabel('custom')}</h4>
+          <p className="text-xs text-gray-500 mb-3">{t('payoff.customOrderHint')}</p>
+          <ol className="space-y-2">
+            {customOrder.map((id, index) => (
+              <li key={id} className="flex items-center justify-between p-2 bg-gray-50 rounded-lg">
+                <div className="flex items-center space-x-2 min-w-0">
+                  <span className="w-6 h-6 bg-gray-700 text-white rounded-full text-xs flex items-center justify-center font-medium flex-shrink-0">
+                    {index + 1}
+                  </span>
+                  <span className="text-sm font-medium text-gray-900 truncate">{debtNames[String(id)]}</span>
+                </div>
+                <div className="flex flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => moveDebt(index, -1)}
+                    disabled={index === 0}
+                    className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                    aria-label={t('payoff.moveUp', { name: debtNames[String(id)] })}
+                  >
+                    <ChevronUp size={16} />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveDebt(index, 1)}
+                    disabled={index === customOrder.length - 1}
+                    className="p-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                    aria-label={t('payoff.moveDown', { name: debtNames[String(id)] })}
+                  >
+                    <ChevronDown size={16} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+
+          {selected && (
+            <>
+              <h4 className="font-semibold text-gray-900 mt-6 mb-3">
+                {t('payoff.payoffOrder', { strategy: strategyLabel(selectedStrategy) })}
+              </h4>
+              <ul className="space-y-2 text-sm">
+                {selected.debts.map(debt => (
+                  <li key={debt.id} className="flex justify-between">
+                    <span className="text-gray-700 truncate">{debt.name}</span>
+                    <span className="text-gray-900 flex-shrink-0 ml-2">
+                      {debt.payoffDate ? formatDate(debt.payoffDate, { month: 'short', year: 'numeric' }) : t('payoff.never')}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+
+        <div className="lg:col-span-2">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h4 className="font-semibold text-gray-900">{t('payoff.schedule')}</h4>
+            <select
+              value={scheduleDebtId}
+              onChange={(e) => { setScheduleDebtId(e.target.value); setShowFullSchedule(false); }}
+              className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+              aria-label={t('payoff.scheduleFor')}
+            >
+              <option value="all">{t('payoff.allDebts')}</option>
+              {openDebts.map(debt => (
+                <option key={debt.id} value={String(debt.id)}>{debt.name || t('payoff.unnamedDebt')}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-4 font-medium">{t('payoff.month')}</th>
+                  <th className="py-2 pr-4 font-medium">{t('transactions.date')}</th>
+                  <th className="py-2 pr-4 font-medium text-right">{t('payoff.payment')}</th>
+                  <th className="py-2 pr-4 font-medium text-right">{t('payoff.interest')}</th>
+                  <th className="py-2 pr-4 font-medium text-right">{t('payoff.principal')}</th>
+                  <th className="py-2 font-medium text-right">{t('payoff.balance')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map(row => (
+                  <tr key={row.month} className="border-b border-gray-100">
+                    <td className="py-2 pr-4 text-gray-700">{row.month}</td>
+                    <td className="py-2 pr-4 text-gray-700">{formatDate(row.date)}</td>
+                    <td className="py-2 pr-4 text-right text-gray-900">{formatAmount(row.payment)}</td>
+                    <td className="py-2 pr-4 text-right text-red-600">{formatAmount(row.interest)}</td>
+                    <td className="py-2 pr-4 text-right text-gray-900">{formatAmount(row.principal)}</td>
+                    <td className="py-2 text-right font-medium text-gray-900">{formatAmount(row.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {scheduleRows.length > SCHEDULE_PREVIEW_ROWS && (
+            <button
+              type="button"
+              onClick={() => setShowFullSchedule(prev => !prev)}
+              className="mt-3 text-sm text-blue-600 hover:text-blue-800"
+            >
+              {showFullSchedule ? t('payoff.showFirstYear') : t('payoff.showAllMonths', { count: scheduleRows.length })}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DebtPayoffSimulator;
@@ -126,6 +126,7 @@ const PaymentModal = ({ debt, onClose, onSuccess }) => {
     setLoading(true);
 
     try {
+      // Saved as a transfer from the account to the debt, so it is not counted as spending
       const paymentData = {
         amount: parseFloat(amount),
         paymentDate: paymentDate || new Date().toISOString().split('T')[0],
@@ -338,6 +339,11 @@ const PaymentModal = ({ debt, onClose, onSuccess }) => {
             {accounts.length === 0 && !loading && (
               <p className="text-yellow-600 text-xs mt-1">No accounts available</p>
             )}
+            {accounts.length > 0 && (
+              <p className="text-xs text-gray-500 mt-1">
+                Recorded as a transfer from this account to {debt.name || 'the debt'}, not as spending
+              </p>
+            )}
           </div>
 
           {/* Payment Date */}
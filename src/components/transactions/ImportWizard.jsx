@@ -0,0 +1,719 @@
+// src/components/transactions/ImportWizard.jsx
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { motion } from 'framer-motion';
+import { Upload, FileText, AlertTriangle, CheckCircle, X, ArrowLeft, ArrowRight } from 'lucide-react';
+import { useTransactions, useBudgets, useAccounts, useCurrency, useCategories, useRules } from '../../contexts';
+import { checkTransactionAgainstBudget } from '../../utils/BudgetCheck';
+import { getBudgetPeriod } from '../../utils/budgetPeriods';
+import CategoryOptions from '../ui/CategoryOptions';
+import {
+  detectStatementFormat,
+  parseCSV,
+  guessColumnMapping,
+  parseStatement
+} from '../../utils/statementImport';
+
+const STEPS = ['upload', 'mapping', 'preview', 'done'];
+
+const MAPPING_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'description', label: 'Description' },
+  { key: 'amount', label: 'Amount (signed)' },
+  { key: 'debit', label: 'Debit / Paid out' },
+  { key: 'credit', label: 'Credit / Paid in' },
+  { key: 'category', label: 'Category' },
+  { key: 'type', label: 'Type' }
+];
+
+const DATE_FORMATS = ['auto', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY', 'YYYYMMDD'];
+
+/**
+ * Bank statement import wizard
+ *
+ * Steps:
+ * 1. Upload a CSV, OFX/QFX or QIF file
+ * 2. Map CSV columns to transaction fields (CSV only)
+ * 3. Preview rows with duplicate detection, category mapping, categorization rules and budget warnings
+ * 4. Bulk create the selected rows and report the outcome
+ */
+export default function ImportWizard({ onClose, onImported }) {
+  const { transactions = [], importTransactions } = useTransactions();
+  const { checkBudgetLimit, getBudgetByCategory } = useBudgets();
+  const { accounts = [] } = useAccounts();
+  const { baseCurrency, convert, formatAmount } = useCurrency();
+  const { categoryOptions } = useCategories();
+  const { runRules, recordCorrection, attachRuleMood } = useRules();
+
+  // Active category names that imported rows can be mapped onto
+  const importCategories = useMemo(() => categoryOptions.map(option => option.name), [categoryOptions]);
+
+  const [step, setStep] = useState('upload');
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('csv');
+  const [fileText, setFileText] = useState('');
+  const [csvRows, setCsvRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [options, setOptions] = useState({ hasHeader: true, dateFormat: 'auto', invertAmounts: false });
+  const [rows, setRows] = useState([]);
+  const [budgetResults, setBudgetResults] = useState({});
+  const [checkingBudgets, setCheckingBudgets] = useState(false);
+  const [skipBlocked, setSkipBlocked] = useState(true);
+  const [accountId, setAccountId] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [progress, setProgress] = useState({ completed: 0, total: 0 });
+  const [outcome, setOutcome] = useState(null);
+  const [error, setError] = useState('');
+  const budgetRunRef = useRef(0);
+
+  // Statement amounts are in the currency of the target account
+  const importCurrency = accounts.find(acc => String(acc.id) === accountId)?.currency || baseCurrency;
+
+  // Default to the first account once accounts are available
+  useEffect(() => {
+    if (!accountId && accounts.length > 0) {
+      setAccountId(String(accounts[0].id));
+    }
+  }, [accounts, accountId]);
+
+  // Read the selected file and detect its format
+  const handleFileChange = async (e) => {
+    const selected = e.target.files?.[0];
+    setError('');
+    if (!selected) return;
+
+    if (selected.size > 5 * 1024 * 1024) {
+      setError('File is too large. Please import statements smaller than 5 MB.');
+      return;
+    }
+
+    try {
+      const text = await selected.text();
+      const detected = detectStatementFormat(selected.name, text);
+      setFile(selected);
+      setFileText(text);
+      setFormat(detected);
+
+      if (detected === 'csv') {
+        const parsed = parseCSV(text);
+        if (parsed.length === 0) {
+          setError('The file does not contain any rows.');
+          return;
+        }
+        setCsvRows(parsed);
+        setMapping(guessColumnMapping(parsed[0]));
+      }
+    } catch (err) {
+      console.error('Failed to read statement file:', err);
+      setError('Unable to read the selected file.');
+    }
+  };
+
+  // Parse the file into preview rows
+  const buildPreview = useCallback(() => {
+    try {
+      const parsed = parseStatement({
+        format,
+        text: fileText,
+        mapping,
+        options,
+        existingTransactions: transactions,
+        categories: importCategories
+      });
+
+      if (parsed.length === 0) {
+        setError('No transactions were found in this file.');
+        return;
+      }
+
+      // Categorization rules run after the keyword mapping and take precedence over it
+      setRows(parsed.map(row => {
+        const { transaction: ruled, matchedRules, mood } = runRules({
+          ...row,
+          ...(accountId ? { accountId: parseInt(accountId, 10) } : {})
+        });
+        return {
+          ...row,
+          category: ruled.category,
+          suggestedCategory: ruled.category,
+          tags: ruled.tags,
+          isRecurring: ruled.isRecurring,
+          mood,
+          ruleNames: matchedRules.map(rule => rule.name),
+          selected: row.errors.length === 0 && !row.duplicateOf
+        };
+      }));
+      setError('');
+      setStep('preview');
+    } catch (err) {
+      console.error('Failed to parse statement:', err);
+      setError('The file could not be parsed. Check the column mapping and date format.');
+    }
+  }, [format, fileText, mapping, options, transactions, importCategories, runRules, accountId]);
+
+  const handleNext = () => {
+    if (step === 'upload') {
+      if (!file) {
+        setError('Please choose a file to import.');
+        return;
+      }
+      if (format === 'csv') {
+        setStep('mapping');
+      } else {
+        buildPreview();
+      }
+    } else if (step === 'mapping') {
+      if (mapping.date === null || mapping.date === undefined) {
+        setError('Please map the date column.');
+        return;
+      }
+      const hasAmount = [mapping.amount, mapping.debit, mapping.credit].some(
+        index => index !== null && index !== undefined
+      );
+      if (!hasAmount) {
+        setError('Please map an amount column, or debit and credit columns.');
+        return;
+      }
+      buildPreview();
+    }
+  };
+
+  const handleBack = () => {
+    setError('');
+    if (step === 'preview') {
+      setStep(format === 'csv' ? 'mapping' : 'upload');
+    } else if (step === 'mapping') {
+      setStep('upload');
+    }
+  };
+
+  const updateRow = (line, changes) => {
+    setRows(prev => prev.map(row => (row.line === line ? { ...row, ...changes } : row)));
+  };
+
+  // Rows that are eligible for import (selected and valid)
+  const selectedRows = useMemo(
+    () => rows.filter(row => row.selected && row.errors.length === 0),
+    [rows]
+  );
+
+  // Selected expenses, the only rows the budget check looks at
+  const budgetRows = useMemo(
+    () => selectedRows.filter(row => row.type === 'expense'),
+    [selectedRows]
+  );
+
+  /**
+   * Runs every selected expense through the budget check
+   * Amounts are accumulated per category and budget period so later rows see the effect of earlier rows
+   * in the same import
+   */
+  useEffect(() => {
+    if (step !== 'preview' || !checkBudgetLimit) return;
+
+    const runId = ++budgetRunRef.current;
+    const timer = setTimeout(async () => {
+      setCheckingBudgets(true);
+      const runningTotals = {};
+      const results = {};
+
+      for (const row of budgetRows) {
+        const budget = getBudgetByCategory(row.category);
+        const totalKey = budget ? `${row.category}_${getBudgetPeriod(budget, row.date || new Date()).key}` : row.category;
+        runningTotals[totalKey] = (runningTotals[totalKey] || 0) + row.amount;
+
+        const check = await checkTransactionAgainstBudget(
+          { ...row, amount: runningTotals[totalKey], currency: importCurrency },
+          checkBudgetLimit,
+          convert
+        );
+        if (runId !== budgetRunRef.current) return;
+
+        if (check.allowed === false) {
+          results[row.line] = { status: 'blocked', message: check.message, details: check.details };
+        } else if (check.warning) {
+          results[row.line] = { status: 'warning', message: check.warning, details: check.details };
+        }
+      }
+
+      setBudgetResults(results);
+      setCheckingBudgets(false);
+    }, 400);
+
+    return () => clearTimeout(timer);
+  }, [step, budgetRows, checkBudgetLimit, getBudgetByCategory, importCurrency, convert]);
+
+  // Summary of budget results per category
+  const budgetSummary = useMemo(() => {
+    const summary = {};
+    selectedRows.forEach(row => {
+      const result = budgetResults[row.line];
+      if (!result) return;
+      if (!summary[row.category]) {
+        summary[row.category] = { category: row.category, warnings: 0, blocked: 0, amount: 0, details: result.details };
+      }
+      summary[row.category][result.status === 'blocked' ? 'blocked' : 'warnings'] += 1;
+      summary[row.category].amount += row.amount;
+      summary[row.category].details = result.details;
+    });
+    return Object.values(summary);
+  }, [selectedRows, budgetResults]);
+
+  const rowsToImport = useMemo(
+    () => selectedRows.filter(row => !(skipBlocked && budgetResults[row.line]?.status === 'blocked')),
+    [selectedRows, skipBlocked, budgetResults]
+  );
+
+  const counts = useMemo(() => ({
+    total: rows.length,
+    invalid: rows.filter(row => row.errors.length > 0).length,
+    duplicates: rows.filter(row => row.duplicateOf).length,
+    selected: selectedRows.length,
+    toImport: rowsToImport.length
+  }), [rows, selectedRows, rowsToImport]);
+
+  // Create the selected transactions in bulk
+  const handleImport = async () => {
+    if (rowsToImport.length === 0) {
+      setError('There are no rows selected for import.');
+      return;
+    }
+
+    setImporting(true);
+    setError('');
+    setProgress({ completed: 0, total: rowsToImport.length });
+
+    const payload = rowsToImport.map(row => ({
+      amount: row.amount,
+      type: row.type,
+      category: row.category,
+      date: row.date,
+      description: row.description,
+      currency: importCurrency,
+      ...(row.tags?.length ? { tags: row.tags } : {}),
+      ...(row.isRecurring ? { isRecurring: true } : {}),
+      ...(accountId ? { accountId: parseInt(accountId, 10) } : {})
+    }));
+
+    try {
+      const result = await importTransactions(payload, (completed, total) => {
+        setProgress({ completed, total });
+      });
+
+      if (!result?.success) {
+        throw new Error(result?.error || 'Import failed');
+      }
+
+      const failed = (result.data.failed || []).map(failure => ({
+        ...failure,
+        row: rowsToImport[failure.index]
+      }));
+
+      // Created records come back in row order, minus the rows that failed
+      const failedIndexes = new Set(failed.map(failure => failure.index));
+      const importedRows = rowsToImport.filter((row, index) => !failedIndexes.has(index));
+      importedRows.forEach((row, index) => {
+        if (row.category !== row.suggestedCategory) {
+          recordCorrection({ description: row.description, from: row.suggestedCategory, to: row.category });
+        }
+        const created = result.data.created[index];
+        if (row.mood && created?.id && !created._pendingSync) {
+          attachRuleMood(created.id, row.mood);
+        }
+      });
+
+      setOutcome({ created: result.data.created.length, failed });
+      setStep('done');
+      onImported?.(result.data);
+    } catch (err) {
+      console.error('Statement import failed:', err);
+      setError(err.message || 'An unexpected error occurred while importing transactions');
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (!importing) onClose?.();
+  };
+
+  const headers = csvRows[0] || [];
+  const columnLabel = (index) => (options.hasHeader ? headers[index] || `Column ${index + 1}` : `Column ${index + 1}`);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="bg-white rounded-lg w-full max-w-5xl max-h-[90vh] flex flex-col"
+      >
+        {/* Header */}
+        <div className="flex justify-between items-center p-6 border-b">
+          <div>
+            <h3 className="text-lg font-semibold">Import Bank Statement</h3>
+            <p className="text-sm text-gray-500">
+              Step {STEPS.indexOf(step) + 1} of {STEPS.length}
+              {file && ` • ${file.name} (${format.toUpperCase()})`}
+            </p>
+          </div>
+          <button
+            onClick={handleClose}
+            disabled={importing}
+            className="text-gray-400 hover:text-gray-600 disabled:opacity-50"
+            aria-label="Close import wizard"
+          >
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="p-6 overflow-y-auto flex-1 space-y-4">
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg flex items-center">
+              <AlertTriangle size={18} className="mr-2 flex-shrink-0" />
+              <span className="text-sm">{error}</span>
+            </div>
+          )}
+
+          {/* Step 1: Upload */}
+          {step === 'upload' && (
+            <div className="space-y-4">
+              <label className="flex flex-col items-center justify-center border-2 border-dashed rounded-lg p-10 cursor-pointer hover:bg-gray-50">
+                <Upload size={32} className="text-gray-400 mb-3" />
+                <span className="font-medium">Choose a statement file</span>
+                <span className="text-sm text-gray-500">CSV, OFX, QFX or QIF exported from your bank</span>
+                <input
+                  type="file"
+                  accept=".csv,.txt,.ofx,.qfx,.qif"
+                  onChange={handleFileChange}
+                  className="hidden"
+                  aria-label="Statement file"
+                />
+              </label>
+              {file && (
+                <div className="flex items-center space-x-2 text-sm text-gray-700">
+                  <FileText size={16} />
+                  <span>{file.name}</span>
+                  <span className="text-gray-400">detected as {format.toUpperCase()}</span>
+                </div>
+              )}
+              {format === 'qif' && file && (
+                <div>
+                  <label className="block text-sm font-medium mb-2">Date format</label>
+                  <select
+                    value={options.dateFormat}
+                    onChange={(e) => setOptions({ ...options, dateFormat: e.target.value })}
+                    className="p-2 border rounded-lg"
+                  >
+                    {DATE_FORMATS.map(dateFormat => (
+                      <option key={dateFormat} value={dateFormat}>{dateFormat}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Step 2: CSV column mapping */}
+          {step === 'mapping' && (
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                {MAPPING_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-sm font-medium mb-2">
+                      {field.label}{field.required && ' *'}
+                    </label>
+                    <select
+                      value={mapping[field.key] ?? ''}
+                      onChange={(e) => setMapping({
+                        ...mapping,
+                        [field.key]: e.target.value === '' ? null : parseInt(e.target.value, 10)
+                      })}
+                      className="w-full p-2 border rounded-lg"
+                    >
+                      <option value="">Not mapped</option>
+                      {headers.map((_, index) => (
+                        <option key={index} value={index}>{columnLabel(index)}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-center gap-6 text-sm">
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={options.hasHeader}
+                    onChange={(e) => setOptions({ ...options, hasHeader: e.target.checked })}
+                  />
+                  <span>First row is a header</span>
+                </label>
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={options.invertAmounts}
+                    onChange={(e) => setOptions({ ...options, invertAmounts: e.target.checked })}
+                  />
+                  <span>Positive amounts are expenses (credit card export)</span>
+                </label>
+                <label className="flex items-center space-x-2">
+                  <span>Date format</span>
+                  <select
+                    value={options.dateFormat}
+                    onChange={(e) => setOptions({ ...options, dateFormat: e.target.value })}
+                    className="p-1 border rounded"
+                  >
+                    {DATE_FORMATS.map(dateFormat => (
+                      <option key={dateFormat} value={dateFormat}>{dateFormat}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className="overflow-x-auto border rounded-lg">
+                <table className="w-full text-sm">
+                  <tbody>
+                    {csvRows.slice(0, 5).map((cells, rowIndex) => (
+                      <tr key={rowIndex} className={rowIndex === 0 && options.hasHeader ? 'bg-gray-50 font-medium' : 'border-t'}>
+                        {cells.map((cellValue, cellIndex) => (
+                          <td key={cellIndex} className="p-2 whitespace-nowrap">{cellValue}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Step 3: Preview */}
+          {step === 'preview' && (
+            <div className="space-y-4">
+              <div className="flex flex-wrap gap-4 text-sm">
+                <span>{counts.total} rows</span>
+                <span className="text-gray-500">{counts.invalid} invalid</span>
+                <span className="text-orange-600">{counts.duplicates} possible duplicates</span>
+                <span className="font-medium">{counts.selected} selected</span>
+              </div>
+
+              {/* Budget warning summary */}
+              {(checkingBudgets || budgetSummary.length > 0) && (
+                <div className="p-3 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-lg text-sm">
+                  <div className="flex items-center font-medium mb-2">
+                    <AlertTriangle size={16} className="mr-2" />
+                    {checkingBudgets ? 'Checking budgets...' : 'Budget warnings for this import'}
+                  </div>
+                  {budgetSummary.map(item => (
+                    <div key={item.category} className="flex justify-between">
+                      <span>
+                        {item.category}: {formatAmount(item.amount, importCurrency)} imported
+                        {item.details?.budgetLimit !== undefined && ` (limit ${formatAmount(item.details.budgetLimit)})`}
+                      </span>
+                      <span>
+                        {item.warnings > 0 && `${item.warnings} over budget`}
+                        {item.warnings > 0 && item.blocked > 0 && ' • '}
+                        {item.blocked > 0 && <span className="text-red-600">{item.blocked} blocked</span>}
+                      </span>
+                    </div>
+                  ))}
+                  {budgetSummary.some(item => item.blocked > 0) && (
+                    <label className="flex items-center space-x-2 mt-2">
+                      <input
+                        type="checkbox"
+                        checked={skipBlocked}
+                        onChange={(e) => setSkipBlocked(e.target.checked)}
+                      />
+                      <span>Skip rows that exceed a budget which does not allow overspending</span>
+                    </label>
+                  )}
+                </div>
+              )}
+
+              <div className="overflow-x-auto border rounded-lg">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="bg-gray-50 border-b">
+                      <th className="p-2 text-left">
+                        <input
+                          type="checkbox"
+                          aria-label="Select all rows"
+                          checked={counts.selected > 0 && counts.selected === counts.total - counts.invalid}
+                          onChange={(e) => setRows(prev => prev.map(row => ({
+                            ...row,
+                            selected: e.target.checked && row.errors.length === 0
+                          })))}
+                        />
+                      </th>
+                      <th className="p-2 text-left">Date</th>
+                      <th className="p-2 text-left">Description</th>
+                      <th className="p-2 text-left">Type</th>
+                      <th className="p-2 text-left">Category</th>
+                      <th className="p-2 text-right">Amount</th>
+                      <th className="p-2 text-left">Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map(row => {
+                      const budget = budgetResults[row.line];
+                      const invalid = row.errors.length > 0;
+                      return (
+                        <tr key={row.line} className={`border-b ${invalid ? 'bg-gray-50 text-gray-400' : ''}`}>
+                          <td className="p-2">
+                            <input
+                              type="checkbox"
+                              checked={row.selected}
+                              disabled={invalid}
+                              onChange={(e) => updateRow(row.line, { selected: e.target.checked })}
+                              aria-label={`Import row ${row.line}`}
+                            />
+                          </td>
+                          <td className="p-2 whitespace-nowrap">{row.date || '—'}</td>
+                          <td className="p-2">{row.description || 'No description'}</td>
+                          <td className="p-2">
+                            <select
+                              value={row.type}
+                              disabled={invalid}
+                              onChange={(e) => updateRow(row.line, { type: e.target.value })}
+                              className="p-1 border rounded"
+                            >
+                              <option value="income">Income</option>
+                              <option value="expense">Expense</option>
+                            </select>
+                          </td>
+                          <td className="p-2">
+                            <select
+                              value={row.category}
+                              disabled={invalid}
+                              onChange={(e) => updateRow(row.line, { category: e.target.value })}
+                              className="p-1 border rounded"
+                            >
+                              <CategoryOptions value={row.category} />
+                            </select>
+                            {row.rawCategory && row.rawCategory !== row.category && (
+                              <div className="text-xs text-gray-400">from &quot;{row.rawCategory}&quot;</div>
+                            )}
+                            {row.ruleNames?.length > 0 && (
+                              <div className="text-xs text-blue-600" title={row.ruleNames.join(', ')}>
+                                Rule: {row.ruleNames[0]}{row.ruleNames.length > 1 ? ` +${row.ruleNames.length - 1}` : ''}
+                              </div>
+                            )}
+                          </td>
+                          <td className={`p-2 text-right font-medium ${row.type === 'income' ? 'text-green-600' : 'text-red-600'}`}>
+                            {formatAmount(row.amount, importCurrency)}
+                          </td>
+                          <td className="p-2 text-xs">
+                            {invalid && <span className="text-red-500">{row.errors.join(', ')}</span>}
+                            {row.duplicateOf === 'existing' && <span className="text-orange-600">Already imported</span>}
+                            {row.duplicateOf === 'file' && <span className="text-orange-600">Repeated in file</span>}
+                            {budget?.status === 'warning' && row.selected && (
+                              <span className="text-yellow-700 block" title={budget.message}>Over budget</span>
+                            )}
+                            {budget?.status === 'blocked' && row.selected && (
+                              <span className="text-red-600 block" title={budget.message}>
+                                Budget limit{skipBlocked ? ' — skipped' : ''}
+                              </span>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+
+              {accounts.length > 0 && (
+                <div className="flex items-center space-x-3 text-sm">
+                  <label className="font-medium">Import into account</label>
+                  <select
+                    value={accountId}
+                    onChange={(e) => setAccountId(e.target.value)}
+                    className="p-2 border rounded-lg"
+                  >
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id}>{account.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              {importing && (
+                <div>
+                  <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                    <div
+                      className="h-full bg-black transition-all"
+                      style={{ width: `${progress.total ? (progress.completed / progress.total) * 100 : 0}%` }}
+                    />
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Imported {progress.completed} of {progress.total}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Step 4: Result */}
+          {step === 'done' && outcome && (
+            <div className="space-y-4">
+              <div className="flex items-center space-x-3 text-green-700">
+                <CheckCircle size={24} />
+                <span className="text-lg font-medium">
+                  {outcome.created} transaction{outcome.created === 1 ? '' : 's'} imported
+                </span>
+              </div>
+              {outcome.failed.length > 0 && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                  <p className="font-medium mb-2">{outcome.failed.length} rows could not be imported:</p>
+                  <ul className="space-y-1">
+                    {outcome.failed.map(failure => (
+                      <li key={failure.index}>
+                        Line {failure.row?.line}: {failure.row?.description || 'No description'} — {failure.error}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-between items-center p-6 border-t">
+          <button
+            onClick={handleBack}
+            disabled={importing || step === 'upload' || step === 'done'}
+            className="flex items-center space-x-2 px-4 py-2 rounded-lg text-gray-700 hover:bg-gray-100 disabled:opacity-0"
+          >
+            <ArrowLeft size={16} />
+            <span>Back</span>
+          </button>
+
+          {step === 'preview' ? (
+            <button
+              onClick={handleImport}
+              disabled={importing || checkingBudgets || counts.toImport === 0}
+              className="bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50"
+            >
+              {importing ? 'Importing...' : `Import ${counts.toImport} transaction${counts.toImport === 1 ? '' : 's'}`}
+            </button>
+          ) : step === 'done' ? (
+            <button
+              onClick={handleClose}
+              className="bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800"
+            >
+              Done
+            </button>
+          ) : (
+            <button
+              onClick={handleNext}
+              disabled={!file}
+              className="flex items-center space-x-2 bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50"
+            >
+              <span>Next</span>
+              <ArrowRight size={16} />
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+// SplitEditor.jsx
+// Category lines of a split transaction, used by the add form and when splitting a saved transaction
+import { Plus, X } from 'lucide-react';
+import { useI18n } from '../../contexts';
+import CategoryOptions from '../ui/CategoryOptions';
+
+/** Blank split line */
+const EMPTY_SPLIT_LINE = { category: '', amount: '', note: '' };
+
+/**
+ * Editable list of split lines with the amount still to assign
+ * @param {Object} props - Component props
+ * @param {Array} props.lines - Lines with category, amount and note (amounts may be strings while typing)
+ * @param {Function} props.onChange - Called with the new lines
+ * @param {number} props.total - Transaction amount the lines must add up to
+ * @param {Function} props.formatAmount - Formats an amount in the transaction's currency
+ */
+export default function SplitEditor({ lines, onChange, total, formatAmount }) {
+  const { t } = useI18n();
+
+  const assigned = lines.reduce((sum, line) => sum + (parseFloat(line.amount) || 0), 0);
+  const remaining = Math.round(((Number(total) || 0) - assigned) * 100) / 100;
+
+  const updateLine = (index, changes) =>
+    onChange(lines.map((line, lineIndex) => (lineIndex === index ? { ...line, ...changes } : line)));
+
+  /**
+   * Puts whatever is left to assign on a line
+   */
+  const fillRemaining = (index) =>
+    updateLine(index, { amount: String(Math.round(((parseFloat(lines[index].amount) || 0) + remaining) * 100) / 100) });
+
+  return (
+    <div className="space-y-2">
+      {lines.map((line, index) => (
+        <div key={index} className="grid grid-cols-12 gap-2 items-center">
+          <select
+            value={line.category}
+            onChange={(e) => updateLine(index, { category: e.target.value })}
+            className="col-span-4 p-2 border rounded-lg text-sm"
+            aria-label={`${t('transactions.category')} ${index + 1}`}
+            required
+          >
+            {!line.category && <option value="">{t('transactions.category')}</option>}
+            <CategoryOptions value={line.category || undefined} />
+          </select>
+          <input
+            type="number"
+            step="0.01"
+            min="0.01"
+            value={line.amount}
+            onChange={(e) => updateLine(index, { amount: e.target.value })}
+            className="col-span-3 p-2 border rounded-lg text-sm"
+            placeholder="0.00"
+            aria-label={`${t('transactions.amount')} ${index + 1}`}
+            required
+          />
+          <input
+            type="text"
+            value={line.note}
+            onChange={(e) => updateLine(index, { note: e.target.value })}
+            className="col-span-4 p-2 border rounded-lg text-sm"
+            placeholder={t('transactions.splitNotePlaceholder')}
+            maxLength={100}
+          />
+          <button
+            type="button"
+            onClick={() => onChange(lines.filter((_, lineIndex) => lineIndex !== index))}
+            disabled={lines.length <= 2}
+            className="col-span-1 p-1 text-gray-400 hover:text-red-500 disabled:opacity-30 justify-self-center"
+            aria-label={t('transactions.splitRemoveLine')}
+            title={t('transactions.splitRemoveLine')}
+          >
+            <X size={16} />
+          </button>
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <button
+          type="button"
+          onClick={() => onChange([...lines, { ...EMPTY_SPLIT_LINE }])}
+          className="flex items-center space-x-1 text-blue-600 hover:underline"
+        >
+          <Plus size={14} />
+          <span>{t('transactions.splitAddLine')}</span>
+        </button>
+        <div className="flex items-center space-x-3">
+          {remaining > 0 && (
+            <button
+              type="button"
+              onClick={() => fillRemaining(lines.length - 1)}
+              className="text-blue-600 hover:underline"
+            >
+              {t('transactions.splitFill')}
+            </button>
+          )}
+          <span className={remaining === 0 ? 'text-green-600' : 'text-red-600'}>
+            {remaining === 0
+              ? t('transactions.splitBalanced')
+              : remaining > 0
+                ? t('transactions.splitRemaining', { amount: formatAmount(remaining) })
+                : t('transactions.splitOver', { amount: formatAmount(-remaining) })}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+}
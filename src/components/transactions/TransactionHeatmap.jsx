@@ -1,12 +1,17 @@
 // TransactionHeatmap.jsx
 import { motion } from 'framer-motion';
 import { useState, useMemo, useCallback } from 'react';
-import { useTransactions } from '../../contexts/TransactionsContext';
+import { useDashboard } from '../../contexts/DashboardContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
 import { ArrowLeft, AlertTriangle } from 'lucide-react'; 
 import { useNavigate } from 'react-router-dom'; 
+import { getSplitLines } from '../../utils/splitTransactions';
+import { isTransfer } from '../../utils/transfers';
 
 export default function TransactionHeatmap() {
-  const { transactions = [] } = useTransactions();
+  // Amounts converted to the base currency so days mixing currencies add up
+  const { baseTransactions: transactions = [] } = useDashboard();
+  const { formatAmount } = useCurrency();
   const [selectedYear, setSelectedYear] = useState(new Date().getFullYear());
   const [error, setError] = useState('');
   const navigate = useNavigate(); 
@@ -30,12 +35,13 @@ export default function TransactionHeatmap() {
       const startDate = new Date(selectedYear, 0, 1);
       const endDate = new Date(selectedYear, 11, 31, 23, 59, 59, 999);
       
-      // Filter and validate transactions
+      // Filter and validate transactions; transfers only move money between accounts
       const filtered = transactions.filter(tx => {
         if (!isValidTransaction(tx)) {
           console.warn('Invalid transaction skipped:', tx);
           return false;
         }
+        if (isTransfer(tx)) return false;
 
         try {
           const txDate = new Date(tx.date);
@@ -102,7 +108,8 @@ export default function TransactionHeatmap() {
             data[month][day] = {
               date,
               amount: 0,
-              count: 0
+              count: 0,
+              categories: {}
             };
           } catch (dateErr) {
             console.warn('Error creating date for heatmap:', month, day, selectedYear);
@@ -132,6 +139,10 @@ export default function TransactionHeatmap() {
               const amount = Math.abs(Number(tx.amount) || 0);
               dayData.amount += amount;
               dayData.count += 1;
+              // Split transactions add each line to its own category
+              getSplitLines(tx).forEach(line => {
+                dayData.categories[line.category] = (dayData.categories[line.category] || 0) + Math.abs(line.amount);
+              });
             }
           }
         } catch (txErr) {
@@ -233,17 +244,22 @@ export default function TransactionHeatmap() {
   }, [navigate]);
 
   // Format tooltip content
-  const formatTooltip = useCallback((date, amount, count) => {
+  const formatTooltip = useCallback((date, amount, count, categories = {}) => {
     try {
       const formattedDate = date?.toLocaleDateString() || 'Invalid date';
-      const formattedAmount = typeof amount === 'number' ? amount.toFixed(2) : '0.00';
+      const formattedAmount = formatAmount(typeof amount === 'number' ? amount : 0);
       const transactionCount = typeof count === 'number' ? count : 0;
+      const topCategories = Object.entries(categories)
+        .sort(([, a], [, b]) => b - a)
+        .slice(0, 3)
+        .map(([category, total]) => `${category} ${formatAmount(total)}`);
       
-      return `${formattedDate}: $${formattedAmount} (${transactionCount} transaction${transactionCount !== 1 ? 's' : ''})`;
+      return `${formattedDate}: ${formattedAmount} (${transactionCount} transaction${transactionCount !== 1 ? 's' : ''})`
+        + (topCategories.length > 0 ? `\n${topCategories.join(', ')}` : '');
     } catch {
       return 'Data unavailable';
     }
-  }, []);
+  }, [formatAmount]);
 
   return (
     <div className="space-y-6">
@@ -307,8 +323,8 @@ export default function TransactionHeatmap() {
                           className={`w-4 h-4 rounded-sm border ${getIntensityColor(amount, heatmapData)} ${
                             count > 0 ? 'cursor-pointer hover:shadow-md' : ''
                           }`}
-                          title={formatTooltip(date, amount, count)}
-                          aria-label={`${monthName} ${day}: ${count} transaction${count !== 1 ? 's' : ''}, $${amount.toFixed(2)} spent`}
+                          title={formatTooltip(date, amount, count, dayData.categories)}
+                          aria-label={`${monthName} ${day}: ${count} transaction${count !== 1 ? 's' : ''}, ${formatAmount(amount)} spent`}
                         />
                       );
                     })}
@@ -343,13 +359,13 @@ export default function TransactionHeatmap() {
         <div className="mt-6 grid grid-cols-1 md:grid-cols-3 gap-4 text-center">
           <div className="p-3 bg-gray-50 rounded-lg">
             <div className="text-2xl font-bold text-green-600">
-              ${yearlyTotals.totalIncome.toFixed(2)}
+              {formatAmount(yearlyTotals.totalIncome)}
             </div>
             <div className="text-sm text-gray-600">Total Income</div>
           </div>
           <div className="p-3 bg-gray-50 rounded-lg">
             <div className="text-2xl font-bold text-red-600">
-              ${yearlyTotals.totalExpenses.toFixed(2)}
+              {formatAmount(yearlyTotals.totalExpenses)}
             </div>
             <div className="text-sm text-gray-600">Total Expenses</div>
           </div>
@@ -1,14 +1,22 @@
 // TransactionList.jsx
 import { motion } from 'framer-motion';
-import { Search } from 'lucide-react';
-import { useState, useMemo, useCallback, useEffect } from 'react';
+import { Search, Link2 } from 'lucide-react';
+import { Fragment, useState, useMemo, useCallback, useEffect } from 'react';
 import { useTransactions } from '../../contexts/TransactionsContext';
+import { useAccounts } from '../../contexts/AccountsContext';
+import { useDebt } from '../../contexts/DebtContext';
 import TransactionMoodTracker from '../dashboard/TransactionMoodTracker';
+import ExportMenu from '../ui/ExportMenu';
+import { filterTransactions, sortTransactions } from '../../utils/transactionFilters';
+import { getTransactionCategories, isSplitTransaction } from '../../utils/splitTransactions';
+import { getTransferEndpoints, getTransferLegs, isTransfer } from '../../utils/transfers';
 import { useNavigate } from 'react-router-dom'; 
 import { ArrowLeft } from 'lucide-react';
 
 export default function TransactionList() {
   const { transactions = [], loading, error: contextError } = useTransactions();
+  const { accounts = [] } = useAccounts();
+  const { debts = [] } = useDebt();
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('date');
   const [sortOrder, setSortOrder] = useState('desc');
@@ -40,57 +48,21 @@ export default function TransactionList() {
         return [];
       }
 
-      const searchLower = searchTerm.toLowerCase().trim();
-      
       // Filter with validation
-      const filtered = transactions.filter(tx => {
-        if (!isValidTransaction(tx)) {
-          console.warn('Invalid transaction skipped:', tx);
-          return false;
-        }
-
-        const description = tx.description || '';
-        const category = tx.category || '';
-        
-        return searchTerm === '' || 
-               description.toLowerCase().includes(searchLower) ||
-               category.toLowerCase().includes(searchLower);
-      });
-
-      // Sort with error handling
-      return filtered.sort((a, b) => {
-        try {
-          let aValue, bValue;
-          
-          switch (sortBy) {
-            case 'amount':
-              aValue = Math.abs(Number(a.amount) || 0);
-              bValue = Math.abs(Number(b.amount) || 0);
-              break;
-            case 'date':
-              aValue = new Date(a.date || 0).getTime();
-              bValue = new Date(b.date || 0).getTime();
-              break;
-            case 'category':
-              aValue = (a.category || '').toLowerCase();
-              bValue = (b.category || '').toLowerCase();
-              break;
-            default:
-              aValue = a[sortBy] || '';
-              bValue = b[sortBy] || '';
+      const filtered = filterTransactions(
+        transactions.filter(tx => {
+          if (!isValidTransaction(tx)) {
+            console.warn('Invalid transaction skipped:', tx);
+            return false;
           }
+          return true;
+        }),
+        {},
+        searchTerm,
+        { includeAmount: false }
+      );
 
-          // Handle comparison safely
-          if (sortOrder === 'asc') {
-            return aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
-          } else {
-            return aValue > bValue ? -1 : aValue < bValue ? 1 : 0;
-          }
-        } catch (sortErr) {
-          console.error('Error sorting transactions:', sortErr);
-          return 0; // Keep original order on error
-        }
-      });
+      return sortTransactions(filtered, sortBy, sortOrder);
     } catch (filterErr) {
       console.error('Error filtering transactions:', filterErr);
       setLocalError('Failed to filter and sort transactions');
@@ -216,6 +188,7 @@ export default function TransactionList() {
       {/* Header */}
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold text-gray-900">All Transactions</h2>
+        <ExportMenu transactions={filteredAndSortedTransactions} />
       </div>
 
       {/* Search and Filters */}
@@ -273,6 +246,49 @@ export default function TransactionList() {
                 filteredAndSortedTransactions.map((transaction, index) => {
                   const isValidTx = isValidTransaction(transaction);
                   if (!isValidTx) return null;
+
+                  // A transfer is shown as its two linked legs: out of one account, into the other
+                  if (isTransfer(transaction)) {
+                    const { from, to, toDebt } = getTransferEndpoints(transaction, { accounts, debts });
+                    const names = { from: from || 'Unknown account', to: to || (toDebt ? 'Debt' : 'Unknown account') };
+                    return (
+                      <Fragment key={transaction.id || `tx-${index}`}>
+                        {getTransferLegs(transaction).map(leg => (
+                          <motion.tr
+                            key={leg.side}
+                            initial={{ opacity: 0 }}
+                            animate={{ opacity: 1 }}
+                            transition={{ delay: index * 0.03 }}
+                            className={`hover:bg-blue-50/40 transition-colors ${leg.side === 'to' ? 'border-b' : ''}`}
+                          >
+                            <td className="p-4 border-l-4 border-blue-300">
+                              <div className="font-medium text-gray-900">
+                                {leg.side === 'from' ? transaction.description || 'Transfer' : `↳ ${names.to}`}
+                              </div>
+                              <span className="inline-flex items-center gap-1 mt-1 text-xs text-blue-700 bg-blue-50 px-2 py-1 rounded">
+                                <Link2 size={12} />
+                                {leg.side === 'from' ? `Transfer to ${names.to}` : `Transfer from ${names.from}`}
+                              </span>
+                            </td>
+                            <td className="p-4">
+                              <span className="inline-block px-2 py-1 bg-blue-50 rounded-full text-sm text-blue-800">
+                                {leg.side === 'from' ? names.from : names.to}
+                              </span>
+                            </td>
+                            <td className="p-4 text-sm text-gray-600">
+                              {formatDate(transaction.date)}
+                            </td>
+                            <td className="p-4">
+                              <span className="font-semibold text-blue-600">
+                                {formatAmount(leg.amount)}
+                              </span>
+                            </td>
+                            <td className="p-4" />
+                          </motion.tr>
+                        ))}
+                      </Fragment>
+                    );
+                  }
                   
                   return (
                     <motion.tr
@@ -295,9 +311,19 @@ export default function TransactionList() {
                         </div>
                       </td>
                       <td className="p-4">
-                        <span className="inline-block px-2 py-1 bg-gray-100 rounded-full text-sm text-gray-800">
-                          {transaction.category || 'Uncategorized'}
-                        </span>
+                        {isSplitTransaction(transaction) ? (
+                          <div className="flex flex-wrap gap-1">
+                            {getTransactionCategories(transaction).map(category => (
+                              <span key={category} className="inline-block px-2 py-1 bg-gray-100 rounded-full text-sm text-gray-800">
+                                {category}
+                              </span>
+                            ))}
+                          </div>
+                        ) : (
+                          <span className="inline-block px-2 py-1 bg-gray-100 rounded-full text-sm text-gray-800">
+                            {transaction.category || 'Uncategorized'}
+                          </span>
+                        )}
                       </td>
                       <td className="p-4 text-sm text-gray-600">
                         {formatDate(transaction.date)}
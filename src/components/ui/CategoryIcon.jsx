@@ -0,0 +1,39 @@
+// CategoryIcon.jsx
+// Renders the icon chosen for a category, tinted with its colour
+
+import {
+  Tag, Utensils, Coffee, Plane, Car, Fuel, Bus, Film, Music, Home, Zap, Wifi, Smartphone,
+  ShoppingBag, Shirt, Gift, HeartPulse, Dumbbell, Baby, PawPrint, GraduationCap, Book, Briefcase
+} from 'lucide-react';
+
+/** Icon keys stored on categories mapped to lucide components */
+const ICONS = {
+  tag: Tag,
+  utensils: Utensils,
+  coffee: Coffee,
+  plane: Plane,
+  car: Car,
+  fuel: Fuel,
+  bus: Bus,
+  film: Film,
+  music: Music,
+  home: Home,
+  zap: Zap,
+  wifi: Wifi,
+  smartphone: Smartphone,
+  'shopping-bag': ShoppingBag,
+  shirt: Shirt,
+  gift: Gift,
+  'heart-pulse': HeartPulse,
+  dumbbell: Dumbbell,
+  baby: Baby,
+  'paw-print': PawPrint,
+  'graduation-cap': GraduationCap,
+  book: Book,
+  briefcase: Briefcase
+};
+
+export default function CategoryIcon({ icon, color, size = 16, className = '' }) {
+  const Icon = ICONS[icon] || Tag;
+  return <Icon size={size} color={color} className={className} aria-hidden="true" />;
+}
@@ -0,0 +1,32 @@
+// CategoryOptions.jsx
+// <option> list for category selects, fed by the categories context
+
+import { useCategories, useI18n } from '../../contexts';
+
+/**
+ * Renders active categories with subcategories indented under their parent.
+ * An archived category that is still the current value stays selectable so editing
+ * an old record does not silently change it.
+ * @param {Object} props - Component props
+ * @param {string} [props.value] - Currently selected category name
+ */
+export default function CategoryOptions({ value }) {
+  const { categoryOptions, getCategory } = useCategories();
+  const { categoryLabel } = useI18n();
+  const hasValue = !value || categoryOptions.some(option => option.name === value);
+
+  return (
+    <>
+      {categoryOptions.map(option => (
+        <option key={option.category.id} value={option.name}>
+          {option.depth > 0 ? '  — ' : ''}{categoryLabel(option.name)}
+        </option>
+      ))}
+      {!hasValue && (
+        <option value={value}>
+          {categoryLabel(value)}{getCategory(value)?.archived ? ' (archived)' : ''}
+        </option>
+      )}
+    </>
+  );
+}
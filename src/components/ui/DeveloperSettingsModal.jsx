@@ -0,0 +1,175 @@
+// DeveloperSettingsModal.jsx
+// Developer-only override of the API and socket endpoints and mock backend mode (stored in localStorage)
+
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { X, Server } from 'lucide-react';
+import {
+  getConfig,
+  getConfigSources,
+  saveConfigOverride,
+  clearConfigOverride
+} from '../../services/config';
+import { offlineSync } from '../../services/offlineSync';
+import { tokenStorage } from '../../services/tokenStorage';
+
+export default function DeveloperSettingsModal({ onClose }) {
+  const config = getConfig();
+  const sources = getConfigSources();
+  const [form, setForm] = useState({
+    apiUrl: sources.override.apiUrl || '',
+    wsUrl: sources.override.wsUrl || '',
+    mockApi: config.mockApi
+  });
+  const [error, setError] = useState('');
+
+  /**
+   * Reloads the app so the HTTP client, socket and caches start fresh on the new endpoints
+   */
+  const applyAndReload = async () => {
+    await offlineSync.clear();
+    window.location.reload();
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      saveConfigOverride(form);
+      // Sessions from one backend are not valid on the other
+      if (form.mockApi !== config.mockApi) {
+        tokenStorage.clear();
+      }
+      await applyAndReload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReset = async () => {
+    clearConfigOverride();
+    await applyAndReload();
+  };
+
+  const handleResetMockData = async () => {
+    if (!window.confirm('Delete all mock data and restore the demo data set?')) return;
+    const { resetMockData } = await import('../../services/mockBackend');
+    resetMockData();
+    await applyAndReload();
+  };
+
+  const hasOverride = Object.keys(sources.override).length > 0;
+
+  const sourceOf = (key) => {
+    if (sources.override[key] !== undefined) return 'developer override';
+    if (sources.runtime[key] !== undefined) return 'config.json';
+    if (sources.env[key] !== undefined) return 'build environment';
+    return key === 'wsUrl' ? 'derived from API URL' : 'default';
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg w-full max-w-lg"
+        role="dialog"
+        aria-labelledby="developer-settings-title"
+      >
+        <div className="flex items-center justify-between p-6 border-b">
+          <h3 id="developer-settings-title" className="text-lg font-semibold flex items-center space-x-2">
+            <Server size={18} aria-hidden="true" />
+            <span>Developer settings</span>
+          </h3>
+          <button onClick={onClose} className="p-1 hover:bg-gray-100 rounded" aria-label="Close">
+            <X size={18} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSave} className="p-6 space-y-4">
+          <div className="bg-gray-50 rounded-lg p-3 text-xs text-gray-600 space-y-1">
+            <div>API: <span className="font-mono">{config.apiUrl}</span> ({sourceOf('apiUrl')})</div>
+            <div>Socket: <span className="font-mono">{config.wsUrl}</span> ({sourceOf('wsUrl')})</div>
+            <div>Mock backend: {config.mockApi ? 'on' : 'off'} ({sourceOf('mockApi')})</div>
+          </div>
+
+          <div className="flex items-start justify-between border rounded-lg p-3">
+            <label htmlFor="override-mock-api" className="flex items-start space-x-2 text-sm">
+              <input
+                id="override-mock-api"
+                type="checkbox"
+                checked={form.mockApi}
+                onChange={(e) => setForm(prev => ({ ...prev, mockApi: e.target.checked }))}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-medium block">Use mock backend</span>
+                <span className="text-xs text-gray-500">
+                  Serve every API call from seeded data in this browser. Demo login: demo@example.com / demo1234
+                </span>
+              </span>
+            </label>
+            {config.mockApi && (
+              <button
+                type="button"
+                onClick={handleResetMockData}
+                className="text-xs px-2 py-1 border rounded hover:bg-gray-50 whitespace-nowrap ml-2"
+              >
+                Reset mock data
+              </button>
+            )}
+          </div>
+
+          <div>
+            <label htmlFor="override-api-url" className="block text-sm font-medium mb-1">API URL override</label>
+            <input
+              id="override-api-url"
+              type="url"
+              value={form.apiUrl}
+              onChange={(e) => setForm(prev => ({ ...prev, apiUrl: e.target.value }))}
+              placeholder="https://staging.example.com/api"
+              className="w-full p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-black"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="override-ws-url" className="block text-sm font-medium mb-1">Socket URL override</label>
+            <input
+              id="override-ws-url"
+              type="text"
+              value={form.wsUrl}
+              onChange={(e) => setForm(prev => ({ ...prev, wsUrl: e.target.value }))}
+              placeholder="Leave empty to use the API origin"
+              className="w-full p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-black"
+            />
+          </div>
+
+          <p className="text-xs text-gray-500">
+            Saving reloads the app and clears offline data cached from the previous server.
+          </p>
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 text-red-700 px-3 py-2 rounded-lg text-sm">{error}</div>
+          )}
+
+          <div className="flex justify-between pt-2">
+            <button
+              type="button"
+              onClick={handleReset}
+              disabled={!hasOverride}
+              className="px-4 py-2 border rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+            >
+              Reset to defaults
+            </button>
+            <button
+              type="submit"
+              className="bg-black text-white px-4 py-2 rounded-lg hover:bg-gray-800 transition-colors"
+            >
+              Save &amp; reload
+            </button>
+          </div>
+        </form>
+      </motion.div>
+    </div>
+  );
+}
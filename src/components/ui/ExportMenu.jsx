@@ -0,0 +1,218 @@
+// ExportMenu.jsx
+// Dropdown for exporting transactions, budgets, goals, debt schedules, backups and monthly statements
+
+import { useState, useRef, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Download, ChevronDown, FileText, FileJson, Printer } from 'lucide-react';
+import {
+  useAuth,
+  useTransactions,
+  useAccounts,
+  useDebt,
+  useDashboard
+} from '../../contexts';
+import {
+  TRANSACTION_COLUMNS,
+  BUDGET_COLUMNS,
+  GOAL_COLUMNS,
+  DEBT_SCHEDULE_COLUMNS,
+  toCSV,
+  downloadFile,
+  buildExportFileName,
+  buildMonthlyStatementHTML,
+  openPrintableDocument
+} from '../../utils/exportUtils';
+import { backupService } from '../../services/backupService';
+import { simulatePayoff, getPayoffScheduleRows } from '../../utils/debtPayoff';
+
+/**
+ * Export dropdown menu
+ * @param {Object} props - Component props
+ * @param {Array} props.transactions - Transactions to export as CSV (already filtered and sorted by the caller)
+ * @returns {React.ReactElement} Export menu
+ */
+export default function ExportMenu({ transactions }) {
+  const { user } = useAuth();
+  const { transactions: allTransactions } = useTransactions();
+  const { accounts } = useAccounts();
+  const { debts } = useDebt();
+  const { budgetProgress, goalProgress } = useDashboard();
+
+  const [isOpen, setIsOpen] = useState(false);
+  const [statementMonth, setStatementMonth] = useState(() => new Date().toISOString().slice(0, 7));
+  const [message, setMessage] = useState('');
+  const menuRef = useRef(null);
+
+  // Close the menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // Clear transient status messages
+  useEffect(() => {
+    if (!message) return;
+    const timer = setTimeout(() => setMessage(''), 4000);
+    return () => clearTimeout(timer);
+  }, [message]);
+
+  const exportCSV = (rows, columns, prefix) => {
+    if (!rows || rows.length === 0) {
+      setMessage('Nothing to export');
+      return;
+    }
+    downloadFile(toCSV(rows, columns), buildExportFileName(prefix, 'csv'), 'text/csv');
+    setIsOpen(false);
+  };
+
+  const handleExportTransactions = () => {
+    exportCSV(transactions || allTransactions, TRANSACTION_COLUMNS, 'transactions');
+  };
+
+  const handleExportBudgets = () => {
+    exportCSV(budgetProgress, BUDGET_COLUMNS, 'budgets');
+  };
+
+  const handleExportGoals = () => {
+    exportCSV(goalProgress, GOAL_COLUMNS, 'goals');
+  };
+
+  // The same plan the payoff simulator opens on: avalanche order, freed minimums rolled over
+  const handleExportDebtSchedule = () => {
+    const openDebts = debts.filter(debt => debt.isActive !== false);
+    exportCSV(getPayoffScheduleRows(simulatePayoff(openDebts)), DEBT_SCHEDULE_COLUMNS, 'debt-payoff-schedule');
+  };
+
+  const handleExportJSON = async () => {
+    setMessage('Preparing backup...');
+    try {
+      const { backup, warnings } = await backupService.createBackup(user);
+      downloadFile(JSON.stringify(backup, null, 2), buildExportFileName('sultans-backup', 'json'), 'application/json');
+      setMessage(warnings.length > 0 ? warnings.join('; ') : '');
+      if (warnings.length === 0) setIsOpen(false);
+    } catch (error) {
+      console.error('Backup export failed:', error);
+      setMessage('Backup failed. Please try again.');
+    }
+  };
+
+  const handlePrintStatement = () => {
+    const [year, month] = statementMonth.split('-').map(Number);
+    if (!year || !month) {
+      setMessage('Choose a month for the statement');
+      return;
+    }
+
+    const html = buildMonthlyStatementHTML({
+      year,
+      month: month - 1,
+      transactions: allTransactions,
+      budgetProgress,
+      accounts,
+      user
+    });
+
+    if (!openPrintableDocument(html)) {
+      setMessage('Allow pop-ups to print the statement');
+      return;
+    }
+    setIsOpen(false);
+  };
+
+  const csvOptions = [
+    { label: 'Transactions (CSV)', hint: `${(transactions || allTransactions).length} rows`, onClick: handleExportTransactions },
+    { label: 'Budgets (CSV)', hint: `${budgetProgress.length} budgets`, onClick: handleExportBudgets },
+    { label: 'Goals (CSV)', hint: `${goalProgress.length} goals`, onClick: handleExportGoals },
+    { label: 'Debt payoff schedule (CSV)', hint: `${debts.length} debts`, onClick: handleExportDebtSchedule }
+  ];
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center space-x-2 bg-white px-4 py-2 rounded-lg border shadow-sm hover:bg-gray-50 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+        aria-label="Export data"
+        aria-expanded={isOpen}
+      >
+        <Download size={18} />
+        <span>Export</span>
+        <ChevronDown
+          size={16}
+          className={`transform transition-transform duration-200 ${isOpen ? 'rotate-180' : ''}`}
+          aria-hidden="true"
+        />
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -8 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -8 }}
+            transition={{ duration: 0.15 }}
+            className="absolute right-0 mt-2 w-72 bg-white rounded-lg border shadow-lg z-40 overflow-hidden"
+            role="menu"
+          >
+            <div className="py-1">
+              {csvOptions.map(option => (
+                <button
+                  key={option.label}
+                  onClick={option.onClick}
+                  className="w-full flex items-center justify-between px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                  role="menuitem"
+                >
+                  <span className="flex items-center space-x-2">
+                    <FileText size={16} className="text-gray-400" />
+                    <span>{option.label}</span>
+                  </span>
+                  <span className="text-xs text-gray-400">{option.hint}</span>
+                </button>
+              ))}
+
+              <button
+                onClick={handleExportJSON}
+                className="w-full flex items-center space-x-2 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 border-t"
+                role="menuitem"
+              >
+                <FileJson size={16} className="text-gray-400" />
+                <span>Account backup (JSON)</span>
+              </button>
+
+              <div className="px-4 py-3 border-t">
+                <label htmlFor="statement-month" className="block text-xs font-medium text-gray-500 mb-2">
+                  Monthly statement
+                </label>
+                <div className="flex items-center space-x-2">
+                  <input
+                    id="statement-month"
+                    type="month"
+                    value={statementMonth}
+                    onChange={(e) => setStatementMonth(e.target.value)}
+                    className="flex-1 p-1.5 border rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    onClick={handlePrintStatement}
+                    className="flex items-center space-x-1 bg-blue-600 text-white px-3 py-1.5 rounded text-sm hover:bg-blue-700"
+                    aria-label="Print monthly statement"
+                  >
+                    <Printer size={14} />
+                    <span>PDF</span>
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            {message && (
+              <div className="px-4 py-2 text-xs text-amber-700 bg-amber-50 border-t">{message}</div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
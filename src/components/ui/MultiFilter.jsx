@@ -4,9 +4,14 @@
 import { useState, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Filter, X, ChevronDown } from 'lucide-react';
+import { useCategories, useI18n } from '../../contexts';
+import CategoryIcon from './CategoryIcon';
 
 export default function MultiFilter({ filters, onFiltersChange, activeTab = 'Transactions' }) {
   const [isOpen, setIsOpen] = useState(false);
+  // Archived categories stay filterable because old transactions still use them
+  const { allCategoryOptions, getCategoryFamily } = useCategories();
+  const { categoryLabel } = useI18n();
 
   // Memoize filter configuration to prevent recreation on every render
   const filterTypes = useMemo(() => [
@@ -24,7 +29,7 @@ export default function MultiFilter({ filters, onFiltersChange, activeTab = 'Tra
       key: 'categories',
       label: 'Categories',
       type: 'multi-select',
-      options: ['Food', 'Travel', 'Entertainment', 'Rent', 'Shopping', 'Utilities', 'Healthcare', 'Other']
+      options: allCategoryOptions
     },
     {
       key: 'type',
@@ -32,7 +37,7 @@ export default function MultiFilter({ filters, onFiltersChange, activeTab = 'Tra
       type: 'select', 
       options: ['All', 'Income', 'Expense']
     }
-  ], []);
+  ], [allCategoryOptions]);
 
   // Check if any filters are active to show the clear button
   const hasActiveFilters = useMemo(() => {
@@ -83,6 +88,20 @@ export default function MultiFilter({ filters, onFiltersChange, activeTab = 'Tra
     onFiltersChange({ ...filters, amountRange: newAmountRange });
   };
 
+  /**
+   * Toggles a category; checking a parent also selects its subcategories
+   * @param {string} name - Category name
+   * @param {boolean} checked - New checkbox state
+   */
+  const toggleCategory = (name, checked) => {
+    const family = getCategoryFamily(name);
+    const current = filters.categories || [];
+    const newCategories = checked
+      ? [...new Set([...current, ...family])]
+      : current.filter(cat => !family.includes(cat));
+    onFiltersChange({ ...filters, categories: newCategories });
+  };
+
   const clearFilter = (filterKey) => {
     onFiltersChange({ ...filters, [filterKey]: filterKey === 'categories' ? [] : null });
   };
@@ -278,24 +297,20 @@ export default function MultiFilter({ filters, onFiltersChange, activeTab = 'Tra
               <div>
                 <label className="block text-sm font-medium mb-3">Categories</label>
                 <div className="space-y-2 max-h-40 overflow-y-auto pr-2">
-                  {filterTypes.find(f => f.key === 'categories').options.map(option => (
+                  {filterTypes.find(f => f.key === 'categories').options.map(({ name, depth, category }) => (
                     <label 
-                      key={option} 
-                      className="flex items-center space-x-2 hover:bg-gray-50 p-2 rounded cursor-pointer"
+                      key={category.id} 
+                      className={`flex items-center space-x-2 hover:bg-gray-50 p-2 rounded cursor-pointer ${depth > 0 ? 'ml-6' : ''}`}
                     >
                       <input
                         type="checkbox"
-                        checked={filters.categories?.includes(option) || false}
-                        onChange={(e) => {
-                          const newCategories = e.target.checked
-                            ? [...(filters.categories || []), option]
-                            : filters.categories?.filter(cat => cat !== option);
-                          onFiltersChange({...filters, categories: newCategories});
-                        }}
+                        checked={filters.categories?.includes(name) || false}
+                        onChange={(e) => toggleCategory(name, e.target.checked)}
                         className="rounded border-gray-300 text-purple-600 focus:ring-purple-500"
-                        aria-label={`Filter by ${option} category`}
+                        aria-label={`Filter by ${name} category`}
                       />
-                      <span className="text-sm">{option}</span>
+                      <CategoryIcon icon={category.icon} color={category.color} size={14} />
+                      <span className={`text-sm ${category.archived ? 'text-gray-400' : ''}`}>{categoryLabel(name)}</span>
                     </label>
                   ))}
                 </div>
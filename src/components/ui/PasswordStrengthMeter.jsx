@@ -0,0 +1,43 @@
+// PasswordStrengthMeter.jsx
+// Strength bar, label and suggestions shown under a new-password field
+
+import { useI18n } from '../../contexts';
+import { scorePassword } from '../../utils/passwordStrength';
+
+const BAR_COLORS = ['bg-red-500', 'bg-orange-500', 'bg-yellow-500', 'bg-green-500', 'bg-green-700'];
+const LABEL_COLORS = ['text-red-600', 'text-orange-600', 'text-yellow-700', 'text-green-600', 'text-green-700'];
+/** Catalog keys of the strength labels, by score */
+const LEVEL_KEYS = ['veryWeak', 'weak', 'fair', 'strong', 'veryStrong'];
+
+/**
+ * @param {Object} props - Component props
+ * @param {string} props.password - Password being typed
+ * @param {string[]} [props.userInputs] - The user's name and email, which count against the score
+ */
+export default function PasswordStrengthMeter({ password, userInputs = [] }) {
+  const { t } = useI18n();
+  if (!password) return null;
+
+  const { score, feedback } = scorePassword(password, { userInputs });
+
+  return (
+    <div className="mt-2 space-y-1" aria-live="polite">
+      <div className="flex gap-1" aria-hidden="true">
+        {[0, 1, 2, 3].map(segment => (
+          <div
+            key={segment}
+            className={`h-1.5 flex-1 rounded-full ${segment < Math.max(score, 1) ? BAR_COLORS[score] : 'bg-gray-200'}`}
+          />
+        ))}
+      </div>
+      <p className={`text-xs font-medium ${LABEL_COLORS[score]}`}>
+        {t('password.strength', { level: t(`password.strengthLevels.${LEVEL_KEYS[score]}`) })}
+      </p>
+      {feedback.length > 0 && (
+        <ul className="text-xs text-gray-600 list-disc list-inside">
+          {feedback.map(message => <li key={message}>{message}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+// SessionTimeoutModal.jsx
+// Countdown shown before the session times out, with the choice to stay signed in
+
+import { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Clock } from 'lucide-react';
+import { useAuth, useI18n } from '../../contexts';
+
+export default function SessionTimeoutModal() {
+  const { sessionWarning, staySignedIn, logout } = useAuth();
+  const { t } = useI18n();
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tick once a second while the warning is up
+  useEffect(() => {
+    if (!sessionWarning) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [sessionWarning]);
+
+  if (!sessionWarning) return null;
+
+  const seconds = Math.max(0, Math.ceil((sessionWarning.expiresAt - now) / 1000));
+  const idle = sessionWarning.reason === 'idle';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[100] p-4">
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        className="bg-white rounded-lg w-full max-w-sm p-6 text-center space-y-4"
+        role="alertdialog"
+        aria-labelledby="session-timeout-title"
+        aria-describedby="session-timeout-description"
+      >
+        <Clock size={32} className="mx-auto text-yellow-600" aria-hidden="true" />
+        <h3 id="session-timeout-title" className="text-lg font-semibold">{t('sessionTimeout.warningTitle')}</h3>
+        <p id="session-timeout-description" className="text-gray-600">
+          {idle ? t('sessionTimeout.idleWarning') : t('sessionTimeout.absoluteWarning')}
+        </p>
+        <p className="text-4xl font-bold tabular-nums" aria-live="polite">
+          {Math.floor(seconds / 60)}:{String(seconds % 60).padStart(2, '0')}
+        </p>
+        <div className="flex gap-2 justify-center">
+          <button
+            onClick={() => logout('Signed out from the timeout warning')}
+            className="px-4 py-2 border rounded-lg hover:bg-gray-50"
+          >
+            {t('sessionTimeout.signOutNow')}
+          </button>
+          {idle && (
+            <button
+              onClick={staySignedIn}
+              className="px-4 py-2 bg-black text-white rounded-lg hover:bg-gray-800"
+              autoFocus
+            >
+              {t('sessionTimeout.staySignedIn')}
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+// SyncStatusIndicator.jsx
+// Header badge showing offline state, queued changes and sync conflicts
+
+import { useState, useRef, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { Cloud, CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+import { useSyncStatus } from '../../hooks/useSyncStatus';
+
+/** Human-readable labels for queued HTTP methods */
+const ACTION_LABELS = { post: 'Create', put: 'Update', patch: 'Update', delete: 'Delete' };
+
+/**
+ * Describes a queued mutation for display
+ * @param {Object} mutation - Queued mutation
+ * @returns {string} Short description
+ */
+const describeMutation = (mutation) => {
+  const resource = mutation.resource.replace(/-/g, ' ');
+  const name = mutation.data?.description || mutation.data?.name || mutation.data?.category || '';
+  return `${ACTION_LABELS[mutation.method] || mutation.method} ${resource}${name ? `: ${name}` : ''}`;
+};
+
+export default function SyncStatusIndicator() {
+  const { online, syncing, pending, conflicts, lastSyncedAt, syncNow, resolveConflict } = useSyncStatus();
+  const [isOpen, setIsOpen] = useState(false);
+  const panelRef = useRef(null);
+
+  // Close the panel when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const queuedCount = pending.length + conflicts.length;
+
+  // Nothing to report while online and fully synced
+  if (online && queuedCount === 0 && !syncing) {
+    return null;
+  }
+
+  let label = `${pending.length} pending sync`;
+  let Icon = Cloud;
+  let tone = 'bg-blue-50 text-blue-700 border-blue-200';
+
+  if (conflicts.length > 0) {
+    label = `${conflicts.length} sync conflict${conflicts.length === 1 ? '' : 's'}`;
+    Icon = AlertTriangle;
+    tone = 'bg-orange-50 text-orange-700 border-orange-200';
+  } else if (syncing) {
+    label = 'Syncing...';
+    Icon = RefreshCw;
+  } else if (!online) {
+    label = queuedCount > 0 ? `Offline · ${pending.length} pending` : 'Offline';
+    Icon = CloudOff;
+    tone = 'bg-gray-100 text-gray-700 border-gray-200';
+  }
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center space-x-2 px-3 py-1 rounded-full border text-sm ${tone}`}
+        aria-expanded={isOpen}
+        aria-label={`Sync status: ${label}`}
+      >
+        <Icon size={14} className={syncing ? 'animate-spin' : ''} aria-hidden="true" />
+        <span>{label}</span>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className="absolute right-0 top-full mt-2 w-80 bg-white rounded-lg shadow-lg border z-50"
+            role="dialog"
+            aria-label="Sync details"
+          >
+            <div className="px-4 py-3 border-b flex items-center justify-between">
+              <div>
+                <div className="font-medium text-sm">{online ? 'Connected' : 'Server unreachable'}</div>
+                <div className="text-xs text-gray-500">
+                  {lastSyncedAt ? `Last synced ${new Date(lastSyncedAt).toLocaleTimeString()}` : 'Changes are saved on this device'}
+                </div>
+              </div>
+              <button
+                onClick={syncNow}
+                disabled={syncing || pending.length === 0}
+                className="flex items-center space-x-1 text-sm px-2 py-1 border rounded hover:bg-gray-50 disabled:opacity-50"
+              >
+                <RefreshCw size={12} aria-hidden="true" />
+                <span>Sync now</span>
+              </button>
+            </div>
+
+            {conflicts.length > 0 && (
+              <div className="px-4 py-3 border-b space-y-3">
+                <div className="text-xs font-medium text-orange-700 uppercase">Needs attention</div>
+                {conflicts.map(mutation => (
+                  <div key={mutation.id} className="text-sm">
+                    <div className="font-medium">{describeMutation(mutation)}</div>
+                    <div className="text-xs text-gray-600 mb-2">{mutation.error}</div>
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => resolveConflict(mutation.id, 'keep-local')}
+                        className="text-xs px-2 py-1 bg-black text-white rounded hover:bg-gray-800"
+                      >
+                        Keep mine
+                      </button>
+                      <button
+                        onClick={() => resolveConflict(mutation.id, 'discard')}
+                        className="text-xs px-2 py-1 border rounded hover:bg-gray-50"
+                      >
+                        Discard mine
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="max-h-60 overflow-y-auto">
+              {pending.length === 0 ? (
+                <div className="px-4 py-3 text-sm text-gray-500">No changes waiting to sync.</div>
+              ) : (
+                pending.map(mutation => (
+                  <div key={mutation.id} className="px-4 py-2 text-sm flex justify-between border-b last:border-b-0">
+                    <span className="truncate">{describeMutation(mutation)}</span>
+                    <span className="text-xs text-gray-400 ml-2 whitespace-nowrap">
+                      {new Date(mutation.createdAt).toLocaleTimeString()}
+                    </span>
+                  </div>
+                ))
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
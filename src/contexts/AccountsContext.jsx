@@ -1,9 +1,14 @@
 // AccountsContext.jsx
-import { createContext, useContext, useState } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { accountsAPI } from '../services/api';
 import { useAuthCheck } from '../hooks/useAuthCheck';
 import { useDataLoader } from '../hooks/useDataLoader';
 import { useErrorHandler } from '../hooks/useErrorHandler';
+import { useAuth } from './AuthContext';
+import { useCurrency } from './CurrencyContext';
+import { useTransactions } from './TransactionsContext';
+import { convertTransferDestination, validateTransfer } from '../utils/transfers';
+import { isClearedIn, readLocalReconciliations, saveLocalReconciliations } from '../utils/accountLedger';
 
 const AccountsContext = createContext();
 
@@ -30,7 +35,16 @@ export const AccountsProvider = ({ children }) => {
   const { requireAuthSilent } = useAuthCheck();
   const { executeAsync, loading, error, clearError } = useDataLoader({ accounts: [] });
   const { handleError } = useErrorHandler();
+  const { user } = useAuth();
+  const { createTransaction, loadTransactions } = useTransactions();
+  const { baseCurrency, rateTable } = useCurrency();
   const [accounts, setAccounts] = useState([]);
+  // Cleared transactions and statement history kept in this browser when the server has no reconciliation
+  const [localReconciliations, setLocalReconciliations] = useState({});
+
+  useEffect(() => {
+    setLocalReconciliations(readLocalReconciliations(user?.id));
+  }, [user?.id]);
 
   /**
    * Loads all accounts from the API
@@ -97,6 +111,114 @@ export const AccountsProvider = ({ children }) => {
       return { id };
     });
     
+    // The server explains why an account in use cannot be deleted
+    if (!result.success && result.originalError?.response?.data?.error) {
+      return { ...result, error: result.originalError.response.data.error };
+    }
+    return result;
+  };
+
+  /**
+   * Finishes a reconciliation: marks the ticked transactions as cleared in the account
+   * Without server support the cleared transactions and statement are kept in this browser.
+   * @param {string|number} id - Account ID
+   * @param {Object} reconciliation - Statement details
+   * @param {string} reconciliation.statementDate - Statement end date
+   * @param {number} reconciliation.statementBalance - Ending balance on the statement
+   * @param {Array<number|string>} reconciliation.transactionIds - Transactions to mark as cleared
+   * @returns {Promise<Object>} Result with the reconciliation record and whether it was stored locally
+   */
+  const reconcileAccount = async (id, { statementDate, statementBalance, transactionIds }) => {
+    requireAuthSilent();
+
+    const result = await executeAsync(async () => {
+      const response = await accountsAPI.reconcile(id, { statementDate, statementBalance, transactionIds });
+      if (response) {
+        setAccounts(prev => prev.map(acc => (String(acc.id) === String(id) ? response.account : acc)));
+        await loadTransactions();
+        return { reconciliation: response.reconciliation, local: false };
+      }
+
+      const stored = readLocalReconciliations(user?.id);
+      const entry = stored[id] || { clearedIds: [], reconciliations: [] };
+      const reconciliation = {
+        statementDate: new Date(statementDate || Date.now()).toISOString(),
+        statementBalance: Number(statementBalance),
+        clearedCount: transactionIds.length,
+        reconciledAt: new Date().toISOString()
+      };
+      const next = {
+        ...stored,
+        [id]: {
+          clearedIds: [...new Set([...entry.clearedIds, ...transactionIds.map(String)])],
+          reconciliations: [...entry.reconciliations, reconciliation]
+        }
+      };
+      saveLocalReconciliations(user?.id, next);
+      setLocalReconciliations(next);
+      return { reconciliation, local: true };
+    }, { showLoading: false });
+
+    if (!result.success && result.originalError?.response?.data?.error) {
+      return { ...result, error: result.originalError.response.data.error };
+    }
+    return result;
+  };
+
+  /**
+   * Whether a transaction has been cleared in an account, on the server or in this browser
+   * @param {Object} transaction - Transaction
+   * @param {string|number} accountId - Account ID
+   * @returns {boolean} True when cleared
+   */
+  const isTransactionCleared = useCallback((transaction, accountId) =>
+    isClearedIn(transaction, accountId) ||
+    (localReconciliations[accountId]?.clearedIds || []).includes(String(transaction.id)),
+  [localReconciliations]);
+
+  /**
+   * Statements an account has been reconciled against, oldest first
+   * @param {string|number} accountId - Account ID
+   * @returns {Array<Object>} Reconciliation records
+   */
+  const getReconciliationHistory = (accountId) => {
+    const account = accounts.find(acc => String(acc.id) === String(accountId));
+    return account?.reconciliations || localReconciliations[accountId]?.reconciliations || [];
+  };
+
+  /**
+   * Moves money from one account to another as a single transfer transaction
+   * Between currencies the destination's amount is converted now and saved with the transfer.
+   * Both balances change on the server, so accounts are reloaded afterwards.
+   * @param {Object} transfer - Transfer details
+   * @param {string|number} transfer.fromAccountId - Account the money leaves
+   * @param {string|number} transfer.toAccountId - Account the money goes to
+   * @param {number} transfer.amount - Amount in the source account's currency
+   * @param {string} [transfer.date] - Transfer date
+   * @param {string} [transfer.description] - Description
+   * @returns {Promise<Object>} Result with success and the created transfer, or an error
+   */
+  const transferBetweenAccounts = async ({ fromAccountId, toAccountId, amount, date, description }) => {
+    requireAuthSilent();
+
+    const invalid = validateTransfer({ accountId: fromAccountId, toAccountId });
+    if (invalid) return { success: false, error: invalid };
+
+    const source = accounts.find(acc => String(acc.id) === String(fromAccountId));
+    const destination = accounts.find(acc => String(acc.id) === String(toAccountId));
+    const { transfer, error: conversionError } = convertTransferDestination({
+      type: 'transfer',
+      amount: Number(amount),
+      accountId: fromAccountId,
+      toAccountId,
+      ...(source?.currency && { currency: source.currency }),
+      ...(date && { date }),
+      ...(description && { description })
+    }, source?.currency || baseCurrency, destination?.currency || baseCurrency, rateTable);
+    if (conversionError) return { success: false, error: conversionError };
+
+    const result = await createTransaction(transfer);
+    if (result?.success) await loadAccounts();
     return result;
   };
 
@@ -128,8 +250,12 @@ export const AccountsProvider = ({ children }) => {
     createAccount,
     updateAccount,
     deleteAccount,
+    transferBetweenAccounts,
+    reconcileAccount,
     getAccountById,
-    getAccountBalance
+    getAccountBalance,
+    isTransactionCleared,
+    getReconciliationHistory
   };
 
   return (
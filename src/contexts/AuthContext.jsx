@@ -1,11 +1,42 @@
 // AuthContext.jsx
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
 import { authAPI } from '../services/api';
+import { offlineSync } from '../services/offlineSync';
+import { authSync } from '../services/authSync';
+import { AUTH_SESSION_KEY, tokenStorage } from '../services/tokenStorage';
+import { readTrustedDevice, saveTrustedDevice } from '../utils/twoFactor';
+import { describeDevice } from '../utils/deviceInfo';
+import {
+  getSessionExpiry,
+  readSessionSettings,
+  saveSessionSettings,
+  SESSION_WARNING_MS,
+  validateSessionSettings
+} from '../utils/sessionTimeout';
 
 const AuthContext = createContext();
 
-// Session timeout set to 24 hours (in milliseconds)
-const SESSION_TIMEOUT = 24 * 60 * 60 * 1000;
+/** Interactions that count as activity for the idle timeout */
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart'];
+
+/** Least time between two recorded activities, so mouse movement is not written on every event */
+const ACTIVITY_THROTTLE_MS = 15 * 1000;
+
+/**
+ * Message of a failed auth request; the API answers with `message`, the mock backend with `error`
+ * @private
+ */
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.error || error.message || fallback;
+
+/**
+ * Sign-in and last-activity times shared by every tab
+ * @private
+ */
+const readSessionTimes = () => ({
+  loginTime: Number(localStorage.getItem('loginTime')) || null,
+  lastActivity: Number(localStorage.getItem('lastActivity')) || null
+});
 
 /**
  * Custom hook to access authentication context
@@ -22,6 +53,8 @@ export const useAuth = () => {
 
 /**
  * Provider component that manages authentication state and session management
+ * Sign-in, sign-out and activity are shared with other open tabs through authSync, so signing out
+ * in one tab signs out all of them and activity in any tab keeps the others from timing out.
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
  * @returns {React.ReactElement} Authentication context provider
@@ -30,97 +63,70 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated,setIsAuthenticated] = useState(false);
+  // Server session this browser signed in as, so session lists can mark "this device"
+  const [sessionId, setSessionId] = useState(() => tokenStorage.getSession()?.sessionId ?? null);
+  // Sign-in waiting for its second step: { challengeToken, email, expiresAt, methods }
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  // Idle and absolute timeouts of the signed-in user
+  const [sessionSettings, setSessionSettings] = useState(() => readSessionSettings());
+  // Timeout about to end the session: { expiresAt, reason: 'idle'|'absolute' }
+  const [sessionWarning, setSessionWarning] = useState(null);
+  const sessionWarningRef = useRef(null);
+  const lastActivityWriteRef = useRef(0);
 
-  /**
-   * Checks if session has timed out based on login time and last activity
-   * @returns {boolean} True if session has timed out
-   */
-  const checkSessionTimeout = () => {
-    const loginTime = localStorage.getItem('loginTime');
-    const lastActivity = localStorage.getItem('lastActivity');
-    
-    if (loginTime && lastActivity) {
-      const timeSinceLogin = Date.now() - parseInt(loginTime);
-      const timeSinceActivity = Date.now() - parseInt(lastActivity);
-      
-      // Log out if either total session time or idle time exceeds timeout
-      if (timeSinceLogin > SESSION_TIMEOUT || timeSinceActivity > SESSION_TIMEOUT) {
-        logout('Session timeout');
-        return true;
-      }
-    }
-    return false;
-  };
-
-  /**
-   * Updates the last activity timestamp in localStorage
-   */
-  const updateLastActivity = () => {
-    localStorage.setItem('lastActivity', Date.now().toString());
-  };
-
-  /**
-   * Sets up cleanup handler for when the window/tab is closed
-   * @returns {Function} Cleanup function to remove event listener
-   */
-  const setupBeforeUnload = () => {
-    const handleBeforeUnload = () => {
-      localStorage.removeItem('token');
-      localStorage.removeItem('refreshToken');
-    };
-    window.addEventListener('beforeunload', handleBeforeUnload);
-    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
-  };
-
-  /**
-   * Sets up activity tracking for user interactions to detect idle time
-   * @returns {Function} Cleanup function to remove event listeners
-   */
-  const setupActivityTracking = () => {
-    const events = ['mousedown', 'mousemove', 'keypress', 'scroll', 'touchstart'];
-    const updateActivity = () => updateLastActivity();
-    
-    events.forEach(event => {
-      document.addEventListener(event, updateActivity);
-    });
-
-    return () => {
-      events.forEach(event => {
-        document.removeEventListener(event, updateActivity);
-      });
-    };
-  };
+  useEffect(() => {
+    sessionWarningRef.current = sessionWarning;
+  }, [sessionWarning]);
 
   /**
-   * Sets up interval to periodically check for session timeout
-   * @returns {Function} Cleanup function to clear interval
+   * Records user activity for the idle timeout and tells other tabs
+   * Ignored while the timeout warning is showing, so only "stay signed in" keeps the session.
+   * @param {Object} [options] - Activity options
+   * @param {boolean} [options.force] - Record even while throttled or warning
    */
-  const setupSessionChecker = () => {
-    const interval = setInterval(() => {
-      checkSessionTimeout();
-    }, 60000); // Check every minute
-    return () => clearInterval(interval);
-  };
+  const updateLastActivity = useCallback(({ force = false } = {}) => {
+    if (sessionWarningRef.current && !force) return;
+    const now = Date.now();
+    if (!force && now - lastActivityWriteRef.current < ACTIVITY_THROTTLE_MS) return;
+    lastActivityWriteRef.current = now;
+    localStorage.setItem('lastActivity', now.toString());
+    authSync.post('activity', { time: now });
+  }, []);
 
   /**
    * Logs out the user and clears all authentication data
    * @param {string} reason - Reason for logout (for logging purposes)
+   * @param {Object} [options] - Logout options
+   * @param {boolean} [options.fromOtherTab] - Another tab already signed out: skip the server call and
+   *   the broadcast
    */
-  const logout = (reason = 'User initiated') => {
+  const logout = useCallback((reason = 'User initiated', { fromOtherTab = false } = {}) => {
     console.log(` Auth - Logging out: ${reason}`);
+
+    if (!fromOtherTab) {
+      // End the session on the server too, which also clears the refresh-token cookie; the page
+      // reloads either way, so failures are only logged
+      if (tokenStorage.getSession()) {
+        authAPI.logout(tokenStorage.getBodyRefreshToken()).catch(error => console.warn('Server logout failed', error));
+      }
+      authSync.post('logout', { reason });
+    }
     
     // Clear all auth-related storage
-    localStorage.removeItem('token');
-    localStorage.removeItem('refreshToken');
-    localStorage.removeItem('user');
+    tokenStorage.clear();
     localStorage.removeItem('loginTime');
     localStorage.removeItem('lastActivity');
     
     // Clear session storage flags
     sessionStorage.removeItem('visitedLandingPage');
+
+    // Drop cached responses and unsynced changes so they never leak into another account
+    offlineSync.clear();
     
     // Reset state
     setUser(null);
+    setSessionId(null);
+    setSessionWarning(null);
     setIsAuthenticated(false);
     setLoading(false); 
     
@@ -129,42 +135,205 @@ export const AuthProvider = ({ children }) => {
       // Force full page reload to reset all state
       window.location.href = '/';
     }, 100);
-  };
+  }, []);
 
-  // Effect for initial authentication check and session setup
+  // Effect for initial authentication check: the access token is only held in memory, so a session
+  // left by an earlier page load (or a legacy localStorage one) is restored through a refresh
   useEffect(() => {
-    const token = localStorage.getItem('token');
-    const userData = localStorage.getItem('user');
-    
-    if (token && userData) {
-      if (checkSessionTimeout()) return;
-      
-      // Restore user session from localStorage
-      setUser(JSON.parse(userData));
-      setIsAuthenticated(true);
-      updateLastActivity();
-      
-      // Set up all session management handlers
-      const cleanupBeforeUnload = setupBeforeUnload();
-      const cleanupActivityTracking = setupActivityTracking();
-      const cleanupSessionChecker = setupSessionChecker();
+    let cancelled = false;
 
-      setLoading(false);
-      
-      // Cleanup all event listeners on unmount
-      return () => {
-        cleanupBeforeUnload();
-        cleanupActivityTracking();
-        cleanupSessionChecker();
-      };
-    } else {
-      setLoading(false);
-      setIsAuthenticated(false)
-    }
+    const restoreSession = async () => {
+      const legacyUser = tokenStorage.migrateLegacyTokens();
+      const session = tokenStorage.getSession();
+      if (!session) {
+        setIsAuthenticated(false);
+        setLoading(false);
+        return;
+      }
+
+      const { expiresAt, reason } = getSessionExpiry(readSessionTimes(), readSessionSettings(session.userId));
+      if (expiresAt <= Date.now()) {
+        logout(reason === 'idle' ? 'Idle timeout' : 'Session timeout');
+        return;
+      }
+
+      try {
+        const responseData = await tokenStorage.refresh();
+        const restoredUser = responseData.user || legacyUser || await authAPI.getCurrentUser();
+        if (!restoredUser) {
+          throw new Error('The server did not return the signed-in user');
+        }
+        if (cancelled) return;
+        setSessionId(tokenStorage.getSession()?.sessionId ?? null);
+        setUser(restoredUser);
+        setIsAuthenticated(true);
+        updateLastActivity({ force: true });
+      } catch (error) {
+        console.warn('Could not restore the session', error);
+        if (!cancelled) setIsAuthenticated(false);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    restoreSession();
+    return () => {
+      cancelled = true;
+    };
+  }, [logout, updateLastActivity]);
+
+  // The signed-in user's timeout settings
+  useEffect(() => {
+    setSessionSettings(readSessionSettings(user?.id));
+  }, [user?.id]);
+
+  // Timeouts: wakes at the warning and at the deadline instead of polling, and re-reads the shared
+  // clocks each time because activity in another tab may have moved the deadline
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+    let timer = null;
+
+    const check = () => {
+      clearTimeout(timer);
+      const { expiresAt, reason } = getSessionExpiry(readSessionTimes(), sessionSettings);
+      const remaining = expiresAt - Date.now();
+      if (remaining <= 0) {
+        logout(reason === 'idle' ? 'Idle timeout' : 'Session timeout');
+        return;
+      }
+      if (remaining <= SESSION_WARNING_MS) {
+        setSessionWarning(prev => (prev?.expiresAt === expiresAt ? prev : { expiresAt, reason }));
+        timer = setTimeout(check, remaining);
+      } else {
+        setSessionWarning(null);
+        // setTimeout cannot wait longer than about 24.8 days
+        timer = setTimeout(check, Math.min(remaining - SESSION_WARNING_MS, 2 ** 31 - 1));
+      }
+    };
+
+    const handleActivity = () => updateLastActivity();
+    // Background tabs may run timers late, so check again when the tab is shown
+    const handleVisibility = () => {
+      if (document.visibilityState === 'visible') check();
+    };
+    const unsubscribe = authSync.subscribe(message => {
+      if (message.type === 'activity') check();
+    });
+
+    check();
+    ACTIVITY_EVENTS.forEach(event => document.addEventListener(event, handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+      ACTIVITY_EVENTS.forEach(event => document.removeEventListener(event, handleActivity));
+      document.removeEventListener('visibilitychange', handleVisibility);
+    };
+  }, [isAuthenticated, sessionSettings, logout, updateLastActivity]);
+
+  // Sign-in, sign-out and settings changes made in other tabs
+  useEffect(() => {
+    const unsubscribe = authSync.subscribe(message => {
+      if (message.type === 'login') {
+        if (isAuthenticated && String(message.user?.id) !== String(user?.id)) {
+          // Another account now owns the stored tokens; start over with it
+          window.location.reload();
+          return;
+        }
+        // This tab has no access token for the new session yet; the refresh-token cookie gets one
+        tokenStorage.refresh()
+          .then(() => {
+            setTwoFactorChallenge(null);
+            setSessionId(message.sessionId || null);
+            setUser(message.user);
+            setIsAuthenticated(true);
+          })
+          .catch(error => console.warn('Could not join the session signed in from another tab', error));
+      } else if (message.type === 'logout' && isAuthenticated) {
+        logout(`${message.reason || 'Signed out'} (another tab)`, { fromOtherTab: true });
+      } else if (message.type === 'user' && isAuthenticated && String(message.user?.id) === String(user?.id)) {
+        setUser(message.user);
+      } else if (message.type === 'settings' && isAuthenticated) {
+        setSessionSettings(readSessionSettings(user?.id));
+      }
+    });
+
+    // Session cleared without a message, e.g. from the developer settings
+    const handleStorage = (event) => {
+      if (isAuthenticated && (event.key === null || (event.key === AUTH_SESSION_KEY && event.newValue === null))) {
+        logout('Signed out in another tab', { fromOtherTab: true });
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, [isAuthenticated, user?.id, logout]);
+
+  /**
+   * Keeps the session going from the timeout warning
+   * Only the idle timeout can be extended; at the absolute limit the user has to sign in again.
+   */
+  const staySignedIn = () => {
+    updateLastActivity({ force: true });
+    if (sessionWarning?.reason === 'idle') setSessionWarning(null);
+  };
+
+  /**
+   * Changes the signed-in user's timeouts in this browser, including its other tabs
+   * @param {Object} changes - idleMinutes and/or absoluteHours
+   * @returns {{success: boolean, error?: string}} Result
+   */
+  const updateSessionSettings = (changes) => {
+    const next = { ...sessionSettings, ...changes };
+    const error = validateSessionSettings(next);
+    if (error) return { success: false, error };
+    const settings = { idleMinutes: Number(next.idleMinutes), absoluteHours: Number(next.absoluteHours) };
+    saveSessionSettings(user?.id, settings);
+    setSessionSettings(settings);
+    authSync.post('settings', { settings });
+    return { success: true };
+  };
+
+  /**
+   * Replaces the signed-in user's details after a change such as a verified email, in every tab
+   * Ignored when the details belong to another account than the signed-in one.
+   * @param {Object} userData - Updated user from the server
+   */
+  const updateUser = useCallback((userData) => {
+    if (!userData) return;
+    setUser(prev => (prev && String(prev.id) === String(userData.id) ? userData : prev));
+    authSync.post('user', { user: userData });
   }, []);
 
+  /**
+   * Stores the tokens of a completed sign-in and starts session management
+   * @param {Object} responseData - Authentication response with accessToken, user and, from servers
+   *   without cookie support, refreshToken
+   * @throws {Error} If the response has no access token
+   */
+  const startSession = (responseData) => {
+    const { sessionId: newSessionId, user: userData } = responseData;
+
+    tokenStorage.setSession(responseData, { signIn: true });
+    localStorage.setItem('loginTime', Date.now().toString());
+    localStorage.setItem('lastActivity', Date.now().toString());
+    authSync.post('login', { user: userData, sessionId: newSessionId || null });
+
+    setTwoFactorChallenge(null);
+    setSessionId(newSessionId || null);
+    setUser(userData);
+    setIsAuthenticated(true);
+  };
+
   /**
    * Authenticates user with email and password
+   * When the account has two-factor authentication on and this device is not remembered, no
+   * session starts yet: the result has `twoFactorRequired` and the challenge is kept in
+   * `twoFactorChallenge` for verifyTwoFactor or loginWithRecoveryCode.
    * @param {string} email - User email
    * @param {string} password - User password
    * @returns {Promise<Object>} Result object with success status and data/error
@@ -172,44 +341,88 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       setLoading(true);
-      const responseData = await authAPI.login(email, password);
-      
-      if (!responseData.accessToken) {
-        throw new Error('No access token received');
+      const responseData = await authAPI.login(email, password, readTrustedDevice(email));
+
+      if (responseData.twoFactorRequired) {
+        setTwoFactorChallenge({
+          challengeToken: responseData.challengeToken,
+          email,
+          expiresAt: responseData.expiresAt,
+          methods: responseData.methods || ['totp', 'recovery_code']
+        });
+        return { success: true, twoFactorRequired: true, data: responseData };
       }
-      
-      const { accessToken, refreshToken, user: userData } = responseData;
-      
-      // Store auth data in localStorage
-      localStorage.setItem('token', accessToken);
-      if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
-      localStorage.setItem('user', JSON.stringify(userData));
-      localStorage.setItem('loginTime', Date.now().toString());
-      localStorage.setItem('lastActivity', Date.now().toString());
-      
-      // Initialize session management
-      setupBeforeUnload();
-      setupActivityTracking();
-      setupSessionChecker();
-      
-      setUser(userData);
-      setIsAuthenticated(true); 
-      setLoading(false); 
-      
+
+      startSession(responseData);
       return { success: true, data: responseData };
     } catch (error) {
-      setLoading(false); 
       setIsAuthenticated(false); 
 
       return { 
         success: false, 
-        error: error.response?.data?.message || error.message || 'Login failed' 
+        error: getErrorMessage(error, 'Login failed')
       };
     } finally {
       setLoading(false);
     }
   };
 
+  /**
+   * Completes a pending two-factor sign-in with an authenticator code
+   * @param {string} code - Six-digit code
+   * @param {Object} [options] - Verification options
+   * @param {boolean} [options.rememberDevice] - Skip the second step on this browser for a while
+   * @returns {Promise<Object>} Result object with success status and data/error
+   */
+  const verifyTwoFactor = async (code, { rememberDevice = false } = {}) => {
+    if (!twoFactorChallenge) {
+      return { success: false, error: 'Sign in again to continue' };
+    }
+    try {
+      const responseData = await authAPI.verifyTwoFactor(twoFactorChallenge.challengeToken, code, {
+        rememberDevice,
+        deviceLabel: describeDevice()
+      });
+      // Not ticking "remember" also forgets a token this browser held from before
+      saveTrustedDevice(twoFactorChallenge.email, responseData.deviceToken || null);
+      startSession(responseData);
+      return { success: true, data: responseData };
+    } catch (error) {
+      return { success: false, error: getErrorMessage(error, 'Verification failed') };
+    }
+  };
+
+  /**
+   * Completes a pending two-factor sign-in with a recovery code, asking for the password again
+   * @param {string} password - Account password
+   * @param {string} recoveryCode - Single-use recovery code
+   * @returns {Promise<Object>} Result object with success status and data/error
+   */
+  const loginWithRecoveryCode = async (password, recoveryCode) => {
+    if (!twoFactorChallenge) {
+      return { success: false, error: 'Sign in again to continue' };
+    }
+    try {
+      const responseData = await authAPI.loginWithRecoveryCode(twoFactorChallenge.challengeToken, password, recoveryCode);
+      startSession(responseData);
+      return { success: true, data: responseData };
+    } catch (error) {
+      return { success: false, error: getErrorMessage(error, 'Recovery failed') };
+    }
+  };
+
+  /**
+   * Abandons a pending two-factor sign-in
+   */
+  const cancelTwoFactor = () => setTwoFactorChallenge(null);
+
+  /**
+   * Whether a session from the sessions list is this browser's
+   * @param {Object} session - Session with id and, from servers that mark it, `current`
+   * @returns {boolean} True for this browser's session
+   */
+  const isCurrentSession = (session) => Boolean(session?.current) || (Boolean(sessionId) && session?.id === sessionId);
+
   /**
    * Registers a new user
    * @param {string} name - User's name
@@ -246,6 +459,17 @@ export const AuthProvider = ({ children }) => {
     loading,
     isAuthenticated,
     updateLastActivity,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    loginWithRecoveryCode,
+    cancelTwoFactor,
+    sessionId,
+    isCurrentSession,
+    sessionSettings,
+    updateSessionSettings,
+    updateUser,
+    sessionWarning,
+    staySignedIn,
   };
 
   return (
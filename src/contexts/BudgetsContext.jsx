@@ -3,6 +3,19 @@ import { createContext, useContext, useState, useCallback, useEffect, useRef } f
 import { budgetsAPI } from '../services/api';
 import { useAuth } from '../contexts/AuthContext'; // Changed to useAuth directly
 import { useDataLoader } from '../hooks/useDataLoader';
+import {
+  DEFAULT_ENVELOPE_SETTINGS,
+  getTransferKind,
+  readLocalEnvelopeBudget,
+  saveLocalEnvelopeBudget,
+  validateEnvelopeSettings,
+  validateEnvelopeTransfer
+} from '../utils/envelopeBudget';
+import {
+  readLocalBudgetHistory,
+  saveLocalBudgetHistory,
+  summarizeBudgetPerformance
+} from '../utils/budgetHistory';
 
 const BudgetsContext = createContext();
 
@@ -21,16 +34,26 @@ export const useBudgets = () => {
 
 /**
  * Provider component that manages budgets state and operations
+ * Also holds the optional envelope (zero-based) budget: its settings and the transfer history
+ * that envelope balances are built from. Both live on the server when it supports envelopes,
+ * otherwise in localStorage per user.
+ * Budget history (snapshots of closed periods) follows the same rule: the server snapshots periods
+ * as they close, and without it the budget performance page snapshots them into localStorage.
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
  * @returns {React.ReactElement} Budgets context provider
  */
 export const BudgetsProvider = ({ children }) => {
-  const { isAuthenticated, loading: authLoading } = useAuth();
+  const { user, isAuthenticated, loading: authLoading } = useAuth();
   const { executeAsync, loading, error, clearError } = useDataLoader({ budgets: [] });
   const [budgets, setBudgets] = useState([]);
   const [summary, setSummary] = useState(null);
   const [recommendations, setRecommendations] = useState([]);
+  const [envelopeSettings, setEnvelopeSettings] = useState(DEFAULT_ENVELOPE_SETTINGS);
+  const [envelopeTransfers, setEnvelopeTransfers] = useState([]);
+  const [isEnvelopeManaged, setIsEnvelopeManaged] = useState(false);
+  const [budgetHistory, setBudgetHistory] = useState([]);
+  const [isHistoryManaged, setIsHistoryManaged] = useState(false);
   const budgetCheckCache = useRef({});
   const [isInitialized, setIsInitialized] = useState(false);
 
@@ -45,6 +68,8 @@ export const BudgetsProvider = ({ children }) => {
           await loadBudgets();
           await loadBudgetSummary();
           await loadRecommendations();
+          await loadEnvelopeBudget();
+          await loadBudgetHistory();
           setIsInitialized(true);
         } catch (error) {
           console.error('Failed to initialize budget data:', error);
@@ -56,6 +81,11 @@ export const BudgetsProvider = ({ children }) => {
       setBudgets([]);
       setSummary(null);
       setRecommendations([]);
+      setEnvelopeSettings(DEFAULT_ENVELOPE_SETTINGS);
+      setEnvelopeTransfers([]);
+      setIsEnvelopeManaged(false);
+      setBudgetHistory([]);
+      setIsHistoryManaged(false);
       setIsInitialized(false);
     }
   }, [isReady, isInitialized, isAuthenticated, authLoading]);
@@ -120,6 +150,143 @@ export const BudgetsProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Loads the envelope settings and transfers, falling back to the ones saved in this browser
+   * @returns {Promise<Object>} Settings and transfers
+   */
+  const loadEnvelopeBudget = async () => {
+    try {
+      const data = await budgetsAPI.getEnvelopeBudget();
+      const managed = data !== null;
+      const loaded = managed
+        ? { settings: { ...DEFAULT_ENVELOPE_SETTINGS, ...data.settings }, transfers: data.transfers || [] }
+        : readLocalEnvelopeBudget(user?.id);
+      setIsEnvelopeManaged(managed);
+      setEnvelopeSettings(loaded.settings);
+      setEnvelopeTransfers(loaded.transfers);
+      return loaded;
+    } catch (err) {
+      console.warn('Failed to load envelope budget', err);
+      return { settings: DEFAULT_ENVELOPE_SETTINGS, transfers: [] };
+    }
+  };
+
+  /**
+   * Loads the snapshots of closed budget periods, falling back to the ones saved in this browser
+   * @returns {Promise<Array>} Snapshots
+   */
+  const loadBudgetHistory = async () => {
+    try {
+      const data = await budgetsAPI.getHistory();
+      const managed = data !== null;
+      const loaded = managed ? data : readLocalBudgetHistory(user?.id);
+      setIsHistoryManaged(managed);
+      setBudgetHistory(loaded);
+      return loaded;
+    } catch (err) {
+      console.warn('Failed to load budget history', err);
+      return [];
+    }
+  };
+
+  /**
+   * Saves snapshots of closed periods in this browser when the server does not keep history
+   * Snapshots are computed by the caller with snapshotClosedPeriods, which needs transactions
+   * and categories. Periods already in the stored history are skipped, so a caller that ran
+   * before the history loaded cannot record a period twice.
+   * @param {Array} snapshots - New snapshots
+   * @returns {Array} Snapshots saved (none when the server keeps history)
+   */
+  const addLocalBudgetSnapshots = useCallback((snapshots) => {
+    if (isHistoryManaged || snapshots.length === 0) return [];
+    const stored = readLocalBudgetHistory(user?.id);
+    const periodKey = (snapshot) => `${snapshot.budgetId}_${snapshot.periodStart}`;
+    const known = new Set(stored.map(periodKey));
+    const stamp = new Date().toISOString();
+    const saved = snapshots
+      .filter(snapshot => !known.has(periodKey(snapshot)))
+      .map((snapshot, index) => ({
+        ...snapshot,
+        id: `local-${Date.now()}-${index}`,
+        createdAt: stamp
+      }));
+    if (saved.length === 0) return [];
+
+    const next = [...stored, ...saved];
+    saveLocalBudgetHistory(user?.id, next);
+    setBudgetHistory(next);
+    return saved;
+  }, [isHistoryManaged, user?.id]);
+
+  /**
+   * Runs an envelope change against the API or the local store with a readable error message
+   * @private
+   */
+  const runEnvelopeChange = (change) => executeAsync(async () => {
+    try {
+      return await change();
+    } catch (err) {
+      throw new Error(err.response?.data?.error || err.message);
+    }
+  }, { showLoading: false });
+
+  /**
+   * Turns envelope budgeting on or off, or changes its start month and starting balance
+   * Transfers are kept when it is turned off, so turning it back on restores the envelopes.
+   * @param {Object} changes - enabled, startMonth and/or startingBalance
+   * @returns {Promise<Object>} Result with the saved settings
+   */
+  const updateEnvelopeSettings = async (changes) => {
+    const next = { ...envelopeSettings, ...changes };
+    const validation = validateEnvelopeSettings(next);
+    if (validation) return { success: false, error: validation };
+
+    return runEnvelopeChange(async () => {
+      if (!isEnvelopeManaged) {
+        saveLocalEnvelopeBudget(user?.id, { settings: next, transfers: envelopeTransfers });
+        setEnvelopeSettings(next);
+        return next;
+      }
+      const saved = await budgetsAPI.updateEnvelopeSettings(changes);
+      setEnvelopeSettings({ ...DEFAULT_ENVELOPE_SETTINGS, ...saved });
+      return saved;
+    });
+  };
+
+  /**
+   * Records envelope transfers: assignments, moves between envelopes and overspending covers
+   * Balance checks need transactions and categories, so callers check with checkEnvelopeTransfer
+   * first; the server checks again when it stores the transfers.
+   * @param {Array} transfers - Transfers with month, fromCategory, toCategory, amount and note
+   * @returns {Promise<Object>} Result with the saved transfers
+   */
+  const addEnvelopeTransfers = async (transfers) => {
+    const validation = transfers.map(validateEnvelopeTransfer).find(Boolean);
+    if (validation) return { success: false, error: validation };
+
+    return runEnvelopeChange(async () => {
+      if (!isEnvelopeManaged) {
+        const stamp = new Date().toISOString();
+        const saved = transfers.map((transfer, index) => ({
+          ...transfer,
+          fromCategory: transfer.fromCategory || null,
+          toCategory: transfer.toCategory || null,
+          kind: getTransferKind(transfer),
+          id: `local-${Date.now()}-${index}`,
+          createdAt: stamp,
+          updatedAt: stamp
+        }));
+        const next = [...envelopeTransfers, ...saved];
+        saveLocalEnvelopeBudget(user?.id, { settings: envelopeSettings, transfers: next });
+        setEnvelopeTransfers(next);
+        return saved;
+      }
+      const saved = await budgetsAPI.createEnvelopeTransfers(transfers);
+      setEnvelopeTransfers(prev => [...prev, ...saved]);
+      return saved;
+    });
+  };
+
   /**
    * Creates a new budget
    * @param {Object} budgetData - Budget creation data
@@ -216,8 +383,9 @@ export const BudgetsProvider = ({ children }) => {
 
   /**
    * Checks if transaction would exceed budget limit
+   * The transaction's date decides which budget period it is counted in.
    */
-  const checkBudgetLimit = async (category, amount) => {
+  const checkBudgetLimit = async (category, amount, date) => {
     if (!isAuthenticated || authLoading) {
       console.warn('Budget limit check: User not authenticated');
       return { 
@@ -228,7 +396,7 @@ export const BudgetsProvider = ({ children }) => {
     }
   
     // Create cache key
-    const cacheKey = `${category}-${amount}`;
+    const cacheKey = `${category}-${amount}-${date || ''}`;
     
     // Check cache (5 second cache)
     const cached = budgetCheckCache.current[cacheKey];
@@ -237,7 +405,7 @@ export const BudgetsProvider = ({ children }) => {
     }
     
     try {
-      const result = await budgetsAPI.checkLimit(category, amount);
+      const result = await budgetsAPI.checkLimit(category, amount, date);
       
       // Ensure consistent response structure
       const normalizedResult = {
@@ -249,9 +417,11 @@ export const BudgetsProvider = ({ children }) => {
         wouldBeTotal: result.wouldBeTotal,
         overspendAmount: result.overspendAmount,
         suggestion: result.suggestion,
+        periodStart: result.periodStart,
+        periodEnd: result.periodEnd,
         details: result.details || {
           budgetCategory: result.budget?.category || category,
-          budgetLimit: result.budget?.limit,
+          budgetLimit: result.budget?.effectiveLimit ?? result.budget?.limit,
           transactionAmount: Math.abs(amount)
         }
       };
@@ -284,15 +454,28 @@ export const BudgetsProvider = ({ children }) => {
    * @returns {Array} Array of budget objects with progress data
    */
   const getBudgetProgress = useCallback(() => {
-    return budgets.map(budget => ({
-      ...budget,
-      progress: budget.limit > 0 ? (budget.spent / budget.limit) * 100 : 0,
-      remaining: Math.max(0, budget.limit - budget.spent),
-      status: budget.spent > budget.limit ? 'over' : 
-              budget.spent > budget.limit * 0.8 ? 'warning' : 'good'
-    }));
+    return budgets.map(budget => {
+      // Spent covers the current budget period; its limit includes last period's rollover
+      const limit = budget.effectiveLimit ?? budget.limit;
+      return {
+        ...budget,
+        progress: limit > 0 ? (budget.spent / limit) * 100 : 0,
+        remaining: Math.max(0, limit - budget.spent),
+        status: budget.spent > limit ? 'over' :
+                budget.spent > limit * 0.8 ? 'warning' : 'good'
+      };
+    });
   }, [budgets]);
 
+  /**
+   * Limit changes suggested by each budget's closed periods
+   * Unlike the server's recommendations, these look at how each existing budget actually fared.
+   * @returns {Array} Performance entries that carry a suggestion
+   */
+  const getLimitSuggestions = useCallback(() => {
+    return summarizeBudgetPerformance(budgetHistory, budgets).filter(entry => entry.suggestion);
+  }, [budgetHistory, budgets]);
+
   /**
    * Applies a budget recommendation
    */
@@ -354,11 +537,16 @@ export const BudgetsProvider = ({ children }) => {
     budgets,
     summary,
     recommendations,
+    envelopeSettings,
+    envelopeTransfers,
+    budgetHistory,
     
     // State
     loading: loading || authLoading,
     error,
     clearError,
+    isEnvelopeManaged,
+    isHistoryManaged,
     
     // Actions
     loadBudgets,
@@ -369,14 +557,20 @@ export const BudgetsProvider = ({ children }) => {
     checkBudgetLimit,
     applyRecommendation,
     syncBudgets,
+    updateEnvelopeSettings,
+    addEnvelopeTransfers,
+    addLocalBudgetSnapshots,
     
     // Getters
     getBudgetByCategory,
     getBudgetProgress,
+    getLimitSuggestions,
     
     // Loaders
     loadBudgetSummary,
-    loadRecommendations
+    loadRecommendations,
+    loadEnvelopeBudget,
+    loadBudgetHistory
   };
 
   return (
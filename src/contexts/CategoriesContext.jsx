@@ -0,0 +1,274 @@
+// CategoriesContext.jsx
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { categoriesAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+import { useTransactions } from './TransactionsContext';
+import { useBudgets } from './BudgetsContext';
+import { useDataLoader } from '../hooks/useDataLoader';
+import {
+  DEFAULT_CATEGORIES,
+  CATEGORY_COLORS,
+  findCategoryByName,
+  buildCategoryTree,
+  getCategoryOptions,
+  getCategoryFamily,
+  getRootCategoryName,
+  validateCategory
+} from '../utils/categoryUtils';
+import { retagLocalCategoryReferences } from '../utils/categoryReferences';
+
+const CategoriesContext = createContext();
+
+/**
+ * Built-in list used until categories load, or when the server has no categories endpoint
+ * @private
+ */
+const FALLBACK_CATEGORIES = DEFAULT_CATEGORIES.map(category => ({
+  ...category,
+  id: `default-${category.name}`,
+  parentId: null,
+  archived: false
+}));
+
+/**
+ * Custom hook to access the categories context
+ * @returns {Object} Categories context value
+ * @throws {Error} If used outside of CategoriesProvider
+ */
+export const useCategories = () => {
+  const context = useContext(CategoriesContext);
+  if (!context) {
+    throw new Error('useCategories must be used within a CategoriesProvider');
+  }
+  return context;
+};
+
+/**
+ * Provider component that manages user-defined categories and subcategories
+ * Every category select, filter, chart and budget reads its list from here.
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactElement} Categories context provider
+ */
+export const CategoriesProvider = ({ children }) => {
+  const { user, isAuthenticated, loading: authLoading } = useAuth();
+  const { loadTransactions } = useTransactions();
+  const { loadBudgets, loadEnvelopeBudget, loadBudgetHistory } = useBudgets();
+  const { executeAsync, loading, error, clearError } = useDataLoader();
+  const [categories, setCategories] = useState(FALLBACK_CATEGORIES);
+  const [isManaged, setIsManaged] = useState(false);
+
+  const isReady = !authLoading && isAuthenticated;
+
+  /**
+   * Loads categories from the API, falling back to the built-in list
+   * @returns {Promise<Object>} Result with the category list
+   */
+  const loadCategories = useCallback(async () => {
+    return executeAsync(async () => {
+      const data = await categoriesAPI.getAll();
+      const managed = Array.isArray(data);
+      setIsManaged(managed);
+      setCategories(managed ? data : FALLBACK_CATEGORIES);
+      return managed ? data : FALLBACK_CATEGORIES;
+    }, { showLoading: false });
+  }, [executeAsync]);
+
+  useEffect(() => {
+    if (isReady) {
+      loadCategories();
+    } else if (!isAuthenticated && !authLoading) {
+      setCategories(FALLBACK_CATEGORIES);
+      setIsManaged(false);
+    }
+  }, [isReady, isAuthenticated, authLoading, loadCategories]);
+
+  /**
+   * Runs a category change against the API with a readable error message
+   * @private
+   */
+  const runChange = async (change) => {
+    if (!isManaged) {
+      return { success: false, error: 'Custom categories are not supported by this server' };
+    }
+    return executeAsync(async () => {
+      try {
+        return await change();
+      } catch (err) {
+        throw new Error(err.response?.data?.error || err.message);
+      }
+    });
+  };
+
+  /**
+   * Reloads data that still carries the old category name after a rename or merge
+   * @private
+   */
+  const refreshRetagged = async (retagged) => {
+    if (!retagged) return;
+    const reloads = [];
+    if (retagged.transactions > 0) reloads.push(loadTransactions?.());
+    if (retagged.budgets > 0) reloads.push(loadBudgets?.());
+    await Promise.all(reloads.filter(Boolean));
+  };
+
+  /**
+   * Re-tags the records kept in this browser that still carry a category's old name
+   * Rules and goal allocation rules reload in their own providers when the categories change, so
+   * only the budget data held above this provider is reloaded here.
+   * @private
+   */
+  const retagLocal = async (from, to) => {
+    const retagged = retagLocalCategoryReferences(user?.id, from, to);
+    const reloads = [];
+    if (retagged.envelopeTransfers > 0) reloads.push(loadEnvelopeBudget?.());
+    if (retagged.budgetSnapshots > 0) reloads.push(loadBudgetHistory?.());
+    await Promise.all(reloads.filter(Boolean));
+  };
+
+  /**
+   * Creates a category or subcategory
+   * @param {Object} categoryData - Name, parentId, color and icon
+   * @returns {Promise<Object>} Result with the created category
+   */
+  const createCategory = async (categoryData) => {
+    const validation = validateCategory(categories, categoryData);
+    if (validation) return { success: false, error: validation };
+
+    return runChange(async () => {
+      const created = await categoriesAPI.create(categoryData);
+      setCategories(prev => [...prev, created]);
+      return created;
+    });
+  };
+
+  /**
+   * Updates a category. A new name is applied to all historical transactions and budgets, and to the
+   * records kept in this browser.
+   * @param {string|number} id - Category ID
+   * @param {Object} changes - Name, parentId, color, icon or archived
+   * @returns {Promise<Object>} Result with `{ category, retagged }`
+   */
+  const updateCategory = async (id, changes) => {
+    const current = categories.find(category => String(category.id) === String(id));
+    if (!current) return { success: false, error: 'Category not found' };
+    const validation = validateCategory(categories, { ...current, ...changes }, id);
+    if (validation) return { success: false, error: validation };
+
+    return runChange(async () => {
+      const result = await categoriesAPI.update(id, changes);
+      if (changes.name !== undefined) await retagLocal(current.name, changes.name);
+      await loadCategories();
+      await refreshRetagged(result.retagged);
+      return result;
+    });
+  };
+
+  /**
+   * Renames a category and re-tags its transactions
+   * @param {string|number} id - Category ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} Result with `{ category, retagged }`
+   */
+  const renameCategory = (id, name) => updateCategory(id, { name });
+
+  /**
+   * Archives or restores a category. Archived categories stay on old transactions
+   * but are no longer offered for new ones.
+   * @param {string|number} id - Category ID
+   * @param {boolean} [archived=true] - Archive (true) or restore (false)
+   * @returns {Promise<Object>} Result with `{ category }`
+   */
+  const archiveCategory = (id, archived = true) => updateCategory(id, { archived });
+
+  /**
+   * Merges one category into another; the source is removed and its records re-tagged
+   * @param {string|number} sourceId - Category to merge away
+   * @param {string|number} targetId - Category that receives its records
+   * @returns {Promise<Object>} Result with `{ category, retagged }`
+   */
+  const mergeCategories = async (sourceId, targetId) => {
+    if (String(sourceId) === String(targetId)) {
+      return { success: false, error: 'Choose a different category to merge into' };
+    }
+    const source = categories.find(category => String(category.id) === String(sourceId));
+    const target = categories.find(category => String(category.id) === String(targetId));
+    if (!source || !target) return { success: false, error: 'Category not found' };
+
+    return runChange(async () => {
+      const result = await categoriesAPI.merge(sourceId, targetId);
+      await retagLocal(source.name, target.name);
+      await loadCategories();
+      await refreshRetagged(result.retagged);
+      return result;
+    });
+  };
+
+  const activeCategories = useMemo(() => categories.filter(category => !category.archived), [categories]);
+  const categoryTree = useMemo(() => buildCategoryTree(categories), [categories]);
+  const categoryOptions = useMemo(() => getCategoryOptions(categories), [categories]);
+  // First active top-level category in the user's own order, which new transactions and budgets start in
+  const defaultCategory = useMemo(
+    () => (activeCategories.find(category => !category.parentId) || activeCategories[0])?.name || '',
+    [activeCategories]
+  );
+  const allCategoryOptions = useMemo(
+    () => getCategoryOptions(categories, { includeArchived: true }),
+    [categories]
+  );
+
+  /**
+   * Category record for a name
+   * @param {string} name - Category name
+   * @returns {Object|undefined} Category
+   */
+  const getCategory = useCallback((name) => findCategoryByName(categories, name), [categories]);
+
+  /**
+   * Display colour for a category; unknown names get a stable palette colour
+   * @param {string} name - Category name
+   * @returns {string} Hex colour
+   */
+  const getCategoryColor = useCallback((name) => {
+    const category = findCategoryByName(categories, name);
+    if (category?.color) return category.color;
+    const hash = String(name || '').split('').reduce((total, char) => total + char.charCodeAt(0), 0);
+    return CATEGORY_COLORS[hash % CATEGORY_COLORS.length];
+  }, [categories]);
+
+  const value = {
+    // Data
+    categories,
+    activeCategories,
+    categoryTree,
+    categoryOptions,
+    allCategoryOptions,
+    defaultCategory,
+    isManaged,
+
+    // State
+    loading,
+    error,
+    clearError,
+
+    // Actions
+    loadCategories,
+    createCategory,
+    updateCategory,
+    renameCategory,
+    archiveCategory,
+    mergeCategories,
+
+    // Getters
+    getCategory,
+    getCategoryColor,
+    getCategoryFamily: (name) => getCategoryFamily(categories, name),
+    getRootCategory: (name) => getRootCategoryName(categories, name)
+  };
+
+  return (
+    <CategoriesContext.Provider value={value}>
+      {children}
+    </CategoriesContext.Provider>
+  );
+};
@@ -0,0 +1,175 @@
+// CurrencyContext.jsx
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { useAuth } from './AuthContext';
+import { useI18n } from './I18nContext';
+import {
+  DEFAULT_RATE_TABLE,
+  convertAmount,
+  readCurrencySettings,
+  saveCurrencySettings,
+  hasRate,
+  rebaseRateTable,
+  parseRateFile
+} from '../utils/currencyUtils';
+
+const CurrencyContext = createContext();
+
+/**
+ * Custom hook to access the currency context
+ * @returns {Object} Currency context value
+ * @throws {Error} If used outside of CurrencyProvider
+ */
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
+
+/**
+ * Provider component that manages the user's base reporting currency and exchange rates
+ * Settings are stored per user in localStorage
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactElement} Currency context provider
+ */
+export const CurrencyProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { formatCurrency } = useI18n();
+  const [settings, setSettings] = useState(() => readCurrencySettings(user?.id));
+
+  // Switch settings when a different user signs in
+  useEffect(() => {
+    setSettings(readCurrencySettings(user?.id));
+  }, [user?.id]);
+
+  /**
+   * Saves settings to state and this browser
+   * @param {Function} updater - Receives previous settings, returns new settings
+   */
+  const persist = useCallback((updater) => {
+    setSettings(prev => {
+      const next = updater(prev);
+      saveCurrencySettings(user?.id, next);
+      return next;
+    });
+  }, [user?.id]);
+
+  const { baseCurrency, rateTable } = settings;
+
+  /**
+   * Changes the base reporting currency and re-expresses the rate table against it
+   * @param {string} currency - ISO currency code
+   */
+  const setBaseCurrency = useCallback((currency) => {
+    persist(prev => ({
+      baseCurrency: currency,
+      rateTable: rebaseRateTable(prev.rateTable, currency)
+    }));
+  }, [persist]);
+
+  /**
+   * Sets the rate of one currency against the rate table base
+   * @param {string} currency - ISO currency code
+   * @param {number} rate - Units of the currency per one unit of the base
+   */
+  const updateRate = useCallback((currency, rate) => {
+    const value = Number(rate);
+    if (!(value > 0)) {
+      throw new Error('Exchange rate must be a positive number');
+    }
+    persist(prev => ({
+      ...prev,
+      rateTable: {
+        ...prev.rateTable,
+        rates: { ...prev.rateTable.rates, [currency]: value },
+        updatedAt: new Date().toISOString(),
+        source: 'manual'
+      }
+    }));
+  }, [persist]);
+
+  /**
+   * Removes a currency from the rate table
+   * @param {string} currency - ISO currency code
+   */
+  const removeRate = useCallback((currency) => {
+    persist(prev => {
+      if (currency === prev.rateTable.base) return prev;
+      const { [currency]: _removed, ...rates } = prev.rateTable.rates;
+      return { ...prev, rateTable: { ...prev.rateTable, rates } };
+    });
+  }, [persist]);
+
+  /**
+   * Replaces the rate table with the contents of a local file
+   * @param {File} file - JSON or CSV rate file
+   * @returns {Promise<Object>} Imported rate table
+   * @throws {Error} If the file cannot be parsed
+   */
+  const importRates = useCallback(async (file) => {
+    const text = await file.text();
+    const imported = parseRateFile(text, file.name, baseCurrency);
+    persist(prev => ({
+      ...prev,
+      rateTable: hasRate(imported, prev.baseCurrency)
+        ? rebaseRateTable(imported, prev.baseCurrency)
+        : imported
+    }));
+    return imported;
+  }, [baseCurrency, persist]);
+
+  /**
+   * Restores the built-in rate table
+   */
+  const resetRates = useCallback(() => {
+    persist(prev => ({ ...prev, rateTable: rebaseRateTable(DEFAULT_RATE_TABLE, prev.baseCurrency) }));
+  }, [persist]);
+
+  /**
+   * Converts an amount between currencies
+   * @param {number} amount - Amount to convert
+   * @param {string} from - Currency of the amount (defaults to the base currency)
+   * @param {string} to - Target currency (defaults to the base currency)
+   * @returns {number} Converted amount
+   */
+  const convert = useCallback((amount, from = baseCurrency, to = baseCurrency) => {
+    return convertAmount(amount, from || baseCurrency, to || baseCurrency, rateTable);
+  }, [baseCurrency, rateTable]);
+
+  /**
+   * Formats an amount, in the base currency unless another currency is given
+   * Rebuilt when the language changes, with the i18n formatter, so consumers re-render with the new format
+   * @param {number} amount - Amount to format
+   * @param {string} currency - ISO currency code
+   * @returns {string} Formatted amount
+   */
+  const formatAmount = useCallback((amount, currency = baseCurrency) => {
+    return formatCurrency(Number(amount) || 0, currency || baseCurrency);
+  }, [baseCurrency, formatCurrency]);
+
+  const value = useMemo(() => ({
+    // State
+    baseCurrency,
+    rateTable,
+
+    // Settings
+    setBaseCurrency,
+    updateRate,
+    removeRate,
+    importRates,
+    resetRates,
+
+    // Helpers
+    convert,
+    formatAmount,
+    hasRate: (currency) => hasRate(rateTable, currency)
+  }), [baseCurrency, rateTable, setBaseCurrency, updateRate, removeRate, importRates, resetRates, convert, formatAmount]);
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
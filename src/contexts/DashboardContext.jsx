@@ -1,5 +1,5 @@
 // DashboardContext.jsx
-import { createContext, useContext, useMemo, useEffect } from 'react';
+import { createContext, useContext, useMemo, useEffect, useRef } from 'react';
 import { useTransactions } from './TransactionsContext';
 import { useAccounts } from './AccountsContext';
 import { useBudgets } from './BudgetsContext';
@@ -7,6 +7,22 @@ import { useGoals } from './GoalsContext';
 import { useDebt } from './DebtContext';
 import { useTransactionMood } from './TransactionMoodContext';
 import { useAuth } from './AuthContext';
+import { useCurrency } from './CurrencyContext';
+import { useI18n } from './I18nContext';
+import { useCategories } from './CategoriesContext';
+import { offlineSync } from '../services/offlineSync';
+import { getTransactionCurrency } from '../utils/currencyUtils';
+import { getCategoryFamily, getRootCategoryName } from '../utils/categoryUtils';
+import {
+  buildGoalProgress,
+  calculateFinancialHealthScore,
+  getBudgetStatus,
+  summarizeDebts
+} from '../utils/financialMetrics';
+import { createScenarioBaseline } from '../utils/scenarioPlanner';
+import { summarizeBudgetWindow } from '../utils/budgetPeriods';
+import { expandSplitTransactions } from '../utils/splitTransactions';
+import { excludeTransfers, getAccountEffect, isTransfer } from '../utils/transfers';
 
 const DashboardContext = createContext();
 
@@ -34,18 +50,47 @@ export const DashboardProvider = ({ children }) => {
   const { transactions, loadTransactions } = useTransactions();
   const { accounts, loadAccounts } = useAccounts();
   const { budgets, loadBudgets } = useBudgets();
-  const { goals, loadGoals } = useGoals();
+  const { goals, contributions: goalContributions, loadGoals } = useGoals();
   const { debts, loadDebts } = useDebt();
   const { analysis: moodAnalysis, loadAnalysis } = useTransactionMood();
   const { isAuthenticated } = useAuth();
+  const { baseCurrency, convert } = useCurrency();
+  const { formatDate } = useI18n();
+  const { categories, getCategoryColor, loadCategories } = useCategories();
 
   // Ensure all data arrays are actually arrays to prevent "filter is not a function" errors
-  const safeTransactions = Array.isArray(transactions) ? transactions : [];
   const safeAccounts = Array.isArray(accounts) ? accounts : [];
   const safeBudgets = Array.isArray(budgets) ? budgets : [];
   const safeGoals = Array.isArray(goals) ? goals : [];
   const safeDebts = Array.isArray(debts) ? debts : [];
 
+  /**
+   * Transactions with amounts converted to the base currency so they can be summed.
+   * The original amount and currency are kept for display.
+   * @type {Array}
+   */
+  const baseTransactions = useMemo(() => {
+    const accountsById = new Map((Array.isArray(accounts) ? accounts : []).map(acc => [acc.id, acc]));
+    return (Array.isArray(transactions) ? transactions : []).map(tx => {
+      const originalCurrency = getTransactionCurrency(tx, accountsById, baseCurrency);
+      return {
+        ...tx,
+        amount: convert(tx.amount, originalCurrency),
+        currency: baseCurrency,
+        originalAmount: tx.amount,
+        originalCurrency,
+        ...(tx.toCurrency && { toAmount: convert(tx.toAmount, tx.toCurrency), toCurrency: baseCurrency })
+      };
+    });
+  }, [transactions, accounts, baseCurrency, convert]);
+
+  /**
+   * Base-currency transactions without transfers, for income and expense analytics;
+   * moving money between accounts is neither
+   * @type {Array}
+   */
+  const analyticsTransactions = useMemo(() => excludeTransfers(baseTransactions), [baseTransactions]);
+
   /**
    * Loads all dashboard data when user authenticates
    */
@@ -68,21 +113,42 @@ export const DashboardProvider = ({ children }) => {
     }
   }, [isAuthenticated]);
 
+  // The loaders are recreated on every render, so the sync listener reads the latest ones from here
+  const syncReloadersRef = useRef([]);
+  useEffect(() => {
+    syncReloadersRef.current = [loadTransactions, loadAccounts, loadBudgets, loadCategories, loadGoals, loadDebts];
+  });
+
+  /**
+   * Reloads data after queued offline changes have synced so temporary records
+   * are replaced by their server copies
+   */
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    return offlineSync.onSyncComplete(() => {
+      Promise.all(syncReloadersRef.current.filter(Boolean).map(load => load()))
+      .catch(error => {
+        console.error('Failed to reload data after sync:', error);
+      });
+    });
+  }, [isAuthenticated]);
+
   /**
    * Calculates high-level financial metrics
    * @type {Object}
    */
   const financialSummary = useMemo(() => {
-    const income = safeTransactions
+    const income = analyticsTransactions
       .filter(tx => tx.type === 'income')
       .reduce((sum, tx) => sum + (tx.amount || 0), 0);
     
-    const expenses = safeTransactions
+    const expenses = analyticsTransactions
       .filter(tx => tx.type === 'expense')
       .reduce((sum, tx) => sum + Math.abs(tx.amount || 0), 0);
     
     const balance = income - expenses;
-    const totalAccounts = safeAccounts.reduce((sum, acc) => sum + (acc.balance || 0), 0);
+    const totalAccounts = safeAccounts.reduce((sum, acc) => sum + convert(acc.balance || 0, acc.currency), 0);
     const savingsRate = income > 0 ? ((income - expenses) / income) * 100 : 0;
 
     return {
@@ -91,75 +157,62 @@ export const DashboardProvider = ({ children }) => {
       expenses,
       totalAccounts,
       savingsRate,
-      transactionCount: safeTransactions.length
+      currency: baseCurrency,
+      transactionCount: analyticsTransactions.length
     };
-  }, [safeTransactions, safeAccounts]);
+  }, [analyticsTransactions, safeAccounts, baseCurrency, convert]);
 
   /**
    * Calculates spending progress against budget limits
+   * A budget on a parent category includes spending in its subcategories, and only the matching
+   * lines of split transactions.
    * @type {Array}
    */
   const budgetProgress = useMemo(() => {
     return safeBudgets.map(budget => {
-      const spent = safeTransactions
-        .filter(tx => tx.type === 'expense' && tx.category === budget.category)
-        .reduce((sum, tx) => sum + Math.abs(tx.amount || 0), 0);
+      const family = getCategoryFamily(categories, budget.category);
+      const { period, spent, rollover, effectiveLimit, daysLeft } =
+        summarizeBudgetWindow(budget, baseTransactions, { family });
       
       return {
         ...budget,
         spent,
-        progress: budget.limit > 0 ? (spent / budget.limit) * 100 : 0,
-        remaining: Math.max(0, budget.limit - spent),
-        status: spent > budget.limit ? 'over' : spent > budget.limit * 0.8 ? 'warning' : 'good'
+        periodStart: period.start.toISOString(),
+        periodEnd: period.end.toISOString(),
+        periodLabel: period.label,
+        daysLeft,
+        rollover,
+        effectiveLimit,
+        progress: effectiveLimit > 0 ? (spent / effectiveLimit) * 100 : 0,
+        remaining: Math.max(0, effectiveLimit - spent),
+        status: getBudgetStatus(spent, effectiveLimit)
       };
     });
-  }, [safeBudgets, safeTransactions]);
+  }, [safeBudgets, baseTransactions, categories]);
 
   /**
-   * Calculates progress towards financial goals
+   * Calculates progress towards financial goals, with completion projections from the contribution ledger
    * @type {Array}
    */
-  const goalProgress = useMemo(() => {
-    return safeGoals.map(goal => {
-      const progress = goal.targetAmount > 0 ? (goal.currentAmount / goal.targetAmount) * 100 : 0;
-      const daysLeft = Math.ceil((new Date(goal.deadline) - new Date()) / (1000 * 60 * 60 * 24));
-      
-      return {
-        ...goal,
-        progress,
-        daysLeft,
-        status: progress >= 100 ? 'completed' : daysLeft <= 30 ? 'urgent' : 'active'
-      };
-    });
-  }, [safeGoals]);
+  const goalProgress = useMemo(
+    () => buildGoalProgress(safeGoals, new Date(), goalContributions || []),
+    [safeGoals, goalContributions]
+  );
 
   /**
    * Summarizes debt information and progress
    * @type {Object}
    */
-  const debtSummary = useMemo(() => {
-    const activeDebts = safeDebts.filter(debt => debt.isActive);
-    const totalDebt = activeDebts.reduce((sum, debt) => sum + (debt.balance || 0), 0);
-    const totalMonthlyPayments = activeDebts.reduce((sum, debt) => sum + (debt.minimumPayment || 0), 0);
-    const totalPaid = safeDebts.reduce((sum, debt) => sum + ((debt.principal || 0) - (debt.balance || 0)), 0);
-    const totalPrincipal = safeDebts.reduce((sum, debt) => sum + (debt.principal || 0), 0);
-    const overallProgress = totalPrincipal > 0 ? (totalPaid / totalPrincipal) * 100 : 0;
-
-    return {
-      totalDebt,
-      totalMonthlyPayments,
-      activeDebts: activeDebts.length,
-      overallProgress,
-      debtFreeDate: calculateDebtFreeDate(activeDebts)
-    };
-  }, [safeDebts]);
+  const debtSummary = useMemo(() => summarizeDebts(safeDebts), [safeDebts]);
 
   /**
    * Breaks down expenses by category with percentages
+   * Each entry carries its display colour and the top-level category it rolls up to.
+   * Split transactions add each line to its own category.
    * @type {Array}
    */
   const categoryBreakdown = useMemo(() => {
-    const breakdown = safeTransactions.reduce((acc, tx) => {
+    const breakdown = expandSplitTransactions(baseTransactions).reduce((acc, tx) => {
       if (tx.type === 'expense') {
         const amount = Math.abs(tx.amount || 0);
         acc[tx.category] = (acc[tx.category] || 0) + amount;
@@ -172,21 +225,30 @@ export const DashboardProvider = ({ children }) => {
     return Object.entries(breakdown)
       .map(([category, amount]) => ({
         category,
+        parentCategory: getRootCategoryName(categories, category),
+        color: getCategoryColor(category),
         amount,
         percentage: total > 0 ? (amount / total) * 100 : 0
       }))
       .sort((a, b) => b.amount - a.amount);
-  }, [safeTransactions]);
+  }, [baseTransactions, categories, getCategoryColor]);
 
   /**
    * Calculates monthly income, expense, and net trends
    * @type {Array}
    */
   const monthlyTrends = useMemo(() => {
-    const trends = safeTransactions.reduce((acc, tx) => {
-      const month = new Date(tx.date).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    // Keyed by YYYY-MM so months sort correctly whatever the display language
+    const trends = analyticsTransactions.reduce((acc, tx) => {
+      const date = new Date(tx.date);
+      if (isNaN(date.getTime())) return acc;
+      const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
       if (!acc[month]) {
-        acc[month] = { income: 0, expenses: 0 };
+        acc[month] = {
+          label: formatDate(new Date(date.getFullYear(), date.getMonth(), 1), { month: 'short', year: 'numeric' }),
+          income: 0,
+          expenses: 0
+        };
       }
       if (tx.type === 'income') {
         acc[month].income += (tx.amount || 0);
@@ -197,14 +259,15 @@ export const DashboardProvider = ({ children }) => {
     }, {});
 
     return Object.entries(trends)
-      .map(([month, data]) => ({
-        month,
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, { label, ...data }]) => ({
+        key,
+        month: label,
         ...data,
         net: data.income - data.expenses
       }))
-      .sort((a, b) => new Date(a.month) - new Date(b.month))
       .slice(-6);
-  }, [safeTransactions]);
+  }, [analyticsTransactions, formatDate]);
 
   /**
    * Generates insights based on transaction mood analysis
@@ -245,60 +308,34 @@ export const DashboardProvider = ({ children }) => {
   }, [moodAnalysis]);
 
   /**
-   * Calculates estimated debt-free date based on current repayment rates
-   * @param {Array} debts - Array of debt objects
-   * @returns {Date|null} Estimated debt-free date or null if no active debts
+   * Calculates a composite financial health score (0-100)
+   * @type {number}
    */
-  function calculateDebtFreeDate(debts) {
-    const activeDebts = debts.filter(debt => debt.isActive);
-    if (activeDebts.length === 0) return null;
-    
-    const maxPayoff = Math.max(...activeDebts.map(debt => debt.estimatedPayoffMonths || 0));
-    if (maxPayoff > 0) {
-      const date = new Date();
-      date.setMonth(date.getMonth() + maxPayoff);
-      return date;
-    }
-    return null;
-  }
+  const financialHealthScore = useMemo(() => calculateFinancialHealthScore({
+    financialSummary,
+    debtSummary,
+    budgetProgress,
+    goalProgress,
+    monthlyTrends
+  }), [financialSummary, debtSummary, budgetProgress, goalProgress, monthlyTrends]);
 
   /**
-   * Calculates a composite financial health score (0-100)
-   * @type {number}
+   * Copy of the current data for the what-if planner; scenarios change this copy, never the real records
+   * @type {Object}
    */
-  const financialHealthScore = useMemo(() => {
-    let score = 50;
-    
-    // Savings rate contribution
-    const savingsRate = financialSummary.savingsRate;
-    score += Math.min(25, savingsRate / 2);
-    
-    // Debt-to-income ratio contribution
-    const debtToIncome = debtSummary.totalDebt / (financialSummary.income || 1);
-    if (debtToIncome < 0.3) score += 25;
-    else if (debtToIncome < 0.5) score += 15;
-    else if (debtToIncome < 0.7) score += 5;
-    else score -= 10;
-    
-    // Budget adherence penalty
-    const overBudgetCount = budgetProgress.filter(b => b.status === 'over').length;
-    score -= overBudgetCount * 5;
-    
-    // Goal progress contribution
-    const goalProgressAvg = goalProgress.length > 0 
-      ? goalProgress.reduce((sum, g) => sum + g.progress, 0) / goalProgress.length
-      : 0;
-    score += Math.min(15, goalProgressAvg / 6.67);
-    
-    // Cash flow consistency penalty
-    const negativeMonths = monthlyTrends.filter(m => m.net < 0).length;
-    score -= negativeMonths * 3;
-    
-    return Math.max(0, Math.min(100, Math.round(score)));
-  }, [financialSummary, debtSummary, budgetProgress, goalProgress, monthlyTrends]);
+  const scenarioBaseline = useMemo(() => createScenarioBaseline({
+    transactions: baseTransactions,
+    monthlyTrends,
+    totalAccounts: financialSummary.totalAccounts,
+    budgets: Array.isArray(budgets) ? budgets : [],
+    goals: Array.isArray(goals) ? goals : [],
+    debts: Array.isArray(debts) ? debts : [],
+    categories,
+    currency: baseCurrency
+  }), [baseTransactions, monthlyTrends, financialSummary, budgets, goals, debts, categories, baseCurrency]);
 
   /**
-   * Gets summary data for a specific account
+   * Gets summary data for a specific account, in the base currency
    * @param {string} accountId - Account ID
    * @returns {Object|null} Account summary or null if not found
    */
@@ -306,15 +343,19 @@ export const DashboardProvider = ({ children }) => {
     const account = safeAccounts.find(acc => acc.id === accountId);
     if (!account) return null;
     
-    const accountTransactions = safeTransactions.filter(tx => tx.accountId === accountId);
+    const accountTransactions = baseTransactions.filter(tx => tx.accountId === accountId || tx.toAccountId === accountId);
     const income = accountTransactions.filter(tx => tx.type === 'income').reduce((sum, tx) => sum + (tx.amount || 0), 0);
     const expenses = accountTransactions.filter(tx => tx.type === 'expense').reduce((sum, tx) => sum + Math.abs(tx.amount || 0), 0);
+    // Money moved in from or out to the user's other accounts and debts
+    const transfers = accountTransactions.filter(isTransfer).reduce((sum, tx) => sum + getAccountEffect(tx, accountId), 0);
     
     return {
       account,
       income,
       expenses,
-      net: income - expenses,
+      transfers,
+      net: income - expenses + transfers,
+      currency: baseCurrency,
       transactionCount: accountTransactions.length
     };
   };
@@ -337,6 +378,10 @@ export const DashboardProvider = ({ children }) => {
   };
 
   const value = {
+    // Currency
+    baseCurrency,
+    baseTransactions,
+
     // Summaries
     financialSummary,
     debtSummary,
@@ -352,6 +397,9 @@ export const DashboardProvider = ({ children }) => {
     
     // Scores
     financialHealthScore,
+
+    // Planning
+    scenarioBaseline,
     
     // Helper functions
     getAccountSummary,
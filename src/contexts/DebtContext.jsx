@@ -3,6 +3,9 @@ import { createContext, useContext, useState } from 'react';
 import { debtAPI } from '../services/api';
 import { useAuthCheck } from '../hooks/useAuthCheck';
 import { useDataLoader } from '../hooks/useDataLoader';
+import { useTransactions } from './TransactionsContext';
+import { useAccounts } from './AccountsContext';
+import { buildDebtPayment } from '../utils/transfers';
 
 const DebtContext = createContext();
 
@@ -32,6 +35,9 @@ export const DebtProvider = ({ children }) => {
     analytics: null
   });
 
+  const { createTransaction } = useTransactions();
+  const { loadAccounts } = useAccounts();
+
   const [debts, setDebts] = useState([]);
   const [analytics, setAnalytics] = useState(null);
 
@@ -123,28 +129,25 @@ export const DebtProvider = ({ children }) => {
   };
 
   /**
-   * Makes a payment towards a specific debt
+   * Makes a payment towards a specific debt by creating a transfer from the paying account
+   * The server lowers the debt's balance and the account's when it saves the transfer.
    * @param {string} id - Debt ID
    * @param {Object} paymentData - Payment information
-   * @returns {Promise<Object>} Payment result with updated debt
+   * @param {number|string} paymentData.accountId - Account the money comes from
+   * @param {number} paymentData.amount - Amount paid
+   * @param {string} [paymentData.paymentDate] - Payment date
+   * @param {string} [paymentData.description] - Description
+   * @returns {Promise<Object>} Result with success and the created transfer, or an error
    */
   const makePayment = async (id, paymentData) => {
     requireAuthSilent();
-    
-    const result = await executeAsync(async () => {
-      const paymentResult = await debtAPI.makePayment(id, paymentData);
-      
-      // Update local debt state if API returns updated debt
-      if (paymentResult.updatedDebt) {
-        setDebts(prev => prev.map(debt => 
-          debt.id === id ? paymentResult.updatedDebt : debt
-        ));
-      }
-      
-      await loadAnalytics();
-      return paymentResult;
-    });
-    
+
+    const debt = debts.find(item => String(item.id) === String(id)) || { id };
+    const { transfer, error: invalid } = buildDebtPayment(debt, paymentData);
+    if (invalid) return { success: false, error: invalid };
+
+    const result = await createTransaction(transfer);
+    if (result?.success) await Promise.all([loadDebts(), loadAnalytics(), loadAccounts()]);
     return result;
   };
 
@@ -1,8 +1,27 @@
 // GoalsContext.jsx
-import { createContext, useContext, useState } from 'react';
+import { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
 import { goalsAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+import { useTransactions } from './TransactionsContext';
+import { useAccounts } from './AccountsContext';
+import { useCurrency } from './CurrencyContext';
+import { useCategories } from './CategoriesContext';
 import { useAuthCheck } from '../hooks/useAuthCheck';
 import { useDataLoader } from '../hooks/useDataLoader';
+import {
+  getContributionsForGoal,
+  projectGoal,
+  readLocalContributions,
+  saveLocalContributions
+} from '../utils/goalProjections';
+import {
+  getAllocationRuleStatus,
+  previewAllocationRules,
+  readLocalAllocationRules,
+  saveLocalAllocationRules,
+  validateAllocationRule
+} from '../utils/goalAllocationRules';
+import { getTransactionCurrency } from '../utils/currencyUtils';
 
 const GoalsContext = createContext();
 
@@ -21,14 +40,97 @@ export const useGoals = () => {
 
 /**
  * Provider component that manages financial goals state and operations
+ * Every contribution, manual or from income allocation, is kept in a per-goal ledger: on the
+ * server when it supports one, otherwise in localStorage per user.
+ * Standing allocation rules are stored the same way and run whenever TransactionsContext
+ * announces new income (manual entry or processed recurring transactions).
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
  * @returns {React.ReactElement} Goals context provider
  */
 export const GoalsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { onTransactionsCreated } = useTransactions();
+  const { accounts } = useAccounts();
+  const { baseCurrency, convert } = useCurrency();
+  const { categories } = useCategories();
   const { requireAuthSilent } = useAuthCheck();
   const { executeAsync, loading, error, clearError } = useDataLoader({ goals: [] });
   const [goals, setGoals] = useState([]);
+  const [contributions, setContributions] = useState([]);
+  const [isLedgerManaged, setIsLedgerManaged] = useState(false);
+  const [allocationRules, setAllocationRules] = useState([]);
+  const [isAllocationRulesManaged, setIsAllocationRulesManaged] = useState(false);
+  const [lastRuleAllocation, setLastRuleAllocation] = useState(null);
+
+  /**
+   * Loads the contribution ledger, falling back to the one saved in this browser
+   * @returns {Promise<Array>} Contributions
+   */
+  const loadContributions = useCallback(async () => {
+    try {
+      const data = await goalsAPI.getContributions();
+      const managed = Array.isArray(data);
+      const loaded = managed ? data : readLocalContributions(user?.id);
+      setIsLedgerManaged(managed);
+      setContributions(loaded);
+      return loaded;
+    } catch (err) {
+      console.error('Failed to load goal contributions', err);
+      return [];
+    }
+  }, [user?.id]);
+
+  /**
+   * Loads the standing allocation rules, falling back to the ones saved in this browser
+   * @returns {Promise<Array>} Rules
+   */
+  const loadAllocationRules = useCallback(async () => {
+    try {
+      const data = await goalsAPI.getAllocationRules();
+      const managed = Array.isArray(data);
+      const loaded = managed ? data : readLocalAllocationRules(user?.id);
+      setIsAllocationRulesManaged(managed);
+      setAllocationRules(loaded);
+      return loaded;
+    } catch (err) {
+      console.error('Failed to load goal allocation rules', err);
+      return [];
+    }
+  }, [user?.id]);
+
+  useEffect(() => {
+    setLastRuleAllocation(null);
+  }, [user?.id]);
+
+  // Rules must be in place before any income arrives, not only once the goals page is opened; they are
+  // reloaded after category changes, since a rename re-targets the rules limited to that category
+  useEffect(() => {
+    if (user?.id) {
+      loadAllocationRules();
+    } else {
+      setAllocationRules([]);
+    }
+  }, [user?.id, loadAllocationRules, categories]);
+
+  /**
+   * Adds entries to the ledger kept in this browser
+   * @private
+   */
+  const recordLocalContributions = (entries) => {
+    const stamp = new Date().toISOString();
+    const created = entries.map((entry, index) => ({
+      id: `local-${Date.now()}-${index}`,
+      date: stamp,
+      description: '',
+      ...entry
+    }));
+    setContributions(prev => {
+      const next = [...prev, ...created];
+      saveLocalContributions(user?.id, next);
+      return next;
+    });
+  };
 
   /**
    * Loads all financial goals from the API
@@ -40,6 +142,7 @@ export const GoalsProvider = ({ children }) => {
     const result = await executeAsync(async () => {
       const data = await goalsAPI.getAll();
       setGoals(data);
+      await Promise.all([loadContributions(), loadAllocationRules()]);
       return data;
     });
     
@@ -92,6 +195,23 @@ export const GoalsProvider = ({ children }) => {
     const result = await executeAsync(async () => {
       await goalsAPI.delete(id);
       setGoals(prev => prev.filter(goal => goal.id !== id));
+      setContributions(prev => {
+        const next = prev.filter(contribution => String(contribution.goalId) !== String(id));
+        if (!isLedgerManaged) saveLocalContributions(user?.id, next);
+        return next;
+      });
+      if (isAllocationRulesManaged) {
+        await loadAllocationRules(); // The server drops the goal from its rules
+      } else {
+        saveAllocationRulesLocally(allocationRules.map(rule => {
+          if (!rule.goalIds?.some(goalId => String(goalId) === String(id))) return rule;
+          const goalCaps = { ...rule.goalCaps };
+          delete goalCaps[id];
+          const goalIds = rule.goalIds.filter(goalId => String(goalId) !== String(id));
+          // An empty list means "all goals", so a rule that only fed this goal is paused instead
+          return { ...rule, goalIds, goalCaps, isActive: rule.isActive && goalIds.length > 0 };
+        }));
+      }
       return { id };
     });
     
@@ -99,9 +219,9 @@ export const GoalsProvider = ({ children }) => {
   };
 
   /**
-   * Makes a contribution towards a specific goal
+   * Makes a contribution towards a specific goal and records it in the ledger
    * @param {string} id - Goal ID
-   * @param {Object} contributionData - Contribution information
+   * @param {Object} contributionData - Amount, description and optional source
    * @returns {Promise<Object>} Contribution result with updated goal
    */
   const contributeToGoal = async (id, contributionData) => {
@@ -116,6 +236,16 @@ export const GoalsProvider = ({ children }) => {
           isCompleted: result.goal.isCompleted 
         } : goal
       ));
+      if (isLedgerManaged && result.contribution?.id) {
+        setContributions(prev => [...prev, result.contribution]);
+      } else {
+        recordLocalContributions([{
+          goalId: id,
+          amount: result.contribution?.amount ?? contributionData.amount,
+          source: contributionData.source || 'manual',
+          description: contributionData.description || ''
+        }]);
+      }
       return result;
     });
     
@@ -124,6 +254,7 @@ export const GoalsProvider = ({ children }) => {
 
   /**
    * Automatically allocates income towards goals based on priority and allocation rules
+   * Each allocation is recorded in the ledger.
    * @param {Object} allocationData - Allocation rules and amounts
    * @returns {Promise<Object>} Auto-allocation result
    */
@@ -132,13 +263,213 @@ export const GoalsProvider = ({ children }) => {
     
     const result = await executeAsync(async () => {
       const result = await goalsAPI.autoAllocate(allocationData);
-      await loadGoals(); // Reload goals to get updated amounts
+      if (!isLedgerManaged) {
+        recordLocalContributions((result.allocations || []).map(allocation => ({
+          goalId: allocation.goalId,
+          amount: allocation.amount,
+          source: 'auto_allocation',
+          description: allocationData.incomeDescription || 'Income allocation'
+        })));
+      }
+      await loadGoals(); // Reload goals (and the server ledger) to get updated amounts
       return result;
     });
     
     return result;
   };
 
+  /**
+   * Saves the rule list in this browser when the server cannot store rules
+   * @private
+   */
+  const saveAllocationRulesLocally = (next) => {
+    saveLocalAllocationRules(user?.id, next);
+    setAllocationRules(next);
+  };
+
+  /**
+   * Runs an allocation rule change against the API or the local store with a readable error message
+   * @private
+   */
+  const runRuleChange = (change) => executeAsync(async () => {
+    try {
+      return await change();
+    } catch (err) {
+      throw new Error(err.response?.data?.error || err.message);
+    }
+  }, { showLoading: false });
+
+  /**
+   * Creates a standing income allocation rule
+   * @param {Object} ruleData - Trigger conditions, percentage, split method, goals and caps
+   * @returns {Promise<Object>} Result with the created rule
+   */
+  const createAllocationRule = async (ruleData) => {
+    const validation = validateAllocationRule(ruleData);
+    if (validation) return { success: false, error: validation };
+
+    return runRuleChange(async () => {
+      if (!isAllocationRulesManaged) {
+        const stamp = new Date().toISOString();
+        const created = { ...ruleData, id: `local-${Date.now()}`, createdAt: stamp, updatedAt: stamp };
+        saveAllocationRulesLocally([...allocationRules, created]);
+        return created;
+      }
+      const created = await goalsAPI.createAllocationRule(ruleData);
+      setAllocationRules(prev => [...prev, created]);
+      return created;
+    });
+  };
+
+  /**
+   * Updates an income allocation rule
+   * @param {string|number} id - Rule ID
+   * @param {Object} changes - Changed fields
+   * @returns {Promise<Object>} Result with the updated rule
+   */
+  const updateAllocationRule = async (id, changes) => {
+    const current = allocationRules.find(rule => String(rule.id) === String(id));
+    if (!current) return { success: false, error: 'Allocation rule not found' };
+    const validation = validateAllocationRule({ ...current, ...changes });
+    if (validation) return { success: false, error: validation };
+
+    return runRuleChange(async () => {
+      if (!isAllocationRulesManaged) {
+        const updated = { ...current, ...changes, updatedAt: new Date().toISOString() };
+        saveAllocationRulesLocally(allocationRules.map(rule => (rule === current ? updated : rule)));
+        return updated;
+      }
+      const updated = await goalsAPI.updateAllocationRule(id, changes);
+      setAllocationRules(prev => prev.map(rule => (String(rule.id) === String(id) ? updated : rule)));
+      return updated;
+    });
+  };
+
+  /**
+   * Deletes an income allocation rule
+   * @param {string|number} id - Rule ID
+   * @returns {Promise<Object>} Result with the deleted ID
+   */
+  const deleteAllocationRule = (id) => runRuleChange(async () => {
+    if (isAllocationRulesManaged) {
+      await goalsAPI.deleteAllocationRule(id);
+      setAllocationRules(prev => prev.filter(rule => String(rule.id) !== String(id)));
+    } else {
+      saveAllocationRulesLocally(allocationRules.filter(rule => String(rule.id) !== String(id)));
+    }
+    return { id };
+  });
+
+  /**
+   * Transaction with its amount in the base currency, which rule minimums and goals are kept in
+   * @private
+   */
+  const toBaseCurrency = (transaction) => {
+    const accountsById = new Map((accounts || []).map(account => [account.id, account]));
+    const currency = getTransactionCurrency(transaction, accountsById, baseCurrency);
+    return { ...transaction, amount: convert(transaction.amount, currency), currency: baseCurrency };
+  };
+
+  /**
+   * How the active rules would split an income transaction right now
+   * @param {Object} transaction - Income transaction (amount, accountId, category, optionally currency)
+   * @param {Array} [rules] - Rules to preview (default: the saved rules)
+   * @returns {Array} Splits per matching rule
+   */
+  const previewRuleAllocation = (transaction, rules = allocationRules) =>
+    previewAllocationRules(rules, toBaseCurrency(transaction), goals);
+
+  /**
+   * Moves money into goals for new income according to the active allocation rules
+   * Income in another currency is converted to the base currency first. Goal balances are re-read
+   * so splits never overfill a goal; each allocation is recorded in the ledger, and rules whose goals
+   * have all reached their targets are switched off.
+   * @param {Array} created - Newly created transactions
+   * @returns {Promise<Array>} Allocations made
+   */
+  const applyAllocationRules = async (created) => {
+    const incomes = (created || []).filter(transaction => transaction?.type === 'income');
+    if (incomes.length === 0) return [];
+
+    if (!allocationRules.some(rule => rule.isActive)) return [];
+
+    let currentGoals = await goalsAPI.getAll();
+    const applied = [];
+    const failed = [];
+    const ledgerEntries = [];
+
+    for (const transaction of incomes) {
+      for (const split of previewAllocationRules(allocationRules, toBaseCurrency(transaction), currentGoals)) {
+        for (const allocation of split.allocations) {
+          const description = `${split.rule.name}: ${transaction.description || 'Income'}`;
+          try {
+            const result = await goalsAPI.contribute(allocation.goalId, {
+              amount: allocation.amount,
+              description,
+              source: 'allocation_rule'
+            });
+            currentGoals = currentGoals.map(goal =>
+              goal.id === allocation.goalId ? { ...goal, ...result.goal } : goal);
+            ledgerEntries.push(result.contribution?.id && isLedgerManaged
+              ? result.contribution
+              : { goalId: allocation.goalId, amount: allocation.amount, source: 'allocation_rule', description });
+            applied.push({ ...allocation, ruleId: split.rule.id, ruleName: split.rule.name, transactionId: transaction.id });
+          } catch (err) {
+            failed.push({ ...allocation, ruleName: split.rule.name, error: err.response?.data?.error || err.message });
+          }
+        }
+      }
+    }
+
+    if (applied.length === 0 && failed.length === 0) return [];
+
+    setGoals(currentGoals);
+    if (isLedgerManaged) {
+      setContributions(prev => [...prev, ...ledgerEntries]);
+    } else {
+      recordLocalContributions(ledgerEntries);
+    }
+
+    // Rules feeding only goals that are now complete have nothing left to do
+    const finished = allocationRules.filter(rule => rule.isActive && getAllocationRuleStatus(rule, currentGoals) === 'completed');
+    if (finished.length > 0) {
+      const stamp = new Date().toISOString();
+      const stopped = allocationRules.map(rule =>
+        finished.includes(rule) ? { ...rule, isActive: false, updatedAt: stamp } : rule);
+      if (isAllocationRulesManaged) {
+        await Promise.all(finished.map(rule => goalsAPI.updateAllocationRule(rule.id, { isActive: false })))
+          .catch(err => console.error('Failed to stop completed allocation rules', err));
+        setAllocationRules(stopped);
+      } else {
+        saveAllocationRulesLocally(stopped);
+      }
+    }
+
+    setLastRuleAllocation({
+      date: new Date().toISOString(),
+      allocations: applied,
+      failed,
+      totalAllocated: applied.reduce((sum, allocation) => sum + allocation.amount, 0),
+      stoppedRules: finished.map(rule => rule.name)
+    });
+    return applied;
+  };
+
+  /**
+   * Dismisses the summary of the last rule allocation
+   */
+  const clearLastRuleAllocation = () => setLastRuleAllocation(null);
+
+  // Subscribe once; the ref always points at the latest closure over rules and goals
+  const applyAllocationRulesRef = useRef(applyAllocationRules);
+  useEffect(() => {
+    applyAllocationRulesRef.current = applyAllocationRules;
+  });
+
+  useEffect(() => onTransactionsCreated(
+    (created) => applyAllocationRulesRef.current(created)
+  ), [onTransactionsCreated]);
+
   /**
    * Retrieves a goal by ID from local state
    * @param {string} id - Goal ID
@@ -160,8 +491,30 @@ export const GoalsProvider = ({ children }) => {
     }));
   };
 
+  /**
+   * A goal's contributions, oldest first
+   * @param {string} id - Goal ID
+   * @returns {Array} Contributions
+   */
+  const getGoalContributions = (id) => getContributionsForGoal(contributions, id);
+
+  /**
+   * Velocity-based projection for a goal
+   * @param {string} id - Goal ID
+   * @returns {Object|null} Projection, or null if the goal is not found
+   */
+  const getGoalProjection = (id) => {
+    const goal = getGoalById(id);
+    return goal ? projectGoal(goal, contributions) : null;
+  };
+
   const value = {
     goals,
+    contributions,
+    isLedgerManaged,
+    allocationRules,
+    isAllocationRulesManaged,
+    lastRuleAllocation,
     loading,
     error,
     clearError,
@@ -171,8 +524,18 @@ export const GoalsProvider = ({ children }) => {
     deleteGoal,
     contributeToGoal,
     autoAllocateIncome,
+    loadContributions,
+    loadAllocationRules,
+    createAllocationRule,
+    updateAllocationRule,
+    deleteAllocationRule,
+    applyAllocationRules,
+    clearLastRuleAllocation,
+    previewRuleAllocation,
     getGoalById,
-    getGoalProgress
+    getGoalProgress,
+    getGoalContributions,
+    getGoalProjection
   };
 
   return (
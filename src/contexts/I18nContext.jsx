@@ -0,0 +1,71 @@
+// I18nContext.jsx
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { i18n } from '../services/i18n';
+
+const I18nContext = createContext();
+
+/**
+ * Custom hook to access the i18n context
+ * @returns {Object} Locale state, translate function and formatters
+ * @throws {Error} If used outside of I18nProvider
+ */
+export const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error('useI18n must be used within an I18nProvider');
+  }
+  return context;
+};
+
+/**
+ * Provider component that exposes the i18n service to React
+ * Re-renders consumers when the language or first day of week changes
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactElement} I18n context provider
+ */
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(i18n.getLocale());
+  const [firstDayOfWeek, setFirstDayOfWeekState] = useState(i18n.getFirstDayOfWeek());
+
+  useEffect(() => {
+    document.documentElement.lang = i18n.getLocale();
+    return i18n.subscribe(() => {
+      setLocaleState(i18n.getLocale());
+      setFirstDayOfWeekState(i18n.getFirstDayOfWeek());
+    });
+  }, []);
+
+  const setLocale = useCallback((next) => i18n.setLocale(next), []);
+  const setFirstDayOfWeek = useCallback((day) => i18n.setFirstDayOfWeek(day), []);
+
+  // The functions below are rebuilt with the value, so consumers that memoize on them refresh when
+  // the language changes
+  const value = useMemo(() => ({
+    // State
+    locale,
+    firstDayOfWeek,
+    supportedLocales: i18n.getSupportedLocales(),
+
+    // Settings
+    setLocale,
+    setFirstDayOfWeek,
+    hasCustomWeekStart: i18n.hasCustomFirstDayOfWeek(),
+    localeFirstDayOfWeek: i18n.getLocaleFirstDayOfWeek(),
+
+    // Translation and formatting
+    t: (key, params) => i18n.t(key, params),
+    categoryLabel: (name) => i18n.translateCategory(name),
+    formatDate: (date, options) => i18n.formatDate(date, options),
+    formatNumber: (number, options) => i18n.formatNumber(number, options),
+    formatCurrency: (amount, currency) => i18n.formatCurrency(amount, currency),
+    getMonthName: (index, width) => i18n.getMonthName(index, width),
+    getWeekdayName: (index, width) => i18n.getWeekdayName(index, width)
+  }), [locale, firstDayOfWeek, setLocale, setFirstDayOfWeek]);
+
+  return (
+    <I18nContext.Provider value={value}>
+      {children}
+    </I18nContext.Provider>
+  );
+};
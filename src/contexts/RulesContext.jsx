@@ -0,0 +1,290 @@
+// RulesContext.jsx
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import { rulesAPI } from '../services/api';
+import { useAuth } from './AuthContext';
+import { useTransactions } from './TransactionsContext';
+import { useCategories } from './CategoriesContext';
+import { useTransactionMood } from './TransactionMoodContext';
+import { useDataLoader } from '../hooks/useDataLoader';
+import {
+  applyRules,
+  previewRuleApplication,
+  readLocalRules,
+  saveLocalRules,
+  readRuleLearning,
+  recordCategoryCorrection,
+  saveRuleLearning,
+  sortRules,
+  suggestRules,
+  validateRule
+} from '../utils/ruleEngine';
+
+const RulesContext = createContext();
+
+/**
+ * Custom hook to access the categorization rules context
+ * @returns {Object} Rules context value
+ * @throws {Error} If used outside of RulesProvider
+ */
+export const useRules = () => {
+  const context = useContext(RulesContext);
+  if (!context) {
+    throw new Error('useRules must be used within a RulesProvider');
+  }
+  return context;
+};
+
+/**
+ * Provider component that manages categorization rules
+ * Rules are stored on the server when it supports them, otherwise in localStorage per user.
+ * They run on manual entry, statement import and retroactively over existing transactions.
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components
+ * @returns {React.ReactElement} Rules context provider
+ */
+export const RulesProvider = ({ children }) => {
+  const { user, isAuthenticated, loading: authLoading } = useAuth();
+  const { transactions = [], updateTransaction } = useTransactions();
+  const { categories } = useCategories();
+  const { addTransactionMood, getCurrentTransactionMood } = useTransactionMood();
+  const { executeAsync, loading, error, clearError } = useDataLoader();
+
+  const [rules, setRules] = useState([]);
+  const [isManaged, setIsManaged] = useState(false);
+  const [learning, setLearning] = useState(() => readRuleLearning(user?.id));
+
+  const isReady = !authLoading && isAuthenticated;
+
+  /**
+   * Loads rules from the API, falling back to rules saved in this browser
+   * @returns {Promise<Object>} Result with the rule list
+   */
+  const loadRules = useCallback(async () => {
+    return executeAsync(async () => {
+      const data = await rulesAPI.getAll();
+      const managed = Array.isArray(data);
+      const loaded = managed ? data : readLocalRules(user?.id);
+      setIsManaged(managed);
+      setRules(loaded);
+      return loaded;
+    }, { showLoading: false });
+  }, [executeAsync, user?.id]);
+
+  // Reload after sign-in and after category changes, since a rename re-targets rules on the server
+  useEffect(() => {
+    if (isReady) {
+      loadRules();
+    } else if (!isAuthenticated && !authLoading) {
+      setRules([]);
+      setIsManaged(false);
+    }
+  }, [isReady, isAuthenticated, authLoading, loadRules, categories]);
+
+  // Corrections are recorded by TransactionsContext too, so re-read them when transactions change, and
+  // after category changes, which re-tag them
+  useEffect(() => {
+    setLearning(readRuleLearning(user?.id));
+  }, [user?.id, transactions, categories]);
+
+  /**
+   * Saves the local rule list when the server cannot store rules
+   * @private
+   */
+  const saveLocal = (next) => {
+    saveLocalRules(user?.id, next);
+    setRules(next);
+  };
+
+  /**
+   * Runs a rule change against the API or the local store with a readable error message
+   * @private
+   */
+  const runChange = (change) => executeAsync(async () => {
+    try {
+      return await change();
+    } catch (err) {
+      throw new Error(err.response?.data?.error || err.message);
+    }
+  });
+
+  /**
+   * Creates a rule
+   * @param {Object} ruleData - Name, priority, conditions and actions
+   * @returns {Promise<Object>} Result with the created rule
+   */
+  const createRule = async (ruleData) => {
+    const validation = validateRule(ruleData);
+    if (validation) return { success: false, error: validation };
+
+    return runChange(async () => {
+      if (!isManaged) {
+        const stamp = new Date().toISOString();
+        const created = { ...ruleData, id: `local-${Date.now()}`, createdAt: stamp, updatedAt: stamp };
+        saveLocal([...rules, created]);
+        return created;
+      }
+      const created = await rulesAPI.create(ruleData);
+      setRules(prev => [...prev, created]);
+      return created;
+    });
+  };
+
+  /**
+   * Updates a rule
+   * @param {string|number} id - Rule ID
+   * @param {Object} changes - Changed fields
+   * @returns {Promise<Object>} Result with the updated rule
+   */
+  const updateRule = async (id, changes) => {
+    const current = rules.find(rule => String(rule.id) === String(id));
+    if (!current) return { success: false, error: 'Rule not found' };
+    const validation = validateRule({ ...current, ...changes });
+    if (validation) return { success: false, error: validation };
+
+    return runChange(async () => {
+      if (!isManaged) {
+        const updated = { ...current, ...changes, updatedAt: new Date().toISOString() };
+        saveLocal(rules.map(rule => (rule === current ? updated : rule)));
+        return updated;
+      }
+      const updated = await rulesAPI.update(id, changes);
+      setRules(prev => prev.map(rule => (String(rule.id) === String(id) ? updated : rule)));
+      return updated;
+    });
+  };
+
+  /**
+   * Deletes a rule
+   * @param {string|number} id - Rule ID
+   * @returns {Promise<Object>} Result with the deleted ID
+   */
+  const deleteRule = (id) => runChange(async () => {
+    if (isManaged) {
+      await rulesAPI.delete(id);
+      setRules(prev => prev.filter(rule => String(rule.id) !== String(id)));
+    } else {
+      saveLocal(rules.filter(rule => String(rule.id) !== String(id)));
+    }
+    return { id };
+  });
+
+  /**
+   * Runs the enabled rules against a new transaction or import row
+   * @param {Object} transaction - Transaction data
+   * @returns {{transaction: Object, matchedRules: Array, mood: string|null}} Rule outcome
+   */
+  const runRules = useCallback((transaction) => applyRules(transaction, rules), [rules]);
+
+  /**
+   * Attaches the mood chosen by a rule to a saved transaction
+   * @param {string|number} transactionId - Transaction ID
+   * @param {string} mood - Mood value
+   * @returns {Promise<Object|undefined>} Mood result
+   */
+  const attachRuleMood = (transactionId, mood) => {
+    if (!mood || !transactionId) return Promise.resolve();
+    return addTransactionMood(transactionId, { mood, notes: 'Added by a categorization rule' });
+  };
+
+  /**
+   * Lists existing transactions that the given rules would change
+   * @param {Array<string|number>} [ruleIds] - Rules to run (default: all enabled rules)
+   * @returns {Array} Affected rows with their changes
+   */
+  const previewRetroactive = useCallback((ruleIds) => {
+    const selected = ruleIds
+      ? rules.filter(rule => ruleIds.some(id => String(id) === String(rule.id)))
+      : rules;
+    return previewRuleApplication(transactions, selected, {
+      hasMood: (transactionId) => Boolean(getCurrentTransactionMood?.(transactionId))
+    });
+  }, [rules, transactions, getCurrentTransactionMood]);
+
+  /**
+   * Applies previewed changes to existing transactions
+   * Rule-driven category changes are not recorded as user corrections.
+   * @param {Array} rows - Rows from previewRetroactive
+   * @param {Function} [onProgress] - Progress callback receiving (completed, total)
+   * @returns {Promise<{updated: number, failed: Array}>} Outcome
+   */
+  const applyRetroactive = async (rows, onProgress) => {
+    let updated = 0;
+    const failed = [];
+
+    for (const [index, row] of rows.entries()) {
+      try {
+        if (Object.keys(row.changes).length > 0) {
+          const result = await updateTransaction(row.transaction.id, row.changes, { learn: false });
+          if (result?.success === false) throw new Error(result.error || 'Update failed');
+        }
+        if (row.mood) {
+          await attachRuleMood(row.transaction.id, row.mood);
+        }
+        updated += 1;
+      } catch (err) {
+        failed.push({ transaction: row.transaction, error: err.message });
+      }
+      onProgress?.(index + 1, rows.length);
+    }
+
+    return { updated, failed };
+  };
+
+  /**
+   * Records a category the user picked over the one the rules chose
+   * @param {Object} correction - Description, rule category (from) and chosen category (to)
+   */
+  const recordCorrection = useCallback((correction) => {
+    if (recordCategoryCorrection(user?.id, correction)) {
+      setLearning(readRuleLearning(user?.id));
+    }
+  }, [user?.id]);
+
+  /**
+   * Hides a rule suggestion
+   * @param {string} key - Suggestion key
+   */
+  const dismissSuggestion = (key) => {
+    const next = { ...learning, dismissed: [...learning.dismissed, key] };
+    saveRuleLearning(user?.id, next);
+    setLearning(next);
+  };
+
+  const sortedRules = useMemo(() => sortRules(rules), [rules]);
+  const suggestions = useMemo(
+    () => suggestRules(learning.corrections, rules, { dismissed: learning.dismissed }),
+    [learning, rules]
+  );
+
+  const value = {
+    // Data
+    rules: sortedRules,
+    suggestions,
+    isManaged,
+
+    // State
+    loading,
+    error,
+    clearError,
+
+    // Actions
+    loadRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    applyRetroactive,
+    attachRuleMood,
+    recordCorrection,
+    dismissSuggestion,
+
+    // Getters
+    runRules,
+    previewRetroactive
+  };
+
+  return (
+    <RulesContext.Provider value={value}>
+      {children}
+    </RulesContext.Provider>
+  );
+};
@@ -2,6 +2,8 @@
 import { createContext, useContext, useEffect, useState } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
+import { getWsUrl, isMockApi } from '../services/config';
+import { tokenStorage } from '../services/tokenStorage';
 
 const SocketContext = createContext();
 
@@ -20,7 +22,7 @@ export const useSocket = () => {
 
 /**
  * Provider component that manages WebSocket connections and real-time communication
- * Handles authentication, connection state, and security alerts
+ * Handles authentication, connection state, security alerts and sessions revoked from another device
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
  * @returns {React.ReactElement} Socket context provider
@@ -29,19 +31,31 @@ export const SocketProvider = ({ children }) => {
   const [socket, setSocket] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [securityAlerts, setSecurityAlerts] = useState([]);
-  const { user, isAuthenticated, logout } = useAuth();
+  const { user, isAuthenticated, logout, sessionId } = useAuth();
 
   /**
    * Manages WebSocket lifecycle based on authentication state
    */
   useEffect(() => {
-    if (isAuthenticated && user) {
-      const newSocket = io('http://localhost:5000', {
-        auth: { token: localStorage.getItem('token') }
+    // The mock backend has no socket server, so stay disconnected instead of retrying forever
+    if (isAuthenticated && user && !isMockApi()) {
+      const newSocket = io(getWsUrl(), {
+        // Called on every (re)connect, so a reconnect after the access token expired shares the API
+        // client's refresh instead of handshaking with a stale token
+        auth: (callback) => {
+          tokenStorage.getFreshAccessToken()
+            .then(token => callback({ token, sessionId }))
+            .catch(() => callback({ sessionId }));
+        }
       });
 
+      // Whether the handshake was already retried with a refreshed token since the last connect
+      let retriedAuth = false;
+      let active = true;
+
       // Handle successful connection
       newSocket.on('connect', () => {
+        retriedAuth = false;
         setIsConnected(true);
         newSocket.emit('join_user_room', user.id);
       });
@@ -52,9 +66,34 @@ export const SocketProvider = ({ children }) => {
       });
 
       // Handle connection errors (especially authentication failures)
+      // A refused token may just have expired, so refresh once and reconnect; only a session that
+      // cannot be refreshed, or a fresh token that is refused too, signs the user out
       newSocket.on('connect_error', (error) => {
-        if (error.message.includes('auth') || error.message.includes('401')) {
+        if (!error.message.includes('auth') && !error.message.includes('401')) {
+          return;
+        }
+        if (retriedAuth) {
           logout('Socket authentication failed');
+          return;
+        }
+        retriedAuth = true;
+        tokenStorage.refresh()
+          .then(() => {
+            if (active) newSocket.connect();
+          })
+          .catch((refreshError) => {
+            // After a network failure the session may still be valid; the API client decides then
+            if (active && refreshError.response) {
+              logout('Socket authentication failed');
+            }
+          });
+      });
+
+      // Sessions signed out elsewhere; an event without a session ID means every session
+      newSocket.on('session_revoked', (payload) => {
+        const revoked = payload?.sessionIds || (payload?.sessionId ? [payload.sessionId] : null);
+        if (!revoked || revoked.includes(sessionId)) {
+          logout('Session revoked');
         }
       });
 
@@ -75,6 +114,7 @@ export const SocketProvider = ({ children }) => {
 
       // Cleanup function to disconnect socket when component unmounts or dependencies change
       return () => {
+        active = false;
         if (newSocket) {
           newSocket.disconnect();
         }
@@ -87,7 +127,7 @@ export const SocketProvider = ({ children }) => {
         setIsConnected(false);
       }
     }
-  }, [isAuthenticated, user, logout]);
+  }, [isAuthenticated, user, logout, sessionId]);
 
   /**
    * Sends transaction data to server for real-time monitoring
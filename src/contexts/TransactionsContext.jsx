@@ -1,9 +1,12 @@
 // TransactionsContext.jsx
-import { createContext, useContext, useState } from 'react';
+import { createContext, useContext, useState, useRef, useCallback } from 'react';
 import { transactionsAPI } from '../services/api';
+import { recurringService } from '../services/recurringService';
 import { useAuthCheck } from '../hooks/useAuthCheck';
 import { useDataLoader } from '../hooks/useDataLoader';
 import { useSocket } from './SocketContext';
+import { useAuth } from './AuthContext';
+import { recordCategoryCorrection } from '../utils/ruleEngine';
 
 const TransactionsContext = createContext();
 
@@ -22,6 +25,8 @@ export const useTransactions = () => {
 
 /**
  * Provider component that manages transactions state and operations with real-time monitoring
+ * Providers further down the tree can subscribe to newly created transactions (manual entry and
+ * processed recurring transactions) with `onTransactionsCreated`, e.g. to allocate income to goals.
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
  * @returns {React.ReactElement} Transactions context provider
@@ -32,17 +37,44 @@ export const TransactionsProvider = ({ children }) => {
     transactions: [] // This initial state won't be used since we manage transactions separately
   });
   const { socket, isConnected } = useSocket();
+  const { user } = useAuth();
 
   const [transactions, setTransactions] = useState([]);
+  const createdListeners = useRef(new Set());
+
+  /**
+   * Subscribes to transactions created by this provider
+   * @param {Function} listener - Called with an array of created transactions
+   * @returns {Function} Unsubscribe function
+   */
+  const onTransactionsCreated = useCallback((listener) => {
+    createdListeners.current.add(listener);
+    return () => createdListeners.current.delete(listener);
+  }, []);
+
+  /**
+   * Tells subscribers about newly created transactions
+   * A failing subscriber is logged and never fails the transaction itself.
+   * @private
+   */
+  const notifyTransactionsCreated = (created) => {
+    if (!created.length) return;
+    createdListeners.current.forEach(listener => {
+      Promise.resolve()
+        .then(() => listener(created))
+        .catch(err => console.error('Transaction listener failed:', err));
+    });
+  };
 
   /**
    * Default transaction object template for form initialization
+   * Forms fill in the category from CategoriesContext, which is loaded after this provider
    * @type {Object}
    */
   const defaultTransaction = {
     amount: '',
     type: 'expense',
-    category: 'Food',
+    category: '',
     date: new Date().toISOString().split('T')[0],
     description: ''
   };
@@ -94,11 +126,18 @@ export const TransactionsProvider = ({ children }) => {
       
       // Refresh the entire transactions list to maintain data consistency
       await loadTransactions();
+
+      // Entries queued while offline are not announced: acting on them needs the server too
+      if (!response._pendingSync) {
+        notifyTransactionsCreated([response]);
+      }
       
       return {
         success: true,
         data: response,
-        warning: response.warning
+        warning: response.warning,
+        // Saved locally while the server is unreachable; synced later
+        queued: Boolean(response._pendingSync)
       };
     } catch (error) {
       // Handle budget errors from backend
@@ -132,17 +171,71 @@ export const TransactionsProvider = ({ children }) => {
   return result;
 };
 
+  /**
+   * Creates many transactions at once (statement import) and reloads the list a single time
+   * @param {Array<Object>} transactionsData - Transactions to create
+   * @param {Function} [onProgress] - Progress callback receiving (completed, total)
+   * @returns {Promise<Object>} Result with created and failed entries
+   */
+  const importTransactions = async (transactionsData, onProgress) => {
+    requireAuthSilent();
+
+    const result = await executeAsync(async () => {
+      const outcome = await transactionsAPI.createBulk(transactionsData, onProgress);
+      await loadTransactions();
+      return outcome;
+    }, { showLoading: false });
+
+    return result;
+  };
+
+  /**
+   * Creates the transactions that recurring schedules have made due and announces them to subscribers
+   * Schedules without auto-approve are returned as pending instead.
+   * @returns {Promise<Object>} Result with the processed count, created transactions and pending approvals
+   */
+  const processRecurringTransactions = async () => {
+    requireAuthSilent();
+
+    const result = await executeAsync(async () => {
+      const outcome = await recurringService.processDueTransactions();
+      const created = Array.isArray(outcome?.transactions) ? outcome.transactions : [];
+      if (created.length > 0) {
+        await loadTransactions();
+        notifyTransactionsCreated(created);
+      }
+      return {
+        processed: created.length,
+        transactions: created,
+        pendingApproval: outcome?.pendingApproval || []
+      };
+    }, { showLoading: false });
+
+    return result;
+  };
+
   /**
    * Updates an existing transaction
+   * A category change made by the user is remembered so categorization rules can be suggested.
    * @param {string} id - Transaction ID
    * @param {Object} transactionData - Updated transaction data
+   * @param {Object} [options] - Update options
+   * @param {boolean} [options.learn=true] - Record a category change as a user correction (off for rule-driven updates)
    * @returns {Promise<Object>} Updated transaction object
    */
-  const updateTransaction = async (id, transactionData) => {
+  const updateTransaction = async (id, transactionData, { learn = true } = {}) => {
     requireAuthSilent();
     
     const result = await executeAsync(async () => {
+      const previous = transactions.find(tx => tx.id === id);
       const updatedTransaction = await transactionsAPI.update(id, transactionData);
+      if (learn && previous && transactionData.category !== undefined) {
+        recordCategoryCorrection(user?.id, {
+          description: updatedTransaction?.description ?? previous.description,
+          from: previous.category,
+          to: transactionData.category
+        });
+      }
       setTransactions(prev => 
         prev.map(tx => tx.id === id ? updatedTransaction : tx)
       );
@@ -211,8 +304,11 @@ export const TransactionsProvider = ({ children }) => {
     // Operations
     loadTransactions,
     createTransaction,
+    importTransactions,
+    processRecurringTransactions,
     updateTransaction,
     deleteTransaction,
+    onTransactionsCreated,
     
     // Queries
     getTransactionById,
@@ -1,23 +1,31 @@
 // index.jsx
 import React from 'react';
+import { I18nProvider } from './I18nContext';
 import { AuthProvider } from './AuthContext';
+import { CurrencyProvider } from './CurrencyContext';
 import { SocketProvider } from './SocketContext';
 import { TransactionsProvider } from './TransactionsContext';
 import { AccountsProvider } from './AccountsContext';
 import { BudgetsProvider } from './BudgetsContext';
+import { CategoriesProvider } from './CategoriesContext';
 import { GoalsProvider } from './GoalsContext';
 import { DebtProvider } from './DebtContext';
 import { TransactionMoodProvider } from './TransactionMoodContext';
+import { RulesProvider } from './RulesContext';
 import { DashboardProvider } from './DashboardContext';
 
 /**
  * Main provider component that wraps all application context providers
  * Providers are nested in a specific order based on dependencies:
- * 1. AuthProvider - Required by most other providers for authentication checks
- * 2. SocketProvider - Depends on authentication for WebSocket connections
- * 3. Data providers (Transactions, Accounts, Budgets, Goals, Debt) - Independent of each other
- * 4. TransactionMoodProvider - Depends on TransactionContext for mood analysis
- * 5. DashboardProvider - Depends on ALL data providers for aggregated analytics
+ * 1. I18nProvider - Language and formatting, needed before anything renders text
+ * 2. AuthProvider - Required by most other providers for authentication checks
+ * 3. CurrencyProvider - Base currency and exchange rates, stored per signed-in user
+ * 4. SocketProvider - Depends on authentication for WebSocket connections
+ * 5. Data providers (Transactions, Accounts, Budgets, Goals, Debt) - Goals and Debt read Accounts; otherwise independent
+ * 6. CategoriesProvider - After Transactions and Budgets, which it reloads when a rename or merge re-tags them
+ * 7. TransactionMoodProvider - Depends on TransactionContext for mood analysis
+ * 8. RulesProvider - Categorization rules, which update transactions and attach moods
+ * 9. DashboardProvider - Depends on ALL data providers for aggregated analytics
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components
@@ -25,35 +33,47 @@ import { DashboardProvider } from './DashboardContext';
  */
 export function AllProviders({ children }) {
   return (
-    <AuthProvider>
-      <SocketProvider>
-        <TransactionsProvider>
-          <AccountsProvider>
-            <BudgetsProvider>
-              <GoalsProvider>
-                <DebtProvider>
-                  <TransactionMoodProvider>
-                    <DashboardProvider>
-                      {children}
-                    </DashboardProvider>
-                  </TransactionMoodProvider>
-                </DebtProvider>
-              </GoalsProvider>
-            </BudgetsProvider>
-          </AccountsProvider>
-        </TransactionsProvider>
-      </SocketProvider>
-    </AuthProvider>
+    <I18nProvider>
+      <AuthProvider>
+        <CurrencyProvider>
+          <SocketProvider>
+            <TransactionsProvider>
+              <AccountsProvider>
+                <BudgetsProvider>
+                  <CategoriesProvider>
+                    <GoalsProvider>
+                      <DebtProvider>
+                        <TransactionMoodProvider>
+                          <RulesProvider>
+                            <DashboardProvider>
+                              {children}
+                            </DashboardProvider>
+                          </RulesProvider>
+                        </TransactionMoodProvider>
+                      </DebtProvider>
+                    </GoalsProvider>
+                  </CategoriesProvider>
+                </BudgetsProvider>
+              </AccountsProvider>
+            </TransactionsProvider>
+          </SocketProvider>
+        </CurrencyProvider>
+      </AuthProvider>
+    </I18nProvider>
   );
 }
 
 // Re-export all context hooks for centralized imports
+export { useI18n } from './I18nContext';
 export { useAuth } from './AuthContext';
+export { useCurrency } from './CurrencyContext';
 export { useSocket } from './SocketContext';
 export { useTransactions } from './TransactionsContext';
 export { useAccounts } from './AccountsContext';
 export { useBudgets } from './BudgetsContext';
+export { useCategories } from './CategoriesContext';
 export { useGoals } from './GoalsContext';
 export { useDebt } from './DebtContext';
 export { useTransactionMood } from './TransactionMoodContext';
+export { useRules } from './RulesContext';
 export { useDashboard } from './DashboardContext';
\ No newline at end of file
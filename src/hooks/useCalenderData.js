@@ -1,6 +1,6 @@
 // useCalendarData.js
 import { useState, useEffect, useCallback } from 'react';
-import { useTransactions } from '../contexts/TransactionsContext';
+import { useDashboard } from '../contexts/DashboardContext';
 
 /**
  * Custom hook for processing transaction data into calendar-based structures
@@ -23,7 +23,8 @@ import { useTransactions } from '../contexts/TransactionsContext';
  * const marchData = getMonthlySummary(2024, 3);
  */
 export const useCalendarData = () => {
-  const { transactions } = useTransactions();
+  // Amounts are in the base currency so daily aggregates can be summed
+  const { baseTransactions: transactions } = useDashboard();
   const [calendarData, setCalendarData] = useState({});
   const [selectedDate, setSelectedDate] = useState(null);
   const [loading, setLoading] = useState(true);
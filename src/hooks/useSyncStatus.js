@@ -0,0 +1,38 @@
+// useSyncStatus.js
+import { useState, useEffect, useCallback } from 'react';
+import { offlineSync } from '../services/offlineSync';
+
+/**
+ * Subscribes to the offline sync layer
+ * Exposes connectivity, queued changes and conflicts for status indicators
+ *
+ * @returns {Object} Sync utilities including:
+ *   - online: Whether the API server was reachable on the last request
+ *   - syncing: Whether queued changes are being replayed
+ *   - pending: Queued mutations waiting to be sent
+ *   - conflicts: Queued mutations parked because of a conflict or rejection
+ *   - lastSyncedAt: ISO timestamp of the last completed sync run
+ *   - syncNow: Replays the queue immediately
+ *   - resolveConflict: Keeps ('keep-local') or discards ('discard') a parked change
+ *
+ * @example
+ * const { pending, syncNow } = useSyncStatus();
+ */
+export const useSyncStatus = () => {
+  const [state, setState] = useState(() => offlineSync.getState());
+
+  useEffect(() => offlineSync.subscribe(setState), []);
+
+  const syncNow = useCallback(() => offlineSync.sync(), []);
+
+  const resolveConflict = useCallback(
+    (mutationId, resolution) => offlineSync.resolveConflict(mutationId, resolution),
+    []
+  );
+
+  return {
+    ...state,
+    syncNow,
+    resolveConflict
+  };
+};
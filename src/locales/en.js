@@ -0,0 +1,979 @@
+//en.js
+// English message catalog. This is the fallback for keys missing from other catalogs.
+// Plural messages are objects keyed by Intl.PluralRules category (zero, one, other, ...).
+
+const en = {
+  common: {
+    loading: 'Loading...',
+    cancel: 'Cancel',
+    save: 'Save',
+    delete: 'Delete',
+    total: 'Total',
+    transactionCount: {
+      zero: 'No transactions',
+      one: '{count} transaction',
+      other: '{count} transactions'
+    }
+  },
+
+  nav: {
+    dashboard: 'Dashboard',
+    dashboardTitle: 'Dashboard title',
+    home: 'Home',
+    analytics: 'Analytics',
+    budgets: 'Budgets',
+    envelopes: 'Envelopes',
+    goals: 'Goals',
+    transactions: 'Transactions',
+    accounts: 'Accounts',
+    debts: 'Debt Management',
+    scenarios: 'What-if',
+    security: 'Security',
+    navigateTo: 'Navigate to {name}'
+  },
+
+  menu: {
+    account: 'Account',
+    accountMenu: 'Account menu',
+    session: 'Session: {time}',
+    sessionLabel: 'Current session duration: {time}',
+    mainPage: 'Go to Main Page',
+    settings: 'Account Settings',
+    backup: 'Backup & Restore',
+    currency: 'Currency',
+    categories: 'Categories',
+    rules: 'Rules',
+    developerSettings: 'Developer Settings',
+    logout: 'Logout',
+    logoutLabel: 'Log out of your account',
+    language: 'Language',
+    weekStart: 'Week starts on',
+    weekStartDefault: 'Locale default ({day})'
+  },
+
+  categories: {
+    Food: 'Food',
+    Travel: 'Travel',
+    Entertainment: 'Entertainment',
+    Rent: 'Rent',
+    Utilities: 'Utilities',
+    Shopping: 'Shopping',
+    Healthcare: 'Healthcare',
+    Other: 'Other',
+    Uncategorized: 'Uncategorized'
+  },
+
+  home: {
+    title: 'Financial Dashboard',
+    loading: 'Loading your financial dashboard...',
+    error: 'Error loading dashboard',
+    totalBalance: 'Total Balance',
+    income: 'Income',
+    expenses: 'Expenses'
+  },
+
+  transactions: {
+    loading: 'Loading transactions...',
+    title: 'Transactions',
+    import: 'Import',
+    add: 'Add Transaction',
+    addTitle: 'Add New Transaction',
+    closeForm: 'Close form',
+    type: 'Type',
+    income: 'Income',
+    expense: 'Expense',
+    transfer: 'Transfer',
+    transferFrom: 'From account',
+    transferTo: 'To account',
+    transferChoose: 'Choose an account',
+    transferLinked: 'Linked transfer',
+    transferToDebt: 'Debt payment',
+    transferUnknownAccount: 'Unknown account',
+    amount: 'Amount',
+    category: 'Category',
+    date: 'Date',
+    dateHint: 'Select today or a past date (future dates not allowed)',
+    account: 'Account',
+    noAccount: 'No account',
+    currency: 'Currency',
+    description: 'Description',
+    descriptionPlaceholder: 'Transaction description',
+    noDescription: 'No description',
+    noDate: 'No date',
+    searchPlaceholder: 'Search transactions by description, category, or amount...',
+    emptySearch: 'No transactions match your search.',
+    empty: 'No transactions found. Add your first transaction to get started.',
+    deleteConfirm: 'Are you sure you want to delete this transaction?',
+    deleteTitle: 'Delete transaction',
+    flagged: 'Flagged for review',
+    suspicious: 'Suspicious',
+    budgetBlocked: 'Blocked: This transaction exceeds your budget limit',
+    budgetWarning: 'Warning: Will exceed budget but allowed',
+    budgetOk: 'Within budget limits',
+    ruleApplied: 'Rules: {rules}',
+    split: 'Split',
+    splitTitle: 'Split across categories',
+    splitAddLine: 'Add line',
+    splitRemoveLine: 'Remove line',
+    splitNotePlaceholder: 'Note (optional)',
+    splitFill: 'Fill remaining',
+    splitRemaining: '{amount} left to assign',
+    splitOver: '{amount} over the total',
+    splitBalanced: 'Lines add up to the total',
+    splitUndo: 'Use one category',
+    splitSave: 'Save split',
+    showing: {
+      one: 'Showing {count} transaction',
+      other: 'Showing {count} transactions'
+    }
+  },
+
+  calendar: {
+    title: 'Spending Calendar',
+    back: 'Back to Transactions',
+    previousMonth: 'Previous month',
+    nextMonth: 'Next month',
+    emptyCell: 'Empty calendar cell',
+    noTransactions: 'No transactions on this day',
+    netFlow: 'Net Flow:',
+    transactionsFor: 'Transactions for {date}',
+    lowSpending: 'Low Spending',
+    highSpending: 'High Spending',
+    income: 'Income',
+    loadError: 'Unable to load transaction data. Please try again later.'
+  },
+
+  notifications: {
+    title: 'Notifications',
+    loadError: 'Unable to load notification data. Please try again later.',
+    newCount: '{count} new',
+    empty: 'No notifications',
+    allCaughtUp: "You're all caught up!",
+    billDueTitle: 'Bill Due Soon',
+    billDue: {
+      one: '{name} of {amount} due in {count} day',
+      other: '{name} of {amount} due in {count} days'
+    },
+    goalNearTitle: 'Goal Almost Reached!',
+    goalNear: '{name} is {progress}% complete - only {amount} to go',
+    goalDeadlineTitle: 'Goal Deadline Approaching',
+    goalDeadline: {
+      one: '{name} deadline in {count} day. {progress}% complete',
+      other: '{name} deadline in {count} days. {progress}% complete'
+    },
+    goalCompletedTitle: 'Goal Completed! 🎉',
+    goalCompleted: "Congratulations! You've reached your {name} goal",
+    budgetWarningTitle: 'Budget Nearly Exceeded',
+    budgetWarning: '{category} budget is {percentage}% used. {amount} remaining',
+    budgetExceededTitle: 'Budget Exceeded',
+    budgetExceeded: '{category} budget exceeded by {amount}'
+  },
+
+  envelopes: {
+    leftToAssign: 'Only {amount} is left to assign',
+    availableIn: 'Only {amount} is available in {category}',
+    title: 'Envelope Budgeting',
+    setupSubtitle: 'Give every unit of income a job before you spend it',
+    subtitle: 'Assign every unit of income until nothing is left to assign',
+    toBeAssigned: 'To be assigned',
+    introIncomeBefore: 'Income you receive goes into',
+    introIncomeAfter: '. You move it into an envelope for each category until To be assigned reaches zero, and spending comes out of those envelopes.',
+    introMoving: "Money can be moved between envelopes at any time. When an envelope is overspent, cover it from another one; anything left uncovered comes out of next month's To be assigned.",
+    introTargets: 'Your category budgets act as targets, and their rollover policy decides how much leftover money stays in the envelope.',
+    startIn: 'Start in',
+    startingBalance: 'Money you already have',
+    useAccountBalances: 'Use account balances ({amount})',
+    start: 'Start envelope budgeting',
+    savedLocally: 'Envelopes are saved in this browser.',
+    disableConfirm: 'Turn off envelope budgeting? Your assignments and transfer history are kept.',
+    turnOff: 'Turn off',
+    previousMonth: 'Previous month',
+    nextMonth: 'Next month',
+    allAssigned: 'Every unit of income has a job.',
+    assignBelow: 'Assign this to envelopes below.',
+    overAssigned: 'More is assigned than you have. Take money back out of an envelope.',
+    incomeThisMonth: 'Income this month:',
+    assignedThisMonth: 'Assigned this month:',
+    spentThisMonth: 'Spent this month:',
+    assignTargets: 'Assign budget targets',
+    targetsMet: 'Every budget target is already met',
+    nothingToAssign: 'There is nothing left to assign',
+    targetsAssigned: {
+      one: 'Assigned budget targets to {count} envelope',
+      other: 'Assigned budget targets to {count} envelopes'
+    },
+    nowAssigned: '{category} now has {amount} assigned',
+    noMoneyToCover: '{source} has no money to cover {category}',
+    covered: 'Covered {amount} of {category} overspending',
+    moved: 'Moved {amount} from {from} to {to}',
+    overspent: 'Overspent envelopes',
+    overspentHint: 'Cover each one from another envelope or from To be assigned.',
+    over: '{amount} over',
+    coverFrom: 'Cover {category} from',
+    withBalance: '{name} ({amount})',
+    cover: 'Cover',
+    envelopes: 'Envelopes',
+    envelope: 'Envelope',
+    carriedIn: 'Carried in',
+    assigned: 'Assigned',
+    spent: 'Spent',
+    available: 'Available',
+    target: 'Target {amount}',
+    toGo: ' • {amount} to go',
+    assignedTo: 'Assigned to {category}',
+    changeAssigned: 'Change the amount assigned',
+    moveMoney: 'Move money',
+    from: 'From',
+    to: 'To',
+    chooseEnvelope: 'Choose an envelope',
+    amount: 'Amount',
+    note: 'Note',
+    optional: 'Optional',
+    move: 'Move',
+    history: 'Transfer history',
+    allMonths: 'All months',
+    noHistory: 'No assignments or transfers yet.',
+    noHistoryIn: 'No assignments or transfers in {month}.',
+    kinds: {
+      assign: 'Assigned',
+      unassign: 'Returned to To be assigned',
+      move: 'Moved',
+      cover: 'Covered overspending'
+    },
+    recorded: '{month} budget • recorded {date}'
+  },
+
+  time: {
+    justNow: 'Just now',
+    minutesAgo: '{count}m ago',
+    hoursAgo: '{count}h ago',
+    yesterday: 'Yesterday',
+    daysAgo: '{count}d ago',
+    weeksAgo: '{count}w ago',
+    monthsAgo: '{count}mo ago',
+    yearsAgo: '{count}y ago',
+    unknown: 'Unknown time'
+  },
+
+  settings: {
+    title: 'Account settings',
+    subtitle: 'Manage your profile and how you sign in',
+    requestFailed: 'Something went wrong',
+    profile: 'Profile',
+    name: 'Name',
+    email: 'Email'
+  },
+
+  twoFactor: {
+    title: 'Two-factor authentication',
+    on: 'On',
+    off: 'Off',
+    description: 'After your password, sign-in asks for a {digits}-digit code from an authenticator app such as Google Authenticator, 1Password or Authy.',
+    loadError: 'Could not load two-factor settings',
+    unsupported: 'Your server does not support two-factor authentication.',
+    setUp: 'Set up two-factor authentication',
+    scanStep: 'Scan the QR code with your authenticator app.',
+    codeStep: 'Enter the {digits}-digit code the app shows to finish.',
+    qrAlt: 'QR code for your authenticator app',
+    manualKey: "Can't scan it? Enter this key instead:",
+    code: 'Verification code',
+    turnOn: 'Turn on',
+    turnOff: 'Turn off',
+    turnedOnNotice: 'Two-factor authentication is on',
+    turnedOffNotice: 'Two-factor authentication is off',
+    turnedOn: 'Turned on',
+    codesLeft: 'Recovery codes left',
+    rememberedDevices: 'Remembered devices',
+    rememberedUntil: 'until {date}',
+    newCodes: 'New recovery codes',
+    newCodesNotice: 'New recovery codes generated',
+    forgetDevices: 'Forget remembered devices',
+    devicesForgotten: 'Remembered devices forgotten',
+    confirmDisable: 'Enter your password and a code from your authenticator app (or a recovery code) to turn off two-factor authentication.',
+    confirmRegenerate: 'Enter your password to replace your recovery codes. The old codes stop working.',
+    password: 'Password',
+    anyCode: 'Authenticator or recovery code',
+    generateCodes: 'Generate new codes',
+    saveCodes: 'Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator, and they will not be shown again.',
+    copy: 'Copy',
+    copied: 'Copied',
+    download: 'Download',
+    codesSaved: 'I have saved them',
+    codesFileTitle: 'Evercrest recovery codes for {email}',
+    challengeTitle: 'Two-step verification',
+    challengeApp: 'Enter the code from your authenticator app',
+    challengeRecovery: 'Enter one of your recovery codes and your password',
+    rememberDevice: {
+      one: 'Remember this device for {count} day',
+      other: 'Remember this device for {count} days'
+    },
+    recoveryCode: 'Recovery code',
+    passwordAgain: 'Enter your password again',
+    recoveryCodeOnce: 'Each recovery code works once.',
+    verifying: 'Verifying...',
+    verify: 'Verify',
+    useRecoveryCode: 'Use a recovery code instead',
+    useApp: 'Use your authenticator app instead',
+    backToSignIn: 'Back to sign in'
+  },
+
+  sessions: {
+    title: 'Sessions & devices',
+    subtitle: 'Where your account is signed in',
+    settingsHint: 'See where you are signed in and sign out devices you do not recognise',
+    manage: 'Manage sessions',
+    loadError: 'Could not load sessions',
+    refresh: 'Refresh',
+    revokeOthers: 'Sign out all other sessions',
+    revokeOthersConfirm: 'Sign out every other session? Those devices will need to sign in again.',
+    revokeOthersError: 'Could not sign out the other sessions',
+    revokedOthers: {
+      zero: 'No other sessions were signed in',
+      one: 'Signed out {count} other session',
+      other: 'Signed out {count} other sessions'
+    },
+    revoked: 'Signed out {device}',
+    revokeError: 'Could not sign out the session',
+    unsupported: 'Your server does not report active sessions.',
+    empty: 'No active sessions.',
+    deviceFallback: '{browser} on {os}',
+    thisDevice: 'This device',
+    unknownLocation: 'Unknown location',
+    activeNow: 'Active now',
+    lastSeen: 'Last seen {time}',
+    signedIn: 'Signed in {date}',
+    signingOut: 'Signing out...',
+    signOut: 'Sign out',
+    revoke: 'Revoke'
+  },
+
+  sessionTimeout: {
+    title: 'Session timeout',
+    description: 'You are signed out after a period without activity in any tab, and in any case once a session reaches its maximum length. A warning appears a minute before either. Applies to this browser.',
+    idle: 'Sign out after inactivity',
+    absolute: 'Maximum session length',
+    saved: 'Session timeout saved',
+    minutes: {
+      one: '{value} minute',
+      other: '{value} minutes'
+    },
+    hours: {
+      one: '{value} hour',
+      other: '{value} hours'
+    },
+    days: {
+      one: '{value} day',
+      other: '{value} days'
+    },
+    warningTitle: 'You will be signed out',
+    idleWarning: 'You have been inactive for a while. For your security, you will be signed out in',
+    absoluteWarning: 'Your session has reached its maximum length. Sign in again to continue. Signing out in',
+    signOutNow: 'Sign out now',
+    staySignedIn: 'Stay signed in'
+  },
+
+  email: {
+    notVerified: 'Not verified',
+    verified: 'Verified',
+    pendingChange: 'Changing to {email} once you open the link sent there',
+    resend: 'Resend verification link',
+    change: 'Change email',
+    mockNoEmail: 'The mock backend sends no email.',
+    openVerificationLink: 'Open the verification link',
+    changeHint: 'We will send a link to the new address. Your email changes once you open it.',
+    newAddress: 'New email address',
+    sendLink: 'Send link',
+    linkSent: 'Verification link sent',
+    confirmChange: 'Confirm the change from the link sent to {email}',
+    verifyTitle: 'Email verification',
+    verifying: 'Verifying your email address...',
+    addressVerified: '{email} is verified',
+    yourAddressVerified: 'Your email address is verified',
+    invalidLink: 'This verification link is invalid or has expired',
+    notSent: 'Your server does not send verification emails',
+    resendError: 'Could not send a new link',
+    sending: 'Sending...',
+    sendNewLink: 'Send a new link',
+    signInToResend: 'Sign in to send yourself a new link from Account Settings.',
+    mockBackend: 'mock backend',
+    openLink: 'open the link',
+    goToDashboard: 'Go to dashboard',
+    signIn: 'Sign in'
+  },
+
+  password: {
+    title: 'Password',
+    changeHint: 'Changing your password signs out every other device. Forgot it?',
+    resetByEmail: 'Reset it by email',
+    current: 'Current password',
+    new: 'New password',
+    confirm: 'Confirm new password',
+    mismatch: 'Passwords do not match',
+    change: 'Change password',
+    changed: {
+      zero: 'Password changed',
+      one: 'Password changed. Signed out {count} other session',
+      other: 'Password changed. Signed out {count} other sessions'
+    },
+    strength: 'Password strength: {level}',
+    strengthLevels: {
+      veryWeak: 'Very weak',
+      weak: 'Weak',
+      fair: 'Fair',
+      strong: 'Strong',
+      veryStrong: 'Very strong'
+    },
+    forgotTitle: 'Reset your password',
+    forgotPrompt: 'Enter your account email and we will send you a reset link',
+    checkInbox: 'Check your inbox',
+    resetLinkSent: 'If an account uses that email, a reset link is on its way',
+    nothingArrived: 'Nothing at {email} after a few minutes? Check your spam folder or try again.',
+    openResetLink: 'Open the reset link',
+    differentEmail: 'Use a different email',
+    emailLabel: 'Email Address',
+    emailPlaceholder: 'Enter your email',
+    sending: 'Sending...',
+    sendResetLink: 'Send reset link',
+    sendError: 'Could not send the reset link. Please try again.',
+    backToSignIn: 'Back to sign in',
+    resetTitle: 'Choose a new password',
+    resetFor: 'For {email}',
+    invalidResetLink: 'This reset link is invalid or has expired',
+    requestNewLink: 'Request a new link',
+    newPlaceholder: 'Enter a new password',
+    confirmPlaceholder: 'Enter it again',
+    show: 'Show password',
+    hide: 'Hide password',
+    signsOutEverywhere: 'Every device signed in to your account will be signed out.',
+    saving: 'Saving...',
+    setNew: 'Set new password',
+    resetDone: 'Password updated. Sign in with your new password',
+    resetError: 'Could not reset the password. Please try again.'
+  },
+
+  rules: {
+    title: 'Categorization Rules',
+    subtitle: 'Categorize, tag and flag transactions automatically as they are added or imported',
+    runOnExisting: 'Run on existing',
+    allRules: 'all rules',
+    newRule: 'New rule',
+    editRule: 'Edit rule',
+    localOnly: 'This server does not store rules yet. Your rules are saved in this browser only.',
+    closeEditor: 'Close rule editor',
+    name: 'Rule name',
+    priority: 'Priority',
+    priorityHint: 'Lower numbers run first',
+    whenMatches: 'When a transaction matches all of',
+    descriptionContains: 'Description contains',
+    descriptionRegex: 'Description matches regex, e.g. ^(uber|lyft)',
+    minAmount: 'Min amount',
+    maxAmount: 'Max amount',
+    anyAccount: 'Any account',
+    anyType: 'Income or expense',
+    then: 'Then',
+    setCategory: 'Set category',
+    keepCategory: 'Keep category',
+    tagsPlaceholder: 'Add tags, comma separated',
+    attachMood: 'Attach mood',
+    noMood: 'No mood',
+    markRecurring: 'Mark as recurring',
+    save: 'Save rule',
+    saved: 'Rule "{name}" saved',
+    saveError: 'Could not save the rule',
+    deleteConfirm: 'Delete the rule "{name}"? Transactions it already changed keep their values.',
+    deleted: 'Rule "{name}" deleted',
+    deleteError: 'Could not delete the rule',
+    updateError: 'Could not update the rule',
+    created: 'Rule "{name}" created',
+    createError: 'Could not create the rule',
+    updated: {
+      one: '{count} transaction updated',
+      other: '{count} transactions updated'
+    },
+    updateFailed: {
+      one: '{count} transaction could not be updated: {error}',
+      other: '{count} transactions could not be updated: {error}'
+    },
+    previewTitle: 'Preview: {label}',
+    wouldChange: {
+      zero: 'No existing transactions would change.',
+      one: '{count} transaction would change',
+      other: '{count} transactions would change'
+    },
+    applying: 'Applying {completed}/{total}...',
+    apply: {
+      one: 'Apply {count} change',
+      other: 'Apply {count} changes'
+    },
+    close: 'Close',
+    otherChanges: 'Other changes',
+    rulesColumn: 'Rules',
+    recurring: 'recurring',
+    suggestedTitle: 'Suggested rules',
+    suggestedHint: 'Based on categories you changed by hand.',
+    corrected: {
+      one: 'Corrected {count} time, e.g. {examples}',
+      other: 'Corrected {count} times, e.g. {examples}'
+    },
+    createRule: 'Create rule',
+    dismiss: 'Dismiss',
+    yourRules: 'Your rules',
+    empty: 'No rules yet. Create one, or accept a suggestion once you have corrected a few categories.',
+    priorityValue: 'priority {priority}',
+    ifConditions: 'If {conditions}',
+    thenActions: 'Then {actions}',
+    enabled: 'Enabled',
+    runNamed: 'Run {name} on existing transactions',
+    editNamed: 'Edit {name}',
+    deleteNamed: 'Delete {name}',
+    conditionContains: 'description contains "{text}"',
+    conditionRegex: 'description matches /{pattern}/',
+    conditionMin: 'amount ≥ {amount}',
+    conditionMax: 'amount ≤ {amount}',
+    conditionAccount: 'account is {account}',
+    conditionType: 'type is {type}',
+    conditionJoin: ' and ',
+    actionCategory: 'category {category}',
+    actionTags: 'tags {tags}',
+    actionRecurring: 'mark as recurring',
+    actionMood: 'mood {mood}',
+    moods: {
+      happy: 'Happy',
+      stressed: 'Stressed',
+      bored: 'Bored',
+      impulsive: 'Impulsive',
+      planned: 'Planned',
+      anxious: 'Anxious',
+      excited: 'Excited',
+      regretful: 'Regretful'
+    }
+  },
+
+  scenarios: {
+    title: 'What-if Planner',
+    subtitle: 'Try out changes on a copy of your data and see where they lead',
+    newScenario: 'New scenario',
+    noRecentData: 'There are no recent transactions yet, so income and spending start at zero. Add transactions to base the projection on your real figures.',
+    name: 'Scenario name',
+    namePlaceholder: 'e.g. New car and a raise',
+    projection: {
+      one: 'Projection: {count} month',
+      other: 'Projection: {count} months'
+    },
+    noChanges: 'No changes yet. The scenario matches the baseline.',
+    removeChange: 'Remove change',
+    changeType: 'Change type',
+    add: 'Add',
+    saveChanges: 'Save changes',
+    save: 'Save scenario',
+    saveAsNew: 'Save as new',
+    nameRequired: 'Give the scenario a name before saving',
+    saved: 'Saved "{name}"',
+    saveError: 'Could not save the scenario: {error}',
+    loaded: 'Loaded "{name}"',
+    deleteConfirm: 'Delete the scenario "{name}"?',
+    deleted: 'Deleted "{name}"',
+    savedTitle: 'Saved scenarios',
+    savedEmpty: 'Saved scenarios appear here.',
+    changeCount: {
+      one: '{count} change',
+      other: '{count} changes'
+    },
+    monthCount: {
+      one: '{count} month',
+      other: '{count} months'
+    },
+    open: 'Open {name}',
+    delete: 'Delete {name}',
+    never: 'Never',
+    healthScore: 'Health score',
+    monthlyIncome: 'Monthly income',
+    monthlyExpenses: 'Monthly expenses',
+    savingsRate: 'Savings rate',
+    cashAtEnd: 'Cash at end',
+    debtAtEnd: 'Debt at end',
+    debtInterest: 'Debt interest',
+    goalsOnTrack: 'Goals on track (of {count})',
+    baselineValue: 'Baseline {value}',
+    baselineNetWorth: 'Baseline net worth',
+    scenarioNetWorth: 'Scenario net worth',
+    netWorthOver: {
+      one: 'Net worth over {count} month',
+      other: 'Net worth over {count} months'
+    },
+    debtFree: 'Debt-free: {date} (baseline {baseline})',
+    basis: {
+      one: 'Based on average income and spending over the last {count} month.',
+      other: 'Based on average income and spending over the last {count} months.'
+    },
+    assumptions: 'Debt payments are assumed to be part of recorded spending; surplus funds goals by deadline, the rest stays as cash.',
+    goals: 'Goals',
+    goal: 'Goal',
+    deadline: 'Deadline',
+    baselineReached: 'Baseline reached',
+    scenarioReached: 'Scenario reached',
+    progressAtEnd: 'Progress at end',
+    notReached: 'Not reached',
+    noDeadline: 'No deadline',
+    budgetsUnderPressure: 'Budgets under pressure',
+    spentOfLimit: '{spent} / {limit} a month',
+    types: {
+      income: 'Change income',
+      budget: 'Change a category budget',
+      loan: 'Add a new loan',
+      goalDeadline: 'Move a goal deadline',
+      extraDebtPayment: 'Extra debt payment'
+    },
+    changeBy: 'Change by',
+    byPercent: 'By percent',
+    byAmount: 'By amount per month',
+    percentChange: 'Percent change',
+    monthlyChange: 'Monthly change',
+    incomeHint: 'Current average: {amount} a month. Use a negative value for a pay cut.',
+    chooseCategory: 'Choose a category',
+    monthlyLimit: 'Monthly limit',
+    budgetNow: '{category}: budget {budget} a month, spending {spending} a month.',
+    noBudgetNow: '{category}: no budget, spending {spending} a month.',
+    limitAssumption: 'Spending is assumed to keep to the new limit.',
+    loanName: 'Loan name',
+    interestRatePlaceholder: 'Interest rate %',
+    interestRate: 'Interest rate',
+    termPlaceholder: 'Term (months)',
+    term: 'Term in months',
+    paymentPlaceholder: 'Payment (optional)',
+    payment: 'Monthly payment',
+    paymentHint: 'Leave the payment empty to use the amortized payment for the term.',
+    chooseGoal: 'Choose a goal',
+    newDeadline: 'New deadline',
+    currentDeadline: 'Current deadline: {date}',
+    none: 'none',
+    extraPerMonth: 'Extra per month',
+    strategy: 'Strategy'
+  },
+
+  payoff: {
+    strategies: {
+      snowball: 'Snowball',
+      avalanche: 'Avalanche',
+      utilization: 'Highest utilization',
+      custom: 'Custom order',
+      minimum: 'Minimum payments'
+    },
+    strategyHints: {
+      snowball: 'Smallest balance first for quick wins',
+      avalanche: 'Highest interest rate first to save the most',
+      utilization: 'Highest balance relative to the original amount or limit first',
+      custom: 'Your own priority order',
+      minimum: 'Only the minimum on each debt, nothing rolled over'
+    },
+    title: 'Payoff Simulator',
+    subtitle: 'Minimums on every debt each month, with freed-up payments and any extra going to the next debt in line',
+    extraPayment: 'Extra monthly payment',
+    minimumsNeverClear: 'Paying only the minimums would not clear these debts within {years} years. Check that each minimum payment covers its monthly interest.',
+    lowestInterest: 'Lowest interest',
+    totalInterest: 'Total interest',
+    debtFree: 'Debt-free',
+    never: 'Never',
+    time: 'Time',
+    savedVsMinimums: 'Saved vs minimums',
+    savesBefore: '{strategy} saves',
+    savesAfter: 'in interest compared with {strategy}.',
+    monthsToDebtFree: 'Months to debt-free',
+    months: {
+      one: '{count} month',
+      other: '{count} months'
+    },
+    overMaxMonths: '{count}+ months',
+    yearsMonths: '{years}y {months}m',
+    customOrderHint: 'Extra money goes to the top debt first',
+    moveUp: 'Move {name} up',
+    moveDown: 'Move {name} down',
+    payoffOrder: 'Payoff order · {strategy}',
+    schedule: 'Amortization schedule',
+    scheduleFor: 'Schedule for',
+    allDebts: 'All debts',
+    unnamedDebt: 'Unnamed Debt',
+    month: 'Month',
+    payment: 'Payment',
+    interest: 'Interest',
+    principal: 'Principal',
+    balance: 'Balance',
+    showFirstYear: 'Show first year only',
+    showAllMonths: 'Show all {count} months'
+  },
+
+  goals: {
+    tracking: {
+      completed: 'Completed',
+      on_track: 'On track',
+      behind: 'Behind',
+      no_contributions: 'No recent contributions',
+      overdue: 'Deadline passed',
+      no_deadline: 'No deadline'
+    },
+    sources: {
+      manual: 'Manual',
+      auto_allocation: 'Income allocation',
+      allocation_rule: 'Allocation rule'
+    },
+    projected: 'Projected: {date}',
+    noProjection: 'No projection until you contribute',
+    currentPace: 'Current pace',
+    neededForDeadline: 'Needed to meet deadline',
+    perMonth: '{amount} / month',
+    noContributions: 'No contributions recorded yet.',
+    contributionsTo: 'Contributions to {name}',
+    contribution: 'Contribution',
+    history: 'History',
+    hideHistory: 'Hide history',
+    showHistoryFor: 'Show history for {name}',
+    hideHistoryFor: 'Hide history for {name}',
+    actual: 'Actual',
+    projectedPace: 'Projected at current pace',
+    requiredPace: 'Required to meet deadline'
+  },
+
+  allocation: {
+    title: 'Allocation rules',
+    subtitle: 'Move part of every qualifying paycheck into your goals automatically',
+    newRule: 'New rule',
+    localOnly: 'This server does not store allocation rules yet. Your rules are saved in this browser and only run here.',
+    statuses: {
+      active: 'Active',
+      paused: 'Paused',
+      completed: 'Goals reached',
+      idle: 'No open goals'
+    },
+    methods: {
+      weighted: 'By goal allocation %',
+      even: 'Evenly',
+      ordered: 'One at a time'
+    },
+    methodHints: {
+      weighted: 'Each goal gets a share proportional to its own allocation percentage (evenly if none are set)',
+      even: 'Every goal gets the same share',
+      ordered: 'Fill the first goal before moving on to the next (soonest deadline first when no goals are picked)'
+    },
+    triggerAmount: 'income of {amount} or more',
+    triggerAccount: 'into {account}',
+    removedAccount: 'a removed account',
+    triggerCategory: 'in {category}',
+    allActiveGoals: 'all active goals',
+    targets: '{percentage}% to {goals}, {method}',
+    saved: 'Allocation rule "{name}" saved',
+    saveError: 'Could not save the rule',
+    deleteConfirm: 'Delete the allocation rule "{name}"? Money it already moved stays in your goals.',
+    deleted: 'Allocation rule "{name}" deleted',
+    deleteError: 'Could not delete the rule',
+    updateError: 'Could not update the rule',
+    lastAllocated: '{amount} allocated automatically from new income',
+    lastAllocation: '{amount} → {goal} ({rule})',
+    targetReached: ' — target reached',
+    allocationsFailed: {
+      one: '{count} allocation failed: {error}',
+      other: '{count} allocations failed: {error}'
+    },
+    stoppedRules: 'Stopped because all their goals are funded: {rules}',
+    dismissSummary: 'Dismiss allocation summary',
+    editRule: 'Edit allocation rule',
+    newAllocationRule: 'New allocation rule',
+    closeEditor: 'Close rule editor',
+    namePlaceholder: 'Rule name, e.g. Paycheck savings',
+    whenIncomeArrives: 'When income arrives',
+    ofAtLeast: 'Of at least',
+    intoAccount: 'Into account',
+    anyAccount: 'Any account',
+    inCategory: 'In category',
+    anyCategory: 'Any category',
+    allocate: 'Allocate',
+    share: 'Share of the income (%)',
+    splitBetween: 'Split between goals',
+    goals: 'Goals',
+    goalsHint: 'Pick goals in the order they should be filled, or none to use every active goal. A cap limits what one income can add to a goal.',
+    noOpenGoals: 'No active goals need money right now.',
+    needs: 'needs {amount}',
+    weight: ' · {percentage}% weight',
+    noCap: 'No cap',
+    capFor: 'Cap per income for {name}',
+    previewIncome: 'Preview an income of',
+    belowMinimum: "This amount is below the rule's minimum, so the rule would not run.",
+    nothingAllocated: 'Nothing would be allocated with the current goals.',
+    previewTotal: '{allocated} of {pool} allocated',
+    capped: ' (cap)',
+    reachesTarget: ' (reaches target, then stops)',
+    unallocated: '{amount} stays in your account because the goals are capped or nearly funded',
+    save: 'Save rule',
+    empty: 'No allocation rules yet.',
+    when: 'When {trigger}',
+    move: 'Move {targets}',
+    active: 'Active',
+    editNamed: 'Edit {name}',
+    deleteNamed: 'Delete {name}'
+  },
+
+  budgetPerformance: {
+    back: 'Budgets',
+    title: 'Budget Performance',
+    subtitle: 'How each budget held up over its closed periods',
+    savedLocally: 'History is saved in this browser and built from the transactions it has loaded.',
+    updateError: 'Could not update the budget',
+    limitSet: '{name} limit set to {amount}',
+    emptyTitle: 'No closed periods yet',
+    emptyText: 'Performance appears here once a budget period ends.',
+    periodsTracked: 'Periods tracked',
+    withinBudget: 'Within budget',
+    onStreak: 'Budgets on a streak of 3+',
+    suggestions: 'Suggested limit adjustments',
+    raiseReason: 'Over budget in {over} of the last {count} periods',
+    lowerReason: 'Used under 70% of the limit in each of the last {count} periods',
+    applying: 'Applying...',
+    apply: 'Apply',
+    adherence: 'Adherence by budget',
+    budget: 'Budget',
+    periods: 'Periods',
+    withinLimit: 'Within limit',
+    streak: 'Streak',
+    bestStreak: 'Best streak',
+    averageSpent: 'Avg. spent',
+    averageOverspend: 'Avg. overspend',
+    lastPeriod: 'Last period',
+    heatmap: 'Months over budget',
+    noClosedPeriod: 'No closed period',
+    ofLimit: '{percentage} of limit',
+    periodsOver: ' ({over} of {count} periods over)',
+    legendUnder: 'Up to 80%',
+    legendNear: '80–100%',
+    legendOver: 'Over',
+    legendFarOver: 'Over by 25%+'
+  },
+
+  accounts: {
+    title: 'Accounts',
+    subtitle: 'Balances, ledgers and statement reconciliation',
+    add: 'Add account',
+    types: {
+      checking: 'Checking',
+      savings: 'Savings',
+      credit: 'Credit card',
+      cash: 'Cash',
+      investment: 'Investment',
+      loan: 'Loan'
+    },
+    nameRequired: 'Account name is required',
+    unknownType: 'Unknown account type',
+    openingBalanceInvalid: 'Opening balance must be a number',
+    editNamed: 'Edit {name}',
+    newAccount: 'New account',
+    closeForm: 'Close form',
+    name: 'Name *',
+    type: 'Type',
+    currency: 'Currency',
+    baseCurrency: '{currency} (base)',
+    openingBalance: 'Opening balance',
+    openingBalanceHint: 'The balance before any transaction recorded here. For credit cards and loans, enter what you owe as a negative amount. Changing it moves the current balance by the same amount.',
+    saving: 'Saving...',
+    saveChanges: 'Save changes',
+    anotherAccount: 'another account',
+    aDebt: 'a debt',
+    toAccount: 'To {name}',
+    paymentTo: 'Payment to {name}',
+    fromAccount: 'From {name}',
+    saveError: 'Could not save the account',
+    updated: '{name} updated',
+    added: '{name} added',
+    deleteConfirm: 'Delete {name}? This cannot be undone.',
+    deleteError: 'Could not delete the account',
+    deleted: '{name} deleted',
+    reconcileError: 'Could not finish the reconciliation',
+    reconciledNotice: {
+      one: '{name} reconciled: {count} transaction cleared',
+      other: '{name} reconciled: {count} transactions cleared'
+    },
+    assets: 'Assets',
+    liabilities: 'Liabilities',
+    liabilitiesHint: 'Credit cards, loans and tracked debts',
+    netWorth: 'Net worth',
+    emptyTitle: 'No accounts yet',
+    emptyText: 'Add the accounts you pay from and save into to track their balances.',
+    edit: 'Edit account',
+    delete: 'Delete account',
+    owed: 'Owed',
+    summary: 'In {income} • Out {expenses}',
+    summaryTransfers: ' • Transfers {amount}',
+    reconciledAt: 'Reconciled {date} at {amount}',
+    ledger: 'Ledger',
+    reconcile: 'Reconcile',
+    ledgerTitle: '{name} ledger',
+    openingBalanceAmount: 'Opening balance {amount}',
+    lastStatement: ' • Last statement {date}',
+    unexplained: 'The stored balance is {amount} away from the ledger, usually because the balance was edited directly. Adjust the opening balance to line them up.',
+    noTransactions: 'No transactions in this account yet.',
+    balance: 'Balance',
+    cleared: 'Cleared',
+    reconcileTitle: 'Reconcile {name}',
+    lastReconciled: 'Last reconciled to {amount} on {date}',
+    statementDate: 'Statement date',
+    statementBalance: 'Statement ending balance',
+    negativeWhenOwed: 'Negative when you owe money',
+    statement: 'Statement',
+    clearedBalance: 'Cleared balance',
+    difference: 'Difference',
+    allCleared: 'Every transaction up to this date is already cleared.',
+    tickHint: 'Tick the transactions that appear on the statement',
+    clearAll: 'Clear all',
+    selectAll: 'Select all',
+    finish: 'Finish reconciliation'
+  },
+
+  categoryManager: {
+    title: 'Categories',
+    subtitle: 'Organise your spending with your own categories, subcategories, colours and icons',
+    unmanaged: 'This server does not support custom categories yet. The built-in categories are shown.',
+    colour: 'Colour {colour}',
+    icon: 'Icon {icon}',
+    retaggedTransactions: {
+      one: '{count} transaction',
+      other: '{count} transactions'
+    },
+    retaggedBudgets: {
+      one: '{count} budget',
+      other: '{count} budgets'
+    },
+    retaggedRecurring: {
+      one: '{count} recurring transaction',
+      other: '{count} recurring transactions'
+    },
+    retaggedRules: {
+      one: '{count} categorization rule',
+      other: '{count} categorization rules'
+    },
+    retagged: ' ({items} re-tagged)',
+    saveError: 'Could not save the category',
+    created: 'Category "{name}" created',
+    saved: 'Category "{name}" saved{retagged}',
+    archived: 'Category "{name}" archived',
+    restored: 'Category "{name}" restored',
+    chooseTarget: 'Choose a category to merge into',
+    mergeConfirm: 'Merge "{source}" into "{target}"? "{source}" will be removed.',
+    merged: 'Merged "{source}" into "{target}"{retagged}',
+    archivedTag: ' • archived',
+    editNamed: 'Edit {name}',
+    mergeNamed: 'Merge {name}',
+    archiveNamed: 'Archive {name}',
+    restoreNamed: 'Restore {name}',
+    name: 'Category name',
+    parent: 'Parent category',
+    noParent: 'No parent (top level)',
+    renameHint: 'Renaming updates every transaction and budget that uses "{name}".',
+    mergeInto: 'Merge into',
+    mergeTarget: 'Merge target',
+    chooseCategory: 'Choose a category',
+    merge: 'Merge',
+    newCategory: 'New category',
+    add: 'Add category',
+    yours: 'Your categories',
+    showArchived: 'Show archived'
+  }
+};
+
+export default en;
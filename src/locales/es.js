@@ -0,0 +1,987 @@
+//es.js
+// Spanish message catalog
+
+const es = {
+  common: {
+    loading: 'Cargando...',
+    cancel: 'Cancelar',
+    save: 'Guardar',
+    delete: 'Eliminar',
+    total: 'Total',
+    transactionCount: {
+      zero: 'Sin movimientos',
+      one: '{count} movimiento',
+      other: '{count} movimientos'
+    }
+  },
+
+  nav: {
+    dashboard: 'Panel',
+    dashboardTitle: 'Título del panel',
+    home: 'Inicio',
+    analytics: 'Análisis',
+    budgets: 'Presupuestos',
+    envelopes: 'Sobres',
+    goals: 'Metas',
+    transactions: 'Movimientos',
+    accounts: 'Cuentas',
+    debts: 'Gestión de deudas',
+    scenarios: 'Escenarios',
+    security: 'Seguridad',
+    navigateTo: 'Ir a {name}'
+  },
+
+  menu: {
+    account: 'Cuenta',
+    accountMenu: 'Menú de la cuenta',
+    session: 'Sesión: {time}',
+    sessionLabel: 'Duración de la sesión actual: {time}',
+    mainPage: 'Ir a la página principal',
+    settings: 'Configuración de la cuenta',
+    backup: 'Copia de seguridad',
+    currency: 'Moneda',
+    categories: 'Categorías',
+    rules: 'Reglas',
+    developerSettings: 'Ajustes de desarrollo',
+    logout: 'Cerrar sesión',
+    logoutLabel: 'Cerrar la sesión de tu cuenta',
+    language: 'Idioma',
+    weekStart: 'La semana empieza el',
+    weekStartDefault: 'Según el idioma ({day})'
+  },
+
+  categories: {
+    Food: 'Comida',
+    Travel: 'Viajes',
+    Entertainment: 'Ocio',
+    Rent: 'Alquiler',
+    Utilities: 'Suministros',
+    Shopping: 'Compras',
+    Healthcare: 'Salud',
+    Other: 'Otros',
+    Uncategorized: 'Sin categoría'
+  },
+
+  home: {
+    title: 'Panel financiero',
+    loading: 'Cargando tu panel financiero...',
+    error: 'Error al cargar el panel',
+    totalBalance: 'Saldo total',
+    income: 'Ingresos',
+    expenses: 'Gastos'
+  },
+
+  transactions: {
+    loading: 'Cargando movimientos...',
+    title: 'Movimientos',
+    import: 'Importar',
+    add: 'Añadir movimiento',
+    addTitle: 'Nuevo movimiento',
+    closeForm: 'Cerrar formulario',
+    type: 'Tipo',
+    income: 'Ingreso',
+    expense: 'Gasto',
+    transfer: 'Transferencia',
+    transferFrom: 'Cuenta de origen',
+    transferTo: 'Cuenta de destino',
+    transferChoose: 'Elige una cuenta',
+    transferLinked: 'Transferencia vinculada',
+    transferToDebt: 'Pago de deuda',
+    transferUnknownAccount: 'Cuenta desconocida',
+    amount: 'Importe',
+    category: 'Categoría',
+    date: 'Fecha',
+    dateHint: 'Elige hoy o una fecha pasada (no se permiten fechas futuras)',
+    account: 'Cuenta',
+    noAccount: 'Sin cuenta',
+    currency: 'Moneda',
+    description: 'Descripción',
+    descriptionPlaceholder: 'Descripción del movimiento',
+    noDescription: 'Sin descripción',
+    noDate: 'Sin fecha',
+    searchPlaceholder: 'Buscar por descripción, categoría o importe...',
+    emptySearch: 'Ningún movimiento coincide con tu búsqueda.',
+    empty: 'No hay movimientos. Añade el primero para empezar.',
+    deleteConfirm: '¿Seguro que quieres eliminar este movimiento?',
+    deleteTitle: 'Eliminar movimiento',
+    flagged: 'Marcado para revisión',
+    suspicious: 'Sospechoso',
+    budgetBlocked: 'Bloqueado: este movimiento supera el límite del presupuesto',
+    budgetWarning: 'Aviso: superará el presupuesto, pero está permitido',
+    budgetOk: 'Dentro del presupuesto',
+    ruleApplied: 'Reglas: {rules}',
+    split: 'Dividir',
+    splitTitle: 'Dividir entre categorías',
+    splitAddLine: 'Añadir línea',
+    splitRemoveLine: 'Quitar línea',
+    splitNotePlaceholder: 'Nota (opcional)',
+    splitFill: 'Completar el resto',
+    splitRemaining: 'Faltan {amount} por asignar',
+    splitOver: '{amount} por encima del total',
+    splitBalanced: 'Las líneas suman el total',
+    splitUndo: 'Usar una sola categoría',
+    splitSave: 'Guardar división',
+    showing: {
+      one: 'Mostrando {count} movimiento',
+      other: 'Mostrando {count} movimientos'
+    }
+  },
+
+  calendar: {
+    title: 'Calendario de gastos',
+    back: 'Volver a movimientos',
+    previousMonth: 'Mes anterior',
+    nextMonth: 'Mes siguiente',
+    emptyCell: 'Celda vacía',
+    noTransactions: 'No hay movimientos este día',
+    netFlow: 'Flujo neto:',
+    transactionsFor: 'Movimientos del {date}',
+    lowSpending: 'Gasto bajo',
+    highSpending: 'Gasto alto',
+    income: 'Ingresos',
+    loadError: 'No se pudieron cargar los movimientos. Inténtalo más tarde.'
+  },
+
+  notifications: {
+    title: 'Notificaciones',
+    loadError: 'No se pudieron cargar las notificaciones. Inténtalo más tarde.',
+    newCount: {
+      one: '{count} nueva',
+      other: '{count} nuevas'
+    },
+    empty: 'No hay notificaciones',
+    allCaughtUp: '¡Estás al día!',
+    billDueTitle: 'Factura próxima',
+    billDue: {
+      one: '{name} de {amount} vence en {count} día',
+      other: '{name} de {amount} vence en {count} días'
+    },
+    goalNearTitle: '¡Meta casi alcanzada!',
+    goalNear: '{name} está al {progress}%: solo faltan {amount}',
+    goalDeadlineTitle: 'Se acerca la fecha límite',
+    goalDeadline: {
+      one: '{name} vence en {count} día. {progress}% completado',
+      other: '{name} vence en {count} días. {progress}% completado'
+    },
+    goalCompletedTitle: '¡Meta cumplida! 🎉',
+    goalCompleted: '¡Enhorabuena! Has alcanzado tu meta {name}',
+    budgetWarningTitle: 'Presupuesto casi agotado',
+    budgetWarning: 'Presupuesto de {category} al {percentage}%. Quedan {amount}',
+    budgetExceededTitle: 'Presupuesto superado',
+    budgetExceeded: 'Presupuesto de {category} superado en {amount}'
+  },
+
+  envelopes: {
+    leftToAssign: 'Solo quedan {amount} por asignar',
+    availableIn: 'Solo hay {amount} disponibles en {category}',
+    title: 'Presupuesto por sobres',
+    setupSubtitle: 'Dale una función a cada unidad de ingreso antes de gastarla',
+    subtitle: 'Asigna cada unidad de ingreso hasta que no quede nada por asignar',
+    toBeAssigned: 'Por asignar',
+    introIncomeBefore: 'Los ingresos que recibes van a',
+    introIncomeAfter: '. Los repartes en un sobre para cada categoría hasta que Por asignar llegue a cero, y los gastos salen de esos sobres.',
+    introMoving: 'Puedes mover dinero entre sobres en cualquier momento. Cuando un sobre se pasa, cúbrelo con otro; lo que quede sin cubrir sale de Por asignar del mes siguiente.',
+    introTargets: 'Los presupuestos de tus categorías sirven de objetivo, y su política de traspaso decide cuánto dinero sobrante se queda en el sobre.',
+    startIn: 'Empezar en',
+    startingBalance: 'Dinero que ya tienes',
+    useAccountBalances: 'Usar los saldos de las cuentas ({amount})',
+    start: 'Empezar con el presupuesto por sobres',
+    savedLocally: 'Los sobres se guardan en este navegador.',
+    disableConfirm: '¿Desactivar el presupuesto por sobres? Tus asignaciones y el historial de transferencias se conservan.',
+    turnOff: 'Desactivar',
+    previousMonth: 'Mes anterior',
+    nextMonth: 'Mes siguiente',
+    allAssigned: 'Cada unidad de ingreso tiene una función.',
+    assignBelow: 'Asígnalo a los sobres de abajo.',
+    overAssigned: 'Has asignado más de lo que tienes. Retira dinero de algún sobre.',
+    incomeThisMonth: 'Ingresos este mes:',
+    assignedThisMonth: 'Asignado este mes:',
+    spentThisMonth: 'Gastado este mes:',
+    assignTargets: 'Asignar objetivos del presupuesto',
+    targetsMet: 'Todos los objetivos del presupuesto ya están cubiertos',
+    nothingToAssign: 'No queda nada por asignar',
+    targetsAssigned: {
+      one: 'Objetivos del presupuesto asignados a {count} sobre',
+      other: 'Objetivos del presupuesto asignados a {count} sobres'
+    },
+    nowAssigned: '{category} tiene ahora {amount} asignados',
+    noMoneyToCover: '{source} no tiene dinero para cubrir {category}',
+    covered: 'Cubiertos {amount} del exceso de gasto en {category}',
+    moved: 'Movidos {amount} de {from} a {to}',
+    overspent: 'Sobres con exceso de gasto',
+    overspentHint: 'Cubre cada uno con otro sobre o con Por asignar.',
+    over: '{amount} de más',
+    coverFrom: 'Cubrir {category} con',
+    withBalance: '{name} ({amount})',
+    cover: 'Cubrir',
+    envelopes: 'Sobres',
+    envelope: 'Sobre',
+    carriedIn: 'Arrastrado',
+    assigned: 'Asignado',
+    spent: 'Gastado',
+    available: 'Disponible',
+    target: 'Objetivo {amount}',
+    toGo: ' • faltan {amount}',
+    assignedTo: 'Asignado a {category}',
+    changeAssigned: 'Cambiar la cantidad asignada',
+    moveMoney: 'Mover dinero',
+    from: 'De',
+    to: 'A',
+    chooseEnvelope: 'Elige un sobre',
+    amount: 'Importe',
+    note: 'Nota',
+    optional: 'Opcional',
+    move: 'Mover',
+    history: 'Historial de transferencias',
+    allMonths: 'Todos los meses',
+    noHistory: 'Aún no hay asignaciones ni transferencias.',
+    noHistoryIn: 'No hay asignaciones ni transferencias en {month}.',
+    kinds: {
+      assign: 'Asignado',
+      unassign: 'Devuelto a Por asignar',
+      move: 'Movido',
+      cover: 'Exceso de gasto cubierto'
+    },
+    recorded: 'Presupuesto de {month} • registrado el {date}'
+  },
+
+  time: {
+    justNow: 'Ahora mismo',
+    minutesAgo: 'hace {count} min',
+    hoursAgo: 'hace {count} h',
+    yesterday: 'Ayer',
+    daysAgo: 'hace {count} d',
+    weeksAgo: 'hace {count} sem',
+    monthsAgo: {
+      one: 'hace {count} mes',
+      other: 'hace {count} meses'
+    },
+    yearsAgo: {
+      one: 'hace {count} año',
+      other: 'hace {count} años'
+    },
+    unknown: 'Fecha desconocida'
+  },
+
+  settings: {
+    title: 'Configuración de la cuenta',
+    subtitle: 'Gestiona tu perfil y cómo inicias sesión',
+    requestFailed: 'Algo salió mal',
+    profile: 'Perfil',
+    name: 'Nombre',
+    email: 'Correo electrónico'
+  },
+
+  twoFactor: {
+    title: 'Autenticación en dos pasos',
+    on: 'Activada',
+    off: 'Desactivada',
+    description: 'Después de la contraseña, el inicio de sesión pide un código de {digits} dígitos de una app de autenticación como Google Authenticator, 1Password o Authy.',
+    loadError: 'No se pudo cargar la configuración de la autenticación en dos pasos',
+    unsupported: 'Tu servidor no admite la autenticación en dos pasos.',
+    setUp: 'Configurar la autenticación en dos pasos',
+    scanStep: 'Escanea el código QR con tu app de autenticación.',
+    codeStep: 'Introduce el código de {digits} dígitos que muestra la app para terminar.',
+    qrAlt: 'Código QR para tu app de autenticación',
+    manualKey: '¿No puedes escanearlo? Introduce esta clave:',
+    code: 'Código de verificación',
+    turnOn: 'Activar',
+    turnOff: 'Desactivar',
+    turnedOnNotice: 'La autenticación en dos pasos está activada',
+    turnedOffNotice: 'La autenticación en dos pasos está desactivada',
+    turnedOn: 'Activada el',
+    codesLeft: 'Códigos de recuperación restantes',
+    rememberedDevices: 'Dispositivos recordados',
+    rememberedUntil: 'hasta el {date}',
+    newCodes: 'Nuevos códigos de recuperación',
+    newCodesNotice: 'Se generaron nuevos códigos de recuperación',
+    forgetDevices: 'Olvidar los dispositivos recordados',
+    devicesForgotten: 'Se olvidaron los dispositivos recordados',
+    confirmDisable: 'Introduce tu contraseña y un código de tu app de autenticación (o un código de recuperación) para desactivar la autenticación en dos pasos.',
+    confirmRegenerate: 'Introduce tu contraseña para sustituir tus códigos de recuperación. Los códigos anteriores dejarán de funcionar.',
+    password: 'Contraseña',
+    anyCode: 'Código de autenticación o de recuperación',
+    generateCodes: 'Generar nuevos códigos',
+    saveCodes: 'Guarda estos códigos de recuperación en un lugar seguro. Cada uno te permite iniciar sesión una vez si pierdes tu autenticador, y no se volverán a mostrar.',
+    copy: 'Copiar',
+    copied: 'Copiado',
+    download: 'Descargar',
+    codesSaved: 'Ya los he guardado',
+    codesFileTitle: 'Códigos de recuperación de Evercrest para {email}',
+    challengeTitle: 'Verificación en dos pasos',
+    challengeApp: 'Introduce el código de tu app de autenticación',
+    challengeRecovery: 'Introduce uno de tus códigos de recuperación y tu contraseña',
+    rememberDevice: {
+      one: 'Recordar este dispositivo durante {count} día',
+      other: 'Recordar este dispositivo durante {count} días'
+    },
+    recoveryCode: 'Código de recuperación',
+    passwordAgain: 'Vuelve a introducir tu contraseña',
+    recoveryCodeOnce: 'Cada código de recuperación solo sirve una vez.',
+    verifying: 'Verificando...',
+    verify: 'Verificar',
+    useRecoveryCode: 'Usar un código de recuperación',
+    useApp: 'Usar tu app de autenticación',
+    backToSignIn: 'Volver a iniciar sesión'
+  },
+
+  sessions: {
+    title: 'Sesiones y dispositivos',
+    subtitle: 'Dónde está abierta tu cuenta',
+    settingsHint: 'Consulta dónde has iniciado sesión y cierra la sesión de los dispositivos que no reconozcas',
+    manage: 'Gestionar sesiones',
+    loadError: 'No se pudieron cargar las sesiones',
+    refresh: 'Actualizar',
+    revokeOthers: 'Cerrar todas las demás sesiones',
+    revokeOthersConfirm: '¿Cerrar todas las demás sesiones? Esos dispositivos tendrán que volver a iniciar sesión.',
+    revokeOthersError: 'No se pudieron cerrar las demás sesiones',
+    revokedOthers: {
+      zero: 'No había otras sesiones abiertas',
+      one: 'Se cerró {count} sesión más',
+      other: 'Se cerraron {count} sesiones más'
+    },
+    revoked: 'Se cerró la sesión en {device}',
+    revokeError: 'No se pudo cerrar la sesión',
+    unsupported: 'Tu servidor no informa de las sesiones activas.',
+    empty: 'No hay sesiones activas.',
+    deviceFallback: '{browser} en {os}',
+    thisDevice: 'Este dispositivo',
+    unknownLocation: 'Ubicación desconocida',
+    activeNow: 'Activa ahora',
+    lastSeen: 'Última actividad: {time}',
+    signedIn: 'Sesión iniciada el {date}',
+    signingOut: 'Cerrando sesión...',
+    signOut: 'Cerrar sesión',
+    revoke: 'Revocar'
+  },
+
+  sessionTimeout: {
+    title: 'Cierre de sesión automático',
+    description: 'Se cierra tu sesión tras un periodo sin actividad en ninguna pestaña y, en cualquier caso, cuando la sesión alcanza su duración máxima. Un minuto antes aparece un aviso. Se aplica a este navegador.',
+    idle: 'Cerrar sesión tras inactividad',
+    absolute: 'Duración máxima de la sesión',
+    saved: 'Cierre de sesión automático guardado',
+    minutes: {
+      one: '{value} minuto',
+      other: '{value} minutos'
+    },
+    hours: {
+      one: '{value} hora',
+      other: '{value} horas'
+    },
+    days: {
+      one: '{value} día',
+      other: '{value} días'
+    },
+    warningTitle: 'Se cerrará tu sesión',
+    idleWarning: 'Llevas un rato sin actividad. Por tu seguridad, tu sesión se cerrará en',
+    absoluteWarning: 'Tu sesión ha alcanzado su duración máxima. Vuelve a iniciar sesión para continuar. La sesión se cerrará en',
+    signOutNow: 'Cerrar sesión ahora',
+    staySignedIn: 'Seguir conectado'
+  },
+
+  email: {
+    notVerified: 'Sin verificar',
+    verified: 'Verificado',
+    pendingChange: 'Cambiará a {email} cuando abras el enlace enviado a esa dirección',
+    resend: 'Reenviar enlace de verificación',
+    change: 'Cambiar correo',
+    mockNoEmail: 'El backend de prueba no envía correos.',
+    openVerificationLink: 'Abrir el enlace de verificación',
+    changeHint: 'Enviaremos un enlace a la nueva dirección. Tu correo cambiará cuando lo abras.',
+    newAddress: 'Nueva dirección de correo',
+    sendLink: 'Enviar enlace',
+    linkSent: 'Enlace de verificación enviado',
+    confirmChange: 'Confirma el cambio desde el enlace enviado a {email}',
+    verifyTitle: 'Verificación del correo',
+    verifying: 'Verificando tu dirección de correo...',
+    addressVerified: '{email} está verificado',
+    yourAddressVerified: 'Tu dirección de correo está verificada',
+    invalidLink: 'Este enlace de verificación no es válido o ha caducado',
+    notSent: 'Tu servidor no envía correos de verificación',
+    resendError: 'No se pudo enviar un nuevo enlace',
+    sending: 'Enviando...',
+    sendNewLink: 'Enviar un nuevo enlace',
+    signInToResend: 'Inicia sesión para enviarte un nuevo enlace desde la configuración de la cuenta.',
+    mockBackend: 'backend de prueba',
+    openLink: 'abrir el enlace',
+    goToDashboard: 'Ir al panel',
+    signIn: 'Iniciar sesión'
+  },
+
+  password: {
+    title: 'Contraseña',
+    changeHint: 'Al cambiar la contraseña se cierra la sesión en todos los demás dispositivos. ¿La has olvidado?',
+    resetByEmail: 'Restablécela por correo',
+    current: 'Contraseña actual',
+    new: 'Nueva contraseña',
+    confirm: 'Confirmar la nueva contraseña',
+    mismatch: 'Las contraseñas no coinciden',
+    change: 'Cambiar contraseña',
+    changed: {
+      zero: 'Contraseña cambiada',
+      one: 'Contraseña cambiada. Se cerró {count} sesión más',
+      other: 'Contraseña cambiada. Se cerraron {count} sesiones más'
+    },
+    strength: 'Seguridad de la contraseña: {level}',
+    strengthLevels: {
+      veryWeak: 'Muy débil',
+      weak: 'Débil',
+      fair: 'Aceptable',
+      strong: 'Fuerte',
+      veryStrong: 'Muy fuerte'
+    },
+    forgotTitle: 'Restablece tu contraseña',
+    forgotPrompt: 'Introduce el correo de tu cuenta y te enviaremos un enlace para restablecerla',
+    checkInbox: 'Revisa tu bandeja de entrada',
+    resetLinkSent: 'Si hay una cuenta con ese correo, el enlace para restablecer la contraseña está en camino',
+    nothingArrived: '¿No ha llegado nada a {email} en unos minutos? Revisa la carpeta de spam o inténtalo de nuevo.',
+    openResetLink: 'Abrir el enlace para restablecer',
+    differentEmail: 'Usar otro correo',
+    emailLabel: 'Correo electrónico',
+    emailPlaceholder: 'Introduce tu correo',
+    sending: 'Enviando...',
+    sendResetLink: 'Enviar enlace',
+    sendError: 'No se pudo enviar el enlace. Inténtalo de nuevo.',
+    backToSignIn: 'Volver a iniciar sesión',
+    resetTitle: 'Elige una nueva contraseña',
+    resetFor: 'Para {email}',
+    invalidResetLink: 'Este enlace no es válido o ha caducado',
+    requestNewLink: 'Solicitar un nuevo enlace',
+    newPlaceholder: 'Introduce una nueva contraseña',
+    confirmPlaceholder: 'Vuelve a introducirla',
+    show: 'Mostrar contraseña',
+    hide: 'Ocultar contraseña',
+    signsOutEverywhere: 'Se cerrará la sesión en todos los dispositivos conectados a tu cuenta.',
+    saving: 'Guardando...',
+    setNew: 'Guardar la nueva contraseña',
+    resetDone: 'Contraseña actualizada. Inicia sesión con tu nueva contraseña',
+    resetError: 'No se pudo restablecer la contraseña. Inténtalo de nuevo.'
+  },
+
+  rules: {
+    title: 'Reglas de categorización',
+    subtitle: 'Categoriza, etiqueta y marca movimientos automáticamente al añadirlos o importarlos',
+    runOnExisting: 'Aplicar a los existentes',
+    allRules: 'todas las reglas',
+    newRule: 'Nueva regla',
+    editRule: 'Editar regla',
+    localOnly: 'Este servidor aún no guarda reglas. Tus reglas solo se guardan en este navegador.',
+    closeEditor: 'Cerrar el editor de reglas',
+    name: 'Nombre de la regla',
+    priority: 'Prioridad',
+    priorityHint: 'Los números más bajos se aplican primero',
+    whenMatches: 'Cuando un movimiento cumple todo lo siguiente',
+    descriptionContains: 'La descripción contiene',
+    descriptionRegex: 'La descripción coincide con la expresión regular, p. ej. ^(uber|lyft)',
+    minAmount: 'Importe mínimo',
+    maxAmount: 'Importe máximo',
+    anyAccount: 'Cualquier cuenta',
+    anyType: 'Ingreso o gasto',
+    then: 'Entonces',
+    setCategory: 'Asignar categoría',
+    keepCategory: 'Mantener la categoría',
+    tagsPlaceholder: 'Añadir etiquetas, separadas por comas',
+    attachMood: 'Asociar estado de ánimo',
+    noMood: 'Sin estado de ánimo',
+    markRecurring: 'Marcar como recurrente',
+    save: 'Guardar regla',
+    saved: 'Regla "{name}" guardada',
+    saveError: 'No se pudo guardar la regla',
+    deleteConfirm: '¿Eliminar la regla "{name}"? Los movimientos que ya cambió conservan sus valores.',
+    deleted: 'Regla "{name}" eliminada',
+    deleteError: 'No se pudo eliminar la regla',
+    updateError: 'No se pudo actualizar la regla',
+    created: 'Regla "{name}" creada',
+    createError: 'No se pudo crear la regla',
+    updated: {
+      one: '{count} movimiento actualizado',
+      other: '{count} movimientos actualizados'
+    },
+    updateFailed: {
+      one: 'No se pudo actualizar {count} movimiento: {error}',
+      other: 'No se pudieron actualizar {count} movimientos: {error}'
+    },
+    previewTitle: 'Vista previa: {label}',
+    wouldChange: {
+      zero: 'Ningún movimiento existente cambiaría.',
+      one: 'Cambiaría {count} movimiento',
+      other: 'Cambiarían {count} movimientos'
+    },
+    applying: 'Aplicando {completed}/{total}...',
+    apply: {
+      one: 'Aplicar {count} cambio',
+      other: 'Aplicar {count} cambios'
+    },
+    close: 'Cerrar',
+    otherChanges: 'Otros cambios',
+    rulesColumn: 'Reglas',
+    recurring: 'recurrente',
+    suggestedTitle: 'Reglas sugeridas',
+    suggestedHint: 'Basadas en las categorías que cambiaste a mano.',
+    corrected: {
+      one: 'Corregido {count} vez, p. ej. {examples}',
+      other: 'Corregido {count} veces, p. ej. {examples}'
+    },
+    createRule: 'Crear regla',
+    dismiss: 'Descartar',
+    yourRules: 'Tus reglas',
+    empty: 'Aún no hay reglas. Crea una o acepta una sugerencia cuando hayas corregido algunas categorías.',
+    priorityValue: 'prioridad {priority}',
+    ifConditions: 'Si {conditions}',
+    thenActions: 'Entonces {actions}',
+    enabled: 'Activada',
+    runNamed: 'Aplicar {name} a los movimientos existentes',
+    editNamed: 'Editar {name}',
+    deleteNamed: 'Eliminar {name}',
+    conditionContains: 'la descripción contiene "{text}"',
+    conditionRegex: 'la descripción coincide con /{pattern}/',
+    conditionMin: 'importe ≥ {amount}',
+    conditionMax: 'importe ≤ {amount}',
+    conditionAccount: 'la cuenta es {account}',
+    conditionType: 'el tipo es {type}',
+    conditionJoin: ' y ',
+    actionCategory: 'categoría {category}',
+    actionTags: 'etiquetas {tags}',
+    actionRecurring: 'marcar como recurrente',
+    actionMood: 'estado de ánimo {mood}',
+    moods: {
+      happy: 'Feliz',
+      stressed: 'Estresado',
+      bored: 'Aburrido',
+      impulsive: 'Impulsivo',
+      planned: 'Planificado',
+      anxious: 'Ansioso',
+      excited: 'Entusiasmado',
+      regretful: 'Arrepentido'
+    }
+  },
+
+  scenarios: {
+    title: 'Planificador de escenarios',
+    subtitle: 'Prueba cambios sobre una copia de tus datos y mira adónde llevan',
+    newScenario: 'Nuevo escenario',
+    noRecentData: 'Aún no hay movimientos recientes, así que los ingresos y los gastos empiezan en cero. Añade movimientos para basar la proyección en tus cifras reales.',
+    name: 'Nombre del escenario',
+    namePlaceholder: 'p. ej. Coche nuevo y un aumento',
+    projection: {
+      one: 'Proyección: {count} mes',
+      other: 'Proyección: {count} meses'
+    },
+    noChanges: 'Aún no hay cambios. El escenario coincide con la situación actual.',
+    removeChange: 'Quitar cambio',
+    changeType: 'Tipo de cambio',
+    add: 'Añadir',
+    saveChanges: 'Guardar cambios',
+    save: 'Guardar escenario',
+    saveAsNew: 'Guardar como nuevo',
+    nameRequired: 'Pon un nombre al escenario antes de guardarlo',
+    saved: 'Se guardó "{name}"',
+    saveError: 'No se pudo guardar el escenario: {error}',
+    loaded: 'Se cargó "{name}"',
+    deleteConfirm: '¿Eliminar el escenario "{name}"?',
+    deleted: 'Se eliminó "{name}"',
+    savedTitle: 'Escenarios guardados',
+    savedEmpty: 'Los escenarios guardados aparecen aquí.',
+    changeCount: {
+      one: '{count} cambio',
+      other: '{count} cambios'
+    },
+    monthCount: {
+      one: '{count} mes',
+      other: '{count} meses'
+    },
+    open: 'Abrir {name}',
+    delete: 'Eliminar {name}',
+    never: 'Nunca',
+    healthScore: 'Puntuación de salud',
+    monthlyIncome: 'Ingresos mensuales',
+    monthlyExpenses: 'Gastos mensuales',
+    savingsRate: 'Tasa de ahorro',
+    cashAtEnd: 'Efectivo al final',
+    debtAtEnd: 'Deuda al final',
+    debtInterest: 'Intereses de la deuda',
+    goalsOnTrack: 'Metas en camino (de {count})',
+    baselineValue: 'Actual: {value}',
+    baselineNetWorth: 'Patrimonio actual',
+    scenarioNetWorth: 'Patrimonio del escenario',
+    netWorthOver: {
+      one: 'Patrimonio neto en {count} mes',
+      other: 'Patrimonio neto en {count} meses'
+    },
+    debtFree: 'Sin deudas: {date} (actual: {baseline})',
+    basis: {
+      one: 'Basado en los ingresos y gastos medios del último mes.',
+      other: 'Basado en los ingresos y gastos medios de los últimos {count} meses.'
+    },
+    assumptions: 'Se supone que los pagos de deuda forman parte de los gastos registrados; el excedente financia las metas por fecha límite y el resto queda como efectivo.',
+    goals: 'Metas',
+    goal: 'Meta',
+    deadline: 'Fecha límite',
+    baselineReached: 'Alcanzada (actual)',
+    scenarioReached: 'Alcanzada (escenario)',
+    progressAtEnd: 'Progreso al final',
+    notReached: 'No se alcanza',
+    noDeadline: 'Sin fecha límite',
+    budgetsUnderPressure: 'Presupuestos bajo presión',
+    spentOfLimit: '{spent} / {limit} al mes',
+    types: {
+      income: 'Cambiar los ingresos',
+      budget: 'Cambiar el presupuesto de una categoría',
+      loan: 'Añadir un préstamo nuevo',
+      goalDeadline: 'Mover la fecha límite de una meta',
+      extraDebtPayment: 'Pago extra de deuda'
+    },
+    changeBy: 'Cambiar en',
+    byPercent: 'Porcentaje',
+    byAmount: 'Importe al mes',
+    percentChange: 'Cambio porcentual',
+    monthlyChange: 'Cambio mensual',
+    incomeHint: 'Media actual: {amount} al mes. Usa un valor negativo para una bajada de sueldo.',
+    chooseCategory: 'Elige una categoría',
+    monthlyLimit: 'Límite mensual',
+    budgetNow: '{category}: presupuesto de {budget} al mes, gasto de {spending} al mes.',
+    noBudgetNow: '{category}: sin presupuesto, gasto de {spending} al mes.',
+    limitAssumption: 'Se supone que el gasto se ajusta al nuevo límite.',
+    loanName: 'Nombre del préstamo',
+    interestRatePlaceholder: 'Tipo de interés %',
+    interestRate: 'Tipo de interés',
+    termPlaceholder: 'Plazo (meses)',
+    term: 'Plazo en meses',
+    paymentPlaceholder: 'Cuota (opcional)',
+    payment: 'Cuota mensual',
+    paymentHint: 'Deja la cuota vacía para usar la cuota de amortización del plazo.',
+    chooseGoal: 'Elige una meta',
+    newDeadline: 'Nueva fecha límite',
+    currentDeadline: 'Fecha límite actual: {date}',
+    none: 'ninguna',
+    extraPerMonth: 'Extra al mes',
+    strategy: 'Estrategia'
+  },
+
+  payoff: {
+    strategies: {
+      snowball: 'Bola de nieve',
+      avalanche: 'Avalancha',
+      utilization: 'Mayor uso',
+      custom: 'Orden personalizado',
+      minimum: 'Pagos mínimos'
+    },
+    strategyHints: {
+      snowball: 'Primero el saldo más pequeño, para lograr avances rápidos',
+      avalanche: 'Primero el tipo de interés más alto, para ahorrar lo máximo',
+      utilization: 'Primero el saldo más alto en relación con el importe original o el límite',
+      custom: 'Tu propio orden de prioridad',
+      minimum: 'Solo el mínimo de cada deuda, sin traspasar nada'
+    },
+    title: 'Simulador de amortización',
+    subtitle: 'Mínimos en todas las deudas cada mes; los pagos liberados y cualquier extra van a la siguiente deuda de la lista',
+    extraPayment: 'Pago mensual extra',
+    minimumsNeverClear: 'Pagando solo los mínimos no saldarías estas deudas en {years} años. Comprueba que cada pago mínimo cubra sus intereses mensuales.',
+    lowestInterest: 'Menos intereses',
+    totalInterest: 'Intereses totales',
+    debtFree: 'Sin deudas',
+    never: 'Nunca',
+    time: 'Tiempo',
+    savedVsMinimums: 'Ahorro frente a los mínimos',
+    savesBefore: '{strategy} ahorra',
+    savesAfter: 'en intereses frente a {strategy}.',
+    monthsToDebtFree: 'Meses hasta quedar sin deudas',
+    months: {
+      one: '{count} mes',
+      other: '{count} meses'
+    },
+    overMaxMonths: 'Más de {count} meses',
+    yearsMonths: '{years} a {months} m',
+    customOrderHint: 'El dinero extra va primero a la deuda de arriba',
+    moveUp: 'Subir {name}',
+    moveDown: 'Bajar {name}',
+    payoffOrder: 'Orden de pago · {strategy}',
+    schedule: 'Cuadro de amortización',
+    scheduleFor: 'Cuadro para',
+    allDebts: 'Todas las deudas',
+    unnamedDebt: 'Deuda sin nombre',
+    month: 'Mes',
+    payment: 'Pago',
+    interest: 'Intereses',
+    principal: 'Capital',
+    balance: 'Saldo',
+    showFirstYear: 'Mostrar solo el primer año',
+    showAllMonths: 'Mostrar los {count} meses'
+  },
+
+  goals: {
+    tracking: {
+      completed: 'Completada',
+      on_track: 'En camino',
+      behind: 'Con retraso',
+      no_contributions: 'Sin aportaciones recientes',
+      overdue: 'Fecha límite superada',
+      no_deadline: 'Sin fecha límite'
+    },
+    sources: {
+      manual: 'Manual',
+      auto_allocation: 'Reparto de ingresos',
+      allocation_rule: 'Regla de reparto'
+    },
+    projected: 'Previsión: {date}',
+    noProjection: 'Sin previsión hasta que hagas una aportación',
+    currentPace: 'Ritmo actual',
+    neededForDeadline: 'Necesario para la fecha límite',
+    perMonth: '{amount} / mes',
+    noContributions: 'Aún no hay aportaciones registradas.',
+    contributionsTo: 'Aportaciones a {name}',
+    contribution: 'Aportación',
+    history: 'Historial',
+    hideHistory: 'Ocultar historial',
+    showHistoryFor: 'Mostrar el historial de {name}',
+    hideHistoryFor: 'Ocultar el historial de {name}',
+    actual: 'Real',
+    projectedPace: 'Previsión al ritmo actual',
+    requiredPace: 'Necesario para la fecha límite'
+  },
+
+  allocation: {
+    title: 'Reglas de reparto',
+    subtitle: 'Destina automáticamente parte de cada nómina que cumpla las condiciones a tus metas',
+    newRule: 'Nueva regla',
+    localOnly: 'Este servidor aún no guarda reglas de reparto. Tus reglas se guardan en este navegador y solo se aplican aquí.',
+    statuses: {
+      active: 'Activa',
+      paused: 'En pausa',
+      completed: 'Metas alcanzadas',
+      idle: 'Sin metas abiertas'
+    },
+    methods: {
+      weighted: 'Según el % de reparto de cada meta',
+      even: 'A partes iguales',
+      ordered: 'Una a una'
+    },
+    methodHints: {
+      weighted: 'Cada meta recibe una parte proporcional a su propio porcentaje de reparto (a partes iguales si no hay ninguno)',
+      even: 'Todas las metas reciben la misma parte',
+      ordered: 'Completa la primera meta antes de pasar a la siguiente (primero la fecha límite más cercana si no eliges metas)'
+    },
+    triggerAmount: 'un ingreso de {amount} o más',
+    triggerAccount: 'en {account}',
+    removedAccount: 'una cuenta eliminada',
+    triggerCategory: 'en {category}',
+    allActiveGoals: 'todas las metas activas',
+    targets: '{percentage}% a {goals}, {method}',
+    saved: 'Regla de reparto "{name}" guardada',
+    saveError: 'No se pudo guardar la regla',
+    deleteConfirm: '¿Eliminar la regla de reparto "{name}"? El dinero que ya movió se queda en tus metas.',
+    deleted: 'Regla de reparto "{name}" eliminada',
+    deleteError: 'No se pudo eliminar la regla',
+    updateError: 'No se pudo actualizar la regla',
+    lastAllocated: '{amount} repartidos automáticamente de los nuevos ingresos',
+    lastAllocation: '{amount} → {goal} ({rule})',
+    targetReached: ' — objetivo alcanzado',
+    allocationsFailed: {
+      one: 'Falló {count} reparto: {error}',
+      other: 'Fallaron {count} repartos: {error}'
+    },
+    stoppedRules: 'Detenidas porque todas sus metas están financiadas: {rules}',
+    dismissSummary: 'Cerrar el resumen del reparto',
+    editRule: 'Editar regla de reparto',
+    newAllocationRule: 'Nueva regla de reparto',
+    closeEditor: 'Cerrar el editor de reglas',
+    namePlaceholder: 'Nombre de la regla, p. ej. Ahorro de la nómina',
+    whenIncomeArrives: 'Cuando llega un ingreso',
+    ofAtLeast: 'De al menos',
+    intoAccount: 'En la cuenta',
+    anyAccount: 'Cualquier cuenta',
+    inCategory: 'En la categoría',
+    anyCategory: 'Cualquier categoría',
+    allocate: 'Repartir',
+    share: 'Parte del ingreso (%)',
+    splitBetween: 'Reparto entre metas',
+    goals: 'Metas',
+    goalsHint: 'Elige las metas en el orden en que deben llenarse, o ninguna para usar todas las metas activas. Un tope limita lo que un ingreso puede añadir a una meta.',
+    noOpenGoals: 'Ninguna meta activa necesita dinero ahora.',
+    needs: 'faltan {amount}',
+    weight: ' · peso del {percentage}%',
+    noCap: 'Sin tope',
+    capFor: 'Tope por ingreso para {name}',
+    previewIncome: 'Previsualizar un ingreso de',
+    belowMinimum: 'Este importe está por debajo del mínimo de la regla, así que no se aplicaría.',
+    nothingAllocated: 'No se repartiría nada con las metas actuales.',
+    previewTotal: '{allocated} de {pool} repartidos',
+    capped: ' (tope)',
+    reachesTarget: ' (alcanza el objetivo y se detiene)',
+    unallocated: '{amount} se quedan en tu cuenta porque las metas tienen tope o están casi financiadas',
+    save: 'Guardar regla',
+    empty: 'Aún no hay reglas de reparto.',
+    when: 'Cuando llega {trigger}',
+    move: 'Mover {targets}',
+    active: 'Activa',
+    editNamed: 'Editar {name}',
+    deleteNamed: 'Eliminar {name}'
+  },
+
+  budgetPerformance: {
+    back: 'Presupuestos',
+    title: 'Rendimiento de los presupuestos',
+    subtitle: 'Cómo ha aguantado cada presupuesto en sus periodos cerrados',
+    savedLocally: 'El historial se guarda en este navegador y se crea a partir de las transacciones que ha cargado.',
+    updateError: 'No se pudo actualizar el presupuesto',
+    limitSet: 'Límite de {name} fijado en {amount}',
+    emptyTitle: 'Aún no hay periodos cerrados',
+    emptyText: 'El rendimiento aparece aquí cuando termina un periodo del presupuesto.',
+    periodsTracked: 'Periodos registrados',
+    withinBudget: 'Dentro del presupuesto',
+    onStreak: 'Presupuestos con una racha de 3 o más',
+    suggestions: 'Ajustes de límite sugeridos',
+    raiseReason: 'Por encima del presupuesto en {over} de los últimos {count} periodos',
+    lowerReason: 'Menos del 70% del límite usado en cada uno de los últimos {count} periodos',
+    applying: 'Aplicando...',
+    apply: 'Aplicar',
+    adherence: 'Cumplimiento por presupuesto',
+    budget: 'Presupuesto',
+    periods: 'Periodos',
+    withinLimit: 'Dentro del límite',
+    streak: 'Racha',
+    bestStreak: 'Mejor racha',
+    averageSpent: 'Gasto medio',
+    averageOverspend: 'Exceso medio',
+    lastPeriod: 'Último periodo',
+    heatmap: 'Meses por encima del presupuesto',
+    noClosedPeriod: 'Sin periodo cerrado',
+    ofLimit: '{percentage} del límite',
+    periodsOver: ' ({over} de {count} periodos por encima)',
+    legendUnder: 'Hasta el 80%',
+    legendNear: '80–100%',
+    legendOver: 'Por encima',
+    legendFarOver: 'Un 25% o más por encima'
+  },
+
+  accounts: {
+    title: 'Cuentas',
+    subtitle: 'Saldos, libros de cuenta y conciliación con extractos',
+    add: 'Añadir cuenta',
+    types: {
+      checking: 'Cuenta corriente',
+      savings: 'Ahorro',
+      credit: 'Tarjeta de crédito',
+      cash: 'Efectivo',
+      investment: 'Inversión',
+      loan: 'Préstamo'
+    },
+    nameRequired: 'El nombre de la cuenta es obligatorio',
+    unknownType: 'Tipo de cuenta desconocido',
+    openingBalanceInvalid: 'El saldo inicial debe ser un número',
+    editNamed: 'Editar {name}',
+    newAccount: 'Nueva cuenta',
+    closeForm: 'Cerrar formulario',
+    name: 'Nombre *',
+    type: 'Tipo',
+    currency: 'Moneda',
+    baseCurrency: '{currency} (base)',
+    openingBalance: 'Saldo inicial',
+    openingBalanceHint: 'El saldo antes de cualquier transacción registrada aquí. Para tarjetas de crédito y préstamos, introduce lo que debes como importe negativo. Cambiarlo mueve el saldo actual en la misma cantidad.',
+    saving: 'Guardando...',
+    saveChanges: 'Guardar cambios',
+    anotherAccount: 'otra cuenta',
+    aDebt: 'una deuda',
+    toAccount: 'A {name}',
+    paymentTo: 'Pago a {name}',
+    fromAccount: 'De {name}',
+    saveError: 'No se pudo guardar la cuenta',
+    updated: '{name} actualizada',
+    added: '{name} añadida',
+    deleteConfirm: '¿Eliminar {name}? No se puede deshacer.',
+    deleteError: 'No se pudo eliminar la cuenta',
+    deleted: '{name} eliminada',
+    reconcileError: 'No se pudo terminar la conciliación',
+    reconciledNotice: {
+      one: '{name} conciliada: {count} transacción punteada',
+      other: '{name} conciliada: {count} transacciones punteadas'
+    },
+    assets: 'Activos',
+    liabilities: 'Pasivos',
+    liabilitiesHint: 'Tarjetas de crédito, préstamos y deudas registradas',
+    netWorth: 'Patrimonio neto',
+    emptyTitle: 'Aún no hay cuentas',
+    emptyText: 'Añade las cuentas desde las que pagas y en las que ahorras para seguir sus saldos.',
+    edit: 'Editar cuenta',
+    delete: 'Eliminar cuenta',
+    owed: 'Adeudado',
+    summary: 'Entradas {income} • Salidas {expenses}',
+    summaryTransfers: ' • Transferencias {amount}',
+    reconciledAt: 'Conciliada el {date} en {amount}',
+    ledger: 'Libro',
+    reconcile: 'Conciliar',
+    ledgerTitle: 'Libro de {name}',
+    openingBalanceAmount: 'Saldo inicial {amount}',
+    lastStatement: ' • Último extracto {date}',
+    unexplained: 'El saldo guardado difiere {amount} del libro, normalmente porque el saldo se editó directamente. Ajusta el saldo inicial para que coincidan.',
+    noTransactions: 'Aún no hay transacciones en esta cuenta.',
+    balance: 'Saldo',
+    cleared: 'Punteada',
+    reconcileTitle: 'Conciliar {name}',
+    lastReconciled: 'Conciliada por última vez en {amount} el {date}',
+    statementDate: 'Fecha del extracto',
+    statementBalance: 'Saldo final del extracto',
+    negativeWhenOwed: 'Negativo si debes dinero',
+    statement: 'Extracto',
+    clearedBalance: 'Saldo punteado',
+    difference: 'Diferencia',
+    allCleared: 'Todas las transacciones hasta esta fecha ya están punteadas.',
+    tickHint: 'Marca las transacciones que aparecen en el extracto',
+    clearAll: 'Desmarcar todo',
+    selectAll: 'Seleccionar todo',
+    finish: 'Terminar la conciliación'
+  },
+
+  categoryManager: {
+    title: 'Categorías',
+    subtitle: 'Organiza tus gastos con tus propias categorías, subcategorías, colores e iconos',
+    unmanaged: 'Este servidor aún no admite categorías personalizadas. Se muestran las categorías predefinidas.',
+    colour: 'Color {colour}',
+    icon: 'Icono {icon}',
+    retaggedTransactions: {
+      one: '{count} transacción',
+      other: '{count} transacciones'
+    },
+    retaggedBudgets: {
+      one: '{count} presupuesto',
+      other: '{count} presupuestos'
+    },
+    retaggedRecurring: {
+      one: '{count} transacción recurrente',
+      other: '{count} transacciones recurrentes'
+    },
+    retaggedRules: {
+      one: '{count} regla de categorización',
+      other: '{count} reglas de categorización'
+    },
+    retagged: ' ({items} reetiquetadas)',
+    saveError: 'No se pudo guardar la categoría',
+    created: 'Categoría "{name}" creada',
+    saved: 'Categoría "{name}" guardada{retagged}',
+    archived: 'Categoría "{name}" archivada',
+    restored: 'Categoría "{name}" restaurada',
+    chooseTarget: 'Elige una categoría con la que fusionarla',
+    mergeConfirm: '¿Fusionar "{source}" con "{target}"? "{source}" se eliminará.',
+    merged: '"{source}" fusionada con "{target}"{retagged}',
+    archivedTag: ' • archivada',
+    editNamed: 'Editar {name}',
+    mergeNamed: 'Fusionar {name}',
+    archiveNamed: 'Archivar {name}',
+    restoreNamed: 'Restaurar {name}',
+    name: 'Nombre de la categoría',
+    parent: 'Categoría principal',
+    noParent: 'Sin categoría principal (nivel superior)',
+    renameHint: 'Al cambiar el nombre se actualizan todas las transacciones y presupuestos que usan "{name}".',
+    mergeInto: 'Fusionar con',
+    mergeTarget: 'Categoría de destino',
+    chooseCategory: 'Elige una categoría',
+    merge: 'Fusionar',
+    newCategory: 'Nueva categoría',
+    add: 'Añadir categoría',
+    yours: 'Tus categorías',
+    showArchived: 'Mostrar archivadas'
+  }
+};
+
+export default es;
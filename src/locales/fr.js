@@ -0,0 +1,984 @@
+//fr.js
+// French message catalog
+
+const fr = {
+  common: {
+    loading: 'Chargement...',
+    cancel: 'Annuler',
+    save: 'Enregistrer',
+    delete: 'Supprimer',
+    total: 'Total',
+    transactionCount: {
+      zero: 'Aucune opération',
+      one: '{count} opération',
+      other: '{count} opérations'
+    }
+  },
+
+  nav: {
+    dashboard: 'Tableau de bord',
+    dashboardTitle: 'Titre du tableau de bord',
+    home: 'Accueil',
+    analytics: 'Analyses',
+    budgets: 'Budgets',
+    envelopes: 'Enveloppes',
+    goals: 'Objectifs',
+    transactions: 'Opérations',
+    accounts: 'Comptes',
+    debts: 'Gestion des dettes',
+    scenarios: 'Scénarios',
+    security: 'Sécurité',
+    navigateTo: 'Aller à {name}'
+  },
+
+  menu: {
+    account: 'Compte',
+    accountMenu: 'Menu du compte',
+    session: 'Session : {time}',
+    sessionLabel: 'Durée de la session en cours : {time}',
+    mainPage: "Aller à la page d'accueil",
+    settings: 'Paramètres du compte',
+    backup: 'Sauvegarde et restauration',
+    currency: 'Devise',
+    categories: 'Catégories',
+    rules: 'Règles',
+    developerSettings: 'Paramètres développeur',
+    logout: 'Déconnexion',
+    logoutLabel: 'Se déconnecter de votre compte',
+    language: 'Langue',
+    weekStart: 'La semaine commence le',
+    weekStartDefault: 'Selon la langue ({day})'
+  },
+
+  categories: {
+    Food: 'Alimentation',
+    Travel: 'Voyages',
+    Entertainment: 'Loisirs',
+    Rent: 'Loyer',
+    Utilities: 'Charges',
+    Shopping: 'Achats',
+    Healthcare: 'Santé',
+    Other: 'Autre',
+    Uncategorized: 'Sans catégorie'
+  },
+
+  home: {
+    title: 'Tableau de bord financier',
+    loading: 'Chargement de votre tableau de bord...',
+    error: 'Erreur de chargement du tableau de bord',
+    totalBalance: 'Solde total',
+    income: 'Revenus',
+    expenses: 'Dépenses'
+  },
+
+  transactions: {
+    loading: 'Chargement des opérations...',
+    title: 'Opérations',
+    import: 'Importer',
+    add: 'Ajouter une opération',
+    addTitle: 'Nouvelle opération',
+    closeForm: 'Fermer le formulaire',
+    type: 'Type',
+    income: 'Revenu',
+    expense: 'Dépense',
+    transfer: 'Virement',
+    transferFrom: 'Compte source',
+    transferTo: 'Compte de destination',
+    transferChoose: 'Choisissez un compte',
+    transferLinked: 'Virement lié',
+    transferToDebt: 'Remboursement de dette',
+    transferUnknownAccount: 'Compte inconnu',
+    amount: 'Montant',
+    category: 'Catégorie',
+    date: 'Date',
+    dateHint: "Choisissez aujourd'hui ou une date passée (pas de dates futures)",
+    account: 'Compte',
+    noAccount: 'Aucun compte',
+    currency: 'Devise',
+    description: 'Description',
+    descriptionPlaceholder: "Description de l'opération",
+    noDescription: 'Sans description',
+    noDate: 'Sans date',
+    searchPlaceholder: 'Rechercher par description, catégorie ou montant...',
+    emptySearch: 'Aucune opération ne correspond à votre recherche.',
+    empty: 'Aucune opération. Ajoutez-en une pour commencer.',
+    deleteConfirm: 'Voulez-vous vraiment supprimer cette opération ?',
+    deleteTitle: "Supprimer l'opération",
+    flagged: 'Signalée pour vérification',
+    suspicious: 'Suspecte',
+    budgetBlocked: 'Bloquée : cette opération dépasse la limite du budget',
+    budgetWarning: 'Attention : dépassera le budget, mais autorisée',
+    budgetOk: 'Dans les limites du budget',
+    ruleApplied: 'Règles : {rules}',
+    split: 'Répartir',
+    splitTitle: 'Répartir entre catégories',
+    splitAddLine: 'Ajouter une ligne',
+    splitRemoveLine: 'Supprimer la ligne',
+    splitNotePlaceholder: 'Note (facultatif)',
+    splitFill: 'Compléter le reste',
+    splitRemaining: 'Reste {amount} à répartir',
+    splitOver: '{amount} au-delà du total',
+    splitBalanced: 'Les lignes correspondent au total',
+    splitUndo: 'Utiliser une seule catégorie',
+    splitSave: 'Enregistrer la répartition',
+    showing: {
+      one: '{count} opération affichée',
+      other: '{count} opérations affichées'
+    }
+  },
+
+  calendar: {
+    title: 'Calendrier des dépenses',
+    back: 'Retour aux opérations',
+    previousMonth: 'Mois précédent',
+    nextMonth: 'Mois suivant',
+    emptyCell: 'Case vide',
+    noTransactions: 'Aucune opération ce jour-là',
+    netFlow: 'Flux net :',
+    transactionsFor: 'Opérations du {date}',
+    lowSpending: 'Dépenses faibles',
+    highSpending: 'Dépenses élevées',
+    income: 'Revenus',
+    loadError: 'Impossible de charger les opérations. Réessayez plus tard.'
+  },
+
+  notifications: {
+    title: 'Notifications',
+    loadError: 'Impossible de charger les notifications. Réessayez plus tard.',
+    newCount: {
+      one: '{count} nouvelle',
+      other: '{count} nouvelles'
+    },
+    empty: 'Aucune notification',
+    allCaughtUp: 'Vous êtes à jour !',
+    billDueTitle: 'Facture à échéance',
+    billDue: {
+      one: '{name} de {amount} à payer dans {count} jour',
+      other: '{name} de {amount} à payer dans {count} jours'
+    },
+    goalNearTitle: 'Objectif presque atteint !',
+    goalNear: '{name} est complété à {progress} % - plus que {amount}',
+    goalDeadlineTitle: "L'échéance approche",
+    goalDeadline: {
+      one: '{name} arrive à échéance dans {count} jour. {progress} % complété',
+      other: '{name} arrive à échéance dans {count} jours. {progress} % complété'
+    },
+    goalCompletedTitle: 'Objectif atteint ! 🎉',
+    goalCompleted: 'Félicitations ! Vous avez atteint votre objectif {name}',
+    budgetWarningTitle: 'Budget presque épuisé',
+    budgetWarning: 'Budget {category} utilisé à {percentage} %. Reste {amount}',
+    budgetExceededTitle: 'Budget dépassé',
+    budgetExceeded: 'Budget {category} dépassé de {amount}'
+  },
+
+  envelopes: {
+    leftToAssign: 'Il ne reste que {amount} à répartir',
+    availableIn: 'Seulement {amount} disponible dans {category}',
+    title: 'Budget par enveloppes',
+    setupSubtitle: 'Donnez un rôle à chaque unité de revenu avant de la dépenser',
+    subtitle: "Répartissez chaque unité de revenu jusqu'à ce qu'il ne reste plus rien à répartir",
+    toBeAssigned: 'À répartir',
+    introIncomeBefore: 'Les revenus que vous recevez vont dans',
+    introIncomeAfter: ". Vous les placez dans une enveloppe pour chaque catégorie jusqu'à ce que À répartir atteigne zéro, et les dépenses sortent de ces enveloppes.",
+    introMoving: "L'argent peut passer d'une enveloppe à l'autre à tout moment. Quand une enveloppe est dépassée, couvrez-la avec une autre ; ce qui reste non couvert est pris sur À répartir du mois suivant.",
+    introTargets: "Les budgets de vos catégories servent d'objectifs, et leur règle de report décide quelle part de l'argent restant reste dans l'enveloppe.",
+    startIn: 'Commencer en',
+    startingBalance: 'Argent dont vous disposez déjà',
+    useAccountBalances: 'Utiliser les soldes des comptes ({amount})',
+    start: 'Commencer le budget par enveloppes',
+    savedLocally: 'Les enveloppes sont enregistrées dans ce navigateur.',
+    disableConfirm: "Désactiver le budget par enveloppes ? Vos répartitions et l'historique des transferts sont conservés.",
+    turnOff: 'Désactiver',
+    previousMonth: 'Mois précédent',
+    nextMonth: 'Mois suivant',
+    allAssigned: 'Chaque unité de revenu a un rôle.',
+    assignBelow: 'Répartissez-le dans les enveloppes ci-dessous.',
+    overAssigned: "Vous avez réparti plus que ce que vous avez. Reprenez de l'argent dans une enveloppe.",
+    incomeThisMonth: 'Revenus ce mois-ci :',
+    assignedThisMonth: 'Réparti ce mois-ci :',
+    spentThisMonth: 'Dépensé ce mois-ci :',
+    assignTargets: 'Répartir les objectifs du budget',
+    targetsMet: 'Tous les objectifs du budget sont déjà atteints',
+    nothingToAssign: 'Il ne reste rien à répartir',
+    targetsAssigned: {
+      one: 'Objectifs du budget répartis dans {count} enveloppe',
+      other: 'Objectifs du budget répartis dans {count} enveloppes'
+    },
+    nowAssigned: '{category} a maintenant {amount} répartis',
+    noMoneyToCover: "{source} n'a pas d'argent pour couvrir {category}",
+    covered: '{amount} de dépassement couverts dans {category}',
+    moved: '{amount} déplacés de {from} vers {to}',
+    overspent: 'Enveloppes dépassées',
+    overspentHint: 'Couvrez chacune avec une autre enveloppe ou avec À répartir.',
+    over: '{amount} de dépassement',
+    coverFrom: 'Couvrir {category} avec',
+    withBalance: '{name} ({amount})',
+    cover: 'Couvrir',
+    envelopes: 'Enveloppes',
+    envelope: 'Enveloppe',
+    carriedIn: 'Reporté',
+    assigned: 'Réparti',
+    spent: 'Dépensé',
+    available: 'Disponible',
+    target: 'Objectif {amount}',
+    toGo: ' • encore {amount}',
+    assignedTo: 'Réparti dans {category}',
+    changeAssigned: 'Modifier le montant réparti',
+    moveMoney: "Déplacer de l'argent",
+    from: 'De',
+    to: 'Vers',
+    chooseEnvelope: 'Choisissez une enveloppe',
+    amount: 'Montant',
+    note: 'Note',
+    optional: 'Facultatif',
+    move: 'Déplacer',
+    history: 'Historique des transferts',
+    allMonths: 'Tous les mois',
+    noHistory: "Aucune répartition ni aucun transfert pour l'instant.",
+    noHistoryIn: 'Aucune répartition ni aucun transfert en {month}.',
+    kinds: {
+      assign: 'Réparti',
+      unassign: 'Rendu à À répartir',
+      move: 'Déplacé',
+      cover: 'Dépassement couvert'
+    },
+    recorded: 'Budget de {month} • enregistré le {date}'
+  },
+
+  time: {
+    justNow: "À l'instant",
+    minutesAgo: 'il y a {count} min',
+    hoursAgo: 'il y a {count} h',
+    yesterday: 'Hier',
+    daysAgo: 'il y a {count} j',
+    weeksAgo: 'il y a {count} sem.',
+    monthsAgo: 'il y a {count} mois',
+    yearsAgo: {
+      one: 'il y a {count} an',
+      other: 'il y a {count} ans'
+    },
+    unknown: 'Date inconnue'
+  },
+
+  settings: {
+    title: 'Paramètres du compte',
+    subtitle: 'Gérez votre profil et votre façon de vous connecter',
+    requestFailed: 'Une erreur est survenue',
+    profile: 'Profil',
+    name: 'Nom',
+    email: 'E-mail'
+  },
+
+  twoFactor: {
+    title: 'Authentification à deux facteurs',
+    on: 'Activée',
+    off: 'Désactivée',
+    description: "Après votre mot de passe, la connexion demande un code à {digits} chiffres d'une application d'authentification comme Google Authenticator, 1Password ou Authy.",
+    loadError: "Impossible de charger les réglages de l'authentification à deux facteurs",
+    unsupported: "Votre serveur ne prend pas en charge l'authentification à deux facteurs.",
+    setUp: "Configurer l'authentification à deux facteurs",
+    scanStep: "Scannez le code QR avec votre application d'authentification.",
+    codeStep: "Saisissez le code à {digits} chiffres affiché par l'application pour terminer.",
+    qrAlt: "Code QR pour votre application d'authentification",
+    manualKey: 'Impossible de le scanner ? Saisissez plutôt cette clé :',
+    code: 'Code de vérification',
+    turnOn: 'Activer',
+    turnOff: 'Désactiver',
+    turnedOnNotice: "L'authentification à deux facteurs est activée",
+    turnedOffNotice: "L'authentification à deux facteurs est désactivée",
+    turnedOn: 'Activée le',
+    codesLeft: 'Codes de récupération restants',
+    rememberedDevices: 'Appareils mémorisés',
+    rememberedUntil: "jusqu'au {date}",
+    newCodes: 'Nouveaux codes de récupération',
+    newCodesNotice: 'Nouveaux codes de récupération générés',
+    forgetDevices: 'Oublier les appareils mémorisés',
+    devicesForgotten: 'Appareils mémorisés oubliés',
+    confirmDisable: "Saisissez votre mot de passe et un code de votre application d'authentification (ou un code de récupération) pour désactiver l'authentification à deux facteurs.",
+    confirmRegenerate: 'Saisissez votre mot de passe pour remplacer vos codes de récupération. Les anciens codes ne fonctionneront plus.',
+    password: 'Mot de passe',
+    anyCode: "Code d'authentification ou de récupération",
+    generateCodes: 'Générer de nouveaux codes',
+    saveCodes: 'Conservez ces codes de récupération en lieu sûr. Chacun permet de vous connecter une fois si vous perdez votre authentificateur, et ils ne seront plus affichés.',
+    copy: 'Copier',
+    copied: 'Copié',
+    download: 'Télécharger',
+    codesSaved: 'Je les ai enregistrés',
+    codesFileTitle: 'Codes de récupération Evercrest pour {email}',
+    challengeTitle: 'Validation en deux étapes',
+    challengeApp: "Saisissez le code de votre application d'authentification",
+    challengeRecovery: "Saisissez l'un de vos codes de récupération et votre mot de passe",
+    rememberDevice: {
+      one: 'Mémoriser cet appareil pendant {count} jour',
+      other: 'Mémoriser cet appareil pendant {count} jours'
+    },
+    recoveryCode: 'Code de récupération',
+    passwordAgain: 'Saisissez à nouveau votre mot de passe',
+    recoveryCodeOnce: "Chaque code de récupération ne fonctionne qu'une fois.",
+    verifying: 'Vérification...',
+    verify: 'Vérifier',
+    useRecoveryCode: 'Utiliser plutôt un code de récupération',
+    useApp: "Utiliser plutôt votre application d'authentification",
+    backToSignIn: 'Retour à la connexion'
+  },
+
+  sessions: {
+    title: 'Sessions et appareils',
+    subtitle: 'Où votre compte est connecté',
+    settingsHint: 'Voyez où vous êtes connecté et déconnectez les appareils que vous ne reconnaissez pas',
+    manage: 'Gérer les sessions',
+    loadError: 'Impossible de charger les sessions',
+    refresh: 'Actualiser',
+    revokeOthers: 'Déconnecter toutes les autres sessions',
+    revokeOthersConfirm: 'Déconnecter toutes les autres sessions ? Ces appareils devront se reconnecter.',
+    revokeOthersError: 'Impossible de déconnecter les autres sessions',
+    revokedOthers: {
+      zero: "Aucune autre session n'était connectée",
+      one: '{count} autre session déconnectée',
+      other: '{count} autres sessions déconnectées'
+    },
+    revoked: '{device} déconnecté',
+    revokeError: 'Impossible de déconnecter la session',
+    unsupported: 'Votre serveur ne signale pas les sessions actives.',
+    empty: 'Aucune session active.',
+    deviceFallback: '{browser} sur {os}',
+    thisDevice: 'Cet appareil',
+    unknownLocation: 'Lieu inconnu',
+    activeNow: 'Active maintenant',
+    lastSeen: 'Dernière activité : {time}',
+    signedIn: 'Connexion le {date}',
+    signingOut: 'Déconnexion...',
+    signOut: 'Se déconnecter',
+    revoke: 'Révoquer'
+  },
+
+  sessionTimeout: {
+    title: 'Expiration de session',
+    description: "Vous êtes déconnecté après une période sans activité dans aucun onglet et, dans tous les cas, lorsqu'une session atteint sa durée maximale. Un avertissement apparaît une minute avant. S'applique à ce navigateur.",
+    idle: 'Déconnexion après inactivité',
+    absolute: 'Durée maximale de session',
+    saved: 'Expiration de session enregistrée',
+    minutes: {
+      one: '{value} minute',
+      other: '{value} minutes'
+    },
+    hours: {
+      one: '{value} heure',
+      other: '{value} heures'
+    },
+    days: {
+      one: '{value} jour',
+      other: '{value} jours'
+    },
+    warningTitle: 'Vous allez être déconnecté',
+    idleWarning: 'Vous êtes inactif depuis un moment. Pour votre sécurité, vous serez déconnecté dans',
+    absoluteWarning: 'Votre session a atteint sa durée maximale. Reconnectez-vous pour continuer. Déconnexion dans',
+    signOutNow: 'Se déconnecter maintenant',
+    staySignedIn: 'Rester connecté'
+  },
+
+  email: {
+    notVerified: 'Non vérifiée',
+    verified: 'Vérifiée',
+    pendingChange: 'Passera à {email} dès que vous ouvrirez le lien envoyé à cette adresse',
+    resend: 'Renvoyer le lien de vérification',
+    change: "Changer d'adresse e-mail",
+    mockNoEmail: "Le backend de test n'envoie pas d'e-mails.",
+    openVerificationLink: 'Ouvrir le lien de vérification',
+    changeHint: "Nous enverrons un lien à la nouvelle adresse. Votre adresse change dès que vous l'ouvrez.",
+    newAddress: 'Nouvelle adresse e-mail',
+    sendLink: 'Envoyer le lien',
+    linkSent: 'Lien de vérification envoyé',
+    confirmChange: 'Confirmez le changement depuis le lien envoyé à {email}',
+    verifyTitle: "Vérification de l'adresse e-mail",
+    verifying: 'Vérification de votre adresse e-mail...',
+    addressVerified: '{email} est vérifiée',
+    yourAddressVerified: 'Votre adresse e-mail est vérifiée',
+    invalidLink: 'Ce lien de vérification est invalide ou a expiré',
+    notSent: "Votre serveur n'envoie pas d'e-mails de vérification",
+    resendError: "Impossible d'envoyer un nouveau lien",
+    sending: 'Envoi...',
+    sendNewLink: 'Envoyer un nouveau lien',
+    signInToResend: 'Connectez-vous pour vous envoyer un nouveau lien depuis les paramètres du compte.',
+    mockBackend: 'backend de test',
+    openLink: 'ouvrir le lien',
+    goToDashboard: 'Aller au tableau de bord',
+    signIn: 'Se connecter'
+  },
+
+  password: {
+    title: 'Mot de passe',
+    changeHint: "Changer de mot de passe déconnecte tous les autres appareils. Vous l'avez oublié ?",
+    resetByEmail: 'Réinitialisez-le par e-mail',
+    current: 'Mot de passe actuel',
+    new: 'Nouveau mot de passe',
+    confirm: 'Confirmer le nouveau mot de passe',
+    mismatch: 'Les mots de passe ne correspondent pas',
+    change: 'Changer le mot de passe',
+    changed: {
+      zero: 'Mot de passe changé',
+      one: 'Mot de passe changé. {count} autre session déconnectée',
+      other: 'Mot de passe changé. {count} autres sessions déconnectées'
+    },
+    strength: 'Robustesse du mot de passe : {level}',
+    strengthLevels: {
+      veryWeak: 'Très faible',
+      weak: 'Faible',
+      fair: 'Moyenne',
+      strong: 'Bonne',
+      veryStrong: 'Très bonne'
+    },
+    forgotTitle: 'Réinitialiser votre mot de passe',
+    forgotPrompt: "Saisissez l'adresse e-mail de votre compte et nous vous enverrons un lien de réinitialisation",
+    checkInbox: 'Consultez votre boîte de réception',
+    resetLinkSent: 'Si un compte utilise cette adresse, un lien de réinitialisation est en route',
+    nothingArrived: 'Rien reçu à {email} après quelques minutes ? Vérifiez vos spams ou réessayez.',
+    openResetLink: 'Ouvrir le lien de réinitialisation',
+    differentEmail: 'Utiliser une autre adresse',
+    emailLabel: 'Adresse e-mail',
+    emailPlaceholder: 'Saisissez votre adresse e-mail',
+    sending: 'Envoi...',
+    sendResetLink: 'Envoyer le lien',
+    sendError: "Impossible d'envoyer le lien de réinitialisation. Veuillez réessayer.",
+    backToSignIn: 'Retour à la connexion',
+    resetTitle: 'Choisissez un nouveau mot de passe',
+    resetFor: 'Pour {email}',
+    invalidResetLink: 'Ce lien de réinitialisation est invalide ou a expiré',
+    requestNewLink: 'Demander un nouveau lien',
+    newPlaceholder: 'Saisissez un nouveau mot de passe',
+    confirmPlaceholder: 'Saisissez-le à nouveau',
+    show: 'Afficher le mot de passe',
+    hide: 'Masquer le mot de passe',
+    signsOutEverywhere: 'Tous les appareils connectés à votre compte seront déconnectés.',
+    saving: 'Enregistrement...',
+    setNew: 'Définir le nouveau mot de passe',
+    resetDone: 'Mot de passe mis à jour. Connectez-vous avec votre nouveau mot de passe',
+    resetError: 'Impossible de réinitialiser le mot de passe. Veuillez réessayer.'
+  },
+
+  rules: {
+    title: 'Règles de catégorisation',
+    subtitle: 'Catégorisez, étiquetez et signalez les opérations automatiquement à leur ajout ou import',
+    runOnExisting: 'Appliquer aux existantes',
+    allRules: 'toutes les règles',
+    newRule: 'Nouvelle règle',
+    editRule: 'Modifier la règle',
+    localOnly: "Ce serveur n'enregistre pas encore les règles. Vos règles sont enregistrées dans ce navigateur uniquement.",
+    closeEditor: "Fermer l'éditeur de règle",
+    name: 'Nom de la règle',
+    priority: 'Priorité',
+    priorityHint: "Les nombres les plus bas s'appliquent en premier",
+    whenMatches: 'Quand une opération remplit toutes ces conditions',
+    descriptionContains: 'La description contient',
+    descriptionRegex: "La description correspond à l'expression régulière, p. ex. ^(uber|lyft)",
+    minAmount: 'Montant minimum',
+    maxAmount: 'Montant maximum',
+    anyAccount: "N'importe quel compte",
+    anyType: 'Revenu ou dépense',
+    then: 'Alors',
+    setCategory: 'Définir la catégorie',
+    keepCategory: 'Garder la catégorie',
+    tagsPlaceholder: 'Ajouter des étiquettes, séparées par des virgules',
+    attachMood: 'Associer une humeur',
+    noMood: 'Aucune humeur',
+    markRecurring: 'Marquer comme récurrente',
+    save: 'Enregistrer la règle',
+    saved: 'Règle « {name} » enregistrée',
+    saveError: "Impossible d'enregistrer la règle",
+    deleteConfirm: "Supprimer la règle « {name} » ? Les opérations qu'elle a déjà modifiées gardent leurs valeurs.",
+    deleted: 'Règle « {name} » supprimée',
+    deleteError: 'Impossible de supprimer la règle',
+    updateError: 'Impossible de mettre à jour la règle',
+    created: 'Règle « {name} » créée',
+    createError: 'Impossible de créer la règle',
+    updated: {
+      one: '{count} opération mise à jour',
+      other: '{count} opérations mises à jour'
+    },
+    updateFailed: {
+      one: "{count} opération n'a pas pu être mise à jour : {error}",
+      other: "{count} opérations n'ont pas pu être mises à jour : {error}"
+    },
+    previewTitle: 'Aperçu : {label}',
+    wouldChange: {
+      zero: 'Aucune opération existante ne changerait.',
+      one: '{count} opération changerait',
+      other: '{count} opérations changeraient'
+    },
+    applying: 'Application {completed}/{total}...',
+    apply: {
+      one: 'Appliquer {count} modification',
+      other: 'Appliquer {count} modifications'
+    },
+    close: 'Fermer',
+    otherChanges: 'Autres modifications',
+    rulesColumn: 'Règles',
+    recurring: 'récurrente',
+    suggestedTitle: 'Règles suggérées',
+    suggestedHint: "D'après les catégories que vous avez modifiées à la main.",
+    corrected: {
+      one: 'Corrigé {count} fois, p. ex. {examples}',
+      other: 'Corrigé {count} fois, p. ex. {examples}'
+    },
+    createRule: 'Créer la règle',
+    dismiss: 'Ignorer',
+    yourRules: 'Vos règles',
+    empty: "Aucune règle pour l'instant. Créez-en une, ou acceptez une suggestion après avoir corrigé quelques catégories.",
+    priorityValue: 'priorité {priority}',
+    ifConditions: 'Si {conditions}',
+    thenActions: 'Alors {actions}',
+    enabled: 'Activée',
+    runNamed: 'Appliquer {name} aux opérations existantes',
+    editNamed: 'Modifier {name}',
+    deleteNamed: 'Supprimer {name}',
+    conditionContains: 'la description contient « {text} »',
+    conditionRegex: 'la description correspond à /{pattern}/',
+    conditionMin: 'montant ≥ {amount}',
+    conditionMax: 'montant ≤ {amount}',
+    conditionAccount: 'le compte est {account}',
+    conditionType: 'le type est {type}',
+    conditionJoin: ' et ',
+    actionCategory: 'catégorie {category}',
+    actionTags: 'étiquettes {tags}',
+    actionRecurring: 'marquer comme récurrente',
+    actionMood: 'humeur {mood}',
+    moods: {
+      happy: 'Content',
+      stressed: 'Stressé',
+      bored: 'Ennuyé',
+      impulsive: 'Impulsif',
+      planned: 'Prévu',
+      anxious: 'Anxieux',
+      excited: 'Enthousiaste',
+      regretful: 'Regret'
+    }
+  },
+
+  scenarios: {
+    title: 'Simulateur de scénarios',
+    subtitle: 'Testez des changements sur une copie de vos données et voyez où ils mènent',
+    newScenario: 'Nouveau scénario',
+    noRecentData: "Il n'y a pas encore d'opérations récentes, donc les revenus et les dépenses partent de zéro. Ajoutez des opérations pour baser la projection sur vos vrais chiffres.",
+    name: 'Nom du scénario',
+    namePlaceholder: 'p. ex. Nouvelle voiture et une augmentation',
+    projection: {
+      one: 'Projection : {count} mois',
+      other: 'Projection : {count} mois'
+    },
+    noChanges: "Aucun changement pour l'instant. Le scénario correspond à la situation actuelle.",
+    removeChange: 'Retirer le changement',
+    changeType: 'Type de changement',
+    add: 'Ajouter',
+    saveChanges: 'Enregistrer les modifications',
+    save: 'Enregistrer le scénario',
+    saveAsNew: 'Enregistrer comme nouveau',
+    nameRequired: "Donnez un nom au scénario avant de l'enregistrer",
+    saved: '« {name} » enregistré',
+    saveError: "Impossible d'enregistrer le scénario : {error}",
+    loaded: '« {name} » chargé',
+    deleteConfirm: 'Supprimer le scénario « {name} » ?',
+    deleted: '« {name} » supprimé',
+    savedTitle: 'Scénarios enregistrés',
+    savedEmpty: 'Les scénarios enregistrés apparaissent ici.',
+    changeCount: {
+      one: '{count} changement',
+      other: '{count} changements'
+    },
+    monthCount: {
+      one: '{count} mois',
+      other: '{count} mois'
+    },
+    open: 'Ouvrir {name}',
+    delete: 'Supprimer {name}',
+    never: 'Jamais',
+    healthScore: 'Score de santé',
+    monthlyIncome: 'Revenus mensuels',
+    monthlyExpenses: 'Dépenses mensuelles',
+    savingsRate: "Taux d'épargne",
+    cashAtEnd: 'Trésorerie à la fin',
+    debtAtEnd: 'Dette à la fin',
+    debtInterest: 'Intérêts de la dette',
+    goalsOnTrack: 'Objectifs en bonne voie (sur {count})',
+    baselineValue: 'Actuel : {value}',
+    baselineNetWorth: 'Patrimoine actuel',
+    scenarioNetWorth: 'Patrimoine du scénario',
+    netWorthOver: {
+      one: 'Patrimoine net sur {count} mois',
+      other: 'Patrimoine net sur {count} mois'
+    },
+    debtFree: 'Sans dette : {date} (actuel : {baseline})',
+    basis: {
+      one: "D'après les revenus et dépenses moyens du dernier mois.",
+      other: "D'après les revenus et dépenses moyens des {count} derniers mois."
+    },
+    assumptions: "Les remboursements de dettes sont supposés inclus dans les dépenses enregistrées ; l'excédent finance les objectifs par échéance, le reste reste en trésorerie.",
+    goals: 'Objectifs',
+    goal: 'Objectif',
+    deadline: 'Échéance',
+    baselineReached: 'Atteint (actuel)',
+    scenarioReached: 'Atteint (scénario)',
+    progressAtEnd: 'Progression à la fin',
+    notReached: 'Non atteint',
+    noDeadline: 'Sans échéance',
+    budgetsUnderPressure: 'Budgets sous tension',
+    spentOfLimit: '{spent} / {limit} par mois',
+    types: {
+      income: 'Modifier les revenus',
+      budget: "Modifier le budget d'une catégorie",
+      loan: 'Ajouter un nouveau prêt',
+      goalDeadline: "Déplacer l'échéance d'un objectif",
+      extraDebtPayment: 'Remboursement supplémentaire'
+    },
+    changeBy: 'Modifier de',
+    byPercent: 'En pourcentage',
+    byAmount: 'En montant par mois',
+    percentChange: 'Variation en pourcentage',
+    monthlyChange: 'Variation mensuelle',
+    incomeHint: 'Moyenne actuelle : {amount} par mois. Utilisez une valeur négative pour une baisse de salaire.',
+    chooseCategory: 'Choisissez une catégorie',
+    monthlyLimit: 'Plafond mensuel',
+    budgetNow: '{category} : budget de {budget} par mois, dépenses de {spending} par mois.',
+    noBudgetNow: '{category} : pas de budget, dépenses de {spending} par mois.',
+    limitAssumption: 'Les dépenses sont supposées respecter le nouveau plafond.',
+    loanName: 'Nom du prêt',
+    interestRatePlaceholder: "Taux d'intérêt %",
+    interestRate: "Taux d'intérêt",
+    termPlaceholder: 'Durée (mois)',
+    term: 'Durée en mois',
+    paymentPlaceholder: 'Mensualité (facultatif)',
+    payment: 'Mensualité',
+    paymentHint: "Laissez la mensualité vide pour utiliser la mensualité d'amortissement sur la durée.",
+    chooseGoal: 'Choisissez un objectif',
+    newDeadline: 'Nouvelle échéance',
+    currentDeadline: 'Échéance actuelle : {date}',
+    none: 'aucune',
+    extraPerMonth: 'Supplément par mois',
+    strategy: 'Stratégie'
+  },
+
+  payoff: {
+    strategies: {
+      snowball: 'Boule de neige',
+      avalanche: 'Avalanche',
+      utilization: 'Utilisation la plus élevée',
+      custom: 'Ordre personnalisé',
+      minimum: 'Paiements minimums'
+    },
+    strategyHints: {
+      snowball: "Le plus petit solde d'abord, pour des victoires rapides",
+      avalanche: "Le taux d'intérêt le plus élevé d'abord, pour économiser le plus",
+      utilization: "Le solde le plus élevé par rapport au montant initial ou au plafond d'abord",
+      custom: 'Votre propre ordre de priorité',
+      minimum: 'Seulement le minimum sur chaque dette, sans report'
+    },
+    title: 'Simulateur de remboursement',
+    subtitle: 'Les minimums sur chaque dette chaque mois, les paiements libérés et tout supplément allant à la dette suivante',
+    extraPayment: 'Paiement mensuel supplémentaire',
+    minimumsNeverClear: 'En ne payant que les minimums, ces dettes ne seraient pas soldées en {years} ans. Vérifiez que chaque paiement minimum couvre ses intérêts mensuels.',
+    lowestInterest: 'Intérêts les plus bas',
+    totalInterest: 'Intérêts totaux',
+    debtFree: 'Sans dette',
+    never: 'Jamais',
+    time: 'Durée',
+    savedVsMinimums: 'Économie par rapport aux minimums',
+    savesBefore: '{strategy} économise',
+    savesAfter: "d'intérêts par rapport à {strategy}.",
+    monthsToDebtFree: "Mois avant d'être sans dette",
+    months: {
+      one: '{count} mois',
+      other: '{count} mois'
+    },
+    overMaxMonths: 'Plus de {count} mois',
+    yearsMonths: '{years} a {months} m',
+    customOrderHint: "L'argent supplémentaire va d'abord à la dette du haut",
+    moveUp: 'Monter {name}',
+    moveDown: 'Descendre {name}',
+    payoffOrder: 'Ordre de remboursement · {strategy}',
+    schedule: "Tableau d'amortissement",
+    scheduleFor: 'Tableau pour',
+    allDebts: 'Toutes les dettes',
+    unnamedDebt: 'Dette sans nom',
+    month: 'Mois',
+    payment: 'Paiement',
+    interest: 'Intérêts',
+    principal: 'Capital',
+    balance: 'Solde',
+    showFirstYear: 'Afficher seulement la première année',
+    showAllMonths: 'Afficher les {count} mois'
+  },
+
+  goals: {
+    tracking: {
+      completed: 'Atteint',
+      on_track: 'En bonne voie',
+      behind: 'En retard',
+      no_contributions: 'Aucune contribution récente',
+      overdue: 'Échéance dépassée',
+      no_deadline: 'Sans échéance'
+    },
+    sources: {
+      manual: 'Manuelle',
+      auto_allocation: 'Répartition des revenus',
+      allocation_rule: 'Règle de répartition'
+    },
+    projected: 'Prévision : {date}',
+    noProjection: 'Pas de prévision avant votre première contribution',
+    currentPace: 'Rythme actuel',
+    neededForDeadline: "Nécessaire pour l'échéance",
+    perMonth: '{amount} / mois',
+    noContributions: "Aucune contribution enregistrée pour l'instant.",
+    contributionsTo: 'Contributions à {name}',
+    contribution: 'Contribution',
+    history: 'Historique',
+    hideHistory: "Masquer l'historique",
+    showHistoryFor: "Afficher l'historique de {name}",
+    hideHistoryFor: "Masquer l'historique de {name}",
+    actual: 'Réel',
+    projectedPace: 'Prévision au rythme actuel',
+    requiredPace: "Nécessaire pour l'échéance"
+  },
+
+  allocation: {
+    title: 'Règles de répartition',
+    subtitle: 'Versez automatiquement une partie de chaque salaire éligible dans vos objectifs',
+    newRule: 'Nouvelle règle',
+    localOnly: "Ce serveur n'enregistre pas encore les règles de répartition. Vos règles sont enregistrées dans ce navigateur et ne s'appliquent qu'ici.",
+    statuses: {
+      active: 'Active',
+      paused: 'En pause',
+      completed: 'Objectifs atteints',
+      idle: 'Aucun objectif ouvert'
+    },
+    methods: {
+      weighted: 'Selon le % de répartition des objectifs',
+      even: 'À parts égales',
+      ordered: 'Un à la fois'
+    },
+    methodHints: {
+      weighted: "Chaque objectif reçoit une part proportionnelle à son propre pourcentage de répartition (à parts égales si aucun n'est défini)",
+      even: 'Chaque objectif reçoit la même part',
+      ordered: "Remplit le premier objectif avant de passer au suivant (échéance la plus proche d'abord si aucun objectif n'est choisi)"
+    },
+    triggerAmount: 'un revenu de {amount} ou plus',
+    triggerAccount: 'sur {account}',
+    removedAccount: 'un compte supprimé',
+    triggerCategory: 'dans {category}',
+    allActiveGoals: 'tous les objectifs actifs',
+    targets: '{percentage} % vers {goals}, {method}',
+    saved: 'Règle de répartition « {name} » enregistrée',
+    saveError: "Impossible d'enregistrer la règle",
+    deleteConfirm: "Supprimer la règle de répartition « {name} » ? L'argent déjà versé reste dans vos objectifs.",
+    deleted: 'Règle de répartition « {name} » supprimée',
+    deleteError: 'Impossible de supprimer la règle',
+    updateError: 'Impossible de mettre à jour la règle',
+    lastAllocated: '{amount} répartis automatiquement depuis les nouveaux revenus',
+    lastAllocation: '{amount} → {goal} ({rule})',
+    targetReached: ' — objectif atteint',
+    allocationsFailed: {
+      one: '{count} répartition a échoué : {error}',
+      other: '{count} répartitions ont échoué : {error}'
+    },
+    stoppedRules: 'Arrêtées car tous leurs objectifs sont financés : {rules}',
+    dismissSummary: 'Fermer le résumé de la répartition',
+    editRule: 'Modifier la règle de répartition',
+    newAllocationRule: 'Nouvelle règle de répartition',
+    closeEditor: "Fermer l'éditeur de règle",
+    namePlaceholder: 'Nom de la règle, p. ex. Épargne sur salaire',
+    whenIncomeArrives: 'Quand un revenu arrive',
+    ofAtLeast: "D'au moins",
+    intoAccount: 'Sur le compte',
+    anyAccount: "N'importe quel compte",
+    inCategory: 'Dans la catégorie',
+    anyCategory: "N'importe quelle catégorie",
+    allocate: 'Répartir',
+    share: 'Part du revenu (%)',
+    splitBetween: 'Répartition entre objectifs',
+    goals: 'Objectifs',
+    goalsHint: "Choisissez les objectifs dans l'ordre où ils doivent être remplis, ou aucun pour utiliser tous les objectifs actifs. Un plafond limite ce qu'un revenu peut ajouter à un objectif.",
+    noOpenGoals: "Aucun objectif actif n'a besoin d'argent pour l'instant.",
+    needs: 'manque {amount}',
+    weight: ' · poids de {percentage} %',
+    noCap: 'Sans plafond',
+    capFor: 'Plafond par revenu pour {name}',
+    previewIncome: 'Prévisualiser un revenu de',
+    belowMinimum: "Ce montant est inférieur au minimum de la règle, elle ne s'appliquerait donc pas.",
+    nothingAllocated: 'Rien ne serait réparti avec les objectifs actuels.',
+    previewTotal: '{allocated} sur {pool} répartis',
+    capped: ' (plafond)',
+    reachesTarget: " (atteint l'objectif, puis s'arrête)",
+    unallocated: '{amount} reste sur votre compte car les objectifs sont plafonnés ou presque financés',
+    save: 'Enregistrer la règle',
+    empty: "Aucune règle de répartition pour l'instant.",
+    when: 'Quand arrive {trigger}',
+    move: 'Verser {targets}',
+    active: 'Active',
+    editNamed: 'Modifier {name}',
+    deleteNamed: 'Supprimer {name}'
+  },
+
+  budgetPerformance: {
+    back: 'Budgets',
+    title: 'Performance des budgets',
+    subtitle: 'Comment chaque budget a tenu sur ses périodes clôturées',
+    savedLocally: "L'historique est enregistré dans ce navigateur et construit à partir des transactions qu'il a chargées.",
+    updateError: 'Impossible de mettre à jour le budget',
+    limitSet: 'Limite de {name} fixée à {amount}',
+    emptyTitle: "Aucune période clôturée pour l'instant",
+    emptyText: "La performance s'affiche ici dès qu'une période de budget se termine.",
+    periodsTracked: 'Périodes suivies',
+    withinBudget: 'Dans le budget',
+    onStreak: 'Budgets sur une série de 3 ou plus',
+    suggestions: 'Ajustements de limite suggérés',
+    raiseReason: 'Budget dépassé sur {over} des {count} dernières périodes',
+    lowerReason: 'Moins de 70 % de la limite utilisés sur chacune des {count} dernières périodes',
+    applying: 'Application...',
+    apply: 'Appliquer',
+    adherence: 'Respect par budget',
+    budget: 'Budget',
+    periods: 'Périodes',
+    withinLimit: 'Dans la limite',
+    streak: 'Série',
+    bestStreak: 'Meilleure série',
+    averageSpent: 'Dépense moy.',
+    averageOverspend: 'Dépassement moy.',
+    lastPeriod: 'Dernière période',
+    heatmap: 'Mois au-dessus du budget',
+    noClosedPeriod: 'Aucune période clôturée',
+    ofLimit: '{percentage} de la limite',
+    periodsOver: ' ({over} périodes sur {count} en dépassement)',
+    legendUnder: "Jusqu'à 80 %",
+    legendNear: '80–100 %',
+    legendOver: 'Dépassé',
+    legendFarOver: 'Dépassé de 25 % ou plus'
+  },
+
+  accounts: {
+    title: 'Comptes',
+    subtitle: 'Soldes, registres et rapprochement des relevés',
+    add: 'Ajouter un compte',
+    types: {
+      checking: 'Compte courant',
+      savings: 'Épargne',
+      credit: 'Carte de crédit',
+      cash: 'Espèces',
+      investment: 'Investissement',
+      loan: 'Prêt'
+    },
+    nameRequired: 'Le nom du compte est obligatoire',
+    unknownType: 'Type de compte inconnu',
+    openingBalanceInvalid: "Le solde d'ouverture doit être un nombre",
+    editNamed: 'Modifier {name}',
+    newAccount: 'Nouveau compte',
+    closeForm: 'Fermer le formulaire',
+    name: 'Nom *',
+    type: 'Type',
+    currency: 'Devise',
+    baseCurrency: '{currency} (base)',
+    openingBalance: "Solde d'ouverture",
+    openingBalanceHint: 'Le solde avant toute transaction enregistrée ici. Pour les cartes de crédit et les prêts, saisissez ce que vous devez en montant négatif. Le modifier déplace le solde actuel du même montant.',
+    saving: 'Enregistrement...',
+    saveChanges: 'Enregistrer les modifications',
+    anotherAccount: 'un autre compte',
+    aDebt: 'une dette',
+    toAccount: 'Vers {name}',
+    paymentTo: 'Paiement à {name}',
+    fromAccount: 'Depuis {name}',
+    saveError: "Impossible d'enregistrer le compte",
+    updated: '{name} mis à jour',
+    added: '{name} ajouté',
+    deleteConfirm: 'Supprimer {name} ? Cette action est irréversible.',
+    deleteError: 'Impossible de supprimer le compte',
+    deleted: '{name} supprimé',
+    reconcileError: 'Impossible de terminer le rapprochement',
+    reconciledNotice: {
+      one: '{name} rapproché : {count} transaction pointée',
+      other: '{name} rapproché : {count} transactions pointées'
+    },
+    assets: 'Actifs',
+    liabilities: 'Passifs',
+    liabilitiesHint: 'Cartes de crédit, prêts et dettes suivies',
+    netWorth: 'Patrimoine net',
+    emptyTitle: "Aucun compte pour l'instant",
+    emptyText: 'Ajoutez les comptes depuis lesquels vous payez et sur lesquels vous épargnez pour suivre leurs soldes.',
+    edit: 'Modifier le compte',
+    delete: 'Supprimer le compte',
+    owed: 'Dû',
+    summary: 'Entrées {income} • Sorties {expenses}',
+    summaryTransfers: ' • Virements {amount}',
+    reconciledAt: 'Rapproché le {date} à {amount}',
+    ledger: 'Registre',
+    reconcile: 'Rapprocher',
+    ledgerTitle: 'Registre de {name}',
+    openingBalanceAmount: "Solde d'ouverture {amount}",
+    lastStatement: ' • Dernier relevé {date}',
+    unexplained: "Le solde enregistré s'écarte de {amount} du registre, généralement parce que le solde a été modifié directement. Ajustez le solde d'ouverture pour les aligner.",
+    noTransactions: "Aucune transaction sur ce compte pour l'instant.",
+    balance: 'Solde',
+    cleared: 'Pointée',
+    reconcileTitle: 'Rapprocher {name}',
+    lastReconciled: 'Dernier rapprochement à {amount} le {date}',
+    statementDate: 'Date du relevé',
+    statementBalance: 'Solde final du relevé',
+    negativeWhenOwed: "Négatif si vous devez de l'argent",
+    statement: 'Relevé',
+    clearedBalance: 'Solde pointé',
+    difference: 'Écart',
+    allCleared: "Toutes les transactions jusqu'à cette date sont déjà pointées.",
+    tickHint: 'Cochez les transactions qui figurent sur le relevé',
+    clearAll: 'Tout décocher',
+    selectAll: 'Tout sélectionner',
+    finish: 'Terminer le rapprochement'
+  },
+
+  categoryManager: {
+    title: 'Catégories',
+    subtitle: 'Organisez vos dépenses avec vos propres catégories, sous-catégories, couleurs et icônes',
+    unmanaged: 'Ce serveur ne prend pas encore en charge les catégories personnalisées. Les catégories intégrées sont affichées.',
+    colour: 'Couleur {colour}',
+    icon: 'Icône {icon}',
+    retaggedTransactions: {
+      one: '{count} transaction',
+      other: '{count} transactions'
+    },
+    retaggedBudgets: {
+      one: '{count} budget',
+      other: '{count} budgets'
+    },
+    retaggedRecurring: {
+      one: '{count} transaction récurrente',
+      other: '{count} transactions récurrentes'
+    },
+    retaggedRules: {
+      one: '{count} règle de catégorisation',
+      other: '{count} règles de catégorisation'
+    },
+    retagged: ' ({items} réétiquetées)',
+    saveError: "Impossible d'enregistrer la catégorie",
+    created: 'Catégorie « {name} » créée',
+    saved: 'Catégorie « {name} » enregistrée{retagged}',
+    archived: 'Catégorie « {name} » archivée',
+    restored: 'Catégorie « {name} » restaurée',
+    chooseTarget: 'Choisissez une catégorie dans laquelle fusionner',
+    mergeConfirm: 'Fusionner « {source} » dans « {target} » ? « {source} » sera supprimée.',
+    merged: '« {source} » fusionnée dans « {target} »{retagged}',
+    archivedTag: ' • archivée',
+    editNamed: 'Modifier {name}',
+    mergeNamed: 'Fusionner {name}',
+    archiveNamed: 'Archiver {name}',
+    restoreNamed: 'Restaurer {name}',
+    name: 'Nom de la catégorie',
+    parent: 'Catégorie parente',
+    noParent: 'Aucune catégorie parente (niveau supérieur)',
+    renameHint: 'Le renommage met à jour chaque transaction et chaque budget qui utilise « {name} ».',
+    mergeInto: 'Fusionner dans',
+    mergeTarget: 'Catégorie cible',
+    chooseCategory: 'Choisissez une catégorie',
+    merge: 'Fusionner',
+    newCategory: 'Nouvelle catégorie',
+    add: 'Ajouter une catégorie',
+    yours: 'Vos catégories',
+    showArchived: 'Afficher les archivées'
+  }
+};
+
+export default fr;
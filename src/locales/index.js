@@ -0,0 +1,24 @@
+//index.js
+// Registry of bundled message catalogs
+
+import en from './en';
+import es from './es';
+import fr from './fr';
+
+/** Locale used when nothing else matches; its catalog fills in missing keys */
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Languages offered in the language switcher
+ * `locale` drives date/number formatting, `catalog` selects the messages
+ * @type {Array<{locale: string, catalog: string, label: string}>}
+ */
+export const SUPPORTED_LOCALES = [
+  { locale: 'en-US', catalog: 'en', label: 'English (US)' },
+  { locale: 'en-GB', catalog: 'en', label: 'English (UK)' },
+  { locale: 'es-ES', catalog: 'es', label: 'Español' },
+  { locale: 'fr-FR', catalog: 'fr', label: 'Français' }
+];
+
+/** Message catalogs keyed by language code */
+export const catalogs = { en, es, fr };
@@ -0,0 +1,141 @@
+import { motion } from 'framer-motion';
+import { useState } from 'react';
+import { AlertCircle, CheckCircle, Mail } from 'lucide-react';
+import { Link, useLocation } from 'react-router-dom';
+import { useI18n } from '../contexts';
+import { authAPI } from '../services/api';
+
+/**
+ * Message of a failed request; the API answers with `message`, the mock backend with `error`
+ * @private
+ */
+const getErrorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+
+/**
+ * Asks for a password reset link by email
+ * The confirmation reads the same whether or not an account uses the address.
+ */
+export default function ForgotPassword() {
+  const { t } = useI18n();
+  const [email, setEmail] = useState(useLocation().state?.email || '');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [sent, setSent] = useState(null);
+
+  const isFormValid = email.trim().includes('@');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const result = await authAPI.requestPasswordReset(email.trim());
+      setSent({ email: email.trim(), ...result });
+    } catch (err) {
+      setError(getErrorMessage(err, t('password.sendError')));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-desert bg-cover bg-fixed flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="bg-white bg-opacity-95 p-8 rounded-2xl shadow-2xl w-full max-w-md"
+      >
+        <div className="text-center mb-8">
+          <h2 className="text-3xl font-bold text-gray-800">{t('password.forgotTitle')}</h2>
+          <p className="text-gray-600 mt-2">
+            {sent ? t('password.checkInbox') : t('password.forgotPrompt')}
+          </p>
+        </div>
+
+        {error && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex items-center space-x-2 bg-red-50 text-red-700 p-3 rounded-lg mb-4 border border-red-200"
+          >
+            <AlertCircle size={20} />
+            <span className="text-sm font-medium">{error}</span>
+          </motion.div>
+        )}
+
+        {sent ? (
+          <div className="space-y-4">
+            <div className="flex items-start space-x-2 bg-green-50 text-green-700 p-3 rounded-lg border border-green-200">
+              <CheckCircle size={20} className="flex-shrink-0" />
+              <span className="text-sm font-medium">
+                {sent.message || t('password.resetLinkSent')}
+              </span>
+            </div>
+            <p className="text-sm text-gray-600">{t('password.nothingArrived', { email: sent.email })}</p>
+            {sent.devLink && (
+              <p className="text-xs text-gray-600 bg-gray-50 border rounded-lg p-3">
+                {t('email.mockNoEmail')}{' '}
+                <Link to={sent.devLink} className="text-black font-semibold hover:underline">{t('password.openResetLink')}</Link>
+              </p>
+            )}
+            <button
+              type="button"
+              onClick={() => setSent(null)}
+              className="w-full py-3 border rounded-lg font-medium hover:bg-gray-50"
+            >
+              {t('password.differentEmail')}
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="forgot-email" className="block text-sm font-medium text-gray-700 mb-2">
+                {t('password.emailLabel')}
+              </label>
+              <div className="relative">
+                <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                <input
+                  id="forgot-email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-transparent transition-all disabled:bg-gray-100 disabled:cursor-not-allowed"
+                  placeholder={t('password.emailPlaceholder')}
+                  required
+                  disabled={loading}
+                  autoComplete="email"
+                  autoFocus
+                />
+              </div>
+            </div>
+
+            <motion.button
+              type="submit"
+              whileHover={!loading && isFormValid ? { scale: 1.02 } : {}}
+              whileTap={!loading && isFormValid ? { scale: 0.98 } : {}}
+              className="w-full bg-black text-white py-3 rounded-lg font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-900"
+              disabled={loading || !isFormValid}
+            >
+              {loading ? (
+                <div className="flex items-center justify-center space-x-2">
+                  <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                  <span>{t('password.sending')}</span>
+                </div>
+              ) : (
+                t('password.sendResetLink')
+              )}
+            </motion.button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center text-sm">
+          <Link to="/login" className="text-gray-600 hover:underline">
+            {t('password.backToSignIn')}
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { useState, useEffect, useMemo } from 'react';
-import { useTransactions, useDashboard, useBudgets, useGoals } from '../contexts';
+import { useTransactions, useDashboard, useBudgets, useGoals, useCurrency, useI18n } from '../contexts';
 import MonthlyOverviewChart from '../components/dashboard/MonthlyOverviewChart';
 import TopExpensesChart from '../components/dashboard/TopExpensesChart';
 import CashFlowRadar from '../components/dashboard/CashFlowRadar';
@@ -9,7 +9,8 @@ import NotificationsSummary from '../components/dashboard/NotificationsSummary';
 
 const HomePage = () => {
   // Context data with loading states
-  const { transactions, loading: transactionsLoading } = useTransactions();
+  const { loading: transactionsLoading } = useTransactions();
+  const { t } = useI18n();
   const { budgets, loading: budgetsLoading } = useBudgets();
   const { goals, loading: goalsLoading } = useGoals();
   const { 
@@ -19,8 +20,10 @@ const HomePage = () => {
     categoryBreakdown,
     monthlyTrends,
     financialHealthScore,
+    baseTransactions: transactions,
     loading: dashboardLoading 
   } = useDashboard();
+  const { formatAmount } = useCurrency();
 
   const [timeframe, setTimeframe] = useState('monthly'); // 'monthly' or 'yearly'
   const [dashboardData, setDashboardData] = useState(null);
@@ -89,7 +92,7 @@ const HomePage = () => {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center text-red-600">
-          <p className="text-lg font-medium">Error loading dashboard</p>
+          <p className="text-lg font-medium">{t('home.error')}</p>
           <p className="text-sm mt-2">{error}</p>
         </div>
       </div>
@@ -102,7 +105,7 @@ const HomePage = () => {
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
         <div className="text-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-          <p className="mt-4 text-gray-600">Loading your financial dashboard...</p>
+          <p className="mt-4 text-gray-600">{t('home.loading')}</p>
         </div>
       </div>
     );
@@ -114,7 +117,7 @@ const HomePage = () => {
         {/* Header with timeframe controls */}
         <div className="mb-8">
           <div className="flex justify-between items-center">
-            <h1 className="text-3xl font-bold text-gray-900">Financial Dashboard</h1>
+            <h1 className="text-3xl font-bold text-gray-900">{t('home.title')}</h1>
             <div className="flex space-x-4">
               
             </div>
@@ -132,9 +135,9 @@ const HomePage = () => {
                 </svg>
               </div>
               <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">Total Balance</p>
+                <p className="text-sm font-medium text-gray-600">{t('home.totalBalance')}</p>
                 <p className="text-2xl font-bold text-gray-900">
-                  ${dashboardData.balance.toFixed(2)}
+                  {formatAmount(dashboardData.balance)}
                 </p>
               </div>
             </div>
@@ -148,9 +151,9 @@ const HomePage = () => {
                 </svg>
               </div>
               <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">Income</p>
+                <p className="text-sm font-medium text-gray-600">{t('home.income')}</p>
                 <p className="text-2xl font-bold text-green-600">
-                  +${dashboardData.income.toFixed(2)}
+                  +{formatAmount(dashboardData.income)}
                 </p>
               </div>
             </div>
@@ -164,9 +167,9 @@ const HomePage = () => {
                 </svg>
               </div>
               <div className="ml-4">
-                <p className="text-sm font-medium text-gray-600">Expenses</p>
+                <p className="text-sm font-medium text-gray-600">{t('home.expenses')}</p>
                 <p className="text-2xl font-bold text-red-600">
-                  -${dashboardData.expenses.toFixed(2)}
+                  -{formatAmount(dashboardData.expenses)}
                 </p>
               </div>
             </div>
@@ -1,8 +1,10 @@
 import { motion } from 'framer-motion';
 import { useState, useEffect } from 'react';
-import { Eye, EyeOff, Mail, Lock, AlertCircle } from 'lucide-react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Eye, EyeOff, Mail, Lock, AlertCircle, CheckCircle } from 'lucide-react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts';
+import DeveloperSettingsModal from '../components/ui/DeveloperSettingsModal';
+import { getConfig } from '../services/config';
 
 export default function Login() {
   const [showPassword, setShowPassword] = useState(false);
@@ -13,9 +15,12 @@ export default function Login() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [isFormValid, setIsFormValid] = useState(false);
+  const [showDeveloperSettings, setShowDeveloperSettings] = useState(false);
 
   const { login, isAuthenticated } = useAuth();
   const navigate = useNavigate();
+  // Set by the password reset and email verification pages when they send the user here
+  const notice = useLocation().state?.notice;
 
   // Redirect if already authenticated
   useEffect(() => {
@@ -40,7 +45,9 @@ export default function Login() {
     try {
       const result = await login(formData.email.trim(), formData.password);
       
-      if (result.success) {
+      if (result.twoFactorRequired) {
+        navigate('/login/verify');
+      } else if (result.success) {
         navigate('/dashboard');
       } else {
         setError(result.error || 'Login failed. Please try again.');
@@ -87,6 +94,13 @@ export default function Login() {
           <p className="text-gray-600 mt-2">Sign in to your Evercrest account</p>
         </div>
 
+        {notice && !error && (
+          <div className="flex items-center space-x-2 bg-green-50 text-green-700 p-3 rounded-lg mb-4 border border-green-200">
+            <CheckCircle size={20} />
+            <span className="text-sm font-medium">{notice}</span>
+          </div>
+        )}
+
         {/* Error Message */}
         {error && (
           <motion.div
@@ -121,9 +135,18 @@ export default function Login() {
           </div>
           
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Password
-            </label>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Password
+              </label>
+              <Link
+                to="/forgot-password"
+                state={{ email: formData.email.trim() }}
+                className="text-sm text-gray-600 hover:text-black hover:underline"
+              >
+                Forgot password?
+              </Link>
+            </div>
             <div className="relative">
               <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
               <input
@@ -178,8 +201,21 @@ export default function Login() {
               Sign up
             </Link>
           </p>
+          {getConfig().allowDevOverride && (
+            <button
+              type="button"
+              onClick={() => setShowDeveloperSettings(true)}
+              className="mt-3 text-xs text-gray-500 hover:underline"
+            >
+              Server: {getConfig().apiUrl}
+            </button>
+          )}
         </div>
       </motion.div>
+
+      {showDeveloperSettings && (
+        <DeveloperSettingsModal onClose={() => setShowDeveloperSettings(false)} />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -3,6 +3,8 @@ import { useState, useEffect, useRef } from 'react';
 import { Eye, EyeOff, Mail, Lock, User, AlertCircle, CheckCircle } from 'lucide-react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts';
+import PasswordStrengthMeter from '../components/ui/PasswordStrengthMeter';
+import { MIN_PASSWORD_LENGTH, validateNewPassword } from '../utils/passwordStrength';
 
 export default function Register() {
   const [showPassword, setShowPassword] = useState(false);
@@ -50,8 +52,9 @@ export default function Register() {
       errors.email = 'Please enter a valid email';
     }
     
-    if (formData.password.length > 0 && formData.password.length < 6) {
-      errors.password = 'Password must be at least 6 characters';
+    const passwordError = validateNewPassword(formData.password, [formData.name, formData.email]);
+    if (formData.password.length > 0 && passwordError) {
+      errors.password = passwordError;
     }
     
     if (formData.confirmPassword && formData.password !== formData.confirmPassword) {
@@ -63,7 +66,7 @@ export default function Register() {
       formData.name.trim().length >= 2 &&
       formData.email.includes('@') &&
       formData.email.includes('.') &&
-      formData.password.length >= 6 &&
+      !passwordError &&
       formData.password === formData.confirmPassword
     );
   }, [formData]);
@@ -87,10 +90,10 @@ export default function Register() {
       );
       
       if (result.success) {
-        setSuccess('Account created successfully! Redirecting to login...');
+        setSuccess(`Account created! We sent a link to ${formData.email.trim()} to verify your email. Redirecting to login...`);
         timeoutRef.current = setTimeout(() => {
           navigate('/login');
-        }, 2000);
+        }, 4000);
       } else {
         setError(result.error || 'Registration failed. Please try again.');
       }
@@ -225,7 +228,7 @@ export default function Register() {
                 className={`w-full pl-10 pr-12 py-3 border rounded-lg focus:ring-2 focus:ring-black focus:border-transparent transition-all disabled:bg-gray-100 disabled:cursor-not-allowed ${
                   formErrors.password ? 'border-red-300' : 'border-gray-300'
                 }`}
-                placeholder="Create a password (min. 6 characters)"
+                placeholder={`Create a password (min. ${MIN_PASSWORD_LENGTH} characters)`}
                 required
                 disabled={loading}
                 autoComplete="new-password"
@@ -243,6 +246,7 @@ export default function Register() {
             {formErrors.password && (
               <p className="mt-1 text-sm text-red-600">{formErrors.password}</p>
             )}
+            <PasswordStrengthMeter password={formData.password} userInputs={[formData.name, formData.email]} />
           </div>
 
           <div>
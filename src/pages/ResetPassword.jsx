@@ -0,0 +1,200 @@
+import { motion } from 'framer-motion';
+import { useState, useEffect } from 'react';
+import { AlertCircle, Eye, EyeOff, Lock } from 'lucide-react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth, useI18n } from '../contexts';
+import { authAPI } from '../services/api';
+import PasswordStrengthMeter from '../components/ui/PasswordStrengthMeter';
+import { validateNewPassword } from '../utils/passwordStrength';
+
+/**
+ * Message of a failed request; the API answers with `message`, the mock backend with `error`
+ * @private
+ */
+const getErrorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+
+/**
+ * New password from an emailed reset link (`/reset-password/:token`)
+ * The link is checked before the form shows, so an expired one says so straight away. Resetting signs
+ * out every session of the account, including this browser's if it was signed in.
+ */
+export default function ResetPassword() {
+  const { token } = useParams();
+  const { isAuthenticated, logout } = useAuth();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+
+  // undefined while checking, { email, expiresAt } when the link works
+  const [link, setLink] = useState(undefined);
+  const [linkError, setLinkError] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    authAPI.checkPasswordResetToken(token)
+      .then(result => {
+        if (!cancelled) setLink(result);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setLink(null);
+        setLinkError(getErrorMessage(err, t('password.invalidResetLink')));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token, t]);
+
+  const passwordError = password ? validateNewPassword(password, [link?.email]) : null;
+  const mismatch = confirmPassword !== '' && password !== confirmPassword;
+  const isFormValid = password !== '' && !passwordError && password === confirmPassword;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    try {
+      const result = await authAPI.resetPassword(token, password);
+      const notice = result?.message || t('password.resetDone');
+      if (isAuthenticated) {
+        // The server has signed this session out too
+        logout('Password reset');
+      } else {
+        navigate('/login', { state: { notice } });
+      }
+    } catch (err) {
+      setError(getErrorMessage(err, t('password.resetError')));
+      setLoading(false);
+    }
+  };
+
+  const inputClass = 'w-full pl-10 pr-12 py-3 border rounded-lg focus:ring-2 focus:ring-black focus:border-transparent transition-all disabled:bg-gray-100 disabled:cursor-not-allowed';
+
+  return (
+    <div className="min-h-screen bg-desert bg-cover bg-fixed flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="bg-white bg-opacity-95 p-8 rounded-2xl shadow-2xl w-full max-w-md"
+      >
+        <div className="text-center mb-8">
+          <h2 className="text-3xl font-bold text-gray-800">{t('password.resetTitle')}</h2>
+          {link && <p className="text-gray-600 mt-2">{t('password.resetFor', { email: link.email })}</p>}
+        </div>
+
+        {(error || linkError) && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex items-center space-x-2 bg-red-50 text-red-700 p-3 rounded-lg mb-4 border border-red-200"
+          >
+            <AlertCircle size={20} />
+            <span className="text-sm font-medium">{error || linkError}</span>
+          </motion.div>
+        )}
+
+        {link === undefined && (
+          <div className="flex justify-center items-center h-24">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-black"></div>
+          </div>
+        )}
+
+        {link === null && (
+          <Link
+            to="/forgot-password"
+            className="block w-full text-center bg-black text-white py-3 rounded-lg font-medium hover:bg-gray-900"
+          >
+            {t('password.requestNewLink')}
+          </Link>
+        )}
+
+        {link && (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            <div>
+              <label htmlFor="reset-password" className="block text-sm font-medium text-gray-700 mb-2">
+                {t('password.new')}
+              </label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                <input
+                  id="reset-password"
+                  type={showPassword ? 'text' : 'password'}
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className={`${inputClass} ${passwordError ? 'border-red-300' : 'border-gray-300'}`}
+                  placeholder={t('password.newPlaceholder')}
+                  required
+                  disabled={loading}
+                  autoComplete="new-password"
+                  autoFocus
+                />
+                <button
+                  type="button"
+                  className="absolute right-3 top-1/2 transform -translate-y-1/2 text-gray-400 hover:text-gray-600 transition-colors"
+                  onClick={() => setShowPassword(prev => !prev)}
+                  aria-label={showPassword ? t('password.hide') : t('password.show')}
+                >
+                  {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+                </button>
+              </div>
+              {passwordError && <p className="mt-1 text-sm text-red-600">{passwordError}</p>}
+              <PasswordStrengthMeter password={password} userInputs={[link.email]} />
+            </div>
+
+            <div>
+              <label htmlFor="reset-password-confirm" className="block text-sm font-medium text-gray-700 mb-2">
+                {t('password.confirm')}
+              </label>
+              <div className="relative">
+                <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                <input
+                  id="reset-password-confirm"
+                  type={showPassword ? 'text' : 'password'}
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  className={`${inputClass} ${mismatch ? 'border-red-300' : 'border-gray-300'}`}
+                  placeholder={t('password.confirmPlaceholder')}
+                  required
+                  disabled={loading}
+                  autoComplete="new-password"
+                />
+              </div>
+              {mismatch && <p className="mt-1 text-sm text-red-600">{t('password.mismatch')}</p>}
+            </div>
+
+            <p className="text-xs text-gray-500">{t('password.signsOutEverywhere')}</p>
+
+            <motion.button
+              type="submit"
+              whileHover={!loading && isFormValid ? { scale: 1.02 } : {}}
+              whileTap={!loading && isFormValid ? { scale: 0.98 } : {}}
+              className="w-full bg-black text-white py-3 rounded-lg font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-900"
+              disabled={loading || !isFormValid}
+            >
+              {loading ? (
+                <div className="flex items-center justify-center space-x-2">
+                  <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                  <span>{t('password.saving')}</span>
+                </div>
+              ) : (
+                t('password.setNew')
+              )}
+            </motion.button>
+          </form>
+        )}
+
+        <div className="mt-6 text-center text-sm">
+          <Link to="/login" className="text-gray-600 hover:underline">
+            {t('password.backToSignIn')}
+          </Link>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
@@ -0,0 +1,221 @@
+import { motion } from 'framer-motion';
+import { useState, useEffect } from 'react';
+import { AlertCircle, KeyRound, Lock, Smartphone } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth, useI18n } from '../contexts';
+import { TOTP_DIGITS, TRUSTED_DEVICE_DAYS } from '../utils/twoFactor';
+
+/**
+ * Second sign-in step for accounts with two-factor authentication
+ * Takes a code from the authenticator app or, after asking for the password again, a recovery code.
+ */
+export default function TwoFactorChallenge() {
+  const [method, setMethod] = useState('totp');
+  const [code, setCode] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [rememberDevice, setRememberDevice] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const { twoFactorChallenge, verifyTwoFactor, loginWithRecoveryCode, cancelTwoFactor, isAuthenticated } = useAuth();
+  const { t } = useI18n();
+  const navigate = useNavigate();
+
+  // Signed in, or nothing to verify (e.g. after a reload): leave this screen
+  useEffect(() => {
+    if (isAuthenticated) {
+      navigate('/dashboard');
+    } else if (!twoFactorChallenge) {
+      navigate('/login');
+    }
+  }, [isAuthenticated, twoFactorChallenge, navigate]);
+
+  const isFormValid = method === 'totp'
+    ? new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(code)
+    : recoveryCode.trim() !== '' && password !== '';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const result = method === 'totp'
+      ? await verifyTwoFactor(code, { rememberDevice })
+      : await loginWithRecoveryCode(password, recoveryCode.trim());
+
+    setLoading(false);
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      setError(result.error);
+      setCode('');
+    }
+  };
+
+  const switchMethod = (next) => {
+    setMethod(next);
+    setError('');
+  };
+
+  const handleCancel = () => {
+    cancelTwoFactor();
+    navigate('/login');
+  };
+
+  if (!twoFactorChallenge || isAuthenticated) {
+    return null;
+  }
+
+  const inputClass = 'w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-black focus:border-transparent transition-all disabled:bg-gray-100 disabled:cursor-not-allowed';
+
+  return (
+    <div className="min-h-screen bg-desert bg-cover bg-fixed flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="bg-white bg-opacity-95 p-8 rounded-2xl shadow-2xl w-full max-w-md"
+      >
+        <div className="text-center mb-8">
+          <h2 className="text-3xl font-bold text-gray-800">{t('twoFactor.challengeTitle')}</h2>
+          <p className="text-gray-600 mt-2">
+            {method === 'totp' ? t('twoFactor.challengeApp') : t('twoFactor.challengeRecovery')}
+          </p>
+          <p className="text-sm text-gray-500 mt-1">{twoFactorChallenge.email}</p>
+        </div>
+
+        {error && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="flex items-center space-x-2 bg-red-50 text-red-700 p-3 rounded-lg mb-4 border border-red-200"
+          >
+            <AlertCircle size={20} />
+            <span className="text-sm font-medium">{error}</span>
+          </motion.div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          {method === 'totp' ? (
+            <>
+              <div>
+                <label htmlFor="two-factor-code" className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('twoFactor.code')}
+                </label>
+                <div className="relative">
+                  <Smartphone className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    id="two-factor-code"
+                    type="text"
+                    inputMode="numeric"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, TOTP_DIGITS))}
+                    className={`${inputClass} tracking-widest text-lg`}
+                    placeholder="123456"
+                    required
+                    disabled={loading}
+                    autoComplete="one-time-code"
+                    autoFocus
+                  />
+                </div>
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={rememberDevice}
+                  onChange={(e) => setRememberDevice(e.target.checked)}
+                  disabled={loading}
+                />
+                <span>{t('twoFactor.rememberDevice', { count: TRUSTED_DEVICE_DAYS })}</span>
+              </label>
+            </>
+          ) : (
+            <>
+              <div>
+                <label htmlFor="recovery-code" className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('twoFactor.recoveryCode')}
+                </label>
+                <div className="relative">
+                  <KeyRound className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    id="recovery-code"
+                    type="text"
+                    value={recoveryCode}
+                    onChange={(e) => setRecoveryCode(e.target.value)}
+                    className={inputClass}
+                    placeholder="xxxx-xxxx"
+                    required
+                    disabled={loading}
+                    autoComplete="off"
+                    autoFocus
+                  />
+                </div>
+              </div>
+              <div>
+                <label htmlFor="recovery-password" className="block text-sm font-medium text-gray-700 mb-2">
+                  {t('twoFactor.password')}
+                </label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400" size={20} />
+                  <input
+                    id="recovery-password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className={inputClass}
+                    placeholder={t('twoFactor.passwordAgain')}
+                    required
+                    disabled={loading}
+                    autoComplete="current-password"
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-2">{t('twoFactor.recoveryCodeOnce')}</p>
+              </div>
+            </>
+          )}
+
+          <motion.button
+            type="submit"
+            whileHover={!loading && isFormValid ? { scale: 1.02 } : {}}
+            whileTap={!loading && isFormValid ? { scale: 0.98 } : {}}
+            className="w-full bg-black text-white py-3 rounded-lg font-medium transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-900"
+            disabled={loading || !isFormValid}
+          >
+            {loading ? (
+              <div className="flex items-center justify-center space-x-2">
+                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin" />
+                <span>{t('twoFactor.verifying')}</span>
+              </div>
+            ) : (
+              t('twoFactor.verify')
+            )}
+          </motion.button>
+        </form>
+
+        <div className="mt-6 text-center space-y-2 text-sm">
+          {twoFactorChallenge.methods.includes('recovery_code') && (
+            <button
+              type="button"
+              onClick={() => switchMethod(method === 'totp' ? 'recovery' : 'totp')}
+              className="text-black font-semibold hover:underline"
+              disabled={loading}
+            >
+              {method === 'totp' ? t('twoFactor.useRecoveryCode') : t('twoFactor.useApp')}
+            </button>
+          )}
+          <p>
+            <button
+              type="button"
+              onClick={handleCancel}
+              className="text-gray-600 hover:underline"
+              disabled={loading}
+            >
+              {t('twoFactor.backToSignIn')}
+            </button>
+          </p>
+        </div>
+      </motion.div>
+    </div>
+  );
+}
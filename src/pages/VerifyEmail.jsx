@@ -0,0 +1,131 @@
+import { motion } from 'framer-motion';
+import { useState, useEffect, useRef } from 'react';
+import { AlertCircle, CheckCircle } from 'lucide-react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth, useI18n } from '../contexts';
+import { authAPI } from '../services/api';
+
+/**
+ * Message of a failed request; the API answers with `message`, the mock backend with `error`
+ * @private
+ */
+const getErrorMessage = (err, fallback) =>
+  err.response?.data?.message || err.response?.data?.error || err.message || fallback;
+
+/**
+ * Confirms an email address from an emailed link (`/verify-email/:token`)
+ * Works signed in or out; when signed in, the new address shows up in every open tab. A failed link
+ * can be sent again from here when signed in.
+ */
+export default function VerifyEmail() {
+  const { token } = useParams();
+  const { isAuthenticated, loading, updateUser } = useAuth();
+  const { t } = useI18n();
+
+  // 'verifying', 'verified' or 'failed'
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const [resent, setResent] = useState(null);
+  const [resending, setResending] = useState(false);
+  // Links work once, so a second run of the effect (React strict mode) must not spend it again
+  const verifiedTokenRef = useRef(null);
+
+  // Waits for a stored session to be restored, so a signed-in user's details can be updated
+  useEffect(() => {
+    if (loading || verifiedTokenRef.current === token) return;
+    verifiedTokenRef.current = token;
+    setStatus('verifying');
+    setResent(null);
+
+    authAPI.verifyEmail(token)
+      .then(result => {
+        setStatus('verified');
+        setMessage(result?.user?.email ? t('email.addressVerified', { email: result.user.email }) : t('email.yourAddressVerified'));
+        if (result?.user) updateUser(result.user);
+      })
+      .catch(err => {
+        setStatus('failed');
+        setMessage(getErrorMessage(err, t('email.invalidLink')));
+      });
+  }, [token, loading, updateUser, t]);
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      setResent(await authAPI.resendVerificationEmail() || { message: t('email.notSent') });
+    } catch (err) {
+      setResent({ message: getErrorMessage(err, t('email.resendError')) });
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-desert bg-cover bg-fixed flex items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 50 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.8 }}
+        className="bg-white bg-opacity-95 p-8 rounded-2xl shadow-2xl w-full max-w-md space-y-6"
+      >
+        <div className="text-center">
+          <h2 className="text-3xl font-bold text-gray-800">{t('email.verifyTitle')}</h2>
+        </div>
+
+        {status === 'verifying' && (
+          <div className="flex flex-col items-center space-y-3">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-black"></div>
+            <p className="text-gray-600">{t('email.verifying')}</p>
+          </div>
+        )}
+
+        {status === 'verified' && (
+          <div className="flex items-center space-x-2 bg-green-50 text-green-700 p-3 rounded-lg border border-green-200">
+            <CheckCircle size={20} />
+            <span className="text-sm font-medium">{message}</span>
+          </div>
+        )}
+
+        {status === 'failed' && (
+          <div className="space-y-3">
+            <div className="flex items-center space-x-2 bg-red-50 text-red-700 p-3 rounded-lg border border-red-200">
+              <AlertCircle size={20} />
+              <span className="text-sm font-medium">{message}</span>
+            </div>
+            {isAuthenticated ? (
+              <button
+                onClick={handleResend}
+                disabled={resending}
+                className="w-full py-3 border rounded-lg font-medium hover:bg-gray-50 disabled:opacity-50"
+              >
+                {resending ? t('email.sending') : t('email.sendNewLink')}
+              </button>
+            ) : (
+              <p className="text-sm text-gray-600">{t('email.signInToResend')}</p>
+            )}
+            {resent && (
+              <p className="text-sm text-gray-600">
+                {resent.message}
+                {resent.devLink && (
+                  <>
+                    {' '}({t('email.mockBackend')}: <Link to={resent.devLink} className="text-black font-semibold hover:underline">{t('email.openLink')}</Link>)
+                  </>
+                )}
+              </p>
+            )}
+          </div>
+        )}
+
+        {status !== 'verifying' && (
+          <Link
+            to={isAuthenticated ? '/dashboard' : '/login'}
+            state={isAuthenticated || status !== 'verified' ? undefined : { notice: message }}
+            className="block w-full text-center bg-black text-white py-3 rounded-lg font-medium hover:bg-gray-900"
+          >
+            {isAuthenticated ? t('email.goToDashboard') : t('email.signIn')}
+          </Link>
+        )}
+      </motion.div>
+    </div>
+  );
+}
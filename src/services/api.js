@@ -1,45 +1,50 @@
 // api.js
 import axios from 'axios';
-
-/** Base URL for the API */
-const API_BASE_URL = 'http://localhost:5000/api';
+import { offlineSync } from './offlineSync';
+import { getApiUrl, isMockApi, mockApiAdapter } from './config';
+import { tokenStorage } from './tokenStorage';
+import { authSync } from './authSync';
 
 /** 
  * Axios instance with base configuration
  * @type {import('axios').AxiosInstance}
  */
 const api = axios.create({
-  baseURL: API_BASE_URL,
+  baseURL: getApiUrl(),
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-/** Token refresh state management */
-let isRefreshing = false;
-/** Queue for failed requests during token refresh */
-let failedQueue = [];
+/** Options for requests that may set or send the httpOnly refresh-token cookie */
+const WITH_REFRESH_COOKIE = { withCredentials: true };
 
 /**
- * Processes the queue of failed requests after token refresh
- * @param {Error|null} error - Error if refresh failed, null if successful
- * @param {string|null} token - New access token if refresh successful
+ * Forgets the session and sends the browser to the sign-in page
+ * Other tabs are told directly, since the tokens no longer live in localStorage where they would
+ * see them go.
+ * @param {string} reason - Why the session ended
  */
-const processQueue = (error, token = null) => {
-  failedQueue.forEach(prom => {
-    if (error) {
-      prom.reject(error);
-    } else {
-      prom.resolve(token);
-    }
-  });
-  failedQueue = [];
+const endSession = (reason) => {
+  tokenStorage.clear();
+  authSync.post('logout', { reason });
+  if (window.location.pathname !== '/login') {
+    window.location.href = '/login';
+  }
 };
 
 // Request interceptor to attach auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    // Resolve the base URL per request so runtime config loaded after import is honoured
+    config.baseURL = getApiUrl();
+
+    // Serve requests from the in-browser mock backend when mock mode is on
+    if (isMockApi()) {
+      config.adapter = mockApiAdapter;
+    }
+
+    const token = tokenStorage.getAccessToken();
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -58,66 +63,29 @@ api.interceptors.response.use(
   async (error) => {
     const originalRequest = error.config;
 
+    // The session was signed out from another device: refreshing cannot bring it back
+    if (error.response?.status === 401 && error.response?.data?.code === 'session_revoked') {
+      endSession('Session revoked');
+      return Promise.reject(error);
+    }
+
     // Handle token expiration (403 with specific error)
     if (error.response?.status === 403 && 
         error.response?.data?.error === 'Token expired' && 
         !originalRequest._retry) {
-      
-      // If already refreshing, queue the request
-      if (isRefreshing) {
-        return new Promise((resolve, reject) => {
-          failedQueue.push({ resolve, reject });
-        }).then(token => {
-          originalRequest.headers.Authorization = `Bearer ${token}`;
-          return api(originalRequest);
-        }).catch(err => {
-          return Promise.reject(err);
-        });
-      }
-
       originalRequest._retry = true;
-      isRefreshing = true;
 
       try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (!refreshToken) {
-          throw new Error('No refresh token available');
-        }
-
-        // Attempt token refresh
-        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-          refreshToken
-        });
-
-        const newAccessToken = response.data.accessToken;
-        
-        // Update stored token and axios defaults
-        localStorage.setItem('token', newAccessToken);
-        api.defaults.headers.common['Authorization'] = `Bearer ${newAccessToken}`;
-        originalRequest.headers.Authorization = `Bearer ${newAccessToken}`;
-        
-        // Process queued requests with new token
-        processQueue(null, newAccessToken);
-        
-        // Retry original request
+        // Requests failing together wait for the same refresh
+        const { accessToken } = await tokenStorage.refresh();
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
         return api(originalRequest);
-        
       } catch (refreshError) {
         console.error('Token refresh failed:', refreshError);
-        
-        // Clear auth data and redirect to login
-        localStorage.removeItem('token');
-        localStorage.removeItem('refreshToken');
-        localStorage.removeItem('user');
-        
-        if (window.location.pathname !== '/login') {
-          window.location.href = '/login';
+        if (refreshError.response) {
+          endSession('Token refresh failed');
         }
-        
-        processQueue(refreshError, null);
         return Promise.reject(refreshError);
-      } finally {
-        isRefreshing = false;
       }
     }
 
@@ -125,6 +93,9 @@ api.interceptors.response.use(
   }
 );
 
+// Offline layer: GET cache and mutation queue (registered last so auth handling runs first)
+offlineSync.attach(api);
+
 const MAX_RETRIES = 2;
 const RETRY_DELAY = 1000; // 1 second
 
@@ -148,13 +119,16 @@ const retryRequest = async (requestFn, retries = 0) => {
 export const authAPI = {
   /**
    * Authenticates user with email and password
+   * With two-factor authentication on, the response carries `twoFactorRequired` and a
+   * `challengeToken` instead of tokens, unless `deviceToken` is from a remembered device.
    * @param {string} email - User email
    * @param {string} password - User password
+   * @param {string} [deviceToken] - Token of a device remembered at an earlier sign-in
    * @returns {Promise<Object>} Authentication response data
    */
-  login: async (email, password) => {
+  login: async (email, password, deviceToken) => {
     try {
-      const response = await api.post('/auth/login', { email, password });
+      const response = await api.post('/auth/login', { email, password, ...(deviceToken && { deviceToken }) }, WITH_REFRESH_COOKIE);
       return response.data;
     } catch (error) {
       console.error('Login failed', error);
@@ -178,6 +152,331 @@ export const authAPI = {
       throw error;
     }
   },
+
+  /**
+   * Ends this browser's session, so it leaves the sessions list and the server clears the
+   * refresh-token cookie
+   * @param {string} [refreshToken] - Refresh token from servers that return it in the body
+   * @returns {Promise<Object|null>} Confirmation, or null when the server has no logout endpoint
+   */
+  logout: async (refreshToken) => {
+    try {
+      const response = await api.post('/auth/logout', refreshToken ? { refreshToken } : {}, WITH_REFRESH_COOKIE);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Logout failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves the signed-in user, for restoring a session whose refresh response has no user
+   * @returns {Promise<Object|null>} User, or null when the server has no such endpoint
+   */
+  getCurrentUser: async () => {
+    try {
+      const response = await api.get('/auth/me');
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch the signed-in user', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves the signed-in user's active sessions, newest activity first
+   * @returns {Promise<Array|null>} Sessions with device, browser, os, ip, city, country, createdAt,
+   *   lastSeenAt and `current` for the one making the request, or null when the server does not
+   *   track sessions
+   */
+  getSessions: async () => {
+    try {
+      const response = await api.get('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch sessions', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Signs out one session; its device is told through a `session_revoked` socket event
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object>} { revoked: [sessionId] }
+   */
+  revokeSession: async (sessionId) => {
+    try {
+      const response = await api.delete(`/auth/sessions/${sessionId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to revoke session ${sessionId}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Signs out every session except the one making the request
+   * @returns {Promise<Object>} { revoked: Array<sessionId> }
+   */
+  revokeOtherSessions: async () => {
+    try {
+      const response = await api.delete('/auth/sessions');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to revoke other sessions', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Asks for a password reset link by email
+   * The answer is the same whether or not an account uses the email.
+   * @param {string} email - Account email
+   * @returns {Promise<Object>} Confirmation message
+   */
+  requestPasswordReset: async (email) => {
+    try {
+      const response = await api.post('/auth/forgot-password', { email });
+      return response.data;
+    } catch (error) {
+      console.error('Password reset request failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Checks a password reset link before the new password is asked for
+   * @param {string} token - Token from the reset link
+   * @returns {Promise<Object>} The account email and when the link expires
+   */
+  checkPasswordResetToken: async (token) => {
+    try {
+      const response = await api.get(`/auth/reset-password/${encodeURIComponent(token)}`);
+      return response.data;
+    } catch (error) {
+      console.error('Password reset link check failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sets a new password from a reset link; the server signs out every session of the account
+   * @param {string} token - Token from the reset link
+   * @param {string} password - New password
+   * @returns {Promise<Object>} Confirmation message
+   */
+  resetPassword: async (token, password) => {
+    try {
+      const response = await api.post(`/auth/reset-password/${encodeURIComponent(token)}`, { password });
+      return response.data;
+    } catch (error) {
+      console.error('Password reset failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Changes the signed-in user's password; the server signs out the user's other sessions
+   * @param {string} currentPassword - Current password, as confirmation
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Confirmation with the IDs of the sessions signed out as `revoked`
+   */
+  changePassword: async (currentPassword, newPassword) => {
+    try {
+      const response = await api.post('/auth/change-password', { currentPassword, newPassword });
+      return response.data;
+    } catch (error) {
+      console.error('Password change failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Starts changing the signed-in user's email; it changes once the link sent to the new address is opened
+   * @param {string} email - New email address
+   * @param {string} password - Current password, as confirmation
+   * @returns {Promise<Object>} Confirmation with the user, whose `pendingEmail` awaits verification
+   */
+  changeEmail: async (email, password) => {
+    try {
+      const response = await api.post('/auth/change-email', { email, password });
+      return response.data;
+    } catch (error) {
+      console.error('Email change failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Confirms an email address from a verification link
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<Object>} Confirmation with the updated user
+   */
+  verifyEmail: async (token) => {
+    try {
+      const response = await api.post(`/auth/verify-email/${encodeURIComponent(token)}`);
+      return response.data;
+    } catch (error) {
+      console.error('Email verification failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sends the signed-in user a new verification link, to the pending email when a change awaits
+   * @returns {Promise<Object|null>} Confirmation message, or null when the server does not verify emails
+   */
+  resendVerificationEmail: async () => {
+    try {
+      const response = await api.post('/auth/verify-email/resend');
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to resend the verification email', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Completes a two-factor sign-in with an authenticator code
+   * @param {string} challengeToken - Token from the login response
+   * @param {string} code - Six-digit code
+   * @param {Object} [options] - Verification options
+   * @param {boolean} [options.rememberDevice] - Skip the second step on this device for a while
+   * @param {string} [options.deviceLabel] - Name to show for the remembered device
+   * @returns {Promise<Object>} Authentication response data, with `deviceToken` when remembered
+   */
+  verifyTwoFactor: async (challengeToken, code, { rememberDevice = false, deviceLabel } = {}) => {
+    try {
+      const response = await api.post('/auth/2fa/verify', { challengeToken, code, rememberDevice, deviceLabel }, WITH_REFRESH_COOKIE);
+      return response.data;
+    } catch (error) {
+      console.error('Two-factor verification failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Completes a two-factor sign-in with a single-use recovery code
+   * The password is asked for again because the code stands in for the authenticator.
+   * @param {string} challengeToken - Token from the login response
+   * @param {string} password - Account password
+   * @param {string} recoveryCode - Recovery code
+   * @returns {Promise<Object>} Authentication response data with `recoveryCodesRemaining`
+   */
+  loginWithRecoveryCode: async (challengeToken, password, recoveryCode) => {
+    try {
+      const response = await api.post('/auth/2fa/recover', { challengeToken, password, recoveryCode }, WITH_REFRESH_COOKIE);
+      return response.data;
+    } catch (error) {
+      console.error('Recovery code sign-in failed', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves the signed-in user's two-factor settings
+   * @returns {Promise<Object|null>} { enabled, enabledAt, recoveryCodesRemaining, trustedDevices }, or null
+   *   when the server does not support two-factor authentication
+   */
+  getTwoFactorStatus: async () => {
+    try {
+      const response = await api.get('/auth/2fa');
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch two-factor settings', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Starts enrollment by creating a new authenticator secret
+   * The secret only takes effect once enableTwoFactor confirms a code from it.
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  startTwoFactorSetup: async () => {
+    try {
+      const response = await api.post('/auth/2fa/setup');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to start two-factor setup', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Turns two-factor authentication on after checking a code from the new secret
+   * @param {string} code - Six-digit code
+   * @returns {Promise<Object>} Two-factor settings with `recoveryCodes`, shown only this once
+   */
+  enableTwoFactor: async (code) => {
+    try {
+      const response = await api.post('/auth/2fa/enable', { code });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to enable two-factor authentication', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Turns two-factor authentication off
+   * @param {string} password - Account password, to confirm it is the user
+   * @param {string} code - Authenticator or recovery code
+   * @returns {Promise<Object>} Two-factor settings
+   */
+  disableTwoFactor: async (password, code) => {
+    try {
+      const response = await api.post('/auth/2fa/disable', { password, code });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to disable two-factor authentication', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replaces the recovery codes, invalidating the old ones
+   * @param {string} password - Account password, to confirm it is the user
+   * @returns {Promise<Object>} Two-factor settings with the new `recoveryCodes`
+   */
+  regenerateRecoveryCodes: async (password) => {
+    try {
+      const response = await api.post('/auth/2fa/recovery-codes', { password });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to regenerate recovery codes', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Forgets every remembered device, so each asks for a code at its next sign-in
+   * @returns {Promise<Object>} Confirmation
+   */
+  forgetTrustedDevices: async () => {
+    try {
+      const response = await api.delete('/auth/2fa/trusted-devices');
+      return response.data;
+    } catch (error) {
+      console.error('Failed to forget remembered devices', error);
+      throw error;
+    }
+  },
 };
 
 /**
@@ -211,6 +510,10 @@ export const transactionsAPI = {
 
   /**
    * Creates a new transaction
+   * A transaction split across categories sends `splits` ({ category, amount, note } lines adding
+   * up to `amount`); the server sets its category to the largest line's. A transfer has type
+   * `transfer`, `accountId` as its source and `toAccountId` (or `debtId`) as its destination; between
+   * currencies it also sends `toAmount` in `toCurrency`, what the destination account receives.
    * @param {Object} transactionData - Transaction data
    * @returns {Promise<Object>} Created transaction
    */
@@ -225,8 +528,50 @@ export const transactionsAPI = {
     }
   },
 
+  /**
+   * Creates several transactions in one request
+   * Falls back to one create call per transaction if the bulk endpoint is missing
+   * @param {Array<Object>} transactions - Transactions to create
+   * @param {Function} [onProgress] - Called with (completed, total) after each fallback create
+   * @returns {Promise<Object>} Object with created transactions and failed entries ({ index, error })
+   */
+  createBulk: async (transactions, onProgress) => {
+    try {
+      const response = await api.post('/transactions/bulk', { transactions });
+      onProgress?.(transactions.length, transactions.length);
+      return {
+        created: response.data.created || response.data.transactions || [],
+        failed: response.data.failed || []
+      };
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        console.error('Failed to bulk create transactions', error);
+        throw error;
+      }
+
+      // Fallback for missing endpoint
+      const created = [];
+      const failed = [];
+      for (let index = 0; index < transactions.length; index++) {
+        try {
+          const response = await api.post('/transactions', transactions[index]);
+          created.push(response.data.transaction || response.data);
+        } catch (createError) {
+          failed.push({
+            index,
+            error: createError.response?.data?.error || createError.response?.data?.message || createError.message
+          });
+        }
+        onProgress?.(index + 1, transactions.length);
+      }
+      return { created, failed };
+    }
+  },
+
   /**
    * Updates an existing transaction
+   * Changing the amount of a split transaction needs `splits` that add up to the new amount;
+   * `splits: null` turns it back into a single-category transaction.
    * @param {string|number} id - Transaction ID
    * @param {Object} transactionData - Updated transaction data
    * @returns {Promise<Object>} Updated transaction
@@ -298,6 +643,206 @@ export const accountsAPI = {
       throw error;
     }
   },
+
+  /**
+   * Updates an existing account
+   * @param {string|number} id - Account ID
+   * @param {Object} accountData - Updated account data (name, type, currency, ...)
+   * @returns {Promise<Object>} Updated account
+   */
+  update: async (id, accountData) => {
+    try {
+      const response = await api.put(`/accounts/${id}`, accountData);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to update account ${id}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes an account
+   * The server refuses (409) while transactions still use the account.
+   * @param {string|number} id - Account ID
+   * @returns {Promise<Object>} Deletion confirmation
+   */
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/accounts/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to delete account ${id}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Reconciles an account against a bank statement, marking transactions as cleared in it
+   * The server checks that the cleared transactions add up to the statement's ending balance.
+   * @param {string|number} id - Account ID
+   * @param {Object} reconciliation - Statement details
+   * @param {string} reconciliation.statementDate - Statement end date
+   * @param {number} reconciliation.statementBalance - Ending balance on the statement
+   * @param {Array<number|string>} reconciliation.transactionIds - Transactions to mark as cleared
+   * @returns {Promise<Object|null>} Updated account, reconciliation record and cleared IDs, or null
+   *   when the server does not support reconciliation
+   */
+  reconcile: async (id, reconciliation) => {
+    try {
+      const response = await api.post(`/accounts/${id}/reconcile`, reconciliation);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error(`Failed to reconcile account ${id}`, error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Categories API methods
+ * Renaming or merging a category re-tags transactions, budgets and recurring
+ * transactions on the server, so callers should reload those afterwards.
+ * @namespace
+ */
+export const categoriesAPI = {
+  /**
+   * Retrieves all categories, including archived ones
+   * @returns {Promise<Array>} Array of categories
+   */
+  getAll: async () => {
+    try {
+      const response = await api.get('/categories');
+      return response.data;
+    } catch (error) {
+      // Fallback for servers without category support: the built-in list is used instead
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch categories', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates a category or subcategory
+   * @param {Object} categoryData - Name, parentId, color and icon
+   * @returns {Promise<Object>} Created category
+   */
+  create: async (categoryData) => {
+    try {
+      const response = await api.post('/categories', categoryData);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to create category', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a category (rename, move, recolour, archive)
+   * @param {string|number} id - Category ID
+   * @param {Object} categoryData - Changed fields
+   * @returns {Promise<Object>} `{ category, retagged }` where retagged counts records moved to a new name
+   */
+  update: async (id, categoryData) => {
+    try {
+      const response = await api.put(`/categories/${id}`, categoryData);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to update category ${id}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Merges a category into another one and deletes it
+   * @param {string|number} id - Category to merge away
+   * @param {string|number} targetId - Category that receives its records
+   * @returns {Promise<Object>} `{ category, retagged }` with the target category
+   */
+  merge: async (id, targetId) => {
+    try {
+      const response = await api.post(`/categories/${id}/merge`, { targetId });
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to merge category ${id}`, error);
+      throw error;
+    }
+  },
+};
+
+/**
+ * Categorization rules API methods
+ * Rules are evaluated in the browser; the server only stores them.
+ * @namespace
+ */
+export const rulesAPI = {
+  /**
+   * Retrieves all categorization rules
+   * @returns {Promise<Array|null>} Array of rules, or null when the server does not store rules
+   */
+  getAll: async () => {
+    try {
+      const response = await api.get('/rules');
+      return response.data;
+    } catch (error) {
+      // Fallback for servers without rule support: rules are kept in localStorage instead
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch rules', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates a rule
+   * @param {Object} ruleData - Name, priority, conditions and actions
+   * @returns {Promise<Object>} Created rule
+   */
+  create: async (ruleData) => {
+    try {
+      const response = await api.post('/rules', ruleData);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to create rule', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a rule
+   * @param {string|number} id - Rule ID
+   * @param {Object} ruleData - Changed fields
+   * @returns {Promise<Object>} Updated rule
+   */
+  update: async (id, ruleData) => {
+    try {
+      const response = await api.put(`/rules/${id}`, ruleData);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to update rule ${id}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a rule
+   * @param {string|number} id - Rule ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  delete: async (id) => {
+    try {
+      const response = await api.delete(`/rules/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to delete rule ${id}`, error);
+      throw error;
+    }
+  },
 };
 
 /**
@@ -398,13 +943,14 @@ export const budgetsAPI = {
    * Checks if transaction would exceed budget limit
    * @param {string} category - Transaction category
    * @param {number} amount - Transaction amount
+   * @param {string} [date] - Transaction date; picks the budget period to check against (default: today)
    * @returns {Promise<Object>} Budget limit check result
    */
-  checkLimit: async (category, amount) => {
+  checkLimit: async (category, amount, date) => {
   try {
     // Wrap the API call with retry logic
     const response = await retryRequest(() => 
-      api.post('/budgets/check-limit', { category, amount })
+      api.post('/budgets/check-limit', { category, amount, date })
     );
     return response.data;
   } catch (error) {
@@ -429,9 +975,29 @@ export const budgetsAPI = {
     }
   },
 
+  /**
+   * Gets snapshots of closed budget periods, closing any periods that ended since the last call
+   * @param {number|string} [budgetId] - Only this budget's history
+   * @returns {Promise<Array|null>} Snapshots oldest first, or null when the server does not keep history
+   */
+  getHistory: async (budgetId) => {
+    try {
+      const response = await api.get('/budgets/history', { params: budgetId ? { budgetId } : undefined });
+      return response.data;
+    } catch (error) {
+      // Fallback for servers without budget history: snapshots are kept in localStorage instead
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch budget history', error);
+      throw error;
+    }
+  },
+
   /**
    * Resets monthly spent amounts (admin/background)
-   * @returns {Promise<Object>} Reset result
+   * Closed periods are snapshotted into the budget history before the reset.
+   * @returns {Promise<Object>} Reset result with the number of periods snapshotted
    */
   resetMonthly: async () => {
     try {
@@ -455,6 +1021,54 @@ export const budgetsAPI = {
       console.error('Failed to sync budgets', error);
       throw error;
     }
+  },
+
+  /**
+   * Gets the envelope budgeting settings and transfer history
+   * @returns {Promise<Object|null>} Settings and transfers, or null when the server does not support envelopes
+   */
+  getEnvelopeBudget: async () => {
+    try {
+      const response = await api.get('/budgets/envelopes');
+      return response.data;
+    } catch (error) {
+      // Fallback for servers without envelope budgeting: it is kept in localStorage instead
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch envelope budget', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates the envelope budgeting settings
+   * @param {Object} settings - enabled, startMonth and startingBalance
+   * @returns {Promise<Object>} Saved settings
+   */
+  updateEnvelopeSettings: async (settings) => {
+    try {
+      const response = await api.put('/budgets/envelopes/settings', settings);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to update envelope settings', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Records envelope transfers; the batch is saved only if every transfer fits
+   * @param {Array} transfers - Transfers with month, fromCategory, toCategory, amount and note
+   * @returns {Promise<Array>} Saved transfers
+   */
+  createEnvelopeTransfers: async (transfers) => {
+    try {
+      const response = await api.post('/budgets/envelopes/transfers', { transfers });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to record envelope transfers', error);
+      throw error;
+    }
   }
 };
 
@@ -553,6 +1167,89 @@ export const goalsAPI = {
       throw error;
     }
   },
+
+  /**
+   * Retrieves the contribution ledger for all goals or one goal
+   * @param {string|number} [goalId] - Only this goal's contributions
+   * @returns {Promise<Array|null>} Contributions, or null when the server does not keep a ledger
+   */
+  getContributions: async (goalId) => {
+    try {
+      const response = await api.get(goalId ? `/goals/contributions?goalId=${goalId}` : '/goals/contributions');
+      return response.data;
+    } catch (error) {
+      // Fallback for servers without a ledger: contributions are recorded in localStorage instead
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch goal contributions', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Retrieves the standing income allocation rules
+   * @returns {Promise<Array|null>} Rules, or null when the server does not store them
+   */
+  getAllocationRules: async () => {
+    try {
+      const response = await api.get('/goals/allocation-rules');
+      return response.data;
+    } catch (error) {
+      // Fallback for servers without allocation rules: rules are kept in localStorage instead
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Failed to fetch goal allocation rules', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates an income allocation rule
+   * @param {Object} ruleData - Trigger conditions, percentage, split method, goals and caps
+   * @returns {Promise<Object>} Created rule
+   */
+  createAllocationRule: async (ruleData) => {
+    try {
+      const response = await api.post('/goals/allocation-rules', ruleData);
+      return response.data;
+    } catch (error) {
+      console.error('Failed to create goal allocation rule', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates an income allocation rule
+   * @param {string|number} id - Rule ID
+   * @param {Object} ruleData - Changed fields
+   * @returns {Promise<Object>} Updated rule
+   */
+  updateAllocationRule: async (id, ruleData) => {
+    try {
+      const response = await api.put(`/goals/allocation-rules/${id}`, ruleData);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to update goal allocation rule ${id}`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes an income allocation rule
+   * @param {string|number} id - Rule ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  deleteAllocationRule: async (id) => {
+    try {
+      const response = await api.delete(`/goals/allocation-rules/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Failed to delete goal allocation rule ${id}`, error);
+      throw error;
+    }
+  },
 };
 
 /**
@@ -970,6 +1667,7 @@ export const debtAPI = {
 
   /**
    * Makes a payment on a debt
+   * The payment is recorded as a transfer from `paymentData.accountId` to the debt.
    * @param {string|number} id - Debt ID
    * @param {Object} paymentData - Payment data
    * @returns {Promise<Object>} Payment confirmation
@@ -0,0 +1,90 @@
+// authSync.js
+// Messages between open tabs about sign-in, sign-out, activity, session settings and user details.
+// Uses a BroadcastChannel where the browser has one and falls back to localStorage `storage` events,
+// which other tabs of the same origin receive too. A tab never receives its own messages.
+
+/** BroadcastChannel name */
+const CHANNEL_NAME = 'evercrest-auth';
+
+/** localStorage key carrying messages when BroadcastChannel is unavailable */
+const STORAGE_KEY = 'authSyncMessage';
+
+/**
+ * Cross-tab messenger for the auth session
+ * Message types used by AuthContext: `login` ({ user, sessionId }), `logout` ({ reason }),
+ * `activity` ({ time }), `settings` ({ settings }) and `user` ({ user }).
+ * @class
+ */
+class AuthSyncService {
+  constructor() {
+    this.tabId = Math.random().toString(36).slice(2);
+    this.listeners = new Set();
+    this.channel = null;
+    this.started = false;
+  }
+
+  /**
+   * Opens the channel on first use
+   * @private
+   */
+  start() {
+    if (this.started || typeof window === 'undefined') return;
+    this.started = true;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.deliver(event.data);
+      return;
+    }
+
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY || !event.newValue) return;
+      try {
+        this.deliver(JSON.parse(event.newValue));
+      } catch {
+        // Not one of ours
+      }
+    });
+  }
+
+  /** @private */
+  deliver(message) {
+    if (!message?.type || message.tabId === this.tabId) return;
+    this.listeners.forEach(listener => listener(message));
+  }
+
+  /**
+   * Sends a message to every other open tab
+   * @param {string} type - Message type
+   * @param {Object} [payload] - Message fields
+   */
+  post(type, payload = {}) {
+    this.start();
+    const message = { ...payload, type, tabId: this.tabId, sentAt: Date.now() };
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+    try {
+      // Writing then removing still fires a `storage` event carrying the message in other tabs
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not notify other tabs', error);
+    }
+  }
+
+  /**
+   * Subscribes to messages from other tabs
+   * @param {Function} listener - Called with each message
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.start();
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+export const authSync = new AuthSyncService();
+export default authSync;
@@ -0,0 +1,437 @@
+// backupService.js
+import {
+  transactionsAPI,
+  accountsAPI,
+  categoriesAPI,
+  rulesAPI,
+  budgetsAPI,
+  goalsAPI,
+  debtAPI,
+  recurringTransactionsAPI,
+  transactionMoodsAPI
+} from './api';
+import { getDuplicateKey } from '../utils/statementImport';
+
+/** Current version of the backup file format */
+export const BACKUP_FORMAT_VERSION = 4;
+
+/** Conflict strategies supported by restore */
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'duplicate'];
+
+/**
+ * Data the app can keep only in this browser (see utils/localStore), which a backup does not include.
+ * Apart from scenarios and settings, these are only kept in the browser when the server does not store them.
+ */
+export const BROWSER_ONLY_DATA = [
+  'What-if scenarios',
+  'Categorization rules and what they learned from your corrections',
+  'Goal contributions and allocation rules',
+  'Envelope budget settings and transfers',
+  'Budget history snapshots',
+  'Account reconciliations',
+  'Currency and session settings'
+];
+
+/** Server-managed fields that are dropped before replaying a record */
+const SYSTEM_FIELDS = ['id', 'userId', 'createdAt', 'updatedAt', '_id', '__v'];
+
+/**
+ * Backup collections in restore order. Categories, accounts, debts and transactions come first so
+ * later records can have their parentId/accountId/debtId/transactionId references remapped.
+ * @type {Array<Object>}
+ */
+export const BACKUP_COLLECTIONS = [
+  {
+    key: 'categories',
+    label: 'Categories',
+    fetch: () => categoriesAPI.getAll(),
+    create: (data) => categoriesAPI.create(data),
+    update: async (id, data) => (await categoriesAPI.update(id, data)).category,
+    getKey: (item) => (item.name || '').toLowerCase().trim(),
+    describe: (item) => item.name || 'Unnamed category'
+  },
+  {
+    key: 'accounts',
+    label: 'Accounts',
+    fetch: () => accountsAPI.getAll(),
+    create: (data) => accountsAPI.create(data),
+    update: (id, data) => accountsAPI.update(id, data),
+    getKey: (item) => (item.name || '').toLowerCase().trim(),
+    describe: (item) => item.name || 'Unnamed account'
+  },
+  {
+    key: 'debts',
+    label: 'Debts',
+    fetch: () => debtAPI.getAll(),
+    create: (data) => debtAPI.create(data),
+    update: (id, data) => debtAPI.update(id, data),
+    getKey: (item) => (item.name || '').toLowerCase().trim(),
+    describe: (item) => item.name || 'Unnamed debt'
+  },
+  {
+    key: 'transactions',
+    label: 'Transactions',
+    fetch: () => transactionsAPI.getAll(),
+    create: (data) => transactionsAPI.create(data),
+    update: (id, data) => transactionsAPI.update(id, data),
+    getKey: (item) => `${item.type}_${getDuplicateKey(item)}`,
+    describe: (item) => `${(item.date || '').toString().split('T')[0]} ${item.description || item.category || ''} ${Math.abs(item.amount || 0).toFixed(2)}`
+  },
+  {
+    key: 'budgets',
+    label: 'Budgets',
+    fetch: () => budgetsAPI.getAll(),
+    create: (data) => budgetsAPI.create(data),
+    update: (id, data) => budgetsAPI.update(id, data),
+    getKey: (item) => `${(item.category || '').toLowerCase()}_${item.period || 'monthly'}`,
+    describe: (item) => `${item.category} (${item.period || 'monthly'})`
+  },
+  {
+    key: 'goals',
+    label: 'Goals',
+    fetch: () => goalsAPI.getAll(),
+    create: (data) => goalsAPI.create(data),
+    update: (id, data) => goalsAPI.update(id, data),
+    getKey: (item) => (item.name || '').toLowerCase().trim(),
+    describe: (item) => item.name || 'Unnamed goal'
+  },
+  {
+    key: 'recurringTransactions',
+    label: 'Recurring Transactions',
+    fetch: () => recurringTransactionsAPI.getAll(),
+    create: (data) => recurringTransactionsAPI.create(data),
+    update: null,
+    getKey: (item) => `${(item.description || '').toLowerCase().trim()}_${Math.abs(item.amount || 0).toFixed(2)}_${item.frequency}`,
+    describe: (item) => `${item.description || 'Recurring'} (${item.frequency})`
+  },
+  {
+    key: 'transactionMoods',
+    label: 'Transaction Moods',
+    fetch: () => transactionMoodsAPI.getAllMoods(),
+    create: (data) => transactionMoodsAPI.addMood(data),
+    update: (id, data) => transactionMoodsAPI.updateMood(id, data),
+    getKey: (item) => String(item.transactionId),
+    describe: (item) => `Mood "${item.mood}" on transaction ${item.transactionId}`
+  },
+  {
+    key: 'rules',
+    label: 'Categorization Rules',
+    fetch: () => rulesAPI.getAll(),
+    create: (data) => rulesAPI.create(data),
+    update: (id, data) => rulesAPI.update(id, data),
+    getKey: (item) => (item.name || '').toLowerCase().trim(),
+    describe: (item) => item.name || 'Unnamed rule'
+  }
+];
+
+/**
+ * Service for creating versioned backups of the whole account and restoring them
+ * by replaying records through the regular API create methods
+ * @class
+ */
+class BackupService {
+  /**
+   * Loads every collection from the API
+   * @returns {Promise<Object>} Snapshot with `data` per collection and `warnings` for collections that failed to load
+   */
+  async fetchSnapshot() {
+    const data = {};
+    const warnings = [];
+
+    for (const collection of BACKUP_COLLECTIONS) {
+      try {
+        const items = await collection.fetch();
+        data[collection.key] = Array.isArray(items) ? items : [];
+      } catch (error) {
+        console.error(`Failed to load ${collection.key} for backup`, error);
+        data[collection.key] = [];
+        warnings.push(`${collection.label} could not be loaded: ${error.message}`);
+      }
+    }
+
+    return { data, warnings };
+  }
+
+  /**
+   * Builds a versioned backup document of the current account
+   * @param {Object} user - Current user, recorded for reference
+   * @returns {Promise<Object>} Backup document and load warnings
+   */
+  async createBackup(user = null) {
+    const { data, warnings } = await this.fetchSnapshot();
+
+    const backup = {
+      version: BACKUP_FORMAT_VERSION,
+      exportedAt: new Date().toISOString(),
+      user: user ? { id: user.id, email: user.email, name: user.name } : null,
+      counts: Object.fromEntries(BACKUP_COLLECTIONS.map(c => [c.key, data[c.key].length])),
+      data
+    };
+
+    return { backup, warnings };
+  }
+
+  /**
+   * Parses and validates a backup file, upgrading older versions
+   * @param {string} text - Raw file contents
+   * @returns {Object} Normalized backup document
+   * @throws {Error} If the file is not a valid backup
+   */
+  parseBackup(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      throw new Error('File is not valid JSON');
+    }
+
+    if (!parsed || typeof parsed !== 'object' || !parsed.data || typeof parsed.data !== 'object') {
+      throw new Error('File is not a backup: missing data section');
+    }
+
+    const version = Number(parsed.version) || 1;
+    if (version > BACKUP_FORMAT_VERSION) {
+      throw new Error(`Backup version ${version} is newer than this app supports (${BACKUP_FORMAT_VERSION})`);
+    }
+
+    // Version 1 (plain data export) lacked recurring transactions and moods; version 2 lacked categories;
+    // version 3 lacked categorization rules
+    const data = {};
+    BACKUP_COLLECTIONS.forEach(collection => {
+      const items = parsed.data[collection.key];
+      data[collection.key] = Array.isArray(items) ? items.filter(item => item && typeof item === 'object') : [];
+    });
+
+    // Parents are restored before their subcategories
+    data.categories.sort((a, b) => Number(Boolean(a.parentId)) - Number(Boolean(b.parentId)));
+
+    return {
+      version: BACKUP_FORMAT_VERSION,
+      sourceVersion: version,
+      exportedAt: parsed.exportedAt || null,
+      user: parsed.user || null,
+      data
+    };
+  }
+
+  /**
+   * Compares a backup with the current account without changing anything (dry run)
+   * @param {Object} backup - Normalized backup from parseBackup
+   * @param {Object} currentData - Current snapshot data from fetchSnapshot
+   * @returns {Object} Plan with per-collection rows marked 'new' or 'conflict'
+   */
+  buildRestorePlan(backup, currentData) {
+    const collections = BACKUP_COLLECTIONS.map(collection => {
+      const existingByKey = new Map();
+      (currentData[collection.key] || []).forEach(item => {
+        const key = collection.getKey(item);
+        if (!existingByKey.has(key)) existingByKey.set(key, item);
+      });
+
+      const rows = backup.data[collection.key].map((item, index) => {
+        // Moods are matched after their transaction has been remapped during restore
+        const existing = collection.key === 'transactionMoods' ? null : existingByKey.get(collection.getKey(item));
+        return {
+          index,
+          item,
+          label: collection.describe(item),
+          status: existing ? 'conflict' : 'new',
+          existing: existing || null
+        };
+      });
+
+      return {
+        key: collection.key,
+        label: collection.label,
+        canOverwrite: typeof collection.update === 'function',
+        rows,
+        newCount: rows.filter(row => row.status === 'new').length,
+        conflictCount: rows.filter(row => row.status === 'conflict').length
+      };
+    });
+
+    // Existing moods are keyed by transaction so restore can detect conflicts once IDs are remapped
+    const existingMoods = new Map(
+      (currentData.transactionMoods || []).map(mood => [String(mood.transactionId), mood])
+    );
+
+    return {
+      collections,
+      existingMoods,
+      totalRows: collections.reduce((sum, c) => sum + c.rows.length, 0),
+      totalConflicts: collections.reduce((sum, c) => sum + c.conflictCount, 0)
+    };
+  }
+
+  /**
+   * Replays a restore plan through the API
+   * @param {Object} plan - Plan from buildRestorePlan
+   * @param {Object} options - Restore options
+   * @param {Object<string, string>} options.strategies - Conflict strategy per collection key ('skip', 'overwrite', 'duplicate')
+   * @param {Function} [options.onProgress] - Called with each row result and running counts
+   * @returns {Promise<Object>} Restore report with per-row results
+   */
+  async restore(plan, { strategies = {}, onProgress } = {}) {
+    const results = [];
+    const idMaps = { categories: new Map(), accounts: new Map(), debts: new Map(), transactions: new Map() };
+    let completed = 0;
+
+    for (const planned of plan.collections) {
+      const collection = BACKUP_COLLECTIONS.find(c => c.key === planned.key);
+      const strategy = strategies[planned.key] || 'skip';
+
+      for (const row of planned.rows) {
+        const result = await this.restoreRow(collection, row, strategy, idMaps, plan.existingMoods);
+        results.push({ collection: planned.key, label: row.label, index: row.index, ...result });
+        completed++;
+
+        if (onProgress) {
+          onProgress(results[results.length - 1], completed, plan.totalRows);
+        }
+      }
+    }
+
+    return {
+      results,
+      created: results.filter(r => r.action === 'created').length,
+      updated: results.filter(r => r.action === 'updated').length,
+      skipped: results.filter(r => r.action === 'skipped').length,
+      failed: results.filter(r => r.action === 'failed').length
+    };
+  }
+
+  /**
+   * Restores a single backup row according to the conflict strategy
+   * @param {Object} collection - Collection definition
+   * @param {Object} row - Plan row
+   * @param {string} strategy - Conflict strategy
+   * @param {Object} idMaps - Old-to-new ID maps for categories, accounts, debts and transactions
+   * @param {Map} existingMoods - Current moods keyed by transaction ID
+   * @returns {Promise<Object>} Row result with action and optional error
+   * @private
+   */
+  async restoreRow(collection, row, strategy, idMaps, existingMoods = new Map()) {
+    const { item } = row;
+
+    try {
+      const payload = this.prepareRecord(collection.key, item, idMaps);
+      if (payload.error) {
+        return { action: 'failed', error: payload.error };
+      }
+
+      if (collection.key === 'transactionMoods') {
+        const existingMood = existingMoods.get(String(payload.data.transactionId));
+        row = { ...row, status: existingMood ? 'conflict' : 'new', existing: existingMood || null };
+      }
+
+      if (row.status === 'conflict' && strategy === 'skip') {
+        this.rememberId(collection.key, item, row.existing, idMaps);
+        return { action: 'skipped', reason: 'Already exists' };
+      }
+
+      if (row.status === 'conflict' && strategy === 'overwrite') {
+        if (!collection.update) {
+          this.rememberId(collection.key, item, row.existing, idMaps);
+          return { action: 'skipped', reason: `${collection.label} cannot be overwritten` };
+        }
+        const updated = await collection.update(row.existing.id, payload.data);
+        this.rememberId(collection.key, item, updated || row.existing, idMaps);
+        return { action: 'updated' };
+      }
+
+      const created = await collection.create(payload.data);
+      // Budget-limited transactions come back as a rejection payload instead of an error
+      if (created && created.success === false) {
+        return { action: 'failed', error: created.error || 'Rejected by server' };
+      }
+
+      this.rememberId(collection.key, item, created, idMaps);
+      return { action: 'created' };
+    } catch (error) {
+      return {
+        action: 'failed',
+        error: error.response?.data?.error || error.message || 'Request failed'
+      };
+    }
+  }
+
+  /**
+   * Strips server fields and remaps references to records created earlier in the restore
+   * @param {string} collectionKey - Collection key
+   * @param {Object} item - Backup record
+   * @param {Object} idMaps - Old-to-new ID maps
+   * @returns {Object} `{ data }` ready for the API or `{ error }` when a reference cannot be resolved
+   * @private
+   */
+  prepareRecord(collectionKey, item, idMaps) {
+    const data = { ...item };
+    SYSTEM_FIELDS.forEach(field => delete data[field]);
+
+    if (data.accountId !== undefined && idMaps.accounts.has(String(data.accountId))) {
+      data.accountId = idMaps.accounts.get(String(data.accountId));
+    }
+
+    if (collectionKey === 'categories' && item.parentId) {
+      const parentId = idMaps.categories.get(String(item.parentId));
+      if (parentId === undefined) {
+        return { error: 'Parent category was not restored' };
+      }
+      data.parentId = parentId;
+    }
+
+    // Transfers also point at the account or debt the money went to
+    if (collectionKey === 'transactions' && item.toAccountId !== undefined && item.toAccountId !== null) {
+      const toAccountId = idMaps.accounts.get(String(item.toAccountId));
+      if (toAccountId === undefined) {
+        return { error: 'Destination account was not restored' };
+      }
+      data.toAccountId = toAccountId;
+    }
+
+    if (collectionKey === 'transactions' && item.debtId !== undefined && item.debtId !== null) {
+      const debtId = idMaps.debts.get(String(item.debtId));
+      if (debtId === undefined) {
+        return { error: 'Destination debt was not restored' };
+      }
+      data.debtId = debtId;
+    }
+
+    // Rules may be limited to one account
+    const ruleAccountId = item.conditions?.accountId;
+    if (collectionKey === 'rules' && ruleAccountId !== undefined && ruleAccountId !== '') {
+      const accountId = idMaps.accounts.get(String(ruleAccountId));
+      data.conditions = { ...item.conditions, accountId: accountId ?? '' };
+    }
+
+    if (collectionKey === 'transactionMoods') {
+      const transactionId = idMaps.transactions.get(String(item.transactionId));
+      if (transactionId === undefined) {
+        return { error: 'Linked transaction was not restored' };
+      }
+      data.transactionId = transactionId;
+    }
+
+    return { data };
+  }
+
+  /**
+   * Records the new ID of a restored (or matched) record for later reference remapping
+   * @param {string} collectionKey - Collection key
+   * @param {Object} original - Backup record
+   * @param {Object} restored - Record now present on the server
+   * @param {Object} idMaps - Old-to-new ID maps
+   * @private
+   */
+  rememberId(collectionKey, original, restored, idMaps) {
+    const map = idMaps[collectionKey];
+    if (!map || original?.id === undefined || !restored) return;
+
+    const newId = restored.id ?? restored.transaction?.id ?? restored.data?.id;
+    if (newId !== undefined) {
+      map.set(String(original.id), newId);
+    }
+  }
+}
+
+export const backupService = new BackupService();
+export default backupService;
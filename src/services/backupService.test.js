@@ -0,0 +1,77 @@
+//backupService.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { accountsAPI, debtAPI, transactionsAPI } from './api';
+import { backupService } from './backupService';
+
+vi.mock('./api', () => {
+  const collection = () => ({ getAll: vi.fn(async () => []), create: vi.fn(), update: vi.fn() });
+  return {
+    transactionsAPI: collection(),
+    accountsAPI: collection(),
+    categoriesAPI: collection(),
+    rulesAPI: collection(),
+    budgetsAPI: collection(),
+    goalsAPI: collection(),
+    debtAPI: collection(),
+    recurringTransactionsAPI: collection(),
+    transactionMoodsAPI: { getAllMoods: vi.fn(async () => []), addMood: vi.fn(), updateMood: vi.fn() }
+  };
+});
+
+/** Backup file holding two accounts, a debt and a transfer to each */
+const BACKUP = JSON.stringify({
+  version: 4,
+  data: {
+    accounts: [{ id: 1, name: 'Checking' }, { id: 2, name: 'Savings' }],
+    debts: [{ id: 5, name: 'Car loan' }],
+    transactions: [
+      { id: 10, type: 'transfer', category: 'Transfer', amount: 200, date: '2024-03-01', accountId: 1, toAccountId: 2 },
+      { id: 11, type: 'transfer', category: 'Transfer', amount: 150, date: '2024-03-02', accountId: 1, debtId: 5 }
+    ]
+  }
+});
+
+/** Restores the backup into an empty account, creating every record */
+const restoreBackup = async (text = BACKUP) => {
+  const plan = backupService.buildRestorePlan(backupService.parseBackup(text), {});
+  return backupService.restore(plan);
+};
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  accountsAPI.create.mockImplementation(async (data) => ({ id: data.name === 'Checking' ? 101 : 102, ...data }));
+  debtAPI.create.mockImplementation(async (data) => ({ id: 105, ...data }));
+  transactionsAPI.create.mockImplementation(async (data) => ({ id: 110, ...data }));
+});
+
+describe('restore', () => {
+  it('points restored transfers at the restored accounts and debts', async () => {
+    const report = await restoreBackup();
+    expect(report.failed).toBe(0);
+    expect(transactionsAPI.create.mock.calls.map(([data]) => data)).toEqual([
+      expect.objectContaining({ type: 'transfer', amount: 200, accountId: 101, toAccountId: 102 }),
+      expect.objectContaining({ type: 'transfer', amount: 150, accountId: 101, debtId: 105 })
+    ]);
+  });
+
+  it('maps transfers to matching accounts that were skipped', async () => {
+    const plan = backupService.buildRestorePlan(backupService.parseBackup(BACKUP), {
+      accounts: [{ id: 7, name: 'Savings' }]
+    });
+    await backupService.restore(plan, { strategies: { accounts: 'skip' } });
+    expect(transactionsAPI.create.mock.calls[0][0]).toMatchObject({ accountId: 101, toAccountId: 7 });
+  });
+
+  it('fails a transfer whose destination was not restored', async () => {
+    accountsAPI.create.mockImplementation(async (data) => {
+      if (data.name === 'Savings') throw new Error('Server error');
+      return { id: 101, ...data };
+    });
+    const { results } = await restoreBackup();
+    expect(results.find(result => result.collection === 'transactions')).toMatchObject({
+      action: 'failed',
+      error: 'Destination account was not restored'
+    });
+    expect(transactionsAPI.create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,234 @@
+// config.js
+// Endpoint configuration resolved from (lowest to highest priority):
+// built-in defaults, Vite env variables, runtime /config.json, developer override
+
+/** Built-in defaults for local development */
+const DEFAULT_CONFIG = {
+  apiUrl: 'http://localhost:5000/api',
+  wsUrl: '',
+  mockApi: false,
+  allowDevOverride: false
+};
+
+/** Path of the runtime configuration file served next to index.html */
+const RUNTIME_CONFIG_PATH = '/config.json';
+
+/** localStorage key holding the developer override */
+const OVERRIDE_STORAGE_KEY = 'configOverride';
+
+/** Keys that can be set by runtime config and the developer override */
+const CONFIG_KEYS = ['apiUrl', 'wsUrl'];
+
+/** Boolean flags that can be set by runtime config and the developer override */
+const FLAG_KEYS = ['mockApi'];
+
+/**
+ * Values baked in at build time through Vite env variables
+ * @type {Object}
+ */
+const envConfig = {
+  apiUrl: import.meta.env.VITE_API_URL || undefined,
+  wsUrl: import.meta.env.VITE_WS_URL || undefined,
+  mockApi: import.meta.env.VITE_MOCK_API === 'true' ? true : undefined,
+  allowDevOverride: import.meta.env.DEV || import.meta.env.VITE_ALLOW_CONFIG_OVERRIDE === 'true'
+};
+
+let runtimeConfig = {};
+let resolvedConfig = null;
+
+/**
+ * Removes trailing slashes so paths can be appended safely
+ * @param {string} url - URL to normalize
+ * @returns {string} URL without trailing slashes
+ * @private
+ */
+const trimTrailingSlash = (url) => (url || '').replace(/\/+$/, '');
+
+/**
+ * Keeps only known, non-empty string settings
+ * @param {Object} source - Raw settings
+ * @returns {Object} Sanitized settings
+ * @private
+ */
+const pickSettings = (source = {}) => {
+  const settings = {};
+  CONFIG_KEYS.forEach(key => {
+    if (typeof source[key] === 'string' && source[key].trim()) {
+      settings[key] = source[key].trim();
+    }
+  });
+  FLAG_KEYS.forEach(key => {
+    if (typeof source[key] === 'boolean') {
+      settings[key] = source[key];
+    }
+  });
+  return settings;
+};
+
+/**
+ * Reads the developer override from localStorage
+ * @returns {Object} Override settings (empty when none saved)
+ * @private
+ */
+const readOverride = () => {
+  try {
+    const raw = localStorage.getItem(OVERRIDE_STORAGE_KEY);
+    return raw ? pickSettings(JSON.parse(raw)) : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Derives the socket server URL from the API URL (same origin, without the /api path)
+ * @param {string} apiUrl - API base URL
+ * @returns {string} Socket server URL
+ * @private
+ */
+const deriveWsUrl = (apiUrl) => {
+  try {
+    return new URL(apiUrl, window.location.origin).origin;
+  } catch {
+    return trimTrailingSlash(apiUrl).replace(/\/api$/, '');
+  }
+};
+
+/**
+ * Merges every configuration source
+ * @returns {Object} Resolved configuration
+ * @private
+ */
+const resolveConfig = () => {
+  const allowDevOverride = Boolean(runtimeConfig.allowDevOverride ?? envConfig.allowDevOverride);
+
+  const merged = {
+    ...DEFAULT_CONFIG,
+    ...Object.fromEntries(Object.entries(envConfig).filter(([, value]) => value !== undefined)),
+    ...pickSettings(runtimeConfig),
+    ...(allowDevOverride ? readOverride() : {}),
+    allowDevOverride
+  };
+
+  merged.apiUrl = trimTrailingSlash(merged.apiUrl);
+  merged.wsUrl = trimTrailingSlash(merged.wsUrl) || deriveWsUrl(merged.apiUrl);
+  return merged;
+};
+
+/**
+ * Loads the runtime config.json once at startup. A missing or invalid file is not
+ * an error: the build-time values are used instead.
+ * @returns {Promise<Object>} Resolved configuration
+ */
+export const loadRuntimeConfig = async () => {
+  try {
+    const response = await fetch(RUNTIME_CONFIG_PATH, { cache: 'no-store' });
+    const contentType = response.headers.get('content-type') || '';
+
+    // Dev servers answer unknown paths with index.html, so check the content type
+    if (response.ok && contentType.includes('application/json')) {
+      const data = await response.json();
+      runtimeConfig = data && typeof data === 'object' ? data : {};
+    }
+  } catch (error) {
+    console.warn('Runtime config not loaded, using build configuration', error);
+  }
+
+  resolvedConfig = resolveConfig();
+  return resolvedConfig;
+};
+
+/**
+ * Returns the active configuration
+ * @returns {Object} Configuration with apiUrl, wsUrl, mockApi and allowDevOverride
+ */
+export const getConfig = () => {
+  if (!resolvedConfig) {
+    resolvedConfig = resolveConfig();
+  }
+  return resolvedConfig;
+};
+
+/**
+ * Base URL for HTTP API requests
+ * @returns {string} API base URL without trailing slash
+ */
+export const getApiUrl = () => getConfig().apiUrl;
+
+/**
+ * URL of the Socket.IO server
+ * @returns {string} Socket server URL
+ */
+export const getWsUrl = () => getConfig().wsUrl;
+
+/**
+ * Whether requests are served by the in-browser mock backend instead of the API server
+ * @returns {boolean} True in mock mode
+ */
+export const isMockApi = () => Boolean(getConfig().mockApi);
+
+/**
+ * Axios adapter that hands requests to the in-browser mock backend
+ * The backend is loaded on first use, so builds that never switch mock mode on don't download it.
+ * @param {Object} requestConfig - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+export const mockApiAdapter = (requestConfig) =>
+  import('./mockBackend').then(({ mockAdapter }) => mockAdapter(requestConfig));
+
+/**
+ * Returns where each setting currently comes from, for the developer settings panel
+ * @returns {Object} Settings per source (env, runtime, override)
+ */
+export const getConfigSources = () => ({
+  defaults: DEFAULT_CONFIG,
+  env: pickSettings(envConfig),
+  runtime: pickSettings(runtimeConfig),
+  override: readOverride()
+});
+
+/**
+ * Validates an absolute http(s) or ws(s) URL
+ * @param {string} value - URL to check
+ * @returns {boolean} True if valid
+ */
+export const isValidEndpoint = (value) => {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Saves a developer override. Takes effect after a reload so every client reconnects.
+ * @param {Object} override - Settings to override (apiUrl, wsUrl, mockApi); empty values are dropped
+ * @throws {Error} If overrides are disabled or a URL is invalid
+ */
+export const saveConfigOverride = (override) => {
+  if (!getConfig().allowDevOverride) {
+    throw new Error('Configuration override is disabled for this build');
+  }
+
+  const settings = pickSettings(override);
+  Object.entries(settings).forEach(([key, value]) => {
+    if (CONFIG_KEYS.includes(key) && !isValidEndpoint(value)) {
+      throw new Error(`${key} must be an absolute http(s) or ws(s) URL`);
+    }
+  });
+
+  if (Object.keys(settings).length === 0) {
+    localStorage.removeItem(OVERRIDE_STORAGE_KEY);
+  } else {
+    localStorage.setItem(OVERRIDE_STORAGE_KEY, JSON.stringify(settings));
+  }
+  resolvedConfig = resolveConfig();
+};
+
+/**
+ * Removes the developer override
+ */
+export const clearConfigOverride = () => {
+  localStorage.removeItem(OVERRIDE_STORAGE_KEY);
+  resolvedConfig = resolveConfig();
+};
@@ -0,0 +1,297 @@
+// i18n.js
+import { catalogs, DEFAULT_LOCALE, SUPPORTED_LOCALES } from '../locales';
+
+/** localStorage key for the chosen language and week start */
+const STORAGE_KEY = 'i18nSettings';
+
+/**
+ * Regions whose calendars start the week on Sunday.
+ * Used when the browser does not expose Intl.Locale#weekInfo.
+ */
+const SUNDAY_FIRST_REGIONS = ['US', 'CA', 'MX', 'BR', 'JP', 'IL', 'ZA', 'PH', 'IN', 'KR', 'TW', 'HK', 'AU'];
+
+/**
+ * Reads a nested catalog value by dot-separated key
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Key such as 'home.title'
+ * @returns {string|Object|undefined} Message or plural forms
+ * @private
+ */
+const lookup = (catalog, key) => key.split('.').reduce((node, part) => node?.[part], catalog);
+
+/**
+ * Replaces {name} placeholders with values
+ * @param {string} message - Message template
+ * @param {Object} params - Placeholder values
+ * @returns {string} Interpolated message
+ * @private
+ */
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+
+/**
+ * Language, message catalogs and locale-aware formatting
+ *
+ * Plain utilities (dateUtils, calendarUtils) call this singleton directly;
+ * React components use the I18nContext, which subscribes to changes here.
+ */
+class I18nService {
+  constructor() {
+    const saved = this.readSettings();
+    this.locale = this.resolveLocale(saved.locale || (typeof navigator !== 'undefined' ? navigator.language : null));
+    this.weekStart = Number.isInteger(saved.weekStart) ? saved.weekStart : null;
+    this.listeners = new Set();
+    this.formatterCache = new Map();
+  }
+
+  /**
+   * Reads saved settings
+   * @returns {Object} Saved locale and week start
+   */
+  readSettings() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Persists the current settings
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ locale: this.locale, weekStart: this.weekStart }));
+    } catch (error) {
+      console.warn('Could not save language settings', error);
+    }
+  }
+
+  /**
+   * Maps a requested locale to a supported one: exact match, then same language, then the default
+   * @param {string} requested - BCP 47 locale tag
+   * @returns {string} Supported locale tag
+   */
+  resolveLocale(requested) {
+    if (!requested) return DEFAULT_LOCALE;
+    const exact = SUPPORTED_LOCALES.find(entry => entry.locale.toLowerCase() === requested.toLowerCase());
+    if (exact) return exact.locale;
+    const language = requested.split('-')[0].toLowerCase();
+    const sameLanguage = SUPPORTED_LOCALES.find(entry => entry.catalog === language);
+    return sameLanguage ? sameLanguage.locale : DEFAULT_LOCALE;
+  }
+
+  /**
+   * @returns {string} Active locale tag, e.g. 'en-US'
+   */
+  getLocale() {
+    return this.locale;
+  }
+
+  /**
+   * @returns {Array<Object>} Languages offered in the switcher
+   */
+  getSupportedLocales() {
+    return SUPPORTED_LOCALES;
+  }
+
+  /**
+   * Switches language and notifies subscribers
+   * @param {string} locale - Locale tag
+   */
+  setLocale(locale) {
+    const next = this.resolveLocale(locale);
+    if (next === this.locale) return;
+    this.locale = next;
+    this.formatterCache.clear();
+    this.saveSettings();
+    if (typeof document !== 'undefined') {
+      document.documentElement.lang = next;
+    }
+    this.notify();
+  }
+
+  /**
+   * First day of the week for the active locale (0 = Sunday, 1 = Monday, ...)
+   * An explicit user choice wins over the locale default.
+   * @returns {number} Weekday index
+   */
+  getFirstDayOfWeek() {
+    return this.weekStart ?? this.getLocaleFirstDayOfWeek();
+  }
+
+  /**
+   * First day of the week the locale itself uses
+   * @returns {number} Weekday index
+   */
+  getLocaleFirstDayOfWeek() {
+    try {
+      const info = new Intl.Locale(this.locale);
+      const weekInfo = info.getWeekInfo?.() || info.weekInfo;
+      if (weekInfo?.firstDay) {
+        return weekInfo.firstDay % 7; // Intl uses 7 for Sunday
+      }
+    } catch {
+      // Fall back to the region table
+    }
+    const region = this.locale.split('-')[1]?.toUpperCase();
+    return SUNDAY_FIRST_REGIONS.includes(region) ? 0 : 1;
+  }
+
+  /**
+   * @returns {boolean} True when the user picked a week start instead of the locale default
+   */
+  hasCustomFirstDayOfWeek() {
+    return this.weekStart !== null;
+  }
+
+  /**
+   * Overrides the first day of the week
+   * @param {number|null} day - Weekday index, or null to follow the locale
+   */
+  setFirstDayOfWeek(day) {
+    const value = day === null || day === '' ? null : Number(day);
+    if (value !== null && !(Number.isInteger(value) && value >= 0 && value <= 6)) {
+      throw new Error('First day of week must be between 0 and 6');
+    }
+    this.weekStart = value;
+    this.saveSettings();
+    this.notify();
+  }
+
+  /**
+   * Registers a change listener
+   * @param {Function} listener - Called after the locale or week start changes
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.locale);
+      } catch (error) {
+        console.error('i18n listener failed', error);
+      }
+    });
+  }
+
+  /**
+   * Translates a message key
+   * Pass `count` to pick a plural form; other params fill {placeholders}.
+   * Falls back to the English catalog, then to `defaultValue`, then to the key itself.
+   * @param {string} key - Dot-separated message key
+   * @param {Object} [params={}] - Placeholder values
+   * @returns {string} Translated message
+   */
+  t(key, params = {}) {
+    const language = SUPPORTED_LOCALES.find(entry => entry.locale === this.locale)?.catalog || 'en';
+    let message = lookup(catalogs[language], key) ?? lookup(catalogs.en, key);
+
+    if (message && typeof message === 'object') {
+      message = this.selectPlural(message, params.count);
+    }
+    if (typeof message !== 'string') {
+      return params.defaultValue ?? key;
+    }
+
+    const values = typeof params.count === 'number'
+      ? { ...params, count: this.formatNumber(params.count) }
+      : params;
+    return interpolate(message, values);
+  }
+
+  /**
+   * Display name for a category; names without a catalog entry are shown as-is
+   * @param {string} name - Category name as stored on transactions
+   * @returns {string} Translated category name
+   */
+  translateCategory(name) {
+    if (!name) return this.t('categories.Uncategorized');
+    return this.t(`categories.${name}`, { defaultValue: name });
+  }
+
+  /**
+   * Picks the plural form for a count
+   * An explicit `zero` form is used for 0 even in languages whose rules don't have one.
+   * @param {Object} forms - Plural forms keyed by category
+   * @param {number} count - Quantity
+   * @returns {string|undefined} Selected form
+   */
+  selectPlural(forms, count) {
+    if (typeof count !== 'number') return forms.other;
+    if (count === 0 && forms.zero) return forms.zero;
+    const category = this.getFormatter('plural', {}, () => new Intl.PluralRules(this.locale)).select(count);
+    return forms[category] ?? forms.other;
+  }
+
+  /**
+   * Returns a cached Intl formatter for the active locale
+   * @private
+   */
+  getFormatter(type, options, create) {
+    const cacheKey = `${type}:${JSON.stringify(options)}`;
+    if (!this.formatterCache.has(cacheKey)) {
+      this.formatterCache.set(cacheKey, create());
+    }
+    return this.formatterCache.get(cacheKey);
+  }
+
+  /**
+   * Formats a date for the active locale
+   * @param {Date|string|number} date - Date to format
+   * @param {Object} [options] - Intl.DateTimeFormat options
+   * @returns {string} Formatted date
+   */
+  formatDate(date, options = {}) {
+    const value = date instanceof Date ? date : new Date(date);
+    return this.getFormatter('date', options, () => new Intl.DateTimeFormat(this.locale, options)).format(value);
+  }
+
+  /**
+   * Formats a number for the active locale
+   * @param {number} value - Number to format
+   * @param {Object} [options] - Intl.NumberFormat options
+   * @returns {string} Formatted number
+   */
+  formatNumber(value, options = {}) {
+    return this.getFormatter('number', options, () => new Intl.NumberFormat(this.locale, options)).format(value);
+  }
+
+  /**
+   * Formats a currency amount for the active locale
+   * @param {number} amount - Amount
+   * @param {string} [currency='USD'] - ISO currency code
+   * @returns {string} Formatted amount
+   */
+  formatCurrency(amount, currency = 'USD') {
+    return this.formatNumber(amount, { style: 'currency', currency });
+  }
+
+  /**
+   * Localized month name
+   * @param {number} monthIndex - Month index (0-11)
+   * @param {string} [width='long'] - 'long' or 'short'
+   * @returns {string} Month name
+   */
+  getMonthName(monthIndex, width = 'long') {
+    return this.formatDate(new Date(2000, monthIndex, 1), { month: width });
+  }
+
+  /**
+   * Localized weekday name
+   * @param {number} dayIndex - Day index (0-6, Sunday=0)
+   * @param {string} [width='long'] - 'long', 'short' or 'narrow'
+   * @returns {string} Weekday name
+   */
+  getWeekdayName(dayIndex, width = 'long') {
+    // 2 January 2000 was a Sunday
+    return this.formatDate(new Date(2000, 0, 2 + dayIndex), { weekday: width });
+  }
+}
+
+export const i18n = new I18nService();
+export default i18n;
@@ -0,0 +1,2675 @@
+// mockBackend.js
+// In-browser stand-in for the Express API, used as an axios adapter when mock mode is on.
+// Implements every route the services call and keeps its state in localStorage.
+
+import { AxiosError } from 'axios';
+import { getApiUrl } from './config';
+import { buildSeedData, DEMO_USER } from './mockData';
+import { convertAmount, getTransactionCurrency, readCurrencySettings } from '../utils/currencyUtils';
+import {
+  DEFAULT_CATEGORIES,
+  findCategoryByName,
+  getCategoryFamily,
+  getRootCategoryName,
+  normalizeCategoryName,
+  validateCategory
+} from '../utils/categoryUtils';
+import { EMPTY_RULE, validateRule } from '../utils/ruleEngine';
+import { EMPTY_ALLOCATION_RULE, validateAllocationRule } from '../utils/goalAllocationRules';
+import { getPeriodContaining } from '../utils/calendarUtils';
+import { formatCurrency } from '../utils/dateUtils';
+import {
+  buildEnvelopeBudget,
+  checkEnvelopeTransfer,
+  DEFAULT_ENVELOPE_SETTINGS,
+  getTransferKind,
+  validateEnvelopeSettings,
+  validateEnvelopeTransfer
+} from '../utils/envelopeBudget';
+import {
+  calculateRollover,
+  DEFAULT_CUSTOM_PERIOD_DAYS,
+  summarizeBudgetWindow,
+  validateBudgetPeriod
+} from '../utils/budgetPeriods';
+import { snapshotClosedPeriods } from '../utils/budgetHistory';
+import {
+  expandSplitTransactions,
+  getPrimarySplitCategory,
+  getSplitLines,
+  getTransactionCategories,
+  normalizeSplits,
+  validateSplits
+} from '../utils/splitTransactions';
+import { convertTransferDestination, isTransfer, TRANSFER_CATEGORY, validateTransfer } from '../utils/transfers';
+import { buildAccountLedger, calculateReconciliation, validateAccount } from '../utils/accountLedger';
+import {
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  generateTotpSecret,
+  normalizeRecoveryCode,
+  TRUSTED_DEVICE_DAYS,
+  verifyTotp
+} from '../utils/twoFactor';
+import { describeDevice, parseUserAgent } from '../utils/deviceInfo';
+import { validateNewPassword } from '../utils/passwordStrength';
+
+/** localStorage key holding the mock database */
+const STORAGE_KEY = 'mockBackendDb';
+
+/** Bump when the stored shape changes so old databases are re-seeded */
+const DB_VERSION = 1;
+
+/** Simulated network latency range in milliseconds */
+const LATENCY_MS = [120, 320];
+
+/** How long a sign-in waits for its second step, in milliseconds */
+const TWO_FACTOR_CHALLENGE_MS = 5 * 60 * 1000;
+
+/** Wrong codes allowed before a sign-in challenge is dropped */
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+
+/** How long a password reset link works, in milliseconds */
+const PASSWORD_RESET_MS = 60 * 60 * 1000;
+
+/** How long an email verification link works, in milliseconds */
+const EMAIL_VERIFICATION_MS = 24 * 60 * 60 * 1000;
+
+/** How long a session's refresh token stays valid, in milliseconds */
+const SESSION_LIFETIME_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * localStorage key standing in for the browser's httpOnly refresh-token cookie
+ * Only the mock reads it, and only for requests made with credentials, as a browser would send the cookie.
+ */
+const REFRESH_COOKIE_KEY = 'mockRefreshCookie';
+
+/** Budget usage ratio that triggers a warning */
+const BUDGET_WARNING_RATIO = 0.8;
+
+/**
+ * Error thrown by route handlers to produce a non-2xx response
+ * @private
+ */
+class MockHttpError extends Error {
+  constructor(status, data) {
+    super(data?.error || data?.message || `Mock request failed with status ${status}`);
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Shorthand for failing a request
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message returned as { error }
+ * @param {Object} [extra] - Additional response fields
+ * @private
+ */
+const fail = (status, message, extra = {}) => {
+  throw new MockHttpError(status, { error: message, ...extra });
+};
+
+const toCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const nowISO = () => new Date().toISOString();
+const sum = (items, pick) => items.reduce((total, item) => total + (Number(pick(item)) || 0), 0);
+
+// ---- Persistence ----
+
+let cachedDb = null;
+
+/**
+ * Creates a fresh database with the demo user and seeded data
+ * @returns {Object} Database
+ * @private
+ */
+const createDatabase = () => {
+  const demoUser = { id: 1, ...DEMO_USER, createdAt: nowISO() };
+  return {
+    version: DB_VERSION,
+    nextUserId: 2,
+    users: [demoUser],
+    data: { [demoUser.id]: buildSeedData(demoUser.id) },
+    security: { [demoUser.id]: createSecurityState() }
+  };
+};
+
+/**
+ * Loads the database from localStorage, seeding it on first use
+ * @returns {Object} Database
+ * @private
+ */
+const loadDatabase = () => {
+  if (cachedDb) return cachedDb;
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored?.version === DB_VERSION) {
+      cachedDb = stored;
+      return cachedDb;
+    }
+  } catch {
+    // Corrupt data is replaced below
+  }
+  cachedDb = createDatabase();
+  saveDatabase();
+  return cachedDb;
+};
+
+/**
+ * Writes the database back to localStorage
+ * @private
+ */
+const saveDatabase = () => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(cachedDb));
+  } catch (error) {
+    console.warn('Mock backend could not persist its data', error);
+  }
+};
+
+/**
+ * Deletes all mock data; the next request re-seeds the demo database
+ */
+export const resetMockData = () => {
+  cachedDb = null;
+  localStorage.removeItem(STORAGE_KEY);
+  localStorage.removeItem(REFRESH_COOKIE_KEY);
+};
+
+/**
+ * Returns the user's collections, creating empty ones for new accounts
+ * @param {Object} db - Database
+ * @param {number} userId - User ID
+ * @returns {Object} User data
+ * @private
+ */
+const getUserData = (db, userId) => {
+  if (!db.data[userId]) {
+    db.data[userId] = {
+      nextId: 1,
+      accounts: [],
+      transactions: [],
+      budgets: [],
+      goals: [],
+      debts: [],
+      recurringTransactions: [],
+      transactionMoods: [],
+      categories: [],
+      rules: [],
+      goalContributions: [],
+      goalAllocationRules: [],
+      envelopeSettings: { ...DEFAULT_ENVELOPE_SETTINGS },
+      envelopeTransfers: [],
+      budgetSnapshots: []
+    };
+  }
+  return db.data[userId];
+};
+
+/**
+ * Inserts a new record with id and timestamps
+ * @param {Object} data - User data
+ * @param {string} collection - Collection name
+ * @param {Object} fields - Record fields
+ * @returns {Object} Created record
+ * @private
+ */
+const insert = (data, collection, fields) => {
+  const stamp = nowISO();
+  const created = { ...fields, id: data.nextId++, createdAt: stamp, updatedAt: stamp };
+  data[collection].push(created);
+  return created;
+};
+
+/**
+ * Finds a record by id or fails with 404
+ * @private
+ */
+const findOr404 = (data, collection, id, label) => {
+  const found = data[collection].find(item => String(item.id) === String(id));
+  if (!found) fail(404, `${label} not found`);
+  return found;
+};
+
+/**
+ * Applies changes to a record, ignoring identity fields
+ * @private
+ */
+const applyUpdate = (record, changes) => {
+  const { id: _id, userId: _userId, createdAt: _createdAt, ...rest } = changes || {};
+  Object.assign(record, rest, { updatedAt: nowISO() });
+  return record;
+};
+
+// ---- Auth and security ----
+
+/**
+ * Initial security state for a user
+ * @returns {Object} Login attempts, events and alert preferences
+ * @private
+ */
+function createSecurityState() {
+  const hour = 60 * 60 * 1000;
+  const ago = (hours) => new Date(Date.now() - hours * hour).toISOString();
+  return {
+    loginAttempts: [
+      { id: 1, success: true, ip: '102.165.12.40', city: 'Cape Town', country: 'South Africa', time: ago(2) },
+      { id: 2, success: false, ip: '185.220.101.7', city: 'Frankfurt', country: 'Germany', time: ago(20) },
+      { id: 3, success: true, ip: '102.165.12.40', city: 'Cape Town', country: 'South Africa', time: ago(30) }
+    ],
+    events: [
+      { type: 'failed_login', description: 'Failed login from a new location', ip: '185.220.101.7', time: ago(20), riskLevel: 'medium' },
+      { type: 'password_change', description: 'Password changed', ip: '102.165.12.40', time: ago(24 * 9), riskLevel: 'low' }
+    ],
+    alertPreferences: { email: true, push: false, largeTransactionThreshold: 1000 },
+    sessions: [
+      {
+        id: 'sseedphone',
+        device: 'Safari on iOS',
+        browser: 'Safari',
+        os: 'iOS',
+        deviceType: 'mobile',
+        ip: '102.165.12.40',
+        city: 'Cape Town',
+        country: 'South Africa',
+        createdAt: ago(30),
+        lastSeenAt: ago(2),
+        expiresAt: new Date(Date.now() + 29 * 24 * hour).toISOString()
+      }
+    ]
+  };
+}
+
+/**
+ * Security state of a user, created on demand
+ * @private
+ */
+const getSecurity = (db, userId) => {
+  if (!db.security[userId]) {
+    db.security[userId] = createSecurityState();
+  }
+  return db.security[userId];
+};
+
+/**
+ * Records a login attempt in the security log
+ * @private
+ */
+const recordLogin = (db, userId, success) => {
+  const security = getSecurity(db, userId);
+  security.loginAttempts.unshift({
+    id: Date.now(),
+    success,
+    ip: '127.0.0.1',
+    city: 'Localhost',
+    country: 'Mock',
+    time: nowISO()
+  });
+  security.loginAttempts = security.loginAttempts.slice(0, 100);
+};
+
+const randomSuffix = () => Math.random().toString(36).slice(2, 10);
+const issueToken = (kind, userId, sessionId) =>
+  `mock-${kind}.${userId}.${sessionId ? `${sessionId}.` : ''}${randomSuffix()}`;
+
+/**
+ * Reads the user id from a mock token
+ * @param {string} token - Access or refresh token
+ * @param {string} kind - Expected token kind
+ * @returns {number|null} User ID
+ * @private
+ */
+const parseToken = (token, kind) => {
+  const match = new RegExp(`^mock-${kind}\\.(\\d+)\\.`).exec(token || '');
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Reads the session id from a mock token
+ * Tokens issued before sessions were tracked carry none and are not tied to a session.
+ * @param {string} token - Access or refresh token
+ * @returns {string|null} Session ID
+ * @private
+ */
+const parseTokenSession = (token) => {
+  const match = /^mock-[a-z]+\.\d+\.(s[a-z0-9]+)\./.exec(token || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Active sessions of a user, dropping expired ones
+ * @private
+ */
+const getSessions = (db, userId) => {
+  const security = getSecurity(db, userId);
+  const now = new Date();
+  security.sessions = (security.sessions || []).filter(session => new Date(session.expiresAt) > now);
+  return security.sessions;
+};
+
+/**
+ * Session a token belongs to
+ * @returns {Object|null|undefined} The session, null for a token without one, or undefined
+ *   when its session was revoked or has expired
+ * @private
+ */
+const findTokenSession = (db, userId, token) => {
+  const sessionId = parseTokenSession(token);
+  if (!sessionId) return null;
+  return getSessions(db, userId).find(session => session.id === sessionId);
+};
+
+/**
+ * Starts a session for this browser
+ * The mock runs in the signed-in browser, so its user agent stands in for the request's.
+ * @private
+ */
+const createSession = (db, userId) => {
+  const { browser, os, deviceType } = parseUserAgent();
+  const session = {
+    id: `s${randomSuffix()}`,
+    device: describeDevice(),
+    browser,
+    os,
+    deviceType,
+    ip: '127.0.0.1',
+    city: 'Localhost',
+    country: 'Mock',
+    createdAt: nowISO(),
+    lastSeenAt: nowISO(),
+    expiresAt: new Date(Date.now() + SESSION_LIFETIME_MS).toISOString()
+  };
+  getSessions(db, userId).push(session);
+  return session;
+};
+
+// Accounts from before email verification count as verified
+const publicUser = ({ password: _password, ...user }) => ({ ...user, emailVerified: user.emailVerified !== false });
+
+/**
+ * Response of a completed sign-in
+ * @private
+ */
+const issueSession = (db, user) => {
+  recordLogin(db, user.id, true);
+  const session = createSession(db, user.id);
+  return {
+    message: 'Login successful',
+    accessToken: issueToken('access', user.id, session.id),
+    refreshToken: issueToken('refresh', user.id, session.id),
+    sessionId: session.id,
+    user: publicUser(user)
+  };
+};
+
+/**
+ * Adds an entry to a user's security event log
+ * @private
+ */
+const recordSecurityEvent = (db, userId, type, description, riskLevel = 'low') => {
+  getSecurity(db, userId).events.unshift({ type, description, ip: '127.0.0.1', time: nowISO(), riskLevel });
+};
+
+/**
+ * Two-factor settings of a user, created on demand
+ * Recovery codes are kept normalized; each one works once.
+ * @private
+ */
+const getTwoFactor = (db, userId) => {
+  const security = getSecurity(db, userId);
+  if (!security.twoFactor) {
+    security.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      enabledAt: null,
+      lastUsedStep: -1,
+      recoveryCodes: [],
+      trustedDevices: [],
+      challenges: []
+    };
+  }
+  return security.twoFactor;
+};
+
+/**
+ * Public view of a user's two-factor settings
+ * @private
+ */
+const describeTwoFactor = (twoFactor) => ({
+  enabled: twoFactor.enabled,
+  enabledAt: twoFactor.enabledAt,
+  recoveryCodesRemaining: twoFactor.recoveryCodes.length,
+  trustedDevices: twoFactor.trustedDevices
+    .filter(device => new Date(device.expiresAt) > new Date())
+    .map(({ token: _token, ...device }) => device)
+});
+
+/**
+ * User and two-factor settings behind a pending sign-in challenge
+ * Fails when the challenge is unknown, expired or has used up its attempts.
+ * @private
+ */
+const findChallenge = (db, challengeToken) => {
+  const userId = parseToken(challengeToken, 'challenge');
+  const user = userId && db.users.find(u => u.id === userId);
+  const twoFactor = user && getTwoFactor(db, userId);
+  const challenge = twoFactor?.challenges.find(entry => entry.token === challengeToken);
+  if (!challenge || new Date(challenge.expiresAt) <= new Date() || challenge.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+    if (twoFactor) twoFactor.challenges = twoFactor.challenges.filter(entry => entry !== challenge);
+    fail(401, 'This sign-in has expired. Please sign in again.');
+  }
+  return { user, twoFactor, challenge };
+};
+
+/**
+ * Counts a wrong second-step answer against its challenge and fails the request
+ * @private
+ */
+const failChallenge = (db, user, challenge, message) => {
+  challenge.attempts += 1;
+  recordLogin(db, user.id, false);
+  fail(401, message, { attemptsRemaining: Math.max(0, TWO_FACTOR_MAX_ATTEMPTS - challenge.attempts) });
+};
+
+/**
+ * Checks an authenticator code against the enabled secret, refusing codes already used
+ * @private
+ */
+const acceptTotp = (twoFactor, code) => {
+  const step = verifyTotp(twoFactor.secret, code, { lastUsedStep: twoFactor.lastUsedStep });
+  if (step === null) return false;
+  twoFactor.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * Uses up a recovery code
+ * @private
+ */
+const consumeRecoveryCode = (twoFactor, code) => {
+  const normalized = normalizeRecoveryCode(code);
+  const index = twoFactor.recoveryCodes.indexOf(normalized);
+  if (!normalized || index === -1) return false;
+  twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+/**
+ * Fails unless the password is the user's, for actions that need the user to sign in again
+ * @private
+ */
+const requirePassword = (db, userId, password) => {
+  const user = db.users.find(u => u.id === userId);
+  if (!password || user?.password !== password) fail(401, 'Password is incorrect');
+  return user;
+};
+
+// ---- Account recovery ----
+
+/**
+ * Issues a single-use link token for a password reset (`reset`) or an email check (`verify`)
+ * Replaces any earlier token of the same kind for the user. The mock sends no email: the link is
+ * logged and returned as `devLink` so it can be opened from the page.
+ * @private
+ */
+const issueAccountLink = (db, user, kind, email = user.email) => {
+  const now = Date.now();
+  const token = `${kind}-${randomSuffix()}${randomSuffix()}`;
+  db.accountTokens = (db.accountTokens || [])
+    .filter(entry => new Date(entry.expiresAt).getTime() > now && !(entry.userId === user.id && entry.kind === kind));
+  db.accountTokens.push({
+    token,
+    kind,
+    userId: user.id,
+    email,
+    expiresAt: new Date(now + (kind === 'reset' ? PASSWORD_RESET_MS : EMAIL_VERIFICATION_MS)).toISOString()
+  });
+  const devLink = `/${kind === 'reset' ? 'reset-password' : 'verify-email'}/${token}`;
+  console.info(`Mock email to ${email}: ${devLink}`);
+  return devLink;
+};
+
+/**
+ * Finds an unexpired link token and its user, failing with 400 otherwise
+ * @private
+ */
+const findAccountLink = (db, token, kind) => {
+  const entry = (db.accountTokens || []).find(item => item.token === token && item.kind === kind);
+  const user = entry && db.users.find(u => u.id === entry.userId);
+  if (!user || new Date(entry.expiresAt) <= new Date()) {
+    fail(400, kind === 'reset' ? 'This reset link is invalid or has expired' : 'This verification link is invalid or has expired');
+  }
+  return { entry, user };
+};
+
+/**
+ * Fails with 400 unless a new password meets the password rules
+ * @private
+ */
+const requireStrongPassword = (user, password) => {
+  const error = validateNewPassword(password, [user.name, user.email]);
+  if (error) fail(400, error);
+};
+
+// ---- Currency ----
+
+/**
+ * Builds a converter from transaction amounts to the user's base currency
+ * The mock reads the same per-user rate table the app keeps in localStorage,
+ * standing in for the server-side rates a real backend would use.
+ * @param {Object} data - User data
+ * @param {number} userId - User ID
+ * @returns {Function} (transaction) => amount in the base currency
+ * @private
+ */
+const createBaseConverter = (data, userId) => {
+  const { baseCurrency, rateTable } = readCurrencySettings(userId);
+  const accountsById = new Map(data.accounts.map(account => [account.id, account]));
+  return (transaction) => convertAmount(
+    transaction.amount,
+    getTransactionCurrency(transaction, accountsById, baseCurrency),
+    baseCurrency,
+    rateTable
+  );
+};
+
+// ---- Categories ----
+
+/**
+ * The user's categories, seeded on first use with the defaults plus any
+ * category names already used by their transactions or budgets
+ * @param {Object} data - User data
+ * @param {number} userId - User ID
+ * @returns {Array} Category records
+ * @private
+ */
+const getCategories = (data, userId) => {
+  if (!Array.isArray(data.categories)) data.categories = [];
+  if (data.categories.length > 0) return data.categories;
+
+  DEFAULT_CATEGORIES.forEach(category => insert(data, 'categories', { userId, ...category, parentId: null, archived: false }));
+  [...data.transactions, ...data.budgets].forEach(item => {
+    const name = normalizeCategoryName(item.category);
+    if (name && !findCategoryByName(data.categories, name)) {
+      insert(data, 'categories', { userId, name, color: '#6b7280', icon: 'tag', parentId: null, archived: false });
+    }
+  });
+  return data.categories;
+};
+
+/**
+ * Moves every record tagged with one category name to another
+ * @param {Object} data - User data
+ * @param {string} from - Current category name
+ * @param {string} to - New category name
+ * @returns {Object} Number of transactions, budgets, recurring transactions and rules changed
+ * @private
+ */
+const retagCategory = (data, from, to) => {
+  const counts = { transactions: 0, budgets: 0, recurringTransactions: 0 };
+  Object.keys(counts).forEach(collection => {
+    data[collection].forEach(item => {
+      if (item.category === from) {
+        item.category = to;
+        item.updatedAt = nowISO();
+        counts[collection]++;
+      }
+    });
+  });
+
+  // Lines of split transactions
+  data.transactions.forEach(tx => {
+    if (!tx.splits?.some(line => line.category === from)) return;
+    tx.splits = tx.splits.map(line => (line.category === from ? { ...line, category: to } : line));
+    tx.updatedAt = nowISO();
+    if (tx.category !== to) counts.transactions++;
+  });
+
+  // Categorization rules keep pointing at the renamed category
+  counts.rules = 0;
+  getRules(data).forEach(rule => {
+    if (rule.actions?.category === from) {
+      rule.actions = { ...rule.actions, category: to };
+      rule.updatedAt = nowISO();
+      counts.rules++;
+    }
+  });
+
+  // Envelope transfers are keyed by category name too
+  getEnvelopeBudget(data).transfers.forEach(transfer => {
+    if (transfer.fromCategory === from) transfer.fromCategory = to;
+    if (transfer.toCategory === from) transfer.toCategory = to;
+  });
+
+  // So do budget history snapshots
+  getBudgetSnapshots(data).forEach(snapshot => {
+    if (snapshot.category === from) snapshot.category = to;
+  });
+  return counts;
+};
+
+// ---- Categorization rules ----
+
+/**
+ * The user's categorization rules (older stored data has none)
+ * @param {Object} data - User data
+ * @returns {Array} Rule records
+ * @private
+ */
+const getRules = (data) => {
+  if (!Array.isArray(data.rules)) data.rules = [];
+  return data.rules;
+};
+
+/**
+ * Picks the stored fields of a rule from a request body
+ * @private
+ */
+const toRuleFields = (body) => ({
+  name: String(body.name || '').trim(),
+  enabled: body.enabled !== false,
+  priority: Number(body.priority) || 0,
+  conditions: { ...EMPTY_RULE.conditions, ...body.conditions },
+  actions: { ...EMPTY_RULE.actions, ...body.actions }
+});
+
+// ---- Budget calculations ----
+
+/**
+ * Spending and limit for the budget period containing a date
+ * A budget on a parent category also covers its subcategories.
+ * @private
+ */
+const getBudgetWindow = (data, budget, asOf = new Date()) =>
+  summarizeBudgetWindow(budget, data.transactions, {
+    family: getCategoryFamily(data.categories, budget.category),
+    asOf,
+    getAmount: createBaseConverter(data, budget.userId)
+  });
+
+const withSpent = (data, budget) => {
+  const budgetWindow = getBudgetWindow(data, budget);
+  return {
+    ...budget,
+    spent: budgetWindow.spent,
+    periodStart: budgetWindow.period.start.toISOString(),
+    periodEnd: budgetWindow.period.end.toISOString(),
+    rollover: budgetWindow.rollover,
+    effectiveLimit: budgetWindow.effectiveLimit
+  };
+};
+
+/**
+ * Snapshots of closed budget periods (older stored data has none)
+ * @private
+ */
+const getBudgetSnapshots = (data) => {
+  if (!Array.isArray(data.budgetSnapshots)) data.budgetSnapshots = [];
+  return data.budgetSnapshots;
+};
+
+/**
+ * Snapshots every budget period that has closed since the last snapshot
+ * @returns {Array} Snapshots added
+ * @private
+ */
+const closeBudgetPeriods = (data, userId) => {
+  const snapshots = getBudgetSnapshots(data);
+  const getAmount = createBaseConverter(data, userId);
+  return data.budgets.flatMap(budget =>
+    snapshotClosedPeriods(budget, data.transactions, snapshots, {
+      family: getCategoryFamily(data.categories, budget.category),
+      getAmount
+    }).map(snapshot => insert(data, 'budgetSnapshots', { userId, ...snapshot }))
+  );
+};
+
+/**
+ * Active budget for a category
+ * @private
+ */
+const findActiveBudget = (data, category) =>
+  data.budgets.find(budget => budget.isActive !== false && budget.category === category);
+
+/**
+ * Budget an expense in a category counts against: its own, or its top-level category's
+ * @private
+ */
+const findBudgetForCategory = (data, category) =>
+  findActiveBudget(data, category) || findActiveBudget(data, getRootCategoryName(data.categories, category));
+
+/**
+ * Same checks the server runs before accepting an expense
+ * A subcategory without its own budget is checked against its parent's budget. The expense is
+ * counted in the budget period its date falls in, against that period's limit plus rollover.
+ * @param {Object} data - User data
+ * @param {string} expenseCategory - Expense category
+ * @param {number} amount - Expense amount
+ * @param {Date|string} [date] - Expense date (default: now)
+ * @returns {Object} Limit check result
+ * @private
+ */
+const checkBudgetLimit = (data, expenseCategory, amount, date) => {
+  const budget = findBudgetForCategory(data, expenseCategory);
+  if (!budget) {
+    return { allowed: true, budget: null };
+  }
+
+  const category = budget.category;
+  const budgetWindow = getBudgetWindow(data, budget, date ? new Date(date) : new Date());
+  const limit = budgetWindow.effectiveLimit;
+  const currentSpent = budgetWindow.spent;
+  const wouldBeTotal = toCents(currentSpent + amount);
+  const overspendAmount = toCents(Math.max(0, wouldBeTotal - limit));
+  const result = {
+    allowed: true,
+    budget: withSpent(data, budget),
+    periodStart: budgetWindow.period.start.toISOString(),
+    periodEnd: budgetWindow.period.end.toISOString(),
+    currentSpent,
+    wouldBeTotal,
+    overspendAmount
+  };
+
+  if (overspendAmount > 0 && !budget.allowExceed) {
+    return {
+      ...result,
+      allowed: false,
+      error: `This expense would exceed your ${category} budget by $${overspendAmount.toFixed(2)}`,
+      suggestion: `You have $${Math.max(0, limit - currentSpent).toFixed(2)} left in this budget`
+    };
+  }
+  if (overspendAmount > 0) {
+    return { ...result, warning: `This expense puts your ${category} budget over by $${overspendAmount.toFixed(2)}` };
+  }
+  if (wouldBeTotal >= limit * BUDGET_WARNING_RATIO) {
+    return { ...result, warning: `You will have used ${Math.round((wouldBeTotal / limit) * 100)}% of your ${category} budget` };
+  }
+  return result;
+};
+
+// ---- Transactions ----
+
+/**
+ * A transaction's amount in an account's currency
+ * @private
+ */
+const amountInAccountCurrency = (transaction, account) => {
+  if (transaction.currency && account.currency && transaction.currency !== account.currency) {
+    const { rateTable } = readCurrencySettings(transaction.userId);
+    return convertAmount(transaction.amount, transaction.currency, account.currency, rateTable);
+  }
+  return transaction.amount;
+};
+
+/**
+ * Adds a signed amount to an account's balance
+ * @private
+ */
+const moveAccountBalance = (data, accountId, transaction, sign) => {
+  const account = data.accounts.find(acc => String(acc.id) === String(accountId));
+  if (!account) return;
+  account.balance = toCents(account.balance + amountInAccountCurrency(transaction, account) * sign);
+  account.updatedAt = nowISO();
+};
+
+/**
+ * Applies (direction 1) or reverts (direction -1) a transaction's effect on its account
+ * A transfer takes the amount from its source account and adds it to the destination account (its
+ * `toAmount` when the currencies differ), or pays it off the destination debt.
+ * @private
+ */
+const adjustAccountBalance = (data, transaction, direction) => {
+  if (!isTransfer(transaction)) {
+    moveAccountBalance(data, transaction.accountId, transaction, (transaction.type === 'income' ? 1 : -1) * direction);
+    return;
+  }
+
+  moveAccountBalance(data, transaction.accountId, transaction, -direction);
+  if (transaction.toAccountId) {
+    const received = transaction.toCurrency
+      ? { ...transaction, amount: transaction.toAmount, currency: transaction.toCurrency }
+      : transaction;
+    moveAccountBalance(data, transaction.toAccountId, received, direction);
+  } else if (transaction.debtId) {
+    const debt = data.debts.find(item => String(item.id) === String(transaction.debtId));
+    if (!debt) return;
+    const balance = toCents(Math.max(0, debt.balance - transaction.amount * direction));
+    applyUpdate(debt, { balance, isActive: balance > 0 });
+  }
+};
+
+// ---- Envelope budgeting ----
+
+/**
+ * The user's envelope settings and transfers (older stored data has neither)
+ * @param {Object} data - User data
+ * @returns {{settings: Object, transfers: Array}} Envelope budget
+ * @private
+ */
+const getEnvelopeBudget = (data) => {
+  data.envelopeSettings = { ...DEFAULT_ENVELOPE_SETTINGS, ...data.envelopeSettings };
+  if (!Array.isArray(data.envelopeTransfers)) data.envelopeTransfers = [];
+  return { settings: data.envelopeSettings, transfers: data.envelopeTransfers };
+};
+
+/**
+ * Envelope state of a month, in the user's base currency
+ * @private
+ */
+const getEnvelopeMonth = (data, userId, month, transfers = data.envelopeTransfers) =>
+  buildEnvelopeBudget({
+    transactions: data.transactions,
+    transfers,
+    settings: data.envelopeSettings,
+    budgets: data.budgets,
+    categories: data.categories,
+    month,
+    getAmount: createBaseConverter(data, userId)
+  });
+
+/**
+ * Split lines from a request body, checked against the transaction amount
+ * @returns {Array|null} Lines to store, or null for an unsplit transaction
+ * @private
+ */
+const readSplits = (splits, amount) => {
+  if (!Array.isArray(splits) || splits.length === 0) return null;
+  const lines = normalizeSplits(splits);
+  const error = validateSplits(lines, amount);
+  if (error) fail(400, error);
+  return lines;
+};
+
+/**
+ * Checks an expense against every budget it touches; a split is checked per budget, with
+ * the lines that fall under the same budget added together
+ * @private
+ */
+const enforceBudgetLimits = (data, expense, baseAmount, date) => {
+  const scale = expense.amount > 0 ? baseAmount / expense.amount : 0;
+  const byBudget = new Map();
+  getSplitLines(expense).forEach(line => {
+    const budget = findBudgetForCategory(data, line.category);
+    if (!budget) return;
+    const entry = byBudget.get(budget.id) || { category: line.category, amount: 0 };
+    entry.amount += line.amount * scale;
+    byBudget.set(budget.id, entry);
+  });
+
+  byBudget.forEach(({ category, amount }) => {
+    const lineAmount = toCents(amount);
+    const check = checkBudgetLimit(data, category, lineAmount, date);
+    if (!check.allowed) {
+      fail(400, 'Transaction would exceed budget limit', {
+        details: {
+          budgetCategory: check.budget.category,
+          budgetLimit: check.budget.effectiveLimit,
+          currentSpent: check.currentSpent,
+          transactionAmount: lineAmount,
+          wouldBeTotal: check.wouldBeTotal,
+          overspendAmount: check.overspendAmount,
+          suggestion: check.suggestion
+        }
+      });
+    }
+  });
+};
+
+/**
+ * Validates and stores a transaction, enforcing budget limits
+ * A transaction with `splits` takes the category of its largest line.
+ * @private
+ */
+const createTransaction = (data, userId, body) => {
+  const amount = toCents(body.amount);
+  if (!(amount > 0)) fail(400, 'Amount must be a positive number');
+  if (!['income', 'expense', 'transfer'].includes(body.type)) fail(400, 'Type must be income, expense or transfer');
+  if (body.type === 'transfer') return createTransfer(data, userId, body, amount);
+  const splits = readSplits(body.splits, amount);
+  const category = splits ? getPrimarySplitCategory(splits) : body.category;
+  if (!category) fail(400, 'Category is required');
+
+  const accountId = body.accountId ? Number(body.accountId) : data.accounts[0]?.id ?? null;
+
+  if (body.type === 'expense') {
+    const baseAmount = toCents(createBaseConverter(data, userId)({ amount, accountId, currency: body.currency }));
+    enforceBudgetLimits(data, { amount, category, splits }, baseAmount, body.date);
+  }
+
+  const transaction = insert(data, 'transactions', {
+    userId,
+    amount,
+    type: body.type,
+    category,
+    ...(splits && { splits }),
+    description: body.description || '',
+    date: body.date ? new Date(body.date).toISOString() : nowISO(),
+    accountId,
+    ...(body.currency && { currency: body.currency }),
+    ...(Array.isArray(body.tags) && body.tags.length > 0 && { tags: body.tags }),
+    ...(body.isRecurring && { isRecurring: true })
+  });
+  adjustAccountBalance(data, transaction, 1);
+  return transaction;
+};
+
+/**
+ * Validates and stores a transfer between accounts or from an account to a debt
+ * Transfers are not spending, so no budget is checked.
+ * @private
+ */
+const createTransfer = (data, userId, body, amount) => {
+  const error = validateTransfer(body);
+  if (error) fail(400, error);
+  const from = findOr404(data, 'accounts', body.accountId, 'Source account');
+  const to = body.toAccountId ? findOr404(data, 'accounts', body.toAccountId, 'Destination account') : null;
+  const debt = body.debtId ? findOr404(data, 'debts', body.debtId, 'Debt') : null;
+  if (debt && amount > debt.balance) fail(400, 'Payment exceeds the remaining balance');
+
+  // Between currencies the destination gets what the client converted, or today's rate here
+  let destination = {};
+  if (to && from.currency && to.currency && from.currency !== to.currency) {
+    if (body.toCurrency === to.currency && Number(body.toAmount) > 0) {
+      destination = { toAmount: toCents(body.toAmount), toCurrency: to.currency };
+    } else {
+      const { rateTable } = readCurrencySettings(userId);
+      const { transfer: converted, error: conversionError } = convertTransferDestination({ amount }, from.currency, to.currency, rateTable);
+      if (conversionError) fail(400, conversionError);
+      destination = { toAmount: converted.toAmount, toCurrency: converted.toCurrency };
+    }
+  }
+
+  const transaction = insert(data, 'transactions', {
+    userId,
+    amount,
+    type: 'transfer',
+    category: TRANSFER_CATEGORY,
+    description: body.description || (debt ? `Payment for ${debt.name}` : `Transfer to ${to.name}`),
+    date: body.date ? new Date(body.date).toISOString() : nowISO(),
+    accountId: from.id,
+    ...(to && { toAccountId: to.id }),
+    ...(debt && { debtId: debt.id }),
+    ...destination,
+    ...(body.currency && { currency: body.currency }),
+    ...(Array.isArray(body.tags) && body.tags.length > 0 && { tags: body.tags })
+  });
+  adjustAccountBalance(data, transaction, 1);
+  return transaction;
+};
+
+const sortByDateDesc = (items) => [...items].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+// ---- Goals and debts ----
+
+/**
+ * Adds an amount to a goal and marks it completed when the target is reached
+ * @private
+ */
+const addToGoal = (goal, amount) => {
+  goal.currentAmount = toCents(Math.min(goal.targetAmount, goal.currentAmount + amount));
+  goal.isCompleted = goal.currentAmount >= goal.targetAmount;
+  goal.updatedAt = nowISO();
+  return goal;
+};
+
+/**
+ * Months to pay off a debt at its minimum payment
+ * @private
+ */
+const estimatePayoffMonths = (debt) => {
+  const monthlyRate = (debt.interestRate || 0) / 100 / 12;
+  const payment = debt.minimumPayment || 0;
+  if (debt.balance <= 0) return 0;
+  if (payment <= debt.balance * monthlyRate) return null;
+  if (monthlyRate === 0) return Math.ceil(debt.balance / payment);
+  return Math.ceil(-Math.log(1 - (debt.balance * monthlyRate) / payment) / Math.log(1 + monthlyRate));
+};
+
+/**
+ * The user's goal contribution ledger (older stored data has none)
+ * @private
+ */
+const getGoalContributions = (data) => {
+  if (!Array.isArray(data.goalContributions)) data.goalContributions = [];
+  return data.goalContributions;
+};
+
+/**
+ * Records a contribution in the goal's ledger
+ * @private
+ */
+const recordGoalContribution = (data, goal, amount, source, description) => {
+  getGoalContributions(data);
+  return insert(data, 'goalContributions', {
+    goalId: goal.id,
+    amount,
+    source,
+    description: description || '',
+    date: nowISO()
+  });
+};
+
+const getGoalAllocationRules = (data) => {
+  if (!Array.isArray(data.goalAllocationRules)) data.goalAllocationRules = [];
+  return data.goalAllocationRules;
+};
+
+/**
+ * Picks the stored fields of an allocation rule from a request body
+ * @private
+ */
+const toAllocationRuleFields = (body) => ({
+  name: String(body.name ?? EMPTY_ALLOCATION_RULE.name).trim(),
+  isActive: body.isActive !== false,
+  minAmount: toCents(body.minAmount ?? EMPTY_ALLOCATION_RULE.minAmount),
+  accountId: body.accountId || '',
+  category: body.category || '',
+  allocationPercentage: Number(body.allocationPercentage) || 0,
+  splitMethod: body.splitMethod || EMPTY_ALLOCATION_RULE.splitMethod,
+  goalIds: Array.isArray(body.goalIds) ? body.goalIds : [],
+  goalCaps: body.goalCaps || {}
+});
+
+const decorateDebt = (debt) => ({
+  ...debt,
+  estimatedPayoffMonths: estimatePayoffMonths(debt),
+  progressPercentage: debt.principal > 0 ? toCents(((debt.principal - debt.balance) / debt.principal) * 100) : 0
+});
+
+/**
+ * Builds a repayment plan where extra money goes to debts in the given order
+ * @param {Array} debts - Active debts
+ * @param {Function} compare - Sort comparator for priority
+ * @param {string} method - Strategy name
+ * @returns {Object} Strategy summary
+ * @private
+ */
+const buildStrategy = (debts, compare, method) => {
+  const ordered = [...debts].sort(compare).map(decorateDebt);
+  const totalInterest = toCents(sum(ordered, debt => debt.balance * (debt.interestRate / 100 / 12) * (debt.estimatedPayoffMonths || 0) / 2));
+  return {
+    method,
+    order: ordered.map((debt, index) => ({
+      priority: index + 1,
+      id: debt.id,
+      name: debt.name,
+      balance: debt.balance,
+      interestRate: debt.interestRate,
+      minimumPayment: debt.minimumPayment
+    })),
+    totalMinimumPayments: toCents(sum(ordered, debt => debt.minimumPayment)),
+    estimatedInterest: totalInterest
+  };
+};
+
+const snowballCompare = (a, b) => a.balance - b.balance;
+const avalancheCompare = (a, b) => b.interestRate - a.interestRate;
+
+// ---- Analytics ----
+
+/** Days covered by each analytics timeframe */
+const TIMEFRAME_DAYS = { week: 7, month: 30, quarter: 90, year: 365 };
+
+/**
+ * Groups transactions into income/expense totals per period
+ * @param {Array} transactions - Transactions
+ * @param {string} granularity - daily, weekly or monthly
+ * @returns {Array} Periods sorted chronologically
+ * @private
+ */
+const groupCashFlow = (transactions, granularity) => {
+  const buckets = {};
+  transactions.forEach(tx => {
+    if (isTransfer(tx)) return;
+    const date = new Date(tx.date);
+    let key;
+    if (granularity === 'daily') {
+      key = date.toISOString().slice(0, 10);
+    } else if (granularity === 'weekly') {
+      const start = new Date(date);
+      start.setDate(start.getDate() - start.getDay());
+      key = start.toISOString().slice(0, 10);
+    } else {
+      key = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+    if (!buckets[key]) buckets[key] = { period: key, income: 0, expenses: 0, net: 0 };
+    buckets[key][tx.type === 'income' ? 'income' : 'expenses'] += tx.amount;
+  });
+  return Object.values(buckets)
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(bucket => ({
+      ...bucket,
+      income: toCents(bucket.income),
+      expenses: toCents(bucket.expenses),
+      net: toCents(bucket.income - bucket.expenses)
+    }));
+};
+
+const percentChange = (from, to) => (from ? toCents(((to - from) / from) * 100) : 0);
+
+/**
+ * Cash flow periods with growth trends and insights
+ * @private
+ */
+const buildCashFlowAnalysis = (transactions, granularity) => {
+  const periods = groupCashFlow(transactions, granularity);
+  const first = periods[0] || { income: 0, expenses: 0, net: 0 };
+  const last = periods[periods.length - 1] || first;
+  const meanNet = periods.length ? sum(periods, p => p.net) / periods.length : 0;
+  const volatility = periods.length
+    ? Math.sqrt(sum(periods, p => (p.net - meanNet) ** 2) / periods.length)
+    : 0;
+
+  const insights = [];
+  const negative = periods.filter(p => p.net < 0);
+  if (negative.length > 0) {
+    insights.push({
+      message: `${negative.length} period${negative.length === 1 ? '' : 's'} with negative cash flow`,
+      recommendation: 'Review discretionary spending in those periods'
+    });
+  }
+
+  return {
+    granularity,
+    periods,
+    trends: {
+      incomeGrowth: percentChange(first.income, last.income),
+      expenseGrowth: percentChange(first.expenses, last.expenses),
+      netGrowth: percentChange(Math.abs(first.net), last.net),
+      volatility: toCents(volatility)
+    },
+    insights
+  };
+};
+
+/**
+ * Income grouped by description with diversity score
+ * @private
+ */
+const buildIncomeBreakdown = (transactions) => {
+  const income = transactions.filter(tx => tx.type === 'income');
+  const totalIncome = toCents(sum(income, tx => tx.amount));
+  const streams = {};
+  income.forEach(tx => {
+    const name = (tx.description || tx.category || 'Other').replace(/\s+-\s+.*$/, '') || 'Other';
+    if (!streams[name]) streams[name] = { total: 0, count: 0, percentage: 0 };
+    streams[name].total = toCents(streams[name].total + tx.amount);
+    streams[name].count += 1;
+  });
+  Object.values(streams).forEach(stream => {
+    stream.percentage = totalIncome ? toCents((stream.total / totalIncome) * 100) : 0;
+  });
+  const entries = Object.entries(streams).sort((a, b) => b[1].total - a[1].total);
+  const primaryShare = entries[0]?.[1].percentage || 0;
+
+  return {
+    streams,
+    totalIncome,
+    streamCount: entries.length,
+    primaryStream: entries[0]?.[0] || 'None',
+    diversityScore: toCents(Math.min(100, (100 - primaryShare) * 1.5 + (entries.length - 1) * 10))
+  };
+};
+
+/**
+ * Projects daily spending from the recent average
+ * @private
+ */
+const buildSpendingForecast = (transactions, days) => {
+  const since = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+  const recentExpenses = transactions.filter(tx => tx.type === 'expense' && new Date(tx.date) >= since);
+  const dailyAverage = sum(recentExpenses, tx => tx.amount) / 90;
+  const weekdayTotals = Array(7).fill(0);
+  recentExpenses.forEach(tx => { weekdayTotals[new Date(tx.date).getDay()] += tx.amount; });
+  const weekdayAverage = sum(weekdayTotals, value => value) / 7 || 1;
+
+  const dailyProjections = Array.from({ length: days }, (_, index) => {
+    const date = new Date();
+    date.setDate(date.getDate() + index + 1);
+    const weight = weekdayTotals[date.getDay()] / weekdayAverage || 1;
+    return { date: date.toISOString().slice(0, 10), projectedAmount: toCents(dailyAverage * weight) };
+  });
+
+  const projectedTotal = sum(dailyProjections, p => p.projectedAmount);
+  const income = sum(transactions.filter(tx => tx.type === 'income' && new Date(tx.date) >= since), tx => tx.amount) / 90 * days;
+  const riskFactors = [];
+  const recommendations = [];
+  if (projectedTotal > income) {
+    riskFactors.push(`Projected spending of $${projectedTotal.toFixed(2)} exceeds expected income`);
+    recommendations.push({ message: 'Spending is on track to outpace income', action: 'Trim variable categories such as Food and Shopping' });
+  }
+  if (recentExpenses.length < 20) {
+    riskFactors.push('Limited history makes this forecast less reliable');
+  }
+  recommendations.push({ message: `Expected spending over the next ${days} days: $${projectedTotal.toFixed(2)}`, action: 'Compare against your budgets' });
+
+  return {
+    dailyProjections,
+    totalProjected: toCents(projectedTotal),
+    confidence: recentExpenses.length >= 40 ? 'high' : recentExpenses.length >= 20 ? 'medium' : 'low',
+    riskFactors,
+    recommendations
+  };
+};
+
+/**
+ * Spending grouped by time of day and weekday
+ * @private
+ */
+const buildContextualInsights = (transactions) => {
+  const slots = { Morning: [5, 12], Afternoon: [12, 17], Evening: [17, 22], Night: [22, 29] };
+  const timeBased = {};
+  const dayBased = {};
+  const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  transactions.filter(tx => tx.type === 'expense').forEach(tx => {
+    const date = new Date(tx.date);
+    const hour = date.getHours() < 5 ? date.getHours() + 24 : date.getHours();
+    const slot = Object.keys(slots).find(name => hour >= slots[name][0] && hour < slots[name][1]) || 'Night';
+    [[timeBased, slot], [dayBased, weekdays[date.getDay()]]].forEach(([target, key]) => {
+      if (!target[key]) target[key] = { total: 0, count: 0, average: 0 };
+      target[key].total = toCents(target[key].total + tx.amount);
+      target[key].count += 1;
+      target[key].average = toCents(target[key].total / target[key].count);
+    });
+  });
+
+  return { timeBased, dayBased };
+};
+
+const transactionsInTimeframe = (data, timeframe) => {
+  const since = new Date(Date.now() - (TIMEFRAME_DAYS[timeframe] || 30) * 24 * 60 * 60 * 1000);
+  return data.transactions.filter(tx => new Date(tx.date) >= since);
+};
+
+// ---- Moods ----
+
+/**
+ * Spending statistics per mood
+ * @private
+ */
+const buildMoodAnalysis = (data) => {
+  const correlation = {};
+  data.transactionMoods.forEach(entry => {
+    const transaction = data.transactions.find(tx => tx.id === entry.transactionId);
+    if (!transaction) return;
+    if (!correlation[entry.mood]) correlation[entry.mood] = { total: 0, count: 0, average: 0 };
+    const stats = correlation[entry.mood];
+    stats.total = toCents(stats.total + transaction.amount);
+    stats.count += 1;
+    stats.average = toCents(stats.total / stats.count);
+  });
+
+  const emotionalMoods = ['stressed', 'impulsive', 'anxious', 'bored', 'regretful'];
+  return {
+    moods: data.transactionMoods,
+    correlation,
+    emotionalSpending: toCents(sum(emotionalMoods, mood => correlation[mood]?.total)),
+    plannedSpending: toCents(correlation.planned?.total || 0),
+    totalTagged: data.transactionMoods.length
+  };
+};
+
+// ---- Recurring transactions ----
+
+/** Days between runs for each frequency */
+const FREQUENCY_DAYS = { daily: 1, weekly: 7, biweekly: 14, monthly: 30, quarterly: 91, yearly: 365 };
+
+/**
+ * Next run date after the given one
+ * @private
+ */
+const advanceRunDate = (date, frequency, interval = 1) => {
+  const next = new Date(date);
+  if (frequency === 'monthly') next.setMonth(next.getMonth() + interval);
+  else if (frequency === 'quarterly') next.setMonth(next.getMonth() + 3 * interval);
+  else if (frequency === 'yearly') next.setFullYear(next.getFullYear() + interval);
+  else next.setDate(next.getDate() + (FREQUENCY_DAYS[frequency] || 30) * interval);
+  return next;
+};
+
+// ---- Routes ----
+
+/**
+ * Route table: [method, path pattern, handler, options]
+ * Handlers receive { params, query, body, data, db, userId, sessionId } and return the response body,
+ * or throw via fail() for error responses.
+ * @type {Array}
+ */
+const routes = [
+  // Auth
+  ['post', '/auth/login', ({ body, db }) => {
+    const user = db.users.find(u => u.email.toLowerCase() === String(body.email || '').toLowerCase());
+    if (!user || user.password !== body.password) {
+      if (user) recordLogin(db, user.id, false);
+      fail(401, 'Invalid email or password');
+    }
+
+    const twoFactor = getTwoFactor(db, user.id);
+    const now = new Date();
+    const trusted = twoFactor.trustedDevices.some(device => device.token === body.deviceToken && new Date(device.expiresAt) > now);
+    if (twoFactor.enabled && !trusted) {
+      const challenge = {
+        token: issueToken('challenge', user.id),
+        expiresAt: new Date(now.getTime() + TWO_FACTOR_CHALLENGE_MS).toISOString(),
+        attempts: 0
+      };
+      twoFactor.challenges = [...twoFactor.challenges.filter(entry => new Date(entry.expiresAt) > now), challenge];
+      return {
+        message: 'Two-factor verification required',
+        twoFactorRequired: true,
+        challengeToken: challenge.token,
+        expiresAt: challenge.expiresAt,
+        methods: ['totp', 'recovery_code']
+      };
+    }
+    return issueSession(db, user);
+  }, { public: true }],
+
+  ['post', '/auth/2fa/verify', ({ body, db }) => {
+    const { user, twoFactor, challenge } = findChallenge(db, body.challengeToken);
+    if (!acceptTotp(twoFactor, body.code)) failChallenge(db, user, challenge, 'Invalid verification code');
+    twoFactor.challenges = twoFactor.challenges.filter(entry => entry !== challenge);
+
+    const session = issueSession(db, user);
+    if (!body.rememberDevice) return session;
+    const device = {
+      token: issueToken('device', user.id),
+      label: String(body.deviceLabel || 'Browser').slice(0, 100),
+      createdAt: nowISO(),
+      expiresAt: new Date(Date.now() + TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000).toISOString()
+    };
+    twoFactor.trustedDevices.push(device);
+    return { ...session, deviceToken: device.token, deviceExpiresAt: device.expiresAt };
+  }, { public: true }],
+
+  ['post', '/auth/2fa/recover', ({ body, db }) => {
+    const { user, twoFactor, challenge } = findChallenge(db, body.challengeToken);
+    // Recovery codes bypass the authenticator, so the password is asked for again
+    if (body.password !== user.password) failChallenge(db, user, challenge, 'Password is incorrect');
+    if (!consumeRecoveryCode(twoFactor, body.recoveryCode)) failChallenge(db, user, challenge, 'Invalid recovery code');
+    twoFactor.challenges = twoFactor.challenges.filter(entry => entry !== challenge);
+    recordSecurityEvent(db, user.id, 'recovery_code_used', 'Signed in with a recovery code', 'medium');
+    return { ...issueSession(db, user), recoveryCodesRemaining: twoFactor.recoveryCodes.length };
+  }, { public: true }],
+
+  ['get', '/auth/2fa', ({ db, userId }) => describeTwoFactor(getTwoFactor(db, userId))],
+
+  ['post', '/auth/2fa/setup', ({ db, userId }) => {
+    const twoFactor = getTwoFactor(db, userId);
+    if (twoFactor.enabled) fail(409, 'Two-factor authentication is already on');
+    const user = db.users.find(u => u.id === userId);
+    twoFactor.pendingSecret = generateTotpSecret();
+    return { secret: twoFactor.pendingSecret, otpauthUri: buildOtpauthUri(twoFactor.pendingSecret, user.email) };
+  }],
+
+  ['post', '/auth/2fa/enable', ({ db, userId, body }) => {
+    const twoFactor = getTwoFactor(db, userId);
+    if (twoFactor.enabled) fail(409, 'Two-factor authentication is already on');
+    if (!twoFactor.pendingSecret) fail(400, 'Start the setup again');
+    const step = verifyTotp(twoFactor.pendingSecret, body.code);
+    if (step === null) fail(400, 'That code does not match. Check the time on your device and try again.');
+
+    const recoveryCodes = generateRecoveryCodes();
+    Object.assign(twoFactor, {
+      enabled: true,
+      secret: twoFactor.pendingSecret,
+      pendingSecret: null,
+      enabledAt: nowISO(),
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(normalizeRecoveryCode),
+      trustedDevices: []
+    });
+    recordSecurityEvent(db, userId, '2fa_enabled', 'Two-factor authentication turned on');
+    return { ...describeTwoFactor(twoFactor), recoveryCodes };
+  }],
+
+  ['post', '/auth/2fa/disable', ({ db, userId, body }) => {
+    requirePassword(db, userId, body.password);
+    const twoFactor = getTwoFactor(db, userId);
+    if (!twoFactor.enabled) fail(409, 'Two-factor authentication is already off');
+    if (!acceptTotp(twoFactor, body.code) && !consumeRecoveryCode(twoFactor, body.code)) {
+      fail(400, 'Invalid verification or recovery code');
+    }
+    Object.assign(twoFactor, {
+      enabled: false,
+      secret: null,
+      enabledAt: null,
+      lastUsedStep: -1,
+      recoveryCodes: [],
+      trustedDevices: [],
+      challenges: []
+    });
+    recordSecurityEvent(db, userId, '2fa_disabled', 'Two-factor authentication turned off', 'medium');
+    return describeTwoFactor(twoFactor);
+  }],
+
+  ['post', '/auth/2fa/recovery-codes', ({ db, userId, body }) => {
+    requirePassword(db, userId, body.password);
+    const twoFactor = getTwoFactor(db, userId);
+    if (!twoFactor.enabled) fail(409, 'Two-factor authentication is off');
+    const recoveryCodes = generateRecoveryCodes();
+    twoFactor.recoveryCodes = recoveryCodes.map(normalizeRecoveryCode);
+    recordSecurityEvent(db, userId, 'recovery_codes_regenerated', 'New recovery codes generated');
+    return { ...describeTwoFactor(twoFactor), recoveryCodes };
+  }],
+
+  ['delete', '/auth/2fa/trusted-devices', ({ db, userId }) => {
+    getTwoFactor(db, userId).trustedDevices = [];
+    return { message: 'Remembered devices forgotten' };
+  }],
+
+  ['post', '/auth/register', ({ body, db }) => {
+    const errors = [];
+    if (!body.name?.trim()) errors.push({ msg: 'Name is required' });
+    if (!/^\S+@\S+\.\S+$/.test(body.email || '')) errors.push({ msg: 'Please provide a valid email' });
+    const passwordError = validateNewPassword(body.password, [body.name, body.email]);
+    if (passwordError) errors.push({ msg: passwordError });
+    if (errors.length) throw new MockHttpError(400, { errors });
+    if (db.users.some(u => u.email.toLowerCase() === body.email.toLowerCase())) {
+      fail(400, 'User already exists');
+    }
+    const user = {
+      id: db.nextUserId++,
+      name: body.name.trim(),
+      email: body.email,
+      password: body.password,
+      emailVerified: false,
+      createdAt: nowISO()
+    };
+    db.users.push(user);
+    const data = getUserData(db, user.id);
+    insert(data, 'accounts', { userId: user.id, name: 'Main Account', type: 'checking', balance: 0 });
+    const devLink = issueAccountLink(db, user, 'verify');
+    return { message: 'User registered successfully', user: publicUser(user), devLink };
+  }, { public: true }],
+
+  ['post', '/auth/refresh', ({ body, db, refreshCookie }) => {
+    const refreshToken = body.refreshToken || refreshCookie;
+    const userId = parseToken(refreshToken, 'refresh');
+    const user = userId && db.users.find(u => u.id === userId);
+    if (!user) fail(403, 'Invalid refresh token');
+    const session = findTokenSession(db, userId, refreshToken);
+    if (session === undefined) fail(403, 'Session revoked');
+    if (session) session.lastSeenAt = nowISO();
+    return { accessToken: issueToken('access', userId, session?.id), sessionId: session?.id ?? null, user: publicUser(user) };
+  }, { public: true }],
+
+  ['post', '/auth/logout', ({ body, db, refreshCookie }) => {
+    const refreshToken = body.refreshToken || refreshCookie;
+    const userId = parseToken(refreshToken, 'refresh');
+    const sessionId = parseTokenSession(refreshToken);
+    if (userId && sessionId && db.users.some(u => u.id === userId)) {
+      const security = getSecurity(db, userId);
+      security.sessions = getSessions(db, userId).filter(session => session.id !== sessionId);
+    }
+    if (refreshCookie) writeRefreshCookie(null);
+    return { message: 'Logged out' };
+  }, { public: true }],
+
+  ['get', '/auth/me', ({ db, userId }) => publicUser(db.users.find(u => u.id === userId))],
+
+  ['get', '/auth/sessions', ({ db, userId, sessionId }) =>
+    [...getSessions(db, userId)]
+      .sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt))
+      .map(session => ({ ...session, current: session.id === sessionId }))],
+
+  ['delete', '/auth/sessions/:id', ({ db, userId, params }) => {
+    const sessions = getSessions(db, userId);
+    const session = sessions.find(entry => entry.id === params.id);
+    if (!session) fail(404, 'Session not found');
+    getSecurity(db, userId).sessions = sessions.filter(entry => entry !== session);
+    recordSecurityEvent(db, userId, 'session_revoked', `Signed out ${session.device} (${session.city})`);
+    return { message: 'Session revoked', revoked: [session.id] };
+  }],
+
+  ['delete', '/auth/sessions', ({ db, userId, sessionId }) => {
+    const sessions = getSessions(db, userId);
+    const revoked = sessions.filter(session => session.id !== sessionId).map(session => session.id);
+    getSecurity(db, userId).sessions = sessions.filter(session => session.id === sessionId);
+    if (revoked.length) {
+      recordSecurityEvent(db, userId, 'session_revoked', `Signed out ${revoked.length} other session${revoked.length === 1 ? '' : 's'}`);
+    }
+    return { message: 'Other sessions revoked', revoked };
+  }],
+
+  // Account recovery
+  ['post', '/auth/forgot-password', ({ body, db }) => {
+    const user = db.users.find(u => u.email.toLowerCase() === String(body.email || '').trim().toLowerCase());
+    // The same answer whether or not the account exists, so the form cannot be used to find accounts
+    const message = 'If an account uses that email, a reset link is on its way';
+    return user ? { message, devLink: issueAccountLink(db, user, 'reset') } : { message };
+  }, { public: true }],
+
+  ['get', '/auth/reset-password/:token', ({ db, params }) => {
+    const { entry, user } = findAccountLink(db, params.token, 'reset');
+    return { email: user.email, expiresAt: entry.expiresAt };
+  }, { public: true }],
+
+  ['post', '/auth/reset-password/:token', ({ db, params, body }) => {
+    const { entry, user } = findAccountLink(db, params.token, 'reset');
+    requireStrongPassword(user, body.password);
+    user.password = body.password;
+    db.accountTokens = db.accountTokens.filter(item => item !== entry);
+    // Whoever knew the old password is signed out everywhere
+    getSecurity(db, user.id).sessions = [];
+    recordSecurityEvent(db, user.id, 'password_reset', 'Password reset from an emailed link', 'medium');
+    return { message: 'Password updated. Sign in with your new password' };
+  }, { public: true }],
+
+  ['post', '/auth/change-password', ({ db, userId, sessionId, body }) => {
+    const user = requirePassword(db, userId, body.currentPassword);
+    if (body.newPassword === body.currentPassword) fail(400, 'The new password must be different from the current one');
+    requireStrongPassword(user, body.newPassword);
+    user.password = body.newPassword;
+    const sessions = getSessions(db, userId);
+    const revoked = sessions.filter(session => session.id !== sessionId).map(session => session.id);
+    getSecurity(db, userId).sessions = sessions.filter(session => session.id === sessionId);
+    recordSecurityEvent(db, userId, 'password_changed', 'Password changed', 'medium');
+    return { message: 'Password changed', revoked };
+  }],
+
+  ['post', '/auth/change-email', ({ db, userId, body }) => {
+    const user = requirePassword(db, userId, body.password);
+    const email = String(body.email || '').trim();
+    if (!/^\S+@\S+\.\S+$/.test(email)) fail(400, 'Please provide a valid email');
+    if (email.toLowerCase() === user.email.toLowerCase()) fail(400, 'That is already your email address');
+    if (db.users.some(u => u.id !== userId && u.email.toLowerCase() === email.toLowerCase())) {
+      fail(400, 'Another account uses that email');
+    }
+    user.pendingEmail = email;
+    const devLink = issueAccountLink(db, user, 'verify', email);
+    return { message: `Confirm the change from the link sent to ${email}`, user: publicUser(user), devLink };
+  }],
+
+  // Listed before the token route, which would otherwise match "resend"
+  ['post', '/auth/verify-email/resend', ({ db, userId }) => {
+    const user = db.users.find(u => u.id === userId);
+    if (user.emailVerified !== false && !user.pendingEmail) fail(400, 'Your email address is already verified');
+    const email = user.pendingEmail || user.email;
+    return { message: `Verification link sent to ${email}`, devLink: issueAccountLink(db, user, 'verify', email) };
+  }],
+
+  ['post', '/auth/verify-email/:token', ({ db, params }) => {
+    const { entry, user } = findAccountLink(db, params.token, 'verify');
+    if (entry.email.toLowerCase() !== user.email.toLowerCase()) {
+      if (db.users.some(u => u.id !== user.id && u.email.toLowerCase() === entry.email.toLowerCase())) {
+        fail(400, 'Another account uses that email');
+      }
+      recordSecurityEvent(db, user.id, 'email_changed', `Email changed to ${entry.email}`, 'medium');
+      user.email = entry.email;
+    }
+    user.emailVerified = true;
+    delete user.pendingEmail;
+    db.accountTokens = db.accountTokens.filter(item => item !== entry);
+    return { message: 'Email address verified', user: publicUser(user) };
+  }, { public: true }],
+
+  // Transactions
+  ['get', '/transactions/all', ({ data }) => sortByDateDesc(data.transactions)],
+
+  ['get', '/transactions', ({ data, query }) => {
+    const limit = Number(query.limit) || 50;
+    const page = Number(query.page) || 1;
+    const sorted = sortByDateDesc(data.transactions);
+    return {
+      transactions: sorted.slice((page - 1) * limit, page * limit),
+      pagination: { page, limit, total: sorted.length, pages: Math.ceil(sorted.length / limit) }
+    };
+  }],
+
+  ['post', '/transactions/bulk', ({ data, userId, body }) => {
+    const created = [];
+    const failed = [];
+    (body.transactions || []).forEach((item, index) => {
+      try {
+        created.push(createTransaction(data, userId, item));
+      } catch (error) {
+        if (!(error instanceof MockHttpError)) throw error;
+        failed.push({ index, error: error.data.error });
+      }
+    });
+    return { created, failed };
+  }],
+
+  ['post', '/transactions', ({ data, userId, body }) => {
+    const transaction = createTransaction(data, userId, body);
+    // Every budget a split touches can warn
+    const warnings = transaction.type === 'expense'
+      ? getTransactionCategories(transaction)
+        .map(category => checkBudgetLimit(data, category, 0, transaction.date).warning)
+        .filter(Boolean)
+      : [];
+    return { message: 'Transaction created successfully', transaction, budgetWarning: [...new Set(warnings)].join('\n') || null };
+  }, { status: 201 }],
+
+  ['put', '/transactions/:id', ({ data, params, body }) => {
+    const transaction = findOr404(data, 'transactions', params.id, 'Transaction');
+    const amount = body.amount !== undefined ? toCents(body.amount) : transaction.amount;
+    // Split lines always have to add up, so a new amount on a split needs new lines too
+    const splits = body.splits !== undefined
+      ? readSplits(body.splits, amount)
+      : transaction.splits && readSplits(transaction.splits, amount);
+    const { splits: _splits, ...changes } = body;
+    if (isTransfer({ ...transaction, ...changes })) {
+      if (splits) fail(400, 'A transfer cannot be split');
+      const error = validateTransfer({ ...transaction, ...changes });
+      if (error) fail(400, error);
+    }
+
+    adjustAccountBalance(data, transaction, -1);
+    applyUpdate(transaction, {
+      ...changes,
+      ...(body.amount !== undefined && { amount }),
+      // A new amount on a cross-currency transfer keeps the rate it was made at
+      ...(body.amount !== undefined && transaction.toCurrency && body.toAmount === undefined && {
+        toAmount: toCents(transaction.toAmount * (amount / transaction.amount))
+      }),
+      ...(body.accountId !== undefined && { accountId: Number(body.accountId) }),
+      ...(body.toAccountId && { toAccountId: Number(body.toAccountId) }),
+      ...(splits && { splits, category: getPrimarySplitCategory(splits) })
+    });
+    if (!splits) delete transaction.splits;
+    adjustAccountBalance(data, transaction, 1);
+    return transaction;
+  }],
+
+  ['delete', '/transactions/:id', ({ data, params }) => {
+    const transaction = findOr404(data, 'transactions', params.id, 'Transaction');
+    adjustAccountBalance(data, transaction, -1);
+    data.transactions = data.transactions.filter(tx => tx !== transaction);
+    data.transactionMoods = data.transactionMoods.filter(entry => entry.transactionId !== transaction.id);
+    return { message: 'Transaction deleted successfully' };
+  }],
+
+  // Accounts
+  ['get', '/accounts', ({ data }) => data.accounts],
+
+  ['post', '/accounts', ({ data, userId, body }) => {
+    const error = validateAccount(body);
+    if (error) fail(400, error);
+    // Older clients send the starting amount as `balance`
+    const openingBalance = toCents(body.openingBalance ?? body.balance);
+    return insert(data, 'accounts', {
+      userId,
+      name: body.name.trim(),
+      type: body.type || 'checking',
+      openingBalance,
+      balance: openingBalance,
+      ...(body.currency && { currency: body.currency })
+    });
+  }, { status: 201 }],
+
+  ['put', '/accounts/:id', ({ data, params, body }) => {
+    const account = findOr404(data, 'accounts', params.id, 'Account');
+    const error = validateAccount({ name: account.name, ...body });
+    if (error) fail(400, error);
+    const { clearedAccountIds: _cleared, reconciliations: _reconciliations, ...changes } = body;
+    // Changing where the account started moves its balance by the same amount
+    const openingShift = body.openingBalance !== undefined
+      ? toCents(body.openingBalance) - toCents(account.openingBalance ?? account.balance)
+      : 0;
+    applyUpdate(account, {
+      ...changes,
+      ...(body.name !== undefined && { name: String(body.name).trim() }),
+      ...(body.openingBalance !== undefined && { openingBalance: toCents(body.openingBalance) }),
+      ...(body.balance !== undefined && { balance: toCents(body.balance) })
+    });
+    if (openingShift) account.balance = toCents(account.balance + openingShift);
+    return account;
+  }],
+
+  ['delete', '/accounts/:id', ({ data, params }) => {
+    const account = findOr404(data, 'accounts', params.id, 'Account');
+    const used = data.transactions.filter(tx =>
+      String(tx.accountId) === String(account.id) || String(tx.toAccountId) === String(account.id)).length;
+    if (used > 0) {
+      fail(409, `${account.name} has ${used} transaction${used === 1 ? '' : 's'}; move or delete them first`, { transactionCount: used });
+    }
+    data.accounts = data.accounts.filter(item => item !== account);
+    return { message: 'Account deleted successfully' };
+  }],
+
+  ['post', '/accounts/:id/reconcile', ({ data, userId, params, body }) => {
+    const account = findOr404(data, 'accounts', params.id, 'Account');
+    const statementBalance = toCents(body.statementBalance);
+    if (body.statementBalance === undefined || body.statementBalance === '' || isNaN(Number(body.statementBalance))) {
+      fail(400, 'Statement balance is required');
+    }
+    // A bare date covers the whole statement day
+    const statementDate = /^\d{4}-\d{2}-\d{2}$/.test(body.statementDate || '')
+      ? new Date(`${body.statementDate}T23:59:59.999`)
+      : new Date(body.statementDate || Date.now());
+    const { rateTable } = readCurrencySettings(userId);
+    const ledger = buildAccountLedger(account, data.transactions, {
+      accounts: data.accounts,
+      convert: (amount, from, to) => convertAmount(amount, from, to, rateTable)
+    });
+
+    const ids = new Set((body.transactionIds || []).map(String));
+    const inLedger = new Set(ledger.entries.map(entry => String(entry.transaction.id)));
+    if ([...ids].some(id => !inLedger.has(id))) fail(400, 'Some transactions do not belong to this account');
+    const clearing = ledger.entries.filter(entry => ids.has(String(entry.transaction.id)) && !entry.cleared);
+    if (clearing.some(entry => new Date(entry.transaction.date) > statementDate)) {
+      fail(400, 'Transactions dated after the statement cannot be cleared with it');
+    }
+    const result = calculateReconciliation(ledger, [...ids], statementBalance);
+    if (!result.balanced) {
+      fail(400, 'Cleared transactions do not match the statement balance', { details: { difference: result.difference } });
+    }
+
+    clearing.forEach(({ transaction }) => {
+      transaction.clearedAccountIds = [...(transaction.clearedAccountIds || []), account.id];
+      transaction.updatedAt = nowISO();
+    });
+    const reconciliation = {
+      statementDate: statementDate.toISOString(),
+      statementBalance,
+      clearedCount: clearing.length,
+      reconciledAt: nowISO()
+    };
+    applyUpdate(account, {
+      lastReconciledAt: reconciliation.reconciledAt,
+      lastReconciledBalance: statementBalance,
+      reconciliations: [...(account.reconciliations || []), reconciliation]
+    });
+    return { message: 'Account reconciled', account, reconciliation, cleared: clearing.map(({ transaction }) => transaction.id) };
+  }],
+
+  // Categories
+  ['get', '/categories', ({ data, userId }) => getCategories(data, userId)],
+
+  ['post', '/categories', ({ data, userId, body }) => {
+    const categories = getCategories(data, userId);
+    const parentId = body.parentId ? Number(body.parentId) : null;
+    const error = validateCategory(categories, { name: body.name, parentId });
+    if (error) fail(400, error);
+    return insert(data, 'categories', {
+      userId,
+      name: normalizeCategoryName(body.name),
+      parentId,
+      color: body.color || '#6b7280',
+      icon: body.icon || 'tag',
+      archived: false
+    });
+  }, { status: 201 }],
+
+  ['post', '/categories/:id/merge', ({ data, userId, params, body }) => {
+    const categories = getCategories(data, userId);
+    const source = findOr404(data, 'categories', params.id, 'Category');
+    const target = findOr404(data, 'categories', body.targetId, 'Target category');
+    if (source === target) fail(400, 'Cannot merge a category into itself');
+    const children = categories.filter(category => category.parentId === source.id);
+    if (children.length > 0 && target.parentId) {
+      fail(400, 'A category with subcategories can only be merged into a top-level category');
+    }
+
+    // The target keeps its own budget; the source budget is dropped rather than duplicated
+    if (findActiveBudget(data, target.name)) {
+      data.budgets = data.budgets.filter(budget => budget.category !== source.name);
+    }
+    const retagged = retagCategory(data, source.name, target.name);
+    children.forEach(child => applyUpdate(child, { parentId: target.id }));
+    data.categories = categories.filter(category => category !== source);
+    return { category: target, retagged };
+  }],
+
+  ['put', '/categories/:id', ({ data, userId, params, body }) => {
+    const categories = getCategories(data, userId);
+    const category = findOr404(data, 'categories', params.id, 'Category');
+    const name = body.name !== undefined ? normalizeCategoryName(body.name) : category.name;
+    const parentId = body.parentId !== undefined ? (body.parentId ? Number(body.parentId) : null) : category.parentId;
+    const error = validateCategory(categories, { name, parentId }, category.id);
+    if (error) fail(400, error);
+
+    const retagged = name !== category.name ? retagCategory(data, category.name, name) : null;
+    applyUpdate(category, { ...body, name, parentId });
+
+    // Archiving a parent hides its subcategories too
+    if (body.archived !== undefined) {
+      categories
+        .filter(child => child.parentId === category.id)
+        .forEach(child => applyUpdate(child, { archived: Boolean(body.archived) }));
+    }
+    return { category, retagged };
+  }],
+
+  // Categorization rules
+  ['get', '/rules', ({ data }) => getRules(data)],
+
+  ['post', '/rules', ({ data, userId, body }) => {
+    const fields = toRuleFields(body);
+    const error = validateRule(fields);
+    if (error) fail(400, error);
+    getRules(data);
+    return insert(data, 'rules', { userId, ...fields });
+  }, { status: 201 }],
+
+  ['put', '/rules/:id', ({ data, params, body }) => {
+    getRules(data);
+    const rule = findOr404(data, 'rules', params.id, 'Rule');
+    const fields = toRuleFields({ ...rule, ...body });
+    const error = validateRule(fields);
+    if (error) fail(400, error);
+    return applyUpdate(rule, fields);
+  }],
+
+  ['delete', '/rules/:id', ({ data, params }) => {
+    getRules(data);
+    const rule = findOr404(data, 'rules', params.id, 'Rule');
+    data.rules = data.rules.filter(item => item !== rule);
+    return { message: 'Rule deleted successfully' };
+  }],
+
+  // Budgets
+  ['get', '/budgets/summary', ({ data }) => {
+    const budgets = data.budgets.filter(budget => budget.isActive !== false).map(budget => withSpent(data, budget));
+    return {
+      totalLimit: toCents(sum(budgets, budget => budget.limit)),
+      totalSpent: toCents(sum(budgets, budget => budget.spent)),
+      activeBudgets: budgets.length,
+      exceededBudgets: budgets.filter(budget => budget.spent > budget.effectiveLimit)
+    };
+  }],
+
+  ['get', '/budgets/recommendations', ({ data }) => {
+    const since = new Date();
+    since.setMonth(since.getMonth() - 3);
+    const byCategory = {};
+    expandSplitTransactions(data.transactions)
+      .filter(tx => tx.type === 'expense' && new Date(tx.date) >= since)
+      .forEach(tx => { byCategory[tx.category] = (byCategory[tx.category] || 0) + tx.amount; });
+
+    const recommendations = Object.entries(byCategory).map(([category, total]) => {
+      const currentSpending = toCents(total / 3);
+      const budget = findActiveBudget(data, category);
+      const recommendedLimit = Math.ceil((currentSpending * 0.9) / 10) * 10;
+      return {
+        category,
+        currentSpending,
+        currentLimit: budget?.limit ?? null,
+        recommendedLimit,
+        potentialSavings: toCents(Math.max(0, currentSpending - recommendedLimit)),
+        confidence: total > 300 ? 'high' : total > 100 ? 'medium' : 'low'
+      };
+    }).filter(rec => rec.potentialSavings > 0 || !rec.currentLimit);
+
+    return { recommendations };
+  }],
+
+  ['get', '/budgets/envelopes', ({ data }) => getEnvelopeBudget(data)],
+
+  ['put', '/budgets/envelopes/settings', ({ data, body }) => {
+    const { settings } = getEnvelopeBudget(data);
+    const next = {
+      ...settings,
+      ...(body.enabled !== undefined && { enabled: Boolean(body.enabled) }),
+      ...(body.startMonth !== undefined && { startMonth: body.startMonth || null }),
+      ...(body.startingBalance !== undefined && { startingBalance: toCents(body.startingBalance) })
+    };
+    const error = validateEnvelopeSettings(next);
+    if (error) fail(400, error);
+    data.envelopeSettings = next;
+    return next;
+  }],
+
+  ['post', '/budgets/envelopes/transfers', ({ data, userId, body }) => {
+    const { settings, transfers } = getEnvelopeBudget(data);
+    if (!settings.enabled) fail(400, 'Envelope budgeting is turned off');
+    const items = Array.isArray(body.transfers) ? body.transfers : [body];
+    if (items.length === 0) fail(400, 'No transfers to record');
+    const { baseCurrency } = readCurrencySettings(userId);
+    const formatBaseAmount = (amount) => formatCurrency(amount, baseCurrency);
+
+    // Check each transfer against the balances left by the ones before it, then save all or none
+    const pending = [];
+    items.forEach(item => {
+      const transfer = {
+        month: item.month,
+        fromCategory: item.fromCategory || null,
+        toCategory: item.toCategory || null,
+        amount: toCents(item.amount),
+        note: String(item.note || '').trim()
+      };
+      const error = validateEnvelopeTransfer(transfer)
+        || (transfer.month < settings.startMonth && 'That month is before envelope budgeting started')
+        || checkEnvelopeTransfer(getEnvelopeMonth(data, userId, transfer.month, [...transfers, ...pending]), transfer, formatBaseAmount);
+      if (error) fail(400, error);
+      pending.push({ ...transfer, kind: getTransferKind({ ...transfer, kind: item.kind }) });
+    });
+    return pending.map(transfer => insert(data, 'envelopeTransfers', { userId, ...transfer }));
+  }, { status: 201 }],
+
+  ['post', '/budgets/check-limit', ({ data, body }) =>
+    checkBudgetLimit(data, body.category, toCents(body.amount), body.date)],
+
+  ['get', '/budgets/history', ({ data, userId, query }) => {
+    closeBudgetPeriods(data, userId);
+    return getBudgetSnapshots(data)
+      .filter(snapshot => !query.budgetId || String(snapshot.budgetId) === String(query.budgetId))
+      .sort((a, b) => new Date(a.periodEnd) - new Date(b.periodEnd));
+  }],
+
+  ['post', '/budgets/reset-spent', ({ data, userId }) => {
+    // Closed periods are kept as history before the running totals are cleared
+    const snapshotted = closeBudgetPeriods(data, userId).length;
+    data.budgets.forEach(budget => { budget.spent = 0; budget.updatedAt = nowISO(); });
+    return { message: 'Budget spending reset', updated: data.budgets.length, snapshotted };
+  }],
+
+  ['post', '/budgets/sync', ({ data }) => {
+    data.budgets.forEach(budget => {
+      budget.spent = getBudgetWindow(data, budget).spent;
+      budget.updatedAt = nowISO();
+    });
+    return { message: 'Budgets synced with transactions', updated: data.budgets.length };
+  }],
+
+  ['get', '/budgets', ({ data }) => data.budgets.map(budget => withSpent(data, budget))],
+
+  ['post', '/budgets', ({ data, userId, body }) => {
+    if (!body.category) fail(400, 'Category is required');
+    if (!(Number(body.limit) > 0)) fail(400, 'Limit must be a positive number');
+    if (findActiveBudget(data, body.category)) fail(400, `A budget for ${body.category} already exists`);
+    const periodError = validateBudgetPeriod(body);
+    if (periodError) fail(400, periodError);
+    const budget = insert(data, 'budgets', {
+      userId,
+      name: body.name || `${body.category} budget`,
+      category: body.category,
+      limit: toCents(body.limit),
+      period: body.period || 'monthly',
+      periodAnchor: body.periodAnchor || null,
+      periodLengthDays: Number(body.periodLengthDays) || DEFAULT_CUSTOM_PERIOD_DAYS,
+      isActive: body.isActive !== false,
+      allowExceed: Boolean(body.allowExceed),
+      rolloverType: body.rolloverType || 'none',
+      rolloverAmount: toCents(body.rolloverAmount)
+    });
+    return withSpent(data, budget);
+  }, { status: 201 }],
+
+  ['put', '/budgets/:id', ({ data, params, body }) => {
+    const budget = findOr404(data, 'budgets', params.id, 'Budget');
+    const periodError = validateBudgetPeriod({ ...budget, ...body });
+    if (periodError) fail(400, periodError);
+    // Derived fields come back from the client with the rest of the budget
+    const { spent: _spent, periodStart: _start, periodEnd: _end, rollover: _rollover, effectiveLimit: _limit, ...changes } = body;
+    applyUpdate(budget, {
+      ...changes,
+      ...(body.limit !== undefined && { limit: toCents(body.limit) }),
+      ...(body.periodAnchor !== undefined && { periodAnchor: body.periodAnchor || null }),
+      ...(body.periodLengthDays !== undefined && { periodLengthDays: Number(body.periodLengthDays) || DEFAULT_CUSTOM_PERIOD_DAYS })
+    });
+    return withSpent(data, budget);
+  }],
+
+  ['delete', '/budgets/:id', ({ data, params }) => {
+    const budget = findOr404(data, 'budgets', params.id, 'Budget');
+    data.budgets = data.budgets.filter(item => item !== budget);
+    return { message: 'Budget deleted successfully' };
+  }],
+
+  ['post', '/budgets/:id/calculate-rollover', ({ data, params }) => {
+    const budget = findOr404(data, 'budgets', params.id, 'Budget');
+    const budgetWindow = getBudgetWindow(data, budget);
+    const { previousPeriod } = budgetWindow;
+    const { unusedAmount } = calculateRollover(budget, budgetWindow.previousSpent);
+    return {
+      budgetId: budget.id,
+      currentLimit: budget.limit,
+      previousPeriodStart: previousPeriod.start.toISOString(),
+      previousPeriodEnd: previousPeriod.end.toISOString(),
+      spent: budgetWindow.previousSpent,
+      unusedAmount,
+      rolloverType: budget.rolloverType || 'none',
+      // Nothing carries over into a budget's first period
+      calculatedRollover: budgetWindow.rollover,
+      newLimit: budgetWindow.effectiveLimit
+    };
+  }],
+
+  // Goals
+  ['post', '/goals/auto-allocate', ({ data, body }) => {
+    const incomeAmount = toCents(body.incomeAmount);
+    if (!(incomeAmount > 0)) fail(400, 'Income amount must be positive');
+    const allocations = data.goals
+      .filter(goal => goal.isActive !== false && !goal.isCompleted && goal.allocationPercentage > 0)
+      .map(goal => {
+        const requested = toCents(incomeAmount * goal.allocationPercentage / 100);
+        const amount = Math.min(requested, toCents(goal.targetAmount - goal.currentAmount));
+        addToGoal(goal, amount);
+        if (amount > 0) {
+          recordGoalContribution(data, goal, amount, 'auto_allocation', body.incomeDescription || 'Income allocation');
+        }
+        return { goalId: goal.id, goalName: goal.name, amount, percentage: goal.allocationPercentage, isCompleted: goal.isCompleted };
+      })
+      .filter(allocation => allocation.amount > 0);
+
+    return {
+      message: `Allocated income from ${body.incomeDescription || 'income'}`,
+      allocations,
+      totalAllocated: toCents(sum(allocations, allocation => allocation.amount))
+    };
+  }],
+
+  ['get', '/goals', ({ data }) => data.goals],
+
+  ['get', '/goals/contributions', ({ data, query }) =>
+    getGoalContributions(data).filter(contribution => !query.goalId || String(contribution.goalId) === String(query.goalId))],
+
+  ['get', '/goals/allocation-rules', ({ data }) => getGoalAllocationRules(data)],
+
+  ['post', '/goals/allocation-rules', ({ data, userId, body }) => {
+    const fields = toAllocationRuleFields(body);
+    const error = validateAllocationRule(fields);
+    if (error) fail(400, error);
+    getGoalAllocationRules(data);
+    return insert(data, 'goalAllocationRules', { userId, ...fields });
+  }, { status: 201 }],
+
+  ['put', '/goals/allocation-rules/:id', ({ data, params, body }) => {
+    getGoalAllocationRules(data);
+    const rule = findOr404(data, 'goalAllocationRules', params.id, 'Allocation rule');
+    const fields = toAllocationRuleFields({ ...rule, ...body });
+    const error = validateAllocationRule(fields);
+    if (error) fail(400, error);
+    return applyUpdate(rule, fields);
+  }],
+
+  ['delete', '/goals/allocation-rules/:id', ({ data, params }) => {
+    getGoalAllocationRules(data);
+    const rule = findOr404(data, 'goalAllocationRules', params.id, 'Allocation rule');
+    data.goalAllocationRules = data.goalAllocationRules.filter(item => item !== rule);
+    return { message: 'Allocation rule deleted successfully' };
+  }],
+
+  ['post', '/goals', ({ data, userId, body }) => {
+    if (!body.name?.trim()) fail(400, 'Goal name is required');
+    if (!(Number(body.targetAmount) > 0)) fail(400, 'Target amount must be positive');
+    const goal = insert(data, 'goals', {
+      userId,
+      name: body.name.trim(),
+      category: body.category || 'savings',
+      targetAmount: toCents(body.targetAmount),
+      currentAmount: toCents(body.currentAmount),
+      deadline: body.deadline || null,
+      allocationPercentage: Number(body.allocationPercentage) || 0,
+      isActive: body.isActive !== false,
+      isCompleted: false
+    });
+    goal.isCompleted = goal.currentAmount >= goal.targetAmount;
+    return goal;
+  }, { status: 201 }],
+
+  ['put', '/goals/:id', ({ data, params, body }) => {
+    const goal = findOr404(data, 'goals', params.id, 'Goal');
+    applyUpdate(goal, body);
+    goal.isCompleted = goal.currentAmount >= goal.targetAmount;
+    return goal;
+  }],
+
+  ['delete', '/goals/:id', ({ data, params }) => {
+    const goal = findOr404(data, 'goals', params.id, 'Goal');
+    data.goals = data.goals.filter(item => item !== goal);
+    data.goalContributions = getGoalContributions(data).filter(contribution => contribution.goalId !== goal.id);
+    getGoalAllocationRules(data).forEach(rule => {
+      if (rule.goalIds.some(id => String(id) === String(goal.id))) {
+        const { [goal.id]: _removed, ...goalCaps } = rule.goalCaps || {};
+        const goalIds = rule.goalIds.filter(id => String(id) !== String(goal.id));
+        // An empty list means "all goals", so a rule that only fed this goal is paused instead
+        applyUpdate(rule, { goalIds, goalCaps, isActive: rule.isActive && goalIds.length > 0 });
+      }
+    });
+    return { message: 'Goal deleted successfully' };
+  }],
+
+  ['post', '/goals/:id/contribute', ({ data, params, body }) => {
+    const goal = findOr404(data, 'goals', params.id, 'Goal');
+    const amount = toCents(body.amount);
+    if (!(amount > 0)) fail(400, 'Contribution amount must be positive');
+    if (goal.isCompleted) fail(400, 'Goal is already completed');
+    addToGoal(goal, amount);
+    return {
+      message: 'Contribution added',
+      goal,
+      contribution: recordGoalContribution(data, goal, amount, body.source || 'manual', body.description)
+    };
+  }],
+
+  // Security
+  ['get', '/security/overview', ({ db, data, userId }) => {
+    const security = getSecurity(db, userId);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const todaysLogins = security.loginAttempts.filter(attempt => new Date(attempt.time) >= today);
+    const locations = {};
+    security.loginAttempts.filter(attempt => attempt.success).forEach(attempt => {
+      if (!locations[attempt.ip]) {
+        locations[attempt.ip] = {
+          ip: attempt.ip,
+          city: attempt.city,
+          country: attempt.country,
+          lastLogin: new Date(attempt.time).toLocaleString(),
+          trusted: true
+        };
+      }
+    });
+
+    return {
+      todayLoginStats: {
+        total: todaysLogins.length,
+        successful: todaysLogins.filter(attempt => attempt.success).length,
+        failed: todaysLogins.filter(attempt => !attempt.success).length
+      },
+      ipLocations: Object.values(locations),
+      securityEvents: security.events.map(event => ({ ...event, time: new Date(event.time).toLocaleString() })),
+      suspiciousTransactions: findSuspiciousTransactions(data)
+    };
+  }],
+
+  ['get', '/security/login-attempts', ({ db, userId, query }) => {
+    const since = new Date(Date.now() - (Number(query.days) || 7) * 24 * 60 * 60 * 1000);
+    return getSecurity(db, userId).loginAttempts.filter(attempt => new Date(attempt.time) >= since);
+  }],
+
+  ['get', '/security/suspicious-transactions', ({ data }) => findSuspiciousTransactions(data)],
+
+  ['post', '/security/alert-preferences', ({ db, userId, body }) => {
+    const security = getSecurity(db, userId);
+    security.alertPreferences = { ...security.alertPreferences, ...body };
+    return { message: 'Alert preferences updated', preferences: security.alertPreferences };
+  }],
+
+  ['get', '/security/logs', ({ db, userId }) => {
+    const security = getSecurity(db, userId);
+    return [
+      ...security.events,
+      ...security.loginAttempts.map(attempt => ({
+        type: attempt.success ? 'login_success' : 'failed_login',
+        description: attempt.success ? 'Successful login' : 'Failed login attempt',
+        ip: attempt.ip,
+        time: attempt.time,
+        riskLevel: attempt.success ? 'low' : 'medium'
+      }))
+    ].sort((a, b) => new Date(b.time) - new Date(a.time));
+  }],
+
+  ['post', '/security/monitor-transaction', ({ db, data, userId, body }) => {
+    const { riskScore, anomalies } = scoreTransaction(data, body);
+    if (riskScore > 60) {
+      getSecurity(db, userId).events.unshift({
+        type: 'suspicious_transaction',
+        description: `${body.description || 'Transaction'} flagged: ${anomalies.join(', ')}`,
+        ip: '127.0.0.1',
+        time: nowISO(),
+        riskLevel: riskScore > 80 ? 'high' : 'medium'
+      });
+    }
+    return { riskScore, anomalies, isSuspicious: riskScore > 60 };
+  }],
+
+  // Transaction moods
+  ['get', '/transaction-mood/analysis', ({ data }) => buildMoodAnalysis(data)],
+
+  ['get', '/transaction-mood/trends', ({ data }) => {
+    const weeks = {};
+    data.transactionMoods.forEach(entry => {
+      const date = new Date(entry.createdAt);
+      date.setDate(date.getDate() - date.getDay());
+      const key = date.toISOString().slice(0, 10);
+      if (!weeks[key]) weeks[key] = { period: key, moods: {} };
+      weeks[key].moods[entry.mood] = (weeks[key].moods[entry.mood] || 0) + 1;
+    });
+    return { trends: Object.values(weeks).sort((a, b) => a.period.localeCompare(b.period)) };
+  }],
+
+  ['get', '/transaction-mood/transaction/:transactionId', ({ data, params }) => {
+    const entry = data.transactionMoods.find(item => String(item.transactionId) === String(params.transactionId));
+    if (!entry) fail(404, 'No mood recorded for this transaction');
+    return entry;
+  }],
+
+  ['get', '/transaction-mood', ({ data }) => data.transactionMoods],
+
+  ['post', '/transaction-mood', ({ data, userId, body }) => {
+    const transactionId = Number(body.transactionId);
+    findOr404(data, 'transactions', transactionId, 'Transaction');
+    if (!body.mood) fail(400, 'Mood is required');
+    const existing = data.transactionMoods.find(entry => entry.transactionId === transactionId);
+    if (existing) {
+      return applyUpdate(existing, { mood: body.mood, intensity: body.intensity, notes: body.notes });
+    }
+    return insert(data, 'transactionMoods', {
+      userId,
+      transactionId,
+      mood: body.mood,
+      intensity: body.intensity ?? 3,
+      notes: body.notes || ''
+    });
+  }, { status: 201 }],
+
+  ['put', '/transaction-mood/:id', ({ data, params, body }) =>
+    applyUpdate(findOr404(data, 'transactionMoods', params.id, 'Mood entry'), body)],
+
+  ['delete', '/transaction-mood/:id', ({ data, params }) => {
+    const entry = findOr404(data, 'transactionMoods', params.id, 'Mood entry');
+    data.transactionMoods = data.transactionMoods.filter(item => item !== entry);
+    return { message: 'Mood deleted successfully' };
+  }],
+
+  // Recurring transactions
+  ['post', '/recurring-transactions/process-due', ({ data, userId }) => {
+    const now = new Date();
+    const created = [];
+    const pendingApproval = [];
+    data.recurringTransactions
+      .filter(item => item.isActive && new Date(item.nextRunDate) <= now)
+      .forEach(item => {
+        let runDate = new Date(item.nextRunDate);
+        while (runDate <= now) {
+          if (item.autoApprove) {
+            created.push(insert(data, 'transactions', {
+              userId,
+              amount: item.amount,
+              type: item.type,
+              category: item.category,
+              description: item.description,
+              date: runDate.toISOString(),
+              accountId: item.accountId,
+              ...(item.currency && { currency: item.currency }),
+              recurringTransactionId: item.id
+            }));
+            adjustAccountBalance(data, created[created.length - 1], 1);
+          } else {
+            pendingApproval.push({ recurringTransactionId: item.id, date: runDate.toISOString() });
+          }
+          runDate = advanceRunDate(runDate, item.frequency, item.interval);
+        }
+        item.lastRunDate = nowISO();
+        item.nextRunDate = runDate.toISOString();
+        item.updatedAt = nowISO();
+      });
+    return { message: `Processed ${created.length} recurring transactions`, processed: created.length, transactions: created, pendingApproval };
+  }],
+
+  ['get', '/recurring-transactions', ({ data }) => data.recurringTransactions],
+
+  ['post', '/recurring-transactions', ({ data, userId, body }) => {
+    if (!(Number(body.amount) > 0)) fail(400, 'Amount must be a positive number');
+    if (!FREQUENCY_DAYS[body.frequency]) fail(400, 'Invalid frequency');
+    return insert(data, 'recurringTransactions', {
+      userId,
+      accountId: Number(body.accountId) || data.accounts[0]?.id || null,
+      amount: toCents(body.amount),
+      type: body.type || 'expense',
+      category: body.category || 'Other',
+      description: body.description || '',
+      ...(body.currency && { currency: body.currency }),
+      frequency: body.frequency,
+      interval: Number(body.interval) || 1,
+      startDate: body.startDate || nowISO(),
+      nextRunDate: body.nextRunDate || advanceRunDate(new Date(), body.frequency).toISOString(),
+      isActive: body.isActive !== false,
+      autoApprove: Boolean(body.autoApprove)
+    });
+  }, { status: 201 }],
+
+  ['put', '/recurring-transactions/:id', ({ data, params, body }) => {
+    const item = findOr404(data, 'recurringTransactions', params.id, 'Recurring transaction');
+    const changes = Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined));
+    return applyUpdate(item, changes);
+  }],
+
+  ['patch', '/recurring-transactions/:id/toggle', ({ data, params, body }) => {
+    const item = findOr404(data, 'recurringTransactions', params.id, 'Recurring transaction');
+    return applyUpdate(item, { isActive: body.isActive ?? !item.isActive });
+  }],
+
+  ['delete', '/recurring-transactions/:id', ({ data, params }) => {
+    const item = findOr404(data, 'recurringTransactions', params.id, 'Recurring transaction');
+    data.recurringTransactions = data.recurringTransactions.filter(entry => entry !== item);
+    return { message: 'Recurring transaction deleted successfully' };
+  }],
+
+  // Analytics
+  ['get', '/analytics/overview', ({ data }) => {
+    const monthStart = getPeriodContaining(new Date(), 'month').start;
+    const thisMonth = data.transactions.filter(tx => !isTransfer(tx) && new Date(tx.date) >= monthStart);
+    const income = toCents(sum(thisMonth.filter(tx => tx.type === 'income'), tx => tx.amount));
+    const expenses = toCents(sum(thisMonth.filter(tx => tx.type === 'expense'), tx => tx.amount));
+    return {
+      totalBalance: toCents(sum(data.accounts, account => account.balance)),
+      monthlyIncome: income,
+      monthlyExpenses: expenses,
+      netCashFlow: toCents(income - expenses),
+      savingsRate: income ? toCents(((income - expenses) / income) * 100) : 0,
+      transactionCount: thisMonth.length
+    };
+  }],
+
+  ['get', '/analytics/enhanced', ({ data, query }) => {
+    const timeframe = query.timeframe || 'month';
+    const transactions = transactionsInTimeframe(data, timeframe);
+    const granularity = timeframe === 'week' || timeframe === 'month' ? (timeframe === 'week' ? 'daily' : 'weekly') : 'monthly';
+    return {
+      timeframe,
+      cashFlowAnalysis: buildCashFlowAnalysis(transactions, granularity),
+      incomeBreakdown: buildIncomeBreakdown(transactions),
+      spendingForecast: buildSpendingForecast(data.transactions, 30),
+      contextualInsights: buildContextualInsights(transactions)
+    };
+  }],
+
+  ['get', '/analytics/cash-flow', ({ data, query }) =>
+    buildCashFlowAnalysis(data.transactions, query.granularity || 'monthly')],
+
+  ['get', '/analytics/income-breakdown', ({ data }) => buildIncomeBreakdown(data.transactions)],
+
+  ['get', '/analytics/forecast', ({ data, query }) =>
+    buildSpendingForecast(data.transactions, Math.min(365, Number(query.days) || 30))],
+
+  ['get', '/analytics/contextual-insights', ({ data }) => buildContextualInsights(data.transactions)],
+
+  // Debts
+  ['get', '/debts/analytics/summary', ({ data }) => {
+    const debts = data.debts.filter(debt => debt.isActive !== false).map(decorateDebt);
+    const debtByType = {};
+    debts.forEach(debt => { debtByType[debt.type] = toCents((debtByType[debt.type] || 0) + debt.balance); });
+    return {
+      totalDebt: toCents(sum(debts, debt => debt.balance)),
+      totalMinimumPayments: toCents(sum(debts, debt => debt.minimumPayment)),
+      totalMonthlyInterest: toCents(sum(debts, debt => debt.balance * debt.interestRate / 100 / 12)),
+      debtCount: debts.length,
+      debtByType,
+      snowballOrder: [...debts].sort(snowballCompare),
+      avalancheOrder: [...debts].sort(avalancheCompare),
+      highestInterestDebt: [...debts].sort(avalancheCompare)[0] || null
+    };
+  }],
+
+  ['get', '/debts/analytics/strategies', ({ data }) => {
+    const debts = data.debts.filter(debt => debt.isActive !== false && debt.balance > 0);
+    return {
+      snowball: buildStrategy(debts, snowballCompare, 'snowball'),
+      avalanche: buildStrategy(debts, avalancheCompare, 'avalanche')
+    };
+  }],
+
+  ['get', '/debts', ({ data }) => data.debts.map(decorateDebt)],
+
+  ['post', '/debts', ({ data, userId, body }) => {
+    if (!body.name?.trim()) fail(400, 'Debt name is required');
+    if (!(Number(body.balance) >= 0)) fail(400, 'Balance must be a number');
+    const debt = insert(data, 'debts', {
+      userId,
+      name: body.name.trim(),
+      type: body.type || 'loan',
+      lender: body.lender || '',
+      principal: toCents(body.principal ?? body.balance),
+      balance: toCents(body.balance),
+      interestRate: Number(body.interestRate) || 0,
+      minimumPayment: toCents(body.minimumPayment),
+      dueDate: body.dueDate || null,
+      startDate: body.startDate || nowISO(),
+      termMonths: body.termMonths ? Number(body.termMonths) : null,
+      accountNumber: body.accountNumber || '',
+      notes: body.notes || '',
+      isActive: body.isActive !== false
+    });
+    return decorateDebt(debt);
+  }, { status: 201 }],
+
+  ['put', '/debts/:id', ({ data, params, body }) =>
+    decorateDebt(applyUpdate(findOr404(data, 'debts', params.id, 'Debt'), body))],
+
+  ['delete', '/debts/:id', ({ data, params }) => {
+    const debt = findOr404(data, 'debts', params.id, 'Debt');
+    data.debts = data.debts.filter(item => item !== debt);
+    return { message: 'Debt deleted successfully' };
+  }],
+
+  ['post', '/debts/:id/payment', ({ data, userId, params, body }) => {
+    const debt = findOr404(data, 'debts', params.id, 'Debt');
+    const amount = toCents(body.amount);
+    if (!(amount > 0)) fail(400, 'Payment amount must be positive');
+    if (amount > debt.balance) fail(400, 'Payment exceeds the remaining balance');
+
+    // Recorded as a transfer from the account to the debt, which also lowers the debt's balance
+    const transaction = createTransfer(data, userId, {
+      accountId: Number(body.accountId) || data.accounts[0]?.id,
+      debtId: debt.id,
+      description: body.description || `Payment for ${debt.name}`,
+      date: body.paymentDate
+    }, amount);
+
+    return {
+      success: true,
+      message: 'Payment recorded',
+      updatedDebt: decorateDebt(debt),
+      payment: { amount, date: transaction.date, transactionId: transaction.id }
+    };
+  }]
+];
+
+/**
+ * Risk score for a transaction based on the user's history
+ * @private
+ */
+function scoreTransaction(data, transaction) {
+  const expenses = data.transactions.filter(tx => tx.type === 'expense' && tx.id !== transaction.id);
+  const sameCategory = expenses.filter(tx => tx.category === transaction.category);
+  // Compare against the category when there is enough history so regular large bills are not flagged
+  const baseline = sameCategory.length >= 3 ? sameCategory : expenses;
+  const average = baseline.length ? sum(baseline, tx => tx.amount) / baseline.length : 0;
+  const anomalies = [];
+  let riskScore = 10;
+
+  if (average && transaction.amount > average * 3) {
+    anomalies.push(`Amount is ${Math.round(transaction.amount / average)}x your usual spending`);
+    riskScore += 45;
+  }
+  if (sameCategory.length === 0) {
+    anomalies.push(`First purchase in ${transaction.category}`);
+    riskScore += 20;
+  }
+  const hour = new Date(transaction.timestamp || transaction.date || Date.now()).getHours();
+  if (hour < 5) {
+    anomalies.push('Made at an unusual hour');
+    riskScore += 15;
+  }
+  if (['Cryptocurrency', 'Jewelry', 'Luxury Goods'].includes(transaction.category)) {
+    anomalies.push('High-risk merchant category');
+    riskScore += 15;
+  }
+  return { riskScore: Math.min(99, riskScore), anomalies };
+}
+
+/**
+ * Existing transactions that look unusual
+ * @private
+ */
+function findSuspiciousTransactions(data) {
+  return data.transactions
+    .filter(tx => tx.type === 'expense')
+    .map(tx => ({ tx, ...scoreTransaction(data, tx) }))
+    .filter(({ riskScore }) => riskScore > 50)
+    .map(({ tx, riskScore, anomalies }) => ({ ...tx, riskScore, fraudReason: anomalies.join('; ') }));
+}
+
+/**
+ * Matches a path against a route pattern
+ * @param {string} pattern - Pattern such as /goals/:id/contribute
+ * @param {string} path - Request path
+ * @returns {Object|null} Route params or null if no match
+ * @private
+ */
+const matchPath = (pattern, path) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = path.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+/**
+ * Splits the request URL into an API path and query object
+ * @private
+ */
+const parseRequestUrl = (config) => {
+  let url = config.url || '';
+  const apiUrl = getApiUrl();
+  if (url.startsWith(apiUrl)) {
+    url = url.slice(apiUrl.length);
+  } else if (/^https?:\/\//.test(url)) {
+    url = new URL(url).pathname.replace(/^\/api(?=\/)/, '');
+  }
+
+  const parsed = new URL(url, 'http://mock.local');
+  const query = { ...Object.fromEntries(parsed.searchParams), ...(config.params || {}) };
+  return { path: parsed.pathname.replace(/\/+$/, '') || '/', query };
+};
+
+const parseBody = (data) => {
+  if (!data) return {};
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return {};
+    }
+  }
+  return data;
+};
+
+/**
+ * Refresh token in the simulated cookie
+ * @private
+ */
+const readRefreshCookie = () => localStorage.getItem(REFRESH_COOKIE_KEY);
+
+/**
+ * Sets or, with null, clears the simulated refresh-token cookie
+ * @private
+ */
+const writeRefreshCookie = (token) => {
+  if (token) localStorage.setItem(REFRESH_COOKIE_KEY, token);
+  else localStorage.removeItem(REFRESH_COOKIE_KEY);
+};
+
+/**
+ * Reads the bearer token from request headers
+ * @private
+ */
+const getBearerToken = (headers) => {
+  const value = typeof headers?.get === 'function'
+    ? headers.get('Authorization')
+    : headers?.Authorization || headers?.authorization;
+  return String(value || '').replace(/^Bearer\s+/i, '');
+};
+
+/**
+ * Runs a request against the route table
+ * @param {Object} config - Axios request config
+ * @returns {Object} { status, data }
+ * @private
+ */
+const handleRequest = (config) => {
+  const method = (config.method || 'get').toLowerCase();
+  const { path, query } = parseRequestUrl(config);
+  const candidates = routes.filter(([routeMethod, pattern]) => routeMethod === method && matchPath(pattern, path));
+  if (candidates.length === 0) {
+    return { status: 404, data: { error: `Mock backend has no route for ${method.toUpperCase()} ${path}` } };
+  }
+
+  const [, pattern, handler, options = {}] = candidates[0];
+  const db = loadDatabase();
+  let userId = null;
+
+  let sessionId = null;
+
+  if (!options.public) {
+    const token = getBearerToken(config.headers);
+    userId = parseToken(token, 'access');
+    if (!userId || !db.users.some(user => user.id === userId)) {
+      return { status: 401, data: { error: 'Access token required' } };
+    }
+    const session = findTokenSession(db, userId, token);
+    if (session === undefined) {
+      saveDatabase();
+      return { status: 401, data: { error: 'Session revoked', code: 'session_revoked' } };
+    }
+    if (session) {
+      session.lastSeenAt = nowISO();
+      sessionId = session.id;
+    }
+  }
+
+  try {
+    const data = userId ? getUserData(db, userId) : null;
+    // Like a browser, only send the refresh-token cookie on requests made with credentials
+    const refreshCookie = config.withCredentials ? readRefreshCookie() : null;
+    const result = handler({ params: matchPath(pattern, path), query, body: parseBody(config.data), data, db, userId, sessionId, refreshCookie });
+    saveDatabase();
+    // A client that accepts cookies gets the refresh token as an httpOnly cookie instead of in the body
+    if (config.withCredentials && result?.refreshToken) {
+      writeRefreshCookie(result.refreshToken);
+      delete result.refreshToken;
+    }
+    return { status: options.status || 200, data: result };
+  } catch (error) {
+    if (error instanceof MockHttpError) {
+      saveDatabase();
+      return { status: error.status, data: error.data };
+    }
+    console.error('Mock backend handler failed', error);
+    return { status: 500, data: { error: 'Internal mock server error' } };
+  }
+};
+
+/**
+ * Axios adapter that answers requests from the mock backend
+ * @param {Object} config - Axios request config
+ * @returns {Promise<Object>} Axios response
+ */
+export const mockAdapter = (config) => {
+  const delay = LATENCY_MS[0] + Math.random() * (LATENCY_MS[1] - LATENCY_MS[0]);
+
+  return new Promise((resolve, reject) => {
+    setTimeout(() => {
+      const { status, data } = handleRequest(config);
+      const response = {
+        // Copy so callers never hold references into the stored database
+        data: data === undefined ? '' : JSON.parse(JSON.stringify(data)),
+        status,
+        statusText: status < 400 ? 'OK' : 'Error',
+        headers: { 'content-type': 'application/json' },
+        config,
+        request: { mock: true }
+      };
+
+      const validateStatus = config.validateStatus;
+      if (!validateStatus || validateStatus(status)) {
+        resolve(response);
+      } else {
+        reject(new AxiosError(
+          `Request failed with status code ${status}`,
+          status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+          config,
+          response.request,
+          response
+        ));
+      }
+    }, delay);
+  });
+};
@@ -0,0 +1,223 @@
+// mockData.js
+// Seed data for the in-browser mock backend. Dates are relative to the seeding day
+// so the demo always has a current month, and a seeded PRNG keeps amounts stable.
+
+/** Demo login created with every fresh mock database */
+export const DEMO_USER = {
+  name: 'Demo User',
+  email: 'demo@example.com',
+  password: 'demo1234'
+};
+
+/** Number of past months of transactions to generate */
+const HISTORY_MONTHS = 4;
+
+/**
+ * Small deterministic pseudo-random generator (mulberry32)
+ * @param {number} seed - Initial seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ * @private
+ */
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Adds days to a date without mutating it
+ * @param {Date} date - Base date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ * @private
+ */
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Rounds to cents
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ * @private
+ */
+const toCents = (value) => Math.round(value * 100) / 100;
+
+/** Fixed monthly bills: [day of month, category, description, amount, accountKey] */
+const MONTHLY_BILLS = [
+  [1, 'Rent', 'Monthly rent - Oakwood Apartments', 1350, 'checking'],
+  [5, 'Utilities', 'City Power & Water', 118.4, 'checking'],
+  [8, 'Utilities', 'FiberNet Internet', 59.99, 'checking'],
+  [12, 'Entertainment', 'Netflix subscription', 15.49, 'credit'],
+  [14, 'Entertainment', 'Spotify Premium', 10.99, 'credit'],
+  [3, 'Healthcare', 'FitLife Gym membership', 39, 'credit'],
+  [20, 'Utilities', 'Mobile phone plan', 45, 'checking']
+];
+
+/** Variable spending templates: [category, descriptions, min, max, times per month] */
+const VARIABLE_SPENDING = [
+  ['Food', ['FreshMart groceries', 'Green Valley Market', 'Corner Bakery', 'Sushi Place', 'Pizza night'], 12, 95, 11],
+  ['Travel', ['Uber ride', 'Shell fuel', 'Metro card top-up', 'Parking garage'], 8, 65, 5],
+  ['Shopping', ['Amazon order', 'Target', 'H&M', 'Home Depot'], 15, 140, 3],
+  ['Entertainment', ['Cinema tickets', 'Concert tickets', 'Steam game', 'Bowling night'], 12, 70, 2],
+  ['Healthcare', ['CVS Pharmacy', 'Dental co-pay'], 10, 60, 1],
+  ['Other', ['Gift for Sam', 'Charity donation', 'Haircut'], 15, 60, 1]
+];
+
+/**
+ * Builds the seeded data set for the demo user
+ * @param {number} userId - Owner of every seeded record
+ * @param {Date} [now=new Date()] - Reference date
+ * @returns {Object} Collections keyed by resource name plus the next id counter
+ */
+export const buildSeedData = (userId, now = new Date()) => {
+  const random = createRandom(20240917);
+  let nextId = 1;
+  const stamp = now.toISOString();
+  const record = (fields) => ({ id: nextId++, userId, createdAt: stamp, updatedAt: stamp, ...fields });
+
+  const accounts = {
+    checking: record({ name: 'Everyday Checking', type: 'checking', openingBalance: 1800, balance: 1800 }),
+    savings: record({ name: 'High-Yield Savings', type: 'savings', openingBalance: 6200, balance: 6200 }),
+    credit: record({ name: 'Visa Rewards Card', type: 'credit', openingBalance: 0, balance: 0 })
+  };
+
+  const transactions = [];
+  const addTransaction = (date, type, category, description, amount, accountKey) => {
+    if (date > now) return;
+    const account = accounts[accountKey];
+    account.balance = toCents(account.balance + (type === 'income' ? amount : -amount));
+    transactions.push(record({
+      amount: toCents(amount),
+      type,
+      category,
+      description,
+      date: date.toISOString(),
+      accountId: account.id
+    }));
+  };
+  const addTransfer = (date, description, amount, fromKey, toKey) => {
+    if (date > now) return;
+    accounts[fromKey].balance = toCents(accounts[fromKey].balance - amount);
+    accounts[toKey].balance = toCents(accounts[toKey].balance + amount);
+    transactions.push(record({
+      amount: toCents(amount),
+      type: 'transfer',
+      category: 'Transfer',
+      description,
+      date: date.toISOString(),
+      accountId: accounts[fromKey].id,
+      toAccountId: accounts[toKey].id
+    }));
+  };
+
+  const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1, 9, 0, 0);
+  for (let offset = HISTORY_MONTHS - 1; offset >= 0; offset--) {
+    const monthStart = new Date(startOfMonth.getFullYear(), startOfMonth.getMonth() - offset, 1, 9, 0, 0);
+    const daysInMonth = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0).getDate();
+
+    // Salary twice a month plus an occasional side gig
+    addTransaction(addDays(monthStart, 14), 'income', 'Other', 'Salary - Northwind Traders', 2450, 'checking');
+    addTransaction(addDays(monthStart, daysInMonth - 1), 'income', 'Other', 'Salary - Northwind Traders', 2450, 'checking');
+    if (random() > 0.4) {
+      addTransaction(addDays(monthStart, 9), 'income', 'Other', 'Freelance design project', toCents(250 + random() * 400), 'checking');
+    }
+
+    MONTHLY_BILLS.forEach(([day, category, description, amount, accountKey]) => {
+      addTransaction(addDays(monthStart, day - 1), 'expense', category, description, amount, accountKey);
+    });
+
+    VARIABLE_SPENDING.forEach(([category, descriptions, min, max, count]) => {
+      for (let i = 0; i < count; i++) {
+        const day = Math.floor(random() * daysInMonth);
+        const description = descriptions[Math.floor(random() * descriptions.length)];
+        const date = addDays(monthStart, day);
+        date.setHours(8 + Math.floor(random() * 13), Math.floor(random() * 60));
+        addTransaction(date, 'expense', category, description, min + random() * (max - min), random() > 0.5 ? 'credit' : 'checking');
+      }
+    });
+
+    // Card payoff and savings transfer at month end
+    addTransfer(addDays(monthStart, 24), 'Visa Rewards Card payment', 400, 'checking', 'credit');
+    addTransfer(addDays(monthStart, 25), 'Transfer to savings', 300, 'checking', 'savings');
+  }
+
+  transactions.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const budgetLimits = [
+    ['Food', 600], ['Entertainment', 150], ['Shopping', 300],
+    ['Utilities', 250], ['Rent', 1400], ['Travel', 250]
+  ];
+  const budgets = budgetLimits.map(([category, limit]) => record({
+    name: `${category} budget`,
+    category,
+    limit,
+    spent: 0,
+    period: 'monthly',
+    isActive: true,
+    allowExceed: category !== 'Shopping',
+    rolloverType: category === 'Food' ? 'partial' : 'none',
+    rolloverAmount: 0
+  }));
+
+  const inMonths = (months) => new Date(now.getFullYear(), now.getMonth() + months, 1).toISOString();
+  const goals = [
+    record({ name: 'Emergency Fund', category: 'emergency', targetAmount: 10000, currentAmount: 6200, deadline: inMonths(10), allocationPercentage: 40, isActive: true, isCompleted: false }),
+    record({ name: 'Summer trip to Lisbon', category: 'vacation', targetAmount: 3000, currentAmount: 1150, deadline: inMonths(7), allocationPercentage: 25, isActive: true, isCompleted: false }),
+    record({ name: 'New laptop', category: 'savings', targetAmount: 1800, currentAmount: 420, deadline: inMonths(5), allocationPercentage: 15, isActive: true, isCompleted: false })
+  ];
+
+  const debts = [
+    record({ name: 'Visa Rewards Card', type: 'credit_card', lender: 'First Federal Bank', principal: 5000, balance: 3240.55, interestRate: 22.9, minimumPayment: 95, dueDate: inMonths(1), startDate: inMonths(-30), termMonths: null, accountNumber: '****4821', notes: '', isActive: true }),
+    record({ name: 'Car loan', type: 'auto', lender: 'AutoFinance Co', principal: 18000, balance: 11875.2, interestRate: 6.4, minimumPayment: 345, dueDate: inMonths(1), startDate: inMonths(-24), termMonths: 60, accountNumber: '****7710', notes: '2021 Honda Civic', isActive: true }),
+    record({ name: 'Student loan', type: 'student', lender: 'Federal Student Aid', principal: 24000, balance: 15420, interestRate: 4.5, minimumPayment: 210, dueDate: inMonths(1), startDate: inMonths(-60), termMonths: 120, accountNumber: '****1093', notes: '', isActive: true })
+  ];
+
+  const recurringTransactions = [
+    ['Netflix subscription', 15.49, 'expense', 'Entertainment', 'monthly', 'credit'],
+    ['Spotify Premium', 10.99, 'expense', 'Entertainment', 'monthly', 'credit'],
+    ['FitLife Gym membership', 39, 'expense', 'Healthcare', 'monthly', 'credit'],
+    ['Salary - Northwind Traders', 2450, 'income', 'Other', 'biweekly', 'checking']
+  ].map(([description, amount, type, category, frequency, accountKey]) => record({
+    description,
+    amount,
+    type,
+    category,
+    frequency,
+    interval: 1,
+    accountId: accounts[accountKey].id,
+    startDate: inMonths(-HISTORY_MONTHS),
+    nextRunDate: inMonths(1),
+    isActive: true,
+    autoApprove: true
+  }));
+
+  // Tag a handful of discretionary purchases with moods
+  const moodChoices = ['happy', 'planned', 'impulsive', 'stressed', 'excited', 'regretful', 'bored'];
+  const transactionMoods = transactions
+    .filter(tx => tx.type === 'expense' && ['Food', 'Shopping', 'Entertainment'].includes(tx.category))
+    .filter(() => random() > 0.6)
+    .map(tx => record({
+      transactionId: tx.id,
+      mood: moodChoices[Math.floor(random() * moodChoices.length)],
+      intensity: 1 + Math.floor(random() * 5),
+      notes: ''
+    }));
+
+  return {
+    nextId,
+    accounts: Object.values(accounts),
+    transactions,
+    budgets,
+    goals,
+    debts,
+    recurringTransactions,
+    transactionMoods
+  };
+};
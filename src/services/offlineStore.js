@@ -0,0 +1,177 @@
+// offlineStore.js
+// Minimal IndexedDB persistence for cached GET responses and the offline mutation queue
+// Falls back to in-memory storage when IndexedDB is unavailable (private mode, tests)
+
+const DB_NAME = 'sultans-offline';
+const DB_VERSION = 1;
+const RESPONSES_STORE = 'responses';
+const MUTATIONS_STORE = 'mutations';
+
+/** In-memory fallback stores */
+const memory = {
+  [RESPONSES_STORE]: new Map(),
+  [MUTATIONS_STORE]: new Map()
+};
+let memoryMutationId = 0;
+
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades) the offline database once per page load
+ * @returns {Promise<IDBDatabase|null>} Database handle or null when IndexedDB is unavailable
+ * @private
+ */
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null);
+      return;
+    }
+
+    try {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RESPONSES_STORE)) {
+          db.createObjectStore(RESPONSES_STORE, { keyPath: 'key' });
+        }
+        if (!db.objectStoreNames.contains(MUTATIONS_STORE)) {
+          db.createObjectStore(MUTATIONS_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('Failed to open offline database', request.error);
+        resolve(null);
+      };
+    } catch (error) {
+      console.error('IndexedDB unavailable, using memory storage', error);
+      resolve(null);
+    }
+  });
+
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against an object store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Request result
+ * @private
+ */
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Reads a cached GET response
+ * @param {string} key - Cache key (URL with params)
+ * @returns {Promise<Object|null>} Cached entry ({ key, data, cachedAt }) or null
+ */
+export const getCachedResponse = async (key) => {
+  try {
+    const db = await openDatabase();
+    if (!db) return memory[RESPONSES_STORE].get(key) || null;
+    return (await runRequest(RESPONSES_STORE, 'readonly', store => store.get(key))) || null;
+  } catch (error) {
+    console.error('Failed to read cached response', error);
+    return null;
+  }
+};
+
+/**
+ * Stores the latest successful GET response
+ * @param {string} key - Cache key (URL with params)
+ * @param {*} data - Response body
+ */
+export const setCachedResponse = async (key, data) => {
+  const entry = { key, data, cachedAt: new Date().toISOString() };
+  try {
+    const db = await openDatabase();
+    if (!db) {
+      memory[RESPONSES_STORE].set(key, entry);
+      return;
+    }
+    await runRequest(RESPONSES_STORE, 'readwrite', store => store.put(entry));
+  } catch (error) {
+    console.error('Failed to cache response', error);
+  }
+};
+
+/**
+ * Returns every queued mutation in insertion order
+ * @returns {Promise<Array>} Queued mutations
+ */
+export const getMutations = async () => {
+  try {
+    const db = await openDatabase();
+    const items = db
+      ? await runRequest(MUTATIONS_STORE, 'readonly', store => store.getAll())
+      : Array.from(memory[MUTATIONS_STORE].values());
+    return (items || []).sort((a, b) => a.id - b.id);
+  } catch (error) {
+    console.error('Failed to read mutation queue', error);
+    return [];
+  }
+};
+
+/**
+ * Adds or replaces a queued mutation
+ * @param {Object} mutation - Mutation record (an `id` is assigned when missing)
+ * @returns {Promise<Object>} Stored mutation with its id
+ */
+export const saveMutation = async (mutation) => {
+  const db = await openDatabase();
+  if (!db) {
+    const id = mutation.id ?? ++memoryMutationId;
+    const stored = { ...mutation, id };
+    memory[MUTATIONS_STORE].set(id, stored);
+    return stored;
+  }
+
+  const id = await runRequest(MUTATIONS_STORE, 'readwrite', store => store.put(mutation));
+  return { ...mutation, id };
+};
+
+/**
+ * Removes a queued mutation
+ * @param {number} id - Mutation id
+ */
+export const removeMutation = async (id) => {
+  const db = await openDatabase();
+  if (!db) {
+    memory[MUTATIONS_STORE].delete(id);
+    return;
+  }
+  await runRequest(MUTATIONS_STORE, 'readwrite', store => store.delete(id));
+};
+
+/**
+ * Clears cached responses and queued mutations (used on logout)
+ */
+export const clearOfflineStore = async () => {
+  memory[RESPONSES_STORE].clear();
+  memory[MUTATIONS_STORE].clear();
+  try {
+    const db = await openDatabase();
+    if (!db) return;
+    await runRequest(RESPONSES_STORE, 'readwrite', store => store.clear());
+    await runRequest(MUTATIONS_STORE, 'readwrite', store => store.clear());
+  } catch (error) {
+    console.error('Failed to clear offline data', error);
+  }
+};
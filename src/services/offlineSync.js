@@ -0,0 +1,580 @@
+// offlineSync.js
+import {
+  getCachedResponse,
+  setCachedResponse,
+  getMutations,
+  saveMutation,
+  removeMutation,
+  clearOfflineStore
+} from './offlineStore';
+
+/** Collections whose create/update/delete calls may be queued while offline */
+const QUEUEABLE_RESOURCES = [
+  'transactions',
+  'accounts',
+  'budgets',
+  'goals',
+  'debts',
+  'recurring-transactions',
+  'transaction-mood'
+];
+
+/** Matches `/resource` and `/resource/:id` */
+const RESOURCE_PATTERN = /^\/([a-z-]+)(?:\/([^/?]+))?\/?$/;
+
+/** How often a non-empty queue retries while the server is unreachable */
+const RETRY_INTERVAL = 30000;
+
+/** Prefix for client-side IDs given to records created offline */
+const TEMP_ID_PREFIX = 'tmp-';
+
+/**
+ * Checks whether an axios error means the server could not be reached at all
+ * @param {Error} error - Axios error
+ * @returns {boolean} True for network failures (no HTTP response)
+ */
+export const isNetworkError = (error) => {
+  return Boolean(error?.config) && !error.response && error.code !== 'ERR_CANCELED';
+};
+
+/**
+ * Checks whether an ID was assigned locally to a record that has not synced yet
+ * @param {string|number} id - Record ID
+ * @returns {boolean} True for temporary IDs
+ */
+export const isTempId = (id) => typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+/**
+ * Splits a request URL into path and query
+ * @param {string} url - Request URL relative to the API base
+ * @returns {string} Path without the query string
+ * @private
+ */
+const getPath = (url = '') => url.split('?')[0];
+
+/**
+ * Builds the cache key for a GET request
+ * @param {Object} config - Axios request config
+ * @returns {string} Cache key
+ * @private
+ */
+const getCacheKey = (config) => {
+  const params = config.params ? new URLSearchParams(config.params).toString() : '';
+  const url = config.url || '';
+  if (!params) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}${params}`;
+};
+
+/**
+ * Returns the collection name for list endpoints such as `/budgets` or `/transactions/all`
+ * @param {string} url - Request URL
+ * @returns {string|null} Collection name or null when the URL is not a list endpoint
+ * @private
+ */
+const getListResource = (url) => {
+  const match = getPath(url).match(/^\/([a-z-]+)(?:\/all)?\/?$/);
+  return match && QUEUEABLE_RESOURCES.includes(match[1]) ? match[1] : null;
+};
+
+/**
+ * Parses a request body that axios may already have serialized
+ * @param {*} data - Request body
+ * @returns {Object} Parsed body
+ * @private
+ */
+const parseBody = (data) => {
+  if (!data) return {};
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data);
+    } catch {
+      return {};
+    }
+  }
+  return data;
+};
+
+/**
+ * Offline layer for the axios instance: caches GET responses, queues mutations while
+ * the server is unreachable, serves optimistic results and replays the queue in order
+ * @class
+ */
+class OfflineSyncService {
+  constructor() {
+    this.api = null;
+    this.queue = [];
+    this.online = typeof navigator === 'undefined' ? true : navigator.onLine;
+    this.syncing = false;
+    this.lastSyncedAt = null;
+    this.listeners = new Set();
+    this.syncListeners = new Set();
+    this.retryTimer = null;
+    this.ready = Promise.resolve();
+  }
+
+  /**
+   * Installs the offline interceptors on an axios instance. Must run after the auth
+   * interceptors so token refresh is handled before a failure is treated as offline.
+   * @param {import('axios').AxiosInstance} api - Axios instance
+   */
+  attach(api) {
+    if (this.api) return;
+    this.api = api;
+
+    api.interceptors.response.use(
+      (response) => this.handleResponse(response),
+      (error) => this.handleError(error)
+    );
+
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', () => {
+        this.setOnline(true);
+        this.sync();
+      });
+      window.addEventListener('offline', () => this.setOnline(false));
+    }
+
+    this.ready = getMutations().then(mutations => {
+      this.queue = mutations;
+      this.emit();
+      if (this.queue.length > 0) this.scheduleRetry();
+    });
+  }
+
+  /**
+   * Subscribes to sync state changes
+   * @param {Function} listener - Called with the current state
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    listener(this.getState());
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Subscribes to completed sync runs that changed server data
+   * @param {Function} listener - Called with { applied, conflicts }
+   * @returns {Function} Unsubscribe function
+   */
+  onSyncComplete(listener) {
+    this.syncListeners.add(listener);
+    return () => this.syncListeners.delete(listener);
+  }
+
+  /**
+   * Current sync state for UI display
+   * @returns {Object} State with online flag, syncing flag, pending and conflicting mutations
+   */
+  getState() {
+    return {
+      online: this.online,
+      syncing: this.syncing,
+      lastSyncedAt: this.lastSyncedAt,
+      pending: this.queue.filter(m => m.status === 'pending'),
+      conflicts: this.queue.filter(m => m.status === 'conflict')
+    };
+  }
+
+  /** @private */
+  emit() {
+    const state = this.getState();
+    this.listeners.forEach(listener => listener(state));
+  }
+
+  /** @private */
+  setOnline(online) {
+    if (this.online === online) return;
+    this.online = online;
+    this.emit();
+  }
+
+  /**
+   * Caches successful GET responses and marks the server reachable
+   * @private
+   */
+  handleResponse(response) {
+    const { config } = response;
+    this.setOnline(true);
+
+    if (config?.method === 'get' && !config._offlineCache) {
+      setCachedResponse(getCacheKey(config), response.data);
+    }
+
+    // Connectivity is back: flush anything queued earlier
+    if (!config?._offlineReplay && this.queue.some(m => m.status === 'pending') && !this.syncing) {
+      setTimeout(() => this.sync(), 0);
+    }
+
+    return response;
+  }
+
+  /**
+   * Serves cached GETs and queues mutations when the server is unreachable
+   * @private
+   */
+  async handleError(error) {
+    const { config } = error;
+
+    if (!isNetworkError(error) || config._offlineReplay || config._skipOffline) {
+      return Promise.reject(error);
+    }
+
+    this.setOnline(false);
+    const method = (config.method || 'get').toLowerCase();
+
+    if (method === 'get') {
+      const data = await this.readCached(getCacheKey(config));
+      if (data === undefined) return Promise.reject(error);
+      return { data, status: 200, statusText: 'OK (offline cache)', headers: {}, config, request: null };
+    }
+
+    const queued = await this.enqueue(method, config);
+    if (!queued) return Promise.reject(error);
+
+    return { data: queued, status: 202, statusText: 'Queued (offline)', headers: {}, config, request: null };
+  }
+
+  /**
+   * Reads a cached GET response with pending mutations applied on top
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Response body or undefined when nothing is cached
+   * @private
+   */
+  async readCached(key) {
+    await this.ready;
+    const entry = await getCachedResponse(key);
+    const resource = getListResource(key);
+    const pending = resource ? this.queue.filter(m => m.resource === resource) : [];
+
+    if (!entry) {
+      // Nothing cached yet, but records created offline should still show up
+      return pending.length > 0 ? this.applyPending([], pending) : undefined;
+    }
+
+    return Array.isArray(entry.data) && pending.length > 0
+      ? this.applyPending(entry.data, pending)
+      : entry.data;
+  }
+
+  /**
+   * Applies queued mutations to a cached list so the UI sees its own offline changes
+   * @param {Array} items - Cached records
+   * @param {Array} mutations - Queued mutations for the same collection
+   * @returns {Array} Records with creates added, updates merged and deletes removed
+   * @private
+   */
+  applyPending(items, mutations) {
+    let result = [...items];
+
+    mutations.forEach(mutation => {
+      if (mutation.method === 'post') {
+        result.push({ ...mutation.data, id: mutation.tempId, _pendingSync: true });
+      } else if (mutation.method === 'delete') {
+        result = result.filter(item => String(item.id) !== String(mutation.resourceId));
+      } else {
+        result = result.map(item => (
+          String(item.id) === String(mutation.resourceId)
+            ? { ...item, ...mutation.data, _pendingSync: true }
+            : item
+        ));
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Finds the last known copy of a record in the cached list for its collection
+   * @param {string} resource - Collection name
+   * @param {string|number} id - Record ID
+   * @returns {Promise<Object|null>} Cached record
+   * @private
+   */
+  async findCachedRecord(resource, id) {
+    for (const key of [`/${resource}/all`, `/${resource}`]) {
+      const entry = await getCachedResponse(key);
+      if (Array.isArray(entry?.data)) {
+        const record = entry.data.find(item => String(item.id) === String(id));
+        if (record) return record;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Queues a create/update/delete and returns the optimistic response body
+   * @param {string} method - HTTP method
+   * @param {Object} config - Axios request config
+   * @returns {Promise<Object|null>} Optimistic body or null when the request cannot be queued
+   * @private
+   */
+  async enqueue(method, config) {
+    await this.ready;
+
+    const match = getPath(config.url).match(RESOURCE_PATTERN);
+    if (!match || !QUEUEABLE_RESOURCES.includes(match[1])) return null;
+
+    const [, resource, resourceId] = match;
+    const isCreate = method === 'post' && !resourceId;
+    const isChange = ['put', 'patch', 'delete'].includes(method) && resourceId;
+    if (!isCreate && !isChange) return null;
+
+    const data = parseBody(config.data);
+
+    // Changes to records that only exist locally are folded into their queued create
+    if (isChange && isTempId(resourceId)) {
+      return this.foldIntoCreate(method, resourceId, data);
+    }
+
+    const base = isChange ? await this.findCachedRecord(resource, resourceId) : null;
+    const mutation = {
+      method,
+      url: config.url,
+      resource,
+      resourceId: resourceId || null,
+      tempId: isCreate ? `${TEMP_ID_PREFIX}${Date.now()}-${Math.random().toString(36).slice(2, 8)}` : null,
+      data,
+      baseVersion: base?.updatedAt || null,
+      status: 'pending',
+      force: false,
+      error: null,
+      createdAt: new Date().toISOString()
+    };
+
+    const stored = await saveMutation(mutation);
+    this.queue.push(stored);
+    this.emit();
+    this.scheduleRetry();
+
+    if (method === 'delete') return { id: resourceId, _pendingSync: true };
+    if (isCreate) return { ...data, id: stored.tempId, _pendingSync: true };
+    return { ...(base || {}), ...data, id: base?.id ?? resourceId, _pendingSync: true };
+  }
+
+  /**
+   * Merges an update into (or cancels) the queued create of a locally created record
+   * @private
+   */
+  async foldIntoCreate(method, tempId, data) {
+    const create = this.queue.find(m => m.tempId === tempId);
+    if (!create) return null;
+
+    if (method === 'delete') {
+      await removeMutation(create.id);
+      this.queue = this.queue.filter(m => m.id !== create.id);
+      this.emit();
+      return { id: tempId, _pendingSync: true };
+    }
+
+    create.data = { ...create.data, ...data };
+    await saveMutation(create);
+    this.emit();
+    return { ...create.data, id: tempId, _pendingSync: true };
+  }
+
+  /** @private */
+  scheduleRetry() {
+    if (this.retryTimer) return;
+    this.retryTimer = setInterval(() => {
+      if (!this.queue.some(m => m.status === 'pending')) {
+        clearInterval(this.retryTimer);
+        this.retryTimer = null;
+        return;
+      }
+      this.sync();
+    }, RETRY_INTERVAL);
+  }
+
+  /**
+   * Checks a queued update/delete against the server copy of the record
+   * @param {Object} mutation - Queued mutation
+   * @param {Map} serverLists - Cache of fresh collection lists for this sync run
+   * @returns {Promise<string|null>} Conflict reason or null when safe to replay
+   * @private
+   */
+  async detectConflict(mutation, serverLists) {
+    if (mutation.method === 'post' || mutation.force) return null;
+
+    if (!serverLists.has(mutation.resource)) {
+      const listUrl = mutation.resource === 'transactions' ? '/transactions/all' : `/${mutation.resource}`;
+      try {
+        const response = await this.api.get(listUrl, { _offlineReplay: true });
+        serverLists.set(mutation.resource, Array.isArray(response.data) ? response.data : null);
+      } catch (error) {
+        if (isNetworkError(error)) throw error;
+        serverLists.set(mutation.resource, null); // List not available: rely on the server response
+      }
+    }
+
+    const list = serverLists.get(mutation.resource);
+    if (!list) return null;
+
+    const serverRecord = list.find(item => String(item.id) === String(mutation.resourceId));
+    if (!serverRecord) {
+      return mutation.method === 'delete' ? null : 'This record was deleted on the server';
+    }
+    if (mutation.baseVersion && serverRecord.updatedAt && serverRecord.updatedAt !== mutation.baseVersion) {
+      return 'This record was changed on the server after your offline edit';
+    }
+    return null;
+  }
+
+  /**
+   * Replays queued mutations in order. Stops at the first network failure; mutations that
+   * conflict are parked (and later changes to the same record wait behind them).
+   * @returns {Promise<Object>} Summary with applied and conflict counts
+   */
+  async sync() {
+    await this.ready;
+    if (!this.api || this.syncing) return { applied: 0, conflicts: 0 };
+
+    const pending = this.queue.filter(m => m.status === 'pending');
+    if (pending.length === 0) return { applied: 0, conflicts: 0 };
+
+    this.syncing = true;
+    this.emit();
+
+    const serverLists = new Map();
+    const blocked = new Set(
+      this.queue.filter(m => m.status === 'conflict').map(m => `${m.resource}:${m.resourceId || m.tempId}`)
+    );
+    let applied = 0;
+    let conflicts = 0;
+
+    try {
+      for (const mutation of pending) {
+        const recordKey = `${mutation.resource}:${mutation.resourceId || mutation.tempId}`;
+        if (blocked.has(recordKey)) continue;
+
+        try {
+          const conflict = await this.detectConflict(mutation, serverLists);
+          if (conflict) {
+            await this.markConflict(mutation, conflict);
+            blocked.add(recordKey);
+            conflicts++;
+            continue;
+          }
+
+          const response = await this.api.request({
+            method: mutation.method,
+            url: mutation.url,
+            data: mutation.method === 'delete' ? undefined : mutation.data,
+            _offlineReplay: true
+          });
+
+          await removeMutation(mutation.id);
+          this.queue = this.queue.filter(m => m.id !== mutation.id);
+          applied++;
+
+          if (mutation.tempId) {
+            const created = response.data?.transaction || response.data;
+            if (created?.id !== undefined) await this.remapTempId(mutation.tempId, created.id);
+          }
+        } catch (error) {
+          if (isNetworkError(error)) throw error;
+
+          const status = error.response?.status;
+          const reason = status === 409 || status === 412
+            ? 'The server reported a conflicting change'
+            : error.response?.data?.error || error.response?.data?.message || error.message;
+          await this.markConflict(mutation, reason);
+          blocked.add(recordKey);
+          conflicts++;
+        }
+
+        this.emit();
+      }
+
+      this.setOnline(true);
+      this.lastSyncedAt = new Date().toISOString();
+    } catch (error) {
+      console.warn('Sync paused: server unreachable', error.message);
+      this.setOnline(false);
+    } finally {
+      this.syncing = false;
+      this.emit();
+    }
+
+    if (applied > 0 || conflicts > 0) {
+      this.syncListeners.forEach(listener => listener({ applied, conflicts }));
+    }
+
+    return { applied, conflicts };
+  }
+
+  /** @private */
+  async markConflict(mutation, reason) {
+    mutation.status = 'conflict';
+    mutation.error = reason;
+    await saveMutation(mutation);
+  }
+
+  /**
+   * Rewrites references to a temporary ID once the server has assigned the real one
+   * @param {string} tempId - Temporary ID
+   * @param {string|number} realId - Server ID
+   * @private
+   */
+  async remapTempId(tempId, realId) {
+    for (const mutation of this.queue) {
+      let changed = false;
+
+      if (String(mutation.resourceId) === tempId) {
+        mutation.resourceId = realId;
+        mutation.url = mutation.url.replace(tempId, String(realId));
+        changed = true;
+      }
+
+      Object.keys(mutation.data || {}).forEach(field => {
+        if (mutation.data[field] === tempId) {
+          mutation.data[field] = realId;
+          changed = true;
+        }
+      });
+
+      if (changed) await saveMutation(mutation);
+    }
+  }
+
+  /**
+   * Resolves a parked conflict
+   * @param {number} mutationId - Queued mutation id
+   * @param {string} resolution - 'keep-local' to replay anyway, 'discard' to drop the local change
+   */
+  async resolveConflict(mutationId, resolution) {
+    const mutation = this.queue.find(m => m.id === mutationId);
+    if (!mutation) return;
+
+    if (resolution === 'discard') {
+      await removeMutation(mutation.id);
+      this.queue = this.queue.filter(m => m.id !== mutation.id);
+      this.emit();
+      this.syncListeners.forEach(listener => listener({ applied: 0, conflicts: 0, discarded: 1 }));
+      return;
+    }
+
+    mutation.status = 'pending';
+    mutation.force = true;
+    mutation.error = null;
+    await saveMutation(mutation);
+    this.emit();
+    await this.sync();
+  }
+
+  /**
+   * Drops all cached data and queued changes (on logout)
+   */
+  async clear() {
+    this.queue = [];
+    if (this.retryTimer) {
+      clearInterval(this.retryTimer);
+      this.retryTimer = null;
+    }
+    await clearOfflineStore();
+    this.emit();
+  }
+}
+
+export const offlineSync = new OfflineSyncService();
+export default offlineSync;
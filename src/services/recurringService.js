@@ -38,9 +38,6 @@ class RecurringService {
     let backendData;
     try {
 
-      // Get token from localStorage
-      const token = localStorage.getItem('token');
-
       // Calculate dates
       const startDate = new Date();
       startDate.setDate(startDate.getDate() + 1); // Start tomorrow
@@ -232,10 +229,20 @@ class RecurringService {
    */
   getTransactionKey(transaction) {
     const amount = Math.abs(transaction.amount).toFixed(2);
-    const description = transaction.description?.toLowerCase().trim() || 'unknown';
+    const description = this.normalizeDescription(transaction.description) || 'unknown';
     return `${description}_${amount}`;
   }
 
+  /**
+   * Normalizes a description for comparison: lowercase, trimmed, single spaces
+   * Shared with the categorization rules engine so both group payees the same way.
+   * @param {string} description - Raw transaction description
+   * @returns {string} Normalized description (empty when missing)
+   */
+  normalizeDescription(description) {
+    return String(description || '').toLowerCase().trim().replace(/\s+/g, ' ');
+  }
+
   /**
    * Analyzes a transaction group for recurring patterns
    * @param {Array} transactions - Grouped transaction array
@@ -0,0 +1,202 @@
+// tokenStorage.js
+// Where the session's tokens live, and the one place that refreshes them.
+// The access token is held in memory only, so a script injected into the page cannot lift it from
+// localStorage and it is gone when the tab closes. The refresh token is an httpOnly cookie set by the
+// server, sent on refresh and logout requests made with credentials; servers that still return it in
+// the response body have it kept in sessionStorage for this tab only. localStorage holds no secrets,
+// just the session marker ({ userId, sessionId }) that tells a freshly opened tab to try a refresh.
+import axios from 'axios';
+import { getApiUrl, isMockApi, mockApiAdapter } from './config';
+
+/** localStorage key of the session marker; other tabs watch it to notice a sign-out */
+export const AUTH_SESSION_KEY = 'authSession';
+
+/** sessionStorage key of a refresh token returned in a response body */
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+/** localStorage keys used before tokens moved out of localStorage */
+const LEGACY_KEYS = ['token', 'refreshToken', 'user', 'sessionId'];
+
+/** Seconds before its expiry that an access token is replaced, so it cannot run out in flight */
+const EXPIRY_MARGIN_SECONDS = 30;
+
+/**
+ * When a JWT access token expires
+ * @param {string} token - Access token
+ * @returns {number|null} Expiry in milliseconds since the epoch, or null for tokens that are not JWTs
+ *   or carry no `exp` claim
+ * @private
+ */
+const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '=')));
+    return Number.isFinite(exp) ? exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Access and refresh token store with single-flight refresh
+ * Concurrent callers of refresh(), such as several requests failing at once and the socket
+ * reconnecting, share one request to the server.
+ * @class
+ */
+class TokenStorage {
+  constructor() {
+    this.accessToken = null;
+    this.refreshPromise = null;
+  }
+
+  /**
+   * Access token of the current session
+   * @returns {string|null} Token held in memory, or null before sign-in or refresh
+   */
+  getAccessToken() {
+    return this.accessToken;
+  }
+
+  /**
+   * Marker of the session this browser is signed in to
+   * @returns {{userId: (number|string|null), sessionId: (string|null)}|null} Marker, or null when signed out
+   */
+  getSession() {
+    try {
+      return JSON.parse(localStorage.getItem(AUTH_SESSION_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stores the tokens of a sign-in or refresh response
+   * @param {Object} responseData - Response with accessToken and, depending on the server, refreshToken,
+   *   sessionId and user
+   * @param {Object} [options] - Storage options
+   * @param {boolean} [options.signIn] - The response starts a new session, so nothing of an earlier one is kept
+   */
+  setSession({ accessToken, refreshToken, sessionId, user } = {}, { signIn = false } = {}) {
+    if (!accessToken) {
+      throw new Error('No access token received');
+    }
+    this.accessToken = accessToken;
+    if (refreshToken) {
+      sessionStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    } else if (signIn) {
+      sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+    }
+    const previous = (!signIn && this.getSession()) || {};
+    localStorage.setItem(AUTH_SESSION_KEY, JSON.stringify({
+      userId: user?.id ?? previous.userId ?? null,
+      sessionId: sessionId ?? previous.sessionId ?? null
+    }));
+  }
+
+  /**
+   * Forgets every token this tab holds and the session marker
+   * The httpOnly cookie can only be removed by the server, through the logout endpoint.
+   */
+  clear() {
+    this.accessToken = null;
+    sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+    localStorage.removeItem(AUTH_SESSION_KEY);
+    LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+  }
+
+  /**
+   * Refresh token returned in a response body, for servers without cookie support
+   * @returns {string|null} Refresh token, or null when the server keeps it in a cookie
+   */
+  getBodyRefreshToken() {
+    return sessionStorage.getItem(REFRESH_TOKEN_KEY);
+  }
+
+  /**
+   * Moves tokens saved in localStorage by earlier versions into this store
+   * The refresh token carries on in sessionStorage until the server replaces it with a cookie, so
+   * users who were signed in before the upgrade stay signed in.
+   * @returns {Object|null} The user saved alongside the legacy tokens, or null when there were none
+   */
+  migrateLegacyTokens() {
+    const accessToken = localStorage.getItem('token');
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!accessToken && !refreshToken) {
+      return null;
+    }
+
+    let user = null;
+    try {
+      user = JSON.parse(localStorage.getItem('user'));
+    } catch {
+      // A malformed user is fetched again after the refresh
+    }
+    const sessionId = localStorage.getItem('sessionId');
+    LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+
+    if (refreshToken) {
+      sessionStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    }
+    this.accessToken = accessToken;
+    localStorage.setItem(AUTH_SESSION_KEY, JSON.stringify({ userId: user?.id ?? null, sessionId }));
+    return user;
+  }
+
+  /**
+   * Gets a new access token from the refresh-token cookie, or the body refresh token
+   * Only one refresh runs at a time; callers arriving meanwhile receive the same promise.
+   * @returns {Promise<Object>} Refresh response with accessToken and, from servers that send them,
+   *   user and sessionId
+   * @throws {Error} If the session cannot be refreshed. The tokens this tab holds are dropped, but the
+   *   session marker stays: another tab may still be signed in, and only clear() signs out every tab.
+   */
+  refresh() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.requestRefresh().finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  /** @private */
+  async requestRefresh() {
+    const refreshToken = this.getBodyRefreshToken();
+    try {
+      const response = await axios.post(`${getApiUrl()}/auth/refresh`, refreshToken ? { refreshToken } : {}, {
+        withCredentials: true,
+        ...(isMockApi() ? { adapter: mockApiAdapter } : {})
+      });
+      this.setSession(response.data);
+      return response.data;
+    } catch (error) {
+      this.accessToken = null;
+      // A rejected body token is no use again; after a network failure it may still be
+      if (error.response) {
+        sessionStorage.removeItem(REFRESH_TOKEN_KEY);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Access token to send right now, refreshing first when this tab has none yet or it is about to expire
+   * Used by the socket handshake, which runs again on every reconnect. Tokens whose expiry cannot be
+   * read are sent as they are; the server's refusal then triggers a refresh.
+   * @returns {Promise<string|null>} Access token, or null when signed out
+   */
+  async getFreshAccessToken() {
+    const expiry = this.accessToken ? getTokenExpiry(this.accessToken) : null;
+    if (this.accessToken && (expiry === null || expiry - EXPIRY_MARGIN_SECONDS * 1000 > Date.now())) {
+      return this.accessToken;
+    }
+    if (!this.accessToken && !this.getSession()) {
+      return null;
+    }
+    const { accessToken } = await this.refresh();
+    return accessToken;
+  }
+}
+
+export const tokenStorage = new TokenStorage();
+export default tokenStorage;
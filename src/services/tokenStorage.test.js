@@ -0,0 +1,124 @@
+//tokenStorage.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import axios from 'axios';
+import { tokenStorage, AUTH_SESSION_KEY } from './tokenStorage';
+
+vi.mock('axios', () => ({ default: { post: vi.fn() } }));
+
+/** In-memory stand-in for localStorage and sessionStorage */
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+/** Unsigned JWT expiring the given number of seconds from now */
+const jwt = (expiresInSeconds) => {
+  const encode = (value) => btoa(JSON.stringify(value)).replace(/=+$/, '');
+  return `${encode({ alg: 'HS256' })}.${encode({ sub: 1, exp: Math.floor(Date.now() / 1000) + expiresInSeconds })}.signature`;
+};
+
+const signIn = (accessToken) => tokenStorage.setSession({ accessToken, sessionId: 's1', user: { id: 1 } }, { signIn: true });
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', createStorage());
+  vi.stubGlobal('sessionStorage', createStorage());
+  tokenStorage.clear();
+  axios.post.mockReset();
+});
+
+describe('setSession', () => {
+  it('keeps the access token in memory and only the session marker in localStorage', () => {
+    signIn('abc');
+    expect(tokenStorage.getAccessToken()).toBe('abc');
+    expect(JSON.parse(localStorage.getItem(AUTH_SESSION_KEY))).toEqual({ userId: 1, sessionId: 's1' });
+  });
+
+  it('refuses a response without an access token', () => {
+    expect(() => tokenStorage.setSession({})).toThrow('No access token received');
+  });
+});
+
+describe('refresh', () => {
+  it('shares one request between concurrent callers', async () => {
+    signIn('old');
+    let respond;
+    axios.post.mockReturnValue(new Promise(resolve => { respond = resolve; }));
+
+    const first = tokenStorage.refresh();
+    const second = tokenStorage.refresh();
+    expect(second).toBe(first);
+    respond({ data: { accessToken: 'new' } });
+
+    await expect(Promise.all([first, second])).resolves.toEqual([{ accessToken: 'new' }, { accessToken: 'new' }]);
+    expect(axios.post).toHaveBeenCalledTimes(1);
+    expect(tokenStorage.getAccessToken()).toBe('new');
+  });
+
+  it('starts a new request once the last one has settled', async () => {
+    signIn('old');
+    axios.post.mockResolvedValue({ data: { accessToken: 'new' } });
+    await tokenStorage.refresh();
+    await tokenStorage.refresh();
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('drops the tokens of this tab but keeps the session marker when refused', async () => {
+    signIn('old');
+    sessionStorage.setItem('refreshToken', 'body-token');
+    axios.post.mockRejectedValue(Object.assign(new Error('Unauthorized'), { response: { status: 401 } }));
+
+    await expect(tokenStorage.refresh()).rejects.toThrow('Unauthorized');
+    expect(tokenStorage.getAccessToken()).toBeNull();
+    expect(tokenStorage.getBodyRefreshToken()).toBeNull();
+    expect(tokenStorage.getSession()).toEqual({ userId: 1, sessionId: 's1' });
+  });
+
+  it('keeps a body refresh token after a network failure', async () => {
+    signIn('old');
+    sessionStorage.setItem('refreshToken', 'body-token');
+    axios.post.mockRejectedValue(new Error('Network Error'));
+
+    await expect(tokenStorage.refresh()).rejects.toThrow('Network Error');
+    expect(tokenStorage.getBodyRefreshToken()).toBe('body-token');
+  });
+});
+
+describe('getFreshAccessToken', () => {
+  it('returns null when signed out', async () => {
+    await expect(tokenStorage.getFreshAccessToken()).resolves.toBeNull();
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('sends a token that is still valid without refreshing', async () => {
+    const token = jwt(600);
+    signIn(token);
+    await expect(tokenStorage.getFreshAccessToken()).resolves.toBe(token);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('refreshes a token that has expired or is about to', async () => {
+    axios.post.mockResolvedValue({ data: { accessToken: 'renewed' } });
+
+    signIn(jwt(-60));
+    await expect(tokenStorage.getFreshAccessToken()).resolves.toBe('renewed');
+
+    signIn(jwt(10));
+    await expect(tokenStorage.getFreshAccessToken()).resolves.toBe('renewed');
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  it('sends tokens without a readable expiry as they are', async () => {
+    signIn('mock-access.1.s1.abc');
+    await expect(tokenStorage.getFreshAccessToken()).resolves.toBe('mock-access.1.s1.abc');
+  });
+
+  it('refreshes in a new tab that only has the session marker', async () => {
+    localStorage.setItem(AUTH_SESSION_KEY, JSON.stringify({ userId: 1, sessionId: 's1' }));
+    axios.post.mockResolvedValue({ data: { accessToken: 'restored' } });
+    await expect(tokenStorage.getFreshAccessToken()).resolves.toBe('restored');
+  });
+});
@@ -1,20 +1,16 @@
+import { formatCurrency } from './dateUtils';
+import { getSplitLines } from './splitTransactions';
+
 /**
- * Check if a transaction would exceed budget limits
- * Use this function before creating any expense transaction
- * @param {Object} transactionData - Transaction data to check
- * @param {Function} checkBudgetLimit - From useBudgets hook
- * @returns {Promise<Object>} Check result with warnings or errors
+ * Checks one category amount against its budget
+ * @private
  */
-
-export const checkTransactionAgainstBudget = async (transactionData, checkBudgetLimit) => {
-  if (!transactionData || transactionData.type !== 'expense') {
-    return { allowed: true };
-  }
-
+const checkBudgetLine = async (category, baseAmount, date, checkBudgetLimit) => {
   try {
     const result = await checkBudgetLimit(
-      transactionData.category,
-      Math.abs(transactionData.amount)
+      category,
+      baseAmount,
+      date
     );
     
     console.log('Budget check result:', result);
@@ -28,12 +24,12 @@ export const checkTransactionAgainstBudget = async (transactionData, checkBudget
     if (result.allowed === false) {
       return {
         allowed: false,
-        message: result.error || `This expense would exceed your ${transactionData.category} budget`,
+        message: result.error || `This expense would exceed your ${category} budget`,
         details: {
-          budgetCategory: result.budget.category || transactionData.category,
-          budgetLimit: result.budget.limit,
+          budgetCategory: result.budget.category || category,
+          budgetLimit: result.budget.effectiveLimit ?? result.budget.limit,
           currentSpent: result.currentSpent || 0,
-          transactionAmount: Math.abs(transactionData.amount),
+          transactionAmount: baseAmount,
           wouldBeTotal: result.wouldBeTotal,
           overspendAmount: result.overspendAmount,
           suggestion: result.suggestion
@@ -47,9 +43,9 @@ export const checkTransactionAgainstBudget = async (transactionData, checkBudget
         allowed: true,
         warning: result.warning,
         details: {
-          budgetCategory: result.budget.category || transactionData.category,
+          budgetCategory: result.budget.category || category,
           overspendAmount: result.overspendAmount,
-          budgetLimit: result.budget.limit,
+          budgetLimit: result.budget.effectiveLimit ?? result.budget.limit,
           currentSpent: result.currentSpent || 0,
           allowExceed: result.budget.allowExceed || false
         }
@@ -64,6 +60,46 @@ export const checkTransactionAgainstBudget = async (transactionData, checkBudget
   }
 };
 
+/**
+ * Check if a transaction would exceed budget limits
+ * Use this function before creating any expense transaction
+ * Budgets are kept in the base currency, so foreign-currency amounts are converted first.
+ * The expense is checked against the budget period its date falls in.
+ * A split transaction is checked line by line (lines in the same category together); the first
+ * blocked line blocks the whole transaction and warnings from several lines are combined.
+ * @param {Object} transactionData - Transaction data to check
+ * @param {Function} checkBudgetLimit - From useBudgets hook
+ * @param {Function} [convert] - From useCurrency hook; (amount, currency) => base amount
+ * @returns {Promise<Object>} Check result with warnings or errors
+ */
+
+export const checkTransactionAgainstBudget = async (transactionData, checkBudgetLimit, convert) => {
+  if (!transactionData || transactionData.type !== 'expense') {
+    return { allowed: true };
+  }
+
+  const amount = Math.abs(Number(transactionData.amount) || 0);
+  const byCategory = new Map();
+  getSplitLines({ ...transactionData, amount }).forEach(line => {
+    byCategory.set(line.category, (byCategory.get(line.category) || 0) + Math.abs(line.amount));
+  });
+
+  const results = [];
+  for (const [category, lineAmount] of byCategory) {
+    const baseAmount = convert ? convert(lineAmount, transactionData.currency) : lineAmount;
+    results.push(await checkBudgetLine(category, baseAmount, transactionData.date, checkBudgetLimit));
+  }
+
+  const blocked = results.find(result => result.allowed === false);
+  if (blocked) return blocked;
+
+  const warnings = results.filter(result => result.warning);
+  if (warnings.length > 1) {
+    return { ...warnings[0], warning: warnings.map(result => result.warning).join('\n') };
+  }
+  return warnings[0] || results.find(result => result.error) || { allowed: true };
+};
+
 /**
  * Show budget warning alert to user
  * @param {Object} checkResult - Result from checkTransactionAgainstBudget
@@ -87,12 +123,15 @@ export const showBudgetWarning = (checkResult, onProceed, onCancel) => {
 /**
  * Show budget error blocking transaction
  * @param {Object} checkResult - Result from checkTransactionAgainstBudget
+ * @param {string} currency - Base currency the budget amounts are expressed in
  * @returns {Object} Error details or null if allowed
  */
-export const showBudgetError = (checkResult) => {
+export const showBudgetError = (checkResult, currency = 'USD') => {
   if (checkResult.allowed) return null;
+
+  const format = (value) => formatCurrency(Number(value) || 0, currency);
   
-  const errorMessage = `⛔ BUDGET LIMIT EXCEEDED\n\n${checkResult.message}\n\nCategory: ${checkResult.details?.budgetCategory}\nCurrent Spent: $${checkResult.details?.currentSpent?.toFixed(2) || '0.00'}\nBudget Limit: $${checkResult.details?.budgetLimit?.toFixed(2) || '0.00'}\nThis Transaction: $${checkResult.details?.transactionAmount?.toFixed(2) || '0.00'}\nWould Be Total: $${checkResult.details?.wouldBeTotal?.toFixed(2) || '0.00'}\n\n${checkResult.details?.suggestion || 'Please reduce the amount or choose a different category.'}`;
+  const errorMessage = `⛔ BUDGET LIMIT EXCEEDED\n\n${checkResult.message}\n\nCategory: ${checkResult.details?.budgetCategory}\nCurrent Spent: ${format(checkResult.details?.currentSpent)}\nBudget Limit: ${format(checkResult.details?.budgetLimit)}\nThis Transaction: ${format(checkResult.details?.transactionAmount)}\nWould Be Total: ${format(checkResult.details?.wouldBeTotal)}\n\n${checkResult.details?.suggestion || 'Please reduce the amount or choose a different category.'}`;
   
   return {
     blocked: true,
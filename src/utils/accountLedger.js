@@ -0,0 +1,202 @@
+//accountLedger.js
+// Account types, running-balance ledgers, reconciliation and net worth
+// An account's balance is signed: credit cards and loans carry a negative balance while money is owed.
+// A ledger starts at the account's opening balance and adds each transaction's effect on it in date
+// order, so its last running balance should equal the stored balance.
+
+import { getAccountEffect } from './transfers';
+import { getTransactionCurrency } from './currencyUtils';
+import { localStore } from './localStore';
+import { i18n } from '../services/i18n';
+
+/** Account types; liabilities hold money owed rather than money owned */
+export const ACCOUNT_TYPES = [
+  { value: 'checking', label: 'Checking', liability: false },
+  { value: 'savings', label: 'Savings', liability: false },
+  { value: 'credit', label: 'Credit card', liability: true },
+  { value: 'cash', label: 'Cash', liability: false },
+  { value: 'investment', label: 'Investment', liability: false },
+  { value: 'loan', label: 'Loan', liability: true }
+];
+
+/**
+ * Rounds to whole cents
+ * @private
+ */
+const toCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Definition of an account's type, checking for accounts without one
+ * @param {Object} account - Account
+ * @returns {Object} Entry of ACCOUNT_TYPES
+ */
+export const getAccountType = (account) =>
+  ACCOUNT_TYPES.find(type => type.value === account?.type) || ACCOUNT_TYPES[0];
+
+/**
+ * Whether an account holds money owed (credit card or loan)
+ * @param {Object} account - Account
+ * @returns {boolean} True for liabilities
+ */
+export const isLiabilityAccount = (account) => getAccountType(account).liability;
+
+/**
+ * Checks account fields before saving
+ * @param {Object} account - Account with name, type and openingBalance
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAccount = ({ name, type, openingBalance } = {}) => {
+  if (!String(name || '').trim()) return i18n.t('accounts.nameRequired');
+  if (type && !ACCOUNT_TYPES.some(entry => entry.value === type)) return i18n.t('accounts.unknownType');
+  if (openingBalance !== undefined && openingBalance !== '' && isNaN(Number(openingBalance))) {
+    return i18n.t('accounts.openingBalanceInvalid');
+  }
+  return null;
+};
+
+/** Name of the per-user store holding reconciliations when the server does not record them */
+const LOCAL_RECONCILIATIONS_STORE = 'reconciliations';
+
+/**
+ * Reads the reconciliations saved in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {Object} Per account ID: { clearedIds, reconciliations }
+ */
+export const readLocalReconciliations = (userId) => localStore(userId, LOCAL_RECONCILIATIONS_STORE).read({});
+
+/**
+ * Saves the reconciliations in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {Object} reconciliations - Per account ID: { clearedIds, reconciliations }
+ */
+export const saveLocalReconciliations = (userId, reconciliations) => {
+  localStore(userId, LOCAL_RECONCILIATIONS_STORE).write(reconciliations);
+};
+
+/**
+ * Whether a transaction has been cleared in an account's reconciliation
+ * A transfer is cleared separately in its source and destination accounts.
+ * @param {Object} tx - Transaction
+ * @param {number|string} accountId - Account ID
+ * @returns {boolean} True when cleared
+ */
+export const isClearedIn = (tx, accountId) =>
+  (tx.clearedAccountIds || []).some(id => String(id) === String(accountId));
+
+/**
+ * Ledger entries of an account, oldest first, each with the running balance after it
+ * @param {Object} account - Account
+ * @param {Array} transactions - All transactions (in their own currencies)
+ * @param {Object} [options] - Ledger options
+ * @param {Array} [options.accounts] - All accounts, to resolve transaction currencies
+ * @param {Function} [options.convert] - (amount, from, to) currency converter (default: no conversion)
+ * @param {Function} [options.isCleared] - (tx, accountId) cleared check (default: isClearedIn)
+ * @returns {{openingBalance: number, entries: Array, closingBalance: number, unexplained: number}}
+ *   Entries carry transaction, amount (in the account's currency), balance and cleared;
+ *   `unexplained` is the stored balance minus the ledger's closing balance
+ */
+export const buildAccountLedger = (account, transactions, {
+  accounts = [account],
+  convert = amount => amount,
+  isCleared = isClearedIn
+} = {}) => {
+  const accountsById = new Map(accounts.map(acc => [acc.id, acc]));
+  const currency = account.currency;
+
+  const effects = (transactions || [])
+    .map(tx => {
+      const effect = getAccountEffect(tx, account.id);
+      if (effect === 0) return null;
+      // The destination of a cross-currency transfer received an amount in its own currency
+      const txCurrency = tx.toCurrency && String(tx.toAccountId) === String(account.id)
+        ? tx.toCurrency
+        : getTransactionCurrency(tx, accountsById, currency);
+      return { transaction: tx, amount: toCents(currency ? convert(effect, txCurrency, currency) : effect) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.transaction.date) - new Date(b.transaction.date) || a.transaction.id - b.transaction.id);
+
+  const total = effects.reduce((sum, entry) => sum + entry.amount, 0);
+  // Accounts created before opening balances were stored start wherever makes the ledger end at the balance
+  const openingBalance = account.openingBalance !== undefined && account.openingBalance !== null
+    ? toCents(account.openingBalance)
+    : toCents((Number(account.balance) || 0) - total);
+
+  let balance = openingBalance;
+  const entries = effects.map(entry => {
+    balance = toCents(balance + entry.amount);
+    return { ...entry, balance, cleared: isCleared(entry.transaction, account.id) };
+  });
+
+  return {
+    openingBalance,
+    entries,
+    closingBalance: balance,
+    unexplained: toCents((Number(account.balance) || 0) - balance)
+  };
+};
+
+/**
+ * State of a reconciliation against a bank statement
+ * The cleared balance is the opening balance plus every entry already cleared or ticked now.
+ * @param {Object} ledger - Result of buildAccountLedger
+ * @param {Array<number|string>} selectedIds - Transactions ticked in this reconciliation
+ * @param {number|string} statementBalance - Ending balance printed on the statement
+ * @returns {{clearedBalance: number, difference: number, balanced: boolean, selectedTotal: number}} Totals;
+ *   `difference` is what is still unaccounted for (statement minus cleared)
+ */
+export const calculateReconciliation = (ledger, selectedIds, statementBalance) => {
+  const selected = new Set((selectedIds || []).map(String));
+  let clearedBalance = ledger.openingBalance;
+  let selectedTotal = 0;
+  ledger.entries.forEach(entry => {
+    if (entry.cleared) {
+      clearedBalance += entry.amount;
+    } else if (selected.has(String(entry.transaction.id))) {
+      clearedBalance += entry.amount;
+      selectedTotal += entry.amount;
+    }
+  });
+  const difference = toCents((Number(statementBalance) || 0) - clearedBalance);
+  return {
+    clearedBalance: toCents(clearedBalance),
+    selectedTotal: toCents(selectedTotal),
+    difference,
+    balanced: statementBalance !== '' && statementBalance !== null && difference === 0
+  };
+};
+
+/**
+ * Assets, liabilities and net worth in the base currency
+ * Active debts tracked in debt management count as liabilities next to credit card and loan accounts.
+ * @param {Array} accounts - Accounts
+ * @param {Array} [debts] - Debts with a positive balance owed
+ * @param {Function} [convert] - (amount, from) converter to the base currency (default: no conversion)
+ * @returns {{assets: number, liabilities: number, netWorth: number, byType: Object}} Totals, plus the
+ *   balance of each account type
+ */
+export const summarizeNetWorth = (accounts, debts = [], convert = amount => amount) => {
+  const byType = {};
+  let assets = 0;
+  let liabilities = 0;
+
+  (accounts || []).forEach(account => {
+    const balance = convert(Number(account.balance) || 0, account.currency);
+    const type = getAccountType(account).value;
+    byType[type] = toCents((byType[type] || 0) + balance);
+    // Sorted by sign, so an overdrawn checking account is a liability and a card in credit an asset
+    if (balance >= 0) assets += balance;
+    else liabilities += -balance;
+  });
+
+  (debts || [])
+    .filter(debt => debt.isActive !== false)
+    .forEach(debt => { liabilities += Math.max(0, Number(debt.balance) || 0); });
+
+  return {
+    assets: toCents(assets),
+    liabilities: toCents(liabilities),
+    netWorth: toCents(assets - liabilities),
+    byType
+  };
+};
@@ -0,0 +1,270 @@
+//budgetHistory.js
+// Snapshots of closed budget periods and the performance reports built from them
+// A snapshot freezes a period's limit, rollover and spending when the period closes, so later
+// limit changes or resets do not rewrite history.
+
+import {
+  calculateRollover,
+  getBudgetPeriods,
+  getPreviousBudgetPeriod,
+  isDateInPeriod
+} from './budgetPeriods';
+import { getMonthKey, shiftMonth } from './envelopeBudget';
+import { i18n } from '../services/i18n';
+import { expandSplitTransactions } from './splitTransactions';
+import { localStore } from './localStore';
+
+/** Most closed periods filled in from past transactions when a budget has no history yet */
+export const MAX_BACKFILL_PERIODS = 24;
+
+/** Closed periods used when suggesting a new limit */
+const SUGGESTION_WINDOW = 6;
+
+/** Fewest closed periods needed before a limit change is suggested */
+const MIN_PERIODS_FOR_SUGGESTION = 3;
+
+/**
+ * Rounds to whole cents
+ * @private
+ */
+const toCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Rounds up to the next multiple of ten
+ * @private
+ */
+const roundUpToTen = (value) => Math.ceil(value / 10) * 10;
+
+/** Name of the per-user store holding budget snapshots when the server does not store them */
+const LOCAL_BUDGET_HISTORY_STORE = 'budgetHistory';
+
+/**
+ * Reads the budget snapshots saved in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {Array} Snapshots
+ */
+export const readLocalBudgetHistory = (userId) => localStore(userId, LOCAL_BUDGET_HISTORY_STORE).read([]);
+
+/**
+ * Saves the budget snapshots in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {Array} snapshots - Snapshots
+ */
+export const saveLocalBudgetHistory = (userId, snapshots) => {
+  localStore(userId, LOCAL_BUDGET_HISTORY_STORE).write(snapshots);
+};
+
+/**
+ * Snapshots for every period of a budget that has closed since its last snapshot
+ * A budget without snapshots is filled in from its first matching expense, up to MAX_BACKFILL_PERIODS
+ * periods back; periods from before the budget existed are marked `backfilled` and carry no rollover.
+ * @param {Object} budget - Budget
+ * @param {Array} transactions - Transactions to count
+ * @param {Array} snapshots - Existing snapshots (any budget)
+ * @param {Object} [options] - Snapshot options
+ * @param {Array<string>} [options.family] - Categories the budget covers (default: its own category)
+ * @param {Function} [options.getAmount] - Amount of an expense in the budget's currency (default: absolute amount)
+ * @param {Date|string} [options.asOf] - Current date (default: now)
+ * @returns {Array} New snapshots, oldest first
+ */
+export const snapshotClosedPeriods = (budget, transactions, snapshots, {
+  family = [budget.category],
+  getAmount = tx => Math.abs(Number(tx.amount) || 0),
+  asOf = new Date()
+} = {}) => {
+  const lastClosed = getPreviousBudgetPeriod(budget, asOf);
+  const own = (snapshots || [])
+    .filter(snapshot => String(snapshot.budgetId) === String(budget.id))
+    .sort((a, b) => new Date(a.periodEnd) - new Date(b.periodEnd));
+  const latest = own[own.length - 1];
+
+  const expenses = expandSplitTransactions(transactions)
+    .filter(tx => tx.type === 'expense' && family.includes(tx.category));
+  let from;
+  if (latest) {
+    from = new Date(new Date(latest.periodEnd).getTime() + 1);
+  } else {
+    const firstExpense = expenses.reduce((earliest, tx) =>
+      (!earliest || new Date(tx.date) < earliest ? new Date(tx.date) : earliest), null);
+    from = firstExpense || new Date(budget.createdAt || asOf);
+  }
+  if (from > lastClosed.end) return [];
+
+  const periods = getBudgetPeriods(budget, from, lastClosed.end)
+    .filter(period => !latest || period.start > new Date(latest.periodEnd))
+    .slice(latest ? 0 : -MAX_BACKFILL_PERIODS);
+
+  if (periods.length === 0) return [];
+
+  const spentIn = (window) => toCents(expenses
+    .filter(tx => isDateInPeriod(tx.date, window))
+    .reduce((sum, tx) => sum + getAmount(tx), 0));
+  const createdAt = budget.createdAt ? new Date(budget.createdAt) : null;
+  const before = getPreviousBudgetPeriod(budget, periods[0].start);
+  let previous = latest
+    ? { end: new Date(latest.periodEnd), spent: latest.spent }
+    : { end: before.end, spent: spentIn(before) };
+
+  return periods.map(period => {
+    const spent = spentIn(period);
+    // Same rule as the live window: rollover only comes from a period the budget existed in
+    const rollover = (!createdAt || createdAt <= previous.end)
+      ? calculateRollover(budget, previous.spent).rollover
+      : 0;
+    const limit = toCents(budget.limit);
+    const effectiveLimit = toCents(limit + rollover);
+    previous = { end: period.end, spent };
+
+    return {
+      budgetId: budget.id,
+      category: budget.category,
+      period: budget.period || 'monthly',
+      periodStart: period.start.toISOString(),
+      periodEnd: period.end.toISOString(),
+      label: period.label,
+      limit,
+      rollover,
+      effectiveLimit,
+      spent,
+      difference: toCents(effectiveLimit - spent),
+      status: spent > effectiveLimit ? 'over' : 'under',
+      backfilled: Boolean(createdAt && period.end < createdAt)
+    };
+  });
+};
+
+/**
+ * Limit change suggested by a budget's recent history
+ * Suggests raising the limit when at least half of the recent periods went over, and lowering it
+ * when every recent period used less than 70% of it.
+ * @param {Object} budget - Budget
+ * @param {Array} snapshots - The budget's snapshots
+ * @returns {{suggestedLimit: number, direction: 'raise'|'lower', reason: string}|null} Suggestion
+ */
+export const suggestLimitAdjustment = (budget, snapshots) => {
+  const recent = [...snapshots]
+    .sort((a, b) => new Date(a.periodEnd) - new Date(b.periodEnd))
+    .slice(-SUGGESTION_WINDOW);
+  if (recent.length < MIN_PERIODS_FOR_SUGGESTION) return null;
+
+  const limit = Number(budget.limit) || 0;
+  const spending = recent.map(snapshot => snapshot.spent).sort((a, b) => a - b);
+  const overCount = recent.filter(snapshot => snapshot.status === 'over').length;
+
+  if (overCount / recent.length >= 0.5) {
+    // Third quartile of recent spending, so one unusual period does not set the limit
+    const typical = spending[Math.min(spending.length - 1, Math.floor(spending.length * 0.75))];
+    const suggestedLimit = roundUpToTen(typical);
+    if (suggestedLimit > limit) {
+      return {
+        suggestedLimit,
+        direction: 'raise',
+        reason: i18n.t('budgetPerformance.raiseReason', { over: overCount, count: recent.length })
+      };
+    }
+  }
+
+  const highest = spending[spending.length - 1];
+  if (limit > 0 && recent.every(snapshot => snapshot.spent < limit * 0.7)) {
+    const suggestedLimit = roundUpToTen(highest * 1.1);
+    if (suggestedLimit < limit) {
+      return {
+        suggestedLimit,
+        direction: 'lower',
+        reason: i18n.t('budgetPerformance.lowerReason', { count: recent.length })
+      };
+    }
+  }
+  return null;
+};
+
+/**
+ * Adherence statistics per budget
+ * @param {Array} snapshots - Snapshots of all budgets
+ * @param {Array} budgets - Current budgets
+ * @returns {Array<Object>} One entry per budget with history: periods, overCount, adherenceRate,
+ *   currentStreak, bestStreak, averageOverspend, averageSpent, averageUtilization and suggestion
+ */
+export const summarizeBudgetPerformance = (snapshots, budgets) =>
+  (budgets || [])
+    .map(budget => {
+      const history = (snapshots || [])
+        .filter(snapshot => String(snapshot.budgetId) === String(budget.id))
+        .sort((a, b) => new Date(a.periodEnd) - new Date(b.periodEnd));
+      if (history.length === 0) return null;
+
+      const over = history.filter(snapshot => snapshot.status === 'over');
+      // Periods in a row within the limit, counting back from the latest and over the whole history
+      let currentStreak = 0;
+      let bestStreak = 0;
+      history.forEach(snapshot => {
+        currentStreak = snapshot.status === 'under' ? currentStreak + 1 : 0;
+        bestStreak = Math.max(bestStreak, currentStreak);
+      });
+
+      const utilization = history
+        .filter(snapshot => snapshot.effectiveLimit > 0)
+        .map(snapshot => snapshot.spent / snapshot.effectiveLimit);
+
+      return {
+        budgetId: budget.id,
+        category: budget.category,
+        name: budget.name || budget.category,
+        periods: history.length,
+        overCount: over.length,
+        adherenceRate: (history.length - over.length) / history.length,
+        currentStreak,
+        bestStreak,
+        averageOverspend: over.length
+          ? toCents(over.reduce((sum, snapshot) => sum - snapshot.difference, 0) / over.length)
+          : 0,
+        averageSpent: toCents(history.reduce((sum, snapshot) => sum + snapshot.spent, 0) / history.length),
+        averageUtilization: utilization.length
+          ? utilization.reduce((sum, value) => sum + value, 0) / utilization.length
+          : 0,
+        lastSnapshot: history[history.length - 1],
+        suggestion: suggestLimitAdjustment(budget, history)
+      };
+    })
+    .filter(Boolean);
+
+/**
+ * Month-by-category grid of budget use for a heatmap
+ * A period belongs to the month it ends in; with several periods in a month (weekly budgets)
+ * the cell shows the fullest one.
+ * @param {Array} snapshots - Snapshots of all budgets
+ * @param {Object} [options] - Grid options
+ * @param {number} [options.months=12] - Months shown, ending with the latest closed one
+ * @param {Date|string} [options.asOf] - Current date (default: now)
+ * @returns {{months: Array<string>, rows: Array<{category: string, cells: Array}>}} Months as YYYY-MM and
+ *   one row per category, each cell with utilization (spent / limit, or null without data) and overCount
+ */
+export const buildOverspendHeatmap = (snapshots, { months = 12, asOf = new Date() } = {}) => {
+  const lastMonth = shiftMonth(getMonthKey(asOf), -1);
+  const monthKeys = Array.from({ length: months }, (_, index) => shiftMonth(lastMonth, index - months + 1));
+
+  const byCategory = new Map();
+  (snapshots || []).forEach(snapshot => {
+    const month = getMonthKey(snapshot.periodEnd);
+    if (!monthKeys.includes(month)) return;
+    if (!byCategory.has(snapshot.category)) byCategory.set(snapshot.category, {});
+    const cells = byCategory.get(snapshot.category);
+    const utilization = snapshot.effectiveLimit > 0 ? snapshot.spent / snapshot.effectiveLimit : null;
+    const cell = cells[month] || { utilization: null, overCount: 0, periods: 0 };
+    cells[month] = {
+      utilization: utilization === null ? cell.utilization : Math.max(cell.utilization ?? 0, utilization),
+      overCount: cell.overCount + (snapshot.status === 'over' ? 1 : 0),
+      periods: cell.periods + 1
+    };
+  });
+
+  return {
+    months: monthKeys,
+    rows: [...byCategory.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([category, cells]) => ({
+        category,
+        cells: monthKeys.map(month => ({ month, ...(cells[month] || { utilization: null, overCount: 0, periods: 0 }) }))
+      }))
+  };
+};
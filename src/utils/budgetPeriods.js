@@ -0,0 +1,205 @@
+//budgetPeriods.js
+// Spending windows for budgets
+// A budget's `period` picks the cycle and the optional `periodAnchor` lines it up with a pay date,
+// so progress, limit checks, rollover and alerts all count the same transactions.
+
+import { getFinancialPeriods, getPeriodContaining, getPeriodLabel } from './calendarUtils';
+import { parseLocalDate } from './dateUtils';
+import { expandSplitTransactions } from './splitTransactions';
+
+/** Budget periods with display labels, the calendar period type they map to and cycles per year */
+export const BUDGET_PERIODS = {
+  weekly: { label: 'Weekly', type: 'week', perYear: 52 },
+  biweekly: { label: 'Every two weeks', type: 'biweek', perYear: 26 },
+  semimonthly: { label: 'Twice a month', type: 'semimonth', perYear: 24 },
+  monthly: { label: 'Monthly', type: 'month', perYear: 12 },
+  quarterly: { label: 'Quarterly', type: 'quarter', perYear: 4 },
+  yearly: { label: 'Yearly', type: 'year', perYear: 1 },
+  custom: { label: 'Custom cycle', type: 'days', perYear: null }
+};
+
+/** Length of a new custom cycle, in days */
+export const DEFAULT_CUSTOM_PERIOD_DAYS = 28;
+
+/** Share of unused budget carried over by partial rollover when no percentage is set */
+const DEFAULT_PARTIAL_ROLLOVER_PERCENT = 50;
+
+/**
+ * Rounds to whole cents
+ * @private
+ */
+const toCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Alignment options for a budget's calendar periods
+ * Two-weekly and custom cycles without a pay date count from the day the budget was created.
+ * @private
+ */
+const getPeriodOptions = (budget) => {
+  const period = BUDGET_PERIODS[budget.period] ? budget.period : 'monthly';
+  const needsAnchor = period === 'custom' || period === 'biweekly';
+  return {
+    anchor: budget.periodAnchor || (needsAnchor ? budget.createdAt || undefined : undefined),
+    lengthDays: Number(budget.periodLengthDays) || DEFAULT_CUSTOM_PERIOD_DAYS
+  };
+};
+
+/**
+ * Checks the period fields of a budget before it is saved
+ * @param {Object} budget - Budget fields (period, periodAnchor, periodLengthDays)
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateBudgetPeriod = (budget) => {
+  if (!BUDGET_PERIODS[budget.period || 'monthly']) return 'Unknown budget period';
+  if (budget.periodAnchor && isNaN(parseLocalDate(budget.periodAnchor).getTime())) return 'Cycle start date is not a valid date';
+  if (budget.period === 'custom') {
+    const days = Number(budget.periodLengthDays);
+    if (!Number.isInteger(days) || days < 1 || days > 366) return 'Custom cycles must be 1 to 366 days long';
+    if (!budget.periodAnchor) return 'Custom cycles need a start date';
+  }
+  return null;
+};
+
+/**
+ * The budget period containing a date
+ * @param {Object} budget - Budget with period, periodAnchor and periodLengthDays
+ * @param {Date|string} [asOf] - Date inside the period (default: now)
+ * @returns {{start: Date, end: Date, key: string, label: string}} Period window, both ends inclusive
+ */
+export const getBudgetPeriod = (budget, asOf = new Date()) => {
+  const { type } = BUDGET_PERIODS[budget.period] || BUDGET_PERIODS.monthly;
+  const { start, end } = getPeriodContaining(asOf, type, getPeriodOptions(budget));
+  return {
+    start,
+    end,
+    key: `${budget.period || 'monthly'}_${start.toISOString()}`,
+    label: getPeriodLabel(start, type, end)
+  };
+};
+
+/**
+ * The budget period before the one containing a date
+ * @param {Object} budget - Budget
+ * @param {Date|string} [asOf] - Date inside the later period (default: now)
+ * @returns {{start: Date, end: Date, key: string, label: string}} Previous period window
+ */
+export const getPreviousBudgetPeriod = (budget, asOf = new Date()) =>
+  getBudgetPeriod(budget, new Date(getBudgetPeriod(budget, asOf).start.getTime() - 1));
+
+/**
+ * All budget periods overlapping a date range, aligned the same way as getBudgetPeriod
+ * @param {Object} budget - Budget
+ * @param {Date|string} from - Range start
+ * @param {Date|string} to - Range end
+ * @returns {Array<{start: Date, end: Date, key: string, label: string}>} Periods, oldest first
+ */
+export const getBudgetPeriods = (budget, from, to) => {
+  const first = getBudgetPeriod(budget, from);
+  const { type } = BUDGET_PERIODS[budget.period] || BUDGET_PERIODS.monthly;
+  const options = getPeriodOptions(budget);
+  // Anchoring on the first period's start keeps it whole instead of cut at `from`
+  return getFinancialPeriods(first.start, to, type, { ...options, anchor: options.anchor || first.start })
+    .map(period => ({ ...period, key: `${budget.period || 'monthly'}_${period.start.toISOString()}` }));
+};
+
+/**
+ * Whether a date falls inside a period
+ * @param {Date|string} date - Date to test; date-only strings are local dates
+ * @param {{start: Date, end: Date}} period - Period window
+ * @returns {boolean} True when inside, ends included
+ */
+export const isDateInPeriod = (date, period) => {
+  const time = parseLocalDate(date).getTime();
+  return time >= period.start.getTime() && time <= period.end.getTime();
+};
+
+/**
+ * A budget amount expressed per month, for comparing budgets on different cycles
+ * @param {Object} budget - Budget
+ * @param {number} [amount] - Amount per budget period (default: the budget's limit)
+ * @returns {number} Monthly equivalent
+ */
+export const toMonthlyAmount = (budget, amount = budget.limit) => {
+  const period = BUDGET_PERIODS[budget.period] || BUDGET_PERIODS.monthly;
+  const perYear = period.perYear ?? 365.25 / (Number(budget.periodLengthDays) || DEFAULT_CUSTOM_PERIOD_DAYS);
+  return ((Number(amount) || 0) * perYear) / 12;
+};
+
+/**
+ * Amount carried into the next period under the budget's rollover policy
+ * Partial rollover keeps `rolloverAmount` percent of the unused amount; capped rollover keeps
+ * up to `rolloverAmount` (a quarter of the limit when unset).
+ * @param {Object} budget - Budget with limit, rolloverType and rolloverAmount
+ * @param {number} spent - Amount spent in the period that ended
+ * @returns {{unusedAmount: number, rollover: number}} Unused amount and the part carried over
+ */
+export const calculateRollover = (budget, spent) => {
+  const limit = Number(budget.limit) || 0;
+  const unusedAmount = toCents(Math.max(0, limit - (Number(spent) || 0)));
+  const setting = Number(budget.rolloverAmount) || 0;
+  const rollover = {
+    full: unusedAmount,
+    partial: unusedAmount * (setting || DEFAULT_PARTIAL_ROLLOVER_PERCENT) / 100,
+    capped: Math.min(unusedAmount, setting || limit * 0.25)
+  }[budget.rolloverType] || 0;
+  return { unusedAmount, rollover: toCents(rollover) };
+};
+
+/**
+ * Spending and limit for the budget period containing a date
+ * Rollover comes from the period before only, and only if the budget already existed then.
+ * Split transactions count only their lines in the budget's categories.
+ * @param {Object} budget - Budget
+ * @param {Array} transactions - Transactions to count
+ * @param {Object} [options] - Window options
+ * @param {Array<string>} [options.family] - Categories the budget covers (default: its own category)
+ * @param {Date|string} [options.asOf] - Date inside the period (default: now)
+ * @param {Function} [options.getAmount] - Amount of an expense in the budget's currency (default: absolute amount)
+ * @returns {Object} Period, previous period, spent, previousSpent, rollover, effectiveLimit and daysLeft
+ */
+export const summarizeBudgetWindow = (budget, transactions, {
+  family = [budget.category],
+  asOf = new Date(),
+  getAmount = tx => Math.abs(Number(tx.amount) || 0)
+} = {}) => {
+  const period = getBudgetPeriod(budget, asOf);
+  const previousPeriod = getPreviousBudgetPeriod(budget, asOf);
+  const expenses = expandSplitTransactions(transactions)
+    .filter(tx => tx.type === 'expense' && family.includes(tx.category));
+  const spentIn = (window) => toCents(expenses
+    .filter(tx => isDateInPeriod(tx.date, window))
+    .reduce((sum, tx) => sum + getAmount(tx), 0));
+
+  const spent = spentIn(period);
+  const previousSpent = spentIn(previousPeriod);
+  const existedBefore = !budget.createdAt || new Date(budget.createdAt) <= previousPeriod.end;
+  const rollover = existedBefore ? calculateRollover(budget, previousSpent).rollover : 0;
+  const today = new Date(asOf);
+  const daysLeft = Math.max(0, Math.ceil((period.end - today) / (1000 * 60 * 60 * 24)));
+
+  return {
+    period,
+    previousPeriod,
+    spent,
+    previousSpent,
+    rollover,
+    effectiveLimit: toCents((Number(budget.limit) || 0) + rollover),
+    daysLeft
+  };
+};
+
+/**
+ * Short description of a budget's cycle, e.g. "Every two weeks from Mar 7"
+ * @param {Object} budget - Budget
+ * @param {Function} [formatDate] - Date formatter (default: toLocaleDateString)
+ * @returns {string} Description
+ */
+export const describeBudgetPeriod = (budget, formatDate = (date) => date.toLocaleDateString()) => {
+  const period = BUDGET_PERIODS[budget.period] || BUDGET_PERIODS.monthly;
+  const anchor = budget.periodAnchor ? parseLocalDate(budget.periodAnchor) : null;
+  if (budget.period === 'custom') {
+    const every = `Every ${budget.periodLengthDays || DEFAULT_CUSTOM_PERIOD_DAYS} days`;
+    return anchor ? `${every} from ${formatDate(anchor)}` : every;
+  }
+  return anchor ? `${period.label} from ${formatDate(anchor)}` : period.label;
+};
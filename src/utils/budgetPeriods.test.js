@@ -0,0 +1,94 @@
+//budgetPeriods.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import {
+  validateBudgetPeriod,
+  getBudgetPeriod,
+  getPreviousBudgetPeriod,
+  getBudgetPeriods,
+  isDateInPeriod,
+  toMonthlyAmount,
+  calculateRollover,
+  summarizeBudgetWindow,
+  describeBudgetPeriod
+} from './budgetPeriods';
+
+/** Local calendar date of a Date, for comparing periods across time zones */
+const day = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// Date inputs give anchors as 'YYYY-MM-DD'; the periods must start on that local day in every zone
+describe.each(['America/New_York', 'UTC', 'Asia/Tokyo'])('in %s', (timeZone) => {
+  const originalTimeZone = process.env.TZ;
+  beforeAll(() => {
+    process.env.TZ = timeZone;
+  });
+  afterAll(() => {
+    process.env.TZ = originalTimeZone;
+  });
+
+  it('starts pay-date months on the anchor day', () => {
+    const budget = { period: 'monthly', periodAnchor: '2024-03-25' };
+    const period = getBudgetPeriod(budget, new Date(2024, 3, 10));
+    expect(day(period.start)).toBe('2024-03-25');
+    expect(day(period.end)).toBe('2024-04-24');
+    expect(period.end.getHours()).toBe(23);
+  });
+
+  it('repeats custom cycles from the anchor day', () => {
+    const budget = { period: 'custom', periodAnchor: '2024-01-05', periodLengthDays: 14 };
+    const period = getBudgetPeriod(budget, '2024-02-02');
+    expect(day(period.start)).toBe('2024-02-02');
+    expect(day(period.end)).toBe('2024-02-15');
+    expect(day(getPreviousBudgetPeriod(budget, '2024-02-02').start)).toBe('2024-01-19');
+  });
+
+  it('counts a transaction on the first day in the new period', () => {
+    const budget = { period: 'monthly', periodAnchor: '2024-03-25', category: 'Food', limit: 100 };
+    const transactions = [
+      { type: 'expense', category: 'Food', amount: 30, date: '2024-03-25' },
+      { type: 'expense', category: 'Food', amount: 20, date: '2024-03-24' }
+    ];
+    const window = summarizeBudgetWindow(budget, transactions, { asOf: new Date(2024, 2, 26) });
+    expect(window.spent).toBe(30);
+    expect(window.previousSpent).toBe(20);
+    expect(isDateInPeriod('2024-03-25', window.period)).toBe(true);
+  });
+
+  it('describes the anchor as the local day', () => {
+    expect(describeBudgetPeriod({ period: 'biweekly', periodAnchor: '2024-03-07' }, day))
+      .toBe('Every two weeks from 2024-03-07');
+  });
+});
+
+describe('validateBudgetPeriod', () => {
+  it('needs a start date and a sensible length for custom cycles', () => {
+    expect(validateBudgetPeriod({ period: 'monthly' })).toBeNull();
+    expect(validateBudgetPeriod({ period: 'fortnightly' })).toBe('Unknown budget period');
+    expect(validateBudgetPeriod({ period: 'custom', periodLengthDays: 10 })).toBe('Custom cycles need a start date');
+    expect(validateBudgetPeriod({ period: 'custom', periodLengthDays: 0, periodAnchor: '2024-01-01' })).toMatch(/1 to 366/);
+    expect(validateBudgetPeriod({ period: 'weekly', periodAnchor: 'soon' })).toMatch(/not a valid date/);
+  });
+});
+
+describe('getBudgetPeriods', () => {
+  it('keeps the first period whole and covers the range', () => {
+    const periods = getBudgetPeriods({ period: 'semimonthly', periodAnchor: '2024-01-10' }, new Date(2024, 0, 20), new Date(2024, 1, 20));
+    expect(periods.map(period => day(period.start))).toEqual(['2024-01-10', '2024-01-25', '2024-02-10']);
+  });
+});
+
+describe('toMonthlyAmount', () => {
+  it('scales by cycles per year', () => {
+    expect(toMonthlyAmount({ period: 'weekly', limit: 100 })).toBeCloseTo(433.33, 2);
+    expect(toMonthlyAmount({ period: 'yearly', limit: 1200 })).toBe(100);
+  });
+});
+
+describe('calculateRollover', () => {
+  it('applies the rollover policy to the unused amount', () => {
+    expect(calculateRollover({ limit: 500, rolloverType: 'full' }, 300)).toEqual({ unusedAmount: 200, rollover: 200 });
+    expect(calculateRollover({ limit: 500, rolloverType: 'partial' }, 300).rollover).toBe(100);
+    expect(calculateRollover({ limit: 500, rolloverType: 'capped', rolloverAmount: 50 }, 300).rollover).toBe(50);
+    expect(calculateRollover({ limit: 500, rolloverType: 'none' }, 600)).toEqual({ unusedAmount: 0, rollover: 0 });
+  });
+});
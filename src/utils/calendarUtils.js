@@ -8,17 +8,20 @@ import {
   getShortMonthName,
   getWeekdayName,
   getShortWeekdayName,
-  generateDateRange
+  generateDateRange,
+  parseLocalDate
 } from './dateUtils';
+import { i18n } from '../services/i18n';
 
 /**
  * Generates a calendar month structure with days from previous, current, and next months
  * @param {number} year - The year for the calendar
  * @param {number} month - The month index (0-11)
+ * @param {number} [firstDayOfWeek] - Weekday the grid starts on (0 = Sunday), defaults to the user's setting
  * @returns {Object} Calendar object with month info, days, and weeks
- * @throws {Error} If year or month is invalid
+ * @throws {Error} If year, month or firstDayOfWeek is invalid
  */
-export const generateCalendarMonth = (year, month) => {
+export const generateCalendarMonth = (year, month, firstDayOfWeek = i18n.getFirstDayOfWeek()) => {
   // Validate inputs
   if (typeof year !== 'number' || year < 0 || year > 9999) {
     throw new Error('Invalid year parameter');
@@ -26,6 +29,9 @@ export const generateCalendarMonth = (year, month) => {
   if (typeof month !== 'number' || month < 0 || month > 11) {
     throw new Error('Invalid month parameter (must be 0-11)');
   }
+  if (!Number.isInteger(firstDayOfWeek) || firstDayOfWeek < 0 || firstDayOfWeek > 6) {
+    throw new Error('Invalid firstDayOfWeek parameter (must be 0-6)');
+  }
 
   try {
     const startOfMonth = getStartOfMonth(new Date(year, month));
@@ -33,7 +39,7 @@ export const generateCalendarMonth = (year, month) => {
     const daysInMonth = getDaysInMonth(year, month);
     const firstDayOfMonth = startOfMonth.getDay(); // 0 = Sunday, 1 = Monday, etc.
     
-    const daysFromPrevMonth = firstDayOfMonth;
+    const daysFromPrevMonth = (firstDayOfMonth - firstDayOfWeek + 7) % 7;
     const totalCells = 42; // 6 weeks * 7 days
     const daysFromNextMonth = totalCells - daysInMonth - daysFromPrevMonth;
 
@@ -42,6 +48,7 @@ export const generateCalendarMonth = (year, month) => {
       month,
       monthName: getMonthName(month),
       shortMonthName: getShortMonthName(month),
+      firstDayOfWeek,
       weeks: [],
       days: []
     };
@@ -251,17 +258,18 @@ export const getMonthNavigation = (currentYear, currentMonth) => {
 };
 
 /**
- * Returns weekday headers for calendar display
+ * Returns weekday headers for calendar display, in the active language
  * @param {string} format - 'short' for abbreviated names, otherwise full names
+ * @param {number} [firstDayOfWeek] - Weekday to start from (0 = Sunday), defaults to the user's setting
  * @returns {string[]} Array of weekday names
  */
-export const getWeekdayHeaders = (format = 'short') => {
+export const getWeekdayHeaders = (format = 'short', firstDayOfWeek = i18n.getFirstDayOfWeek()) => {
   try {
     const weekdays = [];
     const getWeekdayFn = format === 'short' ? getShortWeekdayName : getWeekdayName;
     
     for (let i = 0; i < 7; i++) {
-      weekdays.push(getWeekdayFn(i));
+      weekdays.push(getWeekdayFn((firstDayOfWeek + i) % 7));
     }
     
     return weekdays;
@@ -271,67 +279,172 @@ export const getWeekdayHeaders = (format = 'short') => {
   }
 };
 
+/** Period types understood by getPeriodContaining and getFinancialPeriods */
+export const FINANCIAL_PERIOD_TYPES = ['week', 'biweek', 'semimonth', 'month', 'quarter', 'year', 'days'];
+
+/** Length in days of the fixed-length period types */
+const PERIOD_LENGTH_DAYS = { week: 7, biweek: 14 };
+
+/** Months covered by the calendar-based period types */
+const PERIOD_LENGTH_MONTHS = { month: 1, quarter: 3, year: 12 };
+
+/** Upper bound on periods generated in one call */
+const MAX_PERIODS = 5000;
+
+/**
+ * Day count since the epoch, immune to daylight-saving shifts
+ * @private
+ */
+const toDayNumber = (date) => Math.round(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / 86400000);
+
+/**
+ * Midnight at the start of a date; date-only strings are local dates
+ * @private
+ */
+const startOfDay = (date) => {
+  const result = parseLocalDate(date);
+  result.setHours(0, 0, 0, 0);
+  return result;
+};
+
 /**
- * Generates financial periods (weeks, months, quarters) between two dates
+ * Last millisecond of the day before a date
+ * @private
+ */
+const endOfPreviousDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1, 23, 59, 59, 999);
+
+/**
+ * A day of a month, moved back to the month's last day when the month is shorter (e.g. the 31st in April)
+ * @private
+ */
+const clampedDate = (year, month, day) => {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, lastDay));
+};
+
+/**
+ * Local YYYY-MM-DD key for a date
+ * @private
+ */
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Finds the period of a given type that contains a date
+ * Periods are aligned to `anchor` when given: weekly, two-weekly and custom-length periods start on
+ * the anchor date and repeat from there (in both directions), monthly, quarterly and yearly periods
+ * start on the anchor's day of the month (e.g. a pay date on the 25th gives 25th-24th months), and
+ * twice-monthly periods start on the anchor's day and fifteen days later.
+ * Without an anchor, weeks start on the user's first day of the week, two-week periods count from the
+ * first week of 2024, and the calendar-based types start on the 1st (quarters in Jan/Apr/Jul/Oct).
+ * @param {Date|string} date - Date inside the period
+ * @param {string} periodType - One of FINANCIAL_PERIOD_TYPES
+ * @param {Object} [options] - Alignment options
+ * @param {Date|string} [options.anchor] - Date a period starts on
+ * @param {number} [options.lengthDays] - Length of 'days' periods (required for that type)
+ * @param {number} [options.firstDayOfWeek] - Weekday unanchored weeks start on (0 = Sunday)
+ * @returns {{start: Date, end: Date}} Period from the start of its first day to the end of its last day
+ * @throws {Error} If the period type or options are invalid
+ */
+export const getPeriodContaining = (date, periodType, { anchor, lengthDays, firstDayOfWeek = i18n.getFirstDayOfWeek() } = {}) => {
+  if (!FINANCIAL_PERIOD_TYPES.includes(periodType)) {
+    throw new Error(`Invalid period type. Must be one of: ${FINANCIAL_PERIOD_TYPES.join(', ')}`);
+  }
+  const day = startOfDay(date);
+  if (isNaN(day.getTime())) {
+    throw new Error('Invalid date');
+  }
+  const anchorDay = anchor ? startOfDay(anchor) : null;
+  if (anchorDay && isNaN(anchorDay.getTime())) {
+    throw new Error('Invalid anchor date');
+  }
+
+  // Fixed-length periods repeat every N days from a reference start
+  if (periodType === 'week' || periodType === 'biweek' || periodType === 'days') {
+    const length = periodType === 'days' ? Math.floor(Number(lengthDays)) : PERIOD_LENGTH_DAYS[periodType];
+    if (!(length > 0)) {
+      throw new Error('Custom periods need a length of at least one day');
+    }
+    let reference = anchorDay;
+    if (!reference) {
+      if (periodType === 'days') {
+        throw new Error('Custom periods need an anchor date');
+      }
+      const base = periodType === 'week' ? day : new Date(2024, 0, 1);
+      reference = new Date(base.getFullYear(), base.getMonth(), base.getDate() - ((base.getDay() - firstDayOfWeek + 7) % 7));
+    }
+    const index = Math.floor((toDayNumber(day) - toDayNumber(reference)) / length);
+    const start = new Date(reference.getFullYear(), reference.getMonth(), reference.getDate() + index * length);
+    const next = new Date(start.getFullYear(), start.getMonth(), start.getDate() + length);
+    return { start, end: endOfPreviousDay(next) };
+  }
+
+  // Twice a month: on the anchor's day (1-15) and fifteen days later
+  if (periodType === 'semimonth') {
+    const firstDay = anchorDay ? ((anchorDay.getDate() - 1) % 15) + 1 : 1;
+    const startsAround = [-1, 0, 1].flatMap(offset => [
+      clampedDate(day.getFullYear(), day.getMonth() + offset, firstDay),
+      clampedDate(day.getFullYear(), day.getMonth() + offset, firstDay + 15)
+    ]);
+    const index = startsAround.findLastIndex(start => start <= day);
+    return { start: startsAround[index], end: endOfPreviousDay(startsAround[index + 1]) };
+  }
+
+  // Calendar-based periods on the anchor's day of the month
+  const step = PERIOD_LENGTH_MONTHS[periodType];
+  const dayOfMonth = anchorDay ? anchorDay.getDate() : 1;
+  const anchorMonth = anchorDay ? anchorDay.getMonth() : 0;
+  let monthIndex = day.getFullYear() * 12 + day.getMonth();
+  monthIndex -= (((monthIndex - anchorMonth) % step) + step) % step;
+  let start = clampedDate(Math.floor(monthIndex / 12), monthIndex % 12, dayOfMonth);
+  if (start > day) {
+    monthIndex -= step;
+    start = clampedDate(Math.floor(monthIndex / 12), monthIndex % 12, dayOfMonth);
+  }
+  const next = clampedDate(Math.floor((monthIndex + step) / 12), (monthIndex + step) % 12, dayOfMonth);
+  return { start, end: endOfPreviousDay(next) };
+};
+
+/**
+ * Generates financial periods between two dates
+ * Periods follow getPeriodContaining. Without an anchor, weeks start on the start date itself and
+ * the first period of the other types is cut to begin on the start date.
  * @param {Date|string} startDate - Start date
  * @param {Date|string} endDate - End date
- * @param {string} periodType - 'week', 'month', or 'quarter'
+ * @param {string} periodType - 'week', 'biweek', 'semimonth', 'month', 'quarter', 'year' or 'days'
+ * @param {Object} [options] - Alignment options passed to getPeriodContaining (anchor, lengthDays, firstDayOfWeek)
  * @returns {Array} Array of period objects with start, end, label, and key
  */
-export const getFinancialPeriods = (startDate, endDate, periodType = 'month') => {
+export const getFinancialPeriods = (startDate, endDate, periodType = 'month', options = {}) => {
   try {
-    const validPeriodTypes = ['week', 'month', 'quarter'];
-    if (!validPeriodTypes.includes(periodType)) {
-      throw new Error(`Invalid period type. Must be one of: ${validPeriodTypes.join(', ')}`);
+    if (!FINANCIAL_PERIOD_TYPES.includes(periodType)) {
+      throw new Error(`Invalid period type. Must be one of: ${FINANCIAL_PERIOD_TYPES.join(', ')}`);
     }
 
-    const periods = [];
-    let current = new Date(startDate);
-    const end = new Date(endDate);
+    const first = startOfDay(startDate);
+    const end = parseLocalDate(endDate);
 
-    if (current > end) {
+    if (first > end) {
       throw new Error('Start date must be before or equal to end date');
     }
 
-    while (current <= end) {
-      let periodEnd;
-      
-      switch (periodType) {
-        case 'week':
-          periodEnd = new Date(current);
-          periodEnd.setDate(periodEnd.getDate() + 6);
-          break;
-        case 'month':
-          periodEnd = getEndOfMonth(current);
-          break;
-        case 'quarter':
-          periodEnd = new Date(current);
-          periodEnd.setMonth(periodEnd.getMonth() + 3);
-          periodEnd.setDate(0); // Last day of previous month
-          break;
-      }
+    const periodOptions = !options.anchor && periodType === 'week' ? { ...options, anchor: first } : options;
+    const periods = [];
+    let period = getPeriodContaining(first, periodType, periodOptions);
+    if (!options.anchor && period.start < first) {
+      period = { ...period, start: first };
+    }
 
+    while (period.start <= end && periods.length < MAX_PERIODS) {
       periods.push({
-        start: new Date(current),
-        end: periodEnd,
-        label: getPeriodLabel(current, periodType),
-        key: `${periodType}_${current.getFullYear()}_${current.getMonth()}`
+        start: period.start,
+        end: period.end,
+        label: getPeriodLabel(period.start, periodType, period.end),
+        key: `${periodType}_${toDateKey(period.start)}`
       });
 
       // Move to next period start
-      switch (periodType) {
-        case 'week':
-          current.setDate(current.getDate() + 7);
-          break;
-        case 'month':
-          current.setMonth(current.getMonth() + 1);
-          current.setDate(1);
-          break;
-        case 'quarter':
-          current.setMonth(current.getMonth() + 3);
-          current.setDate(1);
-          break;
-      }
+      period = getPeriodContaining(new Date(period.end.getTime() + 1), periodType, periodOptions);
     }
 
     return periods;
@@ -343,20 +456,31 @@ export const getFinancialPeriods = (startDate, endDate, periodType = 'month') =>
 
 /**
  * Helper function to generate period labels
- * @param {Date} date - The date
+ * @param {Date} date - The period start
  * @param {string} periodType - Type of period
+ * @param {Date} [end] - The period end, used for periods that do not line up with weeks or months
  * @returns {string} Formatted period label
  */
-const getPeriodLabel = (date, periodType) => {
+export const getPeriodLabel = (date, periodType, end) => {
   try {
     switch (periodType) {
       case 'week':
         return `Week ${getWeekNumber(date)}`;
       case 'month':
-        return getMonthName(date.getMonth());
+        return date.getDate() === 1
+          ? getMonthName(date.getMonth())
+          : `${getShortMonthName(date.getMonth())} ${date.getDate()} – ${getShortMonthName(end.getMonth())} ${end.getDate()}`;
       case 'quarter':
         const quarter = Math.floor(date.getMonth() / 3) + 1;
         return `Q${quarter} ${date.getFullYear()}`;
+      case 'year':
+        return String(date.getFullYear());
+      case 'biweek':
+      case 'semimonth':
+      case 'days':
+        return end
+          ? `${getShortMonthName(date.getMonth())} ${date.getDate()} – ${getShortMonthName(end.getMonth())} ${end.getDate()}`
+          : `${getShortMonthName(date.getMonth())} ${date.getDate()}`;
       default:
         return getMonthName(date.getMonth());
     }
@@ -0,0 +1,91 @@
+//calendarUtils.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { generateCalendarMonth, getWeekNumber, getPeriodContaining, getFinancialPeriods } from './calendarUtils';
+
+/** Local calendar date of a Date */
+const day = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const range = ({ start, end }) => [day(start), day(end)];
+
+describe('generateCalendarMonth', () => {
+  it('starts the grid on the chosen first day of the week', () => {
+    expect(day(generateCalendarMonth(2024, 2, 0).days[0].date)).toBe('2024-02-25');
+    expect(day(generateCalendarMonth(2024, 2, 1).days[0].date)).toBe('2024-02-26');
+  });
+
+  it('always fills six weeks', () => {
+    const calendar = generateCalendarMonth(2024, 2, 1);
+    expect(calendar.weeks).toHaveLength(6);
+    expect(calendar.days.filter(item => item.isCurrentMonth)).toHaveLength(31);
+    expect(() => generateCalendarMonth(2024, 12)).toThrow(/month/);
+  });
+});
+
+describe('getWeekNumber', () => {
+  it('follows ISO 8601 across year boundaries', () => {
+    expect(getWeekNumber(new Date(2024, 11, 30))).toBe(1);
+    expect(getWeekNumber(new Date(2021, 0, 3))).toBe(53);
+  });
+});
+
+// Periods are whole local days, so they must not move in zones west or east of UTC or across DST
+describe.each(['America/New_York', 'UTC', 'Asia/Tokyo'])('getPeriodContaining in %s', (timeZone) => {
+  const originalTimeZone = process.env.TZ;
+  beforeAll(() => {
+    process.env.TZ = timeZone;
+  });
+  afterAll(() => {
+    process.env.TZ = originalTimeZone;
+  });
+
+  it('starts weeks on the first day of the week', () => {
+    expect(range(getPeriodContaining('2024-03-07', 'week', { firstDayOfWeek: 0 }))).toEqual(['2024-03-03', '2024-03-09']);
+    expect(range(getPeriodContaining('2024-03-07', 'week', { firstDayOfWeek: 1 }))).toEqual(['2024-03-04', '2024-03-10']);
+  });
+
+  it('counts unanchored two-week periods from the first week of 2024', () => {
+    expect(range(getPeriodContaining('2024-01-20', 'biweek', { firstDayOfWeek: 1 }))).toEqual(['2024-01-15', '2024-01-28']);
+  });
+
+  it('repeats custom-length periods from the anchor in both directions', () => {
+    const options = { anchor: '2024-03-01', lengthDays: 10 };
+    expect(range(getPeriodContaining('2024-02-25', 'days', options))).toEqual(['2024-02-20', '2024-02-29']);
+    expect(range(getPeriodContaining('2024-03-12', 'days', options))).toEqual(['2024-03-11', '2024-03-20']);
+  });
+
+  it('moves anchored months to the end of shorter months', () => {
+    const period = getPeriodContaining('2024-03-10', 'month', { anchor: '2024-01-31' });
+    expect(range(period)).toEqual(['2024-02-29', '2024-03-30']);
+    expect(period.end.getHours()).toBe(23);
+  });
+
+  it('splits months on the anchor day and fifteen days later', () => {
+    expect(range(getPeriodContaining('2024-02-25', 'semimonth', { anchor: '2024-01-20' }))).toEqual(['2024-02-20', '2024-03-04']);
+  });
+
+  it('uses calendar quarters without an anchor', () => {
+    expect(range(getPeriodContaining('2024-05-15', 'quarter'))).toEqual(['2024-04-01', '2024-06-30']);
+  });
+});
+
+describe('getPeriodContaining errors', () => {
+  it('rejects unknown types and custom periods without an anchor', () => {
+    expect(() => getPeriodContaining('2024-03-07', 'fortnight')).toThrow(/Invalid period type/);
+    expect(() => getPeriodContaining('2024-03-07', 'days', { lengthDays: 10 })).toThrow(/anchor/);
+    expect(() => getPeriodContaining('not a date', 'month')).toThrow('Invalid date');
+  });
+});
+
+describe('getFinancialPeriods', () => {
+  it('cuts the first unanchored period to the start date and includes the end date', () => {
+    const periods = getFinancialPeriods('2024-01-15', '2024-03-01', 'month');
+    expect(periods.map(period => period.key)).toEqual(['month_2024-01-15', 'month_2024-02-01', 'month_2024-03-01']);
+    expect(day(periods[0].end)).toBe('2024-01-31');
+  });
+
+  it('keeps anchored periods whole', () => {
+    const periods = getFinancialPeriods('2024-01-15', '2024-02-10', 'month', { anchor: '2023-12-25' });
+    expect(periods.map(range)).toEqual([['2023-12-25', '2024-01-24'], ['2024-01-25', '2024-02-24']]);
+  });
+});
@@ -0,0 +1,92 @@
+//categoryReferences.js
+// Category names in the records kept in this browser
+// Categorization rules, goal allocation rules, envelope transfers, budget snapshots and what-if
+// scenarios refer to categories by name. The server re-tags its own records when a category is renamed
+// or merged; the copies saved by utils/localStore are re-tagged here so they keep pointing at it.
+
+import { normalizeCategoryName } from './categoryUtils';
+import { readLocalRules, saveLocalRules, readRuleLearning, saveRuleLearning } from './ruleEngine';
+import { readLocalAllocationRules, saveLocalAllocationRules } from './goalAllocationRules';
+import { readLocalEnvelopeBudget, saveLocalEnvelopeBudget } from './envelopeBudget';
+import { readLocalBudgetHistory, saveLocalBudgetHistory } from './budgetHistory';
+import { readSavedScenarios, writeSavedScenarios } from './scenarioPlanner';
+
+/**
+ * Renames the category fields of a list of records
+ * @private
+ * @param {Array} records - Records
+ * @param {Function} retag - Returns a record's renamed copy, or the record itself when unchanged
+ * @returns {{records: Array, count: number}} Records and how many changed
+ */
+const retagRecords = (records, retag) => {
+  let count = 0;
+  const next = records.map(record => {
+    const retagged = retag(record);
+    if (retagged !== record) count += 1;
+    return retagged;
+  });
+  return { records: next, count };
+};
+
+/**
+ * Moves every reference to a category in this browser's stores to another name
+ * Used after a rename (old name to new name) and a merge (source to target); names match ignoring case.
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {string} from - Category name to replace
+ * @param {string} to - Category name to use instead
+ * @returns {{rules: number, corrections: number, allocationRules: number, envelopeTransfers: number,
+ *   budgetSnapshots: number, scenarios: number}} Records re-tagged per store
+ */
+export const retagLocalCategoryReferences = (userId, from, to) => {
+  const target = normalizeCategoryName(from).toLowerCase();
+  const name = normalizeCategoryName(to);
+  const counts = { rules: 0, corrections: 0, allocationRules: 0, envelopeTransfers: 0, budgetSnapshots: 0, scenarios: 0 };
+  if (!target || !name || normalizeCategoryName(from) === name) return counts;
+
+  const matches = (value) => Boolean(value) && normalizeCategoryName(value).toLowerCase() === target;
+  const renamed = (value) => (matches(value) ? name : value);
+  // Retags the named fields of a record, keeping the record itself when none of them match
+  const retagFields = (...fields) => (record) => (fields.some(field => matches(record?.[field]))
+    ? { ...record, ...Object.fromEntries(fields.map(field => [field, renamed(record[field])])) }
+    : record);
+
+  const rules = retagRecords(readLocalRules(userId), rule => (matches(rule.actions?.category)
+    ? { ...rule, actions: { ...rule.actions, category: name } }
+    : rule));
+  if (rules.count > 0) saveLocalRules(userId, rules.records);
+  counts.rules = rules.count;
+
+  // Dismissed suggestions are keyed "<payee>=><category>"
+  const learning = readRuleLearning(userId);
+  const corrections = retagRecords(learning.corrections, retagFields('from', 'to'));
+  if (corrections.count > 0) {
+    const dismissed = learning.dismissed.map(key => {
+      const [payee, category] = key.split('=>');
+      return matches(category) ? `${payee}=>${name}` : key;
+    });
+    saveRuleLearning(userId, { corrections: corrections.records, dismissed });
+  }
+  counts.corrections = corrections.count;
+
+  const allocationRules = retagRecords(readLocalAllocationRules(userId), retagFields('category'));
+  if (allocationRules.count > 0) saveLocalAllocationRules(userId, allocationRules.records);
+  counts.allocationRules = allocationRules.count;
+
+  const envelopeBudget = readLocalEnvelopeBudget(userId);
+  const envelopeTransfers = retagRecords(envelopeBudget.transfers, retagFields('fromCategory', 'toCategory'));
+  if (envelopeTransfers.count > 0) saveLocalEnvelopeBudget(userId, { ...envelopeBudget, transfers: envelopeTransfers.records });
+  counts.envelopeTransfers = envelopeTransfers.count;
+
+  const budgetSnapshots = retagRecords(readLocalBudgetHistory(userId), retagFields('category'));
+  if (budgetSnapshots.count > 0) saveLocalBudgetHistory(userId, budgetSnapshots.records);
+  counts.budgetSnapshots = budgetSnapshots.count;
+
+  const scenarios = retagRecords(readSavedScenarios(userId), (scenario) => {
+    const adjustments = retagRecords(scenario.adjustments || [], retagFields('category'));
+    return adjustments.count > 0 ? { ...scenario, adjustments: adjustments.records } : scenario;
+  });
+  if (scenarios.count > 0) writeSavedScenarios(userId, scenarios.records);
+  counts.scenarios = scenarios.count;
+
+  return counts;
+};
@@ -0,0 +1,91 @@
+//categoryReferences.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { retagLocalCategoryReferences } from './categoryReferences';
+import { readLocalRules, saveLocalRules, readRuleLearning, saveRuleLearning } from './ruleEngine';
+import { readLocalAllocationRules, saveLocalAllocationRules } from './goalAllocationRules';
+import { readLocalEnvelopeBudget, saveLocalEnvelopeBudget } from './envelopeBudget';
+import { readLocalBudgetHistory, saveLocalBudgetHistory } from './budgetHistory';
+import { readSavedScenarios, writeSavedScenarios } from './scenarioPlanner';
+
+/** In-memory stand-in for localStorage */
+const createStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const USER = 7;
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', createStorage());
+  saveLocalRules(USER, [
+    { id: 1, name: 'Cafe', actions: { category: 'Dining', tags: [] } },
+    { id: 2, name: 'Rent', actions: { category: 'Housing', tags: [] } }
+  ]);
+  saveRuleLearning(USER, {
+    corrections: [{ description: 'BEAN CAFE', from: 'Shopping', to: 'dining' }],
+    dismissed: ['bean cafe=>dining', 'landlord=>Housing']
+  });
+  saveLocalAllocationRules(USER, [{ id: 'r1', category: 'Dining', goalIds: [] }, { id: 'r2', category: '', goalIds: [] }]);
+  saveLocalEnvelopeBudget(USER, {
+    settings: { enabled: true, startMonth: '2024-01', startingBalance: 0 },
+    transfers: [
+      { id: 't1', month: '2024-01', toCategory: 'Dining', amount: 100 },
+      { id: 't2', month: '2024-01', fromCategory: 'Dining', toCategory: 'Housing', amount: 20 },
+      { id: 't3', month: '2024-01', toCategory: 'Housing', amount: 900 }
+    ]
+  });
+  saveLocalBudgetHistory(USER, [
+    { budgetId: 1, category: 'Dining', label: 'Jan 2024', spent: 80 },
+    { budgetId: 2, category: 'Housing', label: 'Jan 2024', spent: 900 }
+  ]);
+  writeSavedScenarios(USER, [
+    { id: 's1', name: 'Cut back', adjustments: [{ id: 'a1', type: 'budget', category: 'Dining', limit: 50 }] },
+    { id: 's2', name: 'Raise', adjustments: [{ id: 'a2', type: 'income', amount: 200 }] }
+  ]);
+});
+
+describe('retagLocalCategoryReferences', () => {
+  it('moves every stored reference to the new name, ignoring case', () => {
+    expect(retagLocalCategoryReferences(USER, 'Dining', 'Eating Out')).toEqual({
+      rules: 1,
+      corrections: 1,
+      allocationRules: 1,
+      envelopeTransfers: 2,
+      budgetSnapshots: 1,
+      scenarios: 1
+    });
+
+    expect(readLocalRules(USER).map(rule => rule.actions.category)).toEqual(['Eating Out', 'Housing']);
+    expect(readRuleLearning(USER)).toEqual({
+      corrections: [{ description: 'BEAN CAFE', from: 'Shopping', to: 'Eating Out' }],
+      dismissed: ['bean cafe=>Eating Out', 'landlord=>Housing']
+    });
+    expect(readLocalAllocationRules(USER).map(rule => rule.category)).toEqual(['Eating Out', '']);
+    expect(readLocalEnvelopeBudget(USER).transfers.map(transfer => [transfer.fromCategory, transfer.toCategory])).toEqual([
+      [undefined, 'Eating Out'],
+      ['Eating Out', 'Housing'],
+      [undefined, 'Housing']
+    ]);
+    expect(readLocalEnvelopeBudget(USER).settings.enabled).toBe(true);
+    expect(readLocalBudgetHistory(USER).map(snapshot => snapshot.category)).toEqual(['Eating Out', 'Housing']);
+    expect(readSavedScenarios(USER)[0].adjustments[0].category).toBe('Eating Out');
+  });
+
+  it('merges one category into another', () => {
+    retagLocalCategoryReferences(USER, 'Housing', 'Dining');
+    expect(readLocalRules(USER).map(rule => rule.actions.category)).toEqual(['Dining', 'Dining']);
+    expect(readLocalBudgetHistory(USER).map(snapshot => snapshot.category)).toEqual(['Dining', 'Dining']);
+  });
+
+  it('only re-tags names that refer to the category and change', () => {
+    const before = readSavedScenarios(USER);
+    expect(Object.values(retagLocalCategoryReferences(USER, 'Travel', 'Holidays')).every(count => count === 0)).toBe(true);
+    expect(readSavedScenarios(USER)).toEqual(before);
+    expect(retagLocalCategoryReferences(USER, 'Dining', ' Dining ').rules).toBe(0);
+    expect(retagLocalCategoryReferences(USER, 'Dining', 'dining').rules).toBe(1);
+  });
+});
@@ -0,0 +1,145 @@
+//categoryUtils.js
+// Category definitions and tree helpers shared by the categories context and the mock backend
+// Transactions and budgets reference categories by name; these helpers resolve names to records.
+
+/**
+ * Built-in categories given to every user. They can be renamed, recoloured or archived like any other.
+ * @type {Array<{name: string, color: string, icon: string}>}
+ */
+export const DEFAULT_CATEGORIES = [
+  { name: 'Food', color: '#ef4444', icon: 'utensils' },
+  { name: 'Travel', color: '#3b82f6', icon: 'plane' },
+  { name: 'Entertainment', color: '#a855f7', icon: 'film' },
+  { name: 'Rent', color: '#f97316', icon: 'home' },
+  { name: 'Utilities', color: '#eab308', icon: 'zap' },
+  { name: 'Shopping', color: '#ec4899', icon: 'shopping-bag' },
+  { name: 'Healthcare', color: '#10b981', icon: 'heart-pulse' },
+  { name: 'Other', color: '#6b7280', icon: 'tag' }
+];
+
+/** Colours offered in the category editor */
+export const CATEGORY_COLORS = [
+  '#ef4444', '#f97316', '#eab308', '#84cc16', '#10b981', '#06b6d4',
+  '#3b82f6', '#6366f1', '#a855f7', '#ec4899', '#78716c', '#6b7280'
+];
+
+/** Icon keys offered in the category editor (rendered by ui/CategoryIcon) */
+export const CATEGORY_ICONS = [
+  'tag', 'utensils', 'coffee', 'plane', 'car', 'fuel', 'bus', 'film', 'music', 'home', 'zap', 'wifi',
+  'smartphone', 'shopping-bag', 'shirt', 'gift', 'heart-pulse', 'dumbbell', 'baby', 'paw-print',
+  'graduation-cap', 'book', 'briefcase'
+];
+
+/** Subcategories may not have children of their own */
+export const MAX_CATEGORY_DEPTH = 2;
+
+/**
+ * Trims a category name and collapses inner whitespace
+ * @param {string} name - Raw name
+ * @returns {string} Normalized name
+ */
+export const normalizeCategoryName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Finds a category by name, ignoring case
+ * @param {Array} categories - Category records
+ * @param {string} name - Category name
+ * @returns {Object|undefined} Matching category
+ */
+export const findCategoryByName = (categories, name) => {
+  const target = normalizeCategoryName(name).toLowerCase();
+  return (categories || []).find(category => category.name.toLowerCase() === target);
+};
+
+/**
+ * Validates a category create or update
+ * @param {Array} categories - Existing categories
+ * @param {Object} fields - Proposed name and parentId
+ * @param {string|number} [id] - ID of the category being edited
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateCategory = (categories, { name, parentId = null }, id = null) => {
+  const normalized = normalizeCategoryName(name);
+  if (!normalized) return 'Category name is required';
+  if (normalized.length > 40) return 'Category name must be 40 characters or fewer';
+
+  const duplicate = findCategoryByName(categories, normalized);
+  if (duplicate && String(duplicate.id) !== String(id)) {
+    return `A category named "${duplicate.name}" already exists`;
+  }
+
+  if (parentId !== null && parentId !== undefined && parentId !== '') {
+    if (String(parentId) === String(id)) return 'A category cannot be its own parent';
+    const parent = categories.find(category => String(category.id) === String(parentId));
+    if (!parent) return 'Parent category not found';
+    if (parent.parentId) return 'Subcategories cannot have subcategories of their own';
+    if (id !== null && categories.some(category => String(category.parentId) === String(id))) {
+      return 'A category with subcategories cannot become a subcategory';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Groups categories into top-level entries with their subcategories
+ * @param {Array} categories - Category records
+ * @param {Object} options - Tree options
+ * @param {boolean} options.includeArchived - Keep archived categories (default: false)
+ * @returns {Array} Top-level categories, each with a `children` array
+ */
+export const buildCategoryTree = (categories, { includeArchived = false } = {}) => {
+  const visible = (categories || []).filter(category => includeArchived || !category.archived);
+  const byName = (a, b) => a.name.localeCompare(b.name);
+
+  return visible
+    .filter(category => !category.parentId || !visible.some(parent => String(parent.id) === String(category.parentId)))
+    .sort(byName)
+    .map(category => ({
+      ...category,
+      children: visible
+        .filter(child => String(child.parentId) === String(category.id))
+        .sort(byName)
+    }));
+};
+
+/**
+ * Flattens the tree into select options in display order
+ * @param {Array} categories - Category records
+ * @param {Object} options - Same options as buildCategoryTree
+ * @returns {Array<{name: string, depth: number, category: Object}>} Options with nesting depth
+ */
+export const getCategoryOptions = (categories, options) =>
+  buildCategoryTree(categories, options).flatMap(({ children, ...parent }) => [
+    { name: parent.name, depth: 0, category: parent },
+    ...children.map(child => ({ name: child.name, depth: 1, category: child }))
+  ]);
+
+/**
+ * Names of a category and all of its subcategories
+ * Budgets and filters on a parent category cover its subcategories too.
+ * @param {Array} categories - Category records
+ * @param {string} name - Category name
+ * @returns {string[]} The name followed by descendant names
+ */
+export const getCategoryFamily = (categories, name) => {
+  const category = findCategoryByName(categories, name);
+  if (!category) return [name];
+  const children = (categories || [])
+    .filter(child => String(child.parentId) === String(category.id))
+    .map(child => child.name);
+  return [category.name, ...children];
+};
+
+/**
+ * Top-level category a name rolls up to
+ * @param {Array} categories - Category records
+ * @param {string} name - Category name
+ * @returns {string} Parent name, or the name itself for top-level or unknown categories
+ */
+export const getRootCategoryName = (categories, name) => {
+  const category = findCategoryByName(categories, name);
+  if (!category?.parentId) return category?.name || name;
+  const parent = categories.find(item => String(item.id) === String(category.parentId));
+  return parent ? parent.name : category.name;
+};
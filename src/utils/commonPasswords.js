@@ -0,0 +1,47 @@
+//commonPasswords.js
+// Passwords seen most often in public breach dumps, plus words tied to this app.
+// Bundled so new passwords can be screened without sending them anywhere. Entries are lowercase;
+// isCommonPassword in passwordStrength.js also catches them with digits or symbols added and with
+// common letter substitutions (p@ssw0rd), so variants such as "password123!" need no entry of their own.
+
+/** Lowercase passwords refused for new accounts and password changes */
+export const COMMON_PASSWORDS = [
+  '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111', '1234567',
+  'dragon', '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein', '696969', 'shadow',
+  'master', '666666', 'qwertyuiop', '123321', 'mustang', '1234567890', 'michael', '654321',
+  'superman', '1qaz2wsx', '7777777', '121212', '000000', 'qazwsx', '123qwe', 'killer', 'trustno1',
+  'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter', 'buster', 'soccer', 'harley', 'batman',
+  'andrew', 'tigger', 'sunshine', 'iloveyou', '2000', 'charlie', 'robert', 'thomas', 'hockey',
+  'ranger', 'daniel', 'starwars', 'klaster', '112233', 'george', 'computer', 'michelle', 'jessica',
+  'pepper', '1111', 'zxcvbn', '555555', '11111111', '131313', 'freedom', '777777', 'pass', 'maggie',
+  '159753', 'aaaaaa', 'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer', 'love', 'ashley',
+  'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees', '987654321', 'dallas', 'austin',
+  'thunder', 'taylor', 'matrix', 'minecraft', 'welcome', 'admin', 'administrator', 'login',
+  'passw0rd', 'p@ssword', 'passwort', 'motdepasse', 'contrasena', 'senha', 'parola', 'wachtwoord',
+  'changeme', 'default', 'secret', 'guest', 'root', 'test', 'tester', 'demo', 'qwerty123', 'qwe123',
+  'asdf', 'asdfasdf', 'asdfghjkl', 'zaq12wsx', '1q2w3e4r', '1q2w3e', '1q2w3e4r5t', 'q1w2e3r4',
+  'qwertyui', 'abcdef', 'abcd1234', 'abcdefg', 'abc', 'aa123456', 'a123456', '123abc', '123654',
+  '147258', '147258369', '159357', '258456', '321321', '456789', '789456', '987654', '1010', '2020',
+  '2021', '2022', '2023', '2024', '2025', '2026', '11111', '22222', '33333', '44444', '55555',
+  '88888888', '99999999', '00000000', 'iloveu', 'iloveyou2', 'loveme', 'lovely', 'babygirl', 'baby',
+  'angel', 'angels', 'anthony', 'alexander', 'jasmine', 'joseph', 'justin', 'samantha', 'sophie',
+  'hannah', 'ashley1', 'liverpool', 'arsenal', 'chelsea1', 'manchester', 'barcelona', 'realmadrid',
+  'juventus', 'football1', 'soccer1', 'basketball', 'golf', 'tennis', 'hockey1', 'yankee', 'cowboys',
+  'eagles', 'steelers', 'packers', 'lakers', 'redsox', 'diamond', 'silver', 'golden', 'money',
+  'monkey1', 'dragon1', 'shadow1', 'master1', 'killer1', 'pokemon', 'naruto', 'flower', 'flowers',
+  'butterfly', 'sunflower', 'rainbow', 'purple', 'orange', 'banana', 'apple', 'cookie', 'chocolate',
+  'pepper1', 'coffee', 'pizza', 'hello', 'hello123', 'whatever', 'nothing', 'secret1', 'private',
+  'letmein1', 'welcome1', 'welcome123', 'admin123', 'root123', 'test123', 'user', 'password1',
+  'password12', 'password123', 'passw0rd1', 'qwerty1', 'qwerty12', 'iloveyou1', 'superman1',
+  'batman1', 'spiderman', 'ironman', 'starwars1', 'matrix1', 'hunter2', 'charlie1', 'jordan23',
+  'michael1', 'jennifer1', 'princess1', 'sunshine1', 'computer1', 'internet', 'google', 'facebook',
+  'youtube', 'twitter', 'instagram', 'linkedin', 'yahoo', 'hotmail', 'gmail', 'outlook', 'apple123',
+  'samsung', 'nokia', 'android', 'iphone', 'windows', 'linux', 'ubuntu', 'mac', 'office', 'summer1',
+  'winter', 'spring', 'autumn', 'january', 'february', 'march', 'april', 'june', 'july', 'august',
+  'september', 'october', 'november', 'december', 'monday', 'friday', 'weekend', 'holiday',
+  'christmas', 'easter', 'birthday', 'family', 'friends', 'forever', 'together', 'heaven', 'jesus',
+  'christ', 'god', 'blessed', 'faith', 'hope', 'freedom1', 'liberty', 'america', 'canada', 'london',
+  'paris', 'berlin', 'madrid', 'newyork', 'chicago', 'boston', 'texas', 'florida', 'california',
+  'evercrest', 'budget', 'finance', 'savings', 'banking', 'money123', 'wallet', 'invest', 'crypto',
+  'bitcoin'
+];
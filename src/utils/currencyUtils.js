@@ -0,0 +1,205 @@
+//currencyUtils.js
+// Currency metadata, exchange-rate tables and conversion helpers
+// A rate table stores how many units of each currency one unit of its base currency buys
+
+import { localStore } from './localStore';
+
+/**
+ * Currencies offered in account, transaction and settings pickers
+ * @type {Array<{code: string, name: string}>}
+ */
+export const SUPPORTED_CURRENCIES = [
+  { code: 'USD', name: 'US Dollar' },
+  { code: 'EUR', name: 'Euro' },
+  { code: 'GBP', name: 'British Pound' },
+  { code: 'ZAR', name: 'South African Rand' },
+  { code: 'CAD', name: 'Canadian Dollar' },
+  { code: 'AUD', name: 'Australian Dollar' },
+  { code: 'CHF', name: 'Swiss Franc' },
+  { code: 'JPY', name: 'Japanese Yen' },
+  { code: 'SEK', name: 'Swedish Krona' },
+  { code: 'NZD', name: 'New Zealand Dollar' }
+];
+
+/** Currency used when neither the transaction, its account nor the user sets one */
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Starting rates relative to USD. They are approximate and meant to be edited or
+ * replaced by an imported file.
+ * @type {Object}
+ */
+export const DEFAULT_RATE_TABLE = {
+  base: 'USD',
+  rates: {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    ZAR: 18.2,
+    CAD: 1.36,
+    AUD: 1.52,
+    CHF: 0.88,
+    JPY: 149.5,
+    SEK: 10.6,
+    NZD: 1.66
+  },
+  updatedAt: null,
+  source: 'default'
+};
+
+/** Name of the per-user store holding the base currency and rate table */
+const SETTINGS_STORE = 'currencySettings';
+
+/**
+ * Reads a user's saved currency settings, falling back to the defaults
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {{baseCurrency: string, rateTable: Object}} Currency settings
+ */
+export const readCurrencySettings = (userId) => {
+  const saved = localStore(userId, SETTINGS_STORE).read({});
+  return saved.baseCurrency && saved.rateTable?.rates
+    ? saved
+    : { baseCurrency: DEFAULT_CURRENCY, rateTable: DEFAULT_RATE_TABLE };
+};
+
+/**
+ * Saves a user's currency settings
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {{baseCurrency: string, rateTable: Object}} settings - Currency settings
+ */
+export const saveCurrencySettings = (userId, settings) => {
+  localStore(userId, SETTINGS_STORE).write(settings);
+};
+
+/**
+ * Checks whether a value looks like an ISO 4217 currency code
+ * @param {string} code - Value to check
+ * @returns {boolean} True for three-letter codes
+ */
+export const isCurrencyCode = (code) => typeof code === 'string' && /^[A-Z]{3}$/.test(code);
+
+/**
+ * Checks whether a rate table can convert a currency
+ * @param {Object} rateTable - Rate table
+ * @param {string} currency - ISO currency code
+ * @returns {boolean} True if a rate is known
+ */
+export const hasRate = (rateTable, currency) =>
+  currency === rateTable?.base || Number(rateTable?.rates?.[currency]) > 0;
+
+/** Currency pairs already reported as missing a rate, so each is warned about once */
+const reportedMissingRates = new Set();
+
+/**
+ * Converts an amount between two currencies using a rate table
+ * Amounts in currencies without a known rate are returned unchanged.
+ * @param {number} amount - Amount to convert
+ * @param {string} from - Currency of the amount
+ * @param {string} to - Target currency
+ * @param {Object} rateTable - Rate table ({ base, rates })
+ * @returns {number} Converted amount
+ */
+export const convertAmount = (amount, from, to, rateTable = DEFAULT_RATE_TABLE) => {
+  const value = Number(amount) || 0;
+  if (!from || !to || from === to) return value;
+
+  if (!hasRate(rateTable, from) || !hasRate(rateTable, to)) {
+    const pair = `${from} -> ${to}`;
+    if (!reportedMissingRates.has(pair)) {
+      reportedMissingRates.add(pair);
+      console.warn(`No exchange rate for ${pair}, amounts left unconverted`);
+    }
+    return value;
+  }
+
+  const fromRate = from === rateTable.base ? 1 : Number(rateTable.rates[from]);
+  const toRate = to === rateTable.base ? 1 : Number(rateTable.rates[to]);
+  return (value / fromRate) * toRate;
+};
+
+/**
+ * Re-expresses a rate table relative to another base currency
+ * @param {Object} rateTable - Rate table
+ * @param {string} newBase - Currency that should have rate 1
+ * @returns {Object} New rate table (unchanged copy if the base has no rate)
+ */
+export const rebaseRateTable = (rateTable, newBase) => {
+  if (!rateTable || rateTable.base === newBase || !hasRate(rateTable, newBase)) {
+    return { ...rateTable, rates: { ...rateTable?.rates } };
+  }
+
+  const divisor = Number(rateTable.rates[newBase]);
+  const rates = Object.fromEntries(
+    Object.entries({ ...rateTable.rates, [rateTable.base]: 1 })
+      .map(([code, rate]) => [code, Number((rate / divisor).toPrecision(8))])
+  );
+  rates[newBase] = 1;
+
+  return { ...rateTable, base: newBase, rates };
+};
+
+/**
+ * Resolves the currency of a transaction: its own, then its account's, then the fallback
+ * @param {Object} transaction - Transaction object
+ * @param {Map|Object} accountsById - Accounts keyed by id
+ * @param {string} fallback - Currency used when nothing else is set
+ * @returns {string} ISO currency code
+ */
+export const getTransactionCurrency = (transaction, accountsById, fallback = DEFAULT_CURRENCY) => {
+  if (transaction?.currency) return transaction.currency;
+  const account = accountsById instanceof Map
+    ? accountsById.get(transaction?.accountId)
+    : accountsById?.[transaction?.accountId];
+  return account?.currency || fallback;
+};
+
+/**
+ * Parses an exchange-rate file exported from a bank or rate provider
+ *
+ * Supported formats:
+ * - JSON: { "base": "USD", "rates": { "EUR": 0.92, ... } } (extra fields ignored)
+ * - CSV: one "CODE,rate" pair per line; an optional "base,CODE" line sets the base
+ *
+ * @param {string} text - File contents
+ * @param {string} fileName - File name, used to pick the parser
+ * @param {string} fallbackBase - Base currency when the file does not state one
+ * @returns {Object} Rate table ({ base, rates, updatedAt, source })
+ * @throws {Error} If the file contains no usable rates
+ */
+export const parseRateFile = (text, fileName = '', fallbackBase = DEFAULT_CURRENCY) => {
+  const trimmed = (text || '').trim();
+  let base = fallbackBase;
+  const rates = {};
+
+  if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error('Rate file is not valid JSON');
+    }
+    if (isCurrencyCode(data?.base)) base = data.base;
+    Object.entries(data?.rates || {}).forEach(([code, rate]) => {
+      if (isCurrencyCode(code) && Number(rate) > 0) rates[code] = Number(rate);
+    });
+  } else {
+    trimmed.split(/\r?\n/).forEach(line => {
+      const [rawCode, rawRate] = line.split(/[,;\t]/).map(cell => cell?.trim().replace(/^"|"$/g, ''));
+      if (!rawCode) return;
+      if (rawCode.toLowerCase() === 'base' && isCurrencyCode(rawRate?.toUpperCase())) {
+        base = rawRate.toUpperCase();
+        return;
+      }
+      const code = rawCode.toUpperCase();
+      const rate = parseFloat(rawRate);
+      if (isCurrencyCode(code) && rate > 0) rates[code] = rate;
+    });
+  }
+
+  if (Object.keys(rates).length === 0) {
+    throw new Error('No exchange rates found in file');
+  }
+
+  rates[base] = 1;
+  return { base, rates, updatedAt: new Date().toISOString(), source: fileName || 'import' };
+};
@@ -0,0 +1,45 @@
+//currencyUtils.test.js
+import { describe, it, expect, vi } from 'vitest';
+import { convertAmount, rebaseRateTable, getTransactionCurrency, parseRateFile } from './currencyUtils';
+
+const RATES = { base: 'USD', rates: { USD: 1, EUR: 0.5, GBP: 0.25 } };
+
+describe('convertAmount', () => {
+  it('converts through the rate table base', () => {
+    expect(convertAmount(10, 'USD', 'EUR', RATES)).toBe(5);
+    expect(convertAmount(10, 'EUR', 'USD', RATES)).toBe(20);
+    expect(convertAmount(10, 'EUR', 'GBP', RATES)).toBe(5);
+    expect(convertAmount('7', 'EUR', 'EUR', RATES)).toBe(7);
+  });
+
+  it('leaves amounts without a rate unconverted and warns once per currency pair', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(convertAmount(10, 'JPY', 'USD', RATES)).toBe(10);
+    expect(convertAmount(20, 'JPY', 'USD', RATES)).toBe(20);
+    expect(convertAmount(20, 'USD', 'JPY', RATES)).toBe(20);
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+});
+
+describe('rebaseRateTable', () => {
+  it('re-expresses rates against the new base', () => {
+    expect(rebaseRateTable(RATES, 'EUR').rates).toEqual({ USD: 2, EUR: 1, GBP: 0.5 });
+  });
+});
+
+describe('getTransactionCurrency', () => {
+  it('prefers the transaction, then its account, then the fallback', () => {
+    const accounts = { a1: { currency: 'EUR' } };
+    expect(getTransactionCurrency({ currency: 'GBP', accountId: 'a1' }, accounts)).toBe('GBP');
+    expect(getTransactionCurrency({ accountId: 'a1' }, accounts)).toBe('EUR');
+    expect(getTransactionCurrency({ accountId: 'a2' }, accounts, 'SEK')).toBe('SEK');
+  });
+});
+
+describe('parseRateFile', () => {
+  it('reads CSV with a base line and rejects files without rates', () => {
+    expect(parseRateFile('base,EUR\nUSD,1.1\nxx,2', 'rates.csv').rates).toEqual({ USD: 1.1, EUR: 1 });
+    expect(() => parseRateFile('nothing here', 'rates.csv')).toThrow('No exchange rates found in file');
+  });
+});
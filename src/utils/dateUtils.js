@@ -1,5 +1,21 @@
 //dateUtils.js
 // Date formatting and manipulation utilities
+// Names and formats follow the active language (see services/i18n)
+import { i18n } from '../services/i18n';
+
+/**
+ * Parses a date, reading date-only strings ('YYYY-MM-DD', as date inputs give them) as local dates
+ * `new Date('2024-03-07')` is midnight UTC, which is still the 6th west of UTC.
+ * @param {Date|string|number} value - Date, date string or timestamp
+ * @returns {Date} Parsed date (invalid when the value is not a date)
+ */
+export const parseLocalDate = (value) => {
+  const match = typeof value === 'string' ? value.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+  if (match) {
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+  return new Date(value);
+};
 
 /**
  * Formats a date according to the specified format
@@ -19,19 +35,19 @@ export const formatDate = (date, format = 'standard') => {
     
     switch (format) {
       case 'short':
-        return dateObj.toLocaleDateString('en-US', {
+        return i18n.formatDate(dateObj, {
           month: 'short',
           day: 'numeric'
         });
       case 'long':
-        return dateObj.toLocaleDateString('en-US', {
+        return i18n.formatDate(dateObj, {
           weekday: 'long',
           year: 'numeric',
           month: 'long',
           day: 'numeric'
         });
       case 'month-year':
-        return dateObj.toLocaleDateString('en-US', {
+        return i18n.formatDate(dateObj, {
           month: 'long',
           year: 'numeric'
         });
@@ -39,7 +55,7 @@ export const formatDate = (date, format = 'standard') => {
         return dateObj.toISOString().split('T')[0];
       case 'standard':
       default:
-        return dateObj.toLocaleDateString('en-US');
+        return i18n.formatDate(dateObj);
     }
   } catch (error) {
     console.error('Error formatting date:', error);
@@ -59,10 +75,7 @@ export const formatCurrency = (amount, currency = 'USD') => {
       throw new Error('Invalid amount provided');
     }
     
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: currency,
-    }).format(amount);
+    return i18n.formatCurrency(amount, currency);
   } catch (error) {
     console.error('Error formatting currency:', error);
     return '$0.00';
@@ -88,17 +101,17 @@ export const getRelativeTime = (date) => {
     const diffHours = Math.floor(diffTime / (1000 * 60 * 60));
     const diffMinutes = Math.floor(diffTime / (1000 * 60));
 
-    if (diffMinutes < 1) return 'Just now';
-    if (diffMinutes < 60) return `${diffMinutes}m ago`;
-    if (diffHours < 24) return `${diffHours}h ago`;
-    if (diffDays === 1) return 'Yesterday';
-    if (diffDays < 7) return `${diffDays}d ago`;
-    if (diffDays < 30) return `${Math.floor(diffDays / 7)}w ago`;
-    if (diffDays < 365) return `${Math.floor(diffDays / 30)}mo ago`;
-    return `${Math.floor(diffDays / 365)}y ago`;
+    if (diffMinutes < 1) return i18n.t('time.justNow');
+    if (diffMinutes < 60) return i18n.t('time.minutesAgo', { count: diffMinutes });
+    if (diffHours < 24) return i18n.t('time.hoursAgo', { count: diffHours });
+    if (diffDays === 1) return i18n.t('time.yesterday');
+    if (diffDays < 7) return i18n.t('time.daysAgo', { count: diffDays });
+    if (diffDays < 30) return i18n.t('time.weeksAgo', { count: Math.floor(diffDays / 7) });
+    if (diffDays < 365) return i18n.t('time.monthsAgo', { count: Math.floor(diffDays / 30) });
+    return i18n.t('time.yearsAgo', { count: Math.floor(diffDays / 365) });
   } catch (error) {
     console.error('Error calculating relative time:', error);
-    return 'Unknown time';
+    return i18n.t('time.unknown');
   }
 };
 
@@ -242,20 +255,16 @@ export const addMonths = (date, months) => {
 };
 
 /**
- * Gets full month name from month index
+ * Gets full month name from month index, in the active language
  * @param {number} monthIndex - Month index (0-11)
  * @returns {string} Full month name
  */
 export const getMonthName = (monthIndex) => {
   try {
-    const months = [
-      'January', 'February', 'March', 'April', 'May', 'June',
-      'July', 'August', 'September', 'October', 'November', 'December'
-    ];
     if (monthIndex < 0 || monthIndex > 11) {
       throw new Error('Month index must be between 0 and 11');
     }
-    return months[monthIndex];
+    return i18n.getMonthName(monthIndex, 'long');
   } catch (error) {
     console.error('Error getting month name:', error);
     return 'Unknown';
@@ -263,20 +272,16 @@ export const getMonthName = (monthIndex) => {
 };
 
 /**
- * Gets abbreviated month name from month index
+ * Gets abbreviated month name from month index, in the active language
  * @param {number} monthIndex - Month index (0-11)
- * @returns {string} Short month name (3 letters)
+ * @returns {string} Short month name
  */
 export const getShortMonthName = (monthIndex) => {
   try {
-    const months = [
-      'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
-      'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
-    ];
     if (monthIndex < 0 || monthIndex > 11) {
       throw new Error('Month index must be between 0 and 11');
     }
-    return months[monthIndex];
+    return i18n.getMonthName(monthIndex, 'short');
   } catch (error) {
     console.error('Error getting short month name:', error);
     return 'N/A';
@@ -284,19 +289,16 @@ export const getShortMonthName = (monthIndex) => {
 };
 
 /**
- * Gets full weekday name from day index
+ * Gets full weekday name from day index, in the active language
  * @param {number} dayIndex - Day index (0-6, Sunday=0)
  * @returns {string} Full weekday name
  */
 export const getWeekdayName = (dayIndex) => {
   try {
-    const weekdays = [
-      'Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'
-    ];
     if (dayIndex < 0 || dayIndex > 6) {
       throw new Error('Day index must be between 0 and 6');
     }
-    return weekdays[dayIndex];
+    return i18n.getWeekdayName(dayIndex, 'long');
   } catch (error) {
     console.error('Error getting weekday name:', error);
     return 'Unknown';
@@ -304,17 +306,16 @@ export const getWeekdayName = (dayIndex) => {
 };
 
 /**
- * Gets abbreviated weekday name from day index
+ * Gets abbreviated weekday name from day index, in the active language
  * @param {number} dayIndex - Day index (0-6, Sunday=0)
- * @returns {string} Short weekday name (3 letters)
+ * @returns {string} Short weekday name
  */
 export const getShortWeekdayName = (dayIndex) => {
   try {
-    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
     if (dayIndex < 0 || dayIndex > 6) {
       throw new Error('Day index must be between 0 and 6');
     }
-    return weekdays[dayIndex];
+    return i18n.getWeekdayName(dayIndex, 'short');
   } catch (error) {
     console.error('Error getting short weekday name:', error);
     return 'N/A';
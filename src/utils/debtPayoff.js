@@ -0,0 +1,314 @@
+//debtPayoff.js
+// Client-side amortization and payoff simulation for debts
+// Builds month-by-month schedules per debt and for the whole portfolio under different payoff strategies.
+
+import { addMonths } from './dateUtils';
+
+/** Payoff strategies, in the order they are compared */
+export const PAYOFF_STRATEGIES = ['snowball', 'avalanche', 'utilization', 'custom'];
+
+/** Display labels and descriptions for each strategy */
+export const PAYOFF_STRATEGY_INFO = {
+  snowball: { label: 'Snowball', description: 'Smallest balance first for quick wins' },
+  avalanche: { label: 'Avalanche', description: 'Highest interest rate first to save the most' },
+  utilization: { label: 'Highest utilization', description: 'Highest balance relative to the original amount or limit first' },
+  custom: { label: 'Custom order', description: 'Your own priority order' },
+  minimum: { label: 'Minimum payments', description: 'Only the minimum on each debt, nothing rolled over' }
+};
+
+/** Simulations stop after this many months (50 years) when debts are not paid off */
+export const MAX_SIMULATION_MONTHS = 600;
+
+/**
+ * Rounds to whole cents
+ * @private
+ */
+const toCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Fixed monthly payment that repays a balance over a term (standard amortization formula)
+ * @param {number} balance - Amount owed
+ * @param {number} annualRate - Annual interest rate in percent
+ * @param {number} termMonths - Remaining term in months
+ * @returns {number} Monthly payment, or 0 when the term is not set
+ */
+export const getAmortizedPayment = (balance, annualRate, termMonths) => {
+  const months = Number(termMonths) || 0;
+  if (months <= 0 || balance <= 0) return 0;
+  const monthlyRate = (Number(annualRate) || 0) / 100 / 12;
+  if (monthlyRate === 0) return toCents(balance / months);
+  return toCents((balance * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -months)));
+};
+
+/**
+ * Balance as a share of the original amount; for credit cards the original amount is the credit limit
+ * @param {Object} debt - Debt with balance and principal
+ * @returns {number} Utilization between 0 and 1 (1 when the original amount is unknown)
+ */
+export const getDebtUtilization = (debt) => {
+  const principal = Number(debt?.principal) || 0;
+  const balance = Number(debt?.balance) || 0;
+  if (principal <= 0) return balance > 0 ? 1 : 0;
+  return Math.min(1, balance / principal);
+};
+
+/**
+ * Reads the DebtForm fields into the numbers the simulation works with
+ * When no minimum payment is set but a term is, the amortized payment for the term is used.
+ * @param {Object} debt - Debt record
+ * @returns {Object} Normalized debt
+ * @private
+ */
+const normalizeDebt = (debt) => {
+  const balance = Math.max(0, toCents(debt.balance));
+  const interestRate = Math.max(0, Number(debt.interestRate) || 0);
+  const minimumPayment = Math.max(0, toCents(debt.minimumPayment)) ||
+    getAmortizedPayment(balance, interestRate, debt.termMonths);
+  const dueDate = debt.dueDate ? new Date(debt.dueDate) : null;
+
+  return {
+    id: debt.id,
+    name: debt.name || 'Unnamed Debt',
+    balance,
+    principal: Math.max(0, toCents(debt.principal)),
+    interestRate,
+    minimumPayment,
+    dueDay: dueDate && !isNaN(dueDate.getTime()) ? dueDate.getDate() : null
+  };
+};
+
+/**
+ * Orders debts for a strategy; extra money goes to the first unpaid debt in the list
+ * Ties fall back to the higher interest rate, then the smaller balance.
+ * @param {Array} debts - Debts
+ * @param {string} strategy - snowball, avalanche, utilization or custom
+ * @param {Array<string|number>} [customOrder] - Debt IDs in priority order for the custom strategy
+ * @returns {Array} Sorted copy
+ */
+export const orderDebtsForStrategy = (debts, strategy, customOrder = []) => {
+  const byRate = (a, b) => (Number(b.interestRate) || 0) - (Number(a.interestRate) || 0);
+  const byBalance = (a, b) => (Number(a.balance) || 0) - (Number(b.balance) || 0);
+  const list = [...(debts || [])];
+
+  switch (strategy) {
+    case 'snowball':
+      return list.sort((a, b) => byBalance(a, b) || byRate(a, b));
+    case 'avalanche':
+      return list.sort((a, b) => byRate(a, b) || byBalance(a, b));
+    case 'utilization':
+      return list.sort((a, b) => getDebtUtilization(b) - getDebtUtilization(a) || byRate(a, b) || byBalance(a, b));
+    case 'custom': {
+      const rank = (debt) => {
+        const index = customOrder.findIndex(id => String(id) === String(debt.id));
+        return index === -1 ? customOrder.length : index;
+      };
+      // Debts missing from the custom order keep their avalanche position after the ordered ones
+      return list.sort((a, b) => rank(a) - rank(b) || byRate(a, b) || byBalance(a, b));
+    }
+    default:
+      return list;
+  }
+};
+
+/**
+ * First day of next month, when simulated payments start by default
+ * @private
+ */
+const getNextMonthStart = () => {
+  const today = new Date();
+  return new Date(today.getFullYear(), today.getMonth() + 1, 1);
+};
+
+/**
+ * Payment date for a simulated month: the debt's due day in that month, or the first of the month
+ * @private
+ */
+const getPaymentDate = (startDate, month, dueDay) => {
+  const date = addMonths(new Date(startDate.getFullYear(), startDate.getMonth(), 1), month);
+  if (dueDay) {
+    const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+    date.setDate(Math.min(dueDay, lastDay));
+  }
+  return date;
+};
+
+/**
+ * Simulates paying off a set of debts month by month
+ * Each month interest accrues, every open debt gets its minimum payment, and the rest of the
+ * monthly budget (all minimums plus the extra payment) goes to debts in strategy order. Minimums
+ * freed by paid-off debts roll into the budget unless `rollover` is false.
+ * @param {Array} debts - Debts with balance, interestRate, minimumPayment and optionally principal, termMonths, dueDate
+ * @param {Object} [options] - Simulation options
+ * @param {string} [options.strategy='avalanche'] - snowball, avalanche, utilization or custom
+ * @param {number} [options.extraPayment=0] - Extra amount paid each month on top of the minimums
+ * @param {Array<string|number>} [options.customOrder] - Debt IDs in priority order for the custom strategy
+ * @param {boolean} [options.rollover=true] - Roll freed minimum payments into the next debt
+ * @param {Date} [options.startDate] - Month the first payment is made in (default: next month)
+ * @returns {Object} Totals, per-debt schedules and the portfolio schedule
+ */
+export const simulatePayoff = (debts, {
+  strategy = 'avalanche',
+  extraPayment = 0,
+  customOrder = [],
+  rollover = true,
+  startDate = getNextMonthStart()
+} = {}) => {
+  const ordered = orderDebtsForStrategy(
+    (debts || []).filter(debt => (Number(debt.balance) || 0) > 0),
+    strategy,
+    customOrder
+  ).map(normalizeDebt);
+
+  const extra = Math.max(0, Number(extraPayment) || 0);
+  const start = new Date(startDate);
+  const balances = ordered.map(debt => debt.balance);
+  const results = ordered.map(debt => ({
+    id: debt.id,
+    name: debt.name,
+    startingBalance: debt.balance,
+    interestRate: debt.interestRate,
+    minimumPayment: debt.minimumPayment,
+    totalInterest: 0,
+    totalPaid: 0,
+    payoffMonth: null,
+    payoffDate: null,
+    schedule: []
+  }));
+  const schedule = [];
+  const fullBudget = ordered.reduce((total, debt) => total + debt.minimumPayment, 0) + extra;
+
+  let month = 0;
+  while (balances.some(balance => balance > 0) && month < MAX_SIMULATION_MONTHS) {
+    month += 1;
+    const interest = balances.map((balance, index) =>
+      balance > 0 ? toCents(balance * ordered[index].interestRate / 100 / 12) : 0
+    );
+    const payments = balances.map(() => 0);
+
+    // Minimum payments first
+    balances.forEach((balance, index) => {
+      if (balance <= 0) return;
+      payments[index] = Math.min(ordered[index].minimumPayment, toCents(balance + interest[index]));
+    });
+
+    // Whatever is left of the budget goes down the priority list
+    const budget = rollover
+      ? fullBudget
+      : balances.reduce((total, balance, index) => total + (balance > 0 ? ordered[index].minimumPayment : 0), 0) + extra;
+    let available = toCents(budget - payments.reduce((total, payment) => total + payment, 0));
+    for (let index = 0; index < balances.length && available > 0; index += 1) {
+      if (balances[index] <= 0) continue;
+      const owed = toCents(balances[index] + interest[index] - payments[index]);
+      const amount = Math.min(available, owed);
+      payments[index] = toCents(payments[index] + amount);
+      available = toCents(available - amount);
+    }
+
+    const row = { month, date: getPaymentDate(start, month - 1, null), payment: 0, interest: 0, principal: 0, balance: 0 };
+    balances.forEach((balance, index) => {
+      if (balance <= 0) return;
+      const result = results[index];
+      const next = Math.max(0, toCents(balance + interest[index] - payments[index]));
+      const entry = {
+        month,
+        date: getPaymentDate(start, month - 1, ordered[index].dueDay),
+        payment: payments[index],
+        interest: interest[index],
+        principal: toCents(payments[index] - interest[index]),
+        balance: next
+      };
+      balances[index] = next;
+      result.schedule.push(entry);
+      result.totalInterest = toCents(result.totalInterest + entry.interest);
+      result.totalPaid = toCents(result.totalPaid + entry.payment);
+      if (next === 0) {
+        result.payoffMonth = month;
+        result.payoffDate = entry.date;
+      }
+
+      row.payment = toCents(row.payment + entry.payment);
+      row.interest = toCents(row.interest + entry.interest);
+      row.principal = toCents(row.principal + entry.principal);
+    });
+    row.balance = toCents(balances.reduce((total, balance) => total + balance, 0));
+    schedule.push(row);
+  }
+
+  const paidOff = balances.every(balance => balance <= 0);
+  const last = schedule[schedule.length - 1];
+
+  return {
+    strategy,
+    extraPayment: extra,
+    rollover,
+    paidOff,
+    months: paidOff ? month : null,
+    payoffDate: paidOff && last ? last.date : null,
+    totalInterest: toCents(results.reduce((total, result) => total + result.totalInterest, 0)),
+    totalPaid: toCents(results.reduce((total, result) => total + result.totalPaid, 0)),
+    startingBalance: toCents(ordered.reduce((total, debt) => total + debt.balance, 0)),
+    monthlyBudget: toCents(fullBudget),
+    order: results.map(({ id, name }) => ({ id, name })),
+    debts: results,
+    schedule
+  };
+};
+
+/**
+ * Runs every strategy with the same extra payment and compares them
+ * Savings are measured against paying only the minimums, and between the cheapest and most expensive strategy.
+ * @param {Array} debts - Debts to simulate
+ * @param {Object} [options] - Comparison options
+ * @param {number} [options.extraPayment=0] - Extra amount paid each month
+ * @param {Array<string|number>} [options.customOrder] - Debt IDs in priority order for the custom strategy
+ * @param {Date} [options.startDate] - Month the first payment is made in
+ * @returns {{baseline: Object, strategies: Object, best: string|null, worst: string|null, maxInterestSaved: number}} Comparison
+ */
+export const compareStrategies = (debts, { extraPayment = 0, customOrder = [], startDate } = {}) => {
+  const baseline = simulatePayoff(debts, { strategy: 'avalanche', rollover: false, startDate });
+  const strategies = {};
+
+  PAYOFF_STRATEGIES.forEach(strategy => {
+    const result = simulatePayoff(debts, { strategy, extraPayment, customOrder, startDate });
+    strategies[strategy] = {
+      ...result,
+      interestSaved: baseline.paidOff && result.paidOff ? toCents(baseline.totalInterest - result.totalInterest) : null,
+      monthsSaved: baseline.paidOff && result.paidOff ? baseline.months - result.months : null
+    };
+  });
+
+  // Only strategies that finish can be ranked against each other
+  const finished = PAYOFF_STRATEGIES.filter(strategy => strategies[strategy].paidOff);
+  const byInterest = [...finished].sort((a, b) =>
+    strategies[a].totalInterest - strategies[b].totalInterest || strategies[a].months - strategies[b].months
+  );
+  const best = byInterest[0] || null;
+  const worst = byInterest[byInterest.length - 1] || null;
+
+  return {
+    baseline,
+    strategies,
+    best,
+    worst,
+    maxInterestSaved: best && worst ? toCents(strategies[worst].totalInterest - strategies[best].totalInterest) : 0
+  };
+};
+
+/**
+ * Estimated date all debts are paid off if the current total monthly payment continues
+ * (avalanche order, freed minimums rolled over)
+ * @param {Array} debts - Active debts
+ * @returns {Date|null} Debt-free date, or null when there is no debt or the payments never clear it
+ */
+export const estimateDebtFreeDate = (debts) => {
+  if (!(debts || []).some(debt => (Number(debt.balance) || 0) > 0)) return null;
+  return simulatePayoff(debts, { strategy: 'avalanche' }).payoffDate;
+};
+
+/**
+ * Per-debt payment rows of a simulation, one per debt and month, for exporting
+ * @param {Object} result - Result of simulatePayoff
+ * @returns {Array} Rows (debtName, month, date, payment, interest, principal, balance), debt by debt
+ */
+export const getPayoffScheduleRows = (result) =>
+  result.debts.flatMap(debt => debt.schedule.map(entry => ({ debtName: debt.name, ...entry })));
@@ -0,0 +1,109 @@
+//debtPayoff.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  getAmortizedPayment,
+  getDebtUtilization,
+  orderDebtsForStrategy,
+  simulatePayoff,
+  compareStrategies,
+  getPayoffScheduleRows,
+  MAX_SIMULATION_MONTHS
+} from './debtPayoff';
+
+const START = new Date(2025, 0, 1);
+
+const DEBTS = [
+  { id: 'card', name: 'Card', balance: 3000, principal: 5000, interestRate: 22, minimumPayment: 90 },
+  { id: 'car', name: 'Car', balance: 8000, principal: 12000, interestRate: 6, minimumPayment: 250 },
+  { id: 'store', name: 'Store card', balance: 600, principal: 600, interestRate: 18, minimumPayment: 30 }
+];
+
+describe('getAmortizedPayment', () => {
+  it('uses the standard amortization formula', () => {
+    expect(getAmortizedPayment(10000, 6, 60)).toBe(193.33);
+  });
+
+  it('splits the balance evenly without interest and returns 0 without a term', () => {
+    expect(getAmortizedPayment(1200, 0, 12)).toBe(100);
+    expect(getAmortizedPayment(1200, 5, 0)).toBe(0);
+  });
+});
+
+describe('getDebtUtilization', () => {
+  it('is the share of the original amount still owed', () => {
+    expect(getDebtUtilization({ balance: 250, principal: 1000 })).toBe(0.25);
+    expect(getDebtUtilization({ balance: 250 })).toBe(1);
+  });
+});
+
+describe('orderDebtsForStrategy', () => {
+  const ids = (strategy, customOrder) => orderDebtsForStrategy(DEBTS, strategy, customOrder).map(debt => debt.id);
+
+  it('orders by balance, rate or utilization', () => {
+    expect(ids('snowball')).toEqual(['store', 'card', 'car']);
+    expect(ids('avalanche')).toEqual(['card', 'store', 'car']);
+    expect(ids('utilization')).toEqual(['store', 'car', 'card']);
+  });
+
+  it('puts debts missing from a custom order after the ordered ones', () => {
+    expect(ids('custom', ['car'])).toEqual(['car', 'card', 'store']);
+  });
+});
+
+describe('simulatePayoff', () => {
+  it('pays a single interest-free debt off with its minimum payment', () => {
+    const result = simulatePayoff([{ id: 1, balance: 300, interestRate: 0, minimumPayment: 100 }], { startDate: START });
+    expect(result.paidOff).toBe(true);
+    expect(result.months).toBe(3);
+    expect(result.totalInterest).toBe(0);
+    expect(result.payoffDate).toEqual(new Date(2025, 2, 1));
+  });
+
+  it('accounts for every payment as interest or principal', () => {
+    const result = simulatePayoff(DEBTS, { extraPayment: 200, startDate: START });
+    const startingBalance = DEBTS.reduce((total, debt) => total + debt.balance, 0);
+    expect(result.paidOff).toBe(true);
+    expect(result.totalPaid).toBeCloseTo(startingBalance + result.totalInterest, 2);
+    expect(result.schedule[result.schedule.length - 1].balance).toBe(0);
+  });
+
+  it('pays the priority debt off first with the extra payment', () => {
+    const result = simulatePayoff(DEBTS, { strategy: 'avalanche', extraPayment: 200, startDate: START });
+    const card = result.debts.find(debt => debt.id === 'card');
+    const store = result.debts.find(debt => debt.id === 'store');
+    expect(card.payoffMonth).toBeLessThan(store.payoffMonth);
+  });
+
+  it('falls back to the amortized payment when only a term is set', () => {
+    const result = simulatePayoff([{ id: 1, balance: 10000, interestRate: 6, termMonths: 60 }], { startDate: START });
+    expect(result.debts[0].minimumPayment).toBe(193.33);
+    expect(result.months).toBe(60);
+  });
+
+  it('stops when the payments never cover the interest', () => {
+    const result = simulatePayoff([{ id: 1, balance: 10000, interestRate: 24, minimumPayment: 100 }], { startDate: START });
+    expect(result.paidOff).toBe(false);
+    expect(result.months).toBeNull();
+    expect(result.schedule).toHaveLength(MAX_SIMULATION_MONTHS);
+  });
+});
+
+describe('compareStrategies', () => {
+  it('ranks avalanche cheapest and measures savings against minimum payments', () => {
+    const comparison = compareStrategies(DEBTS, { extraPayment: 200, startDate: START });
+    expect(comparison.best).toBe('avalanche');
+    expect(comparison.strategies.avalanche.interestSaved).toBeGreaterThan(0);
+    expect(comparison.strategies.avalanche.monthsSaved).toBeGreaterThan(0);
+    expect(comparison.maxInterestSaved).toBeGreaterThanOrEqual(0);
+  });
+});
+
+describe('getPayoffScheduleRows', () => {
+  it('lists each debt\'s payments with the debt name, debt by debt', () => {
+    const result = simulatePayoff([{ id: 1, name: 'Loan', balance: 10000, interestRate: 6, termMonths: 60 }], { startDate: START });
+    const rows = getPayoffScheduleRows(result);
+    expect(rows).toHaveLength(60);
+    expect(rows[0]).toMatchObject({ debtName: 'Loan', month: 1, payment: 193.33, interest: 50 });
+    expect(rows[59].balance).toBe(0);
+  });
+});
@@ -0,0 +1,53 @@
+//deviceInfo.js
+// Readable names for browsers and devices, from a user-agent string
+// Only the common browsers and systems are told apart; anything else falls back to a generic name.
+
+/** Browsers in match order; Edge and Opera also claim to be Chrome, so they come first */
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+  { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+  { name: 'Samsung Internet', pattern: /SamsungBrowser\/([\d.]+)/ },
+  { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+  { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+  { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ }
+];
+
+/** Operating systems in match order; iPadOS and Android mention other systems too */
+const SYSTEMS = [
+  { name: 'iOS', pattern: /iPhone|iPod/, type: 'mobile' },
+  { name: 'iPadOS', pattern: /iPad/, type: 'tablet' },
+  { name: 'Android', pattern: /Android/, type: 'mobile' },
+  { name: 'Windows', pattern: /Windows/, type: 'desktop' },
+  { name: 'macOS', pattern: /Mac OS X|Macintosh/, type: 'desktop' },
+  { name: 'ChromeOS', pattern: /CrOS/, type: 'desktop' },
+  { name: 'Linux', pattern: /Linux/, type: 'desktop' }
+];
+
+/**
+ * Browser, system and device type of a user agent
+ * @param {string} [userAgent] - User-agent string (default: this browser's)
+ * @returns {{browser: string, browserVersion: (string|null), os: string, deviceType: 'desktop'|'mobile'|'tablet'}}
+ *   Parsed names; unknown parts are 'Unknown browser' or 'Unknown system'
+ */
+export const parseUserAgent = (userAgent = typeof navigator === 'undefined' ? '' : navigator.userAgent) => {
+  const agent = String(userAgent || '');
+  const browser = BROWSERS.find(entry => entry.pattern.test(agent));
+  const system = SYSTEMS.find(entry => entry.pattern.test(agent));
+  const isTablet = system?.type === 'tablet' || (system?.name === 'Android' && !/Mobile/.test(agent));
+  return {
+    browser: browser?.name || 'Unknown browser',
+    browserVersion: browser ? agent.match(browser.pattern)[1].split('.')[0] : null,
+    os: system?.name || 'Unknown system',
+    deviceType: isTablet ? 'tablet' : system?.type || 'desktop'
+  };
+};
+
+/**
+ * Short description of a device, such as "Firefox on Windows"
+ * @param {string} [userAgent] - User-agent string (default: this browser's)
+ * @returns {string} Description
+ */
+export const describeDevice = (userAgent) => {
+  const { browser, os } = parseUserAgent(userAgent);
+  return `${browser} on ${os}`;
+};
@@ -0,0 +1,353 @@
+//envelopeBudget.js
+// Envelope (zero-based) budgeting
+// Income lands in "To be assigned" and is moved into category envelopes until nothing is left.
+// Every assignment and every move between envelopes is stored as a transfer, so the transfer list
+// is both where envelope balances come from and their audit trail.
+
+import { buildCategoryTree, getRootCategoryName } from './categoryUtils';
+import { toMonthlyAmount } from './budgetPeriods';
+import { expandSplitTransactions } from './splitTransactions';
+import { parseLocalDate } from './dateUtils';
+import { localStore } from './localStore';
+import { i18n } from '../services/i18n';
+
+/** Settings of a user who has not turned envelope budgeting on */
+export const DEFAULT_ENVELOPE_SETTINGS = {
+  enabled: false,
+  startMonth: null,
+  startingBalance: 0
+};
+
+/** Kinds of envelope transfer, with how the audit trail describes them */
+export const ENVELOPE_TRANSFER_KINDS = {
+  assign: 'Assigned',
+  unassign: 'Returned to To be assigned',
+  move: 'Moved',
+  cover: 'Covered overspending'
+};
+
+/** Share of leftover money kept by partial rollover when no percentage is set */
+const DEFAULT_PARTIAL_ROLLOVER_PERCENT = 50;
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/** Rounds to whole cents */
+const toCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/** Name of the per-user store holding the envelope budget when the server does not store it */
+const LOCAL_ENVELOPE_STORE = 'envelopeBudget';
+
+/**
+ * Reads the envelope settings and transfers saved in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {{settings: Object, transfers: Array}} Envelope budget
+ */
+export const readLocalEnvelopeBudget = (userId) => {
+  const saved = localStore(userId, LOCAL_ENVELOPE_STORE).read({});
+  return {
+    settings: { ...DEFAULT_ENVELOPE_SETTINGS, ...saved.settings },
+    transfers: Array.isArray(saved.transfers) ? saved.transfers : []
+  };
+};
+
+/**
+ * Saves the envelope settings and transfers in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {{settings: Object, transfers: Array}} envelopeBudget - Envelope budget
+ */
+export const saveLocalEnvelopeBudget = (userId, envelopeBudget) => {
+  localStore(userId, LOCAL_ENVELOPE_STORE).write(envelopeBudget);
+};
+
+/**
+ * Month key of a date in local time
+ * Date-only strings are read as local dates, so a transaction on the 1st stays in its month.
+ * @param {Date|string} [date] - Date (default: now)
+ * @returns {string} Month as YYYY-MM
+ */
+export const getMonthKey = (date = new Date()) => {
+  const value = parseLocalDate(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Month key a number of months away
+ * @param {string} month - Month as YYYY-MM
+ * @param {number} offset - Months to move (negative for earlier)
+ * @returns {string} Month as YYYY-MM
+ */
+export const shiftMonth = (month, offset) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return getMonthKey(new Date(year, monthNumber - 1 + offset, 1));
+};
+
+/**
+ * Kind of a transfer from its envelopes
+ * A transfer without `fromCategory` comes out of To be assigned; one without `toCategory` goes back to it.
+ * @param {Object} transfer - Transfer
+ * @returns {'assign'|'unassign'|'move'|'cover'} Transfer kind
+ */
+export const getTransferKind = (transfer) => {
+  if (!transfer.fromCategory) return 'assign';
+  if (!transfer.toCategory) return 'unassign';
+  return transfer.kind === 'cover' ? 'cover' : 'move';
+};
+
+/**
+ * Checks the shape of a transfer before it is saved
+ * @param {Object} transfer - Month, fromCategory, toCategory, amount and note
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateEnvelopeTransfer = (transfer) => {
+  if (!MONTH_PATTERN.test(transfer.month || '')) return 'Month must be in YYYY-MM format';
+  if (!(Number(transfer.amount) > 0)) return 'Amount must be a positive number';
+  if (!transfer.fromCategory && !transfer.toCategory) return 'Choose an envelope';
+  if (transfer.fromCategory && transfer.fromCategory === transfer.toCategory) return 'Choose two different envelopes';
+  return null;
+};
+
+/**
+ * Checks envelope settings before they are saved
+ * @param {Object} settings - enabled, startMonth and startingBalance
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateEnvelopeSettings = (settings) => {
+  if (settings.enabled && !MONTH_PATTERN.test(settings.startMonth || '')) return 'Choose the month envelope budgeting starts';
+  if (isNaN(Number(settings.startingBalance || 0))) return 'Starting balance must be a number';
+  return null;
+};
+
+/**
+ * Part of an envelope's leftover money that stays in it for next month
+ * Envelopes follow the rollover policy of their category's budget; envelopes without a budget keep everything.
+ * @private
+ */
+const getCarriedAmount = (budget, leftover) => {
+  if (!budget) return leftover;
+  const setting = Number(budget.rolloverAmount) || 0;
+  const carried = {
+    full: leftover,
+    partial: leftover * (setting || DEFAULT_PARTIAL_ROLLOVER_PERCENT) / 100,
+    capped: Math.min(leftover, setting || Number(budget.limit) * 0.25)
+  }[budget.rolloverType] || 0;
+  return toCents(carried);
+};
+
+/**
+ * Envelope state for one month
+ * Months are replayed from the start month. At each month end, overspending that was not covered
+ * comes out of the next month's To be assigned, and leftover money beyond what the rollover policy
+ * keeps goes back to it.
+ * Envelopes are top-level categories; spending in a subcategory comes out of its parent's envelope.
+ * @param {Object} params - Inputs
+ * @param {Array} params.transactions - Transactions, amounts in the budget currency
+ * @param {Array} params.transfers - Envelope transfers
+ * @param {Object} params.settings - Envelope settings
+ * @param {Array} [params.budgets] - Budgets, used for targets and rollover policies
+ * @param {Array} [params.categories] - Category records
+ * @param {string} [params.month] - Month as YYYY-MM (default: this month)
+ * @param {Function} [params.getAmount] - Amount of a transaction (default: absolute amount)
+ * @returns {Object} Month, toBeAssigned, income, totals, envelopes and overspent envelopes
+ */
+export const buildEnvelopeBudget = ({
+  transactions = [],
+  transfers = [],
+  settings = DEFAULT_ENVELOPE_SETTINGS,
+  budgets = [],
+  categories = [],
+  month = getMonthKey(),
+  getAmount = tx => Math.abs(Number(tx.amount) || 0)
+}) => {
+  const startMonth = settings.startMonth || month;
+  const envelopeOf = (category) => getRootCategoryName(categories, category);
+
+  const incomeByMonth = {};
+  const activityByMonth = {};
+  const incomeEnvelopes = new Set();
+  const spendingEnvelopes = new Set();
+  // Each line of a split transaction comes out of its own envelope
+  expandSplitTransactions(transactions).forEach(tx => {
+    const txMonth = getMonthKey(tx.date);
+    if (tx.type === 'income') incomeEnvelopes.add(envelopeOf(tx.category));
+    if (tx.type === 'expense') spendingEnvelopes.add(envelopeOf(tx.category));
+    if (txMonth < startMonth || txMonth > month) return;
+
+    if (tx.type === 'income') {
+      incomeByMonth[txMonth] = (incomeByMonth[txMonth] || 0) + getAmount(tx);
+    } else if (tx.type === 'expense') {
+      const envelope = envelopeOf(tx.category);
+      activityByMonth[txMonth] = activityByMonth[txMonth] || {};
+      activityByMonth[txMonth][envelope] = (activityByMonth[txMonth][envelope] || 0) + getAmount(tx);
+    }
+  });
+
+  const budgetByEnvelope = new Map(budgets
+    .filter(budget => budget.isActive !== false)
+    .map(budget => [budget.category, budget]));
+  const transferEnvelopes = transfers.flatMap(transfer => [transfer.fromCategory, transfer.toCategory]).filter(Boolean);
+
+  // Categories only ever used for income, such as Salary, get no envelope
+  const names = [...new Set([
+    ...buildCategoryTree(categories).map(category => category.name),
+    ...spendingEnvelopes,
+    ...transferEnvelopes
+  ])].filter(name => !incomeEnvelopes.has(name) || spendingEnvelopes.has(name)
+    || transferEnvelopes.includes(name) || budgetByEnvelope.has(name));
+
+  if (month < startMonth) {
+    return {
+      month,
+      startMonth,
+      isBeforeStart: true,
+      income: 0,
+      toBeAssigned: 0,
+      totalAssigned: 0,
+      totalActivity: 0,
+      totalAvailable: 0,
+      envelopes: [],
+      overspent: []
+    };
+  }
+
+  let toBeAssigned = 0;
+  let carry = {};
+  for (let current = startMonth; ; current = shiftMonth(current, 1)) {
+    const startingBalance = current === startMonth ? Number(settings.startingBalance) || 0 : 0;
+    const income = toCents((incomeByMonth[current] || 0) + startingBalance);
+    toBeAssigned += income;
+
+    const assigned = {};
+    transfers.filter(transfer => transfer.month === current).forEach(transfer => {
+      const amount = Number(transfer.amount) || 0;
+      if (transfer.fromCategory) {
+        assigned[transfer.fromCategory] = (assigned[transfer.fromCategory] || 0) - amount;
+      } else {
+        toBeAssigned -= amount;
+      }
+      if (transfer.toCategory) {
+        assigned[transfer.toCategory] = (assigned[transfer.toCategory] || 0) + amount;
+      } else {
+        toBeAssigned += amount;
+      }
+    });
+
+    const envelopes = names.map(category => {
+      const budget = budgetByEnvelope.get(category) || null;
+      const carriedIn = carry[category] || 0;
+      const activity = toCents(activityByMonth[current]?.[category] || 0);
+      const assignedAmount = toCents(assigned[category] || 0);
+      const target = budget ? toCents(toMonthlyAmount(budget)) : null;
+      return {
+        category,
+        budget,
+        target,
+        carriedIn,
+        assigned: assignedAmount,
+        activity,
+        available: toCents(carriedIn + assignedAmount - activity),
+        needed: target === null ? 0 : toCents(Math.max(0, target - assignedAmount))
+      };
+    });
+
+    if (current === month) {
+      return {
+        month,
+        startMonth,
+        isBeforeStart: false,
+        income,
+        toBeAssigned: toCents(toBeAssigned),
+        totalAssigned: toCents(envelopes.reduce((sum, envelope) => sum + envelope.assigned, 0)),
+        totalActivity: toCents(envelopes.reduce((sum, envelope) => sum + envelope.activity, 0)),
+        totalAvailable: toCents(envelopes.reduce((sum, envelope) => sum + envelope.available, 0)),
+        envelopes,
+        overspent: envelopes.filter(envelope => envelope.available < 0)
+      };
+    }
+
+    carry = {};
+    envelopes.forEach(envelope => {
+      if (envelope.available < 0) {
+        toBeAssigned += envelope.available;
+        return;
+      }
+      carry[envelope.category] = getCarriedAmount(envelope.budget, envelope.available);
+      toBeAssigned += envelope.available - carry[envelope.category];
+    });
+  }
+};
+
+/**
+ * Checks that the money a transfer takes is there to take
+ * @param {Object} envelopeMonth - Result of buildEnvelopeBudget for the transfer's month
+ * @param {Object} transfer - Transfer
+ * @param {Function} [formatAmount] - Formats an amount in the base currency (default: a plain number)
+ * @returns {string|null} Error message in the active language, or null when the transfer fits
+ */
+export const checkEnvelopeTransfer = (
+  envelopeMonth,
+  transfer,
+  formatAmount = (value) => i18n.formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })
+) => {
+  const amount = toCents(transfer.amount);
+  if (!transfer.fromCategory) {
+    return amount > envelopeMonth.toBeAssigned
+      ? i18n.t('envelopes.leftToAssign', { amount: formatAmount(Math.max(0, envelopeMonth.toBeAssigned)) })
+      : null;
+  }
+  const source = envelopeMonth.envelopes.find(envelope => envelope.category === transfer.fromCategory);
+  const available = source?.available || 0;
+  return amount > available
+    ? i18n.t('envelopes.availableIn', {
+      amount: formatAmount(Math.max(0, available)),
+      category: i18n.translateCategory(transfer.fromCategory)
+    })
+    : null;
+};
+
+/**
+ * Transfers that assign each envelope the rest of its budget target, while To be assigned lasts
+ * @param {Object} envelopeMonth - Result of buildEnvelopeBudget
+ * @returns {Array} Transfers out of To be assigned, in envelope order
+ */
+export const planBudgetedAssignments = (envelopeMonth) => {
+  let left = envelopeMonth.toBeAssigned;
+  return envelopeMonth.envelopes
+    .filter(envelope => envelope.needed > 0)
+    .map(envelope => {
+      const amount = toCents(Math.min(envelope.needed, left));
+      left = toCents(left - amount);
+      return {
+        month: envelopeMonth.month,
+        fromCategory: null,
+        toCategory: envelope.category,
+        amount,
+        note: 'Assigned budget target'
+      };
+    })
+    .filter(transfer => transfer.amount > 0);
+};
+
+/**
+ * Transfer that covers an overspent envelope from another envelope or from To be assigned
+ * @param {Object} envelopeMonth - Result of buildEnvelopeBudget
+ * @param {string} overspentCategory - Overspent envelope
+ * @param {string|null} sourceCategory - Envelope to take the money from, or null for To be assigned
+ * @returns {Object|null} Transfer for as much as the source can give, or null if it has nothing
+ */
+export const planOverspendingCover = (envelopeMonth, overspentCategory, sourceCategory) => {
+  const overspent = envelopeMonth.envelopes.find(envelope => envelope.category === overspentCategory);
+  if (!overspent || overspent.available >= 0) return null;
+  const source = sourceCategory
+    ? envelopeMonth.envelopes.find(envelope => envelope.category === sourceCategory)?.available || 0
+    : envelopeMonth.toBeAssigned;
+  const amount = toCents(Math.min(-overspent.available, source));
+  if (!(amount > 0)) return null;
+  return {
+    month: envelopeMonth.month,
+    fromCategory: sourceCategory || null,
+    toCategory: overspentCategory,
+    amount,
+    kind: 'cover',
+    note: 'Covered overspending'
+  };
+};
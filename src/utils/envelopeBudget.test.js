@@ -0,0 +1,143 @@
+//envelopeBudget.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import {
+  getMonthKey,
+  shiftMonth,
+  getTransferKind,
+  validateEnvelopeTransfer,
+  buildEnvelopeBudget,
+  checkEnvelopeTransfer,
+  planBudgetedAssignments,
+  planOverspendingCover
+} from './envelopeBudget';
+
+const SETTINGS = { enabled: true, startMonth: '2024-01', startingBalance: 0 };
+
+const TRANSACTIONS = [
+  { id: 1, type: 'income', category: 'Salary', amount: 1000, date: '2024-01-15T12:00:00' },
+  { id: 2, type: 'expense', category: 'Food', amount: 80, date: '2024-01-20T12:00:00' },
+  { id: 3, type: 'expense', category: 'Rent', amount: 50, date: '2024-02-03T12:00:00' }
+];
+
+const TRANSFERS = [
+  { month: '2024-01', fromCategory: null, toCategory: 'Food', amount: 200 },
+  { month: '2024-01', fromCategory: 'Food', toCategory: 'Rent', amount: 20 }
+];
+
+const build = (month, fields = {}) => buildEnvelopeBudget({
+  transactions: TRANSACTIONS,
+  transfers: TRANSFERS,
+  settings: SETTINGS,
+  month,
+  ...fields
+});
+
+const envelope = (envelopeMonth, category) => envelopeMonth.envelopes.find(item => item.category === category);
+
+describe.each(['America/New_York', 'UTC', 'Asia/Tokyo'])('getMonthKey in %s', (timeZone) => {
+  const originalTimeZone = process.env.TZ;
+  beforeAll(() => {
+    process.env.TZ = timeZone;
+  });
+  afterAll(() => {
+    process.env.TZ = originalTimeZone;
+  });
+
+  it('keeps date-only transactions in their own month', () => {
+    expect(getMonthKey('2024-03-01')).toBe('2024-03');
+    expect(getMonthKey('2024-03-31')).toBe('2024-03');
+    expect(getMonthKey(new Date(2024, 2, 1))).toBe('2024-03');
+  });
+});
+
+describe('shiftMonth', () => {
+  it('moves across year boundaries', () => {
+    expect(shiftMonth('2024-12', 1)).toBe('2025-01');
+    expect(shiftMonth('2024-01', -1)).toBe('2023-12');
+  });
+});
+
+describe('getTransferKind', () => {
+  it('reads the kind from the envelopes', () => {
+    expect(getTransferKind({ toCategory: 'Food' })).toBe('assign');
+    expect(getTransferKind({ fromCategory: 'Food' })).toBe('unassign');
+    expect(getTransferKind({ fromCategory: 'Food', toCategory: 'Rent' })).toBe('move');
+    expect(getTransferKind({ fromCategory: 'Food', toCategory: 'Rent', kind: 'cover' })).toBe('cover');
+  });
+});
+
+describe('validateEnvelopeTransfer', () => {
+  it('needs a month, a positive amount and two different envelopes', () => {
+    expect(validateEnvelopeTransfer({ month: '2024-1', toCategory: 'Food', amount: 5 })).toMatch(/YYYY-MM/);
+    expect(validateEnvelopeTransfer({ month: '2024-01', toCategory: 'Food', amount: 0 })).toMatch(/positive/);
+    expect(validateEnvelopeTransfer({ month: '2024-01', amount: 5 })).toBe('Choose an envelope');
+    expect(validateEnvelopeTransfer({ month: '2024-01', fromCategory: 'Food', toCategory: 'Food', amount: 5 }))
+      .toBe('Choose two different envelopes');
+    expect(validateEnvelopeTransfer({ month: '2024-01', toCategory: 'Food', amount: 5 })).toBeNull();
+  });
+});
+
+describe('buildEnvelopeBudget', () => {
+  it('tracks assigned money, spending and what is left to assign', () => {
+    const january = build('2024-01');
+    expect(january.income).toBe(1000);
+    expect(january.toBeAssigned).toBe(800);
+    expect(envelope(january, 'Food')).toMatchObject({ assigned: 180, activity: 80, available: 100 });
+    expect(envelope(january, 'Rent')).toMatchObject({ assigned: 20, available: 20 });
+    expect(envelope(january, 'Salary')).toBeUndefined();
+  });
+
+  it('carries leftovers and takes uncovered overspending out of the next month', () => {
+    const february = build('2024-02');
+    expect(envelope(february, 'Food').carriedIn).toBe(100);
+    expect(envelope(february, 'Rent')).toMatchObject({ carriedIn: 20, activity: 50, available: -30 });
+    expect(february.overspent.map(item => item.category)).toEqual(['Rent']);
+
+    const march = build('2024-03');
+    expect(march.toBeAssigned).toBe(770);
+  });
+
+  it('is empty before envelope budgeting starts', () => {
+    expect(build('2023-12')).toMatchObject({ isBeforeStart: true, toBeAssigned: 0, envelopes: [] });
+  });
+});
+
+describe('checkEnvelopeTransfer', () => {
+  const january = build('2024-01');
+  const formatAmount = (value) => `€${value.toFixed(2)}`;
+
+  it('reports what is left to assign in the given format', () => {
+    const transfer = { month: '2024-01', fromCategory: null, toCategory: 'Rent', amount: 900 };
+    expect(checkEnvelopeTransfer(january, transfer, formatAmount)).toBe('Only €800.00 is left to assign');
+    expect(checkEnvelopeTransfer(january, { ...transfer, amount: 800 }, formatAmount)).toBeNull();
+  });
+
+  it('reports what the source envelope holds', () => {
+    const transfer = { month: '2024-01', fromCategory: 'Food', toCategory: 'Rent', amount: 150 };
+    expect(checkEnvelopeTransfer(january, transfer, formatAmount)).toBe('Only €100.00 is available in Food');
+  });
+
+  it('formats as a plain number by default', () => {
+    const transfer = { month: '2024-01', fromCategory: 'Rent', toCategory: 'Food', amount: 25 };
+    expect(checkEnvelopeTransfer(january, transfer)).toBe('Only 20.00 is available in Rent');
+  });
+});
+
+describe('planBudgetedAssignments', () => {
+  it('funds budget targets in order until To be assigned runs out', () => {
+    const budgets = [
+      { category: 'Food', limit: 500, period: 'monthly' },
+      { category: 'Rent', limit: 700, period: 'monthly' }
+    ];
+    const plan = planBudgetedAssignments(build('2024-01', { budgets }));
+    expect(plan.map(transfer => [transfer.toCategory, transfer.amount])).toEqual([['Food', 320], ['Rent', 480]]);
+  });
+});
+
+describe('planOverspendingCover', () => {
+  it('covers as much as the source can give', () => {
+    const february = build('2024-02');
+    expect(planOverspendingCover(february, 'Rent', 'Food')).toMatchObject({ fromCategory: 'Food', amount: 30, kind: 'cover' });
+    expect(planOverspendingCover(february, 'Food', null)).toBeNull();
+  });
+});
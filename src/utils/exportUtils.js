@@ -0,0 +1,285 @@
+//exportUtils.js
+// Builders for CSV, JSON and printable statement exports plus the browser download helper
+
+import { formatCurrency, formatDate, getMonthName } from './dateUtils';
+import { expandSplitTransactions } from './splitTransactions';
+
+/**
+ * Column definitions for transaction exports
+ * @type {Array<{key: string, label: string, value?: Function}>}
+ */
+export const TRANSACTION_COLUMNS = [
+  { key: 'date', label: 'Date', value: tx => formatDate(tx.date, 'iso') },
+  { key: 'description', label: 'Description' },
+  { key: 'category', label: 'Category' },
+  {
+    key: 'splits',
+    label: 'Split',
+    value: tx => (tx.splits || []).map(line => `${line.category}: ${(Number(line.amount) || 0).toFixed(2)}`).join('; ')
+  },
+  { key: 'type', label: 'Type' },
+  { key: 'amount', label: 'Amount', value: tx => Math.abs(Number(tx.amount) || 0).toFixed(2) },
+  { key: 'accountId', label: 'Account' },
+  {
+    key: 'transferTo',
+    label: 'Transfer To',
+    value: tx => (tx.toAccountId ? `account ${tx.toAccountId}` : tx.debtId && tx.type === 'transfer' ? `debt ${tx.debtId}` : '')
+  },
+  { key: 'id', label: 'Transaction ID' }
+];
+
+/**
+ * Column definitions for budget exports (budgetProgress rows from DashboardContext)
+ * @type {Array<{key: string, label: string, value?: Function}>}
+ */
+export const BUDGET_COLUMNS = [
+  { key: 'category', label: 'Category' },
+  { key: 'period', label: 'Period' },
+  { key: 'limit', label: 'Limit', value: b => (Number(b.limit) || 0).toFixed(2) },
+  { key: 'spent', label: 'Spent', value: b => (Number(b.spent) || 0).toFixed(2) },
+  { key: 'periodLabel', label: 'Current Period' },
+  { key: 'rollover', label: 'Rolled Over', value: b => (Number(b.rollover) || 0).toFixed(2) },
+  { key: 'remaining', label: 'Remaining', value: b => (Number(b.remaining) || 0).toFixed(2) },
+  { key: 'progress', label: 'Progress %', value: b => (Number(b.progress) || 0).toFixed(1) },
+  { key: 'status', label: 'Status' },
+  { key: 'rolloverType', label: 'Rollover' },
+  { key: 'allowExceed', label: 'Allow Exceed', value: b => (b.allowExceed ? 'yes' : 'no') }
+];
+
+/**
+ * Column definitions for goal exports (goalProgress rows from DashboardContext)
+ * @type {Array<{key: string, label: string, value?: Function}>}
+ */
+export const GOAL_COLUMNS = [
+  { key: 'name', label: 'Goal' },
+  { key: 'targetAmount', label: 'Target', value: g => (Number(g.targetAmount) || 0).toFixed(2) },
+  { key: 'currentAmount', label: 'Saved', value: g => (Number(g.currentAmount) || 0).toFixed(2) },
+  { key: 'progress', label: 'Progress %', value: g => (Number(g.progress) || 0).toFixed(1) },
+  { key: 'deadline', label: 'Deadline', value: g => formatDate(g.deadline, 'iso') },
+  { key: 'daysLeft', label: 'Days Left' },
+  { key: 'status', label: 'Status' }
+];
+
+/**
+ * Column definitions for the debt payoff schedule export
+ * @type {Array<{key: string, label: string, value?: Function}>}
+ */
+export const DEBT_SCHEDULE_COLUMNS = [
+  { key: 'debtName', label: 'Debt' },
+  { key: 'month', label: 'Month #' },
+  { key: 'date', label: 'Payment Date', value: row => formatDate(row.date, 'iso') },
+  { key: 'payment', label: 'Payment', value: row => row.payment.toFixed(2) },
+  { key: 'interest', label: 'Interest', value: row => row.interest.toFixed(2) },
+  { key: 'principal', label: 'Principal', value: row => row.principal.toFixed(2) },
+  { key: 'balance', label: 'Remaining Balance', value: row => row.balance.toFixed(2) }
+];
+
+/**
+ * Escapes a single CSV cell, quoting when needed and neutralising spreadsheet formulas
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+export const escapeCSVCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+
+  // Prevent CSV formula injection for text cells (numbers keep their sign)
+  if (typeof value === 'string' && /^[=+\-@]/.test(text) && isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Serializes rows to CSV using column definitions
+ * @param {Array<Object>} rows - Data rows
+ * @param {Array<{key: string, label: string, value?: Function}>} columns - Column definitions
+ * @returns {string} CSV text with a header row
+ */
+export const toCSV = (rows, columns) => {
+  const header = columns.map(column => escapeCSVCell(column.label)).join(',');
+  const lines = (rows || []).map(row =>
+    columns
+      .map(column => escapeCSVCell(column.value ? column.value(row) : row[column.key]))
+      .join(',')
+  );
+  return [header, ...lines].join('\r\n');
+};
+
+/**
+ * Triggers a browser download for generated content
+ * @param {string} content - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export const downloadFile = (content, fileName, mimeType = 'text/plain') => {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Builds a date-stamped export file name
+ * @param {string} prefix - Name prefix (e.g. 'transactions')
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+export const buildExportFileName = (prefix, extension) => {
+  return `${prefix}-${formatDate(new Date(), 'iso')}.${extension}`;
+};
+
+/**
+ * Escapes text for safe inclusion in generated HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ * @private
+ */
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Builds a printable HTML monthly statement
+ * @param {Object} params - Statement parameters
+ * @param {number} params.year - Statement year
+ * @param {number} params.month - Statement month index (0-11)
+ * @param {Array} params.transactions - All transactions (filtered to the month here)
+ * @param {Array} params.budgetProgress - Budget progress rows
+ * @param {Array} params.accounts - Accounts
+ * @param {Object} params.user - Current user
+ * @returns {string} Complete HTML document
+ */
+export const buildMonthlyStatementHTML = ({ year, month, transactions = [], budgetProgress = [], accounts = [], user }) => {
+  const monthTransactions = transactions
+    .filter(tx => {
+      const date = new Date(tx.date);
+      return date.getFullYear() === year && date.getMonth() === month;
+    })
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const income = monthTransactions
+    .filter(tx => tx.type === 'income')
+    .reduce((sum, tx) => sum + Math.abs(tx.amount || 0), 0);
+  const expenses = monthTransactions
+    .filter(tx => tx.type === 'expense')
+    .reduce((sum, tx) => sum + Math.abs(tx.amount || 0), 0);
+
+  const categoryTotals = expandSplitTransactions(monthTransactions)
+    .filter(tx => tx.type === 'expense')
+    .reduce((acc, tx) => {
+      acc[tx.category || 'Uncategorized'] = (acc[tx.category || 'Uncategorized'] || 0) + Math.abs(tx.amount || 0);
+      return acc;
+    }, {});
+
+  const title = `${getMonthName(month)} ${year} Statement`;
+
+  const transactionRows = monthTransactions.map(tx => `
+      <tr>
+        <td>${escapeHTML(formatDate(tx.date, 'short'))}</td>
+        <td>${escapeHTML(tx.description || 'No description')}</td>
+        <td>${escapeHTML(tx.category || 'Uncategorized')}</td>
+        <td class="num ${tx.type === 'income' ? 'in' : 'out'}">${tx.type === 'income' ? '+' : '-'}${escapeHTML(formatCurrency(Math.abs(tx.amount || 0)))}</td>
+      </tr>`).join('');
+
+  const categoryRows = Object.entries(categoryTotals)
+    .sort(([, a], [, b]) => b - a)
+    .map(([category, amount]) => `
+      <tr>
+        <td>${escapeHTML(category)}</td>
+        <td class="num">${escapeHTML(formatCurrency(amount))}</td>
+        <td class="num">${expenses > 0 ? ((amount / expenses) * 100).toFixed(1) : '0.0'}%</td>
+      </tr>`).join('');
+
+  const budgetRows = budgetProgress.map(budget => `
+      <tr>
+        <td>${escapeHTML(budget.category)}</td>
+        <td class="num">${escapeHTML(formatCurrency(Number(budget.limit) || 0))}</td>
+        <td class="num">${escapeHTML(formatCurrency(Number(budget.spent) || 0))}</td>
+        <td>${escapeHTML(budget.status)}</td>
+      </tr>`).join('');
+
+  const accountRows = accounts.map(account => `
+      <tr>
+        <td>${escapeHTML(account.name)}</td>
+        <td class="num">${escapeHTML(formatCurrency(Number(account.balance) || 0))}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${escapeHTML(title)}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111; margin: 40px; }
+    h1 { margin: 0; font-size: 24px; }
+    h2 { font-size: 16px; margin-top: 32px; border-bottom: 2px solid #111; padding-bottom: 4px; }
+    .meta { color: #555; font-size: 12px; margin-top: 4px; }
+    .summary { display: flex; gap: 24px; margin-top: 24px; }
+    .summary div { border: 1px solid #ddd; border-radius: 6px; padding: 12px 16px; flex: 1; }
+    .summary span { display: block; font-size: 11px; color: #555; text-transform: uppercase; }
+    .summary strong { font-size: 18px; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; margin-top: 8px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+    th { background: #f5f5f5; }
+    .num { text-align: right; white-space: nowrap; }
+    .in { color: #15803d; }
+    .out { color: #b91c1c; }
+    @media print { body { margin: 16mm; } button { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHTML(title)}</h1>
+  <div class="meta">
+    ${user?.name ? `${escapeHTML(user.name)} &middot; ` : ''}${user?.email ? `${escapeHTML(user.email)} &middot; ` : ''}Generated ${escapeHTML(formatDate(new Date(), 'long'))}
+  </div>
+
+  <div class="summary">
+    <div><span>Income</span><strong class="in">${escapeHTML(formatCurrency(income))}</strong></div>
+    <div><span>Expenses</span><strong class="out">${escapeHTML(formatCurrency(expenses))}</strong></div>
+    <div><span>Net</span><strong>${escapeHTML(formatCurrency(income - expenses))}</strong></div>
+    <div><span>Transactions</span><strong>${monthTransactions.length}</strong></div>
+  </div>
+
+  ${accountRows ? `<h2>Accounts</h2><table><thead><tr><th>Account</th><th class="num">Balance</th></tr></thead><tbody>${accountRows}</tbody></table>` : ''}
+
+  ${categoryRows ? `<h2>Spending by Category</h2><table><thead><tr><th>Category</th><th class="num">Amount</th><th class="num">Share</th></tr></thead><tbody>${categoryRows}</tbody></table>` : ''}
+
+  ${budgetRows ? `<h2>Budgets</h2><table><thead><tr><th>Category</th><th class="num">Limit</th><th class="num">Spent</th><th>Status</th></tr></thead><tbody>${budgetRows}</tbody></table>` : ''}
+
+  <h2>Transactions</h2>
+  <table>
+    <thead><tr><th>Date</th><th>Description</th><th>Category</th><th class="num">Amount</th></tr></thead>
+    <tbody>${transactionRows || '<tr><td colspan="4">No transactions this month.</td></tr>'}</tbody>
+  </table>
+</body>
+</html>`;
+};
+
+/**
+ * Opens generated HTML in a new window and launches the print dialog (Save as PDF)
+ * @param {string} html - Complete HTML document
+ * @returns {boolean} False if the popup was blocked
+ */
+export const openPrintableDocument = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  setTimeout(() => printWindow.print(), 250);
+  return true;
+};
@@ -0,0 +1,101 @@
+//financialMetrics.js
+// Dashboard metrics shared by DashboardContext and the what-if scenario planner
+// Keeping one copy of each formula means projected scenarios are scored exactly like real data.
+
+import { estimateDebtFreeDate } from './debtPayoff';
+import { projectGoal } from './goalProjections';
+
+/**
+ * Budget status for an amount spent against a limit
+ * @param {number} spent - Amount spent
+ * @param {number} limit - Budget limit
+ * @returns {'over'|'warning'|'good'} Status
+ */
+export const getBudgetStatus = (spent, limit) =>
+  spent > limit ? 'over' : spent > limit * 0.8 ? 'warning' : 'good';
+
+/**
+ * Progress towards each goal as of a given date
+ * When a contribution ledger is given, each goal also carries its velocity-based `projection`.
+ * @param {Array} goals - Goals with targetAmount, currentAmount and deadline
+ * @param {Date} [asOf] - Date the days left are counted from (default: now)
+ * @param {Array} [contributions] - Goal contribution ledger
+ * @returns {Array} Goals with progress, daysLeft and status
+ */
+export const buildGoalProgress = (goals, asOf = new Date(), contributions) =>
+  (goals || []).map(goal => {
+    const progress = goal.targetAmount > 0 ? (goal.currentAmount / goal.targetAmount) * 100 : 0;
+    const daysLeft = Math.ceil((new Date(goal.deadline) - asOf) / (1000 * 60 * 60 * 24));
+
+    return {
+      ...goal,
+      progress,
+      daysLeft,
+      status: progress >= 100 ? 'completed' : daysLeft <= 30 ? 'urgent' : 'active',
+      ...(contributions && { projection: projectGoal(goal, contributions, asOf) })
+    };
+  });
+
+/**
+ * Totals, repayment progress and debt-free date for a set of debts
+ * @param {Array} debts - All debts, active and closed
+ * @returns {Object} Debt summary
+ */
+export const summarizeDebts = (debts) => {
+  const allDebts = debts || [];
+  const activeDebts = allDebts.filter(debt => debt.isActive);
+  const totalDebt = activeDebts.reduce((sum, debt) => sum + (debt.balance || 0), 0);
+  const totalMonthlyPayments = activeDebts.reduce((sum, debt) => sum + (debt.minimumPayment || 0), 0);
+  const totalPaid = allDebts.reduce((sum, debt) => sum + ((debt.principal || 0) - (debt.balance || 0)), 0);
+  const totalPrincipal = allDebts.reduce((sum, debt) => sum + (debt.principal || 0), 0);
+  const overallProgress = totalPrincipal > 0 ? (totalPaid / totalPrincipal) * 100 : 0;
+
+  return {
+    totalDebt,
+    totalMonthlyPayments,
+    activeDebts: activeDebts.length,
+    overallProgress,
+    debtFreeDate: estimateDebtFreeDate(activeDebts)
+  };
+};
+
+/**
+ * Composite financial health score (0-100)
+ * @param {Object} metrics - Current metrics
+ * @param {Object} metrics.financialSummary - Income and savings rate
+ * @param {Object} metrics.debtSummary - Total debt
+ * @param {Array} metrics.budgetProgress - Budgets with status
+ * @param {Array} metrics.goalProgress - Goals with progress
+ * @param {Array} metrics.monthlyTrends - Recent months with net cash flow
+ * @returns {number} Score
+ */
+export const calculateFinancialHealthScore = ({ financialSummary, debtSummary, budgetProgress, goalProgress, monthlyTrends }) => {
+  let score = 50;
+
+  // Savings rate contribution
+  const savingsRate = financialSummary.savingsRate;
+  score += Math.min(25, savingsRate / 2);
+
+  // Debt-to-income ratio contribution
+  const debtToIncome = debtSummary.totalDebt / (financialSummary.income || 1);
+  if (debtToIncome < 0.3) score += 25;
+  else if (debtToIncome < 0.5) score += 15;
+  else if (debtToIncome < 0.7) score += 5;
+  else score -= 10;
+
+  // Budget adherence penalty
+  const overBudgetCount = budgetProgress.filter(b => b.status === 'over').length;
+  score -= overBudgetCount * 5;
+
+  // Goal progress contribution
+  const goalProgressAvg = goalProgress.length > 0
+    ? goalProgress.reduce((sum, g) => sum + g.progress, 0) / goalProgress.length
+    : 0;
+  score += Math.min(15, goalProgressAvg / 6.67);
+
+  // Cash flow consistency penalty
+  const negativeMonths = monthlyTrends.filter(m => m.net < 0).length;
+  score -= negativeMonths * 3;
+
+  return Math.max(0, Math.min(100, Math.round(score)));
+};
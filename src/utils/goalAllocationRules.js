@@ -0,0 +1,236 @@
+//goalAllocationRules.js
+// Standing rules that move a share of qualifying income into goals
+// A rule matches an income transaction (minimum amount, account, category) and splits
+// `allocationPercentage` of it across its goals, honouring per-goal caps and never
+// putting more into a goal than it needs to reach its target.
+
+import { localStore } from './localStore';
+
+/** How a rule divides its share of the income between goals */
+export const ALLOCATION_SPLIT_METHODS = {
+  weighted: {
+    label: 'By goal allocation %',
+    description: "Each goal gets a share proportional to its own allocation percentage (evenly if none are set)"
+  },
+  even: {
+    label: 'Evenly',
+    description: 'Every goal gets the same share'
+  },
+  ordered: {
+    label: 'One at a time',
+    description: 'Fill the first goal before moving on to the next (soonest deadline first when no goals are picked)'
+  }
+};
+
+/** Fields of a new rule */
+export const EMPTY_ALLOCATION_RULE = {
+  name: '',
+  isActive: true,
+  minAmount: 1000,
+  accountId: '',
+  category: '',
+  allocationPercentage: 10,
+  splitMethod: 'weighted',
+  goalIds: [],
+  goalCaps: {}
+};
+
+/** Rounds to whole cents */
+const toCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/** Name of the per-user store holding allocation rules when the server does not store them */
+const LOCAL_ALLOCATION_RULES_STORE = 'goalAllocationRules';
+
+/**
+ * Reads the allocation rules saved in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {Array} Rules
+ */
+export const readLocalAllocationRules = (userId) => localStore(userId, LOCAL_ALLOCATION_RULES_STORE).read([]);
+
+/**
+ * Saves the allocation rules in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {Array} rules - Rules
+ */
+export const saveLocalAllocationRules = (userId, rules) => {
+  localStore(userId, LOCAL_ALLOCATION_RULES_STORE).write(rules);
+};
+
+/**
+ * Checks a rule before it is saved
+ * @param {Object} rule - Rule fields
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateAllocationRule = (rule) => {
+  if (!String(rule.name || '').trim()) return 'Rule name is required';
+  const percentage = Number(rule.allocationPercentage);
+  if (!(percentage > 0) || percentage > 100) return 'Allocation percentage must be between 1 and 100';
+  if (Number(rule.minAmount) < 0) return 'Minimum income amount cannot be negative';
+  if (!ALLOCATION_SPLIT_METHODS[rule.splitMethod]) return 'Unknown split method';
+  const badCap = Object.values(rule.goalCaps || {}).some(cap => cap !== '' && cap !== null && !(Number(cap) > 0));
+  if (badCap) return 'Goal caps must be positive amounts';
+  return null;
+};
+
+/**
+ * Whether a goal can still receive money
+ * @param {Object} goal - Goal
+ * @returns {boolean} True when active and below its target
+ */
+export const isGoalOpen = (goal) =>
+  goal.isActive !== false && !goal.isCompleted && (Number(goal.currentAmount) || 0) < (Number(goal.targetAmount) || 0);
+
+/**
+ * Whether a transaction triggers a rule
+ * @param {Object} rule - Allocation rule
+ * @param {Object} transaction - Transaction, with its amount in the base currency
+ * @returns {boolean} True for active rules matching qualifying income
+ */
+export const ruleMatchesTransaction = (rule, transaction) => {
+  if (!rule.isActive || transaction?.type !== 'income') return false;
+  if ((Number(transaction.amount) || 0) < (Number(rule.minAmount) || 0)) return false;
+  if (rule.accountId && String(rule.accountId) !== String(transaction.accountId)) return false;
+  if (rule.category && String(rule.category).toLowerCase() !== String(transaction.category || '').toLowerCase()) return false;
+  return true;
+};
+
+/**
+ * The goals a rule feeds, in the order it fills them
+ * Picked goals keep the order they were picked in; otherwise every active goal is used,
+ * soonest deadline first.
+ * @param {Object} rule - Allocation rule
+ * @param {Array} goals - All goals
+ * @returns {Array} Goals that can still receive money
+ */
+export const getRuleGoals = (rule, goals) => {
+  const open = (goals || []).filter(isGoalOpen);
+  if (rule.goalIds?.length) {
+    return rule.goalIds
+      .map(id => open.find(goal => String(goal.id) === String(id)))
+      .filter(Boolean);
+  }
+  return [...open].sort((a, b) => {
+    const aTime = a.deadline ? new Date(a.deadline).getTime() : Infinity;
+    const bTime = b.deadline ? new Date(b.deadline).getTime() : Infinity;
+    return aTime - bTime;
+  });
+};
+
+/**
+ * Most a goal can take from one transaction: the smaller of the rule's cap and what the goal still needs
+ * @private
+ */
+const getGoalLimit = (rule, goal) => {
+  const remaining = toCents((Number(goal.targetAmount) || 0) - (Number(goal.currentAmount) || 0));
+  const cap = Number(rule.goalCaps?.[goal.id]);
+  return cap > 0 ? Math.min(cap, remaining) : remaining;
+};
+
+/**
+ * Splits a rule's share of an income amount between its goals
+ * For the weighted and even methods, whatever a capped or nearly-complete goal cannot take
+ * is shared again between the others; anything no goal can take is reported as unallocated.
+ * @param {Object} rule - Allocation rule
+ * @param {Array} goals - All goals
+ * @param {number} incomeAmount - Income amount
+ * @returns {{pool: number, allocations: Array, totalAllocated: number, unallocated: number}} Split
+ */
+export const splitAllocation = (rule, goals, incomeAmount) => {
+  const pool = toCents((Number(incomeAmount) || 0) * (Number(rule.allocationPercentage) || 0) / 100);
+  const targets = getRuleGoals(rule, goals).map(goal => ({
+    goal,
+    limit: getGoalLimit(rule, goal),
+    amount: 0
+  }));
+
+  let left = pool;
+  if (rule.splitMethod === 'ordered') {
+    targets.forEach(target => {
+      target.amount = toCents(Math.min(target.limit, left));
+      left = toCents(left - target.amount);
+    });
+  } else {
+    let open = targets.filter(target => target.limit > 0);
+    while (left >= 0.01 && open.length > 0) {
+      const weights = open.map(target =>
+        rule.splitMethod === 'weighted' ? Number(target.goal.allocationPercentage) || 0 : 1);
+      const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+      const round = left;
+
+      open.forEach((target, index) => {
+        const share = totalWeight > 0 ? round * weights[index] / totalWeight : round / open.length;
+        const amount = toCents(Math.min(share, target.limit - target.amount, left));
+        target.amount = toCents(target.amount + amount);
+        left = toCents(left - amount);
+      });
+
+      const stillOpen = open.filter(target => target.limit - target.amount >= 0.01);
+      // Stop once nobody was capped this round; only rounding pennies can remain
+      if (stillOpen.length === open.length) break;
+      open = stillOpen;
+    }
+    // Rounding pennies go to the first goal with room
+    const roomy = targets.find(target => target.limit - target.amount >= left);
+    if (left > 0 && left < 0.05 && roomy) {
+      roomy.amount = toCents(roomy.amount + left);
+      left = 0;
+    }
+  }
+
+  const allocations = targets
+    .filter(target => target.amount > 0)
+    .map(target => {
+      const remaining = toCents(target.goal.targetAmount - target.goal.currentAmount);
+      return {
+        goalId: target.goal.id,
+        goalName: target.goal.name,
+        amount: target.amount,
+        cap: Number(rule.goalCaps?.[target.goal.id]) > 0 ? Number(rule.goalCaps[target.goal.id]) : null,
+        reachesTarget: target.amount >= remaining,
+        limitedBy: target.amount < target.limit ? null : target.amount >= remaining ? 'target' : 'cap'
+      };
+    });
+
+  const totalAllocated = toCents(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+  return { pool, allocations, totalAllocated, unallocated: toCents(pool - totalAllocated) };
+};
+
+/**
+ * Every rule a transaction triggers, with each rule's split
+ * Rules run in list order against running goal balances, so two rules never overfill a goal.
+ * @param {Array} rules - Allocation rules
+ * @param {Object} transaction - Income transaction, with its amount in the base currency
+ * @param {Array} goals - All goals
+ * @returns {Array<{rule: Object, pool: number, allocations: Array, totalAllocated: number, unallocated: number}>} Splits
+ */
+export const previewAllocationRules = (rules, transaction, goals) => {
+  let balances = (goals || []).map(goal => ({ ...goal }));
+
+  return (rules || [])
+    .filter(rule => ruleMatchesTransaction(rule, transaction))
+    .map(rule => {
+      const split = splitAllocation(rule, balances, transaction.amount);
+      balances = balances.map(goal => {
+        const allocation = split.allocations.find(item => String(item.goalId) === String(goal.id));
+        if (!allocation) return goal;
+        const currentAmount = toCents(goal.currentAmount + allocation.amount);
+        return { ...goal, currentAmount, isCompleted: currentAmount >= goal.targetAmount };
+      });
+      return { rule, ...split };
+    })
+    .filter(split => split.allocations.length > 0);
+};
+
+/**
+ * Rule status for display
+ * A rule with picked goals is finished once all of them have reached their targets.
+ * @param {Object} rule - Allocation rule
+ * @param {Array} goals - All goals
+ * @returns {'active'|'paused'|'completed'|'idle'} Status
+ */
+export const getAllocationRuleStatus = (rule, goals) => {
+  if (rule.goalIds?.length && getRuleGoals(rule, goals).length === 0) return 'completed';
+  if (!rule.isActive) return 'paused';
+  return getRuleGoals(rule, goals).length > 0 ? 'active' : 'idle';
+};
@@ -0,0 +1,91 @@
+//goalAllocationRules.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  EMPTY_ALLOCATION_RULE,
+  validateAllocationRule,
+  ruleMatchesTransaction,
+  getRuleGoals,
+  splitAllocation,
+  previewAllocationRules,
+  getAllocationRuleStatus
+} from './goalAllocationRules';
+
+const rule = (fields) => ({ ...EMPTY_ALLOCATION_RULE, id: 'r1', name: 'Payday', ...fields });
+
+const GOALS = [
+  { id: 1, name: 'Holiday', targetAmount: 1000, currentAmount: 900, allocationPercentage: 25, deadline: '2025-06-01' },
+  { id: 2, name: 'Emergency', targetAmount: 5000, currentAmount: 0, allocationPercentage: 75, deadline: '2026-01-01' },
+  { id: 3, name: 'Done', targetAmount: 100, currentAmount: 100, isCompleted: true }
+];
+
+const income = { type: 'income', amount: 2000, accountId: 'a1', category: 'Salary' };
+
+describe('validateAllocationRule', () => {
+  it('accepts the empty rule once named', () => {
+    expect(validateAllocationRule(rule({}))).toBeNull();
+    expect(validateAllocationRule(rule({ minAmount: -1 }))).toMatch(/negative/);
+  });
+});
+
+describe('ruleMatchesTransaction', () => {
+  it('needs active rules, income and the minimum amount', () => {
+    expect(ruleMatchesTransaction(rule({ minAmount: 1000 }), income)).toBe(true);
+    expect(ruleMatchesTransaction(rule({ minAmount: 2500 }), income)).toBe(false);
+    expect(ruleMatchesTransaction(rule({ isActive: false }), income)).toBe(false);
+    expect(ruleMatchesTransaction(rule({}), { ...income, type: 'expense' })).toBe(false);
+  });
+
+  it('filters by account and category, ignoring case', () => {
+    expect(ruleMatchesTransaction(rule({ accountId: 'a2' }), income)).toBe(false);
+    expect(ruleMatchesTransaction(rule({ category: 'salary' }), income)).toBe(true);
+  });
+});
+
+describe('getRuleGoals', () => {
+  it('uses open goals, soonest deadline first, or the picked order', () => {
+    expect(getRuleGoals(rule({}), GOALS).map(goal => goal.id)).toEqual([1, 2]);
+    expect(getRuleGoals(rule({ goalIds: [2, 3, 1] }), GOALS).map(goal => goal.id)).toEqual([2, 1]);
+  });
+});
+
+describe('splitAllocation', () => {
+  it('shares by goal weight and passes on what a nearly-complete goal cannot take', () => {
+    const split = splitAllocation(rule({ allocationPercentage: 50 }), GOALS, 2000);
+    expect(split.pool).toBe(1000);
+    expect(split.allocations.map(allocation => [allocation.goalId, allocation.amount])).toEqual([[1, 100], [2, 900]]);
+    expect(split.allocations[0]).toMatchObject({ reachesTarget: true, limitedBy: 'target' });
+    expect(split.unallocated).toBe(0);
+  });
+
+  it('honours goal caps and reports what no goal can take', () => {
+    const split = splitAllocation(rule({ allocationPercentage: 50, splitMethod: 'even', goalCaps: { 2: 300 } }), GOALS, 2000);
+    expect(split.allocations.map(allocation => allocation.amount)).toEqual([100, 300]);
+    expect(split.allocations[1].limitedBy).toBe('cap');
+    expect(split.unallocated).toBe(600);
+  });
+
+  it('fills goals one at a time in order', () => {
+    const split = splitAllocation(rule({ allocationPercentage: 10, splitMethod: 'ordered' }), GOALS, 2000);
+    expect(split.allocations.map(allocation => [allocation.goalId, allocation.amount])).toEqual([[1, 100], [2, 100]]);
+  });
+});
+
+describe('previewAllocationRules', () => {
+  it('runs later rules against the balances earlier rules leave', () => {
+    const rules = [
+      rule({ id: 'a', allocationPercentage: 10, splitMethod: 'ordered', goalIds: [1] }),
+      rule({ id: 'b', allocationPercentage: 10, splitMethod: 'ordered', goalIds: [1, 2] })
+    ];
+    const splits = previewAllocationRules(rules, income, GOALS);
+    expect(splits.map(split => split.totalAllocated)).toEqual([100, 200]);
+    expect(splits[1].allocations.map(allocation => allocation.goalId)).toEqual([2]);
+  });
+});
+
+describe('getAllocationRuleStatus', () => {
+  it('is completed once every picked goal is reached', () => {
+    expect(getAllocationRuleStatus(rule({ goalIds: [3] }), GOALS)).toBe('completed');
+    expect(getAllocationRuleStatus(rule({ isActive: false }), GOALS)).toBe('paused');
+    expect(getAllocationRuleStatus(rule({}), GOALS)).toBe('active');
+  });
+});
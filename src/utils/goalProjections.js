@@ -0,0 +1,222 @@
+//goalProjections.js
+// Goal contribution ledger, contribution velocity and completion projections
+// Projections use what was actually contributed recently, not the amount the goal needs.
+
+import { localStore } from './localStore';
+
+/** Ledger sources and their display labels */
+export const CONTRIBUTION_SOURCES = {
+  manual: 'Manual',
+  auto_allocation: 'Income allocation',
+  allocation_rule: 'Allocation rule'
+};
+
+/** Tracking statuses with display text and colour classes */
+export const GOAL_TRACKING_STATUS = {
+  completed: { label: 'Completed', color: 'text-green-600', badge: 'bg-green-100 text-green-700' },
+  on_track: { label: 'On track', color: 'text-green-600', badge: 'bg-green-100 text-green-700' },
+  behind: { label: 'Behind', color: 'text-orange-600', badge: 'bg-orange-100 text-orange-700' },
+  no_contributions: { label: 'No recent contributions', color: 'text-gray-600', badge: 'bg-gray-100 text-gray-600' },
+  overdue: { label: 'Deadline passed', color: 'text-red-600', badge: 'bg-red-100 text-red-700' },
+  no_deadline: { label: 'No deadline', color: 'text-blue-600', badge: 'bg-blue-100 text-blue-700' }
+};
+
+/** Months of recent contributions used to measure velocity */
+export const VELOCITY_WINDOW_MONTHS = 6;
+
+/** Longest trajectory drawn, in months */
+const MAX_TRAJECTORY_MONTHS = 120;
+
+const MS_PER_MONTH = 30.44 * 24 * 60 * 60 * 1000;
+
+/** Name of the per-user store holding the contribution ledger when the server does not keep one */
+const LOCAL_CONTRIBUTIONS_STORE = 'goalContributions';
+
+/**
+ * Reads the contribution ledger saved in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {Array} Contributions
+ */
+export const readLocalContributions = (userId) => localStore(userId, LOCAL_CONTRIBUTIONS_STORE).read([]);
+
+/**
+ * Saves the contribution ledger in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {Array} contributions - Contributions
+ */
+export const saveLocalContributions = (userId, contributions) => {
+  localStore(userId, LOCAL_CONTRIBUTIONS_STORE).write(contributions);
+};
+
+/**
+ * A goal's contributions, oldest first
+ * @param {Array} contributions - Ledger for all goals
+ * @param {string|number} goalId - Goal ID
+ * @returns {Array} Contributions
+ */
+export const getContributionsForGoal = (contributions, goalId) =>
+  (contributions || [])
+    .filter(contribution => String(contribution.goalId) === String(goalId))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+/**
+ * Parses a date, returning null when it is missing or invalid
+ * @private
+ */
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Fractional months between two dates
+ * @private
+ */
+const monthsBetween = (from, to) => (to - from) / MS_PER_MONTH;
+
+/**
+ * Adds fractional months to a date
+ * @private
+ */
+const addFractionalMonths = (date, months) => new Date(date.getTime() + months * MS_PER_MONTH);
+
+/**
+ * Average amount contributed per month over the recent window
+ * The window starts at the goal's start when that is more recent, and is at least one month long.
+ * @param {Array} contributions - The goal's contributions
+ * @param {Object} [options] - Velocity options
+ * @param {Date} [options.asOf] - End of the window (default: now)
+ * @param {Date} [options.since] - When the goal started
+ * @returns {number} Amount per month
+ */
+export const calculateContributionVelocity = (contributions, { asOf = new Date(), since } = {}) => {
+  const windowStart = new Date(asOf);
+  windowStart.setMonth(windowStart.getMonth() - VELOCITY_WINDOW_MONTHS);
+  const start = since && since > windowStart ? since : windowStart;
+
+  const total = (contributions || [])
+    .filter(contribution => {
+      const date = toDate(contribution.date);
+      return date && date >= start && date <= asOf;
+    })
+    .reduce((sum, contribution) => sum + (Number(contribution.amount) || 0), 0);
+
+  return total / Math.max(1, monthsBetween(start, asOf));
+};
+
+/**
+ * Projects when a goal will be reached and what it needs to finish on time
+ * @param {Object} goal - Goal with targetAmount, currentAmount, deadline and createdAt
+ * @param {Array} contributions - Ledger for all goals (or just this goal's entries)
+ * @param {Date} [asOf] - Date to project from (default: now)
+ * @returns {Object} Contributed total, velocity, required monthly amount, projected completion and status
+ */
+export const projectGoal = (goal, contributions, asOf = new Date()) => {
+  const ledger = getContributionsForGoal(contributions, goal.id);
+  const target = Number(goal.targetAmount) || 0;
+  const current = Number(goal.currentAmount) || 0;
+  const contributed = ledger.reduce((sum, contribution) => sum + (Number(contribution.amount) || 0), 0);
+  const remaining = Math.max(0, target - current);
+  const lastContribution = ledger[ledger.length - 1];
+  const startDate = toDate(goal.createdAt) || toDate(ledger[0]?.date) || asOf;
+  const deadline = toDate(goal.deadline);
+
+  const monthlyVelocity = calculateContributionVelocity(ledger, { asOf, since: startDate });
+  const monthsToDeadline = deadline ? monthsBetween(asOf, deadline) : null;
+
+  let requiredMonthly = null;
+  if (remaining <= 0) {
+    requiredMonthly = 0;
+  } else if (deadline) {
+    // Less than a month left (or already late) means the rest is due now
+    requiredMonthly = remaining / Math.max(1, monthsToDeadline);
+  }
+
+  let projectedCompletionDate = null;
+  if (remaining <= 0) {
+    projectedCompletionDate = toDate(lastContribution?.date) || asOf;
+  } else if (monthlyVelocity > 0) {
+    projectedCompletionDate = addFractionalMonths(asOf, remaining / monthlyVelocity);
+  }
+
+  let status;
+  if (remaining <= 0 || goal.isCompleted) status = 'completed';
+  else if (!deadline) status = 'no_deadline';
+  else if (deadline < asOf) status = 'overdue';
+  else if (monthlyVelocity <= 0) status = 'no_contributions';
+  else status = projectedCompletionDate <= deadline ? 'on_track' : 'behind';
+
+  return {
+    contributed,
+    contributionCount: ledger.length,
+    lastContributionDate: toDate(lastContribution?.date),
+    openingAmount: Math.max(0, current - contributed),
+    startDate,
+    remaining,
+    monthlyVelocity,
+    requiredMonthly,
+    monthlyShortfall: requiredMonthly === null ? 0 : Math.max(0, requiredMonthly - monthlyVelocity),
+    monthsToDeadline,
+    projectedCompletionDate,
+    status,
+    onTrack: status === 'completed' || status === 'on_track'
+  };
+};
+
+/**
+ * Month-by-month actual, projected and required balances for a goal's chart
+ * Actual balances come from the ledger up to today; the projection continues at the current
+ * velocity, and the required line runs straight from the starting balance to the target at the deadline.
+ * @param {Object} goal - Goal
+ * @param {Array} contributions - Ledger for all goals (or just this goal's entries)
+ * @param {Date} [asOf] - Today (default: now)
+ * @returns {Array<{date: Date, actual: number|null, projected: number|null, required: number|null}>} Monthly points
+ */
+export const buildGoalTrajectory = (goal, contributions, asOf = new Date()) => {
+  const projection = projectGoal(goal, contributions, asOf);
+  const ledger = getContributionsForGoal(contributions, goal.id);
+  const target = Number(goal.targetAmount) || 0;
+  const current = Number(goal.currentAmount) || 0;
+  const deadline = toDate(goal.deadline);
+  const start = new Date(projection.startDate.getFullYear(), projection.startDate.getMonth(), 1);
+
+  const ends = [asOf, deadline, projection.projectedCompletionDate].filter(Boolean);
+  const last = new Date(Math.max(...ends.map(date => date.getTime())));
+  const monthCount = Math.min(
+    MAX_TRAJECTORY_MONTHS,
+    (last.getFullYear() - start.getFullYear()) * 12 + last.getMonth() - start.getMonth() + 1
+  );
+
+  const requiredSpan = deadline ? deadline - projection.startDate : 0;
+  const points = [];
+
+  for (let index = 0; index < monthCount; index += 1) {
+    const monthEnd = new Date(start.getFullYear(), start.getMonth() + index + 1, 0, 23, 59, 59);
+    const isPast = monthEnd < asOf;
+    const isCurrent = !isPast && monthEnd.getFullYear() === asOf.getFullYear() && monthEnd.getMonth() === asOf.getMonth();
+
+    let actual = null;
+    if (isPast) {
+      actual = projection.openingAmount + ledger
+        .filter(contribution => new Date(contribution.date) <= monthEnd)
+        .reduce((sum, contribution) => sum + (Number(contribution.amount) || 0), 0);
+    } else if (isCurrent) {
+      actual = current;
+    }
+
+    const projected = isPast
+      ? null
+      : Math.min(target, current + projection.monthlyVelocity * Math.max(0, monthsBetween(asOf, monthEnd)));
+
+    let required = null;
+    if (deadline && requiredSpan > 0) {
+      const share = Math.min(1, Math.max(0, (monthEnd - projection.startDate) / requiredSpan));
+      required = projection.openingAmount + (target - projection.openingAmount) * share;
+    }
+
+    points.push({ date: new Date(start.getFullYear(), start.getMonth() + index, 1), actual, projected, required });
+  }
+
+  return points;
+};
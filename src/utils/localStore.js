@@ -0,0 +1,63 @@
+//localStore.js
+// Per-user data kept in this browser
+// Settings that only exist client-side, and the records the app keeps itself when the server does not
+// store them, are saved as JSON under `<name>:<userId>` ("guest" before sign-in). Storage can be full,
+// blocked or hold something unreadable, so reads fall back to a default and writes warn instead of
+// throwing: a storage problem never breaks the state update that saves.
+
+/**
+ * localStorage key of a user's store
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {string} name - Store name
+ * @returns {string} Storage key
+ */
+export const getLocalStoreKey = (userId, name) => `${name}:${userId ?? 'guest'}`;
+
+/**
+ * Whether a saved value has the shape of the fallback: an array, a plain object, or any value
+ * @private
+ */
+const hasShapeOf = (value, fallback) => {
+  if (Array.isArray(fallback)) return Array.isArray(value);
+  if (fallback && typeof fallback === 'object') return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  return value !== null && value !== undefined;
+};
+
+/**
+ * One of a user's stores in localStorage
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {string} name - Store name
+ * @returns {{key: string, read: Function, write: Function, remove: Function}} Store. `read(fallback)`
+ *   returns the saved value, or `fallback` when nothing of the same shape is saved; `write(value)` returns
+ *   whether it was saved; `remove()` deletes the store.
+ */
+export const localStore = (userId, name) => {
+  const key = getLocalStoreKey(userId, name);
+  return {
+    key,
+    read: (fallback = null) => {
+      try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        return hasShapeOf(saved, fallback) ? saved : fallback;
+      } catch {
+        return fallback;
+      }
+    },
+    write: (value) => {
+      try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+      } catch (error) {
+        console.warn(`Could not save ${name}`, error);
+        return false;
+      }
+    },
+    remove: () => {
+      try {
+        localStorage.removeItem(key);
+      } catch {
+        // Nothing was readable to remove
+      }
+    }
+  };
+};
@@ -0,0 +1,55 @@
+//localStore.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { localStore, getLocalStoreKey } from './localStore';
+
+/** In-memory localStorage that can be made to refuse writes */
+const createStorage = () => {
+  const items = new Map();
+  return {
+    full: false,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem(key, value) {
+      if (this.full) throw new Error('QuotaExceededError');
+      items.set(key, String(value));
+    },
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', createStorage());
+});
+
+describe('localStore', () => {
+  it('keeps each user\'s data under its own key', () => {
+    expect(getLocalStoreKey(7, 'rules')).toBe('rules:7');
+    expect(localStore(undefined, 'rules').key).toBe('rules:guest');
+
+    localStore(7, 'rules').write([{ id: 1 }]);
+    expect(localStore(7, 'rules').read([])).toEqual([{ id: 1 }]);
+    expect(localStore(8, 'rules').read([])).toEqual([]);
+  });
+
+  it('falls back when the saved value is missing, unreadable or of another shape', () => {
+    localStorage.setItem('rules:1', '{not json');
+    localStorage.setItem('settings:1', '[1, 2]');
+    expect(localStore(1, 'rules').read([])).toEqual([]);
+    expect(localStore(1, 'settings').read({ enabled: false })).toEqual({ enabled: false });
+    expect(localStore(1, 'missing').read()).toBeNull();
+  });
+
+  it('warns instead of throwing when storage refuses a write', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    localStorage.full = true;
+    expect(localStore(1, 'rules').write([])).toBe(false);
+    expect(warn).toHaveBeenCalledWith('Could not save rules', expect.any(Error));
+    warn.mockRestore();
+  });
+
+  it('removes a store', () => {
+    const store = localStore(1, 'rules');
+    store.write([1]);
+    store.remove();
+    expect(store.read([])).toEqual([]);
+  });
+});
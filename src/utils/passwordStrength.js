@@ -0,0 +1,140 @@
+//passwordStrength.js
+// Password strength scoring and the rules new passwords must meet
+// Shared by the sign-up, reset and change-password forms and by the mock backend, so the meter and the
+// server agree on what is accepted.
+import { COMMON_PASSWORDS } from './commonPasswords';
+
+/** Shortest password accepted */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/** Lowest score accepted, on the 0-4 scale of scorePassword */
+export const MIN_PASSWORD_SCORE = 2;
+
+/** Names of the scores 0-4 */
+export const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Strong', 'Very strong'];
+
+/** Estimated bits of entropy needed for scores 1-4 */
+const SCORE_THRESHOLDS = [28, 36, 60, 80];
+
+/** Keyboard rows and alphabets whose runs (qwerty, abcd, 4321) add little strength */
+const SEQUENCES = ['abcdefghijklmnopqrstuvwxyz', '01234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+
+/** Letter substitutions undone before checking the blocklist */
+const SUBSTITUTIONS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '@': 'a', '$': 's', '!': 'i' };
+
+const blocklist = new Set(COMMON_PASSWORDS);
+
+/**
+ * Whether a password is on the bundled list of common passwords
+ * Also matches list entries with digits or symbols appended and with common substitutions.
+ * @param {string} password - Password to check
+ * @returns {boolean} True for common passwords
+ */
+export const isCommonPassword = (password) => {
+  const lower = String(password || '').toLowerCase();
+  if (!lower) return false;
+  const trimmed = lower.replace(/[\d\W_]+$/, '');
+  const candidates = [lower, trimmed].flatMap(value => [value, value.replace(/[01345789@$!]/g, char => SUBSTITUTIONS[char])]);
+  return candidates.some(candidate => candidate.length > 0 && blocklist.has(candidate));
+};
+
+/**
+ * Size of the character set a password draws from
+ * @private
+ */
+const getCharsetSize = (password) => {
+  let size = 0;
+  if (/[a-z]/.test(password)) size += 26;
+  if (/[A-Z]/.test(password)) size += 26;
+  if (/\d/.test(password)) size += 10;
+  if (/[!-/:-@[-`{-~ ]/.test(password)) size += 33;
+  if (/[^\x20-\x7e]/.test(password)) size += 100;
+  return size;
+};
+
+/**
+ * Length after repeated characters and keyboard or alphabet runs are counted once
+ * @private
+ */
+const getEffectiveLength = (password) => {
+  const lower = password.toLowerCase();
+  let length = 0;
+  for (let i = 0; i < lower.length; i += 1) {
+    const previous = lower[i - 1];
+    const repeated = previous === lower[i];
+    const inRun = previous !== undefined && SEQUENCES.some(sequence =>
+      sequence.includes(previous + lower[i]) || sequence.includes(lower[i] + previous));
+    length += repeated || inRun ? 0.25 : 1;
+  }
+  return length;
+};
+
+/**
+ * Parts of the user's own details that a password should not contain
+ * @private
+ */
+const getPersonalWords = (userInputs) => userInputs
+  .flatMap(input => String(input || '').toLowerCase().split(/[@.\s_-]+/))
+  .filter(word => word.length >= 3);
+
+/**
+ * Scores how hard a password is to guess
+ * @param {string} password - Password to score
+ * @param {Object} [options] - Scoring options
+ * @param {string[]} [options.userInputs] - The user's name, email and the like, which count against it
+ * @returns {{score: number, label: string, feedback: string[], common: boolean}} Score from 0 (very weak)
+ *   to 4 (very strong), its label, suggestions, and whether it is on the common-password list
+ */
+export const scorePassword = (password = '', { userInputs = [] } = {}) => {
+  const common = isCommonPassword(password);
+  const feedback = [];
+  if (!password) {
+    return { score: 0, label: STRENGTH_LABELS[0], feedback, common };
+  }
+
+  // Personal details are as guessable as the common list, so they add nothing
+  const lower = password.toLowerCase();
+  const personal = getPersonalWords(userInputs).filter(word => lower.includes(word));
+  const stripped = personal.reduce((rest, word) => rest.split(word).join(''), lower);
+  const bits = getEffectiveLength(personal.length ? stripped : password) * Math.log2(getCharsetSize(password) || 1);
+  let score = SCORE_THRESHOLDS.filter(threshold => bits >= threshold).length;
+
+  if (common) {
+    score = 0;
+    feedback.push('This password is too common; it appears in lists of leaked passwords');
+  }
+  if (personal.length) {
+    score = Math.min(score, 1);
+    feedback.push('Avoid your name or email address');
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    score = Math.min(score, 1);
+    feedback.push(`Use at least ${MIN_PASSWORD_LENGTH} characters`);
+  } else if (score < 3 && password.length < 12) {
+    feedback.push('A longer password, or a few unrelated words, is stronger');
+  }
+  if (score < 3 && getCharsetSize(password) < 62) {
+    feedback.push('Mix upper and lower case letters, numbers and symbols');
+  }
+  if (getEffectiveLength(password) < password.length * 0.75) {
+    feedback.push('Avoid repeated characters and sequences such as "abcd" or "1234"');
+  }
+
+  return { score, label: STRENGTH_LABELS[score], feedback, common };
+};
+
+/**
+ * Checks a new password against the password rules
+ * @param {string} password - New password
+ * @param {string[]} [userInputs] - The user's name and email
+ * @returns {string|null} Error message, or null when the password is accepted
+ */
+export const validateNewPassword = (password, userInputs = []) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  const { score, common } = scorePassword(password, { userInputs });
+  if (common) return 'This password is too common. Choose one that is harder to guess';
+  if (score < MIN_PASSWORD_SCORE) return 'This password is too easy to guess. Make it longer or less predictable';
+  return null;
+};
@@ -0,0 +1,59 @@
+//passwordStrength.test.js
+import { describe, it, expect } from 'vitest';
+import { isCommonPassword, scorePassword, validateNewPassword, STRENGTH_LABELS } from './passwordStrength';
+
+const USER = ['Sam Jones', 'sam.jones@example.com'];
+
+describe('isCommonPassword', () => {
+  it('matches list entries with suffixes, substitutions and any case', () => {
+    expect(isCommonPassword('password')).toBe(true);
+    expect(isCommonPassword('Password123!')).toBe(true);
+    expect(isCommonPassword('P@ssw0rd')).toBe(true);
+    expect(isCommonPassword('zq8vLm3t')).toBe(false);
+    expect(isCommonPassword('')).toBe(false);
+  });
+});
+
+describe('scorePassword', () => {
+  it('rates an empty password very weak without feedback', () => {
+    expect(scorePassword('')).toEqual({ score: 0, label: 'Very weak', feedback: [], common: false });
+  });
+
+  it('rates common passwords 0 whatever their length', () => {
+    const result = scorePassword('P@ssw0rd!');
+    expect(result).toMatchObject({ score: 0, common: true });
+    expect(result.feedback[0]).toMatch(/too common/);
+  });
+
+  it('counts repeats and keyboard runs once', () => {
+    expect(scorePassword('aaaaaaaaaaaa').score).toBe(0);
+    expect(scorePassword('abcdefgh12').feedback).toContain('Avoid repeated characters and sequences such as "abcd" or "1234"');
+  });
+
+  it('rises with length and character variety', () => {
+    expect(scorePassword('zq8vLm3t').score).toBe(2);
+    expect(scorePassword('gH7#kq9!Zp2$').score).toBe(3);
+    expect(scorePassword('correct horse battery staple')).toMatchObject({ score: 4, label: STRENGTH_LABELS[4], feedback: [] });
+  });
+
+  it('caps passwords built on the user\'s own details', () => {
+    const result = scorePassword('samjones2024X!', { userInputs: USER });
+    expect(result.score).toBe(1);
+    expect(result.feedback).toContain('Avoid your name or email address');
+    expect(scorePassword('samjones2024X!').score).toBeGreaterThan(1);
+  });
+
+  it('caps short passwords', () => {
+    expect(scorePassword('x#7Q').score).toBeLessThanOrEqual(1);
+  });
+});
+
+describe('validateNewPassword', () => {
+  it('checks length, then the common list, then the score', () => {
+    expect(validateNewPassword('abc')).toBe('Password must be at least 8 characters');
+    expect(validateNewPassword('password123')).toMatch(/too common/);
+    expect(validateNewPassword('aaaaaaaaaaaa')).toMatch(/too easy to guess/);
+    expect(validateNewPassword('samjones2024X!', USER)).toMatch(/too easy to guess/);
+    expect(validateNewPassword('zq8vLm3t', USER)).toBeNull();
+  });
+});
@@ -0,0 +1,315 @@
+//ruleEngine.js
+// Categorization rules: matching, applying, previewing and learning from corrections
+// Rules are plain objects so the same helpers run on manual entry, statement import and retroactive edits.
+
+import { recurringService } from '../services/recurringService';
+import { isSplitTransaction } from './splitTransactions';
+import { localStore } from './localStore';
+
+/** Moods a rule can attach (same values as the mood tracker) */
+export const RULE_MOODS = ['happy', 'stressed', 'bored', 'impulsive', 'planned', 'anxious', 'excited', 'regretful'];
+
+/** Corrections to the same payee and category needed before a rule is suggested */
+export const MIN_CORRECTIONS_FOR_SUGGESTION = 2;
+
+/** Most recent corrections kept for learning */
+const MAX_STORED_CORRECTIONS = 200;
+
+/** Name of the per-user store holding rules when the server cannot store them */
+const LOCAL_RULES_STORE = 'categorizationRules';
+
+/** Name of the per-user store holding recorded corrections and dismissed suggestions */
+const RULE_LEARNING_STORE = 'ruleLearning';
+
+/**
+ * Reads rules saved in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {Array} Rules
+ */
+export const readLocalRules = (userId) => localStore(userId, LOCAL_RULES_STORE).read([]);
+
+/**
+ * Saves rules in this browser
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {Array} rules - Rules
+ */
+export const saveLocalRules = (userId, rules) => {
+  localStore(userId, LOCAL_RULES_STORE).write(rules);
+};
+
+/**
+ * Reads recorded corrections and dismissed suggestion keys
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {{corrections: Array, dismissed: string[]}} Learning data
+ */
+export const readRuleLearning = (userId) => {
+  const saved = localStore(userId, RULE_LEARNING_STORE).read({});
+  return {
+    corrections: Array.isArray(saved.corrections) ? saved.corrections : [],
+    dismissed: Array.isArray(saved.dismissed) ? saved.dismissed : []
+  };
+};
+
+/**
+ * Saves learning data, keeping only the most recent corrections
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {{corrections: Array, dismissed: string[]}} learning - Learning data
+ */
+export const saveRuleLearning = (userId, learning) => {
+  localStore(userId, RULE_LEARNING_STORE).write({
+    corrections: learning.corrections.slice(-MAX_STORED_CORRECTIONS),
+    dismissed: learning.dismissed
+  });
+};
+
+/**
+ * Records that the user changed a transaction's category by hand
+ * Changes that keep the category, or that have no description to learn from, are ignored.
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {Object} correction - Description, previous category (from) and chosen category (to)
+ * @returns {boolean} True when the correction was recorded
+ */
+export const recordCategoryCorrection = (userId, { description, from, to }) => {
+  if (!to || from === to || !getPayeeKey(description)) return false;
+  const learning = readRuleLearning(userId);
+  learning.corrections.push({ description, from: from || null, to, at: new Date().toISOString() });
+  saveRuleLearning(userId, learning);
+  return true;
+};
+
+/**
+ * Empty rule used by the rule editor
+ * @type {Object}
+ */
+export const EMPTY_RULE = {
+  name: '',
+  enabled: true,
+  priority: 0,
+  conditions: {
+    descriptionContains: '',
+    descriptionRegex: '',
+    amountMin: '',
+    amountMax: '',
+    accountId: '',
+    type: ''
+  },
+  actions: {
+    category: '',
+    tags: [],
+    markRecurring: false,
+    mood: ''
+  }
+};
+
+/**
+ * Treats empty strings, null and undefined as "not set"
+ * @private
+ */
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Compiles a rule's regular expression, ignoring invalid patterns
+ * @private
+ */
+const compileRegex = (pattern) => {
+  try {
+    return new RegExp(pattern, 'i');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Payee key used to learn from corrections: the normalized description without
+ * reference numbers, dates and punctuation, e.g. "STARBUCKS #1234 09/14" -> "starbucks"
+ * @param {string} description - Transaction description
+ * @returns {string} Payee key (empty when nothing meaningful is left)
+ */
+export const getPayeeKey = (description) =>
+  recurringService.normalizeDescription(description)
+    .replace(/\d+([/.-]\d+)*/g, ' ')
+    .replace(/[^\p{L}\s&]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Checks a rule for problems before it is saved
+ * @param {Object} rule - Rule to validate
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateRule = (rule) => {
+  const { conditions = {}, actions = {} } = rule || {};
+  if (!String(rule?.name || '').trim()) return 'Rule name is required';
+
+  const hasCondition = ['descriptionContains', 'descriptionRegex', 'amountMin', 'amountMax', 'accountId', 'type']
+    .some(field => isSet(conditions[field]));
+  if (!hasCondition) return 'Add at least one condition';
+
+  if (isSet(conditions.descriptionRegex) && !compileRegex(conditions.descriptionRegex)) {
+    return 'The regular expression is not valid';
+  }
+  if (isSet(conditions.amountMin) && isSet(conditions.amountMax) &&
+      Number(conditions.amountMin) > Number(conditions.amountMax)) {
+    return 'Minimum amount cannot be greater than maximum amount';
+  }
+
+  const hasAction = isSet(actions.category) || (actions.tags || []).length > 0 || actions.markRecurring || isSet(actions.mood);
+  if (!hasAction) return 'Add at least one action';
+
+  return null;
+};
+
+/**
+ * Checks whether a transaction satisfies every condition of a rule
+ * @param {Object} transaction - Transaction or import row
+ * @param {Object} rule - Rule with conditions
+ * @returns {boolean} True when all set conditions match
+ */
+export const matchesRule = (transaction, rule) => {
+  if (!rule || rule.enabled === false) return false;
+  const conditions = rule.conditions || {};
+  const description = recurringService.normalizeDescription(transaction.description);
+  const amount = Math.abs(parseFloat(transaction.amount) || 0);
+
+  if (isSet(conditions.descriptionContains) &&
+      !description.includes(recurringService.normalizeDescription(conditions.descriptionContains))) {
+    return false;
+  }
+  if (isSet(conditions.descriptionRegex)) {
+    const regex = compileRegex(conditions.descriptionRegex);
+    if (!regex || !regex.test(transaction.description || '')) return false;
+  }
+  if (isSet(conditions.amountMin) && amount < Number(conditions.amountMin)) return false;
+  if (isSet(conditions.amountMax) && amount > Number(conditions.amountMax)) return false;
+  if (isSet(conditions.accountId) && String(transaction.accountId ?? '') !== String(conditions.accountId)) return false;
+  if (isSet(conditions.type) && transaction.type !== conditions.type) return false;
+
+  return true;
+};
+
+/**
+ * Orders rules for evaluation: lower priority number first, then oldest first
+ * @param {Array} rules - Rules
+ * @returns {Array} Sorted copy
+ */
+export const sortRules = (rules) =>
+  [...(rules || [])].sort((a, b) =>
+    (Number(a.priority) || 0) - (Number(b.priority) || 0) ||
+    String(a.id).localeCompare(String(b.id), undefined, { numeric: true })
+  );
+
+/**
+ * Runs the rules against one transaction
+ * The first matching rule that sets a category wins; tags from every matching rule are combined,
+ * and the first matching mood is used.
+ * @param {Object} transaction - Transaction or import row
+ * @param {Array} rules - Rules to evaluate
+ * @returns {{transaction: Object, matchedRules: Array, mood: string|null}} Updated copy, matching rules and mood to attach
+ */
+export const applyRules = (transaction, rules) => {
+  const matchedRules = sortRules(rules).filter(rule => matchesRule(transaction, rule));
+  const result = { ...transaction };
+  let categorySet = false;
+  let mood = null;
+
+  matchedRules.forEach(({ actions = {} }) => {
+    if (isSet(actions.category) && !categorySet) {
+      result.category = actions.category;
+      categorySet = true;
+    }
+    if ((actions.tags || []).length > 0) {
+      result.tags = [...new Set([...(result.tags || []), ...actions.tags])];
+    }
+    if (actions.markRecurring) {
+      result.isRecurring = true;
+    }
+    if (isSet(actions.mood) && !mood) {
+      mood = actions.mood;
+    }
+  });
+
+  return { transaction: result, matchedRules, mood };
+};
+
+/**
+ * Fields a rule run would change on an existing transaction
+ * @param {Object} before - Original transaction
+ * @param {Object} after - Transaction after applyRules
+ * @returns {Object} Changed fields (empty when nothing changes)
+ * @private
+ */
+const diffRuleChanges = (before, after) => {
+  const changes = {};
+  if (after.category !== before.category) changes.category = after.category;
+  const addedTags = (after.tags || []).filter(tag => !(before.tags || []).includes(tag));
+  if (addedTags.length > 0) changes.tags = after.tags;
+  if (after.isRecurring && !before.isRecurring) changes.isRecurring = true;
+  return changes;
+};
+
+/**
+ * Previews running rules over existing transactions
+ * @param {Array} transactions - Existing transactions
+ * @param {Array} rules - Rules to apply
+ * @param {Object} [options] - Preview options
+ * @param {Function} [options.hasMood] - Returns true when a transaction already has a mood; moods are never overwritten
+ * @returns {Array<{transaction: Object, changes: Object, mood: string|null, ruleNames: string[]}>} Affected rows only
+ */
+export const previewRuleApplication = (transactions, rules, { hasMood = () => false } = {}) =>
+  (transactions || []).reduce((rows, transaction) => {
+    const { transaction: updated, matchedRules, mood } = applyRules(transaction, rules);
+    if (matchedRules.length === 0) return rows;
+
+    const changes = diffRuleChanges(transaction, updated);
+    // A split's categories were picked line by line, so rules leave them alone
+    if (isSplitTransaction(transaction)) delete changes.category;
+    const moodToAttach = mood && !hasMood(transaction.id) ? mood : null;
+    if (Object.keys(changes).length === 0 && !moodToAttach) return rows;
+
+    rows.push({ transaction, changes, mood: moodToAttach, ruleNames: matchedRules.map(rule => rule.name) });
+    return rows;
+  }, []);
+
+/**
+ * Suggests rules from category corrections the user made by hand
+ * Corrections are grouped by payee key and new category; groups with enough corrections
+ * that no existing rule already handles become suggestions.
+ * @param {Array<{description: string, from: string, to: string}>} corrections - Recorded corrections
+ * @param {Array} rules - Existing rules
+ * @param {Object} [options] - Suggestion options
+ * @param {string[]} [options.dismissed] - Suggestion keys the user dismissed
+ * @returns {Array<Object>} Suggested rules with `key`, `count` and `examples`
+ */
+export const suggestRules = (corrections, rules, { dismissed = [] } = {}) => {
+  const groups = {};
+
+  (corrections || []).forEach(correction => {
+    const payee = getPayeeKey(correction.description);
+    if (!payee || !correction.to) return;
+    const key = `${payee}=>${correction.to}`;
+    if (!groups[key]) groups[key] = { key, payee, category: correction.to, count: 0, examples: [] };
+    groups[key].count += 1;
+    if (groups[key].examples.length < 3 && !groups[key].examples.includes(correction.description)) {
+      groups[key].examples.push(correction.description);
+    }
+  });
+
+  return Object.values(groups)
+    .filter(group => group.count >= MIN_CORRECTIONS_FOR_SUGGESTION && !dismissed.includes(group.key))
+    // Skip payees whose corrections an existing rule already produces
+    .filter(group => !group.examples.every(description =>
+      applyRules({ description }, rules).transaction.category === group.category
+    ))
+    .sort((a, b) => b.count - a.count)
+    .map(group => ({
+      key: group.key,
+      count: group.count,
+      examples: group.examples,
+      rule: {
+        ...EMPTY_RULE,
+        name: `${group.payee} → ${group.category}`,
+        conditions: { ...EMPTY_RULE.conditions, descriptionContains: group.payee },
+        actions: { ...EMPTY_RULE.actions, category: group.category }
+      }
+    }));
+};
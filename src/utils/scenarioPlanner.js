@@ -0,0 +1,416 @@
+//scenarioPlanner.js
+// What-if scenarios: adjustments applied to a copy of the dashboard data and projected month by month
+// Both the baseline and the scenario are projected with the same model, so only the adjustments differ.
+
+import { getCategoryFamily } from './categoryUtils';
+import { toMonthlyAmount } from './budgetPeriods';
+import { expandSplitTransactions } from './splitTransactions';
+import { getAmortizedPayment, simulatePayoff } from './debtPayoff';
+import { localStore } from './localStore';
+import {
+  buildGoalProgress,
+  calculateFinancialHealthScore,
+  getBudgetStatus,
+  summarizeDebts
+} from './financialMetrics';
+
+/** Projection length limits in months */
+export const PROJECTION_LIMITS = { min: 12, max: 60, default: 24 };
+
+/** Adjustment types with their labels and default fields */
+export const SCENARIO_ADJUSTMENT_TYPES = {
+  income: { label: 'Change income', defaults: { mode: 'percent', value: 10 } },
+  budget: { label: 'Change a category budget', defaults: { category: '', limit: '' } },
+  loan: { label: 'Add a new loan', defaults: { name: 'New loan', amount: '', interestRate: '', termMonths: 36, minimumPayment: '' } },
+  goalDeadline: { label: 'Move a goal deadline', defaults: { goalId: '', deadline: '' } },
+  extraDebtPayment: { label: 'Extra debt payment', defaults: { amount: '', strategy: 'avalanche' } }
+};
+
+/** Name of the per-user store holding saved scenarios */
+const SCENARIOS_STORE = 'whatIfScenarios';
+
+/**
+ * Reads saved scenarios, newest first
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {Array} Scenarios with id, name, months and adjustments
+ */
+export const readSavedScenarios = (userId) => localStore(userId, SCENARIOS_STORE).read([]);
+
+/**
+ * Writes the saved scenario list
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {Array} scenarios - Scenarios, newest first
+ * @returns {Array} The list written
+ */
+export const writeSavedScenarios = (userId, scenarios) => {
+  localStore(userId, SCENARIOS_STORE).write(scenarios);
+  return scenarios;
+};
+
+/**
+ * Saves a scenario, replacing the saved copy with the same ID
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {Object} scenario - Name, months and adjustments (and ID when updating)
+ * @returns {{scenario: Object, scenarios: Array}} Saved scenario and the updated list
+ */
+export const saveScenario = (userId, scenario) => {
+  const stamp = new Date().toISOString();
+  const existing = readSavedScenarios(userId);
+  const previous = scenario.id && existing.find(item => item.id === scenario.id);
+  const saved = {
+    id: scenario.id || `scenario-${Date.now()}`,
+    name: String(scenario.name || '').trim(),
+    months: scenario.months,
+    adjustments: scenario.adjustments || [],
+    createdAt: previous?.createdAt || stamp,
+    updatedAt: stamp
+  };
+  const scenarios = writeSavedScenarios(userId, [saved, ...existing.filter(item => item.id !== saved.id)]);
+  return { scenario: saved, scenarios };
+};
+
+/**
+ * Removes a saved scenario
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {string} id - Scenario ID
+ * @returns {Array} Updated list
+ */
+export const deleteSavedScenario = (userId, id) =>
+  writeSavedScenarios(userId, readSavedScenarios(userId).filter(item => item.id !== id));
+
+/**
+ * New adjustment of a given type with its default fields
+ * @param {string} type - Key of SCENARIO_ADJUSTMENT_TYPES
+ * @returns {Object} Adjustment
+ */
+export const createAdjustment = (type) => ({
+  id: `adjustment-${Date.now()}-${Math.random().toString(36).slice(2, 7)}`,
+  type,
+  ...SCENARIO_ADJUSTMENT_TYPES[type].defaults
+});
+
+/**
+ * Month key (YYYY-MM) for a date, matching DashboardContext.monthlyTrends
+ * @private
+ */
+const getMonthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Copies the dashboard data into a scenario baseline
+ * Income and spending are averaged over the months in the monthly trends. The result is a deep
+ * copy, so adjusting a scenario never touches the records the rest of the app uses.
+ * @param {Object} data - Dashboard data
+ * @param {Array} data.transactions - Transactions in the base currency
+ * @param {Array} data.monthlyTrends - Recent months with a YYYY-MM `key`
+ * @param {number} data.totalAccounts - Current account balances in the base currency
+ * @param {Array} data.budgets - Budgets
+ * @param {Array} data.goals - Goals
+ * @param {Array} data.debts - Debts
+ * @param {Array} data.categories - Category records
+ * @param {string} data.currency - Base currency
+ * @returns {Object} Scenario baseline
+ */
+export const createScenarioBaseline = ({
+  transactions = [],
+  monthlyTrends = [],
+  totalAccounts = 0,
+  budgets = [],
+  goals = [],
+  debts = [],
+  categories = [],
+  currency
+}) => {
+  const monthKeys = new Set(monthlyTrends.map(month => month.key));
+  const monthCount = Math.max(1, monthKeys.size);
+  const categorySpending = {};
+  let income = 0;
+
+  expandSplitTransactions(transactions).forEach(tx => {
+    const date = new Date(tx.date);
+    if (isNaN(date.getTime()) || !monthKeys.has(getMonthKey(date))) return;
+    if (tx.type === 'income') {
+      income += tx.amount || 0;
+    } else if (tx.type === 'expense') {
+      const category = tx.category || 'Uncategorized';
+      categorySpending[category] = (categorySpending[category] || 0) + Math.abs(tx.amount || 0);
+    }
+  });
+
+  Object.keys(categorySpending).forEach(category => {
+    categorySpending[category] /= monthCount;
+  });
+
+  const activeDebts = debts.filter(debt => debt.isActive && (debt.balance || 0) > 0);
+
+  return JSON.parse(JSON.stringify({
+    currency,
+    createdAt: new Date().toISOString(),
+    monthsAveraged: monthKeys.size,
+    monthlyIncome: income / monthCount,
+    categorySpending,
+    cash: totalAccounts,
+    // Debt payments are assumed to be among the recorded expenses already
+    recordedDebtPayments: activeDebts.reduce((sum, debt) => sum + (debt.minimumPayment || 0), 0),
+    budgets: budgets.filter(budget => budget.isActive !== false),
+    goals,
+    debts,
+    categories
+  }));
+};
+
+/**
+ * Scales a category's spending, and its subcategories', down to a monthly limit
+ * @private
+ */
+const capCategorySpending = (state, category, limit) => {
+  const family = getCategoryFamily(state.categories, category);
+  const spent = family.reduce((sum, name) => sum + (state.categorySpending[name] || 0), 0);
+  if (spent <= limit || spent <= 0) return;
+  const ratio = limit / spent;
+  family.forEach(name => {
+    if (state.categorySpending[name]) state.categorySpending[name] *= ratio;
+  });
+};
+
+/**
+ * Applies adjustments to a copy of the baseline
+ * Budget changes assume spending keeps to the new limit; new loans are assumed to be spent on the
+ * purchase, so they add a debt but no cash.
+ * @param {Object} baseline - Scenario baseline from createScenarioBaseline
+ * @param {Array} adjustments - Adjustments from createAdjustment
+ * @returns {Object} Scenario state ready to project
+ */
+export const applyAdjustments = (baseline, adjustments = []) => {
+  const state = JSON.parse(JSON.stringify(baseline));
+  state.extraDebtPayment = 0;
+  state.debtStrategy = 'avalanche';
+
+  adjustments.forEach(adjustment => {
+    switch (adjustment.type) {
+      case 'income': {
+        const value = Number(adjustment.value) || 0;
+        state.monthlyIncome = Math.max(0, adjustment.mode === 'percent'
+          ? state.monthlyIncome * (1 + value / 100)
+          : state.monthlyIncome + value);
+        break;
+      }
+      case 'budget': {
+        const limit = parseFloat(adjustment.limit);
+        if (!adjustment.category || !(limit >= 0)) break;
+        const budget = state.budgets.find(item => item.category === adjustment.category);
+        if (budget) {
+          // The planner works in months, so the new limit replaces the budget's own cycle
+          Object.assign(budget, { limit, period: 'monthly', periodAnchor: null });
+        } else {
+          state.budgets.push({
+            id: `scenario-${adjustment.id}`,
+            name: `${adjustment.category} budget`,
+            category: adjustment.category,
+            limit,
+            period: 'monthly',
+            isActive: true
+          });
+        }
+        capCategorySpending(state, adjustment.category, limit);
+        break;
+      }
+      case 'loan': {
+        const amount = parseFloat(adjustment.amount);
+        if (!(amount > 0)) break;
+        const interestRate = parseFloat(adjustment.interestRate) || 0;
+        state.debts.push({
+          id: `scenario-${adjustment.id}`,
+          name: adjustment.name || 'New loan',
+          type: 'loan',
+          principal: amount,
+          balance: amount,
+          interestRate,
+          termMonths: Number(adjustment.termMonths) || null,
+          minimumPayment: parseFloat(adjustment.minimumPayment) ||
+            getAmortizedPayment(amount, interestRate, adjustment.termMonths),
+          isActive: true
+        });
+        break;
+      }
+      case 'goalDeadline': {
+        const goal = state.goals.find(item => String(item.id) === String(adjustment.goalId));
+        if (goal && adjustment.deadline) goal.deadline = adjustment.deadline;
+        break;
+      }
+      case 'extraDebtPayment': {
+        state.extraDebtPayment += Math.max(0, parseFloat(adjustment.amount) || 0);
+        if (adjustment.strategy) state.debtStrategy = adjustment.strategy;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return state;
+};
+
+/**
+ * Months from one date to another, counting both months (same month = 1)
+ * @private
+ */
+const countMonths = (from, to) =>
+  (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth() + 1;
+
+/**
+ * Projects a scenario month by month and scores the result
+ * Each month income pays living costs and debt payments; any surplus funds goals in deadline order
+ * at the rate needed to reach them on time, and the rest stays as cash. The summary metrics cover
+ * the final 12 months of the projection and use the same formulas as the dashboard.
+ * @param {Object} state - Scenario state from applyAdjustments
+ * @param {number} months - Projection length (12-60)
+ * @param {Object} [options] - Projection options
+ * @param {Date} [options.startDate] - First projected month (default: next month)
+ * @returns {Object} Monthly rows plus financialSummary, budgetProgress, goalProgress, debtSummary and financialHealthScore
+ */
+export const projectScenario = (state, months, { startDate } = {}) => {
+  const horizon = Math.min(PROJECTION_LIMITS.max, Math.max(PROJECTION_LIMITS.min, Math.round(Number(months) || PROJECTION_LIMITS.default)));
+  const today = new Date();
+  const start = startDate ? new Date(startDate) : new Date(today.getFullYear(), today.getMonth() + 1, 1);
+
+  const openDebts = state.debts.filter(debt => debt.isActive && (debt.balance || 0) > 0);
+  const payoff = simulatePayoff(openDebts, {
+    strategy: state.debtStrategy,
+    extraPayment: state.extraDebtPayment,
+    startDate: start
+  });
+  const livingExpenses = Object.values(state.categorySpending).reduce((sum, amount) => sum + amount, 0);
+  const goals = state.goals.map(goal => ({ ...goal, currentAmount: goal.currentAmount || 0 }));
+  const fundedGoals = goals
+    .filter(goal => goal.isActive !== false && goal.deadline && !isNaN(new Date(goal.deadline).getTime()))
+    .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+  const completedOn = {};
+
+  let cash = state.cash;
+  let goalSavings = 0;
+  const rows = [];
+
+  for (let month = 1; month <= horizon; month += 1) {
+    const date = new Date(start.getFullYear(), start.getMonth() + month - 1, 1);
+    const debtRow = payoff.schedule[month - 1];
+    const debtPayment = debtRow?.payment || 0;
+    const expenses = Math.max(0, livingExpenses + debtPayment - state.recordedDebtPayments);
+    const net = state.monthlyIncome - expenses;
+
+    let available = Math.max(0, net);
+    let contributions = 0;
+    fundedGoals.forEach(goal => {
+      const remaining = goal.targetAmount - goal.currentAmount;
+      if (remaining <= 0 || available <= 0) return;
+      const required = remaining / Math.max(1, countMonths(date, new Date(goal.deadline)));
+      const amount = Math.min(required, available);
+      goal.currentAmount += amount;
+      available -= amount;
+      contributions += amount;
+      if (goal.currentAmount >= goal.targetAmount - 0.005 && !completedOn[goal.id]) {
+        completedOn[goal.id] = date;
+      }
+    });
+
+    cash += net - contributions;
+    goalSavings += contributions;
+    const debtBalance = debtRow ? debtRow.balance : 0;
+
+    rows.push({
+      month,
+      key: getMonthKey(date),
+      date,
+      income: state.monthlyIncome,
+      expenses,
+      debtPayment,
+      net,
+      goalContributions: contributions,
+      cash,
+      goalSavings,
+      debtBalance,
+      netWorth: cash + goalSavings - debtBalance
+    });
+  }
+
+  const lastYear = rows.slice(-12);
+  const endDate = rows[rows.length - 1].date;
+  const income = lastYear.reduce((sum, row) => sum + row.income, 0);
+  const expenses = lastYear.reduce((sum, row) => sum + row.expenses, 0);
+
+  const financialSummary = {
+    balance: income - expenses,
+    income,
+    expenses,
+    totalAccounts: cash,
+    savingsRate: income > 0 ? ((income - expenses) / income) * 100 : 0,
+    currency: state.currency,
+    monthlyIncome: income / lastYear.length,
+    monthlyExpenses: expenses / lastYear.length
+  };
+
+  // Spending is projected per month, so weekly, quarterly and other cycles are compared as monthly amounts
+  const budgetProgress = state.budgets.map(budget => {
+    const spent = getCategoryFamily(state.categories, budget.category)
+      .reduce((sum, name) => sum + (state.categorySpending[name] || 0), 0);
+    const monthlyLimit = toMonthlyAmount(budget);
+    return {
+      ...budget,
+      spent,
+      monthlyLimit,
+      progress: monthlyLimit > 0 ? (spent / monthlyLimit) * 100 : 0,
+      remaining: Math.max(0, monthlyLimit - spent),
+      status: getBudgetStatus(spent, monthlyLimit)
+    };
+  });
+
+  const goalProgress = buildGoalProgress(goals, endDate).map(goal => ({
+    ...goal,
+    projectedCompletion: completedOn[goal.id] || null,
+    onTrack: goal.deadline
+      ? Boolean(completedOn[goal.id]) && completedOn[goal.id] <= new Date(goal.deadline)
+      : null
+  }));
+
+  const projectedDebts = state.debts.map(debt => {
+    const simulated = payoff.debts.find(item => item.id === debt.id);
+    if (!simulated) return debt;
+    const balance = simulated.schedule[Math.min(horizon, simulated.schedule.length) - 1]?.balance ?? debt.balance;
+    return { ...debt, balance, isActive: balance > 0 };
+  });
+  const debtSummary = {
+    ...summarizeDebts(projectedDebts),
+    debtFreeDate: payoff.payoffDate,
+    totalInterest: payoff.totalInterest
+  };
+
+  const monthlyTrends = rows.slice(-6).map(row => ({ key: row.key, income: row.income, expenses: row.expenses, net: row.net }));
+
+  return {
+    months: horizon,
+    rows,
+    financialSummary,
+    budgetProgress,
+    goalProgress,
+    debtSummary,
+    monthlyTrends,
+    financialHealthScore: calculateFinancialHealthScore({
+      financialSummary,
+      debtSummary,
+      budgetProgress,
+      goalProgress,
+      monthlyTrends
+    })
+  };
+};
+
+/**
+ * Projects the baseline and a scenario over the same period
+ * @param {Object} baseline - Scenario baseline from createScenarioBaseline
+ * @param {Array} adjustments - Scenario adjustments
+ * @param {number} months - Projection length (12-60)
+ * @returns {{baseline: Object, scenario: Object}} Both projections
+ */
+export const compareScenario = (baseline, adjustments, months) => ({
+  baseline: projectScenario(applyAdjustments(baseline, []), months),
+  scenario: projectScenario(applyAdjustments(baseline, adjustments), months)
+});
@@ -0,0 +1,89 @@
+//sessionTimeout.js
+// Idle and absolute session timeouts, chosen per user and kept in this browser
+// A session ends when the user has been idle for the idle timeout, or when it has lasted the absolute
+// timeout whatever the activity. Both clocks run on the shared `loginTime` and `lastActivity` values in
+// localStorage, so every open tab reaches the same deadline.
+
+import { i18n } from '../services/i18n';
+import { localStore } from './localStore';
+
+/** Idle timeouts offered, in minutes */
+export const IDLE_TIMEOUT_OPTIONS = [5, 15, 30, 60, 120, 240, 480];
+
+/** Absolute timeouts offered, in hours */
+export const ABSOLUTE_TIMEOUT_OPTIONS = [4, 8, 12, 24, 72, 168];
+
+/** Timeouts used until the user picks their own */
+export const DEFAULT_SESSION_SETTINGS = { idleMinutes: 30, absoluteHours: 24 };
+
+/** How long before a timeout the warning appears, in milliseconds */
+export const SESSION_WARNING_MS = 60 * 1000;
+
+/**
+ * Checks timeout settings before saving
+ * @param {Object} settings - Settings with idleMinutes and absoluteHours
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSessionSettings = ({ idleMinutes, absoluteHours } = {}) => {
+  const idle = Number(idleMinutes);
+  const absolute = Number(absoluteHours);
+  if (!Number.isFinite(idle) || idle < 1 || idle > 24 * 60) return 'Idle timeout must be between 1 minute and 24 hours';
+  if (!Number.isFinite(absolute) || absolute < 1 || absolute > 30 * 24) return 'Session length must be between 1 hour and 30 days';
+  if (idle > absolute * 60) return 'Idle timeout cannot be longer than the session length';
+  return null;
+};
+
+/** Name of the per-user store holding timeout settings */
+const SESSION_SETTINGS_STORE = 'sessionSettings';
+
+/**
+ * Reads a user's timeout settings, falling back to the defaults for missing or invalid values
+ * @param {number|string} [userId] - Signed-in user ID
+ * @returns {{idleMinutes: number, absoluteHours: number}} Settings
+ */
+export const readSessionSettings = (userId) => {
+  const saved = { ...DEFAULT_SESSION_SETTINGS, ...localStore(userId, SESSION_SETTINGS_STORE).read({}) };
+  return validateSessionSettings(saved) ? { ...DEFAULT_SESSION_SETTINGS } : {
+    idleMinutes: Number(saved.idleMinutes),
+    absoluteHours: Number(saved.absoluteHours)
+  };
+};
+
+/**
+ * Saves a user's timeout settings
+ * @param {number|string} [userId] - Signed-in user ID
+ * @param {Object} settings - Settings with idleMinutes and absoluteHours
+ */
+export const saveSessionSettings = (userId, settings) => {
+  localStore(userId, SESSION_SETTINGS_STORE).write(settings);
+};
+
+/**
+ * When a session times out and which timeout ends it
+ * A missing login or activity time counts as `now`, so that clock starts over.
+ * @param {Object} times - Session clocks
+ * @param {number} [times.loginTime] - Sign-in time in milliseconds
+ * @param {number} [times.lastActivity] - Last activity in any tab, in milliseconds
+ * @param {Object} settings - Settings with idleMinutes and absoluteHours
+ * @param {number} [now] - Current time in milliseconds (default: now)
+ * @returns {{expiresAt: number, reason: 'idle'|'absolute'}} Deadline in milliseconds and its cause
+ */
+export const getSessionExpiry = ({ loginTime, lastActivity }, settings, now = Date.now()) => {
+  const idleDeadline = (Number(lastActivity) || now) + settings.idleMinutes * 60 * 1000;
+  const absoluteDeadline = (Number(loginTime) || now) + settings.absoluteHours * 60 * 60 * 1000;
+  return absoluteDeadline <= idleDeadline
+    ? { expiresAt: absoluteDeadline, reason: 'absolute' }
+    : { expiresAt: idleDeadline, reason: 'idle' };
+};
+
+/**
+ * Readable length of a timeout option, in the active language
+ * @param {number} minutes - Length in minutes
+ * @returns {string} Label such as "30 minutes", "8 hours" or "7 days"
+ */
+export const formatTimeoutLength = (minutes) => {
+  const plural = (count, unit) => i18n.t(`sessionTimeout.${unit}`, { count, value: i18n.formatNumber(count) });
+  if (minutes < 60) return plural(minutes, 'minutes');
+  if (minutes < 48 * 60 || minutes % (24 * 60) !== 0) return plural(Math.round(minutes / 60 * 10) / 10, 'hours');
+  return plural(minutes / (24 * 60), 'days');
+};
@@ -0,0 +1,100 @@
+//splitTransactions.js
+// Transactions split across several categories
+// A split transaction keeps one `amount` and a `splits` array of { category, amount, note } lines that
+// add up to it. Its `category` is the category of the largest line, so views that only know one
+// category still show something sensible; totals per category should go through getSplitLines.
+
+/** Fewest lines a split can have; a single line is just a normal transaction */
+export const MIN_SPLIT_LINES = 2;
+
+/**
+ * Rounds to whole cents
+ * @private
+ */
+const toCents = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Whether a transaction is split across categories
+ * @param {Object} tx - Transaction
+ * @returns {boolean} True when it has split lines
+ */
+export const isSplitTransaction = (tx) => Array.isArray(tx?.splits) && tx.splits.length > 0;
+
+/**
+ * Checks split lines against the transaction total before saving
+ * @param {Array} splits - Lines with category and amount
+ * @param {number} total - Transaction amount
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateSplits = (splits, total) => {
+  if (!Array.isArray(splits) || splits.length < MIN_SPLIT_LINES) return `A split needs at least ${MIN_SPLIT_LINES} lines`;
+  if (splits.some(line => !line.category)) return 'Every split line needs a category';
+  if (splits.some(line => !(toCents(line.amount) > 0))) return 'Every split line needs an amount greater than 0';
+  const difference = toCents(splits.reduce((sum, line) => sum + toCents(line.amount), 0) - toCents(total));
+  if (difference !== 0) {
+    return `Split lines must add up to the total (${difference > 0 ? 'over' : 'short'} by ${Math.abs(difference).toFixed(2)})`;
+  }
+  return null;
+};
+
+/**
+ * Cleans split lines from a form: amounts to cents, notes trimmed
+ * @param {Array} splits - Lines as entered
+ * @returns {Array<{category: string, amount: number, note: string}>} Lines ready to save
+ */
+export const normalizeSplits = (splits) => (splits || []).map(line => ({
+  category: line.category,
+  amount: toCents(line.amount),
+  note: String(line.note || '').trim()
+}));
+
+/**
+ * Category of the largest split line, used as the transaction's own category
+ * @param {Array} splits - Split lines
+ * @returns {string|null} Category name
+ */
+export const getPrimarySplitCategory = (splits) => {
+  if (!Array.isArray(splits) || splits.length === 0) return null;
+  return splits.reduce((largest, line) => (toCents(line.amount) > toCents(largest.amount) ? line : largest)).category;
+};
+
+/**
+ * The category lines of a transaction, in the units of its `amount`
+ * Line amounts are scaled to the transaction's amount, so a transaction converted to the base
+ * currency gives converted lines. An unsplit transaction is a single line.
+ * @param {Object} tx - Transaction
+ * @returns {Array<{category: string, amount: number, note: string}>} Lines
+ */
+export const getSplitLines = (tx) => {
+  if (!isSplitTransaction(tx)) return [{ category: tx.category, amount: Number(tx.amount) || 0, note: '' }];
+  const lineTotal = tx.splits.reduce((sum, line) => sum + (Number(line.amount) || 0), 0);
+  const scale = lineTotal !== 0 ? (Number(tx.amount) || 0) / lineTotal : 0;
+  return tx.splits.map(line => ({
+    category: line.category,
+    amount: (Number(line.amount) || 0) * scale,
+    note: line.note || ''
+  }));
+};
+
+/**
+ * Replaces each split transaction with one copy per line, each with that line's category and amount
+ * Copies keep the transaction's id and carry `splitIndex`; unsplit transactions are returned as they are.
+ * @param {Array} transactions - Transactions
+ * @returns {Array} Transactions with one entry per category line
+ */
+export const expandSplitTransactions = (transactions) =>
+  (transactions || []).flatMap(tx => (isSplitTransaction(tx)
+    ? getSplitLines(tx).map((line, splitIndex) => ({ ...tx, category: line.category, amount: line.amount, splitIndex }))
+    : [tx]));
+
+/**
+ * Categories a transaction touches, the largest line first
+ * @param {Object} tx - Transaction
+ * @returns {Array<string>} Category names
+ */
+export const getTransactionCategories = (tx) => {
+  if (!isSplitTransaction(tx)) return tx.category ? [tx.category] : [];
+  return [...new Set([...tx.splits]
+    .sort((a, b) => (Number(b.amount) || 0) - (Number(a.amount) || 0))
+    .map(line => line.category))];
+};
@@ -0,0 +1,89 @@
+//splitTransactions.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  isSplitTransaction,
+  validateSplits,
+  normalizeSplits,
+  getPrimarySplitCategory,
+  getSplitLines,
+  expandSplitTransactions,
+  getTransactionCategories
+} from './splitTransactions';
+
+const SPLITS = [
+  { category: 'Food', amount: 30, note: 'Groceries' },
+  { category: 'Shopping', amount: 70 }
+];
+
+const split = { id: 7, type: 'expense', category: 'Shopping', amount: 100, splits: SPLITS };
+
+describe('isSplitTransaction', () => {
+  it('needs split lines', () => {
+    expect(isSplitTransaction(split)).toBe(true);
+    expect(isSplitTransaction({ amount: 5, splits: [] })).toBe(false);
+    expect(isSplitTransaction(null)).toBe(false);
+  });
+});
+
+describe('validateSplits', () => {
+  it('needs two lines, each with a category and a positive amount', () => {
+    expect(validateSplits([SPLITS[0]], 30)).toMatch(/at least 2 lines/);
+    expect(validateSplits([SPLITS[0], { amount: 70 }], 100)).toMatch(/category/);
+    expect(validateSplits([SPLITS[0], { category: 'Rent', amount: 0 }], 30)).toMatch(/greater than 0/);
+  });
+
+  it('reports how far the lines are from the total, to the cent', () => {
+    expect(validateSplits(SPLITS, 100)).toBeNull();
+    expect(validateSplits([{ category: 'Food', amount: 0.1 }, { category: 'Rent', amount: 0.2 }], 0.3)).toBeNull();
+    expect(validateSplits(SPLITS, 90.5)).toBe('Split lines must add up to the total (over by 9.50)');
+    expect(validateSplits(SPLITS, 101)).toBe('Split lines must add up to the total (short by 1.00)');
+  });
+});
+
+describe('normalizeSplits', () => {
+  it('rounds amounts to cents and trims notes', () => {
+    expect(normalizeSplits([{ category: 'Food', amount: '12.345', note: ' lunch ' }])).toEqual([
+      { category: 'Food', amount: 12.35, note: 'lunch' }
+    ]);
+  });
+});
+
+describe('getPrimarySplitCategory', () => {
+  it('is the category of the largest line', () => {
+    expect(getPrimarySplitCategory(SPLITS)).toBe('Shopping');
+    expect(getPrimarySplitCategory([])).toBeNull();
+  });
+});
+
+describe('getSplitLines', () => {
+  it('scales the lines to the transaction amount', () => {
+    const converted = { ...split, amount: 50 };
+    expect(getSplitLines(converted).map(line => line.amount)).toEqual([15, 35]);
+    expect(getSplitLines(converted)[0].note).toBe('Groceries');
+  });
+
+  it('gives an unsplit transaction as a single line', () => {
+    expect(getSplitLines({ category: 'Rent', amount: '800' })).toEqual([{ category: 'Rent', amount: 800, note: '' }]);
+  });
+});
+
+describe('expandSplitTransactions', () => {
+  it('gives one copy per line and keeps unsplit transactions', () => {
+    const plain = { id: 8, category: 'Rent', amount: 800 };
+    const expanded = expandSplitTransactions([split, plain]);
+    expect(expanded.map(tx => [tx.id, tx.category, tx.amount, tx.splitIndex])).toEqual([
+      [7, 'Food', 30, 0],
+      [7, 'Shopping', 70, 1],
+      [8, 'Rent', 800, undefined]
+    ]);
+    expect(expanded[2]).toBe(plain);
+  });
+});
+
+describe('getTransactionCategories', () => {
+  it('lists each category once, the largest line first', () => {
+    const repeated = { ...split, splits: [...SPLITS, { category: 'Food', amount: 5 }] };
+    expect(getTransactionCategories(repeated)).toEqual(['Shopping', 'Food']);
+    expect(getTransactionCategories({ category: '' })).toEqual([]);
+  });
+});
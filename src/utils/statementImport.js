@@ -0,0 +1,451 @@
+//statementImport.js
+// Client-side parsing and normalization of bank statement files (CSV, OFX, QIF)
+
+import { recurringService } from '../services/recurringService';
+
+/**
+ * Keyword aliases used to map bank categories and payee names onto the built-in categories
+ * Only used for categories the user still has; custom ones are matched by name
+ * @type {Object<string, string[]>}
+ */
+const CATEGORY_KEYWORDS = {
+  Food: ['food', 'grocer', 'supermarket', 'restaurant', 'dining', 'cafe', 'coffee', 'bakery', 'takeaway', 'pizza'],
+  Travel: ['travel', 'airline', 'flight', 'hotel', 'uber', 'lyft', 'taxi', 'train', 'rail', 'fuel', 'petrol', 'parking'],
+  Entertainment: ['entertainment', 'netflix', 'spotify', 'cinema', 'movie', 'theatre', 'concert', 'game', 'streaming'],
+  Rent: ['rent', 'mortgage', 'landlord', 'housing'],
+  Utilities: ['utilit', 'electric', 'water', 'gas bill', 'internet', 'broadband', 'phone', 'mobile'],
+  Shopping: ['shopping', 'amazon', 'store', 'retail', 'clothing', 'merchandise'],
+  Healthcare: ['health', 'pharmacy', 'doctor', 'dental', 'hospital', 'medical', 'clinic']
+};
+
+/**
+ * Detects the statement format from the file name and its contents
+ * @param {string} fileName - Original file name
+ * @param {string} text - File contents
+ * @returns {string} 'csv', 'ofx' or 'qif'
+ */
+export const detectStatementFormat = (fileName = '', text = '') => {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (['ofx', 'qfx'].includes(extension) || /<OFX>/i.test(text)) return 'ofx';
+  if (extension === 'qif' || /^!Type:/im.test(text)) return 'qif';
+  return 'csv';
+};
+
+/**
+ * Splits CSV text into rows of cells, honouring quoted fields and escaped quotes
+ * The delimiter (comma, semicolon or tab) is detected from the first line
+ * @param {string} text - Raw CSV text
+ * @returns {string[][]} Array of rows, each an array of cell strings
+ */
+export const parseCSV = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') return [];
+
+  const firstLine = text.split(/\r?\n/)[0];
+  const delimiter = [',', ';', '\t']
+    .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell.trim());
+  if (row.some(value => value !== '')) rows.push(row);
+
+  return rows;
+};
+
+/**
+ * Parses an amount string from a bank export into a signed number
+ * Handles currency symbols, thousands separators, decimal commas and (negative) parentheses
+ * @param {string|number} value - Raw amount
+ * @returns {number} Parsed amount, NaN if the value is not numeric
+ */
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+
+  let cleaned = value.trim();
+  const isNegative = /^\(.*\)$/.test(cleaned) || cleaned.includes('-') || /\bDR\b/i.test(cleaned);
+  cleaned = cleaned.replace(/[^\d.,]/g, '');
+
+  // Decimal comma (e.g. 1.234,56 or 12,50)
+  if (/,\d{1,2}$/.test(cleaned)) {
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+  } else {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+
+  const amount = parseFloat(cleaned);
+  if (isNaN(amount)) return NaN;
+  return isNegative ? -amount : amount;
+};
+
+/**
+ * Formats a Date as a local YYYY-MM-DD string
+ * @param {Date} date - Date to format
+ * @returns {string} Date string
+ * @private
+ */
+const toDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parses a statement date into YYYY-MM-DD
+ * @param {string} value - Raw date value
+ * @param {string} dateFormat - 'auto', 'YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY' or 'YYYYMMDD'
+ * @returns {string|null} Normalized date or null if it cannot be parsed
+ */
+export const parseStatementDate = (value, dateFormat = 'auto') => {
+  if (!value || typeof value !== 'string') return null;
+  const raw = value.trim().replace(/'/g, '/');
+
+  let year;
+  let month;
+  let day;
+
+  const compact = raw.match(/^(\d{4})(\d{2})(\d{2})/);
+  const iso = raw.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const slashed = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+
+  if ((dateFormat === 'YYYYMMDD' || dateFormat === 'auto') && compact && !iso) {
+    [, year, month, day] = compact;
+  } else if ((dateFormat === 'YYYY-MM-DD' || dateFormat === 'auto') && iso) {
+    [, year, month, day] = iso;
+  } else if (slashed) {
+    const [, first, second, yearPart] = slashed;
+    const dayFirst = dateFormat === 'DD/MM/YYYY' || (dateFormat === 'auto' && parseInt(first, 10) > 12);
+    month = dayFirst ? second : first;
+    day = dayFirst ? first : second;
+    year = yearPart.length === 2 ? `20${yearPart}` : yearPart;
+  } else {
+    const fallback = new Date(raw);
+    return isNaN(fallback.getTime()) ? null : toDateString(fallback);
+  }
+
+  const date = new Date(parseInt(year, 10), parseInt(month, 10) - 1, parseInt(day, 10));
+  if (isNaN(date.getTime()) || date.getMonth() !== parseInt(month, 10) - 1) return null;
+  return toDateString(date);
+};
+
+/**
+ * Guesses which CSV columns hold which transaction fields from the header row
+ * @param {string[]} headers - Header cells
+ * @returns {Object} Column mapping with indexes (or null) for each field
+ */
+export const guessColumnMapping = (headers = []) => {
+  const find = (patterns) => {
+    const index = headers.findIndex(header =>
+      patterns.some(pattern => pattern.test(header || ''))
+    );
+    return index >= 0 ? index : null;
+  };
+
+  return {
+    date: find([/date/i, /posted/i]),
+    description: find([/desc/i, /payee/i, /narrative/i, /details/i, /memo/i, /name/i]),
+    amount: find([/^amount$/i, /amount/i, /value/i]),
+    debit: find([/debit/i, /withdrawal/i, /paid out/i]),
+    credit: find([/credit/i, /deposit/i, /paid in/i]),
+    category: find([/categor/i]),
+    type: find([/^type$/i, /transaction type/i])
+  };
+};
+
+/**
+ * Converts CSV rows into normalized import rows using a column mapping
+ * @param {string[][]} rows - Parsed CSV rows
+ * @param {Object} mapping - Column indexes for date, description, amount, debit, credit, category, type
+ * @param {Object} options - Mapping options
+ * @param {boolean} options.hasHeader - Whether the first row is a header row
+ * @param {string} options.dateFormat - Date format passed to parseStatementDate
+ * @param {boolean} options.invertAmounts - Treat positive amounts as expenses (credit card exports)
+ * @returns {Array} Normalized rows
+ */
+export const mapCsvRows = (rows, mapping, options = {}) => {
+  const { hasHeader = true, dateFormat = 'auto', invertAmounts = false } = options;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  return dataRows.map((cells, index) => {
+    const cell = (key) => (mapping[key] !== null && mapping[key] !== undefined ? cells[mapping[key]] : undefined);
+
+    let amount = parseAmount(cell('amount'));
+    if (isNaN(amount)) {
+      const debit = parseAmount(cell('debit'));
+      const credit = parseAmount(cell('credit'));
+      if (!isNaN(debit) && debit !== 0) amount = -Math.abs(debit);
+      else if (!isNaN(credit)) amount = Math.abs(credit);
+    } else if (invertAmounts) {
+      amount = -amount;
+    }
+
+    const rawType = (cell('type') || '').toLowerCase();
+    let type = amount < 0 ? 'expense' : 'income';
+    if (['debit', 'expense', 'withdrawal', 'dr'].includes(rawType)) type = 'expense';
+    if (['credit', 'income', 'deposit', 'cr'].includes(rawType)) type = 'income';
+
+    return buildImportRow({
+      line: index + (hasHeader ? 2 : 1),
+      date: parseStatementDate(cell('date'), dateFormat),
+      description: cell('description'),
+      amount,
+      type,
+      rawCategory: cell('category')
+    });
+  });
+};
+
+/**
+ * Extracts transactions from an OFX/QFX document (SGML or XML flavour)
+ * @param {string} text - OFX file contents
+ * @returns {Array} Normalized rows
+ */
+export const parseOFX = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || [];
+
+  const readTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : undefined;
+  };
+
+  return blocks.map((block, index) => {
+    const amount = parseAmount(readTag(block, 'TRNAMT'));
+    const name = readTag(block, 'NAME');
+    const memo = readTag(block, 'MEMO');
+
+    return buildImportRow({
+      line: index + 1,
+      date: parseStatementDate(readTag(block, 'DTPOSTED'), 'YYYYMMDD'),
+      description: [name, memo].filter(Boolean).join(' - '),
+      amount,
+      type: amount < 0 ? 'expense' : 'income',
+      externalId: readTag(block, 'FITID')
+    });
+  });
+};
+
+/**
+ * Extracts transactions from a QIF document
+ * @param {string} text - QIF file contents
+ * @param {string} dateFormat - Date format for the D records (QIF has no fixed format)
+ * @returns {Array} Normalized rows
+ */
+export const parseQIF = (text, dateFormat = 'auto') => {
+  const rows = [];
+  let record = {};
+
+  text.split(/\r?\n/).forEach(line => {
+    if (!line || line.startsWith('!')) return;
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    switch (code) {
+      case 'D':
+        record.date = value;
+        break;
+      case 'T':
+      case 'U':
+        record.amount = value;
+        break;
+      case 'P':
+        record.payee = value;
+        break;
+      case 'M':
+        record.memo = value;
+        break;
+      case 'L':
+        record.category = value.replace(/^\[|\]$/g, '');
+        break;
+      case 'N':
+        record.number = value;
+        break;
+      case '^': {
+        const amount = parseAmount(record.amount);
+        rows.push(buildImportRow({
+          line: rows.length + 1,
+          date: parseStatementDate(record.date, dateFormat),
+          description: [record.payee, record.memo].filter(Boolean).join(' - '),
+          amount,
+          type: amount < 0 ? 'expense' : 'income',
+          rawCategory: record.category,
+          externalId: record.number
+        }));
+        record = {};
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return rows;
+};
+
+/**
+ * Builds a normalized import row and records any validation errors
+ * @param {Object} fields - Parsed fields
+ * @returns {Object} Import row
+ * @private
+ */
+const buildImportRow = ({ line, date, description, amount, type, rawCategory, externalId }) => {
+  const errors = [];
+  if (!date) errors.push('Invalid or missing date');
+  if (isNaN(amount) || amount === 0) errors.push('Invalid or missing amount');
+
+  return {
+    line,
+    date,
+    description: (description || '').trim(),
+    amount: isNaN(amount) ? 0 : Math.abs(amount),
+    type,
+    rawCategory: rawCategory || '',
+    externalId: externalId || null,
+    errors
+  };
+};
+
+/**
+ * Maps a bank category or description onto one of the user's categories
+ * @param {string} rawCategory - Category label from the statement
+ * @param {string} description - Transaction description
+ * @param {string[]} categories - Names of the user's active categories
+ * @returns {string|undefined} Matching category, 'Other' (or the first category) if nothing matches
+ */
+export const mapToCategory = (rawCategory, description, categories = []) => {
+  const raw = (rawCategory || '').toLowerCase().trim();
+  const exact = categories.find(category => category.toLowerCase() === raw);
+  if (exact) return exact;
+
+  const haystacks = [raw, (description || '').toLowerCase()];
+  for (const haystack of haystacks) {
+    if (!haystack) continue;
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+      if (categories.includes(category) && keywords.some(keyword => haystack.includes(keyword))) {
+        return category;
+      }
+    }
+  }
+
+  return categories.includes('Other') ? 'Other' : categories[0];
+};
+
+/**
+ * Builds a comparison key for duplicate detection
+ * Reuses the recurring service's description/amount normalization and adds the day
+ * @param {Object} transaction - Transaction or import row
+ * @returns {string} Duplicate key
+ */
+export const getDuplicateKey = (transaction) => {
+  const date = new Date(transaction.date);
+  const day = isNaN(date.getTime()) ? 'unknown' : date.toISOString().split('T')[0];
+  return `${day}_${recurringService.getTransactionKey(transaction)}`;
+};
+
+/**
+ * Flags import rows that already exist in the account or repeat earlier in the file
+ * @param {Array} rows - Normalized import rows
+ * @param {Array} existingTransactions - Transactions already loaded in TransactionsContext
+ * @returns {Array} Rows with a `duplicateOf` field ('existing', 'file' or null)
+ */
+export const markDuplicates = (rows, existingTransactions = []) => {
+  const existingKeys = new Set(
+    existingTransactions
+      .filter(tx => tx && tx.date)
+      .map(getDuplicateKey)
+  );
+  const seenKeys = new Set();
+  const seenExternalIds = new Set();
+
+  return rows.map(row => {
+    if (row.errors.length > 0) return { ...row, duplicateOf: null };
+
+    const key = getDuplicateKey(row);
+    let duplicateOf = null;
+
+    if (existingKeys.has(key)) {
+      duplicateOf = 'existing';
+    } else if (seenKeys.has(key) || (row.externalId && seenExternalIds.has(row.externalId))) {
+      duplicateOf = 'file';
+    }
+
+    seenKeys.add(key);
+    if (row.externalId) seenExternalIds.add(row.externalId);
+
+    return { ...row, duplicateOf };
+  });
+};
+
+/**
+ * Parses a statement file into normalized, categorized and de-duplicated rows
+ * @param {Object} params - Parse parameters
+ * @param {string} params.format - 'csv', 'ofx' or 'qif'
+ * @param {string} params.text - File contents
+ * @param {Object} [params.mapping] - CSV column mapping
+ * @param {Object} [params.options] - CSV/QIF options (hasHeader, dateFormat, invertAmounts)
+ * @param {Array} [params.existingTransactions] - Transactions to check duplicates against
+ * @param {string[]} params.categories - Names of the user's active categories
+ * @returns {Array} Rows ready for preview
+ */
+export const parseStatement = ({
+  format,
+  text,
+  mapping,
+  options = {},
+  existingTransactions = [],
+  categories = []
+}) => {
+  let rows;
+
+  switch (format) {
+    case 'ofx':
+      rows = parseOFX(text);
+      break;
+    case 'qif':
+      rows = parseQIF(text, options.dateFormat);
+      break;
+    case 'csv':
+    default: {
+      const csvRows = parseCSV(text);
+      rows = mapCsvRows(csvRows, mapping || guessColumnMapping(csvRows[0]), options);
+      break;
+    }
+  }
+
+  return markDuplicates(rows, existingTransactions).map(row => ({
+    ...row,
+    category: mapToCategory(row.rawCategory, row.description, categories)
+  }));
+};
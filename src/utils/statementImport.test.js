@@ -0,0 +1,145 @@
+//statementImport.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  detectStatementFormat,
+  parseCSV,
+  parseAmount,
+  parseStatementDate,
+  guessColumnMapping,
+  parseOFX,
+  parseQIF,
+  mapToCategory,
+  parseStatement
+} from './statementImport';
+
+const CATEGORIES = ['Food', 'Travel', 'Entertainment', 'Rent', 'Utilities', 'Shopping', 'Healthcare', 'Other'];
+
+describe('detectStatementFormat', () => {
+  it('uses the extension, then the contents', () => {
+    expect(detectStatementFormat('march.qfx', '')).toBe('ofx');
+    expect(detectStatementFormat('export.txt', 'OFXHEADER:100\n<OFX>')).toBe('ofx');
+    expect(detectStatementFormat('export.txt', '!Type:Bank\nD01/02/2024')).toBe('qif');
+    expect(detectStatementFormat('export.csv', 'Date,Amount')).toBe('csv');
+  });
+});
+
+describe('parseCSV', () => {
+  it('detects the delimiter and honours quoted fields', () => {
+    expect(parseCSV('Date;Payee;Amount\n2024-01-02;"Cafe; Bar";-3,50')).toEqual([
+      ['Date', 'Payee', 'Amount'],
+      ['2024-01-02', 'Cafe; Bar', '-3,50']
+    ]);
+    expect(parseCSV('a,b\n"say ""hi""",2')[1]).toEqual(['say "hi"', '2']);
+  });
+
+  it('returns no rows for empty input', () => {
+    expect(parseCSV('   ')).toEqual([]);
+  });
+});
+
+describe('parseAmount', () => {
+  it('handles symbols, separators, decimal commas and negatives', () => {
+    expect(parseAmount('$1,234.56')).toBe(1234.56);
+    expect(parseAmount('1.234,56 €')).toBe(1234.56);
+    expect(parseAmount('12,50')).toBe(12.5);
+    expect(parseAmount('(42.00)')).toBe(-42);
+    expect(parseAmount('-7')).toBe(-7);
+    expect(parseAmount('10.00 DR')).toBe(-10);
+  });
+
+  it('returns NaN for blank or non-numeric values', () => {
+    expect(parseAmount('')).toBeNaN();
+    expect(parseAmount('n/a')).toBeNaN();
+  });
+});
+
+describe('parseStatementDate', () => {
+  it('normalizes the supported formats', () => {
+    expect(parseStatementDate('2024-3-7')).toBe('2024-03-07');
+    expect(parseStatementDate('20240307120000.000', 'YYYYMMDD')).toBe('2024-03-07');
+    expect(parseStatementDate('03/07/2024', 'MM/DD/YYYY')).toBe('2024-03-07');
+    expect(parseStatementDate('07/03/2024', 'DD/MM/YYYY')).toBe('2024-03-07');
+    expect(parseStatementDate("3/7'24")).toBe('2024-03-07');
+  });
+
+  it('reads the day first when the first part cannot be a month', () => {
+    expect(parseStatementDate('25/12/2024')).toBe('2024-12-25');
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseStatementDate('2024-02-30')).toBeNull();
+    expect(parseStatementDate('')).toBeNull();
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('finds the columns from common header names', () => {
+    expect(guessColumnMapping(['Posted Date', 'Narrative', 'Paid out', 'Paid in'])).toMatchObject({
+      date: 0,
+      description: 1,
+      amount: null,
+      debit: 2,
+      credit: 3
+    });
+  });
+});
+
+describe('parseOFX', () => {
+  it('reads SGML transactions without closing tags', () => {
+    const text = [
+      '<OFX><BANKTRANLIST>',
+      '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240105<TRNAMT>-12.30<FITID>A1<NAME>TESCO<MEMO>Groceries',
+      '<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240106<TRNAMT>1500.00<FITID>A2<NAME>ACME PAYROLL',
+      '</BANKTRANLIST></OFX>'
+    ].join('\n');
+
+    const rows = parseOFX(text);
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      date: '2024-01-05',
+      description: 'TESCO - Groceries',
+      amount: 12.3,
+      type: 'expense',
+      externalId: 'A1',
+      errors: []
+    });
+    expect(rows[1]).toMatchObject({ amount: 1500, type: 'income', externalId: 'A2' });
+  });
+});
+
+describe('parseQIF', () => {
+  it('reads records and strips transfer brackets from categories', () => {
+    const rows = parseQIF('!Type:Bank\nD01/15/2024\nT-20.00\nPShell\nL[Fuel]\n^\nD01/16/2024\nT\n^', 'MM/DD/YYYY');
+    expect(rows[0]).toMatchObject({ date: '2024-01-15', amount: 20, type: 'expense', rawCategory: 'Fuel' });
+    expect(rows[1].errors).toContain('Invalid or missing amount');
+  });
+});
+
+describe('mapToCategory', () => {
+  it('prefers an exact category, then keywords, then Other', () => {
+    expect(mapToCategory('rent', '', CATEGORIES)).toBe('Rent');
+    expect(mapToCategory('', 'NETFLIX.COM', CATEGORIES)).toBe('Entertainment');
+    expect(mapToCategory('', 'Something unknown', CATEGORIES)).toBe('Other');
+  });
+
+  it('only suggests categories the user has', () => {
+    expect(mapToCategory('', 'Starbucks coffee', ['Groceries', 'Misc'])).toBe('Groceries');
+    expect(mapToCategory('groceries', 'Starbucks coffee', ['Eating out', 'Groceries'])).toBe('Groceries');
+  });
+});
+
+describe('parseStatement', () => {
+  const csv = 'Date,Description,Amount\n2024-02-01,Coffee shop,-4.50\n2024-02-01,Coffee shop,-4.50\n2024-02-02,Salary,2000';
+
+  it('categorizes rows and flags repeats within the file', () => {
+    const rows = parseStatement({ format: 'csv', text: csv, categories: CATEGORIES });
+    expect(rows.map(row => row.category)).toEqual(['Food', 'Food', 'Other']);
+    expect(rows.map(row => row.duplicateOf)).toEqual([null, 'file', null]);
+  });
+
+  it('flags rows that already exist', () => {
+    const existing = [{ date: '2024-02-02', description: 'Salary', amount: 2000, type: 'income' }];
+    const rows = parseStatement({ format: 'csv', text: csv, existingTransactions: existing, categories: CATEGORIES });
+    expect(rows[2].duplicateOf).toBe('existing');
+  });
+});
@@ -0,0 +1,137 @@
+//transactionFilters.js
+// Shared filtering, searching and sorting of transaction lists
+// Used by the transaction views and by exports so both see exactly the same rows
+
+import { getTransactionCategories } from './splitTransactions';
+
+/**
+ * Checks whether a transaction matches a free-text search query
+ * @param {Object} tx - Transaction object
+ * @param {string} query - Search query
+ * @param {Object} options - Search options
+ * @param {boolean} options.includeAmount - Also match against the amount (default: true)
+ * @returns {boolean} True if the transaction matches or the query is empty
+ */
+export const matchesSearch = (tx, query, { includeAmount = true } = {}) => {
+  const search = (query || '').toLowerCase().trim();
+  if (!search) return true;
+
+  const matchesDescription = tx.description?.toLowerCase().includes(search);
+  const matchesCategory = getTransactionCategories(tx).some(category => category.toLowerCase().includes(search));
+  const matchesAmount = includeAmount && tx.amount?.toString().includes(search);
+
+  return Boolean(matchesDescription || matchesCategory || matchesAmount);
+};
+
+/**
+ * Checks whether a transaction passes the MultiFilter criteria
+ * A split transaction passes the category filter when any of its lines does.
+ * @param {Object} tx - Transaction object
+ * @param {Object} filters - Filters from MultiFilter (categories, type, dateRange, amountRange)
+ * @returns {boolean} True if the transaction passes every active filter
+ */
+export const matchesFilters = (tx, filters = {}) => {
+  const { categories = [], type = 'all', dateRange, amountRange } = filters;
+
+  // Category filter
+  if (Array.isArray(categories) && categories.length > 0 &&
+      !getTransactionCategories(tx).some(category => categories.includes(category))) {
+    return false;
+  }
+
+  // Type filter
+  if (type && type !== 'all' && tx.type !== type) {
+    return false;
+  }
+
+  // Date range filter
+  if (dateRange) {
+    const txDate = new Date(tx.date);
+
+    if (dateRange.start) {
+      const startDate = new Date(dateRange.start);
+      if (txDate < startDate) return false;
+    }
+
+    if (dateRange.end) {
+      const endDate = new Date(dateRange.end);
+      endDate.setHours(23, 59, 59, 999); // End of day
+      if (txDate > endDate) return false;
+    }
+  }
+
+  // Amount range filter
+  if (amountRange) {
+    const txAmount = Math.abs(tx.amount);
+
+    if (amountRange.min && txAmount < parseFloat(amountRange.min)) {
+      return false;
+    }
+
+    if (amountRange.max && txAmount > parseFloat(amountRange.max)) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Filters a transaction list by MultiFilter criteria and a search query
+ * @param {Array} transactions - Transactions to filter
+ * @param {Object} filters - MultiFilter criteria
+ * @param {string} searchQuery - Free-text search
+ * @param {Object} searchOptions - Options passed to matchesSearch
+ * @returns {Array} Matching transactions
+ */
+export const filterTransactions = (transactions, filters = {}, searchQuery = '', searchOptions = {}) => {
+  if (!Array.isArray(transactions)) return [];
+
+  return transactions.filter(tx => {
+    if (!tx || typeof tx !== 'object') return false;
+    return matchesSearch(tx, searchQuery, searchOptions) && matchesFilters(tx, filters);
+  });
+};
+
+/**
+ * Returns a sorted copy of a transaction list
+ * @param {Array} transactions - Transactions to sort
+ * @param {string} sortBy - 'date', 'amount', 'category' or any transaction field
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Array} Sorted transactions
+ */
+export const sortTransactions = (transactions, sortBy = 'date', sortOrder = 'desc') => {
+  if (!Array.isArray(transactions)) return [];
+
+  return [...transactions].sort((a, b) => {
+    try {
+      let aValue, bValue;
+
+      switch (sortBy) {
+        case 'amount':
+          aValue = Math.abs(Number(a.amount) || 0);
+          bValue = Math.abs(Number(b.amount) || 0);
+          break;
+        case 'date':
+          aValue = new Date(a.date || 0).getTime();
+          bValue = new Date(b.date || 0).getTime();
+          break;
+        case 'category':
+          aValue = (a.category || '').toLowerCase();
+          bValue = (b.category || '').toLowerCase();
+          break;
+        default:
+          aValue = a[sortBy] || '';
+          bValue = b[sortBy] || '';
+      }
+
+      if (sortOrder === 'asc') {
+        return aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
+      }
+      return aValue > bValue ? -1 : aValue < bValue ? 1 : 0;
+    } catch (error) {
+      console.error('Error sorting transactions:', error);
+      return 0; // Keep original order on error
+    }
+  });
+};
@@ -0,0 +1,154 @@
+//transfers.js
+// Transfers: money moved between two of the user's accounts, or from an account to a debt
+// A transfer is one transaction of type `transfer` with `accountId` as its source and either
+// `toAccountId` or `debtId` as its destination. It changes balances but is neither income nor
+// spending, so analytics should drop it with excludeTransfers. Between accounts in different
+// currencies it also records `toAmount` in `toCurrency`: what the destination received at the rate
+// of the day, so later rate changes do not move either balance.
+
+import { convertAmount, hasRate } from './currencyUtils';
+
+/** Category given to every transfer */
+export const TRANSFER_CATEGORY = 'Transfer';
+
+/**
+ * Whether a transaction is a transfer
+ * @param {Object} tx - Transaction
+ * @returns {boolean} True for transfers
+ */
+export const isTransfer = (tx) => tx?.type === 'transfer';
+
+/**
+ * Drops transfers so income and expense totals only count money entering or leaving
+ * @param {Array} transactions - Transactions
+ * @returns {Array} Transactions without transfers
+ */
+export const excludeTransfers = (transactions) => (transactions || []).filter(tx => !isTransfer(tx));
+
+/**
+ * Checks a transfer's source and destination before saving
+ * @param {Object} transfer - Transfer with accountId and toAccountId or debtId
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateTransfer = ({ accountId, toAccountId, debtId } = {}) => {
+  if (!accountId) return 'Choose the account the money comes from';
+  if (!toAccountId && !debtId) return 'Choose where the money goes';
+  if (toAccountId && debtId) return 'A transfer goes to an account or a debt, not both';
+  if (toAccountId && String(toAccountId) === String(accountId)) return 'Choose two different accounts';
+  return null;
+};
+
+/**
+ * Transfer that pays an amount off a debt from one of the user's accounts
+ * @param {Object} debt - Debt being paid
+ * @param {Object} payment - Payment details
+ * @param {number|string} payment.accountId - Account the money comes from
+ * @param {number|string} payment.amount - Amount paid
+ * @param {string} [payment.paymentDate] - Payment date
+ * @param {string} [payment.description] - Description (defaults to "Payment for <debt>")
+ * @returns {{transfer: (Object|null), error: (string|null)}} Transfer to create, or an error
+ */
+export const buildDebtPayment = (debt, { accountId, amount, paymentDate, description } = {}) => {
+  const invalid = validateTransfer({ accountId, debtId: debt?.id });
+  if (invalid) return { transfer: null, error: invalid };
+
+  const value = Math.round((Number(amount) || 0) * 100) / 100;
+  if (!(value > 0)) return { transfer: null, error: 'Payment amount must be positive' };
+  if (debt.balance !== undefined && value > Number(debt.balance)) {
+    return { transfer: null, error: 'Payment exceeds the remaining balance' };
+  }
+
+  return {
+    transfer: {
+      type: 'transfer',
+      category: TRANSFER_CATEGORY,
+      amount: value,
+      accountId,
+      debtId: debt.id,
+      description: String(description || '').trim() || `Payment for ${debt.name || 'debt'}`,
+      ...(paymentDate && { date: paymentDate })
+    },
+    error: null
+  };
+};
+
+/**
+ * Adds what the destination receives to a transfer between accounts in different currencies
+ * @param {Object} transfer - Transfer with its amount in the source currency
+ * @param {string} fromCurrency - Currency of the source account
+ * @param {string} toCurrency - Currency of the destination account
+ * @param {Object} [rateTable] - Rate table to convert with
+ * @returns {{transfer: (Object|null), error: (string|null)}} Transfer with toAmount and toCurrency when the
+ *   currencies differ, or an error when a rate is missing
+ */
+export const convertTransferDestination = (transfer, fromCurrency, toCurrency, rateTable) => {
+  if (!fromCurrency || !toCurrency || fromCurrency === toCurrency) return { transfer, error: null };
+
+  const missing = [fromCurrency, toCurrency].find(currency => !hasRate(rateTable, currency));
+  if (missing) return { transfer: null, error: `Add an exchange rate for ${missing} to transfer between these accounts` };
+
+  const amount = Math.abs(Number(transfer.amount) || 0);
+  const toAmount = Math.round(convertAmount(amount, fromCurrency, toCurrency, rateTable) * 100) / 100;
+  return { transfer: { ...transfer, toAmount, toCurrency }, error: null };
+};
+
+/**
+ * The two sides of a transfer: money out of the source and into the destination
+ * The incoming leg of a cross-currency transfer is in the destination's currency.
+ * @param {Object} tx - Transfer
+ * @returns {Array<{side: 'from'|'to', accountId: (number|string|null), debtId: (number|string|null), amount: number,
+ *   currency: (string|null)}>} Outgoing leg with a negative amount, then incoming leg with a positive one;
+ *   a null currency is the transaction's own
+ */
+export const getTransferLegs = (tx) => {
+  const amount = Math.abs(Number(tx.amount) || 0);
+  const converted = tx.toAmount !== undefined && tx.toAmount !== null && Boolean(tx.toCurrency);
+  return [
+    { side: 'from', accountId: tx.accountId ?? null, debtId: null, amount: -amount, currency: tx.currency ?? null },
+    {
+      side: 'to',
+      accountId: tx.toAccountId ?? null,
+      debtId: tx.debtId ?? null,
+      amount: converted ? Math.abs(Number(tx.toAmount) || 0) : amount,
+      currency: converted ? tx.toCurrency : tx.currency ?? null
+    }
+  ];
+};
+
+/**
+ * Signed effect of a transaction on one account's balance, in the transaction's amount units
+ * (in `toCurrency` for the destination of a cross-currency transfer)
+ * @param {Object} tx - Transaction
+ * @param {number|string} accountId - Account ID
+ * @returns {number} Amount added to (positive) or taken from (negative) the account
+ */
+export const getAccountEffect = (tx, accountId) => {
+  const amount = Math.abs(Number(tx.amount) || 0);
+  if (isTransfer(tx)) {
+    return getTransferLegs(tx)
+      .filter(leg => leg.accountId !== null && String(leg.accountId) === String(accountId))
+      .reduce((sum, leg) => sum + leg.amount, 0);
+  }
+  if (String(tx.accountId) !== String(accountId)) return 0;
+  return tx.type === 'income' ? amount : -amount;
+};
+
+/**
+ * Names of the account a transfer leaves and the account or debt it goes to
+ * @param {Object} tx - Transfer
+ * @param {Object} lookups - Records to resolve IDs against
+ * @param {Array} [lookups.accounts] - Accounts
+ * @param {Array} [lookups.debts] - Debts
+ * @returns {{from: (string|null), to: (string|null), toDebt: boolean}} Names, null when the record is gone
+ */
+export const getTransferEndpoints = (tx, { accounts = [], debts = [] } = {}) => {
+  const nameOf = (records, id) => (id === undefined || id === null
+    ? null
+    : records.find(record => String(record.id) === String(id))?.name ?? null);
+  const toDebt = !tx.toAccountId && Boolean(tx.debtId);
+  return {
+    from: nameOf(accounts, tx.accountId),
+    to: toDebt ? nameOf(debts, tx.debtId) : nameOf(accounts, tx.toAccountId),
+    toDebt
+  };
+};
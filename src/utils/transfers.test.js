@@ -0,0 +1,98 @@
+//transfers.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  buildDebtPayment,
+  convertTransferDestination,
+  getTransferLegs,
+  getAccountEffect,
+  validateTransfer
+} from './transfers';
+
+const RATES = { base: 'USD', rates: { USD: 1, EUR: 0.9, GBP: 0.8 } };
+
+const transfer = { type: 'transfer', amount: 100, currency: 'USD', accountId: 1, toAccountId: 2 };
+
+describe('validateTransfer', () => {
+  it('needs a source and one different destination', () => {
+    expect(validateTransfer({ toAccountId: 2 })).toMatch(/comes from/);
+    expect(validateTransfer({ accountId: 1 })).toMatch(/goes/);
+    expect(validateTransfer({ accountId: 1, toAccountId: 1 })).toBe('Choose two different accounts');
+    expect(validateTransfer({ accountId: 1, toAccountId: 2, debtId: 3 })).toMatch(/not both/);
+    expect(validateTransfer({ accountId: 1, debtId: 3 })).toBeNull();
+  });
+});
+
+describe('buildDebtPayment', () => {
+  const debt = { id: 4, name: 'Car loan', balance: 500 };
+
+  it('pays the debt with a transfer from the account', () => {
+    expect(buildDebtPayment(debt, { accountId: 1, amount: '120.456', paymentDate: '2024-03-05' })).toEqual({
+      transfer: {
+        type: 'transfer',
+        category: 'Transfer',
+        amount: 120.46,
+        accountId: 1,
+        debtId: 4,
+        description: 'Payment for Car loan',
+        date: '2024-03-05'
+      },
+      error: null
+    });
+  });
+
+  it('needs an account and an amount up to the balance', () => {
+    expect(buildDebtPayment(debt, { amount: 50 }).error).toMatch(/comes from/);
+    expect(buildDebtPayment(debt, { accountId: 1, amount: 0 }).error).toBe('Payment amount must be positive');
+    expect(buildDebtPayment(debt, { accountId: 1, amount: 501 }).error).toBe('Payment exceeds the remaining balance');
+  });
+});
+
+describe('convertTransferDestination', () => {
+  it('converts the amount into the destination currency', () => {
+    expect(convertTransferDestination(transfer, 'USD', 'EUR', RATES)).toEqual({
+      transfer: { ...transfer, toAmount: 90, toCurrency: 'EUR' },
+      error: null
+    });
+    expect(convertTransferDestination({ amount: 10 }, 'EUR', 'GBP', RATES).transfer.toAmount).toBe(8.89);
+  });
+
+  it('leaves transfers within one currency as they are', () => {
+    expect(convertTransferDestination(transfer, 'USD', 'USD', RATES)).toEqual({ transfer, error: null });
+  });
+
+  it('refuses currencies without a rate', () => {
+    expect(convertTransferDestination(transfer, 'USD', 'JPY', RATES)).toEqual({
+      transfer: null,
+      error: 'Add an exchange rate for JPY to transfer between these accounts'
+    });
+  });
+});
+
+describe('getTransferLegs', () => {
+  it('gives the same amount out and in within one currency', () => {
+    expect(getTransferLegs(transfer)).toEqual([
+      { side: 'from', accountId: 1, debtId: null, amount: -100, currency: 'USD' },
+      { side: 'to', accountId: 2, debtId: null, amount: 100, currency: 'USD' }
+    ]);
+  });
+
+  it('gives the incoming leg of a cross-currency transfer in the destination currency', () => {
+    const legs = getTransferLegs({ ...transfer, toAmount: 90, toCurrency: 'EUR' });
+    expect(legs.map(leg => [leg.amount, leg.currency])).toEqual([[-100, 'USD'], [90, 'EUR']]);
+  });
+});
+
+describe('getAccountEffect', () => {
+  it('takes a transfer from one account and adds what arrived to the other', () => {
+    const converted = { ...transfer, toAmount: 90, toCurrency: 'EUR' };
+    expect(getAccountEffect(converted, 1)).toBe(-100);
+    expect(getAccountEffect(converted, 2)).toBe(90);
+    expect(getAccountEffect(converted, 3)).toBe(0);
+  });
+
+  it('counts income in and expenses out of their own account', () => {
+    expect(getAccountEffect({ type: 'income', amount: 50, accountId: 1 }, 1)).toBe(50);
+    expect(getAccountEffect({ type: 'expense', amount: -20, accountId: 1 }, 1)).toBe(-20);
+    expect(getAccountEffect({ type: 'expense', amount: 20, accountId: 1 }, 2)).toBe(0);
+  });
+});
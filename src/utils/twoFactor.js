@@ -0,0 +1,280 @@
+//twoFactor.js
+// Time-based one-time passwords (RFC 6238), recovery codes and remembered devices for two-factor sign-in
+// Hashing is done in plain JavaScript rather than Web Crypto so codes can be checked synchronously,
+// which the mock backend needs; a real server does its own verification.
+
+import { localStore } from './localStore';
+
+/** Issuer shown in authenticator apps */
+export const TOTP_ISSUER = 'Evercrest';
+
+/** Seconds each code is valid for */
+export const TOTP_STEP_SECONDS = 30;
+
+/** Digits in a code */
+export const TOTP_DIGITS = 6;
+
+/** Recovery codes issued at a time */
+export const RECOVERY_CODE_COUNT = 10;
+
+/** Days a remembered device skips the second step */
+export const TRUSTED_DEVICE_DAYS = 30;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Random bytes, from Web Crypto when available
+ * @private
+ */
+const randomBytes = (length) => {
+  const bytes = new Uint8Array(length);
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < length; i++) bytes[i] = Math.floor(Math.random() * 256);
+  }
+  return bytes;
+};
+
+/**
+ * Encodes bytes as unpadded base32
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Base32 text
+ */
+export const base32Encode = (bytes) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  bytes.forEach(byte => {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  });
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+/**
+ * Decodes base32, ignoring spaces, dashes, padding and case
+ * @param {string} text - Base32 text
+ * @returns {Uint8Array} Bytes
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+export const base32Decode = (text) => {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+/**
+ * SHA-1 digest
+ * @private
+ */
+const sha1 = (message) => {
+  const length = message.length;
+  const padded = new Uint8Array(((length + 9 + 63) >> 6) << 6);
+  padded.set(message);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+  view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+  let h0 = 0x67452301;
+  let h1 = 0xefcdab89;
+  let h2 = 0x98badcfe;
+  let h3 = 0x10325476;
+  let h4 = 0xc3d2e1f0;
+  const words = new Uint32Array(80);
+  const rotl = (n, bits) => (n << bits) | (n >>> (32 - bits));
+
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 80; i++) words[i] = rotl(words[i - 3] ^ words[i - 8] ^ words[i - 14] ^ words[i - 16], 1);
+
+    let a = h0;
+    let b = h1;
+    let c = h2;
+    let d = h3;
+    let e = h4;
+    for (let i = 0; i < 80; i++) {
+      let f;
+      let k;
+      if (i < 20) { f = (b & c) | (~b & d); k = 0x5a827999; }
+      else if (i < 40) { f = b ^ c ^ d; k = 0x6ed9eba1; }
+      else if (i < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8f1bbcdc; }
+      else { f = b ^ c ^ d; k = 0xca62c1d6; }
+      const temp = (rotl(a, 5) + f + e + k + words[i]) >>> 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30) >>> 0;
+      b = a;
+      a = temp;
+    }
+    h0 = (h0 + a) >>> 0;
+    h1 = (h1 + b) >>> 0;
+    h2 = (h2 + c) >>> 0;
+    h3 = (h3 + d) >>> 0;
+    h4 = (h4 + e) >>> 0;
+  }
+
+  const digest = new Uint8Array(20);
+  const out = new DataView(digest.buffer);
+  [h0, h1, h2, h3, h4].forEach((word, i) => out.setUint32(i * 4, word));
+  return digest;
+};
+
+/**
+ * HMAC-SHA1 of a message
+ * @private
+ */
+const hmacSha1 = (key, message) => {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha1(key) : key);
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 20);
+  for (let i = 0; i < 64; i++) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+  inner.set(message, 64);
+  outer.set(sha1(inner), 64);
+  return sha1(outer);
+};
+
+/**
+ * New random secret for an authenticator app
+ * @returns {string} 160-bit secret in base32
+ */
+export const generateTotpSecret = () => base32Encode(randomBytes(20));
+
+/**
+ * Time step a moment falls in
+ * @param {number} [time] - Milliseconds since the epoch (default: now)
+ * @returns {number} Step counter
+ */
+export const getTotpStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Code an authenticator shows for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} [step] - Step counter (default: the current step)
+ * @returns {string} Zero-padded code
+ */
+export const generateTotp = (secret, step = getTotpStep()) => {
+  const counter = new Uint8Array(8);
+  const view = new DataView(counter.buffer);
+  view.setUint32(0, Math.floor(step / 0x100000000));
+  view.setUint32(4, step >>> 0);
+  const hash = hmacSha1(base32Decode(secret), counter);
+  const offset = hash[hash.length - 1] & 0x0f;
+  const binary = ((hash[offset] & 0x7f) << 24) | (hash[offset + 1] << 16) | (hash[offset + 2] << 8) | hash[offset + 3];
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Checks a code, allowing for clock drift of a step either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} [options] - Verification options
+ * @param {number} [options.time] - Milliseconds since the epoch (default: now)
+ * @param {number} [options.window=1] - Steps accepted before and after the current one
+ * @param {number} [options.lastUsedStep] - Step of the last accepted code; it and earlier steps are refused
+ *   so an intercepted code cannot be replayed
+ * @returns {number|null} Step the code matched, or null
+ */
+export const verifyTotp = (secret, code, { time = Date.now(), window = 1, lastUsedStep = -1 } = {}) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(clean)) return null;
+  const current = getTotpStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    if (step > lastUsedStep && generateTotp(secret, step) === clean) return step;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URI that authenticator apps read from the enrollment QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} account - Account label, usually the email address
+ * @returns {string} Key URI
+ */
+export const buildOtpauthUri = (secret, account) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Splits a secret into groups of four for typing it in by hand
+ * @param {string} secret - Base32 secret
+ * @returns {string} Grouped secret
+ */
+export const formatTotpSecret = (secret) => (String(secret || '').match(/.{1,4}/g) || []).join(' ');
+
+/**
+ * New set of single-use recovery codes
+ * @param {number} [count] - Number of codes (default: RECOVERY_CODE_COUNT)
+ * @returns {Array<string>} Codes like `k3xq-9mwp`
+ */
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+  });
+};
+
+/**
+ * Recovery code as stored, so spacing, dashes and case do not matter when typed
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+export const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Name of the store holding the token that lets this browser skip the second step */
+const TRUSTED_DEVICE_STORE = 'twoFactorDevice';
+
+/**
+ * This browser's remembered-device store for an account
+ * Kept per email address, since it is read before sign-in and several people can share a browser.
+ * @private
+ */
+const trustedDeviceStore = (email) => localStore(String(email || '').trim().toLowerCase(), TRUSTED_DEVICE_STORE);
+
+/**
+ * Reads this browser's remembered-device token for an account
+ * @param {string} email - Account email
+ * @returns {string|null} Device token
+ */
+export const readTrustedDevice = (email) => trustedDeviceStore(email).read();
+
+/**
+ * Saves or, with no token, forgets this browser's remembered-device token
+ * @param {string} email - Account email
+ * @param {string|null} token - Device token
+ */
+export const saveTrustedDevice = (email, token) => {
+  if (token) trustedDeviceStore(email).write(token);
+  else trustedDeviceStore(email).remove();
+};
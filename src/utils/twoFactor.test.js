@@ -0,0 +1,113 @@
+//twoFactor.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTotpStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  formatTotpSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} from './twoFactor';
+
+// The RFC 6238 test secret, the ASCII text "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const at = (seconds) => seconds * 1000;
+
+describe('base32', () => {
+  it('encodes the RFC 4648 vectors without padding', () => {
+    const bytes = (text) => new TextEncoder().encode(text);
+    expect(base32Encode(bytes('f'))).toBe('MY');
+    expect(base32Encode(bytes('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Encode(bytes('12345678901234567890'))).toBe(RFC_SECRET);
+  });
+
+  it('decodes ignoring case, spaces and padding, and rejects other characters', () => {
+    expect(new TextDecoder().decode(base32Decode('mzxw 6ytb oi======'))).toBe('foobar');
+    expect(() => base32Decode('MZ1W')).toThrow('Invalid base32 character');
+  });
+
+  it('round-trips generated secrets', () => {
+    const secret = generateTotpSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+});
+
+describe('generateTotp', () => {
+  it('matches the RFC 6238 SHA-1 test values', () => {
+    const code = (seconds) => generateTotp(RFC_SECRET, getTotpStep(at(seconds)));
+    expect(code(59)).toBe('287082');
+    expect(code(1111111109)).toBe('081804');
+    expect(code(1111111111)).toBe('050471');
+    expect(code(1234567890)).toBe('005924');
+    expect(code(2000000000)).toBe('279037');
+    expect(code(20000000000)).toBe('353130');
+  });
+
+  it('matches the RFC 4226 HOTP values for the first counters', () => {
+    expect([0, 1, 2, 3].map(step => generateTotp(RFC_SECRET, step))).toEqual(['755224', '287082', '359152', '969429']);
+  });
+});
+
+describe('verifyTotp', () => {
+  const time = at(1111111111);
+  const step = getTotpStep(time);
+
+  it('accepts codes a step either side of now', () => {
+    expect(verifyTotp(RFC_SECRET, '050471', { time })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { time })).toBeNull();
+  });
+
+  it('ignores spaces and refuses malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '050 471', { time })).toBe(step);
+    expect(verifyTotp(RFC_SECRET, '50471', { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { time })).toBeNull();
+  });
+
+  it('refuses a code from a step already used', () => {
+    expect(verifyTotp(RFC_SECRET, '050471', { time, lastUsedStep: step })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('labels the account with the issuer', () => {
+    const uri = new URL(buildOtpauthUri('ABCD', 'sam@example.com'));
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Evercrest:sam@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: 'ABCD',
+      issuer: 'Evercrest',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});
+
+describe('formatTotpSecret', () => {
+  it('groups the secret in fours', () => {
+    expect(formatTotpSecret('ABCDEFGHIJ')).toBe('ABCD EFGH IJ');
+    expect(formatTotpSecret('')).toBe('');
+  });
+});
+
+describe('recovery codes', () => {
+  it('generates distinct codes in the typed format', () => {
+    const codes = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    codes.forEach(code => expect(code).toMatch(/^[a-z2-9]{4}-[a-z2-9]{4}$/));
+    expect(new Set(codes).size).toBe(codes.length);
+  });
+
+  it('normalizes spacing, dashes and case', () => {
+    expect(normalizeRecoveryCode(' K3XQ 9mwp ')).toBe('k3xq9mwp');
+    expect(normalizeRecoveryCode('k3xq-9mwp')).toBe('k3xq9mwp');
+  });
+});